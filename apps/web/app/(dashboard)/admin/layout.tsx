@@ -0,0 +1,48 @@
+import type { Metadata } from 'next';
+import Link from 'next/link';
+import { createClient } from '@/lib/supabase/server';
+import { notFound } from 'next/navigation';
+import { isAdminUser } from '@/lib/admin';
+
+export const metadata: Metadata = {
+  title: 'Admin - Prismify',
+};
+
+/**
+ * Admin section layout
+ * Hidden from everyone without the admin role; the API checks the role again
+ */
+export default async function AdminLayout({
+  children,
+}: {
+  children: React.ReactNode;
+}) {
+  const supabase = await createClient();
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  if (!isAdminUser(user)) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-slate-900 dark:text-white">Admin</h2>
+        <nav className="flex gap-4 text-sm">
+          <Link href="/admin" className="text-slate-600 hover:text-slate-900 dark:text-slate-400">
+            Overview
+          </Link>
+          <Link
+            href="/admin/users"
+            className="text-slate-600 hover:text-slate-900 dark:text-slate-400"
+          >
+            Users
+          </Link>
+        </nav>
+      </div>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,403 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+
+interface PastDueUser {
+  id: string;
+  email: string;
+  subscription_tier: string;
+  tier_override: string | null;
+  payment_failed_at: string;
+  daysRemaining: number;
+  inGracePeriod: boolean;
+  gracePeriodEndsAt: string;
+}
+
+interface SubscriptionOverview {
+  summary: {
+    total: number;
+    byStatus: Record<string, number>;
+    byTier: Record<string, number>;
+    inGracePeriod: number;
+    expiredGracePeriod: number;
+  };
+  gracePeriodDays: number;
+  pastDue: PastDueUser[];
+}
+
+interface ProviderSpend {
+  requests: number;
+  totalTokens: number;
+  cost: number;
+}
+
+interface AIOverview {
+  costs: {
+    connected: boolean;
+    dashboard: { costs: { daily: string; monthly: string; dailyBudgetUsed: string } };
+    history: {
+      total: number;
+      byProvider: Record<string, ProviderSpend>;
+      daily: { date: string; cost: number }[];
+      monthly: { month: string; cost: number }[];
+    };
+    alerts: { level: string; message: string; timestamp: string }[];
+  };
+  cache: {
+    isConnected: boolean;
+    hits: number;
+    misses: number;
+    totalRequests: number;
+    hitRate: string;
+  };
+}
+
+interface Consumer {
+  user_id: string;
+  email: string;
+  subscription_tier: string;
+  total: number;
+}
+
+const CONSUMER_RESOURCES = [
+  { value: 'audits', label: 'Audits' },
+  { value: 'keywords', label: 'Keyword research' },
+  { value: 'api_calls', label: 'API calls' },
+  { value: 'ai_tokens', label: 'AI tokens' },
+];
+
+const formatCost = (value: number) => `$${value.toFixed(2)}`;
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+export default function AdminOverviewPage() {
+  const [subscriptions, setSubscriptions] = useState<SubscriptionOverview | null>(null);
+  const [ai, setAI] = useState<AIOverview | null>(null);
+  const [resource, setResource] = useState('audits');
+  const [consumers, setConsumers] = useState<Consumer[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchOverview = async () => {
+      try {
+        const [subRes, aiRes] = await Promise.all([
+          fetch('/api/admin/subscriptions'),
+          fetch('/api/admin/ai?days=30&months=6'),
+        ]);
+        const subData = await subRes.json();
+        const aiData = await aiRes.json();
+
+        if (!subRes.ok) {
+          throw new Error(subData.error?.message || 'Failed to load subscriptions');
+        }
+        if (!aiRes.ok) {
+          throw new Error(aiData.error?.message || 'Failed to load AI usage');
+        }
+
+        setSubscriptions(subData.data);
+        setAI(aiData.data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOverview();
+  }, []);
+
+  const fetchConsumers = useCallback(async () => {
+    try {
+      const response = await fetch(
+        `/api/admin/usage/top-consumers?resource=${resource}&days=30&limit=10`
+      );
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load top consumers');
+      }
+      setConsumers(data.data || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    }
+  }, [resource]);
+
+  useEffect(() => {
+    fetchConsumers();
+  }, [fetchConsumers]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {subscriptions && ai && (
+        <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Subscriptions</CardDescription>
+              <CardTitle className="text-2xl">{subscriptions.summary.total}</CardTitle>
+            </CardHeader>
+            <CardContent className="text-xs text-slate-500">
+              {Object.entries(subscriptions.summary.byTier)
+                .map(([tier, count]) => `${count} ${tier}`)
+                .join(' · ')}
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>Past due</CardDescription>
+              <CardTitle className="text-2xl">{subscriptions.pastDue.length}</CardTitle>
+            </CardHeader>
+            <CardContent className="text-xs text-slate-500">
+              {subscriptions.summary.inGracePeriod} in the {subscriptions.gracePeriodDays}-day
+              grace period
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>AI spend</CardDescription>
+              <CardTitle className="text-2xl">{ai.costs.dashboard.costs.monthly}</CardTitle>
+            </CardHeader>
+            <CardContent className="text-xs text-slate-500">
+              {ai.costs.dashboard.costs.daily} today ({ai.costs.dashboard.costs.dailyBudgetUsed} of
+              daily budget)
+            </CardContent>
+          </Card>
+          <Card>
+            <CardHeader className="pb-2">
+              <CardDescription>AI cache hit rate</CardDescription>
+              <CardTitle className="text-2xl">{ai.cache.hitRate}</CardTitle>
+            </CardHeader>
+            <CardContent className="text-xs text-slate-500">
+              {ai.cache.hits} hits / {ai.cache.totalRequests} lookups on this API instance
+            </CardContent>
+          </Card>
+        </div>
+      )}
+
+      {ai && !ai.costs.connected && (
+        <Alert>
+          <AlertDescription>
+            AI costs are kept in Redis, which is not reachable; figures read as zero.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {subscriptions && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Grace periods</CardTitle>
+            <CardDescription>
+              Past-due subscriptions keep access for {subscriptions.gracePeriodDays} days after
+              the failed payment
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {subscriptions.pastDue.length === 0 ? (
+              <p className="text-sm text-slate-500">No past-due subscriptions.</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>User</TableHead>
+                    <TableHead>Tier</TableHead>
+                    <TableHead>Payment failed</TableHead>
+                    <TableHead>Grace period</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {subscriptions.pastDue.map((user) => (
+                    <TableRow key={user.id}>
+                      <TableCell>
+                        <Link href={`/admin/users/${user.id}`} className="hover:underline">
+                          {user.email}
+                        </Link>
+                      </TableCell>
+                      <TableCell className="capitalize">
+                        {user.tier_override ?? user.subscription_tier}
+                      </TableCell>
+                      <TableCell>{formatDate(user.payment_failed_at)}</TableCell>
+                      <TableCell>
+                        {user.inGracePeriod ? (
+                          <Badge variant="secondary">{user.daysRemaining} days left</Badge>
+                        ) : (
+                          <Badge variant="destructive">Ended</Badge>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      {ai && (
+        <Card>
+          <CardHeader>
+            <CardTitle>AI spend</CardTitle>
+            <CardDescription>
+              Last 30 days: {formatCost(ai.costs.history.total)}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="grid gap-8 lg:grid-cols-2">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Provider</TableHead>
+                  <TableHead className="text-right">Requests</TableHead>
+                  <TableHead className="text-right">Tokens</TableHead>
+                  <TableHead className="text-right">Cost</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {Object.entries(ai.costs.history.byProvider).map(([provider, spend]) => (
+                  <TableRow key={provider}>
+                    <TableCell className="capitalize">{provider}</TableCell>
+                    <TableCell className="text-right">{spend.requests.toLocaleString()}</TableCell>
+                    <TableCell className="text-right">
+                      {spend.totalTokens.toLocaleString()}
+                    </TableCell>
+                    <TableCell className="text-right">{formatCost(spend.cost)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Month</TableHead>
+                  <TableHead className="text-right">Cost</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {[...ai.costs.history.monthly].reverse().map((month) => (
+                  <TableRow key={month.month}>
+                    <TableCell>{month.month}</TableCell>
+                    <TableCell className="text-right">{formatCost(month.cost)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+            <Table className="lg:col-span-2">
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Day</TableHead>
+                  <TableHead className="text-right">Cost</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {ai.costs.history.daily
+                  .filter((day) => day.cost > 0)
+                  .reverse()
+                  .map((day) => (
+                    <TableRow key={day.date}>
+                      <TableCell>{day.date}</TableCell>
+                      <TableCell className="text-right">{formatCost(day.cost)}</TableCell>
+                    </TableRow>
+                  ))}
+              </TableBody>
+            </Table>
+            {ai.costs.alerts.length > 0 && (
+              <div className="space-y-2 lg:col-span-2">
+                {ai.costs.alerts.map((alert) => (
+                  <Alert
+                    key={alert.timestamp}
+                    variant={alert.level === 'critical' ? 'destructive' : 'default'}
+                  >
+                    <AlertDescription>
+                      {formatDate(alert.timestamp)}: {alert.message}
+                    </AlertDescription>
+                  </Alert>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0">
+          <div className="space-y-1.5">
+            <CardTitle>Top consumers</CardTitle>
+            <CardDescription>Last 30 days</CardDescription>
+          </div>
+          <Select value={resource} onValueChange={setResource}>
+            <SelectTrigger className="w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {CONSUMER_RESOURCES.map((option) => (
+                <SelectItem key={option.value} value={option.value}>
+                  {option.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </CardHeader>
+        <CardContent>
+          {consumers.length === 0 ? (
+            <p className="text-sm text-slate-500">No usage in this period.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>User</TableHead>
+                  <TableHead>Tier</TableHead>
+                  <TableHead className="text-right">Total</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {consumers.map((consumer) => (
+                  <TableRow key={consumer.user_id}>
+                    <TableCell>
+                      <Link href={`/admin/users/${consumer.user_id}`} className="hover:underline">
+                        {consumer.email}
+                      </Link>
+                    </TableCell>
+                    <TableCell className="capitalize">{consumer.subscription_tier}</TableCell>
+                    <TableCell className="text-right">{consumer.total.toLocaleString()}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,374 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2 } from 'lucide-react';
+
+type Quotas = Record<string, number>;
+
+interface AuditEntry {
+  id: string;
+  admin_id: string | null;
+  action: string;
+  changes: { before: Record<string, unknown>; after: Record<string, unknown> };
+  reason: string;
+  created_at: string;
+}
+
+interface UserDetail {
+  user: {
+    id: string;
+    email: string;
+    full_name: string | null;
+    company_name: string | null;
+    subscription_tier: string;
+    tier_override: string | null;
+    subscription_status: string;
+    stripe_customer_id: string | null;
+    quota_overrides: Quotas;
+    created_at: string;
+    last_login_at: string | null;
+  };
+  subscription: {
+    status: string;
+    hasAccess: boolean;
+    inGracePeriod: boolean;
+    daysRemaining: number;
+    gracePeriodEndsAt: string | null;
+    paymentFailedAt: string | null;
+  };
+  usage: {
+    audits_used: number;
+    keywords_used: number;
+    crawls_used: number;
+    projects_created: number;
+  };
+  quotas: {
+    tier: Quotas;
+    effective: Quotas;
+  };
+  auditLog: AuditEntry[];
+}
+
+const TIERS = ['starter', 'professional', 'agency'];
+
+// Select value for "no override" (Select items cannot have an empty value)
+const BILLED_TIER = 'billed';
+
+const QUOTA_FIELDS = [
+  { key: 'audits', label: 'Audits / month', used: 'audits_used' },
+  { key: 'keywords', label: 'Keyword research / month', used: 'keywords_used' },
+  { key: 'crawls', label: 'Site crawls / month', used: 'crawls_used' },
+  { key: 'reports', label: 'Reports / month', used: null },
+  { key: 'max_projects', label: 'Projects', used: 'projects_created' },
+] as const;
+
+const formatQuota = (value: number | undefined) =>
+  value === undefined ? '-' : value === -1 ? 'Unlimited' : value.toLocaleString();
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleString() : '-';
+
+export default function AdminUserPage() {
+  const { id } = useParams<{ id: string }>();
+  const [detail, setDetail] = useState<UserDetail | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [tier, setTier] = useState('');
+  const [overrides, setOverrides] = useState<Record<string, string>>({});
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const fetchUser = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/admin/users/${id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load user');
+      }
+
+      const loaded: UserDetail = data.data;
+      setDetail(loaded);
+      setTier(loaded.user.tier_override ?? BILLED_TIER);
+      setOverrides(
+        Object.fromEntries(
+          Object.entries(loaded.user.quota_overrides || {}).map(([key, value]) => [
+            key,
+            String(value),
+          ])
+        )
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchUser();
+  }, [fetchUser]);
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!detail || !reason.trim()) return;
+
+    setSaving(true);
+    setSaved(false);
+    setError(null);
+
+    // Empty fields remove the override so the tier quota applies again
+    const quotaOverrides = Object.fromEntries(
+      QUOTA_FIELDS.map(({ key }) => [key, overrides[key] ? Number(overrides[key]) : null])
+    );
+
+    try {
+      const response = await fetch(`/api/admin/users/${id}/subscription`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tier: tier === BILLED_TIER ? null : tier,
+          quota_overrides: quotaOverrides,
+          reason: reason.trim(),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to update subscription');
+      }
+
+      setReason('');
+      setSaved(true);
+      await fetchUser();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  if (!detail) {
+    return (
+      <Alert variant="destructive">
+        <AlertDescription>{error || 'User not found'}</AlertDescription>
+      </Alert>
+    );
+  }
+
+  const { user, subscription, usage, quotas, auditLog } = detail;
+
+  return (
+    <div className="space-y-8">
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{user.email}</CardTitle>
+          <CardDescription>
+            {[user.full_name, user.company_name].filter(Boolean).join(' · ') || 'No name'} ·
+            joined {formatDate(user.created_at)} · last sign in {formatDate(user.last_login_at)}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="flex flex-wrap items-center gap-2 text-sm">
+          <Badge className="capitalize">{user.tier_override ?? user.subscription_tier}</Badge>
+          {user.tier_override && (
+            <Badge variant="outline">Override (billed: {user.subscription_tier})</Badge>
+          )}
+          <Badge variant={subscription.hasAccess ? 'secondary' : 'destructive'}>
+            {subscription.status.replace('_', ' ')}
+          </Badge>
+          {subscription.paymentFailedAt && (
+            <span className="text-slate-500">
+              Payment failed {formatDate(subscription.paymentFailedAt)};{' '}
+              {subscription.inGracePeriod
+                ? `grace period ends ${formatDate(subscription.gracePeriodEndsAt)} (${subscription.daysRemaining} days left)`
+                : 'grace period has ended'}
+            </span>
+          )}
+          {user.stripe_customer_id && (
+            <span className="text-slate-500">Stripe customer {user.stripe_customer_id}</span>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Usage this month</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Quota</TableHead>
+                <TableHead className="text-right">Used</TableHead>
+                <TableHead className="text-right">Tier limit</TableHead>
+                <TableHead className="text-right">Applied limit</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {QUOTA_FIELDS.map((field) => (
+                <TableRow key={field.key}>
+                  <TableCell>{field.label}</TableCell>
+                  <TableCell className="text-right">
+                    {field.used ? usage[field.used].toLocaleString() : '-'}
+                  </TableCell>
+                  <TableCell className="text-right">{formatQuota(quotas.tier[field.key])}</TableCell>
+                  <TableCell className="text-right">
+                    {formatQuota(quotas.effective[field.key])}
+                    {user.quota_overrides?.[field.key] !== undefined && (
+                      <Badge variant="outline" className="ml-2">
+                        Override
+                      </Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Override subscription</CardTitle>
+          <CardDescription>
+            A tier set here replaces the billed tier until you set it back to the billed tier;
+            Stripe changes do not remove it. Leave a quota empty to use the tier limit; -1 is
+            unlimited. Every change is logged with its reason.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleSave} className="space-y-4">
+            <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-5">
+              <div className="space-y-2">
+                <Label htmlFor="tier">Tier</Label>
+                <Select value={tier} onValueChange={setTier}>
+                  <SelectTrigger id="tier">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={BILLED_TIER}>
+                      Billed tier <span className="capitalize">({user.subscription_tier})</span>
+                    </SelectItem>
+                    {TIERS.map((option) => (
+                      <SelectItem key={option} value={option} className="capitalize">
+                        {option}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {QUOTA_FIELDS.map((field) => (
+                <div key={field.key} className="space-y-2">
+                  <Label htmlFor={`quota-${field.key}`}>{field.label}</Label>
+                  <Input
+                    id={`quota-${field.key}`}
+                    type="number"
+                    min={-1}
+                    value={overrides[field.key] ?? ''}
+                    onChange={(e) =>
+                      setOverrides((current) => ({ ...current, [field.key]: e.target.value }))
+                    }
+                    placeholder={formatQuota(quotas.tier[field.key])}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="reason">Reason</Label>
+              <Input
+                id="reason"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Support ticket #1234, extended trial"
+                maxLength={500}
+                required
+              />
+            </div>
+            <div className="flex items-center gap-4">
+              <Button type="submit" disabled={saving || !reason.trim()}>
+                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Save override
+              </Button>
+              {saved && <span className="text-sm text-slate-500">Saved</span>}
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Admin changes</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {auditLog.length === 0 ? (
+            <p className="text-sm text-slate-500">No admin changes to this user.</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>When</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Reason</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {auditLog.map((entry) => (
+                  <TableRow key={entry.id}>
+                    <TableCell className="whitespace-nowrap">{formatDate(entry.created_at)}</TableCell>
+                    <TableCell className="font-mono text-xs">
+                      {Object.keys(entry.changes.after).map((field) => (
+                        <p key={field}>
+                          {field}: {JSON.stringify(entry.changes.before[field])} →{' '}
+                          {JSON.stringify(entry.changes.after[field])}
+                        </p>
+                      ))}
+                    </TableCell>
+                    <TableCell>{entry.reason}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,248 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2, Search } from 'lucide-react';
+
+interface AdminUser {
+  id: string;
+  email: string;
+  full_name: string | null;
+  subscription_tier: string;
+  tier_override: string | null;
+  subscription_status: string;
+  quota_overrides: Record<string, number>;
+  created_at: string;
+}
+
+interface PageMeta {
+  page: number;
+  totalPages: number;
+  total: number;
+  hasNextPage: boolean;
+  hasPreviousPage: boolean;
+}
+
+const TIERS = ['starter', 'professional', 'agency'];
+
+const STATUSES = ['active', 'trialing', 'past_due', 'unpaid', 'canceled', 'expired'];
+
+export default function AdminUsersPage() {
+  const [users, setUsers] = useState<AdminUser[]>([]);
+  const [meta, setMeta] = useState<PageMeta | null>(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [tier, setTier] = useState('all');
+  const [status, setStatus] = useState('all');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchUsers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ page: String(page), limit: '25' });
+      if (query) params.set('search', query);
+      if (tier !== 'all') params.set('tier', tier);
+      if (status !== 'all') params.set('status', status);
+
+      const response = await fetch(`/api/admin/users?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to search users');
+      }
+
+      setUsers(data.data || []);
+      setMeta(data.meta);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, tier, status, page]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const handleSearch = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Users</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <form onSubmit={handleSearch} className="flex flex-wrap gap-2">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Email or name"
+            className="max-w-xs"
+          />
+          <Select
+            value={tier}
+            onValueChange={(value) => {
+              setTier(value);
+              setPage(1);
+            }}
+          >
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All tiers</SelectItem>
+              {TIERS.map((option) => (
+                <SelectItem key={option} value={option} className="capitalize">
+                  {option}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select
+            value={status}
+            onValueChange={(value) => {
+              setStatus(value);
+              setPage(1);
+            }}
+          >
+            <SelectTrigger className="w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All statuses</SelectItem>
+              {STATUSES.map((option) => (
+                <SelectItem key={option} value={option}>
+                  {option.replace('_', ' ')}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button type="submit">
+            <Search className="mr-2 h-4 w-4" />
+            Search
+          </Button>
+        </form>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+          </div>
+        ) : users.length === 0 ? (
+          <p className="text-sm text-slate-500">No users found.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>User</TableHead>
+                <TableHead>Tier</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Joined</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {users.map((user) => (
+                <TableRow key={user.id}>
+                  <TableCell>
+                    <Link href={`/admin/users/${user.id}`} className="hover:underline">
+                      <p className="font-medium">{user.email}</p>
+                      {user.full_name && (
+                        <p className="text-xs text-slate-500">{user.full_name}</p>
+                      )}
+                    </Link>
+                  </TableCell>
+                  <TableCell>
+                    <span className="capitalize">
+                      {user.tier_override ?? user.subscription_tier}
+                    </span>
+                    {user.tier_override && (
+                      <Badge variant="outline" className="ml-2">
+                        Override
+                      </Badge>
+                    )}
+                    {Object.keys(user.quota_overrides || {}).length > 0 && (
+                      <Badge variant="outline" className="ml-2">
+                        Custom quotas
+                      </Badge>
+                    )}
+                  </TableCell>
+                  <TableCell>
+                    <Badge
+                      variant={
+                        ['active', 'trialing'].includes(user.subscription_status)
+                          ? 'secondary'
+                          : 'destructive'
+                      }
+                    >
+                      {user.subscription_status.replace('_', ' ')}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>{new Date(user.created_at).toLocaleDateString()}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        {meta && meta.totalPages > 1 && (
+          <div className="flex items-center justify-between text-sm text-slate-500">
+            <span>
+              Page {meta.page} of {meta.totalPages} ({meta.total} users)
+            </span>
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={!meta.hasPreviousPage}
+                onClick={() => setPage(page - 1)}
+              >
+                Previous
+              </Button>
+              <Button
+                variant="outline"
+                size="sm"
+                disabled={!meta.hasNextPage}
+                onClick={() => setPage(page + 1)}
+              >
+                Next
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,285 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { ArrowLeft, Loader2, TrendingUp, TrendingDown, Minus, AlertCircle } from 'lucide-react';
+
+interface ComparedIssue {
+  key: string;
+  code?: string;
+  category: string;
+  priority: 'critical' | 'high' | 'medium' | 'low';
+  previous_priority?: string;
+  title: string;
+  description: string;
+  occurrences: number;
+}
+
+interface AuditSummary {
+  id: string;
+  url: string;
+  grade: string | null;
+  overall_score: number;
+  created_at: string;
+}
+
+interface ScoreDelta {
+  current: number | null;
+  previous: number | null;
+  delta: number | null;
+}
+
+interface AuditComparison {
+  audit: AuditSummary;
+  baseline: AuditSummary;
+  same_url: boolean;
+  score_deltas: Record<string, ScoreDelta>;
+  issues: {
+    fixed: ComparedIssue[];
+    introduced: ComparedIssue[];
+    unchanged: ComparedIssue[];
+  };
+  summary: { score_delta: number | null; fixed: number; introduced: number; unchanged: number };
+}
+
+const COMPONENT_LABELS: Record<string, string> = {
+  overall: 'Overall',
+  meta: 'Meta Tags',
+  content: 'Content',
+  technical: 'Technical',
+  mobile: 'Mobile',
+  performance: 'Performance',
+  security: 'Security',
+  accessibility: 'Accessibility',
+};
+
+export default function AuditComparePage() {
+  const router = useRouter();
+  const params = useParams();
+  const auditId = params.id as string;
+  const otherId = params.otherId as string;
+
+  const [comparison, setComparison] = useState<AuditComparison | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchComparison = useCallback(async () => {
+    if (!auditId || !otherId) return;
+
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/audits/${auditId}/compare/${otherId}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to compare audits');
+      }
+
+      setComparison(data.data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [auditId, otherId]);
+
+  useEffect(() => {
+    fetchComparison();
+  }, [fetchComparison]);
+
+  const getScoreColor = (score: number | null) => {
+    if (score === null) return 'text-slate-400';
+    if (score >= 80) return 'text-green-600';
+    if (score >= 60) return 'text-yellow-600';
+    return 'text-red-600';
+  };
+
+  const renderDelta = (delta: number | null) => {
+    if (delta === null) return <span className="text-slate-400">-</span>;
+    if (delta > 0) {
+      return (
+        <span className="flex items-center justify-end text-green-600">
+          <TrendingUp className="h-4 w-4 mr-1" />+{delta}
+        </span>
+      );
+    }
+    if (delta < 0) {
+      return (
+        <span className="flex items-center justify-end text-red-600">
+          <TrendingDown className="h-4 w-4 mr-1" />
+          {delta}
+        </span>
+      );
+    }
+    return (
+      <span className="flex items-center justify-end text-slate-500">
+        <Minus className="h-4 w-4 mr-1" />0
+      </span>
+    );
+  };
+
+  const renderIssues = (issues: ComparedIssue[], empty: string) =>
+    issues.length === 0 ? (
+      <p className="text-center text-slate-500 py-8">{empty}</p>
+    ) : (
+      <div className="space-y-3">
+        {issues.map((issue) => (
+          <div key={issue.key} className="rounded-md border p-4">
+            <div className="flex items-center justify-between gap-3">
+              <h3 className="font-semibold">{issue.title}</h3>
+              <div className="flex items-center gap-2">
+                {issue.previous_priority && (
+                  <span className="text-xs text-slate-500">was {issue.previous_priority}</span>
+                )}
+                <Badge variant={issue.priority === 'critical' ? 'destructive' : 'secondary'}>
+                  {issue.priority}
+                </Badge>
+              </div>
+            </div>
+            {issue.description && (
+              <p className="text-sm text-slate-600 dark:text-slate-400 mt-1">
+                {issue.description}
+              </p>
+            )}
+            <div className="flex items-center gap-4 text-xs text-slate-500 mt-2">
+              <span>Category: {issue.category}</span>
+              {issue.code && <span className="font-mono">{issue.code}</span>}
+              {issue.occurrences > 1 && <span>{issue.occurrences} occurrences</span>}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  if (error || !comparison) {
+    return (
+      <div className="space-y-4">
+        <Button variant="ghost" onClick={() => router.push('/dashboard/audits/history')}>
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to History
+        </Button>
+        <Card>
+          <CardContent className="py-8">
+            <div className="text-center text-red-600">{error || 'Comparison not available'}</div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const { audit, baseline, score_deltas: scoreDeltas, issues, summary } = comparison;
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <Button
+          variant="ghost"
+          onClick={() => router.push('/dashboard/audits/history')}
+          className="mb-4"
+        >
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to History
+        </Button>
+        <h1 className="text-3xl font-bold tracking-tight">Compare Audits</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          {summary.fixed} fixed, {summary.introduced} new and {summary.unchanged} unchanged
+          issues
+        </p>
+      </div>
+
+      {!comparison.same_url && (
+        <Alert>
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>Different pages</AlertTitle>
+          <AlertDescription>
+            These audits are for different URLs, so differences reflect the pages as well as
+            your changes.
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Side-by-side scores */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Score Comparison</CardTitle>
+          <CardDescription>Per-component scores of both audits</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-4 gap-4 border-b pb-3 text-sm text-slate-500">
+            <span>Component</span>
+            <button
+              className="text-right hover:underline"
+              onClick={() => router.push(`/dashboard/audits/${baseline.id}`)}
+            >
+              {new Date(baseline.created_at).toLocaleDateString()}
+              <span className="block truncate text-xs">{baseline.url}</span>
+            </button>
+            <button
+              className="text-right hover:underline"
+              onClick={() => router.push(`/dashboard/audits/${audit.id}`)}
+            >
+              {new Date(audit.created_at).toLocaleDateString()}
+              <span className="block truncate text-xs">{audit.url}</span>
+            </button>
+            <span className="text-right">Change</span>
+          </div>
+          {Object.entries(scoreDeltas).map(([component, score]) => (
+            <div
+              key={component}
+              className={`grid grid-cols-4 gap-4 py-2 ${component === 'overall' ? 'font-semibold' : ''}`}
+            >
+              <span>{COMPONENT_LABELS[component] || component}</span>
+              <span className={`text-right ${getScoreColor(score.previous)}`}>
+                {score.previous ?? '-'}
+              </span>
+              <span className={`text-right ${getScoreColor(score.current)}`}>
+                {score.current ?? '-'}
+              </span>
+              {renderDelta(score.delta)}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      {/* Issue diff */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Issues</CardTitle>
+          <CardDescription>Matched by issue code across both audits</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <Tabs defaultValue="introduced" className="w-full">
+            <TabsList className="grid w-full grid-cols-3">
+              <TabsTrigger value="introduced">New ({summary.introduced})</TabsTrigger>
+              <TabsTrigger value="fixed">Fixed ({summary.fixed})</TabsTrigger>
+              <TabsTrigger value="unchanged">Unchanged ({summary.unchanged})</TabsTrigger>
+            </TabsList>
+            <TabsContent value="introduced" className="mt-6">
+              {renderIssues(issues.introduced, 'No new issues')}
+            </TabsContent>
+            <TabsContent value="fixed" className="mt-6">
+              {renderIssues(issues.fixed, 'No issues were fixed')}
+            </TabsContent>
+            <TabsContent value="unchanged" className="mt-6">
+              {renderIssues(issues.unchanged, 'No issues in common')}
+            </TabsContent>
+          </Tabs>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { Progress } from '@/components/ui/progress';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import {
   ArrowLeft,
   Loader2,
@@ -15,15 +16,18 @@ import {
   AlertCircle,
   Info,
   ExternalLink,
+  Copy,
+  Check,
 } from 'lucide-react';
 
 interface Recommendation {
+  code?: string;
   category: string;
   priority: 'critical' | 'high' | 'medium' | 'low';
   title: string;
   description: string;
   impact: number;
-  effort: number;
+  effort?: number;
 }
 
 interface AuditResult {
@@ -38,10 +42,25 @@ interface AuditResult {
   security_score: number;
   accessibility_score: number;
   recommendations: Recommendation[];
-  status: 'completed' | 'failed' | 'pending';
+  wcag?: { label: string; violations: { A: number; AA: number; AAA: number } } | null;
+  status: 'completed' | 'failed' | 'pending' | 'running' | 'cancelled';
+  failure?: { code: string; message: string } | null;
   created_at: string;
 }
 
+interface SchemaSnippet {
+  type: string;
+  snippet: string;
+  generated: boolean;
+  valid: boolean;
+}
+
+// Recommendations a generated JSON-LD snippet can fix
+const isStructuredDataIssue = (rec: Recommendation) =>
+  rec.code === 'STRUCTURED_DATA_MISSING' ||
+  rec.code?.startsWith('SCHEMA_') ||
+  rec.code?.startsWith('JSONLD_');
+
 export default function AuditDetailPage() {
   const router = useRouter();
   const params = useParams();
@@ -50,6 +69,10 @@ export default function AuditDetailPage() {
   const [audit, setAudit] = useState<AuditResult | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [schema, setSchema] = useState<SchemaSnippet | null>(null);
+  const [schemaLoading, setSchemaLoading] = useState(false);
+  const [schemaCopied, setSchemaCopied] = useState(false);
+  const [schemaError, setSchemaError] = useState<string | null>(null);
 
   const fetchAuditDetails = useCallback(async () => {
     if (!auditId) return;
@@ -75,6 +98,72 @@ export default function AuditDetailPage() {
     fetchAuditDetails();
   }, [fetchAuditDetails]);
 
+  const copySchemaSnippet = async () => {
+    setSchemaError(null);
+    let current = schema;
+
+    if (!current) {
+      setSchemaLoading(true);
+      try {
+        const response = await fetch(`/api/audits/${auditId}/schema`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error?.message || 'Failed to generate schema');
+        }
+
+        current = data.data as SchemaSnippet;
+        setSchema(current);
+      } catch (err) {
+        setSchemaError(err instanceof Error ? err.message : 'Failed to generate schema');
+        return;
+      } finally {
+        setSchemaLoading(false);
+      }
+    }
+
+    if (!current) return;
+
+    try {
+      await navigator.clipboard.writeText(current.snippet);
+      setSchemaCopied(true);
+      setTimeout(() => setSchemaCopied(false), 2000);
+    } catch {
+      setSchemaError('Copy failed - select the snippet below and copy it manually');
+    }
+  };
+
+  const renderSchemaAction = (rec: Recommendation) => {
+    if (!isStructuredDataIssue(rec)) return null;
+
+    return (
+      <div className="mb-3 space-y-2">
+        <Button size="sm" variant="outline" onClick={copySchemaSnippet} disabled={schemaLoading}>
+          {schemaLoading ? (
+            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+          ) : schemaCopied ? (
+            <Check className="mr-2 h-4 w-4" />
+          ) : (
+            <Copy className="mr-2 h-4 w-4" />
+          )}
+          {schemaCopied ? 'Copied' : 'Copy snippet'}
+        </Button>
+        {schemaError && <p className="text-sm text-red-600">{schemaError}</p>}
+        {schema && (
+          <>
+            <p className="text-sm text-slate-500">
+              {schema.type} JSON-LD {schema.generated ? 'generated by AI' : 'built from a template'}
+              {!schema.valid && ' - fill in the missing required properties before publishing'}
+            </p>
+            <pre className="max-h-64 overflow-auto rounded-md bg-slate-100 p-3 text-xs dark:bg-slate-900">
+              {schema.snippet}
+            </pre>
+          </>
+        )}
+      </div>
+    );
+  };
+
   const getScoreColor = (score: number) => {
     if (score >= 80) return 'text-green-600';
     if (score >= 60) return 'text-yellow-600';
@@ -132,14 +221,14 @@ export default function AuditDetailPage() {
     );
   }
 
-  const scoreComponents = [
+  const scoreComponents: { name: string; score: number; note?: string }[] = [
     { name: 'Meta Tags', score: audit.meta_score },
     { name: 'Content', score: audit.content_score },
     { name: 'Technical', score: audit.technical_score },
     { name: 'Mobile', score: audit.mobile_score },
     { name: 'Performance', score: audit.performance_score },
     { name: 'Security', score: audit.security_score },
-    { name: 'Accessibility', score: audit.accessibility_score },
+    { name: 'Accessibility', score: audit.accessibility_score, note: audit.wcag?.label },
   ];
 
   return (
@@ -181,6 +270,16 @@ export default function AuditDetailPage() {
         </div>
       </div>
 
+      {audit.status === 'failed' && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertTitle>This page could not be audited</AlertTitle>
+          <AlertDescription>
+            {audit.failure?.message || 'The page could not be fetched.'}
+          </AlertDescription>
+        </Alert>
+      )}
+
       {/* Score Breakdown */}
       <Card>
         <CardHeader>
@@ -204,6 +303,7 @@ export default function AuditDetailPage() {
                   className="h-2"
                   indicatorClassName={getScoreBgColor(component.score)}
                 />
+                {component.note && <p className="text-xs text-slate-500">{component.note}</p>}
               </div>
             ))}
           </div>
@@ -260,9 +360,10 @@ export default function AuditDetailPage() {
                             <p className="text-slate-600 dark:text-slate-400 mb-3">
                               {rec.description}
                             </p>
+                            {renderSchemaAction(rec)}
                             <div className="flex items-center gap-4 text-sm text-slate-500">
                               <span>Impact: {rec.impact}/10</span>
-                              <span>Effort: {rec.effort}/10</span>
+                              {rec.effort !== undefined && <span>Effort: {rec.effort}/10</span>}
                               <span className="capitalize">Category: {rec.category}</span>
                             </div>
                           </div>
@@ -292,9 +393,10 @@ export default function AuditDetailPage() {
                               <p className="text-slate-600 dark:text-slate-400 mb-3">
                                 {rec.description}
                               </p>
+                              {renderSchemaAction(rec)}
                               <div className="flex items-center gap-4 text-sm text-slate-500">
                                 <span>Impact: {rec.impact}/10</span>
-                                <span>Effort: {rec.effort}/10</span>
+                                {rec.effort !== undefined && <span>Effort: {rec.effort}/10</span>}
                                 <span className="capitalize">Category: {rec.category}</span>
                               </div>
                             </div>
@@ -20,14 +20,21 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { Loader2, TrendingUp, TrendingDown, Minus, ExternalLink } from 'lucide-react';
+import {
+  Loader2,
+  TrendingUp,
+  TrendingDown,
+  Minus,
+  ExternalLink,
+  GitCompare,
+} from 'lucide-react';
 
 interface AuditHistoryItem {
   id: string;
   url: string;
   overall_score: number;
   created_at: string;
-  status: 'completed' | 'failed' | 'pending';
+  status: 'completed' | 'failed' | 'pending' | 'running' | 'cancelled';
 }
 
 export default function AuditHistoryPage() {
@@ -37,6 +44,7 @@ export default function AuditHistoryPage() {
   const [error, setError] = useState<string | null>(null);
   const [sortBy, setSortBy] = useState<'date' | 'score'>('date');
   const [filterStatus, setFilterStatus] = useState<string>('all');
+  const [selected, setSelected] = useState<string[]>([]);
 
   useEffect(() => {
     fetchAudits();
@@ -69,10 +77,47 @@ export default function AuditHistoryPage() {
     return 'destructive';
   };
 
-  const getScoreTrend = (currentScore: number, index: number) => {
-    if (index === audits.length - 1) return null;
-    const prevScore = audits[index + 1].overall_score;
-    const diff = currentScore - prevScore;
+  // Previous completed audit of the same URL, regardless of how the table is sorted
+  const getPreviousAudit = (audit: AuditHistoryItem) =>
+    audits
+      .filter(
+        (other) =>
+          other.url === audit.url &&
+          other.status === 'completed' &&
+          new Date(other.created_at).getTime() < new Date(audit.created_at).getTime()
+      )
+      .sort((a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime())[0] ||
+    null;
+
+  // Newer audit first so deltas read as "what changed since"
+  const compareAudits = (first: AuditHistoryItem, second: AuditHistoryItem) => {
+    const [newer, older] =
+      new Date(first.created_at).getTime() >= new Date(second.created_at).getTime()
+        ? [first, second]
+        : [second, first];
+    router.push(`/dashboard/audits/${newer.id}/compare/${older.id}`);
+  };
+
+  const toggleSelected = (auditId: string) => {
+    setSelected((current) =>
+      current.includes(auditId)
+        ? current.filter((id) => id !== auditId)
+        : [...current, auditId].slice(-2)
+    );
+  };
+
+  const compareSelected = () => {
+    const [first, second] = selected
+      .map((id) => audits.find((audit) => audit.id === id))
+      .filter((audit): audit is AuditHistoryItem => Boolean(audit));
+    if (first && second) compareAudits(first, second);
+  };
+
+  const getScoreTrend = (audit: AuditHistoryItem) => {
+    if (audit.status !== 'completed') return null;
+    const previous = getPreviousAudit(audit);
+    if (!previous) return null;
+    const diff = audit.overall_score - previous.overall_score;
 
     if (diff > 0) {
       return (
@@ -143,6 +188,14 @@ export default function AuditHistoryPage() {
               <CardDescription>{audits.length} total audits</CardDescription>
             </div>
             <div className="flex gap-2">
+              <Button
+                variant="outline"
+                disabled={selected.length !== 2}
+                onClick={compareSelected}
+              >
+                <GitCompare className="mr-2 h-4 w-4" />
+                Compare ({selected.length}/2)
+              </Button>
               <Select value={filterStatus} onValueChange={setFilterStatus}>
                 <SelectTrigger className="w-[150px]">
                   <SelectValue placeholder="Filter by status" />
@@ -152,6 +205,8 @@ export default function AuditHistoryPage() {
                   <SelectItem value="completed">Completed</SelectItem>
                   <SelectItem value="failed">Failed</SelectItem>
                   <SelectItem value="pending">Pending</SelectItem>
+                  <SelectItem value="running">Running</SelectItem>
+                  <SelectItem value="cancelled">Cancelled</SelectItem>
                 </SelectContent>
               </Select>
 
@@ -179,6 +234,9 @@ export default function AuditHistoryPage() {
             <Table>
               <TableHeader>
                 <TableRow>
+                  <TableHead className="w-[40px]">
+                    <span className="sr-only">Select to compare</span>
+                  </TableHead>
                   <TableHead>URL</TableHead>
                   <TableHead>Score</TableHead>
                   <TableHead>Trend</TableHead>
@@ -188,8 +246,17 @@ export default function AuditHistoryPage() {
                 </TableRow>
               </TableHeader>
               <TableBody>
-                {sortedAndFilteredAudits.map((audit, index) => (
+                {sortedAndFilteredAudits.map((audit) => (
                   <TableRow key={audit.id}>
+                    <TableCell>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select audit of ${audit.url} to compare`}
+                        checked={selected.includes(audit.id)}
+                        disabled={audit.status !== 'completed'}
+                        onChange={() => toggleSelected(audit.id)}
+                      />
+                    </TableCell>
                     <TableCell className="font-medium">
                       <div className="flex items-center gap-2">
                         <span className="truncate max-w-[300px]">{audit.url}</span>
@@ -208,7 +275,7 @@ export default function AuditHistoryPage() {
                         {audit.overall_score}
                       </Badge>
                     </TableCell>
-                    <TableCell>{getScoreTrend(audit.overall_score, index)}</TableCell>
+                    <TableCell>{getScoreTrend(audit)}</TableCell>
                     <TableCell>
                       <Badge
                         variant={
@@ -226,6 +293,15 @@ export default function AuditHistoryPage() {
                       {new Date(audit.created_at).toLocaleDateString()}
                     </TableCell>
                     <TableCell className="text-right">
+                      {audit.status === 'completed' && getPreviousAudit(audit) && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => compareAudits(audit, getPreviousAudit(audit)!)}
+                        >
+                          Compare with previous
+                        </Button>
+                      )}
                       <Button
                         variant="ghost"
                         size="sm"
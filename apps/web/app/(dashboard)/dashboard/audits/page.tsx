@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -9,6 +9,7 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Badge } from '@/components/ui/badge';
 import { Progress } from '@/components/ui/progress';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { ProjectSelect } from '@/components/dashboard/ProjectSelect';
 import { 
   Search, 
   Loader2, 
@@ -39,7 +40,7 @@ interface Recommendation {
   title: string;
   description: string;
   impact: number;
-  effort: number;
+  effort?: number;
 }
 
 interface AuditResult extends AuditScore {
@@ -51,10 +52,90 @@ interface AuditResult extends AuditScore {
 
 export default function AuditsPage() {
   const [url, setUrl] = useState('');
+  const [projectId, setProjectId] = useState<string | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [result, setResult] = useState<AuditResult | null>(null);
   const [progress, setProgress] = useState(0);
+  const [progressLabel, setProgressLabel] = useState('Queued...');
+  const [auditId, setAuditId] = useState<string | null>(null);
+  const [cancelling, setCancelling] = useState(false);
+  const pollingRef = useRef(false);
+
+  // Project pages link here with ?project=<id> to preselect the project
+  useEffect(() => {
+    const preselected = new URLSearchParams(window.location.search).get('project');
+    if (preselected) {
+      setProjectId(preselected);
+    }
+  }, []);
+
+  const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Poll a queued audit until the worker finishes it, then load the full result
+  const waitForAudit = async (id: string): Promise<AuditResult> => {
+    pollingRef.current = true;
+
+    while (pollingRef.current) {
+      const response = await fetch(`/api/audits/${id}/progress`, { cache: 'no-store' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.error?.message || 'Failed to check audit progress');
+      }
+
+      const { status, progress: analyzerProgress } = data.data;
+      setProgress(analyzerProgress.percent);
+      setProgressLabel(
+        status === 'pending'
+          ? 'Queued...'
+          : `Analyzing website... (${analyzerProgress.completed.length}/7 checks done)`
+      );
+
+      if (status === 'cancelled') {
+        throw new Error('Audit was cancelled');
+      }
+
+      if (status === 'completed' || status === 'failed') {
+        const detailResponse = await fetch(`/api/audits/${id}`, { cache: 'no-store' });
+        const detail = await detailResponse.json();
+
+        if (!detailResponse.ok) {
+          throw new Error(detail?.error?.message || 'Failed to load audit results');
+        }
+        if (status === 'failed') {
+          throw new Error(detail.data?.failure?.message || 'The page could not be audited');
+        }
+        return detail.data;
+      }
+
+      await sleep(1500);
+    }
+
+    throw new Error('Audit was cancelled');
+  };
+
+  const handleCancel = async () => {
+    if (!auditId) return;
+    setCancelling(true);
+
+    try {
+      const response = await fetch(`/api/audits/${auditId}/cancel`, { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data?.error?.message || 'Failed to cancel audit');
+      }
+      // Running audits stop at the next checkpoint; polling picks up the final status
+      if (data.data?.status === 'cancelled') {
+        pollingRef.current = false;
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to cancel audit');
+    } finally {
+      setCancelling(false);
+    }
+  };
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -62,23 +143,14 @@ export default function AuditsPage() {
     setError(null);
     setResult(null);
     setProgress(0);
-
-    // Simulate progress during analysis
-    const progressInterval = setInterval(() => {
-      setProgress((prev) => {
-        if (prev >= 90) {
-          clearInterval(progressInterval);
-          return prev;
-        }
-        return prev + 10;
-      });
-    }, 500);
+    setProgressLabel('Queued...');
+    setAuditId(null);
 
     try {
       const response = await fetch('/api/audits', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url }),
+        body: JSON.stringify({ url, ...(projectId && { project_id: projectId }) }),
       });
 
       const data = await response.json();
@@ -130,8 +202,15 @@ export default function AuditsPage() {
         throw new Error(extractErrorMessage(data));
       }
 
-      setProgress(100);
-      setResult(data.data);
+      if (response.status === 202) {
+        setAuditId(data.data.id);
+        const finished = await waitForAudit(data.data.id);
+        setProgress(100);
+        setResult(finished);
+      } else {
+        setProgress(100);
+        setResult(data.data);
+      }
     } catch (err) {
       console.error('Audit error:', err);
       const errorMessage = err instanceof Error 
@@ -141,8 +220,9 @@ export default function AuditsPage() {
         : 'An unexpected error occurred';
       setError(errorMessage);
     } finally {
-      clearInterval(progressInterval);
+      pollingRef.current = false;
       setLoading(false);
+      setAuditId(null);
       setProgress(0);
     }
   };
@@ -234,15 +314,39 @@ export default function AuditsPage() {
               </Button>
             </div>
 
+            <div className="max-w-xs">
+              <ProjectSelect
+                value={projectId}
+                disabled={loading}
+                onChange={(id, project) => {
+                  setProjectId(id);
+                  if (!url && project?.website_url) {
+                    setUrl(project.website_url);
+                  }
+                }}
+              />
+            </div>
+
             {loading && (
               <div className="space-y-2">
                 <div className="flex items-center justify-between text-sm">
                   <span className="text-slate-600 dark:text-slate-400">
-                    Analyzing website...
+                    {progressLabel}
                   </span>
                   <span className="font-medium">{progress}%</span>
                 </div>
                 <Progress value={progress} className="h-2" />
+                {auditId && (
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={handleCancel}
+                    disabled={cancelling}
+                  >
+                    {cancelling ? 'Cancelling...' : 'Cancel audit'}
+                  </Button>
+                )}
               </div>
             )}
 
@@ -350,12 +454,14 @@ export default function AuditsPage() {
                             </div>
                             <div className="text-xs text-slate-500">Impact</div>
                           </div>
-                          <div className="text-center">
-                            <div className="font-semibold text-blue-600">
-                              {rec.effort}/10
+                          {rec.effort !== undefined && (
+                            <div className="text-center">
+                              <div className="font-semibold text-blue-600">
+                                {rec.effort}/10
+                              </div>
+                              <div className="text-xs text-slate-500">Effort</div>
                             </div>
-                            <div className="text-xs text-slate-500">Effort</div>
-                          </div>
+                          )}
                         </div>
                       </div>
                       <p className="text-sm text-slate-600 dark:text-slate-400">
@@ -0,0 +1,675 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { ProjectSelect } from '@/components/dashboard/ProjectSelect';
+import { Loader2, Swords, Play, Save, Trash2, Eye } from 'lucide-react';
+
+interface CompetitorSet {
+  id: string;
+  project_id: string;
+  name: string;
+  target_url: string;
+  competitor_urls: string[];
+  last_analyzed_at: string | null;
+}
+
+interface PageProfile {
+  url: string;
+  final_url?: string;
+  role: 'target' | 'competitor';
+  status: 'completed' | 'failed';
+  failure?: { code: string; message: string };
+  overall_score?: number | null;
+  grade?: string | null;
+  scores?: Record<string, number | null>;
+  word_count?: number;
+  title_length?: number;
+  description_length?: number;
+  heading_counts?: Record<string, number>;
+  heading_coverage?: number | null;
+  schema_types?: string[];
+  schema_type_count?: number;
+}
+
+interface Benchmark {
+  metric: string;
+  target: number | null;
+  competitor_average: number | null;
+  competitor_best: number | null;
+  difference: number | null;
+}
+
+interface KeywordGap {
+  term: string;
+  competitor_count: number;
+  competitors: string[];
+  competitor_mentions: number;
+  target_mentions: number;
+}
+
+interface HeadingGap {
+  heading: string;
+  level: number;
+  competitor_count: number;
+  competitors: string[];
+}
+
+interface CompetitorAnalysis {
+  id: string;
+  set_id: string | null;
+  target_url: string;
+  competitor_urls: string[];
+  status: 'pending' | 'running' | 'completed' | 'failed';
+  pages_analyzed: number;
+  error: string | null;
+  created_at: string;
+  result?: {
+    pages: PageProfile[];
+    benchmarks: Benchmark[];
+    gaps: { keywords: KeywordGap[]; headings: HeadingGap[] };
+  } | null;
+}
+
+const METRIC_LABELS: Record<string, string> = {
+  overall_score: 'Overall score',
+  meta_score: 'Meta',
+  content_score: 'Content',
+  technical_score: 'Technical',
+  mobile_score: 'Mobile',
+  performance_score: 'Performance',
+  security_score: 'Security',
+  accessibility_score: 'Accessibility',
+  word_count: 'Word count',
+  heading_coverage: 'Heading coverage (%)',
+  schema_type_count: 'Schema types',
+};
+
+// Value of a benchmark metric for one page of the matrix
+const metricValue = (page: PageProfile, metric: string) => {
+  if (metric === 'overall_score') return page.overall_score;
+  if (metric === 'word_count') return page.word_count;
+  if (metric === 'heading_coverage') return page.heading_coverage;
+  if (metric === 'schema_type_count') return page.schema_type_count;
+  return page.scores?.[metric.replace(/_score$/, '')];
+};
+
+const hostOf = (url: string) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return url;
+  }
+};
+
+const parseUrls = (value: string) =>
+  value
+    .split(/\s+/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+function Difference({ value }: { value: number | null }) {
+  if (value === null) return <span className="text-slate-400">-</span>;
+  const className = value > 0 ? 'text-green-600' : value < 0 ? 'text-red-600' : 'text-slate-500';
+  return (
+    <span className={className}>
+      {value > 0 ? '+' : ''}
+      {value}
+    </span>
+  );
+}
+
+export default function CompetitorsPage() {
+  const [sets, setSets] = useState<CompetitorSet[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+
+  const [projectId, setProjectId] = useState<string | null>(null);
+  const [url, setUrl] = useState('');
+  const [competitorText, setCompetitorText] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [analysis, setAnalysis] = useState<CompetitorAnalysis | null>(null);
+  const pollingRef = useRef<string | null>(null);
+
+  const fetchSets = useCallback(async () => {
+    try {
+      const query = projectId ? `?project_id=${projectId}` : '';
+      const response = await fetch(`/api/competitors/sets${query}`);
+      const data = await response.json();
+
+      if (response.status === 403 && data.error?.code === 'FEATURE_NOT_AVAILABLE') {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load competitor sets');
+      }
+
+      setSets(data.data || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchSets();
+  }, [fetchSets]);
+
+  useEffect(() => {
+    return () => {
+      pollingRef.current = null;
+    };
+  }, []);
+
+  const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Poll a queued analysis until the worker finishes it
+  const watchAnalysis = async (id: string) => {
+    pollingRef.current = id;
+
+    while (pollingRef.current === id) {
+      const response = await fetch(`/api/competitors/analyses/${id}`, { cache: 'no-store' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        setError(data.error?.message || 'Failed to load competitor analysis');
+        return;
+      }
+      if (pollingRef.current !== id) return;
+
+      setAnalysis(data.data);
+      if (data.data.status === 'completed' || data.data.status === 'failed') {
+        if (data.data.set_id) await fetchSets();
+        return;
+      }
+
+      await sleep(2000);
+    }
+  };
+
+  const startAnalysis = async (request: Promise<Response>) => {
+    setError(null);
+    const response = await request;
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.message || 'Failed to start competitor analysis');
+    }
+
+    setAnalysis(data.data);
+    watchAnalysis(data.data.id);
+  };
+
+  const handleAnalyze = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      await startAnalysis(
+        fetch('/api/competitors/analyses', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            competitor_urls: parseUrls(competitorText),
+            ...(url.trim() && { url: url.trim() }),
+            ...(projectId && { project_id: projectId }),
+          }),
+        })
+      );
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/competitors/sets', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          project_id: projectId,
+          name: name.trim(),
+          competitor_urls: parseUrls(competitorText),
+          ...(url.trim() && { url: url.trim() }),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to save competitor set');
+      }
+
+      setName('');
+      await fetchSets();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRun = async (set: CompetitorSet) => {
+    try {
+      await startAnalysis(fetch(`/api/competitors/sets/${set.id}/run`, { method: 'POST' }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    }
+  };
+
+  const handleView = async (set: CompetitorSet) => {
+    pollingRef.current = null;
+    const response = await fetch(`/api/competitors/sets/${set.id}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      setError(data.error?.message || 'Failed to load competitor set');
+      return;
+    }
+    if (!data.data.latest_analysis) {
+      setError(`"${set.name}" has not been analyzed yet`);
+      return;
+    }
+    setAnalysis(data.data.latest_analysis);
+  };
+
+  const handleDelete = async (set: CompetitorSet) => {
+    if (!confirm(`Delete the competitor set "${set.name}"? Past analyses are kept.`)) {
+      return;
+    }
+    const response = await fetch(`/api/competitors/sets/${set.id}`, { method: 'DELETE' });
+    if (response.ok) {
+      await fetchSets();
+    }
+  };
+
+  if (upgradeRequired) {
+    return (
+      <Card>
+        <CardContent className="py-12 text-center space-y-4">
+          <Swords className="h-12 w-12 mx-auto text-slate-300" />
+          <p className="text-lg">
+            Competitor analysis is available on the Professional and Agency plans
+          </p>
+          <Button asChild>
+            <Link href="/pricing">Upgrade plan</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const competitorCount = parseUrls(competitorText).length;
+  const result = analysis?.status === 'completed' ? analysis.result : null;
+  const totalPages = analysis ? analysis.competitor_urls.length + 1 : 0;
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Competitor Analysis</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          Audit your page side by side with competitor pages and find the content they cover
+          that you do not
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Compare Pages</CardTitle>
+          <CardDescription>
+            Leave your URL empty to use the selected project&apos;s website. Save the
+            competitors as a set to re-run the comparison later.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleAnalyze} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="url">Your page</Label>
+                <Input
+                  id="url"
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com/espresso-machines"
+                  disabled={submitting}
+                />
+              </div>
+              <div>
+                <ProjectSelect
+                  value={projectId}
+                  onChange={(id) => setProjectId(id)}
+                  disabled={submitting}
+                />
+              </div>
+            </div>
+
+            <div>
+              <Label htmlFor="competitors">Competitor URLs (one per line)</Label>
+              <textarea
+                id="competitors"
+                value={competitorText}
+                onChange={(e) => setCompetitorText(e.target.value)}
+                rows={4}
+                placeholder={'https://competitor-one.com/espresso\nhttps://competitor-two.com/machines'}
+                disabled={submitting}
+                className="mt-1 w-full rounded-md border border-input bg-transparent px-3 py-2 text-sm shadow-sm focus-visible:outline-none focus-visible:ring-1 focus-visible:ring-ring"
+              />
+            </div>
+
+            <div className="flex flex-wrap items-end gap-4">
+              <Button type="submit" disabled={submitting || competitorCount === 0}>
+                {submitting ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <Play className="mr-2 h-4 w-4" />
+                )}
+                Analyze
+              </Button>
+              <div className="flex items-end gap-2">
+                <div>
+                  <Label htmlFor="set-name">Set name</Label>
+                  <Input
+                    id="set-name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g., Espresso category"
+                    maxLength={100}
+                    disabled={submitting}
+                  />
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={handleSave}
+                  disabled={submitting || !projectId || !name.trim() || competitorCount === 0}
+                  title={projectId ? 'Save as a competitor set' : 'Select a project to save sets'}
+                >
+                  <Save className="mr-2 h-4 w-4" />
+                  Save Set
+                </Button>
+              </div>
+            </div>
+
+            {error && <div className="text-red-600 text-sm">{error}</div>}
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Saved Competitor Sets</CardTitle>
+          <CardDescription>
+            {projectId ? 'Sets of the selected project' : 'Sets of all projects'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+            </div>
+          ) : sets.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">No competitor sets saved yet</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Your Page</TableHead>
+                  <TableHead>Competitors</TableHead>
+                  <TableHead>Last Analyzed</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {sets.map((set) => (
+                  <TableRow key={set.id}>
+                    <TableCell className="font-medium">{set.name}</TableCell>
+                    <TableCell className="max-w-[220px] truncate text-slate-500">
+                      {set.target_url}
+                    </TableCell>
+                    <TableCell>{set.competitor_urls.map(hostOf).join(', ')}</TableCell>
+                    <TableCell className="text-slate-500">
+                      {set.last_analyzed_at
+                        ? new Date(set.last_analyzed_at).toLocaleDateString()
+                        : 'Never'}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex justify-end gap-1">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Show latest result"
+                          onClick={() => handleView(set)}
+                        >
+                          <Eye className="h-4 w-4" />
+                        </Button>
+                        <Button variant="ghost" size="sm" title="Run again" onClick={() => handleRun(set)}>
+                          <Play className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Delete set"
+                          onClick={() => handleDelete(set)}
+                        >
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {analysis && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{hostOf(analysis.target_url)} vs. competitors</CardTitle>
+            <CardDescription>
+              {analysis.target_url} · {new Date(analysis.created_at).toLocaleString()}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {analysis.status === 'pending' || analysis.status === 'running' ? (
+              <div className="space-y-2 py-4">
+                <Progress value={(analysis.pages_analyzed / totalPages) * 100} />
+                <p className="text-sm text-slate-500">
+                  {analysis.status === 'pending'
+                    ? 'Queued...'
+                    : `Auditing pages... (${analysis.pages_analyzed}/${totalPages} done)`}
+                </p>
+              </div>
+            ) : analysis.status === 'failed' || !result ? (
+              <p className="text-red-600 py-4">
+                {analysis.error || 'The competitor analysis could not be completed'}
+              </p>
+            ) : (
+              <Tabs defaultValue="matrix">
+                <TabsList>
+                  <TabsTrigger value="matrix">Side by Side</TabsTrigger>
+                  <TabsTrigger value="gaps">
+                    Content Gaps ({result.gaps.keywords.length + result.gaps.headings.length})
+                  </TabsTrigger>
+                </TabsList>
+
+                <TabsContent value="matrix" className="space-y-6">
+                  <div className="overflow-x-auto">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Metric</TableHead>
+                          {result.pages.map((page) => (
+                            <TableHead key={page.url} className="max-w-[160px] truncate">
+                              {page.role === 'target' ? (
+                                <Badge>You</Badge>
+                              ) : (
+                                hostOf(page.url)
+                              )}
+                            </TableHead>
+                          ))}
+                          <TableHead>You vs. avg</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {result.benchmarks.map((benchmark) => (
+                          <TableRow key={benchmark.metric}>
+                            <TableCell className="font-medium">
+                              {METRIC_LABELS[benchmark.metric] || benchmark.metric}
+                            </TableCell>
+                            {result.pages.map((page) => {
+                              if (page.status === 'failed') {
+                                return (
+                                  <TableCell key={page.url} className="text-slate-400">
+                                    -
+                                  </TableCell>
+                                );
+                              }
+                              const value = metricValue(page, benchmark.metric);
+                              const isBest =
+                                value !== null &&
+                                value !== undefined &&
+                                value === benchmark.competitor_best;
+                              return (
+                                <TableCell key={page.url} className={isBest ? 'font-semibold' : ''}>
+                                  {value ?? '-'}
+                                </TableCell>
+                              );
+                            })}
+                            <TableCell>
+                              <Difference value={benchmark.difference} />
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                        <TableRow>
+                          <TableCell className="font-medium">Title / description length</TableCell>
+                          {result.pages.map((page) => (
+                            <TableCell key={page.url}>
+                              {page.status === 'completed'
+                                ? `${page.title_length} / ${page.description_length}`
+                                : '-'}
+                            </TableCell>
+                          ))}
+                          <TableCell />
+                        </TableRow>
+                        <TableRow>
+                          <TableCell className="font-medium">Headings (H1 / H2 / H3)</TableCell>
+                          {result.pages.map((page) => (
+                            <TableCell key={page.url}>
+                              {page.heading_counts
+                                ? `${page.heading_counts.h1} / ${page.heading_counts.h2} / ${page.heading_counts.h3}`
+                                : '-'}
+                            </TableCell>
+                          ))}
+                          <TableCell />
+                        </TableRow>
+                        <TableRow>
+                          <TableCell className="font-medium">Schema types</TableCell>
+                          {result.pages.map((page) => (
+                            <TableCell key={page.url} className="text-xs">
+                              {page.status === 'failed' ? (
+                                <span className="text-red-600">{page.failure?.message}</span>
+                              ) : page.schema_types?.length ? (
+                                page.schema_types.join(', ')
+                              ) : (
+                                <span className="text-slate-400">None</span>
+                              )}
+                            </TableCell>
+                          ))}
+                          <TableCell />
+                        </TableRow>
+                      </TableBody>
+                    </Table>
+                  </div>
+                </TabsContent>
+
+                <TabsContent value="gaps" className="space-y-6">
+                  <div>
+                    <h3 className="font-semibold mb-2">Keywords</h3>
+                    {result.gaps.keywords.length === 0 ? (
+                      <p className="text-slate-500 text-sm">
+                        No keywords that most competitors cover and your page does not
+                      </p>
+                    ) : (
+                      <Table>
+                        <TableHeader>
+                          <TableRow>
+                            <TableHead>Term</TableHead>
+                            <TableHead>Covered By</TableHead>
+                            <TableHead>Competitor Mentions</TableHead>
+                            <TableHead>Your Mentions</TableHead>
+                          </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                          {result.gaps.keywords.map((gap) => (
+                            <TableRow key={gap.term}>
+                              <TableCell className="font-medium">{gap.term}</TableCell>
+                              <TableCell title={gap.competitors.join('\n')}>
+                                {gap.competitor_count} competitor
+                                {gap.competitor_count === 1 ? '' : 's'}
+                              </TableCell>
+                              <TableCell>{gap.competitor_mentions}</TableCell>
+                              <TableCell>{gap.target_mentions}</TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    )}
+                  </div>
+
+                  <div>
+                    <h3 className="font-semibold mb-2">Headings</h3>
+                    {result.gaps.headings.length === 0 ? (
+                      <p className="text-slate-500 text-sm">
+                        Your headings cover the topics most competitors have sections on
+                      </p>
+                    ) : (
+                      <ul className="space-y-2">
+                        {result.gaps.headings.map((gap) => (
+                          <li key={gap.heading} className="flex items-center gap-2">
+                            <Badge variant="secondary">H{gap.level}</Badge>
+                            <span>{gap.heading}</span>
+                            <span className="text-xs text-slate-500">
+                              ({gap.competitors.map(hostOf).join(', ')})
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </TabsContent>
+              </Tabs>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -21,26 +21,82 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { Loader2, Search, Download, TrendingUp, Target, DollarSign } from 'lucide-react';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { ProjectSelect } from '@/components/dashboard/ProjectSelect';
+import {
+  Loader2,
+  Search,
+  Download,
+  TrendingUp,
+  Target,
+  DollarSign,
+  Sparkles,
+  FolderPlus,
+  Check,
+} from 'lucide-react';
 
 interface Keyword {
   id: string;
   keyword: string;
-  search_volume: number;
-  competition: 'low' | 'medium' | 'high';
-  difficulty_score: number;
-  opportunity_score: number;
-  cpc: string;
+  search_volume: number | null;
+  competition: 'low' | 'medium' | 'high' | null;
+  difficulty_score: number | null;
+  opportunity_score: number | null;
+  cpc: number | null;
+  intent: SearchIntent | null;
+  cluster: string | null;
+  source: 'provider' | 'ai';
+}
+
+type SearchIntent = 'informational' | 'navigational' | 'commercial' | 'transactional';
+
+interface KeywordCluster {
+  name: string;
+  pillar: string;
+  intent: SearchIntent | null;
+  keywords: string[];
+  keyword_count: number;
+  total_search_volume: number | null;
+  avg_difficulty: number | null;
 }
 
+const INTENT_STYLES: Record<SearchIntent, string> = {
+  informational: 'bg-blue-100 text-blue-700 dark:bg-blue-900/40 dark:text-blue-300',
+  navigational: 'bg-slate-100 text-slate-700 dark:bg-slate-800 dark:text-slate-300',
+  commercial: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300',
+  transactional: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300',
+};
+
+const PROVIDER_LABELS: Record<string, string> = {
+  keyword_planner: 'Keyword Planner data',
+  serp: 'Live SERP data (no search volume)',
+  fixture: 'Sample data (offline provider)',
+};
+
 export default function KeywordsPage() {
   const [seedKeyword, setSeedKeyword] = useState('');
   const [targetLocation, setTargetLocation] = useState('US');
+  const [language, setLanguage] = useState('en');
+  const [projectId, setProjectId] = useState<string | null>(null);
   const [keywords, setKeywords] = useState<Keyword[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [sortBy, setSortBy] = useState<'volume' | 'opportunity' | 'competition'>('opportunity');
   const [cached, setCached] = useState(false);
+  const [provider, setProvider] = useState<string | null>(null);
+  const [expand, setExpand] = useState(false);
+  const [clusters, setClusters] = useState<KeywordCluster[]>([]);
+  const [aiExpanded, setAiExpanded] = useState(false);
+  const [savingCluster, setSavingCluster] = useState<string | null>(null);
+  const [savedClusters, setSavedClusters] = useState<string[]>([]);
+
+  // Project pages link here with ?project=<id> to preselect the project
+  useEffect(() => {
+    const preselected = new URLSearchParams(window.location.search).get('project');
+    if (preselected) {
+      setProjectId(preselected);
+    }
+  }, []);
 
   const handleResearch = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -56,6 +112,9 @@ export default function KeywordsPage() {
         body: JSON.stringify({
           seed_keyword: seedKeyword,
           target_location: targetLocation,
+          language,
+          expand,
+          ...(projectId && { project_id: projectId }),
         }),
       });
 
@@ -66,7 +125,11 @@ export default function KeywordsPage() {
       }
 
       setKeywords(data.data.keywords || []);
+      setClusters(data.data.clusters || []);
       setCached(data.data.cached || false);
+      setProvider(data.meta?.provider || null);
+      setAiExpanded(data.meta?.expansion?.generated || false);
+      setSavedClusters([]);
     } catch (err) {
       setError(err instanceof Error ? err.message : 'An unexpected error occurred');
     } finally {
@@ -74,6 +137,40 @@ export default function KeywordsPage() {
     }
   };
 
+  // Add a cluster's keywords to the project's target keywords (kept unique by the API)
+  const saveClusterToProject = async (cluster: KeywordCluster) => {
+    if (!projectId) return;
+
+    setSavingCluster(cluster.name);
+    setError(null);
+
+    try {
+      const projectResponse = await fetch(`/api/projects/${projectId}`);
+      const projectData = await projectResponse.json();
+      if (!projectResponse.ok) {
+        throw new Error(projectData.error?.message || 'Failed to load project');
+      }
+
+      const response = await fetch(`/api/projects/${projectId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          target_keywords: [...(projectData.data.target_keywords || []), ...cluster.keywords],
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to save cluster to project');
+      }
+
+      setSavedClusters((saved) => [...saved, cluster.name]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setSavingCluster(null);
+    }
+  };
+
   const exportToCSV = () => {
     if (keywords.length === 0) return;
 
@@ -84,14 +181,18 @@ export default function KeywordsPage() {
       'Difficulty Score',
       'Opportunity Score',
       'CPC',
+      'Intent',
+      'Cluster',
     ];
     const rows = keywords.map((kw) => [
       kw.keyword,
-      kw.search_volume,
-      kw.competition,
-      kw.difficulty_score,
-      kw.opportunity_score,
-      `$${kw.cpc}`,
+      kw.search_volume ?? '',
+      kw.competition ?? '',
+      kw.difficulty_score ?? '',
+      kw.opportunity_score ?? '',
+      kw.cpc !== null ? `$${Number(kw.cpc).toFixed(2)}` : '',
+      kw.intent ?? '',
+      kw.cluster ?? '',
     ]);
 
     const csvContent = [
@@ -123,21 +224,34 @@ export default function KeywordsPage() {
     }
   };
 
-  const getOpportunityColor = (score: number) => {
+  const getOpportunityColor = (score: number | null) => {
+    if (score === null) return 'text-slate-400';
     if (score >= 70) return 'text-green-600';
     if (score >= 40) return 'text-yellow-600';
     return 'text-red-600';
   };
 
+  const IntentBadge = ({ intent }: { intent: SearchIntent | null }) =>
+    intent ? (
+      <span className={`rounded px-2 py-0.5 text-xs font-medium ${INTENT_STYLES[intent]}`}>
+        {intent}
+      </span>
+    ) : (
+      <>-</>
+    );
+
   const sortedKeywords = [...keywords].sort((a, b) => {
     switch (sortBy) {
       case 'volume':
-        return b.search_volume - a.search_volume;
+        return (b.search_volume ?? -1) - (a.search_volume ?? -1);
       case 'opportunity':
-        return b.opportunity_score - a.opportunity_score;
+        return (b.opportunity_score ?? -1) - (a.opportunity_score ?? -1);
       case 'competition':
         const compOrder = { low: 0, medium: 1, high: 2 };
-        return compOrder[a.competition] - compOrder[b.competition];
+        return (
+          (a.competition ? compOrder[a.competition] : 3) -
+          (b.competition ? compOrder[b.competition] : 3)
+        );
       default:
         return 0;
     }
@@ -163,7 +277,7 @@ export default function KeywordsPage() {
         </CardHeader>
         <CardContent>
           <form onSubmit={handleResearch} className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
               <div className="md:col-span-2">
                 <Label htmlFor="seed_keyword">Seed Keyword or Topic</Label>
                 <Input
@@ -192,6 +306,41 @@ export default function KeywordsPage() {
                   </SelectContent>
                 </Select>
               </div>
+              <div>
+                <Label htmlFor="language">Language</Label>
+                <Select value={language} onValueChange={setLanguage} disabled={loading}>
+                  <SelectTrigger id="language">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="en">English</SelectItem>
+                    <SelectItem value="es">Spanish</SelectItem>
+                    <SelectItem value="fr">French</SelectItem>
+                    <SelectItem value="de">German</SelectItem>
+                    <SelectItem value="hi">Hindi</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-6">
+              <div className="w-full max-w-xs">
+                <ProjectSelect
+                  value={projectId}
+                  onChange={(id) => setProjectId(id)}
+                  disabled={loading}
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm pb-2">
+                <input
+                  type="checkbox"
+                  checked={expand}
+                  onChange={(e) => setExpand(e.target.checked)}
+                  disabled={loading}
+                />
+                <Sparkles className="h-4 w-4 text-purple-500" />
+                Expand with AI (more ideas, intent and topic clusters)
+              </label>
             </div>
 
             <Button type="submit" disabled={loading || !seedKeyword.trim()}>
@@ -227,6 +376,8 @@ export default function KeywordsPage() {
                 <CardDescription>
                   {keywords.length} keywords found
                   {cached && ' (cached results from recent search)'}
+                  {provider && ` · ${PROVIDER_LABELS[provider] || provider}`}
+                  {aiExpanded && ' · expanded with AI'}
                 </CardDescription>
               </div>
               <div className="flex gap-2">
@@ -251,53 +402,144 @@ export default function KeywordsPage() {
             </div>
           </CardHeader>
           <CardContent>
-            <Table>
-              <TableHeader>
-                <TableRow>
-                  <TableHead>Keyword</TableHead>
-                  <TableHead>
-                    <div className="flex items-center gap-1">
-                      <TrendingUp className="h-4 w-4" />
-                      Search Volume
-                    </div>
-                  </TableHead>
-                  <TableHead>Competition</TableHead>
-                  <TableHead>Difficulty</TableHead>
-                  <TableHead>
-                    <div className="flex items-center gap-1">
-                      <Target className="h-4 w-4" />
-                      Opportunity
-                    </div>
-                  </TableHead>
-                  <TableHead>
-                    <div className="flex items-center gap-1">
-                      <DollarSign className="h-4 w-4" />
-                      CPC
-                    </div>
-                  </TableHead>
-                </TableRow>
-              </TableHeader>
-              <TableBody>
-                {sortedKeywords.map((keyword) => (
-                  <TableRow key={keyword.id}>
-                    <TableCell className="font-medium">{keyword.keyword}</TableCell>
-                    <TableCell>{keyword.search_volume.toLocaleString()}</TableCell>
-                    <TableCell>
-                      <Badge variant={getCompetitionBadge(keyword.competition)}>
-                        {keyword.competition}
-                      </Badge>
-                    </TableCell>
-                    <TableCell>{keyword.difficulty_score}/100</TableCell>
-                    <TableCell>
-                      <span className={`font-semibold ${getOpportunityColor(keyword.opportunity_score)}`}>
-                        {keyword.opportunity_score}/100
-                      </span>
-                    </TableCell>
-                    <TableCell>${keyword.cpc}</TableCell>
-                  </TableRow>
-                ))}
-              </TableBody>
-            </Table>
+            <Tabs defaultValue="list" className="w-full">
+              <TabsList>
+                <TabsTrigger value="list">Keywords</TabsTrigger>
+                <TabsTrigger value="clusters">Clusters ({clusters.length})</TabsTrigger>
+              </TabsList>
+
+              <TabsContent value="list">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Keyword</TableHead>
+                      <TableHead>
+                        <div className="flex items-center gap-1">
+                          <TrendingUp className="h-4 w-4" />
+                          Search Volume
+                        </div>
+                      </TableHead>
+                      <TableHead>Competition</TableHead>
+                      <TableHead>Difficulty</TableHead>
+                      <TableHead>
+                        <div className="flex items-center gap-1">
+                          <Target className="h-4 w-4" />
+                          Opportunity
+                        </div>
+                      </TableHead>
+                      <TableHead>
+                        <div className="flex items-center gap-1">
+                          <DollarSign className="h-4 w-4" />
+                          CPC
+                        </div>
+                      </TableHead>
+                      <TableHead>Intent</TableHead>
+                      <TableHead>Cluster</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {sortedKeywords.map((keyword) => (
+                      <TableRow key={keyword.id}>
+                        <TableCell className="font-medium">
+                          <div className="flex items-center gap-2">
+                            {keyword.keyword}
+                            {keyword.source === 'ai' && (
+                              <span title="Suggested by AI (no provider metrics)">
+                                <Sparkles className="h-3 w-3 text-purple-500" />
+                              </span>
+                            )}
+                          </div>
+                        </TableCell>
+                        <TableCell>{keyword.search_volume?.toLocaleString() ?? '-'}</TableCell>
+                        <TableCell>
+                          {keyword.competition ? (
+                            <Badge variant={getCompetitionBadge(keyword.competition)}>
+                              {keyword.competition}
+                            </Badge>
+                          ) : (
+                            '-'
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {keyword.difficulty_score !== null ? `${keyword.difficulty_score}/100` : '-'}
+                        </TableCell>
+                        <TableCell>
+                          <span className={`font-semibold ${getOpportunityColor(keyword.opportunity_score)}`}>
+                            {keyword.opportunity_score !== null ? `${keyword.opportunity_score}/100` : '-'}
+                          </span>
+                        </TableCell>
+                        <TableCell>{keyword.cpc !== null ? `$${Number(keyword.cpc).toFixed(2)}` : '-'}</TableCell>
+                        <TableCell>
+                          <IntentBadge intent={keyword.intent} />
+                        </TableCell>
+                        <TableCell className="text-slate-500">{keyword.cluster ?? '-'}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TabsContent>
+
+              <TabsContent value="clusters">
+                {!projectId && (
+                  <p className="text-sm text-slate-500 mb-4">
+                    Select a project above to save clusters to its target keywords.
+                  </p>
+                )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {clusters.map((cluster) => {
+                    const saved = savedClusters.includes(cluster.name);
+                    return (
+                      <div key={cluster.name} className="rounded-lg border p-4 space-y-3">
+                        <div className="flex items-start justify-between gap-2">
+                          <div>
+                            <h3 className="font-semibold capitalize">{cluster.name}</h3>
+                            <p className="text-sm text-slate-500">
+                              Pillar: <span className="font-medium text-slate-700 dark:text-slate-300">{cluster.pillar}</span>
+                            </p>
+                          </div>
+                          <IntentBadge intent={cluster.intent} />
+                        </div>
+                        <div className="flex gap-4 text-sm text-slate-500">
+                          <span>{cluster.keyword_count} keywords</span>
+                          <span>
+                            Volume: {cluster.total_search_volume?.toLocaleString() ?? '-'}
+                          </span>
+                          <span>
+                            Difficulty:{' '}
+                            {cluster.avg_difficulty !== null ? `${cluster.avg_difficulty}/100` : '-'}
+                          </span>
+                        </div>
+                        <div className="flex flex-wrap gap-1">
+                          {cluster.keywords.map((keyword) => (
+                            <Badge
+                              key={keyword}
+                              variant={keyword === cluster.pillar ? 'default' : 'secondary'}
+                            >
+                              {keyword}
+                            </Badge>
+                          ))}
+                        </div>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={!projectId || saved || savingCluster !== null}
+                          onClick={() => saveClusterToProject(cluster)}
+                        >
+                          {savingCluster === cluster.name ? (
+                            <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                          ) : saved ? (
+                            <Check className="mr-2 h-4 w-4" />
+                          ) : (
+                            <FolderPlus className="mr-2 h-4 w-4" />
+                          )}
+                          {saved ? 'Saved to project' : 'Save to project keywords'}
+                        </Button>
+                      </div>
+                    );
+                  })}
+                </div>
+              </TabsContent>
+            </Tabs>
           </CardContent>
         </Card>
       )}
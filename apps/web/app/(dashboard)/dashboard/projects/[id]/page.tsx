@@ -0,0 +1,433 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter, useParams } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  ArrowLeft,
+  Loader2,
+  Search,
+  Key,
+  Globe,
+  FileSearch,
+  Network,
+  Bell,
+  Archive,
+  Trash2,
+} from 'lucide-react';
+
+interface Project {
+  id: string;
+  name: string;
+  website_url: string | null;
+  target_keywords: string[] | null;
+  is_active: boolean;
+}
+
+interface LatestScores {
+  audit_id: string;
+  url: string;
+  grade: string | null;
+  created_at: string;
+  overall: number | null;
+  [component: string]: number | string | null;
+}
+
+interface TrackedKeyword {
+  keyword: string;
+  search_volume: number | null;
+  competition: string | null;
+  difficulty_score: number | null;
+  opportunity_score: number | null;
+  researched_at: string | null;
+}
+
+interface ActivityEvent {
+  type: 'audit' | 'crawl' | 'keyword_research' | 'alert';
+  id: string;
+  at: string;
+  url?: string;
+  status?: string;
+  overall_score?: number | null;
+  pages_crawled?: number;
+  average_score?: number | null;
+  seed_keyword?: string;
+  keyword_count?: number;
+  audit_id?: string;
+  alert_count?: number;
+}
+
+interface ProjectOverview {
+  project: Project;
+  latest_scores: LatestScores | null;
+  tracked_keywords: TrackedKeyword[];
+  recent_activity: ActivityEvent[];
+}
+
+const COMPONENTS: { key: string; label: string }[] = [
+  { key: 'meta', label: 'Meta Tags' },
+  { key: 'content', label: 'Content' },
+  { key: 'technical', label: 'Technical' },
+  { key: 'mobile', label: 'Mobile' },
+  { key: 'performance', label: 'Performance' },
+  { key: 'security', label: 'Security' },
+  { key: 'accessibility', label: 'Accessibility' },
+];
+
+const ACTIVITY_ICONS = {
+  audit: FileSearch,
+  crawl: Network,
+  keyword_research: Key,
+  alert: Bell,
+};
+
+export default function ProjectOverviewPage() {
+  const router = useRouter();
+  const params = useParams();
+  const projectId = params.id as string;
+
+  const [overview, setOverview] = useState<ProjectOverview | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [keywordInput, setKeywordInput] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const fetchOverview = useCallback(async () => {
+    if (!projectId) return;
+
+    try {
+      const response = await fetch(`/api/projects/${projectId}/overview`, { cache: 'no-store' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load project');
+      }
+
+      setOverview(data.data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [projectId]);
+
+  useEffect(() => {
+    fetchOverview();
+  }, [fetchOverview]);
+
+  const updateProject = async (changes: Partial<Project>) => {
+    setSaving(true);
+    try {
+      const response = await fetch(`/api/projects/${projectId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to update project');
+      }
+
+      await fetchOverview();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddKeywords = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!overview || !keywordInput.trim()) return;
+
+    await updateProject({
+      target_keywords: [...(overview.project.target_keywords || []), ...keywordInput.split(',')],
+    });
+    setKeywordInput('');
+  };
+
+  const handleRemoveKeyword = (keyword: string) => {
+    if (!overview) return;
+    updateProject({
+      target_keywords: (overview.project.target_keywords || []).filter((item) => item !== keyword),
+    });
+  };
+
+  const handleDelete = async () => {
+    if (!confirm('Delete this project? Its audits are kept; crawls and schedules are removed.')) {
+      return;
+    }
+
+    const response = await fetch(`/api/projects/${projectId}`, { method: 'DELETE' });
+    if (response.ok) {
+      router.push('/dashboard/projects');
+    } else {
+      const data = await response.json();
+      setError(data.error?.message || 'Failed to delete project');
+    }
+  };
+
+  const getScoreColor = (score: number | null) => {
+    if (score === null) return 'text-slate-400';
+    if (score >= 80) return 'text-green-600';
+    if (score >= 60) return 'text-yellow-600';
+    return 'text-red-600';
+  };
+
+  const describeEvent = (event: ActivityEvent) => {
+    switch (event.type) {
+      case 'audit':
+        return event.status === 'completed'
+          ? `Audit of ${event.url} scored ${event.overall_score ?? '-'}`
+          : `Audit of ${event.url} ${event.status}`;
+      case 'crawl':
+        return `Site crawl ${event.status}: ${event.pages_crawled} pages${
+          event.average_score !== null ? `, average score ${event.average_score}` : ''
+        }`;
+      case 'keyword_research':
+        return `Researched "${event.seed_keyword}" (${event.keyword_count} keywords)`;
+      case 'alert':
+        return `${event.alert_count} regression alert${event.alert_count === 1 ? '' : 's'} from a scheduled audit`;
+      default:
+        return event.type;
+    }
+  };
+
+  const openEvent = (event: ActivityEvent) => {
+    if (event.type === 'audit') {
+      router.push(`/dashboard/audits/${event.id}`);
+    } else if (event.type === 'alert' && event.audit_id) {
+      router.push(`/dashboard/audits/${event.audit_id}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <Loader2 className="h-8 w-8 animate-spin text-indigo-600" />
+      </div>
+    );
+  }
+
+  if (!overview) {
+    return (
+      <div className="space-y-4">
+        <Button variant="ghost" onClick={() => router.push('/dashboard/projects')}>
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to Projects
+        </Button>
+        <Card>
+          <CardContent className="py-8">
+            <div className="text-center text-red-600">{error || 'Project not found'}</div>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  const { project, latest_scores: latestScores, tracked_keywords: trackedKeywords } = overview;
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <Button
+          variant="ghost"
+          onClick={() => router.push('/dashboard/projects')}
+          className="mb-4"
+        >
+          <ArrowLeft className="mr-2 h-4 w-4" />
+          Back to Projects
+        </Button>
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <div className="flex items-center gap-3">
+              <h1 className="text-3xl font-bold tracking-tight">{project.name}</h1>
+              {!project.is_active && <Badge variant="secondary">Archived</Badge>}
+            </div>
+            {project.website_url && (
+              <p className="flex items-center gap-1 text-slate-500 dark:text-slate-400 mt-2">
+                <Globe className="h-4 w-4" />
+                {project.website_url}
+              </p>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={() => router.push(`/dashboard/audits?project=${project.id}`)}>
+              <Search className="mr-2 h-4 w-4" />
+              Run Audit
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => router.push(`/dashboard/keywords?project=${project.id}`)}
+            >
+              <Key className="mr-2 h-4 w-4" />
+              Research Keywords
+            </Button>
+            <Button
+              variant="outline"
+              disabled={saving}
+              onClick={() => updateProject({ is_active: !project.is_active })}
+            >
+              <Archive className="mr-2 h-4 w-4" />
+              {project.is_active ? 'Archive' : 'Restore'}
+            </Button>
+            <Button variant="outline" onClick={handleDelete}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+        {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+      </div>
+
+      {/* Latest Scores */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Latest Scores</CardTitle>
+          <CardDescription>
+            {latestScores
+              ? `From the audit of ${latestScores.url} on ${new Date(latestScores.created_at).toLocaleDateString()}`
+              : 'Run an audit for this project to see its scores'}
+          </CardDescription>
+        </CardHeader>
+        {latestScores && (
+          <CardContent>
+            <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4">
+              <button
+                className="rounded-lg border p-4 text-left hover:border-indigo-300"
+                onClick={() => router.push(`/dashboard/audits/${latestScores.audit_id}`)}
+              >
+                <p className="text-sm text-slate-500">Overall</p>
+                <p className={`text-3xl font-bold ${getScoreColor(latestScores.overall)}`}>
+                  {latestScores.overall ?? '-'}
+                </p>
+                {latestScores.grade && <Badge variant="outline">{latestScores.grade}</Badge>}
+              </button>
+              {COMPONENTS.map(({ key, label }) => {
+                const score = latestScores[key] as number | null;
+                return (
+                  <div key={key} className="rounded-lg border p-4">
+                    <p className="text-sm text-slate-500">{label}</p>
+                    <p className={`text-2xl font-bold ${getScoreColor(score)}`}>
+                      {score ?? '-'}
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        )}
+      </Card>
+
+      <div className="grid gap-8 lg:grid-cols-2">
+        {/* Tracked Keywords */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Tracked Keywords</CardTitle>
+            <CardDescription>Target keywords with their latest research metrics</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <form onSubmit={handleAddKeywords} className="flex gap-2">
+              <Input
+                placeholder="Add keywords, separated by commas"
+                value={keywordInput}
+                onChange={(e) => setKeywordInput(e.target.value)}
+                disabled={saving}
+              />
+              <Button type="submit" disabled={saving || !keywordInput.trim()}>
+                Add
+              </Button>
+            </form>
+            {trackedKeywords.length === 0 ? (
+              <p className="text-center text-slate-500 py-6">No target keywords yet</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Keyword</TableHead>
+                    <TableHead className="text-right">Volume</TableHead>
+                    <TableHead className="text-right">Difficulty</TableHead>
+                    <TableHead className="text-right">Opportunity</TableHead>
+                    <TableHead />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {trackedKeywords.map((keyword) => (
+                    <TableRow key={keyword.keyword}>
+                      <TableCell className="font-medium">{keyword.keyword}</TableCell>
+                      <TableCell className="text-right">
+                        {keyword.search_volume?.toLocaleString() ?? '-'}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {keyword.difficulty_score ?? '-'}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {keyword.opportunity_score ?? '-'}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={saving}
+                          onClick={() => handleRemoveKeyword(keyword.keyword)}
+                        >
+                          Remove
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Recent Activity */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Recent Activity</CardTitle>
+            <CardDescription>Audits, crawls, keyword research and alerts</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {overview.recent_activity.length === 0 ? (
+              <p className="text-center text-slate-500 py-6">No activity yet</p>
+            ) : (
+              <ul className="space-y-3">
+                {overview.recent_activity.map((event) => {
+                  const Icon = ACTIVITY_ICONS[event.type];
+                  return (
+                    <li
+                      key={`${event.type}-${event.id}`}
+                      className="flex items-start gap-3 rounded-md p-2 hover:bg-slate-50 dark:hover:bg-slate-800 cursor-pointer"
+                      onClick={() => openEvent(event)}
+                    >
+                      <Icon className="h-4 w-4 mt-1 text-slate-400 shrink-0" />
+                      <div className="min-w-0">
+                        <p className="text-sm truncate">{describeEvent(event)}</p>
+                        <p className="text-xs text-slate-500">
+                          {new Date(event.at).toLocaleString()}
+                        </p>
+                      </div>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,200 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, FolderKanban, Globe, Loader2, Plus } from 'lucide-react';
+
+interface Project {
+  id: string;
+  name: string;
+  website_url: string | null;
+  target_keywords: string[] | null;
+  is_active: boolean;
+  created_at: string;
+}
+
+export default function ProjectsPage() {
+  const router = useRouter();
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const [name, setName] = useState('');
+  const [websiteUrl, setWebsiteUrl] = useState('');
+  const [targetKeywords, setTargetKeywords] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const fetchProjects = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await fetch('/api/projects');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load projects');
+      }
+
+      setProjects(data.data || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/projects', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name,
+          ...(websiteUrl.trim() && { website_url: websiteUrl.trim() }),
+          target_keywords: targetKeywords.split(','),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to create project');
+      }
+
+      router.push(`/dashboard/projects/${data.data.id}`);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Projects</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          Group audits and keyword research by website
+        </p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertCircle className="h-4 w-4" />
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      {/* Create Form */}
+      <Card>
+        <CardHeader>
+          <CardTitle>New Project</CardTitle>
+          <CardDescription>A website and the keywords you want it to rank for</CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="project_name">Name</Label>
+                <Input
+                  id="project_name"
+                  placeholder="Company website"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  required
+                  maxLength={255}
+                  disabled={creating}
+                />
+              </div>
+              <div>
+                <Label htmlFor="website_url">Website URL</Label>
+                <Input
+                  id="website_url"
+                  type="url"
+                  placeholder="https://example.com"
+                  value={websiteUrl}
+                  onChange={(e) => setWebsiteUrl(e.target.value)}
+                  disabled={creating}
+                />
+              </div>
+            </div>
+            <div>
+              <Label htmlFor="target_keywords">Target Keywords</Label>
+              <Input
+                id="target_keywords"
+                placeholder="seo tools, site audit, rank tracking"
+                value={targetKeywords}
+                onChange={(e) => setTargetKeywords(e.target.value)}
+                disabled={creating}
+              />
+              <p className="text-xs text-slate-500 mt-1">Separate keywords with commas</p>
+            </div>
+            <Button type="submit" disabled={creating || !name.trim()}>
+              {creating ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Create Project
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {/* Project List */}
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-indigo-600" />
+        </div>
+      ) : projects.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center">
+            <FolderKanban className="h-12 w-12 text-slate-400 mx-auto mb-4" />
+            <p className="text-slate-500">No projects yet</p>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+          {projects.map((project) => (
+            <Card
+              key={project.id}
+              className="cursor-pointer hover:border-indigo-300 transition-colors"
+              onClick={() => router.push(`/dashboard/projects/${project.id}`)}
+            >
+              <CardHeader>
+                <div className="flex items-center justify-between gap-2">
+                  <CardTitle className="truncate">{project.name}</CardTitle>
+                  {!project.is_active && <Badge variant="secondary">Archived</Badge>}
+                </div>
+                {project.website_url && (
+                  <CardDescription className="flex items-center gap-1 truncate">
+                    <Globe className="h-3 w-3 shrink-0" />
+                    {project.website_url}
+                  </CardDescription>
+                )}
+              </CardHeader>
+              <CardContent className="text-sm text-slate-500">
+                {project.target_keywords?.length || 0} target keywords &middot; created{' '}
+                {new Date(project.created_at).toLocaleDateString()}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,608 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { ProjectSelect } from '@/components/dashboard/ProjectSelect';
+import {
+  Loader2,
+  Plus,
+  TrendingUp,
+  ArrowUp,
+  ArrowDown,
+  Minus,
+  Trash2,
+  Pause,
+  Play,
+  Monitor,
+  Smartphone,
+} from 'lucide-react';
+
+interface TrackedKeyword {
+  id: string;
+  project_id: string | null;
+  keyword: string;
+  target_url: string;
+  location: string;
+  device: 'desktop' | 'mobile';
+  language: string;
+  enabled: boolean;
+  last_checked_on: string | null;
+  last_position: number | null;
+  best_position: number | null;
+  last_status: 'ranked' | 'not_ranked' | 'failed' | null;
+  change: number | null;
+}
+
+interface RankHistoryEntry {
+  checked_on: string;
+  position: number | null;
+  ranking_url: string | null;
+}
+
+interface RankSummary {
+  current: number | null;
+  change: number | null;
+  best: number | null;
+  worst: number | null;
+  average: number | null;
+  ranked_checks: number;
+  checks: number;
+  movement: { best: number | null; worst: number | null; average: number | null };
+}
+
+interface FeatureOwnership {
+  type: string;
+  seen: number;
+  owned: number;
+  owned_now: boolean;
+}
+
+interface TrackedKeywordDetail extends TrackedKeyword {
+  history: RankHistoryEntry[];
+  summary: RankSummary;
+  serp_features: FeatureOwnership[];
+}
+
+const HISTORY_RANGES = ['7', '30', '90', '365'];
+
+const FEATURE_LABELS: Record<string, string> = {
+  featured_snippet: 'Featured snippet',
+  knowledge_panel: 'Knowledge panel',
+  local_pack: 'Local pack',
+  people_also_ask: 'People also ask',
+  top_stories: 'Top stories',
+  videos: 'Videos',
+  images: 'Images',
+  shopping: 'Shopping',
+};
+
+function Movement({ value }: { value: number | null }) {
+  if (value === null) return <span className="text-slate-400">-</span>;
+  if (value === 0) {
+    return (
+      <span className="inline-flex items-center text-slate-500">
+        <Minus className="h-3 w-3 mr-1" />0
+      </span>
+    );
+  }
+  return value > 0 ? (
+    <span className="inline-flex items-center text-green-600">
+      <ArrowUp className="h-3 w-3 mr-1" />
+      {value}
+    </span>
+  ) : (
+    <span className="inline-flex items-center text-red-600">
+      <ArrowDown className="h-3 w-3 mr-1" />
+      {Math.abs(value)}
+    </span>
+  );
+}
+
+export default function RankingsPage() {
+  const [tracked, setTracked] = useState<TrackedKeyword[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+
+  const [keyword, setKeyword] = useState('');
+  const [url, setUrl] = useState('');
+  const [location, setLocation] = useState('US');
+  const [device, setDevice] = useState<'desktop' | 'mobile'>('desktop');
+  const [projectId, setProjectId] = useState<string | null>(null);
+  const [adding, setAdding] = useState(false);
+
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [detail, setDetail] = useState<TrackedKeywordDetail | null>(null);
+  const [detailLoading, setDetailLoading] = useState(false);
+  const [days, setDays] = useState('30');
+
+  const fetchTracked = useCallback(async () => {
+    try {
+      const response = await fetch('/api/rankings');
+      const data = await response.json();
+
+      if (response.status === 403 && data.error?.code === 'FEATURE_NOT_AVAILABLE') {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load tracked keywords');
+      }
+
+      setTracked(data.data || []);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTracked();
+  }, [fetchTracked]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setDetail(null);
+      return;
+    }
+
+    let active = true;
+    setDetailLoading(true);
+
+    fetch(`/api/rankings/${selectedId}?days=${days}`)
+      .then((response) => response.json().then((data) => ({ response, data })))
+      .then(({ response, data }) => {
+        if (!response.ok) {
+          throw new Error(data.error?.message || 'Failed to load rank history');
+        }
+        if (active) setDetail(data.data);
+      })
+      .catch((err) => {
+        if (active) setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      })
+      .finally(() => {
+        if (active) setDetailLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [selectedId, days]);
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!keyword.trim()) return;
+
+    setAdding(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/rankings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          keyword,
+          location,
+          device,
+          ...(url.trim() && { url: url.trim() }),
+          ...(projectId && { project_id: projectId }),
+        }),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to track keyword');
+      }
+
+      setKeyword('');
+      await fetchTracked();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const toggleEnabled = async (item: TrackedKeyword) => {
+    const response = await fetch(`/api/rankings/${item.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled: !item.enabled }),
+    });
+    if (response.ok) {
+      await fetchTracked();
+    }
+  };
+
+  const handleDelete = async (item: TrackedKeyword) => {
+    if (!confirm(`Stop tracking "${item.keyword}"? Its ranking history is deleted.`)) {
+      return;
+    }
+    const response = await fetch(`/api/rankings/${item.id}`, { method: 'DELETE' });
+    if (response.ok) {
+      if (selectedId === item.id) setSelectedId(null);
+      await fetchTracked();
+    }
+  };
+
+  if (upgradeRequired) {
+    return (
+      <Card>
+        <CardContent className="py-12 text-center space-y-4">
+          <TrendingUp className="h-12 w-12 mx-auto text-slate-300" />
+          <p className="text-lg">Rank tracking is available on the Professional and Agency plans</p>
+          <Button asChild>
+            <Link href="/pricing">Upgrade plan</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  // Unranked days are gaps in the line rather than drops to zero
+  const chartData = (detail?.history || []).map((entry) => ({
+    date: entry.checked_on,
+    position: entry.position,
+  }));
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Rank Tracking</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          Daily Google positions of your keywords by location and device
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Track a Keyword</CardTitle>
+          <CardDescription>
+            Leave the URL empty to use the selected project&apos;s website. A site URL
+            (https://example.com) matches any of its pages; a page URL matches that page only.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleAdd} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <Label htmlFor="keyword">Keyword</Label>
+                <Input
+                  id="keyword"
+                  value={keyword}
+                  onChange={(e) => setKeyword(e.target.value)}
+                  placeholder="e.g., seo audit tool"
+                  maxLength={200}
+                  required
+                  disabled={adding}
+                />
+              </div>
+              <div>
+                <Label htmlFor="url">URL</Label>
+                <Input
+                  id="url"
+                  type="url"
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  placeholder="https://example.com"
+                  disabled={adding}
+                />
+              </div>
+              <div>
+                <Label htmlFor="location">Location</Label>
+                <Select value={location} onValueChange={setLocation} disabled={adding}>
+                  <SelectTrigger id="location">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="US">United States</SelectItem>
+                    <SelectItem value="UK">United Kingdom</SelectItem>
+                    <SelectItem value="CA">Canada</SelectItem>
+                    <SelectItem value="AU">Australia</SelectItem>
+                    <SelectItem value="IN">India</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="device">Device</Label>
+                <Select
+                  value={device}
+                  onValueChange={(value) => setDevice(value as 'desktop' | 'mobile')}
+                  disabled={adding}
+                >
+                  <SelectTrigger id="device">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="desktop">Desktop</SelectItem>
+                    <SelectItem value="mobile">Mobile</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="max-w-xs">
+              <ProjectSelect
+                value={projectId}
+                onChange={(id) => setProjectId(id)}
+                disabled={adding}
+              />
+            </div>
+
+            <Button type="submit" disabled={adding || !keyword.trim()}>
+              {adding ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Track Keyword
+            </Button>
+
+            {error && <div className="text-red-600 text-sm">{error}</div>}
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Tracked Keywords</CardTitle>
+          <CardDescription>
+            Positions are checked once a day; new keywords show a position after the next check.
+            Select a keyword to see its chart.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+            </div>
+          ) : tracked.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">No keywords tracked yet</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Keyword</TableHead>
+                  <TableHead>URL</TableHead>
+                  <TableHead>Location</TableHead>
+                  <TableHead>Position</TableHead>
+                  <TableHead>Change</TableHead>
+                  <TableHead>Best</TableHead>
+                  <TableHead>Last Check</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {tracked.map((item) => (
+                  <TableRow
+                    key={item.id}
+                    className={`cursor-pointer ${selectedId === item.id ? 'bg-slate-50 dark:bg-slate-800/50' : ''}`}
+                    onClick={() => setSelectedId(item.id)}
+                  >
+                    <TableCell className="font-medium">
+                      <div className="flex items-center gap-2">
+                        {item.device === 'mobile' ? (
+                          <Smartphone className="h-4 w-4 text-slate-400" />
+                        ) : (
+                          <Monitor className="h-4 w-4 text-slate-400" />
+                        )}
+                        {item.keyword}
+                        {!item.enabled && <Badge variant="secondary">paused</Badge>}
+                      </div>
+                    </TableCell>
+                    <TableCell className="max-w-[220px] truncate text-slate-500">
+                      {item.target_url}
+                    </TableCell>
+                    <TableCell>{item.location}</TableCell>
+                    <TableCell className="font-semibold">
+                      {item.last_position ??
+                        (item.last_status === 'not_ranked' ? (
+                          <span className="text-slate-400 font-normal">Not ranked</span>
+                        ) : (
+                          '-'
+                        ))}
+                    </TableCell>
+                    <TableCell>
+                      <Movement value={item.change} />
+                    </TableCell>
+                    <TableCell>{item.best_position ?? '-'}</TableCell>
+                    <TableCell className="text-slate-500">{item.last_checked_on ?? 'Pending'}</TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex justify-end gap-1" onClick={(e) => e.stopPropagation()}>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title={item.enabled ? 'Pause tracking' : 'Resume tracking'}
+                          onClick={() => toggleEnabled(item)}
+                        >
+                          {item.enabled ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          title="Stop tracking"
+                          onClick={() => handleDelete(item)}
+                        >
+                          <Trash2 className="h-4 w-4 text-red-600" />
+                        </Button>
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedId && (
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <div>
+                <CardTitle>{detail?.keyword ?? 'Rank history'}</CardTitle>
+                <CardDescription>
+                  {detail
+                    ? `${detail.target_url} · ${detail.location} · ${detail.device}`
+                    : 'Loading...'}
+                </CardDescription>
+              </div>
+              <Select value={days} onValueChange={setDays}>
+                <SelectTrigger className="w-[140px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {HISTORY_RANGES.map((range) => (
+                    <SelectItem key={range} value={range}>
+                      Last {range} days
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-6">
+            {detailLoading || !detail ? (
+              <div className="flex justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+              </div>
+            ) : detail.history.length === 0 ? (
+              <p className="text-center text-slate-500 py-8">
+                No checks yet. The first position is recorded on the next daily run.
+              </p>
+            ) : (
+              <>
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-sm">
+                  <div>
+                    <p className="text-slate-500">Current</p>
+                    <p className="text-2xl font-bold">{detail.summary.current ?? '-'}</p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Change</p>
+                    <p className="text-2xl font-bold">
+                      <Movement value={detail.summary.change} />
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Best / Worst</p>
+                    <p className="text-2xl font-bold">
+                      {detail.summary.best ?? '-'} / {detail.summary.worst ?? '-'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Average</p>
+                    <p className="text-2xl font-bold">{detail.summary.average ?? '-'}</p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Biggest gain / drop</p>
+                    <p className="text-lg font-semibold flex gap-2">
+                      <Movement value={detail.summary.movement.best} />
+                      <Movement value={detail.summary.movement.worst} />
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-slate-500">Ranked checks</p>
+                    <p className="text-2xl font-bold">
+                      {detail.summary.ranked_checks}/{detail.summary.checks}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="h-72">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chartData} margin={{ top: 8, right: 16, bottom: 8, left: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                      <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                      {/* Position 1 at the top */}
+                      <YAxis
+                        reversed
+                        allowDecimals={false}
+                        domain={[1, 'dataMax']}
+                        tick={{ fontSize: 12 }}
+                      />
+                      <Tooltip
+                        formatter={(value) => [value ?? 'Not ranked', 'Position']}
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="position"
+                        stroke="#7c3aed"
+                        strokeWidth={2}
+                        dot={{ r: 3 }}
+                        connectNulls={false}
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+
+                {detail.serp_features.length > 0 && (
+                  <div>
+                    <h3 className="font-semibold mb-2">SERP Features</h3>
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Feature</TableHead>
+                          <TableHead>Shown</TableHead>
+                          <TableHead>Owned</TableHead>
+                          <TableHead>Owned Now</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {detail.serp_features.map((feature) => (
+                          <TableRow key={feature.type}>
+                            <TableCell>{FEATURE_LABELS[feature.type] || feature.type}</TableCell>
+                            <TableCell>
+                              {feature.seen}/{detail.history.length} days
+                            </TableCell>
+                            <TableCell>{feature.owned} days</TableCell>
+                            <TableCell>
+                              {feature.owned_now ? (
+                                <Badge>Yes</Badge>
+                              ) : (
+                                <Badge variant="secondary">No</Badge>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useParams, useRouter } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, Users } from 'lucide-react';
+import { setWorkspaceCookie } from '@/lib/workspace';
+
+interface InvitationPreview {
+  organization: { id: string; name: string };
+  email: string;
+  role: string;
+  status: string;
+  expires_at: string;
+  email_matches: boolean;
+}
+
+const CLOSED_MESSAGES: Record<string, string> = {
+  accepted: 'This invitation has already been accepted.',
+  declined: 'This invitation was declined.',
+  revoked: 'This invitation was revoked by the team.',
+  expired: 'This invitation has expired. Ask the team for a new one.',
+};
+
+export default function InvitationPage() {
+  const router = useRouter();
+  const { token } = useParams<{ token: string }>();
+  const [invitation, setInvitation] = useState<InvitationPreview | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [responding, setResponding] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await fetch(`/api/organizations/invitations/${token}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.error?.message || 'Invitation not found');
+        }
+        setInvitation(data.data);
+      } catch (err) {
+        setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const respond = async (action: 'accept' | 'decline') => {
+    setResponding(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/organizations/invitations/${token}/${action}`, {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || `Failed to ${action} invitation`);
+      }
+
+      if (action === 'accept') {
+        // Start working in the team right away
+        setWorkspaceCookie(data.data.organization.id);
+        router.push('/settings/team');
+      } else {
+        router.push('/dashboard');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      setResponding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  const closedMessage =
+    invitation && invitation.status !== 'pending' ? CLOSED_MESSAGES[invitation.status] : null;
+
+  return (
+    <div className="max-w-lg mx-auto">
+      <Card>
+        <CardHeader className="text-center">
+          <Users className="h-12 w-12 mx-auto text-slate-300" />
+          <CardTitle>
+            {invitation ? `Join ${invitation.organization.name}` : 'Team invitation'}
+          </CardTitle>
+          {invitation && (
+            <CardDescription>
+              You were invited as <span className="capitalize">{invitation.role}</span> on{' '}
+              {invitation.email}
+            </CardDescription>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {closedMessage && (
+            <Alert>
+              <AlertDescription>{closedMessage}</AlertDescription>
+            </Alert>
+          )}
+
+          {invitation && !closedMessage && !invitation.email_matches && (
+            <Alert>
+              <AlertDescription>
+                This invitation was sent to {invitation.email}. Sign in with that address to
+                accept it.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {invitation && !closedMessage && invitation.email_matches ? (
+            <div className="flex justify-center gap-2">
+              <Button onClick={() => respond('accept')} disabled={responding}>
+                {responding && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                Accept
+              </Button>
+              <Button variant="outline" onClick={() => respond('decline')} disabled={responding}>
+                Decline
+              </Button>
+            </div>
+          ) : (
+            <div className="text-center">
+              <Button asChild variant="outline">
+                <Link href="/dashboard">Go to dashboard</Link>
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
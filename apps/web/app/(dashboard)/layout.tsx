@@ -3,6 +3,8 @@ import { createClient } from '@/lib/supabase/server';
 import { redirect } from 'next/navigation';
 import { DashboardNav } from '@/components/dashboard/DashboardNav';
 import { DashboardHeader } from '@/components/dashboard/DashboardHeader';
+import { PastDueBanner } from '@/components/dashboard/PastDueBanner';
+import { getSubscriptionStatus } from '@/lib/server/subscription';
 
 export const metadata: Metadata = {
   title: 'Dashboard - Prismify',
@@ -27,6 +29,9 @@ export default async function DashboardLayout({
     redirect('/login');
   }
 
+  // Drives the banner shown while a payment is overdue (past_due or unpaid)
+  const subscription = await getSubscriptionStatus();
+
   return (
     <div className="min-h-screen bg-slate-50 dark:bg-slate-950">
       {/* Sidebar Navigation */}
@@ -35,6 +40,9 @@ export default async function DashboardLayout({
       {/* Main Content Area */}
       <div className="lg:pl-64">
         <DashboardHeader user={user} />
+        {subscription && ['past_due', 'unpaid'].includes(subscription.status) && (
+          <PastDueBanner subscription={subscription} />
+        )}
         <main className="py-8 px-4 sm:px-6 lg:px-8">{children}</main>
       </div>
     </div>
@@ -0,0 +1,396 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Copy, Check, KeyRound, Loader2, Plus, RefreshCw, Trash2 } from 'lucide-react';
+
+interface ApiKey {
+  id: string;
+  name: string;
+  key_prefix: string;
+  scopes: string[];
+  rate_limit_per_minute: number | null;
+  created_at: string;
+  last_used_at: string | null;
+  expires_at: string | null;
+  is_active: boolean;
+}
+
+interface CreatedKey extends ApiKey {
+  key: string;
+}
+
+const RESOURCES = [
+  'projects',
+  'audits',
+  'crawls',
+  'schedules',
+  'keywords',
+  'rankings',
+  'competitors',
+  'reports',
+];
+
+const EXPIRY_OPTIONS = [
+  { value: 'never', label: 'Never' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+];
+
+const DEFAULT_SCOPES = RESOURCES.map((resource) => `${resource}:read`);
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleDateString() : '-';
+
+export default function ApiKeysSettingsPage() {
+  const [keys, setKeys] = useState<ApiKey[]>([]);
+  const [maxKeys, setMaxKeys] = useState(10);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<string[]>(DEFAULT_SCOPES);
+  const [expiry, setExpiry] = useState('never');
+  const [rateLimit, setRateLimit] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const [created, setCreated] = useState<CreatedKey | null>(null);
+  const [copied, setCopied] = useState(false);
+
+  const fetchKeys = useCallback(async () => {
+    try {
+      const response = await fetch('/api/api-keys');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load API keys');
+      }
+
+      setKeys(data.data || []);
+      setMaxKeys(data.meta?.max_active_keys ?? 10);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const toggleScope = (scope: string) => {
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((item) => item !== scope) : [...current, scope]
+    );
+  };
+
+  // Shows the secret and refreshes the list after a create or rotate
+  const handleIssued = async (response: Response) => {
+    const data = await response.json();
+
+    if (response.status === 403 && data.error?.code === 'FEATURE_NOT_AVAILABLE') {
+      setUpgradeRequired(true);
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(data.error?.message || 'Failed to create API key');
+    }
+
+    setCreated(data.data);
+    setCopied(false);
+    await fetchKeys();
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim() || scopes.length === 0) return;
+
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/api-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: name.trim(),
+          scopes,
+          ...(expiry !== 'never' && { expires_in_days: Number(expiry) }),
+          ...(rateLimit && { rate_limit_per_minute: Number(rateLimit) }),
+        }),
+      });
+      await handleIssued(response);
+      setName('');
+      setRateLimit('');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRotate = async (apiKey: ApiKey) => {
+    if (!confirm(`Rotate "${apiKey.name}"? The current key stops working immediately.`)) {
+      return;
+    }
+    setError(null);
+    try {
+      await handleIssued(await fetch(`/api/api-keys/${apiKey.id}/rotate`, { method: 'POST' }));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!confirm(`Revoke "${apiKey.name}"? Requests using it will be rejected.`)) {
+      return;
+    }
+    const response = await fetch(`/api/api-keys/${apiKey.id}`, { method: 'DELETE' });
+    if (response.ok) {
+      if (created?.id === apiKey.id) setCreated(null);
+      await fetchKeys();
+    }
+  };
+
+  const copyKey = async () => {
+    if (!created) return;
+    await navigator.clipboard.writeText(created.key);
+    setCopied(true);
+  };
+
+  if (upgradeRequired) {
+    return (
+      <Card>
+        <CardContent className="py-12 text-center space-y-4">
+          <KeyRound className="h-12 w-12 mx-auto text-slate-300" />
+          <p className="text-lg">API access is available on the Professional and Agency plans</p>
+          <Button asChild>
+            <Link href="/pricing">Upgrade plan</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">API Keys</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          Call the Prismify API from scripts and integrations with{' '}
+          <code className="text-sm">Authorization: Bearer pk_...</code>
+        </p>
+      </div>
+
+      {created && (
+        <Alert>
+          <KeyRound className="h-4 w-4" />
+          <AlertDescription className="space-y-3">
+            <p>
+              <strong>{created.name}</strong> is ready. Copy the key now; it will not be shown
+              again.
+            </p>
+            <div className="flex gap-2">
+              <Input readOnly value={created.key} className="font-mono text-sm" />
+              <Button type="button" variant="outline" onClick={copyKey}>
+                {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+              </Button>
+            </div>
+          </AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Create a Key</CardTitle>
+          <CardDescription>
+            Give each integration its own key with only the scopes it needs. Write scopes allow
+            creating, changing and deleting; read scopes allow viewing.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <Label htmlFor="key-name">Name</Label>
+                <Input
+                  id="key-name"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  placeholder="e.g., Reporting script"
+                  maxLength={100}
+                  required
+                  disabled={creating}
+                />
+              </div>
+              <div>
+                <Label htmlFor="key-expiry">Expires</Label>
+                <Select value={expiry} onValueChange={setExpiry} disabled={creating}>
+                  <SelectTrigger id="key-expiry">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {EXPIRY_OPTIONS.map((option) => (
+                      <SelectItem key={option.value} value={option.value}>
+                        {option.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label htmlFor="key-rate-limit">Requests per minute</Label>
+                <Input
+                  id="key-rate-limit"
+                  type="number"
+                  min={1}
+                  value={rateLimit}
+                  onChange={(e) => setRateLimit(e.target.value)}
+                  placeholder="Plan limit"
+                  disabled={creating}
+                />
+              </div>
+            </div>
+
+            <div>
+              <Label>Scopes</Label>
+              <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-3">
+                {RESOURCES.map((resource) => (
+                  <div key={resource} className="rounded-lg border p-3 text-sm">
+                    <p className="font-medium capitalize mb-2">{resource}</p>
+                    {['read', 'write'].map((action) => {
+                      const scope = `${resource}:${action}`;
+                      return (
+                        <label key={scope} className="flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={scopes.includes(scope)}
+                            onChange={() => toggleScope(scope)}
+                            disabled={creating}
+                          />
+                          {action}
+                        </label>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              disabled={creating || !name.trim() || scopes.length === 0 || keys.length >= maxKeys}
+            >
+              {creating ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Create Key
+            </Button>
+
+            {error && <div className="text-red-600 text-sm">{error}</div>}
+          </form>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Active Keys</CardTitle>
+          <CardDescription>
+            {keys.length} of {maxKeys} keys in use
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+            </div>
+          ) : keys.length === 0 ? (
+            <p className="text-center text-slate-500 py-8">No API keys yet</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead>Key</TableHead>
+                  <TableHead>Scopes</TableHead>
+                  <TableHead>Rate Limit</TableHead>
+                  <TableHead>Last Used</TableHead>
+                  <TableHead>Expires</TableHead>
+                  <TableHead className="text-right">Actions</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {keys.map((apiKey) => (
+                  <TableRow key={apiKey.id}>
+                    <TableCell className="font-medium">{apiKey.name}</TableCell>
+                    <TableCell className="font-mono text-sm">{apiKey.key_prefix}...</TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        {apiKey.scopes.map((scope) => (
+                          <Badge key={scope} variant="secondary">
+                            {scope}
+                          </Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                    <TableCell>
+                      {apiKey.rate_limit_per_minute
+                        ? `${apiKey.rate_limit_per_minute}/min`
+                        : 'Plan limit'}
+                    </TableCell>
+                    <TableCell>{formatDate(apiKey.last_used_at)}</TableCell>
+                    <TableCell>{apiKey.expires_at ? formatDate(apiKey.expires_at) : 'Never'}</TableCell>
+                    <TableCell className="text-right whitespace-nowrap">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleRotate(apiKey)}
+                        title="Rotate"
+                      >
+                        <RefreshCw className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleRevoke(apiKey)}
+                        title="Revoke"
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
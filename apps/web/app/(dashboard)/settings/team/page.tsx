@@ -0,0 +1,601 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/navigation';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { Loader2, LogOut, Mail, Plus, Trash2, Users } from 'lucide-react';
+import { createClient } from '@/lib/supabase/client';
+import { getWorkspaceCookie, setWorkspaceCookie } from '@/lib/workspace';
+
+type Role = 'owner' | 'admin' | 'editor' | 'viewer';
+
+interface Organization {
+  id: string;
+  name: string;
+  owner_id: string;
+  role: Role;
+}
+
+interface Member {
+  user_id: string;
+  email: string | null;
+  full_name: string | null;
+  role: Role;
+  joined_at: string;
+}
+
+interface Invitation {
+  id: string;
+  email: string;
+  role: Role;
+  expires_at: string;
+}
+
+interface OrganizationDetail extends Organization {
+  plan: string;
+  team_collaboration: boolean;
+  members: Member[];
+  invitations: Invitation[];
+}
+
+const ASSIGNABLE_ROLES: Role[] = ['admin', 'editor', 'viewer'];
+
+const ROLE_RANK: Record<Role, number> = { viewer: 0, editor: 1, admin: 2, owner: 3 };
+
+const ROLE_DESCRIPTIONS: Record<Role, string> = {
+  owner: 'Everything, including billing and deleting the team',
+  admin: 'Manage projects, audits, keywords and members',
+  editor: 'Create and change projects, audits and keywords',
+  viewer: 'Read only',
+};
+
+const formatDate = (value: string) => new Date(value).toLocaleDateString();
+
+// Mirrors the backend rule: members only manage and grant roles below their own
+const canManage = (actor: Role, target: Role) => ROLE_RANK[target] < ROLE_RANK[actor];
+
+export default function TeamSettingsPage() {
+  const router = useRouter();
+  const [userId, setUserId] = useState<string | null>(null);
+  const [organizations, setOrganizations] = useState<Organization[]>([]);
+  const [activeId, setActiveId] = useState<string | null>(null);
+  const [organization, setOrganization] = useState<OrganizationDetail | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [upgradeRequired, setUpgradeRequired] = useState(false);
+
+  const [teamName, setTeamName] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState<Role>('editor');
+  const [inviting, setInviting] = useState(false);
+  const [invitationUrl, setInvitationUrl] = useState<string | null>(null);
+
+  const fetchOrganization = useCallback(async (organizationId: string) => {
+    const response = await fetch(`/api/organizations/${organizationId}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.message || 'Failed to load team');
+    }
+    setOrganization(data.data);
+  }, []);
+
+  const fetchOrganizations = useCallback(async () => {
+    try {
+      const response = await fetch('/api/organizations');
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to load teams');
+      }
+
+      const list: Organization[] = data.data || [];
+      const selected = getWorkspaceCookie();
+      const current = list.find((org) => org.id === selected) || null;
+
+      // Drop a workspace the user no longer belongs to
+      if (selected && !current) {
+        setWorkspaceCookie(null);
+      }
+
+      setOrganizations(list);
+      setActiveId(current?.id ?? null);
+
+      const shown = current || list[0];
+      if (shown) {
+        await fetchOrganization(shown.id);
+      } else {
+        setOrganization(null);
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchOrganization]);
+
+  useEffect(() => {
+    fetchOrganizations();
+    createClient()
+      .auth.getUser()
+      .then(({ data }) => setUserId(data.user?.id ?? null));
+  }, [fetchOrganizations]);
+
+  // Runs a mutation and reloads the teams, surfacing the backend error message
+  const mutate = async (request: Promise<Response>, fallback: string) => {
+    setError(null);
+    try {
+      const response = await request;
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error?.message || fallback);
+      }
+      await fetchOrganizations();
+      return data;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      return null;
+    }
+  };
+
+  const switchWorkspace = (organizationId: string | null) => {
+    setWorkspaceCookie(organizationId);
+    setActiveId(organizationId);
+    if (organizationId) {
+      fetchOrganization(organizationId).catch((err) => setError(err.message));
+    }
+    router.refresh();
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!teamName.trim()) return;
+
+    setCreating(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/organizations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: teamName.trim() }),
+      });
+      const data = await response.json();
+
+      if (response.status === 403 && data.error?.code === 'FEATURE_NOT_AVAILABLE') {
+        setUpgradeRequired(true);
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(data.error?.message || 'Failed to create team');
+      }
+
+      setTeamName('');
+      setWorkspaceCookie(data.data.id);
+      await fetchOrganizations();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleInvite = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!organization || !inviteEmail.trim()) return;
+
+    setInviting(true);
+    const data = await mutate(
+      fetch(`/api/organizations/${organization.id}/invitations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: inviteEmail.trim(), role: inviteRole }),
+      }),
+      'Failed to send invitation'
+    );
+    if (data) {
+      setInviteEmail('');
+      setInvitationUrl(data.data.invitation_url);
+    }
+    setInviting(false);
+  };
+
+  const handleRevoke = async (invitation: Invitation) => {
+    if (!organization) return;
+    await mutate(
+      fetch(`/api/organizations/${organization.id}/invitations/${invitation.id}`, {
+        method: 'DELETE',
+      }),
+      'Failed to revoke invitation'
+    );
+  };
+
+  const handleRoleChange = async (member: Member, role: string) => {
+    if (!organization) return;
+    await mutate(
+      fetch(`/api/organizations/${organization.id}/members/${member.user_id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role }),
+      }),
+      'Failed to change role'
+    );
+  };
+
+  const handleRemove = async (member: Member, leaving: boolean) => {
+    if (!organization) return;
+    const prompt = leaving
+      ? `Leave ${organization.name}? You lose access to its shared projects.`
+      : `Remove ${member.email || 'this member'} from ${organization.name}?`;
+    if (!confirm(prompt)) {
+      return;
+    }
+
+    if (leaving && activeId === organization.id) {
+      setWorkspaceCookie(null);
+    }
+    await mutate(
+      fetch(`/api/organizations/${organization.id}/members/${member.user_id}`, {
+        method: 'DELETE',
+      }),
+      leaving ? 'Failed to leave team' : 'Failed to remove member'
+    );
+  };
+
+  const handleDelete = async () => {
+    if (!organization) return;
+    if (
+      !confirm(
+        `Delete ${organization.name}? Its shared projects, audits and keywords are deleted for every member.`
+      )
+    ) {
+      return;
+    }
+
+    if (activeId === organization.id) {
+      setWorkspaceCookie(null);
+    }
+    await mutate(
+      fetch(`/api/organizations/${organization.id}`, { method: 'DELETE' }),
+      'Failed to delete team'
+    );
+  };
+
+  if (upgradeRequired) {
+    return (
+      <Card>
+        <CardContent className="py-12 text-center space-y-4">
+          <Users className="h-12 w-12 mx-auto text-slate-300" />
+          <p className="text-lg">Team workspaces are available on the Agency plan</p>
+          <Button asChild>
+            <Link href="/pricing">Upgrade plan</Link>
+          </Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="h-6 w-6 animate-spin text-slate-400" />
+      </div>
+    );
+  }
+
+  const myRole = organization?.role;
+  const canManageMembers = myRole === 'owner' || myRole === 'admin';
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold tracking-tight">Team</h1>
+        <p className="text-slate-500 dark:text-slate-400 mt-2">
+          Share projects, audits and keywords with your team. The team uses the owner&apos;s
+          plan and quotas.
+        </p>
+      </div>
+
+      {error && (
+        <Alert variant="destructive">
+          <AlertDescription>{error}</AlertDescription>
+        </Alert>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Workspace</CardTitle>
+          <CardDescription>
+            Choose where new projects, audits and keywords are created and which ones you see.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {[{ id: null, name: 'Personal', role: null }, ...organizations].map((workspace) => (
+            <div
+              key={workspace.id ?? 'personal'}
+              className="flex items-center justify-between rounded-lg border p-3"
+            >
+              <div className="flex items-center gap-2">
+                <span className="font-medium">{workspace.name}</span>
+                {workspace.role && (
+                  <Badge variant="secondary" className="capitalize">
+                    {workspace.role}
+                  </Badge>
+                )}
+              </div>
+              {activeId === workspace.id ? (
+                <Badge>Active</Badge>
+              ) : (
+                <Button variant="outline" size="sm" onClick={() => switchWorkspace(workspace.id)}>
+                  Switch
+                </Button>
+              )}
+            </div>
+          ))}
+
+          <form onSubmit={handleCreate} className="flex gap-2 pt-2">
+            <Input
+              value={teamName}
+              onChange={(e) => setTeamName(e.target.value)}
+              placeholder="New team name"
+              maxLength={100}
+              disabled={creating}
+            />
+            <Button type="submit" disabled={creating || !teamName.trim()}>
+              {creating ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <Plus className="mr-2 h-4 w-4" />
+              )}
+              Create Team
+            </Button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {organization && (
+        <>
+          {!organization.team_collaboration && (
+            <Alert>
+              <AlertDescription>
+                The owner&apos;s plan no longer includes team workspaces. Members can still be
+                removed, but new invitations and shared work are paused until the owner upgrades.
+              </AlertDescription>
+            </Alert>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle>{organization.name} Members</CardTitle>
+              <CardDescription>
+                {organization.members.length} member
+                {organization.members.length === 1 ? '' : 's'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Member</TableHead>
+                    <TableHead>Role</TableHead>
+                    <TableHead>Joined</TableHead>
+                    <TableHead className="text-right">Actions</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {organization.members.map((member) => {
+                    const manageable = myRole ? canManage(myRole, member.role) : false;
+                    // The owner cannot leave; they delete the team instead
+                    const canLeave = member.user_id === userId && member.role !== 'owner';
+
+                    return (
+                      <TableRow key={member.user_id}>
+                        <TableCell>
+                          <p className="font-medium">{member.full_name || member.email}</p>
+                          {member.full_name && (
+                            <p className="text-sm text-slate-500">{member.email}</p>
+                          )}
+                        </TableCell>
+                        <TableCell>
+                          {manageable && myRole ? (
+                            <Select
+                              value={member.role}
+                              onValueChange={(role) => handleRoleChange(member, role)}
+                            >
+                              <SelectTrigger className="w-32">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {ASSIGNABLE_ROLES.filter((role) => canManage(myRole, role)).map(
+                                  (role) => (
+                                    <SelectItem key={role} value={role} className="capitalize">
+                                      {role}
+                                    </SelectItem>
+                                  )
+                                )}
+                              </SelectContent>
+                            </Select>
+                          ) : (
+                            <Badge variant="secondary" className="capitalize">
+                              {member.role}
+                            </Badge>
+                          )}
+                        </TableCell>
+                        <TableCell>{formatDate(member.joined_at)}</TableCell>
+                        <TableCell className="text-right">
+                          {manageable && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleRemove(member, false)}
+                              title="Remove"
+                            >
+                              <Trash2 className="h-4 w-4 text-red-500" />
+                            </Button>
+                          )}
+                          {canLeave && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleRemove(member, true)}
+                              title="Leave"
+                            >
+                              <LogOut className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+
+          {canManageMembers && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Invite Members</CardTitle>
+                <CardDescription>
+                  Invitations are emailed and expire after 7 days. Only the invited address can
+                  accept.
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <form onSubmit={handleInvite} className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                      <Label htmlFor="invite-email">Email</Label>
+                      <Input
+                        id="invite-email"
+                        type="email"
+                        value={inviteEmail}
+                        onChange={(e) => setInviteEmail(e.target.value)}
+                        placeholder="teammate@example.com"
+                        required
+                        disabled={inviting}
+                      />
+                    </div>
+                    <div>
+                      <Label htmlFor="invite-role">Role</Label>
+                      <Select
+                        value={inviteRole}
+                        onValueChange={(role) => setInviteRole(role as Role)}
+                        disabled={inviting}
+                      >
+                        <SelectTrigger id="invite-role">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {ASSIGNABLE_ROLES.filter((role) => myRole && canManage(myRole, role)).map(
+                            (role) => (
+                              <SelectItem key={role} value={role} className="capitalize">
+                                {role}
+                              </SelectItem>
+                            )
+                          )}
+                        </SelectContent>
+                      </Select>
+                      <p className="text-xs text-slate-500 mt-1">{ROLE_DESCRIPTIONS[inviteRole]}</p>
+                    </div>
+                  </div>
+                  <Button
+                    type="submit"
+                    disabled={inviting || !inviteEmail.trim() || !organization.team_collaboration}
+                  >
+                    {inviting ? (
+                      <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                    ) : (
+                      <Mail className="mr-2 h-4 w-4" />
+                    )}
+                    Send Invitation
+                  </Button>
+                </form>
+
+                {invitationUrl && (
+                  <div>
+                    <Label>Invitation link</Label>
+                    <Input readOnly value={invitationUrl} className="font-mono text-sm" />
+                  </div>
+                )}
+
+                {organization.invitations.length > 0 && (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Email</TableHead>
+                        <TableHead>Role</TableHead>
+                        <TableHead>Expires</TableHead>
+                        <TableHead className="text-right">Actions</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {organization.invitations.map((invitation) => (
+                        <TableRow key={invitation.id}>
+                          <TableCell>{invitation.email}</TableCell>
+                          <TableCell className="capitalize">{invitation.role}</TableCell>
+                          <TableCell>{formatDate(invitation.expires_at)}</TableCell>
+                          <TableCell className="text-right">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => handleRevoke(invitation)}
+                              title="Revoke"
+                            >
+                              <Trash2 className="h-4 w-4 text-red-500" />
+                            </Button>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </CardContent>
+            </Card>
+          )}
+
+          {myRole === 'owner' && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Delete Team</CardTitle>
+                <CardDescription>
+                  Deletes the team with its shared projects, audits and keywords.
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <Button variant="destructive" onClick={handleDelete}>
+                  <Trash2 className="mr-2 h-4 w-4" />
+                  Delete {organization.name}
+                </Button>
+              </CardContent>
+            </Card>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+const COSTS_ENDPOINT = buildBackendUrl('admin/ai/costs');
+const CACHE_ENDPOINT = buildBackendUrl('admin/ai/cache');
+
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const [costRes, cacheRes] = await Promise.all([
+      fetch(`${COSTS_ENDPOINT}${request.nextUrl.search}`, {
+        headers: auth.headers,
+      }),
+      fetch(CACHE_ENDPOINT, {
+        headers: auth.headers,
+      }),
+    ]);
+
+    const costData = await costRes.json();
+    const cacheData = await cacheRes.json();
+
+    if (!costRes.ok || costData.success === false) {
+      return NextResponse.json(costData, { status: costRes.status });
+    }
+
+    if (!cacheRes.ok || cacheData.success === false) {
+      return NextResponse.json(cacheData, { status: cacheRes.status });
+    }
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: {
+          costs: costData.data,
+          cache: cacheData.data,
+        },
+      },
+      { status: 200 }
+    );
+  } catch (error) {
+    console.error('Admin AI usage fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch AI usage' },
+      { status: 500 }
+    );
+  }
+}
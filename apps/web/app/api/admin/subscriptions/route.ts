@@ -0,0 +1,28 @@
+import { NextResponse } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+const ADMIN_SUBSCRIPTIONS_ENDPOINT = buildBackendUrl('admin/subscriptions');
+
+export async function GET() {
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const response = await fetch(ADMIN_SUBSCRIPTIONS_ENDPOINT, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Admin subscriptions fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch subscriptions' },
+      { status: 500 }
+    );
+  }
+}
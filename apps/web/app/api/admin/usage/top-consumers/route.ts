@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+const TOP_CONSUMERS_ENDPOINT = buildBackendUrl('admin/usage/top-consumers');
+
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const response = await fetch(`${TOP_CONSUMERS_ENDPOINT}${request.nextUrl.search}`, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Admin top consumers fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch top consumers' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function PATCH(request: NextRequest, context: { params: { id: string } }) {
+  const userId = context.params?.id;
+
+  if (!userId) {
+    return NextResponse.json({ error: 'Missing user id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    const endpoint = buildBackendUrl(`admin/users/${encodeURIComponent(userId)}/subscription`);
+    const response = await fetch(endpoint, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Admin subscription override error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update subscription' },
+      { status: 500 }
+    );
+  }
+}
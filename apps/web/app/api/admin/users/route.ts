@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+const ADMIN_USERS_ENDPOINT = buildBackendUrl('admin/users');
+
+export async function GET(request: NextRequest) {
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Forward search, filters and paging as they are
+    const response = await fetch(`${ADMIN_USERS_ENDPOINT}${request.nextUrl.search}`, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    return NextResponse.json(
+      { error: 'Failed to search users' },
+      { status: 500 }
+    );
+  }
+}
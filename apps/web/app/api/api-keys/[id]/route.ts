@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function DELETE(_request: NextRequest, context: { params: { id: string } }) {
+  const keyId = context.params?.id;
+
+  if (!keyId) {
+    return NextResponse.json({ error: 'Missing API key id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`api-keys/${encodeURIComponent(keyId)}`);
+    const response = await fetch(endpoint, {
+      method: 'DELETE',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('API key revoke error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke API key' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function GET(
+  _request: NextRequest,
+  context: { params: { id: string; otherId: string } }
+) {
+  const auditId = context.params?.id;
+  const otherId = context.params?.otherId;
+
+  if (!auditId || !otherId) {
+    return NextResponse.json({ error: 'Missing audit id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(
+      `audits/${encodeURIComponent(auditId)}/compare/${encodeURIComponent(otherId)}`
+    );
+    const response = await fetch(endpoint, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Audit comparison error:', error);
+    return NextResponse.json(
+      { error: 'Failed to compare audits' },
+      { status: 500 }
+    );
+  }
+}
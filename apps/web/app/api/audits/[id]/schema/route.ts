@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function POST(request: NextRequest, context: { params: { id: string } }) {
+  const auditId = context.params?.id;
+
+  if (!auditId) {
+    return NextResponse.json({ error: 'Missing audit id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const endpoint = buildBackendUrl(`audits/${encodeURIComponent(auditId)}/schema`);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Audit schema error:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate schema' },
+      { status: 500 }
+    );
+  }
+}
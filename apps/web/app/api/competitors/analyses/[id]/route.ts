@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function GET(_request: NextRequest, context: { params: { id: string } }) {
+  const analysisId = context.params?.id;
+
+  if (!analysisId) {
+    return NextResponse.json({ error: 'Missing competitor analysis id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`competitors/analyses/${encodeURIComponent(analysisId)}`);
+    const response = await fetch(endpoint, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Competitor analysis fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch competitor analysis' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+type RouteContext = { params: { id: string } };
+
+async function forward(request: NextRequest, context: RouteContext, method: string) {
+  const setId = context.params?.id;
+
+  if (!setId) {
+    return NextResponse.json({ error: 'Missing competitor set id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`competitors/sets/${encodeURIComponent(setId)}`);
+    const response = await fetch(endpoint, {
+      method,
+      headers:
+        method === 'PATCH'
+          ? { 'Content-Type': 'application/json', ...auth.headers }
+          : auth.headers,
+      ...(method === 'PATCH' && { body: JSON.stringify(await request.json()) }),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error(`Competitor set ${method} error:`, error);
+    return NextResponse.json(
+      { error: 'Failed to process competitor set request' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET(request: NextRequest, context: RouteContext) {
+  return forward(request, context, 'GET');
+}
+
+export async function PATCH(request: NextRequest, context: RouteContext) {
+  return forward(request, context, 'PATCH');
+}
+
+export async function DELETE(request: NextRequest, context: RouteContext) {
+  return forward(request, context, 'DELETE');
+}
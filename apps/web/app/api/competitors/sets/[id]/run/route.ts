@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function POST(_request: NextRequest, context: { params: { id: string } }) {
+  const setId = context.params?.id;
+
+  if (!setId) {
+    return NextResponse.json({ error: 'Missing competitor set id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`competitors/sets/${encodeURIComponent(setId)}/run`);
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Competitor set run error:', error);
+    return NextResponse.json(
+      { error: 'Failed to run competitor set' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function DELETE(
+  _request: NextRequest,
+  context: { params: { id: string; invitationId: string } }
+) {
+  const organizationId = context.params?.id;
+  const invitationId = context.params?.invitationId;
+
+  if (!organizationId || !invitationId) {
+    return NextResponse.json({ error: 'Missing invitation id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(
+      `organizations/${encodeURIComponent(organizationId)}/invitations/${encodeURIComponent(invitationId)}`
+    );
+    const response = await fetch(endpoint, {
+      method: 'DELETE',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Invitation revoke error:', error);
+    return NextResponse.json(
+      { error: 'Failed to revoke invitation' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function POST(request: NextRequest, context: { params: { id: string } }) {
+  const organizationId = context.params?.id;
+
+  if (!organizationId) {
+    return NextResponse.json({ error: 'Missing organization id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    const endpoint = buildBackendUrl(
+      `organizations/${encodeURIComponent(organizationId)}/invitations`
+    );
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Invitation creation error:', error);
+    return NextResponse.json(
+      { error: 'Failed to send invitation' },
+      { status: 500 }
+    );
+  }
+}
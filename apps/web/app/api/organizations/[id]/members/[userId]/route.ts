@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+type MemberContext = { params: { id: string; userId: string } };
+
+const memberEndpoint = ({ params }: MemberContext) =>
+  buildBackendUrl(
+    `organizations/${encodeURIComponent(params.id)}/members/${encodeURIComponent(params.userId)}`
+  );
+
+export async function PATCH(request: NextRequest, context: MemberContext) {
+  if (!context.params?.id || !context.params?.userId) {
+    return NextResponse.json({ error: 'Missing member id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    const response = await fetch(memberEndpoint(context), {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Member update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update member' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(_request: NextRequest, context: MemberContext) {
+  if (!context.params?.id || !context.params?.userId) {
+    return NextResponse.json({ error: 'Missing member id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const response = await fetch(memberEndpoint(context), {
+      method: 'DELETE',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Member removal error:', error);
+    return NextResponse.json(
+      { error: 'Failed to remove member' },
+      { status: 500 }
+    );
+  }
+}
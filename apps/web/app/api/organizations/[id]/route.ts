@@ -0,0 +1,102 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function GET(_request: NextRequest, context: { params: { id: string } }) {
+  const organizationId = context.params?.id;
+
+  if (!organizationId) {
+    return NextResponse.json({ error: 'Missing organization id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`organizations/${encodeURIComponent(organizationId)}`);
+    const response = await fetch(endpoint, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Organization fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch organization' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request: NextRequest, context: { params: { id: string } }) {
+  const organizationId = context.params?.id;
+
+  if (!organizationId) {
+    return NextResponse.json({ error: 'Missing organization id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    const endpoint = buildBackendUrl(`organizations/${encodeURIComponent(organizationId)}`);
+    const response = await fetch(endpoint, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...auth.headers,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Organization update error:', error);
+    return NextResponse.json(
+      { error: 'Failed to update organization' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(_request: NextRequest, context: { params: { id: string } }) {
+  const organizationId = context.params?.id;
+
+  if (!organizationId) {
+    return NextResponse.json({ error: 'Missing organization id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`organizations/${encodeURIComponent(organizationId)}`);
+    const response = await fetch(endpoint, {
+      method: 'DELETE',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Organization delete error:', error);
+    return NextResponse.json(
+      { error: 'Failed to delete organization' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function POST(_request: NextRequest, context: { params: { token: string } }) {
+  const token = context.params?.token;
+
+  if (!token) {
+    return NextResponse.json({ error: 'Missing invitation token' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(
+      `organizations/invitations/${encodeURIComponent(token)}/decline`
+    );
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Invitation decline error:', error);
+    return NextResponse.json(
+      { error: 'Failed to decline invitation' },
+      { status: 500 }
+    );
+  }
+}
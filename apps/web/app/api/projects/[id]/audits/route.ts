@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import type { NextRequest } from 'next/server';
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export async function GET(request: NextRequest, context: { params: { id: string } }) {
+  const projectId = context.params?.id;
+
+  if (!projectId) {
+    return NextResponse.json({ error: 'Missing project id' }, { status: 400 });
+  }
+
+  try {
+    const auth = await getProxyAuthHeaders();
+
+    if (!auth) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const endpoint = buildBackendUrl(`projects/${encodeURIComponent(projectId)}/audits`);
+    const response = await fetch(`${endpoint}${request.nextUrl.search}`, {
+      headers: auth.headers,
+    });
+
+    const data = await response.json();
+    return NextResponse.json(data, { status: response.status });
+  } catch (error) {
+    console.error('Project audits fetch error:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch project audits' },
+      { status: 500 }
+    );
+  }
+}
@@ -12,8 +12,9 @@ import {
   DropdownMenuTrigger,
 } from '@/components/ui/dropdown-menu';
 import { Avatar, AvatarFallback } from '@/components/ui/avatar';
-import { LogOut, User as UserIcon, CreditCard } from 'lucide-react';
+import { LogOut, User as UserIcon, CreditCard, KeyRound, Users, Shield } from 'lucide-react';
 import type { User } from '@supabase/supabase-js';
+import { isAdminUser } from '@/lib/admin';
 
 /**
  * Dashboard header with user menu
@@ -84,6 +85,29 @@ export function DashboardHeader({ user }: { user: User }) {
                 <CreditCard className="mr-2 h-4 w-4" />
                 Subscription
               </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => router.push('/settings/api-keys')}
+                className="cursor-pointer"
+              >
+                <KeyRound className="mr-2 h-4 w-4" />
+                API Keys
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => router.push('/settings/team')}
+                className="cursor-pointer"
+              >
+                <Users className="mr-2 h-4 w-4" />
+                Team
+              </DropdownMenuItem>
+              {isAdminUser(user) && (
+                <DropdownMenuItem
+                  onClick={() => router.push('/admin')}
+                  className="cursor-pointer"
+                >
+                  <Shield className="mr-2 h-4 w-4" />
+                  Admin
+                </DropdownMenuItem>
+              )}
               <DropdownMenuSeparator />
               <DropdownMenuItem
                 onClick={handleSignOut}
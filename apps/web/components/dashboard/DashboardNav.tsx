@@ -11,13 +11,19 @@ import {
   Search,
   History,
   Key,
+  FolderKanban,
+  TrendingUp,
+  Swords,
 } from 'lucide-react';
 
 const navigation = [
   { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
+  { name: 'Projects', href: '/dashboard/projects', icon: FolderKanban },
   { name: 'Run Audit', href: '/dashboard/audits', icon: Search },
   { name: 'Audit History', href: '/dashboard/audits/history', icon: History },
   { name: 'Keywords', href: '/dashboard/keywords', icon: Key },
+  { name: 'Rankings', href: '/dashboard/rankings', icon: TrendingUp },
+  { name: 'Competitors', href: '/dashboard/competitors', icon: Swords },
   { name: 'Analytics', href: '/dashboard/analytics', icon: BarChart3 },
   { name: 'Settings', href: '/dashboard/settings', icon: Settings },
 ];
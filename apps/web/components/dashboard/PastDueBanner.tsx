@@ -0,0 +1,71 @@
+'use client';
+
+import { useState } from 'react';
+import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
+import { Button } from '@/components/ui/button';
+import { AlertTriangle, Loader2 } from 'lucide-react';
+import type { SubscriptionStatus } from '@/lib/server/subscription';
+
+interface PastDueBannerProps {
+  subscription: SubscriptionStatus;
+}
+
+/**
+ * Shown across the dashboard while a payment has failed (past_due) or the grace period
+ * has run out (unpaid), with a one-click link to the Stripe billing portal
+ */
+export function PastDueBanner({ subscription }: PastDueBannerProps) {
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const suspended = subscription.status === 'unpaid' || !subscription.in_grace_period;
+  const endsAt = subscription.grace_period_ends_at
+    ? new Date(subscription.grace_period_ends_at).toLocaleDateString()
+    : null;
+
+  const openPortal = async () => {
+    setOpening(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/billing/portal', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ returnUrl: window.location.href }),
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.data?.url) {
+        throw new Error(data.error?.message || 'Failed to open billing portal');
+      }
+
+      window.location.href = data.data.url;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'An unexpected error occurred');
+      setOpening(false);
+    }
+  };
+
+  return (
+    <div className="px-4 pt-4 sm:px-6 lg:px-8">
+      <Alert variant="destructive">
+        <AlertTriangle />
+        <AlertTitle>
+          {suspended ? 'Your subscription is suspended' : 'Your last payment failed'}
+        </AlertTitle>
+        <AlertDescription>
+          <p>
+            {suspended
+              ? 'Update your payment method to restore access to audits, keyword research and reports.'
+              : `Update your payment method to keep access. Your plan will be suspended in ${subscription.days_remaining} ${subscription.days_remaining === 1 ? 'day' : 'days'}${endsAt ? ` (${endsAt})` : ''}.`}
+          </p>
+          {error && <p>{error}</p>}
+          <Button size="sm" className="mt-2" onClick={openPortal} disabled={opening}>
+            {opening && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Update payment method
+          </Button>
+        </AlertDescription>
+      </Alert>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { Label } from '@/components/ui/label';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+
+export interface ProjectOption {
+  id: string;
+  name: string;
+  website_url: string | null;
+}
+
+const NO_PROJECT = 'none';
+
+/**
+ * Project picker for forms that can assign their result to a project
+ * Lists active projects; `value` is null when nothing is assigned.
+ */
+export function ProjectSelect({
+  value,
+  onChange,
+  disabled,
+  id = 'project',
+}: {
+  value: string | null;
+  onChange: (projectId: string | null, project: ProjectOption | null) => void;
+  disabled?: boolean;
+  id?: string;
+}) {
+  const [projects, setProjects] = useState<ProjectOption[]>([]);
+
+  useEffect(() => {
+    let active = true;
+
+    fetch('/api/projects?active=true')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (active && data?.data) {
+          setProjects(data.data);
+        }
+      })
+      .catch(() => {
+        // Projects are optional; the form still works without the list
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return (
+    <div>
+      <Label htmlFor={id}>Project</Label>
+      <Select
+        value={value || NO_PROJECT}
+        onValueChange={(selected) => {
+          const project = projects.find((item) => item.id === selected) || null;
+          onChange(project ? project.id : null, project);
+        }}
+        disabled={disabled}
+      >
+        <SelectTrigger id={id}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NO_PROJECT}>No project</SelectItem>
+          {projects.map((project) => (
+            <SelectItem key={project.id} value={project.id}>
+              {project.name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
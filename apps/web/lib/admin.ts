@@ -0,0 +1,9 @@
+import type { User } from '@supabase/supabase-js';
+
+/**
+ * Whether the user may see the admin section. Matches the API's requireAdmin:
+ * only app_metadata counts, since users can edit their own user_metadata.
+ */
+export function isAdminUser(user: User | null | undefined): boolean {
+  return user?.app_metadata?.role === 'admin';
+}
@@ -1,4 +1,6 @@
+import { cookies } from 'next/headers';
 import { createClient } from '@/lib/supabase/server';
+import { WORKSPACE_COOKIE } from '@/lib/workspace';
 
 interface ProxyAuthHeaders {
   headers: Record<string, string>;
@@ -7,6 +9,20 @@ interface ProxyAuthHeaders {
 
 const DEV_AUTH_BYPASS_ENABLED = process.env.DEV_AUTH_BYPASS === 'true';
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Selects the shared organization workspace on the backend (X-Organization-Id)
+ */
+async function getWorkspaceHeaders(): Promise<Record<string, string>> {
+  const cookieStore = await cookies();
+  const organizationId = cookieStore.get(WORKSPACE_COOKIE)?.value;
+
+  return organizationId && UUID_PATTERN.test(organizationId)
+    ? { 'X-Organization-Id': organizationId }
+    : {};
+}
+
 /**
  * Resolves authorization headers for proxying API requests to the backend.
  * Prefers the current Supabase session token, but falls back to a dev bypass
@@ -23,6 +39,7 @@ export async function getProxyAuthHeaders(): Promise<ProxyAuthHeaders | null> {
       return {
         headers: {
           Authorization: `Bearer ${session.access_token}`,
+          ...(await getWorkspaceHeaders()),
         },
         isBypassed: false,
       };
@@ -45,7 +62,7 @@ export async function getProxyAuthHeaders(): Promise<ProxyAuthHeaders | null> {
     }
 
     return {
-      headers: {},
+      headers: await getWorkspaceHeaders(),
       isBypassed: true,
     };
   }
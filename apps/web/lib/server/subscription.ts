@@ -0,0 +1,38 @@
+import { buildBackendUrl } from '@/lib/server/backend';
+import { getProxyAuthHeaders } from '@/lib/server/auth';
+
+export interface SubscriptionStatus {
+  tier: string;
+  status: string;
+  payment_failed_at: string | null;
+  in_grace_period: boolean;
+  days_remaining: number;
+  grace_period_ends_at: string | null;
+}
+
+/**
+ * Fetches the signed-in user's subscription for server components.
+ * Returns null when it cannot be loaded, so a backend outage never breaks the page.
+ */
+export async function getSubscriptionStatus(): Promise<SubscriptionStatus | null> {
+  try {
+    const auth = await getProxyAuthHeaders();
+    if (!auth) {
+      return null;
+    }
+
+    const response = await fetch(buildBackendUrl('subscriptions/me'), {
+      headers: auth.headers,
+      cache: 'no-store',
+    });
+    if (!response.ok) {
+      return null;
+    }
+
+    const data = await response.json();
+    return data.success ? data.data : null;
+  } catch (error) {
+    console.error('Subscription status fetch error:', error);
+    return null;
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Cookie holding the organization the user is working in; unset means the
+ * personal workspace. The API proxy forwards it as X-Organization-Id.
+ */
+export const WORKSPACE_COOKIE = 'prismify-workspace';
+
+/**
+ * Reads the selected organization id in the browser
+ */
+export function getWorkspaceCookie(): string | null {
+  const entry = document.cookie
+    .split('; ')
+    .find((cookie) => cookie.startsWith(`${WORKSPACE_COOKIE}=`));
+
+  return entry ? decodeURIComponent(entry.split('=')[1]) : null;
+}
+
+/**
+ * Switches the workspace used by later API requests; null returns to the
+ * personal workspace
+ */
+export function setWorkspaceCookie(organizationId: string | null) {
+  document.cookie = organizationId
+    ? `${WORKSPACE_COOKIE}=${encodeURIComponent(organizationId)}; path=/; max-age=31536000; samesite=lax`
+    : `${WORKSPACE_COOKIE}=; path=/; max-age=0; samesite=lax`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Audit Worker Process
+ *
+ * Long-running process that executes queued SEO audits:
+ * - Claims jobs from the Redis audit queue
+ * - Fetches and audits each page, reporting per-analyzer progress
+ * - Writes results to seo_analyses and retries transient failures
+ *
+ * Usage:
+ * - node scripts/audit-worker.js
+ * - Run one or more instances alongside the API (e.g. a separate container or PM2 process)
+ * - AUDIT_WORKER_CONCURRENCY sets how many audits each instance runs at once (default: 2)
+ *
+ * @module scripts/audit-worker
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables before the worker pulls in config
+dotenv.config();
+
+const { startAuditWorker, WORKER_DEFAULTS } = await import('../src/services/jobs/auditWorker.js');
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Audit Worker - Starting');
+  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log(`Concurrency: ${WORKER_DEFAULTS.concurrency}`);
+  console.log('='.repeat(60));
+
+  try {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error(
+        'Missing required environment variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY'
+      );
+    }
+
+    const worker = await startAuditWorker();
+
+    const shutdown = async (signal) => {
+      console.log(`\n${signal} received - waiting for running audits to finish...`);
+      await worker.stop();
+      console.log('Audit Worker - Stopped');
+      process.exit(0);
+    };
+
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  } catch (error) {
+    console.error('\n' + '='.repeat(60));
+    console.error('ERROR: Audit worker failed to start');
+    console.error('='.repeat(60));
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default main;
@@ -0,0 +1,89 @@
+/**
+ * Audit Schedule Processing Cron Job
+ *
+ * This script should be run every 15 minutes to:
+ * - Find enabled audit schedules (daily/weekly/monthly) whose next run is due
+ * - Check the owner's monthly audit quota (runs over quota are skipped)
+ * - Queue the audits for the audit worker and move each schedule to its next run
+ *
+ * Regression alerts are raised by the audit worker once each scheduled audit finishes.
+ *
+ * Usage:
+ * - node scripts/process-audit-schedules.js
+ * - Schedule with cron: 0,15,30,45 * * * * node /path/to/scripts/process-audit-schedules.js
+ * - Requires REDIS_URL (the audit queue) and a running audit worker
+ *
+ * @module scripts/process-audit-schedules
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables before the scheduler pulls in config
+dotenv.config();
+
+const { createClient } = await import('../src/config/supabase.js');
+const { default: auditQueue } = await import('../src/services/jobs/auditQueue.js');
+const { enqueueDueSchedules } = await import('../src/services/jobs/auditScheduler.js');
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Audit Schedule Processing - Starting');
+  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log('='.repeat(60));
+
+  try {
+    // Validate environment variables
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error(
+        'Missing required environment variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY'
+      );
+    }
+
+    if (!(await auditQueue.initialize())) {
+      throw new Error('Audit queue is unavailable (check REDIS_URL)');
+    }
+
+    const summary = await enqueueDueSchedules(createClient({ admin: true }));
+    await auditQueue.close();
+
+    // Display results
+    console.log('\n' + '='.repeat(60));
+    console.log('Audit Schedule Processing - Complete');
+    console.log('='.repeat(60));
+    console.log('Summary:');
+    console.log(`  Due schedules checked: ${summary.checked}`);
+    console.log(`  Audits queued: ${summary.queued}`);
+    console.log(`  Skipped (audit quota exceeded): ${summary.quotaExceeded}`);
+    console.log(`  Errors: ${summary.errors.length}`);
+
+    if (summary.errors.length > 0) {
+      console.log('\nErrors encountered:');
+      summary.errors.forEach((err, index) => {
+        console.log(`  ${index + 1}. Schedule ${err.scheduleId}: ${err.error}`);
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Process completed successfully');
+    console.log('='.repeat(60));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n' + '='.repeat(60));
+    console.error('ERROR: Audit schedule processing failed');
+    console.error('='.repeat(60));
+    console.error(error);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default main;
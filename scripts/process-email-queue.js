@@ -0,0 +1,93 @@
+/**
+ * Email Queue Cron Job
+ *
+ * This script should be run every minute to:
+ * - Send queued emails whose next attempt is due (transient failures back off 1, 10, 60
+ *   and 360 minutes)
+ * - Retry emails left in sending by a process that died mid-send
+ * - Mark emails failed after the last attempt or on a permanent rejection
+ *
+ * Emails are queued (and usually sent right away) by the dunning, trial reminder and
+ * scheduled audit code; this job only picks up what did not go out the first time.
+ *
+ * Usage:
+ * - node scripts/process-email-queue.js
+ * - Schedule with cron: * * * * * node /path/to/scripts/process-email-queue.js
+ * - Requires RESEND_API_KEY, SENDGRID_API_KEY or SMTP_HOST in production (EMAIL_PROVIDER
+ *   selects the transport)
+ *
+ * @module scripts/process-email-queue
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables before the transports read their settings
+dotenv.config();
+
+const { createClient } = await import('../src/config/supabase.js');
+const { processEmailQueue, resolveEmailTransport } = await import(
+  '../src/services/email/emailDelivery.js'
+);
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Email Queue - Starting');
+  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log('='.repeat(60));
+
+  try {
+    // Validate environment variables
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error(
+        'Missing required environment variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY'
+      );
+    }
+
+    const transport = resolveEmailTransport();
+    console.log(`Transport: ${transport.name}`);
+
+    const summary = await processEmailQueue(createClient({ admin: true }), { transport });
+
+    // Display results
+    console.log('\n' + '='.repeat(60));
+    console.log('Email Queue - Complete');
+    console.log('='.repeat(60));
+    console.log('Summary:');
+    console.log(`  Emails processed: ${summary.processed}`);
+    console.log(`  Sent: ${summary.sent}`);
+    console.log(`  Retrying later: ${summary.retrying}`);
+    console.log(`  Failed permanently: ${summary.failed}`);
+    console.log(`  Skipped (claimed by another sender): ${summary.skipped}`);
+    console.log(`  Errors: ${summary.errors.length}`);
+
+    if (summary.errors.length > 0) {
+      console.log('\nErrors encountered:');
+      summary.errors.forEach((err, index) => {
+        console.log(`  ${index + 1}. Email ${err.emailId}: ${err.error}`);
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Process completed successfully');
+    console.log('='.repeat(60));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n' + '='.repeat(60));
+    console.error('ERROR: Email queue processing failed');
+    console.error('='.repeat(60));
+    console.error(error);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default main;
@@ -2,9 +2,10 @@
  * Grace Period Processing Cron Job
  *
  * This script should be run daily (recommended time: 9:00 AM UTC) to:
- * - Check users with past_due subscriptions
- * - Send dunning emails (Day 3, Day 7)
+ * - Advance open dunning sequences (past_due and unpaid users)
+ * - Send dunning emails (Day 3, Day 7); each step is sent once, so re-running is safe
  * - Suspend access for users whose grace period has expired
+ * - End sequences of users whose subscription is active again
  *
  * Usage:
  * - node scripts/process-grace-periods.js
@@ -45,10 +46,12 @@ async function main() {
     console.log('Grace Period Processing - Complete');
     console.log('='.repeat(60));
     console.log('Summary:');
-    console.log(`  Users checked: ${summary.checked}`);
+    console.log(`  Dunning sequences checked: ${summary.checked}`);
+    console.log(`  Day 1 dunning emails sent: ${summary.day1Emails}`);
     console.log(`  Day 3 dunning emails sent: ${summary.day3Emails}`);
-    console.log(`  Day 7 warning emails sent: ${summary.day7Emails}`);
+    console.log(`  Day 7 suspension emails sent: ${summary.day7Emails}`);
     console.log(`  Subscriptions suspended (grace period expired): ${summary.expired}`);
+    console.log(`  Sequences ended (subscription active again): ${summary.recovered}`);
     console.log(`  Errors: ${summary.errors.length}`);
 
     if (summary.errors.length > 0) {
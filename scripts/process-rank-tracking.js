@@ -0,0 +1,92 @@
+/**
+ * Rank Tracking Cron Job
+ *
+ * This script should be run every hour to:
+ * - Find enabled tracked keywords that have not been checked today (UTC)
+ * - Skip keywords of users whose plan no longer includes rank tracking
+ * - Record each keyword's Google position and SERP features through the SERP provider
+ *
+ * Keywords that fail (or are left when the provider rate limit is hit) stay due and are
+ * retried on the next run the same day.
+ *
+ * Usage:
+ * - node scripts/process-rank-tracking.js
+ * - Schedule with cron: 0 * * * * node /path/to/scripts/process-rank-tracking.js
+ * - Requires SERPAPI_KEY in production (RANK_PROVIDER selects the provider)
+ *
+ * @module scripts/process-rank-tracking
+ */
+
+import dotenv from 'dotenv';
+
+// Load environment variables before the tracker pulls in config
+dotenv.config();
+
+const { createClient } = await import('../src/config/supabase.js');
+const { recordDueRankings } = await import('../src/services/jobs/rankTracker.js');
+const { resolveRankProvider } = await import('../src/services/rankings/rankTracking.js');
+
+/**
+ * Main execution function
+ */
+async function main() {
+  console.log('='.repeat(60));
+  console.log('Rank Tracking - Starting');
+  console.log(`Timestamp: ${new Date().toISOString()}`);
+  console.log('='.repeat(60));
+
+  try {
+    // Validate environment variables
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error(
+        'Missing required environment variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY'
+      );
+    }
+
+    const provider = resolveRankProvider();
+    console.log(`Provider: ${provider.name}`);
+
+    const summary = await recordDueRankings(createClient({ admin: true }), { provider });
+
+    // Display results
+    console.log('\n' + '='.repeat(60));
+    console.log('Rank Tracking - Complete');
+    console.log('='.repeat(60));
+    console.log('Summary:');
+    console.log(`  Keywords checked: ${summary.checked}`);
+    console.log(`  Ranked: ${summary.ranked}`);
+    console.log(`  Not ranked: ${summary.notRanked}`);
+    console.log(`  Skipped (plan without rank tracking): ${summary.skipped}`);
+    console.log(`  Errors: ${summary.errors.length}`);
+    if (summary.rateLimited) {
+      console.log('  Provider rate limit reached; remaining keywords run next time');
+    }
+
+    if (summary.errors.length > 0) {
+      console.log('\nErrors encountered:');
+      summary.errors.forEach((err, index) => {
+        console.log(`  ${index + 1}. Tracked keyword ${err.trackedId}: ${err.error}`);
+      });
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Process completed successfully');
+    console.log('='.repeat(60));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('\n' + '='.repeat(60));
+    console.error('ERROR: Rank tracking failed');
+    console.error('='.repeat(60));
+    console.error(error);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
+
+export default main;
@@ -7,6 +7,28 @@
 import Agent from '../base/Agent.js';
 // Multi-provider AI service - automatically uses Gemini (free) or Claude (paid) based on config
 import unifiedAIService from '../../services/ai/unifiedAIService.js';
+import { parseHtmlDocument } from '../../services/crawler/htmlDocument.js';
+import {
+  analyzeStructuredData,
+  validateSchemaItem,
+  SCHEMA_TYPE_RULES,
+} from '../../services/crawler/structuredData.js';
+import { analyzeSecurityHeaders } from '../../services/crawler/securityHeaders.js';
+import {
+  runAccessibilityRules,
+  describeViolationCounts,
+} from '../../services/accessibility/wcagRules.js';
+import {
+  LAB_METRICS,
+  rateMetric,
+  scoreLabMetrics,
+} from '../../services/performance/metricScoring.js';
+import { parseKeywordExpansion } from '../../services/keywords/keywordClustering.js';
+
+/**
+ * Currency symbols recognised when reading prices from page text (template schema)
+ */
+const PRICE_CURRENCIES = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
 
 class SEOAgent extends Agent {
   constructor(config = {}) {
@@ -44,7 +66,8 @@ class SEOAgent extends Agent {
   /**
    * Execute SEO optimization task
    * @param {Object} task - SEO task
-   * @param {string} task.type - Task type: 'optimize', 'analyze', 'generateMeta'
+   * @param {string} task.type - Task type: 'optimize', 'analyze', 'generateMeta',
+   *   'suggestKeywords', 'generateSlug', 'generateSchema', 'expandKeywords'
    * @param {Object} task.params - Task parameters (or task.data for backwards compatibility)
    * @returns {Promise<Object>} SEO optimization result
    */
@@ -68,6 +91,12 @@ class SEOAgent extends Agent {
       case 'generateSlug':
         return await this.generateSlug(taskParams);
 
+      case 'generateSchema':
+        return await this.generateSchema(taskParams);
+
+      case 'expandKeywords':
+        return await this.expandKeywords(taskParams);
+
       default:
         throw new Error(`Unknown task type: ${type}`);
     }
@@ -726,13 +755,15 @@ Provide keywords in JSON format:
 
     try {
       // Use unified AI service for keyword suggestions
-      const aiResponse = await unifiedAIService.generateText({
+      const aiResponse = await unifiedAIService.generate({
         prompt: prompt,
         maxTokens: 512,
         temperature: 0.7,
       });
 
-      const keywordText = aiResponse.text || aiResponse;
+      const keywordText = (aiResponse.text || aiResponse.content || '')
+        .trim()
+        .replace(/^```(?:json)?\s*|\s*```$/g, '');
       let suggestions;
 
       try {
@@ -757,6 +788,323 @@ Provide keywords in JSON format:
     }
   }
 
+  /**
+   * Expand keyword research with AI: new keyword ideas plus search intent and topic
+   * cluster labels for every keyword. Without an AI provider, or when the response is not
+   * usable, nothing is generated and callers classify the keywords by rules.
+   * @param {Object} params - Expansion parameters
+   * @param {string} params.seedKeyword - Research seed
+   * @param {string[]} params.keywords - Keywords found by the data provider
+   * @param {number} params.limit - Maximum new keyword ideas
+   * @param {string} params.language - ISO 639-1 language of the keywords
+   * @returns {Promise<Object>} { suggestions, labels, generated } (see parseKeywordExpansion)
+   */
+  async expandKeywords(params) {
+    const { seedKeyword, keywords = [], limit = 20, language = 'en' } = params;
+    const none = { suggestions: [], labels: {}, generated: false };
+
+    if (!unifiedAIService.isAvailable()) {
+      return none;
+    }
+
+    this.logger.info(`[SEO] Expanding keyword research for: "${seedKeyword}"`);
+
+    const prompt = `You are an SEO keyword strategist. Expand the keyword research for the seed "${seedKeyword}" (language: ${language}).
+
+Keywords already found:
+${keywords.slice(0, 100).join('\n') || '(none)'}
+
+Tasks:
+1. Suggest up to ${limit} additional keywords people search for around this seed (long-tail phrases, questions, comparisons). Do not repeat keywords already found.
+2. For every keyword (found and suggested), give its search intent: informational, navigational, commercial or transactional.
+3. Group every keyword into a topic cluster: a short lowercase topic name (2-4 words) shared by closely related keywords.
+
+Respond with JSON only, no markdown:
+{"keywords": [{"keyword": "...", "intent": "informational", "cluster": "..."}]}`;
+
+    try {
+      const aiResponse = await unifiedAIService.generate({
+        prompt,
+        maxTokens: 2048,
+        temperature: 0.4,
+      });
+
+      return {
+        ...parseKeywordExpansion(aiResponse.text || aiResponse.content, {
+          knownKeywords: keywords,
+          limit,
+        }),
+        generated: true,
+      };
+    } catch (error) {
+      this.logger.error('[SEO] Keyword expansion failed:', error.message);
+      return none;
+    }
+  }
+
+  /**
+   * Generate JSON-LD structured data for a page
+   * AI output is validated against the Schema.org rules used by the audit; invalid or
+   * unavailable AI output falls back to a template built from the page content.
+   * @param {Object} params - Schema generation parameters
+   * @param {string} params.url - Page URL
+   * @param {string} params.html - Page HTML
+   * @param {string} params.type - Target type (Article, Product, FAQPage, ...); detected if omitted
+   * @returns {Promise<Object>} { type, detected, jsonLd, snippet, issues, generated }
+   */
+  async generateSchema(params) {
+    const { url, html = '', type } = params;
+
+    if (type && !SCHEMA_TYPE_RULES[type]) {
+      throw new Error(`Unsupported schema type: ${type}`);
+    }
+
+    const page = this.extractSchemaContent(url, html);
+    const schemaType = type || this.detectSchemaType(page);
+    this.logger.info(`[SEO] Generating ${schemaType} schema for ${url}`);
+
+    if (unifiedAIService.isAvailable()) {
+      try {
+        const jsonLd = await this.generateAISchema(schemaType, page);
+        const issues = this.validateGeneratedSchema(jsonLd, url);
+        if (jsonLd['@type'] === schemaType && !issues.some((i) => i.severity !== 'low')) {
+          return this.formatSchemaResult(schemaType, !type, jsonLd, issues, true);
+        }
+        this.logger.warn('[SEO] AI schema failed validation, using template schema');
+      } catch (error) {
+        this.logger.error('[SEO] Error generating schema:', error.message);
+      }
+    }
+
+    const jsonLd = this.getFallbackSchema(schemaType, page);
+    const issues = this.validateGeneratedSchema(jsonLd, url);
+    return this.formatSchemaResult(schemaType, !type, jsonLd, issues, false);
+  }
+
+  /**
+   * Page facts used to generate schema (nothing that is not on the page)
+   */
+  extractSchemaContent(url, html) {
+    const doc = parseHtmlDocument(html);
+    const info = this.extractContentInfo(html, doc);
+    const absolute = (src) => {
+      try {
+        return new URL(src, url).toString();
+      } catch {
+        return null;
+      }
+    };
+
+    const priceMatch = doc.text.match(/([$€£¥₹])\s?(\d{1,6}(?:[.,]\d{2})?)/);
+    const sections = doc.getHeadingSections();
+
+    return {
+      url,
+      lang: doc.lang,
+      title: info.title,
+      description: info.description,
+      headline: info.headings.h1[0] || info.title,
+      headings: doc.headings.map((heading) => heading.text),
+      images: info.images.map((img) => absolute(img.src)).filter(Boolean),
+      price: priceMatch
+        ? { value: priceMatch[2].replace(',', '.'), currency: PRICE_CURRENCIES[priceMatch[1]] }
+        : null,
+      questions: sections
+        .filter((section) => section.text.endsWith('?') && section.content)
+        .map((section) => ({ question: section.text, answer: section.content })),
+      siteName: doc.getMeta('og:site_name') || null,
+      text: doc.text.substring(0, 1500),
+      wordCount: doc.wordCount,
+    };
+  }
+
+  /**
+   * Pick the most likely rich-result type from page content
+   */
+  detectSchemaType(page) {
+    const { text } = page;
+    let path = '/';
+    try {
+      path = new URL(page.url).pathname;
+    } catch {
+      // Not a URL - treat as a content page
+    }
+
+    if (/\bingredients\b/i.test(text) && /\b(instructions|method|directions)\b/i.test(text)) {
+      return 'Recipe';
+    }
+    if (page.questions.length >= 2) {
+      return 'FAQPage';
+    }
+    if (page.price && /\b(add to (cart|basket|bag)|buy now|in stock)\b/i.test(text)) {
+      return 'Product';
+    }
+    if (/\b(buy tickets|get tickets|rsvp|doors open)\b/i.test(text)) {
+      return 'Event';
+    }
+    if (/\bopening hours\b/i.test(text)) {
+      return 'LocalBusiness';
+    }
+    if (path === '/' || page.wordCount < 300) {
+      return 'Organization';
+    }
+    return 'Article';
+  }
+
+  /**
+   * Ask the AI provider for a JSON-LD object
+   */
+  async generateAISchema(type, page) {
+    const rules = SCHEMA_TYPE_RULES[type];
+    const prompt = `Generate Schema.org JSON-LD structured data of type ${type} for this page.
+
+URL: ${page.url}
+Title: ${page.title}
+Description: ${page.description}
+Headings: ${page.headings.slice(0, 15).join(' | ')}
+Images: ${page.images.slice(0, 5).join(', ')}
+
+Page text:
+${page.text}
+
+Rules:
+- Required properties: ${rules.required.map((p) => [].concat(p).join(' or ')).join(', ')}
+- Recommended properties: ${rules.recommended.join(', ') || 'none'}
+- Only use facts stated on the page; omit properties you cannot determine
+- Dates in ISO 8601, prices as plain numbers with an ISO 4217 priceCurrency
+- Respond with the JSON-LD object only (with "@context": "https://schema.org"), no markdown`;
+
+    const aiResponse = await unifiedAIService.generate({
+      prompt,
+      maxTokens: 1024,
+      temperature: 0.3,
+    });
+
+    const schemaText = (aiResponse.text || aiResponse.content || '')
+      .trim()
+      .replace(/^```(?:json)?\s*|\s*```$/g, '');
+    const jsonLd = JSON.parse(schemaText);
+    if (!jsonLd || typeof jsonLd !== 'object' || Array.isArray(jsonLd)) {
+      throw new Error('AI response is not a JSON-LD object');
+    }
+    return { '@context': 'https://schema.org', ...jsonLd };
+  }
+
+  /**
+   * Validate generated JSON-LD with the audit's Schema.org rules
+   */
+  validateGeneratedSchema(jsonLd, url) {
+    return validateSchemaItem(
+      {
+        source: 'json-ld',
+        schemaContext: /schema\.org/i.test(String(jsonLd['@context'])),
+        data: jsonLd,
+      },
+      { baseUrl: url }
+    ).issues;
+  }
+
+  /**
+   * Build template JSON-LD from page content when AI generation is unavailable
+   */
+  getFallbackSchema(type, page) {
+    const schema = { '@context': 'https://schema.org', '@type': type };
+    const name = page.headline || page.title;
+    const image = page.images[0];
+    const set = (property, value) => {
+      if (value) {
+        schema[property] = value;
+      }
+    };
+
+    switch (type) {
+      case 'Article':
+        set('headline', name?.substring(0, 110));
+        set('description', page.description);
+        set('image', image);
+        set('mainEntityOfPage', page.url);
+        set('inLanguage', page.lang);
+        break;
+
+      case 'Product':
+        set('name', name);
+        set('description', page.description);
+        set('image', image);
+        if (page.price?.currency) {
+          schema.offers = {
+            '@type': 'Offer',
+            price: page.price.value,
+            priceCurrency: page.price.currency,
+            url: page.url,
+          };
+        }
+        break;
+
+      case 'FAQPage':
+        schema.mainEntity = page.questions.map(({ question, answer }) => ({
+          '@type': 'Question',
+          name: question,
+          acceptedAnswer: { '@type': 'Answer', text: answer },
+        }));
+        break;
+
+      case 'BreadcrumbList': {
+        const url = new URL(page.url);
+        const segments = url.pathname.split('/').filter(Boolean);
+        schema.itemListElement = [{ name: 'Home', path: '/' }]
+          .concat(
+            segments.map((segment, index) => ({
+              name: decodeURIComponent(segment).replace(/[-_]+/g, ' '),
+              path: `/${segments.slice(0, index + 1).join('/')}`,
+            }))
+          )
+          .map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.name,
+            item: new URL(crumb.path, url.origin).toString(),
+          }));
+        break;
+      }
+
+      case 'Organization':
+      case 'LocalBusiness':
+        set('name', page.siteName || page.title.split(/\s[|\-–—]\s/)[0]);
+        set('url', new URL('/', page.url).toString());
+        set('logo', type === 'Organization' ? image : null);
+        set('image', type === 'LocalBusiness' ? image : null);
+        set('description', page.description);
+        break;
+
+      case 'Recipe':
+      case 'Event':
+        set('name', name);
+        set('description', page.description);
+        set('image', image);
+        break;
+    }
+
+    return schema;
+  }
+
+  /**
+   * Shape a generateSchema result, with a copy-paste <script> snippet
+   */
+  formatSchemaResult(type, detected, jsonLd, issues, generated) {
+    // Escape "<" so page text inside the JSON cannot close the script tag
+    const json = JSON.stringify(jsonLd, null, 2).replace(/</g, '\\u003c');
+    return {
+      type,
+      detected,
+      jsonLd,
+      snippet: `<script type="application/ld+json">\n${json}\n</script>`,
+      issues,
+      valid: !issues.some((issue) => issue.severity !== 'low'),
+      generated,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   /**
    * Generate SEO-friendly slug
    * @param {Object} params - Slug parameters
@@ -1108,16 +1456,21 @@ Provide keywords in JSON format:
    * @param {string} params.url - Website URL to audit
    * @param {string} params.content - Page content (HTML or text)
    * @param {Object} params.options - Audit options
+   * @param {Object} params.indexing - robots.txt/sitemap findings (siteIndexing.checkPageIndexing)
+   * @param {Object} params.lab - Headless-browser metrics (labRunner.runLabPerformance)
+   * @param {Object} params.response - { headers, cookies, tls } of the fetched page
+   * @param {Function} params.onProgress - Called with (component, score) as each analysis finishes
    * @returns {Promise<Object>} Comprehensive audit results
    */
   async performComprehensiveAudit(params) {
-    const { url, content } = params;
+    const { url, content, indexing = null, lab = null, response = null, onProgress } = params;
 
     this.logger.info(`[SEO] Starting comprehensive audit for: ${url}`);
 
     try {
-      // Extract basic info from content
-      const contentInfo = this.extractContentInfo(content);
+      // Parse once and share the document across all analyzers
+      const doc = parseHtmlDocument(content);
+      const contentInfo = this.extractContentInfo(content, doc);
 
       // Run all 7 component analyses in parallel for speed
       const [
@@ -1128,15 +1481,23 @@ Provide keywords in JSON format:
         performanceScore,
         securityScore,
         accessibilityScore,
-      ] = await Promise.all([
-        this.analyzeMetaTags(content, contentInfo),
-        this.analyzeContentQuality(url, content, contentInfo),
-        this.analyzeTechnicalSEO(url, content),
-        this.analyzeMobileOptimization(content),
-        this.analyzePerformance(url, content),
-        this.analyzeSecurity(url, content),
-        this.analyzeAccessibility(content),
-      ]);
+      ] = await Promise.all(
+        [
+          ['meta', this.analyzeMetaTags(content, contentInfo, doc)],
+          ['content', this.analyzeContentQuality(url, content, contentInfo, doc)],
+          ['technical', this.analyzeTechnicalSEO(url, content, doc, indexing)],
+          ['mobile', this.analyzeMobileOptimization(content, doc)],
+          ['performance', this.analyzePerformance(url, content, doc, lab)],
+          ['security', this.analyzeSecurity(url, content, doc, response)],
+          ['accessibility', this.analyzeAccessibility(content, doc, lab)],
+        ].map(async ([component, analysis]) => {
+          const score = await analysis;
+          if (onProgress) {
+            await onProgress(component, score);
+          }
+          return score;
+        })
+      );
 
       // Calculate overall score (weighted average)
       const overallScore = this.calculateComprehensiveScore({
@@ -1184,13 +1545,15 @@ Provide keywords in JSON format:
 
   /**
    * Extract content information from HTML/text
+   * @param {string} content - Page HTML (or plain text)
+   * @param {HtmlDocument} doc - Already parsed document (parsed from content if omitted)
    */
-  extractContentInfo(content) {
+  extractContentInfo(content, doc = parseHtmlDocument(content)) {
     const info = {
       title: '',
       description: '',
       keywords: [],
-      headings: [],
+      headings: { h1: [], h2: [], h3: [], h4: [], h5: [], h6: [] },
       images: [],
       links: [],
       wordCount: 0,
@@ -1200,59 +1563,33 @@ Provide keywords in JSON format:
       return info;
     }
 
-    // Extract title
-    const titleMatch = content.match(/<title[^>]*>([^<]+)<\/title>/i);
-    info.title = titleMatch ? titleMatch[1].trim() : '';
-
-    // Extract meta description
-    const descMatch = content.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i);
-    info.description = descMatch ? descMatch[1].trim() : '';
+    info.title = doc.title;
+    info.description = doc.getMeta('description')?.trim() || '';
+    info.keywords = (doc.getMeta('keywords') || '')
+      .split(',')
+      .map((k) => k.trim())
+      .filter((k) => k);
 
-    // Extract meta keywords
-    const keywordsMatch = content.match(
-      /<meta\s+name=["']keywords["']\s+content=["']([^"']+)["']/i
-    );
-    if (keywordsMatch) {
-      info.keywords = keywordsMatch[1]
-        .split(',')
-        .map((k) => k.trim())
-        .filter((k) => k);
-    }
-
-    // Extract headings
-    const h1Matches = content.match(/<h1[^>]*>([^<]+)<\/h1>/gi) || [];
-    const h2Matches = content.match(/<h2[^>]*>([^<]+)<\/h2>/gi) || [];
-    info.headings = {
-      h1: h1Matches.map((h) => h.replace(/<[^>]+>/g, '').trim()),
-      h2: h2Matches.map((h) => h.replace(/<[^>]+>/g, '').trim()),
-    };
+    for (let level = 1; level <= 6; level++) {
+      info.headings[`h${level}`] = doc.getHeadings(level);
+    }
 
-    // Extract images
-    const imgMatches = content.match(/<img[^>]+>/gi) || [];
-    info.images = imgMatches.map((img) => {
-      const srcMatch = img.match(/src=["']([^"']+)["']/i);
-      const altMatch = img.match(/alt=["']([^"']+)["']/i);
-      return {
-        src: srcMatch ? srcMatch[1] : '',
-        alt: altMatch ? altMatch[1] : '',
-        hasAlt: !!altMatch,
-      };
-    });
+    // hasAlt means a non-empty alt here (an empty alt gives search engines nothing)
+    info.images = doc.images.map((img) => ({
+      src: img.src,
+      alt: img.alt?.trim() || '',
+      hasAlt: Boolean(img.alt?.trim()),
+    }));
 
-    // Extract links
-    const linkMatches = content.match(/<a\s+[^>]*href=["']([^"']+)["'][^>]*>([^<]*)<\/a>/gi) || [];
-    info.links = linkMatches.map((link) => {
-      const hrefMatch = link.match(/href=["']([^"']+)["']/i);
-      const textMatch = link.match(/>([^<]+)</);
-      return {
-        href: hrefMatch ? hrefMatch[1] : '',
-        text: textMatch ? textMatch[1].trim() : '',
-      };
-    });
+    info.links = doc.anchors
+      .filter((anchor) => anchor.href)
+      .map((anchor) => ({
+        href: anchor.href,
+        text: anchor.text,
+        rel: anchor.rel,
+      }));
 
-    // Word count (remove HTML tags)
-    const textContent = content.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ');
-    info.wordCount = textContent.split(/\s+/).filter((w) => w.length > 0).length;
+    info.wordCount = doc.wordCount;
 
     return info;
   }
@@ -1260,7 +1597,7 @@ Provide keywords in JSON format:
   /**
    * Component 1: Analyze Meta Tags (0-100 score)
    */
-  async analyzeMetaTags(content, contentInfo) {
+  async analyzeMetaTags(content, contentInfo, doc = parseHtmlDocument(content)) {
     const analysis = {
       score: 0,
       issues: [],
@@ -1277,13 +1614,22 @@ Provide keywords in JSON format:
         analysis.score += 10;
         analysis.issues.push({
           severity: 'medium',
+          code: 'TITLE_LENGTH',
           message: `Title length is ${titleLength} characters (recommended: 30-60)`,
         });
       } else {
-        analysis.issues.push({ severity: 'critical', message: 'Missing page title' });
+        analysis.issues.push({
+          severity: 'critical',
+          code: 'TITLE_MISSING',
+          message: 'Missing page title',
+        });
       }
     } else {
-      analysis.issues.push({ severity: 'critical', message: 'Missing page title' });
+      analysis.issues.push({
+        severity: 'critical',
+        code: 'TITLE_MISSING',
+        message: 'Missing page title',
+      });
     }
 
     // Meta description check (25 points)
@@ -1296,13 +1642,22 @@ Provide keywords in JSON format:
         analysis.score += 10;
         analysis.issues.push({
           severity: 'medium',
+          code: 'META_DESCRIPTION_LENGTH',
           message: `Meta description is ${descLength} characters (recommended: 120-160)`,
         });
       } else {
-        analysis.issues.push({ severity: 'critical', message: 'Missing meta description' });
+        analysis.issues.push({
+          severity: 'critical',
+          code: 'META_DESCRIPTION_MISSING',
+          message: 'Missing meta description',
+        });
       }
     } else {
-      analysis.issues.push({ severity: 'critical', message: 'Missing meta description' });
+      analysis.issues.push({
+        severity: 'critical',
+        code: 'META_DESCRIPTION_MISSING',
+        message: 'Missing meta description',
+      });
     }
 
     // H1 heading check (20 points)
@@ -1310,19 +1665,20 @@ Provide keywords in JSON format:
       analysis.score += 20;
       analysis.passed.push('Page has exactly one H1 heading');
     } else if (contentInfo.headings.h1.length === 0) {
-      analysis.issues.push({ severity: 'high', message: 'Missing H1 heading' });
+      analysis.issues.push({ severity: 'high', code: 'H1_MISSING', message: 'Missing H1 heading' });
     } else {
       analysis.score += 10;
       analysis.issues.push({
         severity: 'medium',
+        code: 'H1_MULTIPLE',
         message: `Page has ${contentInfo.headings.h1.length} H1 headings (should have exactly 1)`,
       });
     }
 
     // Open Graph tags check (15 points)
-    const hasOgTitle = /<meta\s+property=["']og:title["']/i.test(content);
-    const hasOgDescription = /<meta\s+property=["']og:description["']/i.test(content);
-    const hasOgImage = /<meta\s+property=["']og:image["']/i.test(content);
+    const hasOgTitle = Boolean(doc.getMeta('og:title'));
+    const hasOgDescription = Boolean(doc.getMeta('og:description'));
+    const hasOgImage = Boolean(doc.getMeta('og:image'));
 
     if (hasOgTitle && hasOgDescription && hasOgImage) {
       analysis.score += 15;
@@ -1340,17 +1696,22 @@ Provide keywords in JSON format:
       }
       analysis.issues.push({
         severity: 'low',
+        code: 'OPEN_GRAPH_MISSING',
         message: `Missing Open Graph tags: ${missing.join(', ')}`,
       });
     }
 
     // Canonical tag check (15 points)
-    const hasCanonical = /<link\s+rel=["']canonical["']/i.test(content);
+    const hasCanonical = doc.getLinks('canonical').some((link) => link.href);
     if (hasCanonical) {
       analysis.score += 15;
       analysis.passed.push('Canonical URL is specified');
     } else {
-      analysis.issues.push({ severity: 'medium', message: 'Missing canonical URL tag' });
+      analysis.issues.push({
+        severity: 'medium',
+        code: 'CANONICAL_MISSING',
+        message: 'Missing canonical URL tag',
+      });
     }
 
     return analysis;
@@ -1359,7 +1720,7 @@ Provide keywords in JSON format:
   /**
    * Component 2: Analyze Content Quality (0-100 score)
    */
-  async analyzeContentQuality(url, content, contentInfo) {
+  async analyzeContentQuality(url, content, contentInfo, doc = parseHtmlDocument(content)) {
     const analysis = {
       score: 0,
       issues: [],
@@ -1376,12 +1737,14 @@ Provide keywords in JSON format:
       analysis.score += 20;
       analysis.issues.push({
         severity: 'medium',
+        code: 'CONTENT_SHORT',
         message: `Content could be longer (${wordCount} words, recommended: 300+)`,
       });
     } else if (wordCount < 200) {
       analysis.score += Math.floor((wordCount / 200) * 10);
       analysis.issues.push({
         severity: 'high',
+        code: 'CONTENT_TOO_SHORT',
         message: `Content is too short (${wordCount} words, recommended: 300+)`,
       });
     } else {
@@ -1395,17 +1758,23 @@ Provide keywords in JSON format:
       analysis.score += 25;
       analysis.passed.push(`Good heading structure (${h2Count} H2 headings)`);
     } else if (h2Count === 0) {
-      analysis.issues.push({ severity: 'high', message: 'No H2 headings found - add subheadings' });
+      analysis.issues.push({
+        severity: 'high',
+        code: 'H2_MISSING',
+        message: 'No H2 headings found - add subheadings',
+      });
     } else if (h2Count > 10) {
       analysis.score += 15;
       analysis.issues.push({
         severity: 'low',
+        code: 'H2_TOO_MANY',
         message: `Many H2 headings (${h2Count}) - consider consolidating`,
       });
     } else {
       analysis.score += 15;
       analysis.issues.push({
         severity: 'medium',
+        code: 'H2_FEW',
         message: 'Add more H2 headings for better structure',
       });
     }
@@ -1423,12 +1792,14 @@ Provide keywords in JSON format:
         analysis.score += 15;
         analysis.issues.push({
           severity: 'low',
+          code: 'IMAGE_ALT_MISSING',
           message: `${totalImages - imagesWithAlt} images missing alt text`,
         });
       } else {
         analysis.score += 5;
         analysis.issues.push({
           severity: 'medium',
+          code: 'IMAGE_ALT_MISSING',
           message: `${totalImages - imagesWithAlt} of ${totalImages} images missing alt text`,
         });
       }
@@ -1436,6 +1807,7 @@ Provide keywords in JSON format:
       analysis.score += 10;
       analysis.issues.push({
         severity: 'low',
+        code: 'IMAGES_MISSING',
         message: 'No images found - consider adding visual content',
       });
     }
@@ -1455,6 +1827,10 @@ Provide keywords in JSON format:
       if (!link.href) {
         return false;
       }
+      // Same-page fragments and mailto:/tel:/javascript: links are not internal pages
+      if (link.href.startsWith('#') || /^(?!https?:)[a-z][a-z0-9+.-]*:/i.test(link.href)) {
+        return false;
+      }
       // Relative URL (not starting with http(s):// or //)
       if (!/^(https?:)?\/\//i.test(link.href)) {
         return true;
@@ -1477,20 +1853,26 @@ Provide keywords in JSON format:
       analysis.score += 8;
       analysis.issues.push({
         severity: 'medium',
+        code: 'INTERNAL_LINKS_FEW',
         message: `Add more internal links (found ${internalLinks}, recommended: 3+)`,
       });
     } else {
-      analysis.issues.push({ severity: 'medium', message: 'No internal links found' });
+      analysis.issues.push({
+        severity: 'medium',
+        code: 'INTERNAL_LINKS_MISSING',
+        message: 'No internal links found',
+      });
     }
 
     // List usage check (10 points)
-    const hasLists = /<[ou]l>/i.test(content);
+    const hasLists = doc.findAll(['ul', 'ol']).length > 0;
     if (hasLists) {
       analysis.score += 10;
       analysis.passed.push('Content includes lists for better readability');
     } else {
       analysis.issues.push({
         severity: 'low',
+        code: 'LISTS_MISSING',
         message: 'Consider adding bullet or numbered lists',
       });
     }
@@ -1500,8 +1882,9 @@ Provide keywords in JSON format:
 
   /**
    * Component 3: Analyze Technical SEO (0-100 score)
+   * @param {Object} indexing - robots.txt/sitemap findings for the URL (siteIndexing.checkPageIndexing)
    */
-  async analyzeTechnicalSEO(url, content) {
+  async analyzeTechnicalSEO(url, content, doc = parseHtmlDocument(content), indexing = null) {
     const analysis = {
       score: 0,
       issues: [],
@@ -1513,40 +1896,41 @@ Provide keywords in JSON format:
       analysis.score += 25;
       analysis.passed.push('Site uses HTTPS (secure)');
     } else {
-      analysis.issues.push({ severity: 'critical', message: 'Site does not use HTTPS' });
+      analysis.issues.push({
+        severity: 'critical',
+        code: 'HTTPS_MISSING',
+        message: 'Site does not use HTTPS',
+      });
     }
 
     // Robots meta tag check (15 points)
-    const robotsMeta = content.match(/<meta\s+name=["']robots["']\s+content=["']([^"']+)["']/i);
-    if (!robotsMeta || !robotsMeta[1].includes('noindex')) {
+    const robotsMeta = doc.getMeta('robots');
+    if (!robotsMeta || !robotsMeta.toLowerCase().includes('noindex')) {
       analysis.score += 15;
       analysis.passed.push('Page is indexable by search engines');
     } else {
       analysis.issues.push({
         severity: 'high',
+        code: 'NOINDEX',
         message: 'Page is set to noindex (will not appear in search)',
       });
     }
 
     // Structured data check (20 points)
-    const hasJsonLd = /<script[^>]+type=["']application\/ld\+json["'][^>]*>/i.test(content);
-    if (hasJsonLd) {
-      analysis.score += 20;
-      analysis.passed.push('Structured data (JSON-LD) is present');
-    } else {
-      analysis.issues.push({
-        severity: 'medium',
-        message: 'Missing structured data (Schema.org markup)',
-      });
-    }
+    const structuredData = this.analyzeStructuredDataMarkup(doc, url);
+    analysis.score += structuredData.score;
+    analysis.issues.push(...structuredData.issues);
+    analysis.passed.push(...structuredData.passed);
+    analysis.structured_data = structuredData.summary;
 
-    // XML Sitemap reference check (15 points)
-    // Note: This would require checking robots.txt in a real implementation
-    analysis.score += 8;
-    analysis.issues.push({
-      severity: 'low',
-      message: 'Verify XML sitemap exists and is submitted to search engines',
-    });
+    // robots.txt and XML sitemap check (15 points)
+    const crawlability = this.analyzeCrawlability(indexing);
+    analysis.score += crawlability.score;
+    analysis.issues.push(...crawlability.issues);
+    analysis.passed.push(...crawlability.passed);
+    if (indexing) {
+      analysis.crawlability = indexing;
+    }
 
     // URL structure check (15 points)
     const urlPath = url.replace(/^https?:\/\/[^/]+/, '');
@@ -1559,13 +1943,17 @@ Provide keywords in JSON format:
       analysis.score += 5;
       analysis.issues.push({
         severity: 'medium',
+        code: 'URL_NOT_CLEAN',
         message: 'URL contains parameters or is too long',
       });
     }
 
     // Page load resources check (10 points)
-    const scriptCount = (content.match(/<script/gi) || []).length;
-    const styleCount = (content.match(/<link[^>]+rel=["']stylesheet["']/gi) || []).length;
+    // JSON-LD blocks are data, not resources the browser has to load
+    const scriptCount = doc.scripts.filter(
+      (script) => script.type !== 'application/ld+json'
+    ).length;
+    const styleCount = doc.getLinks('stylesheet').length;
 
     if (scriptCount < 10 && styleCount < 5) {
       analysis.score += 10;
@@ -1573,6 +1961,7 @@ Provide keywords in JSON format:
     } else {
       analysis.issues.push({
         severity: 'low',
+        code: 'RESOURCES_TOO_MANY',
         message: `Many external resources (${scriptCount} scripts, ${styleCount} stylesheets) - may impact performance`,
       });
     }
@@ -1580,10 +1969,225 @@ Provide keywords in JSON format:
     return analysis;
   }
 
+  /**
+   * Score JSON-LD, Microdata and RDFa markup (0-20 points)
+   * - Any parseable Schema.org item (10)
+   * - No invalid JSON-LD and no missing required or malformed properties (10, 5 if only
+   *   some items have problems)
+   * @param {HtmlDocument} doc - Parsed page
+   * @param {string} url - Page URL (relative URLs in markup resolve against it)
+   * @returns {Object} { score, issues, passed, summary } - one issue per missing/invalid property
+   */
+  analyzeStructuredDataMarkup(doc, url) {
+    const result = { score: 0, issues: [], passed: [] };
+    const { items, invalid_json: invalidJson } = analyzeStructuredData(doc, { baseUrl: url });
+
+    for (const block of invalidJson) {
+      result.issues.push({
+        severity: 'critical',
+        code: 'JSONLD_INVALID_JSON',
+        message: `JSON-LD block ${block.block} is not valid JSON (${block.message}) - search engines ignore it`,
+        details: { block: block.block },
+      });
+    }
+
+    result.summary = {
+      items: items.map(({ types, rule_type: ruleType, source, issues }) => ({
+        types,
+        rule_type: ruleType,
+        source,
+        issue_count: issues.length,
+      })),
+      invalid_json_blocks: invalidJson.length,
+    };
+
+    if (items.length === 0) {
+      if (invalidJson.length === 0) {
+        result.issues.push({
+          severity: 'medium',
+          code: 'STRUCTURED_DATA_MISSING',
+          message: 'Missing structured data (Schema.org markup)',
+        });
+      }
+      return result;
+    }
+
+    result.score += 10;
+    const found = items.map((item) => `${item.types.join('/') || 'untyped'} (${item.source})`);
+    result.passed.push(`Structured data found: ${found.join(', ')}`);
+
+    const hasErrors = (item) => item.issues.some((issue) => issue.severity !== 'low');
+    const itemsWithErrors = items.filter(hasErrors).length;
+    if (itemsWithErrors === 0 && invalidJson.length === 0) {
+      result.score += 10;
+      const validated = items.filter((item) => item.supported).map((item) => item.rule_type);
+      if (validated.length > 0) {
+        result.passed.push(
+          `Structured data has all required properties (${[...new Set(validated)].join(', ')})`
+        );
+      }
+    } else if (itemsWithErrors < items.length) {
+      result.score += 5;
+    }
+
+    for (const item of items) {
+      for (const issue of item.issues) {
+        result.issues.push({
+          severity: issue.severity,
+          code: issue.code,
+          message: issue.message,
+          details: { types: item.types, source: item.source, property: issue.property },
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Score robots.txt and XML sitemap findings (0-15 points)
+   * - Googlebot may crawl the URL (5)
+   * - A valid XML sitemap exists (5, 2 if it has protocol errors)
+   * - The URL is listed in the sitemap (5)
+   * @param {Object|null} indexing - Output of siteIndexing.checkPageIndexing (null if not checked)
+   * @returns {Object} { score, issues, passed } - issues carry a stable `code` and `details`
+   */
+  analyzeCrawlability(indexing) {
+    const result = { score: 0, issues: [], passed: [] };
+
+    if (!indexing) {
+      result.score += 8;
+      result.issues.push({
+        severity: 'info',
+        code: 'CRAWLABILITY_NOT_CHECKED',
+        message: 'robots.txt and XML sitemap were not checked for this page',
+      });
+      return result;
+    }
+
+    const { robots } = indexing;
+
+    // robots.txt (5 points)
+    if (robots.disallow_all) {
+      result.issues.push({
+        severity: 'critical',
+        code: 'ROBOTS_TXT_SERVER_ERROR',
+        message: `robots.txt returned HTTP ${robots.status} - Google treats the whole site as blocked`,
+        details: { url: robots.url, status: robots.status },
+      });
+    } else if (!robots.googlebot.allowed) {
+      const { rule } = robots.googlebot;
+      result.issues.push({
+        severity: 'critical',
+        code: 'ROBOTS_BLOCKS_GOOGLEBOT',
+        message: `robots.txt blocks Googlebot from this URL (Disallow: ${rule.path}, line ${rule.line})`,
+        details: { url: robots.url, rule, user_agent: robots.googlebot.matched_agent },
+      });
+    } else {
+      result.score += 5;
+      result.passed.push('Googlebot is allowed to crawl this URL');
+    }
+
+    if (robots.error) {
+      result.issues.push({
+        severity: 'low',
+        code: 'ROBOTS_TXT_UNREACHABLE',
+        message: `robots.txt could not be fetched: ${robots.error}`,
+        details: { url: robots.url },
+      });
+    } else if (!robots.found && !robots.disallow_all) {
+      result.issues.push({
+        severity: 'low',
+        code: 'ROBOTS_TXT_MISSING',
+        message: 'No robots.txt found - add one with a Sitemap directive',
+        details: { url: robots.url, status: robots.status },
+      });
+    }
+
+    if (robots.invalid_lines.length > 0) {
+      const first = robots.invalid_lines[0];
+      result.issues.push({
+        severity: 'low',
+        code: 'ROBOTS_TXT_INVALID_LINES',
+        message: `robots.txt has ${robots.invalid_lines.length} unrecognized line(s) (line ${first.line}: "${first.content}")`,
+        details: { url: robots.url, lines: robots.invalid_lines },
+      });
+    }
+
+    // XML sitemap (5 points)
+    if (!indexing.sitemap_found) {
+      result.issues.push({
+        severity: 'medium',
+        code: 'SITEMAP_NOT_FOUND',
+        message: 'No XML sitemap found - add one and reference it in robots.txt',
+        details: {
+          checked: indexing.sitemaps.map(({ url, error }) => ({ url, error })),
+        },
+      });
+    } else {
+      const sitemapIssues = indexing.sitemaps.flatMap((sitemap) => [
+        ...sitemap.errors.map((issue) => ({ ...issue, severity: 'medium', sitemap: sitemap.url })),
+        ...sitemap.warnings.map((issue) => ({ ...issue, severity: 'low', sitemap: sitemap.url })),
+      ]);
+      const hasErrors = sitemapIssues.some((issue) => issue.severity === 'medium');
+      const urlCount = indexing.sitemaps.reduce(
+        (sum, sitemap) => sum + (sitemap.type === 'urlset' ? sitemap.count : 0),
+        0
+      );
+
+      if (hasErrors) {
+        result.score += 2;
+      } else {
+        result.score += 5;
+        result.passed.push(
+          `XML sitemap is valid (${urlCount} URLs in ${indexing.sitemaps.length} file(s))`
+        );
+      }
+
+      for (const issue of sitemapIssues) {
+        result.issues.push({
+          severity: issue.severity,
+          code: issue.code,
+          message: `Sitemap ${issue.sitemap}: ${issue.message}`,
+          details: { sitemap: issue.sitemap },
+        });
+      }
+
+      if (!indexing.declared_in_robots) {
+        result.issues.push({
+          severity: 'low',
+          code: 'SITEMAP_NOT_IN_ROBOTS',
+          message: 'Sitemap is not referenced in robots.txt (add a Sitemap: directive)',
+        });
+      }
+    }
+
+    // URL listed in the sitemap (5 points)
+    if (indexing.in_sitemap === true) {
+      result.score += 5;
+      result.passed.push('URL is listed in the XML sitemap');
+    } else if (indexing.in_sitemap === false) {
+      result.issues.push({
+        severity: 'medium',
+        code: 'URL_NOT_IN_SITEMAP',
+        message: 'This URL is not listed in the XML sitemap',
+      });
+    } else if (indexing.sitemap_found) {
+      result.score += 3;
+      result.issues.push({
+        severity: 'info',
+        code: 'SITEMAP_PARTIALLY_CHECKED',
+        message: 'Not every sitemap file was checked - could not confirm this URL is listed',
+      });
+    }
+
+    return result;
+  }
+
   /**
    * Component 4: Analyze Mobile Optimization (0-100 score)
    */
-  async analyzeMobileOptimization(content) {
+  async analyzeMobileOptimization(content, doc = parseHtmlDocument(content)) {
     const analysis = {
       score: 0,
       issues: [],
@@ -1591,27 +2195,30 @@ Provide keywords in JSON format:
     };
 
     // Viewport meta tag check (40 points)
-    const viewportMeta = content.match(/<meta\s+name=["']viewport["']\s+content=["']([^"']+)["']/i);
-    if (viewportMeta && viewportMeta[1].includes('width=device-width')) {
+    const viewportMeta = doc.getMeta('viewport');
+    if (viewportMeta && /width\s*=\s*device-width/i.test(viewportMeta)) {
       analysis.score += 40;
       analysis.passed.push('Viewport meta tag is properly configured');
     } else if (viewportMeta) {
       analysis.score += 20;
       analysis.issues.push({
         severity: 'high',
+        code: 'VIEWPORT_NOT_OPTIMAL',
         message: 'Viewport meta tag exists but may not be optimal',
       });
     } else {
       analysis.issues.push({
         severity: 'critical',
+        code: 'VIEWPORT_MISSING',
         message: 'Missing viewport meta tag - not mobile-friendly',
       });
     }
 
     // Responsive images check (20 points)
-    const images = content.match(/<img[^>]+>/gi) || [];
+    // Images inside <picture> get their responsive sources from <source srcset>
+    const images = doc.images;
     const responsiveImages = images.filter(
-      (img) => img.includes('srcset') || img.includes('sizes')
+      (img) => img.srcset || img.sizes || img.inPicture
     ).length;
 
     if (images.length > 0) {
@@ -1629,11 +2236,13 @@ Provide keywords in JSON format:
         analysis.score += 10;
         analysis.issues.push({
           severity: 'low',
+          code: 'IMAGES_NOT_RESPONSIVE',
           message: `Only ${Math.round(responsivePercentage)}% of images are responsive - add srcset/sizes`,
         });
       } else {
         analysis.issues.push({
           severity: 'medium',
+          code: 'IMAGES_NOT_RESPONSIVE',
           message: 'Images are not responsive - add srcset/sizes attributes',
         });
       }
@@ -1651,13 +2260,16 @@ Provide keywords in JSON format:
     } else {
       analysis.issues.push({
         severity: 'low',
+        code: 'TAP_TARGETS_SMALL',
         message: 'Ensure tap targets are at least 48x48 pixels',
       });
     }
 
     // Font size check (20 points)
     // Note: hasViewportUnits variable removed as this would require CSS analysis in real implementation
-    const hasMediaQueries = /@media/i.test(content);
+    const hasMediaQueries =
+      doc.styles.some((style) => /@media/i.test(style.content) || style.media) ||
+      doc.getLinks('stylesheet').some((link) => link.media && link.media !== 'all');
 
     if (hasMediaQueries) {
       analysis.score += 20;
@@ -1665,6 +2277,7 @@ Provide keywords in JSON format:
     } else {
       analysis.issues.push({
         severity: 'low',
+        code: 'FONT_SIZES_NOT_RESPONSIVE',
         message: 'Consider using responsive font sizes for mobile',
       });
     }
@@ -1674,8 +2287,17 @@ Provide keywords in JSON format:
 
   /**
    * Component 5: Analyze Performance (0-100 score)
+   * Scored from headless-browser lab metrics when available, otherwise from markup heuristics
+   * @param {string} url - Page URL
+   * @param {string} content - Page HTML
+   * @param {HtmlDocument} doc - Already parsed document
+   * @param {Object} lab - Lab metrics from labRunner.runLabPerformance (null if not measured)
    */
-  async analyzePerformance(url, content) {
+  async analyzePerformance(url, content, doc = parseHtmlDocument(content), lab = null) {
+    if (lab) {
+      return this.analyzeLabPerformance(lab);
+    }
+
     const analysis = {
       score: 40, // Start with moderate base score instead of 50
       issues: [],
@@ -1686,8 +2308,8 @@ Provide keywords in JSON format:
     // For now, we'll do basic checks that give realistic scores
 
     // Image optimization check (30 points)
-    const images = content.match(/<img[^>]+>/gi) || [];
-    const lazyImages = images.filter((img) => img.includes('loading="lazy"')).length;
+    const images = doc.images;
+    const lazyImages = images.filter((img) => img.loading === 'lazy').length;
 
     if (images.length > 0) {
       const lazyPercentage = (lazyImages / images.length) * 100;
@@ -1701,11 +2323,13 @@ Provide keywords in JSON format:
         analysis.score += 10;
         analysis.issues.push({
           severity: 'medium',
+          code: 'PERF_LAZY_LOADING',
           message: `Add lazy loading to more images (currently ${Math.round(lazyPercentage)}%)`,
         });
       } else {
         analysis.issues.push({
           severity: 'medium',
+          code: 'PERF_LAZY_LOADING',
           message: 'Add lazy loading to images for better performance',
         });
       }
@@ -1714,8 +2338,8 @@ Provide keywords in JSON format:
     }
 
     // Resource hints check (15 points)
-    const hasDnsPrefetch = /<link\s+rel=["']dns-prefetch["']/i.test(content);
-    const hasPreconnect = /<link\s+rel=["']preconnect["']/i.test(content);
+    const hasDnsPrefetch = doc.getLinks('dns-prefetch').length > 0;
+    const hasPreconnect = doc.getLinks('preconnect').length > 0;
 
     if (hasDnsPrefetch && hasPreconnect) {
       analysis.score += 15;
@@ -1727,13 +2351,14 @@ Provide keywords in JSON format:
       analysis.score += 5;
       analysis.issues.push({
         severity: 'low',
+        code: 'PERF_RESOURCE_HINTS',
         message: 'Add dns-prefetch or preconnect for external resources',
       });
     }
 
     // Minification check (15 points)
-    const hasMinifiedCss = /<link[^>]+\.min\.css/i.test(content);
-    const hasMinifiedJs = /<script[^>]+\.min\.js/i.test(content);
+    const hasMinifiedCss = doc.getLinks('stylesheet').some((link) => /\.min\.css/i.test(link.href));
+    const hasMinifiedJs = doc.scripts.some((script) => /\.min\.js/i.test(script.src));
 
     if (hasMinifiedCss && hasMinifiedJs) {
       analysis.score += 15;
@@ -1743,11 +2368,16 @@ Provide keywords in JSON format:
       analysis.passed.push('Some resources are minified');
     } else {
       analysis.score += 5;
-      analysis.issues.push({ severity: 'medium', message: 'Minify CSS and JavaScript files' });
+      analysis.issues.push({
+        severity: 'medium',
+        code: 'PERF_NOT_MINIFIED',
+        message: 'Minify CSS and JavaScript files',
+      });
     }
 
     analysis.issues.push({
       severity: 'info',
+      code: 'PERF_ESTIMATED',
       message:
         'Run full performance audit with Google PageSpeed Insights for detailed Core Web Vitals',
     });
@@ -1755,201 +2385,332 @@ Provide keywords in JSON format:
     return analysis;
   }
 
+  /**
+   * Score lab metrics with Lighthouse-style curves and report each slow metric
+   * @param {Object} lab - Lab metrics
+   * @returns {Object} { score, issues, passed, source: 'lab', lab } - lab includes metric_scores
+   */
+  analyzeLabPerformance(lab) {
+    const { score, metric_scores: metricScores } = scoreLabMetrics(lab);
+    const analysis = {
+      score: score ?? 0,
+      issues: [],
+      passed: [],
+      source: 'lab',
+      // Text colors feed the accessibility contrast rules; not needed with the metrics
+      lab: { ...lab, text_colors: undefined, metric_scores: metricScores },
+    };
+
+    const format = (key, value) =>
+      key === 'cls' ? value.toFixed(3) : `${(value / 1000).toFixed(1)} s`;
+
+    for (const [key, metric] of Object.entries(LAB_METRICS)) {
+      const value = lab[key];
+      if (typeof value !== 'number') {
+        continue;
+      }
+      const rating = rateMetric(key, value);
+      if (rating === 'good') {
+        analysis.passed.push(`${metric.label} is good (${format(key, value)})`);
+      } else {
+        analysis.issues.push({
+          severity: rating === 'poor' ? 'high' : 'medium',
+          code: metric.code,
+          message: `${metric.label} is ${rating === 'poor' ? 'poor' : 'slow'} (${format(key, value)}, target ${format(key, metric.good)} or less)`,
+          details: { metric: key, value, rating },
+        });
+      }
+    }
+
+    if (lab.render_blocking?.length > 0) {
+      analysis.issues.push({
+        severity: 'medium',
+        code: 'PERF_RENDER_BLOCKING',
+        message: `${lab.render_blocking.length} render-blocking resources delay the first paint - defer scripts and inline critical CSS`,
+        details: { urls: lab.render_blocking.map((resource) => resource.url) },
+      });
+    } else {
+      analysis.passed.push('No render-blocking resources');
+    }
+
+    const megabytes = lab.transfer_bytes / (1024 * 1024);
+    if (megabytes > 3) {
+      analysis.issues.push({
+        severity: megabytes > 5 ? 'high' : 'medium',
+        code: 'PERF_PAGE_WEIGHT',
+        message: `Page transfers ${megabytes.toFixed(1)} MB - compress images and remove unused code`,
+        details: { transfer_bytes: lab.transfer_bytes },
+      });
+    } else {
+      analysis.passed.push(`Page weight is reasonable (${megabytes.toFixed(1)} MB)`);
+    }
+
+    if (lab.request_count > 100) {
+      analysis.issues.push({
+        severity: 'low',
+        code: 'PERF_REQUEST_COUNT',
+        message: `Page makes ${lab.request_count} requests - bundle or remove unneeded resources`,
+        details: { request_count: lab.request_count },
+      });
+    }
+
+    if (score === null) {
+      analysis.issues.push({
+        severity: 'info',
+        code: 'PERF_NOT_MEASURED',
+        message: 'The browser could not measure paint or layout metrics for this page',
+      });
+    }
+
+    return analysis;
+  }
+
   /**
    * Component 6: Analyze Security (0-100 score)
+   * - HTTPS (30), no mixed content (15)
+   * - Security headers and cookie flags (35, see securityHeaders)
+   * - TLS protocol and certificate (10)
+   * - External link rel (5), form actions (5)
+   * @param {string} url - Page URL
+   * @param {string} content - Page HTML
+   * @param {HtmlDocument} doc - Already parsed document
+   * @param {Object} response - { headers, cookies, tls } from the fetch (null if unknown)
    */
-  async analyzeSecurity(url, content) {
+  async analyzeSecurity(url, content, doc = parseHtmlDocument(content), response = null) {
     const analysis = {
       score: 0,
       issues: [],
       passed: [],
     };
+    const isHttps = url.startsWith('https://');
 
-    // HTTPS check (40 points)
-    if (url.startsWith('https://')) {
-      analysis.score += 40;
+    // HTTPS check (30 points)
+    if (isHttps) {
+      analysis.score += 30;
       analysis.passed.push('Site uses HTTPS encryption');
     } else {
       analysis.issues.push({
         severity: 'critical',
+        code: 'SECURITY_HTTPS_MISSING',
         message: 'Site does not use HTTPS - major security risk',
       });
     }
 
-    // Mixed content check (20 points)
+    // Mixed content check (15 points)
+    // Subresources only: a plain <a href="http://..."> is a navigation, not mixed content
+    const isInsecure = (value) => /^http:\/\//i.test(value?.trim() || '');
     const hasMixedContent =
-      /src=["']http:\/\//i.test(content) || /href=["']http:\/\//i.test(content);
+      doc.elements.some((el) => isInsecure(el.attribs.src)) ||
+      doc.links.some((link) => !link.rel.includes('alternate') && isInsecure(link.href));
 
-    if (!hasMixedContent && url.startsWith('https://')) {
-      analysis.score += 20;
+    if (!hasMixedContent && isHttps) {
+      analysis.score += 15;
       analysis.passed.push('No mixed content (HTTP resources on HTTPS page)');
     } else if (hasMixedContent) {
       analysis.issues.push({
         severity: 'high',
+        code: 'MIXED_CONTENT',
         message: 'Mixed content detected - HTTP resources on HTTPS page',
       });
     }
 
-    // Security headers check (20 points)
-    // Note: Would require actual HTTP response headers in real implementation
-    analysis.score += 10;
-    analysis.issues.push({
-      severity: 'info',
-      message: 'Verify security headers: X-Frame-Options, X-Content-Type-Options, CSP',
-    });
+    // Security headers, cookies (35 points) and TLS (10 points)
+    if (response) {
+      const headers = analyzeSecurityHeaders(response.headers, {
+        cookies: response.cookies || [],
+        https: isHttps,
+      });
+      analysis.score += headers.score;
+      analysis.issues.push(...headers.issues);
+      analysis.passed.push(...headers.passed);
+      analysis.headers = headers.summary;
+
+      if (isHttps) {
+        const tls = this.analyzeTlsSetup(response.tls);
+        analysis.score += tls.score;
+        analysis.issues.push(...tls.issues);
+        analysis.passed.push(...tls.passed);
+        analysis.tls = response.tls || null;
+      }
+    } else {
+      analysis.score += 20;
+      analysis.issues.push({
+        severity: 'info',
+        code: 'SECURITY_HEADERS_NOT_CHECKED',
+        message: 'Response headers and TLS were not checked (page HTML only)',
+      });
+    }
 
-    // External links check (10 points)
-    const externalLinks = content.match(/<a[^>]+href=["']https?:\/\/[^"']+["'][^>]*>/gi) || [];
-    const noopenerLinks = externalLinks.filter((link) => link.includes('rel="noopener')).length;
+    // External links check (5 points)
+    let pageHost = null;
+    try {
+      pageHost = new URL(url).hostname;
+    } catch {
+      // Relative links cannot be compared without a page URL
+    }
+    const externalLinks = doc.anchors.filter((anchor) => {
+      try {
+        return /^https?:\/\//i.test(anchor.href) && new URL(anchor.href).hostname !== pageHost;
+      } catch {
+        return false;
+      }
+    });
+    const noopenerLinks = externalLinks.filter(
+      (link) => link.rel.includes('noopener') || link.rel.includes('noreferrer')
+    ).length;
 
     if (externalLinks.length > 0) {
       const noopenerPercentage = (noopenerLinks / externalLinks.length) * 100;
       if (noopenerPercentage >= 80) {
-        analysis.score += 10;
+        analysis.score += 5;
         analysis.passed.push('External links use rel="noopener noreferrer"');
       } else {
         analysis.issues.push({
           severity: 'low',
+          code: 'EXTERNAL_LINKS_NOOPENER',
           message: 'Add rel="noopener noreferrer" to external links',
         });
       }
     } else {
-      analysis.score += 5;
+      analysis.score += 3;
     }
 
-    // Form security check (10 points)
-    const hasForms = /<form/i.test(content);
+    // Form security check (5 points)
+    const hasForms = doc.forms.length > 0;
     if (hasForms) {
-      const hasHttpsForms = !/<form[^>]+action=["']http:\/\//i.test(content);
+      const hasHttpsForms = !doc.forms.some((form) => isInsecure(form.action));
       if (hasHttpsForms) {
-        analysis.score += 10;
+        analysis.score += 5;
         analysis.passed.push('Forms submit to secure (HTTPS) endpoints');
       } else {
         analysis.issues.push({
           severity: 'high',
+          code: 'FORMS_INSECURE',
           message: 'Forms submit to insecure (HTTP) endpoints',
         });
       }
     } else {
-      analysis.score += 10;
+      analysis.score += 5;
     }
 
     return analysis;
   }
 
   /**
-   * Component 7: Analyze Accessibility (0-100 score)
+   * Score the negotiated TLS protocol and certificate (0-10 points)
+   * - TLS 1.2 or 1.3 (4)
+   * - Certificate valid for the host (3)
+   * - Certificate not expiring within 30 days (3)
+   * @param {Object} tls - tlsInspector.inspectTls result
+   * @returns {Object} { score, issues, passed }
    */
-  async analyzeAccessibility(content) {
-    const analysis = {
-      score: 0,
-      issues: [],
-      passed: [],
-    };
-
-    // Alt text check (25 points)
-    const images = content.match(/<img[^>]+>/gi) || [];
-    const imagesWithAlt = images.filter((img) => /alt=["'][^"']*["']/.test(img)).length;
+  analyzeTlsSetup(tls) {
+    const result = { score: 0, issues: [], passed: [] };
+    const issue = (severity, code, message, description = '') =>
+      result.issues.push({
+        severity,
+        code,
+        message,
+        ...(description && { description }),
+        details: { category: 'tls' },
+      });
 
-    if (images.length > 0) {
-      const altPercentage = (imagesWithAlt / images.length) * 100;
-      if (altPercentage === 100) {
-        analysis.score += 25;
-        analysis.passed.push('All images have alt text for screen readers');
-      } else if (altPercentage >= 80) {
-        analysis.score += 15;
-        analysis.issues.push({
-          severity: 'medium',
-          message: `${images.length - imagesWithAlt} images missing alt text`,
-        });
-      } else {
-        analysis.score += 5;
-        analysis.issues.push({
-          severity: 'high',
-          message: `${images.length - imagesWithAlt} of ${images.length} images missing alt text`,
-        });
-      }
-    } else {
-      analysis.score += 15;
+    if (!tls) {
+      result.score += 5;
+      issue('info', 'TLS_NOT_CHECKED', 'TLS protocol and certificate were not checked');
+      return result;
     }
-
-    // ARIA labels check (20 points)
-    const hasAriaLabels = /aria-label=/i.test(content);
-    const hasAriaDescriptions = /aria-describedby=/i.test(content);
-
-    if (hasAriaLabels || hasAriaDescriptions) {
-      analysis.score += 20;
-      analysis.passed.push('ARIA labels are used for better accessibility');
-    } else {
-      analysis.issues.push({
-        severity: 'medium',
-        message: 'Add ARIA labels to improve screen reader accessibility',
-      });
+    if (tls.error) {
+      issue('high', 'TLS_HANDSHAKE_FAILED', `TLS connection to ${tls.host} failed: ${tls.error}`);
+      return result;
     }
 
-    // Semantic HTML check (20 points)
-    const hasSemanticTags =
-      /<header/i.test(content) ||
-      /<nav/i.test(content) ||
-      /<main/i.test(content) ||
-      /<article/i.test(content) ||
-      /<footer/i.test(content);
-
-    if (hasSemanticTags) {
-      analysis.score += 20;
-      analysis.passed.push('Semantic HTML5 tags are used');
+    if (['TLSv1.2', 'TLSv1.3'].includes(tls.protocol)) {
+      result.score += 4;
+      result.passed.push(`Server negotiates ${tls.protocol}`);
     } else {
-      analysis.issues.push({
-        severity: 'medium',
-        message: 'Use semantic HTML5 tags (header, nav, main, article, footer)',
-      });
+      issue(
+        'high',
+        'TLS_OUTDATED_PROTOCOL',
+        `Server negotiated ${tls.protocol || 'an unknown protocol'} - TLS 1.0/1.1 are deprecated`,
+        'Enable TLS 1.2 and 1.3 and disable older protocols'
+      );
     }
 
-    // Form labels check (15 points)
-    const formInputs = content.match(/<input[^>]+>/gi) || [];
-    const inputsWithLabels = formInputs.filter(
-      (input) => /<label[^>]*for=["'][^"']+["'][^>]*>/i.test(content) || /aria-label=/i.test(input)
-    ).length;
+    const days = tls.certificate?.days_remaining;
+    const expired = typeof days === 'number' && days < 0;
 
-    if (formInputs.length > 0) {
-      const labelPercentage = (inputsWithLabels / formInputs.length) * 100;
-      if (labelPercentage >= 90) {
-        analysis.score += 15;
-        analysis.passed.push('Form inputs have associated labels');
-      } else {
-        analysis.issues.push({
-          severity: 'high',
-          message: 'Add <label> tags or aria-label to all form inputs',
-        });
-      }
-    } else {
-      analysis.score += 10;
+    if (tls.authorized) {
+      result.score += 3;
+      result.passed.push('TLS certificate is trusted and matches the host');
+    } else if (!expired) {
+      issue(
+        'critical',
+        'TLS_CERT_INVALID',
+        `TLS certificate is not trusted (${tls.authorization_error || 'unknown reason'}) - browsers show a warning`,
+        'Install a certificate from a trusted CA that covers this hostname, with the full chain'
+      );
     }
 
-    // Language declaration check (10 points)
-    const hasLang = /<html[^>]+lang=/i.test(content);
-    if (hasLang) {
-      analysis.score += 10;
-      analysis.passed.push('Page language is declared (lang attribute)');
+    if (typeof days !== 'number') {
+      return result;
+    }
+    if (expired) {
+      issue(
+        'critical',
+        'TLS_CERT_EXPIRED',
+        `TLS certificate expired on ${tls.certificate.valid_to.slice(0, 10)}`,
+        'Renew the certificate and enable automatic renewal'
+      );
+    } else if (days < 30) {
+      result.score += days < 14 ? 1 : 2;
+      issue(
+        days < 14 ? 'high' : 'medium',
+        'TLS_CERT_EXPIRING',
+        `TLS certificate expires in ${days} days`,
+        'Renew the certificate and enable automatic renewal'
+      );
     } else {
-      analysis.issues.push({ severity: 'medium', message: 'Add lang attribute to <html> tag' });
+      result.score += 3;
+      result.passed.push(`TLS certificate is valid for ${days} more days`);
     }
 
-    // Heading hierarchy check (10 points)
-    const headings = content.match(/<h[1-6]/gi) || [];
-    const hasProperHierarchy = headings.length > 0; // Simplified check
+    return result;
+  }
 
-    if (hasProperHierarchy) {
-      analysis.score += 10;
-      analysis.passed.push('Heading hierarchy exists');
-    } else {
-      analysis.issues.push({
-        severity: 'low',
-        message: 'Ensure proper heading hierarchy (H1 → H2 → H3)',
-      });
-    }
+  /**
+   * Component 7: Analyze Accessibility (0-100 score)
+   * Runs the WCAG rule engine; the score is the weight of passing rules over all rules that
+   * apply to the page, and each finding references its success criterion and level.
+   * @param {string} content - Page HTML
+   * @param {HtmlDocument} doc - Already parsed document
+   * @param {Object} lab - Lab run output; its computed text colors are used for contrast
+   */
+  async analyzeAccessibility(content, doc = parseHtmlDocument(content), lab = null) {
+    const result = runAccessibilityRules(doc, { textColors: lab?.text_colors ?? undefined });
 
-    return analysis;
+    return {
+      score: result.score,
+      issues: result.violations.map((violation) => ({
+        severity: violation.severity,
+        code: violation.code,
+        message: `${violation.message} (WCAG ${violation.criterion} ${violation.criterion_name}, level ${violation.level})`,
+        description: violation.fix,
+        details: {
+          rule: violation.rule,
+          criterion: violation.criterion,
+          criterion_name: violation.criterion_name,
+          level: violation.level,
+          count: violation.count,
+          targets: violation.targets,
+        },
+      })),
+      passed: result.passed,
+      wcag: {
+        ...result.summary,
+        label: describeViolationCounts(result.summary.violations),
+      },
+    };
   }
 
   /**
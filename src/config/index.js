@@ -142,8 +142,23 @@ const config = {
       fromEmail: process.env.SENDGRID_FROM_EMAIL || 'noreply@prismify.com',
       fromName: process.env.SENDGRID_FROM_NAME || 'Prismify',
     },
-    // Preferred provider (resend or sendgrid)
+    // Self-hosted relay or local catcher (Mailpit, MailHog)
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+    },
+    // Development/test transport; writes messages to this directory when set
+    mailbox: {
+      dir: process.env.EMAIL_MAILBOX_DIR,
+    },
+    // Preferred provider (resend, sendgrid, smtp or mailbox; unset picks the first configured)
     provider: process.env.EMAIL_PROVIDER || 'resend',
+    // Internal alerts (high-value payment failures)
+    alertsTo: process.env.EMAIL_ALERTS_TO,
   },
 
   // Storage
@@ -15,16 +15,19 @@ export const TIER_QUOTAS = {
     audits: 10,
     keywords: 50,
     reports: 10,
+    crawls: 2, // Site crawls; pages per crawl are capped by TIER_CRAWL_PAGE_LIMITS
   },
   professional: {
     audits: 50,
     keywords: 500,
     reports: 50,
+    crawls: 20,
   },
   agency: {
     audits: -1, // Unlimited
     keywords: -1,
     reports: -1,
+    crawls: -1,
   },
 };
 
@@ -40,9 +43,121 @@ export function isUnlimited(quota) {
 /**
  * Get quota for a specific tier and resource
  * @param {string} tier - Tier name (starter, professional, agency)
- * @param {string} resource - Resource type (audits, keywords, reports)
+ * @param {string} resource - Resource type (audits, keywords, reports, crawls)
  * @returns {number} Quota limit (-1 for unlimited)
  */
 export function getQuota(tier, resource) {
   return TIER_QUOTAS[tier]?.[resource] ?? 0;
 }
+
+/**
+ * Tier that applies to a user: an admin's tier override (users.tier_override) replaces the
+ * tier billed through Stripe (users.subscription_tier)
+ * @param {Object} [user] - users row with subscription_tier and tier_override
+ * @returns {string} Tier name (starter when neither is set)
+ */
+export function effectiveTier(user) {
+  return user?.tier_override || user?.subscription_tier || 'starter';
+}
+
+/**
+ * Quotas an admin can override per user (users.quota_overrides)
+ */
+export const QUOTA_OVERRIDE_KEYS = ['audits', 'keywords', 'crawls', 'reports', 'max_projects'];
+
+/**
+ * Apply a user's quota overrides on top of their tier quotas
+ * @param {Object} quotas - Tier quotas
+ * @param {Object} [overrides] - users.quota_overrides (-1 for unlimited)
+ * @returns {Object} Quotas with the overridden values replaced
+ */
+export function applyQuotaOverrides(quotas, overrides) {
+  if (!overrides || typeof overrides !== 'object') {
+    return quotas;
+  }
+
+  const applied = { ...quotas };
+  for (const key of QUOTA_OVERRIDE_KEYS) {
+    if (Number.isInteger(overrides[key]) && overrides[key] >= -1) {
+      applied[key] = overrides[key];
+    }
+  }
+  return applied;
+}
+
+/**
+ * Maximum audits a user can have running at the same time per tier
+ */
+export const TIER_AUDIT_CONCURRENCY = {
+  starter: 1,
+  professional: 3,
+  agency: 10,
+};
+
+/**
+ * Get the concurrent audit limit for a tier
+ * @param {string} tier - Tier name (starter, professional, agency)
+ * @returns {number} Maximum running audits (unknown tiers get the starter limit)
+ */
+export function getAuditConcurrency(tier) {
+  return TIER_AUDIT_CONCURRENCY[tier] ?? TIER_AUDIT_CONCURRENCY.starter;
+}
+
+/**
+ * Maximum pages audited per site crawl per tier
+ */
+export const TIER_CRAWL_PAGE_LIMITS = {
+  starter: 25,
+  professional: 250,
+  agency: 1000,
+};
+
+/**
+ * Get the crawl page cap for a tier
+ * @param {string} tier - Tier name (starter, professional, agency)
+ * @returns {number} Maximum pages per crawl (unknown tiers get the starter limit)
+ */
+export function getCrawlPageLimit(tier) {
+  return TIER_CRAWL_PAGE_LIMITS[tier] ?? TIER_CRAWL_PAGE_LIMITS.starter;
+}
+
+/**
+ * Maximum competitor URLs compared with a page per tier
+ */
+export const TIER_COMPETITOR_LIMITS = {
+  starter: 3,
+  professional: 5,
+  agency: 10,
+};
+
+/**
+ * Get the competitor URL cap for a tier
+ * @param {string} tier - Tier name (starter, professional, agency)
+ * @returns {number} Maximum competitor URLs per analysis (unknown tiers get the starter limit)
+ */
+export function getCompetitorLimit(tier) {
+  return TIER_COMPETITOR_LIMITS[tier] ?? TIER_COMPETITOR_LIMITS.starter;
+}
+
+/**
+ * API requests per minute per tier, by rate limit bucket
+ * - standard: every authenticated API request
+ * - expensive: requests that start audits, crawls, competitor analyses, keyword research or
+ *   AI generation; these also count toward the standard bucket
+ */
+export const TIER_RATE_LIMITS = {
+  starter: { standard: 60, expensive: 5 },
+  professional: { standard: 300, expensive: 20 },
+  agency: { standard: 1000, expensive: 60 },
+};
+
+/**
+ * Get the per-minute request limit for a tier and bucket
+ * @param {string} tier - Tier name (starter, professional, agency)
+ * @param {string} bucket - Rate limit bucket (standard, expensive)
+ * @returns {number} Requests per minute (unknown tiers get the starter limit)
+ */
+export function getRateLimit(tier, bucket) {
+  const limits = TIER_RATE_LIMITS[tier] ?? TIER_RATE_LIMITS.starter;
+  return limits[bucket] ?? limits.standard;
+}
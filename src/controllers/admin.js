@@ -0,0 +1,496 @@
+/**
+ * Admin Controller
+ * Operator endpoints; every route is behind requireAuth + requireAdmin
+ */
+
+import { createClient } from '../config/supabase.js';
+import {
+  WEBHOOK_EVENT_STATUS,
+  listWebhookEvents as listStoredWebhookEvents,
+  getWebhookEvent as getStoredWebhookEvent,
+  replayWebhookEvent as replayStoredWebhookEvent,
+} from '../services/stripe/webhookEvents.js';
+import { dispatchStripeEvent } from '../routes/webhooks/stripe.js';
+import {
+  TOP_CONSUMER_RESOURCES,
+  normalizeSubscriptionOverride,
+  searchUsers as searchStoredUsers,
+  getUser as getStoredUser,
+  applySubscriptionOverride,
+  listAuditLog as listStoredAuditLog,
+  listGracePeriodUsers,
+  getTopConsumers as getStoredTopConsumers,
+} from '../services/admin/userAdmin.js';
+import usageTracker from '../services/usageTracker.js';
+import subscriptionManager from '../services/subscriptionManager.js';
+import aiCostTracker from '../services/analytics/aiCostTracker.js';
+import aiCacheService from '../services/cache/aiCache.js';
+import { TIER_QUOTAS } from '../config/tiers.js';
+
+const STRIPE_EVENT_ID_REGEX = /^evt_[A-Za-z0-9_]+$/;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function invalidEventIdResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: 'Invalid Stripe event ID format',
+    },
+  });
+}
+
+function eventNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'WEBHOOK_EVENT_NOT_FOUND',
+      message: 'Webhook event not found',
+    },
+  });
+}
+
+function invalidUserIdResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: 'Invalid user ID format',
+    },
+  });
+}
+
+function userNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'USER_NOT_FOUND',
+      message: 'User not found',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function paginationMeta(page, limit, total) {
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+  return {
+    page,
+    limit,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1,
+  };
+}
+
+function internalErrorResponse(res) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    },
+  });
+}
+
+/**
+ * List received Stripe webhook events, newest first
+ * Query params: ?status=failed&type=invoice.payment_failed&page=1&limit=20
+ * @route GET /api/admin/webhooks/stripe/events
+ */
+export async function listWebhookEvents(req, res) {
+  try {
+    const { status, type } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (status && !Object.values(WEBHOOK_EVENT_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: `status must be one of: ${Object.values(WEBHOOK_EVENT_STATUS).join(', ')}`,
+        },
+      });
+    }
+
+    const supabase = createClient({ admin: true });
+    const { events, total } = await listStoredWebhookEvents(supabase, {
+      status,
+      type,
+      page,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: events,
+      meta: paginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    console.error('List webhook events error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Get one Stripe webhook event with its payload
+ * @route GET /api/admin/webhooks/stripe/events/:id
+ */
+export async function getWebhookEvent(req, res) {
+  try {
+    if (!STRIPE_EVENT_ID_REGEX.test(req.params.id)) {
+      return invalidEventIdResponse(res);
+    }
+
+    const event = await getStoredWebhookEvent(createClient({ admin: true }), req.params.id);
+    if (!event) {
+      return eventNotFoundResponse(res);
+    }
+
+    return res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Get webhook event error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Run the handler again for a failed Stripe webhook event
+ * @route POST /api/admin/webhooks/stripe/events/:id/replay
+ */
+export async function replayWebhookEvent(req, res) {
+  try {
+    if (!STRIPE_EVENT_ID_REGEX.test(req.params.id)) {
+      return invalidEventIdResponse(res);
+    }
+
+    const supabase = createClient({ admin: true });
+    const result = await replayStoredWebhookEvent(supabase, req.params.id, dispatchStripeEvent);
+
+    if (!result) {
+      return eventNotFoundResponse(res);
+    }
+
+    if (result.outcome === 'duplicate' || result.outcome === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: result.outcome === 'duplicate' ? 'EVENT_ALREADY_PROCESSED' : 'EVENT_IN_PROGRESS',
+          message:
+            result.outcome === 'duplicate'
+              ? 'This event has already been processed'
+              : 'This event is being processed by another delivery',
+        },
+      });
+    }
+
+    console.log(
+      `Stripe event ${req.params.id} replayed by admin ${req.user.id}: ${result.outcome}`
+    );
+
+    if (result.outcome === WEBHOOK_EVENT_STATUS.FAILED) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_HANDLER_FAILED',
+          message: result.error,
+        },
+      });
+    }
+
+    const { payload: _payload, ...event } = await getStoredWebhookEvent(supabase, req.params.id);
+
+    return res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Replay webhook event error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Search users by email or name
+ * Query params: ?search=acme&tier=professional&status=past_due&page=1&limit=20
+ * @route GET /api/admin/users
+ */
+export async function listUsers(req, res) {
+  try {
+    const { search, tier, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (tier && !Object.keys(TIER_QUOTAS).includes(tier)) {
+      return validationResponse(res, `tier must be one of: ${Object.keys(TIER_QUOTAS).join(', ')}`);
+    }
+    const statuses = Object.values(subscriptionManager.SUBSCRIPTION_STATUS);
+    if (status && !statuses.includes(status)) {
+      return validationResponse(res, `status must be one of: ${statuses.join(', ')}`);
+    }
+
+    const { users, total } = await searchStoredUsers(createClient({ admin: true }), {
+      search,
+      tier,
+      status,
+      page,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: users,
+      meta: paginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Get a user with their subscription and grace period status, this month's usage, the
+ * quotas that apply and recent admin changes
+ * @route GET /api/admin/users/:id
+ */
+export async function getUser(req, res) {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return invalidUserIdResponse(res);
+    }
+
+    const supabase = createClient({ admin: true });
+    const user = await getStoredUser(supabase, req.params.id);
+    if (!user) {
+      return userNotFoundResponse(res);
+    }
+
+    const [subscription, usage, { tier, quotas }, { entries: auditLog }] = await Promise.all([
+      subscriptionManager.checkSubscriptionStatus(user.id),
+      usageTracker.getCurrentMonthUsage(user.id),
+      usageTracker.getUserTierAndQuotas(user.id),
+      listStoredAuditLog(supabase, { targetUserId: user.id, limit: 20 }),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        user,
+        subscription,
+        usage,
+        quotas: {
+          tier: TIER_QUOTAS[tier] || TIER_QUOTAS.starter,
+          effective: quotas,
+        },
+        auditLog,
+      },
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Override a user's tier and/or quotas; the change and reason go to the admin audit log
+ * Body: { tier?: string | null, quota_overrides?: { audits?, keywords?, crawls?, reports?,
+ *   max_projects? } | null, reason }
+ * @route PATCH /api/admin/users/:id/subscription
+ */
+export async function updateUserSubscription(req, res) {
+  try {
+    if (!UUID_REGEX.test(req.params.id)) {
+      return invalidUserIdResponse(res);
+    }
+
+    const { override, reason, error } = normalizeSubscriptionOverride(req.body);
+    if (error) {
+      return validationResponse(res, error);
+    }
+
+    const result = await applySubscriptionOverride(createClient({ admin: true }), {
+      adminId: req.user.id,
+      userId: req.params.id,
+      override,
+      reason,
+    });
+
+    if (!result) {
+      return userNotFoundResponse(res);
+    }
+
+    if (result.auditEntry) {
+      console.log(
+        `Subscription of user ${req.params.id} overridden by admin ${req.user.id}: ${reason}`
+      );
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        user: result.user,
+        auditEntry: result.auditEntry,
+      },
+    });
+  } catch (error) {
+    console.error('Update user subscription error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List admin changes, newest first
+ * Query params: ?user_id=<uuid>&page=1&limit=20
+ * @route GET /api/admin/audit-log
+ */
+export async function listAuditLog(req, res) {
+  try {
+    const targetUserId = req.query.user_id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (targetUserId && !UUID_REGEX.test(targetUserId)) {
+      return invalidUserIdResponse(res);
+    }
+
+    const { entries, total } = await listStoredAuditLog(createClient({ admin: true }), {
+      targetUserId,
+      page,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: entries,
+      meta: paginationMeta(page, limit, total),
+    });
+  } catch (error) {
+    console.error('List admin audit log error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Subscription counts by status and tier, and every past-due user's grace period
+ * @route GET /api/admin/subscriptions
+ */
+export async function getSubscriptions(req, res) {
+  try {
+    const graceDays = subscriptionManager.GRACE_PERIOD.DAYS;
+    const [summary, pastDue] = await Promise.all([
+      subscriptionManager.getSubscriptionSummary(),
+      listGracePeriodUsers(createClient({ admin: true }), { graceDays }),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        summary,
+        gracePeriodDays: graceDays,
+        pastDue,
+      },
+    });
+  } catch (error) {
+    console.error('Get subscriptions error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * AI spend: today and this month, history by provider, day and month, and budget alerts
+ * Query params: ?days=30&months=6
+ * @route GET /api/admin/ai/costs
+ */
+export async function getAICosts(req, res) {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+    const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 12);
+
+    // Costs are kept in Redis; without it every figure reads as zero
+    await aiCostTracker.initialize();
+
+    const [dashboard, history, alerts] = await Promise.all([
+      aiCostTracker.getCostDashboard(),
+      aiCostTracker.getSpendHistory({ days, months }),
+      aiCostTracker.getRecentAlerts(10),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        connected: aiCostTracker.isConnected,
+        dashboard,
+        history,
+        alerts,
+      },
+    });
+  } catch (error) {
+    console.error('Get AI costs error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * AI response cache hit rate
+ * Counters are kept per API process since it started, so they cover this instance only
+ * @route GET /api/admin/ai/cache
+ */
+export async function getAICacheStats(req, res) {
+  try {
+    return res.json({
+      success: true,
+      data: aiCacheService.getStats(),
+    });
+  } catch (error) {
+    console.error('Get AI cache stats error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Users with the most usage of a resource
+ * Query params: ?resource=audits|keywords|api_calls|ai_tokens&days=30&limit=10
+ * @route GET /api/admin/usage/top-consumers
+ */
+export async function getTopConsumers(req, res) {
+  try {
+    const resource = req.query.resource || 'audits';
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+    if (!TOP_CONSUMER_RESOURCES.includes(resource)) {
+      return validationResponse(
+        res,
+        `resource must be one of: ${TOP_CONSUMER_RESOURCES.join(', ')}`
+      );
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const consumers = await getStoredTopConsumers(createClient({ admin: true }), {
+      resource,
+      since,
+      limit,
+    });
+
+    return res.json({
+      success: true,
+      data: consumers,
+      meta: {
+        resource,
+        days,
+        since: since.toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Get top consumers error:', error);
+    return internalErrorResponse(res);
+  }
+}
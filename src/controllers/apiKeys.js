@@ -0,0 +1,332 @@
+/**
+ * API Keys Controller
+ * Create, list, rotate and revoke the keys used with Authorization: Bearer pk_...
+ *
+ * The full key is only in the create and rotate responses; api_keys stores its hash.
+ */
+
+import { createClient } from '../config/supabase.js';
+import {
+  API_KEY_COLUMNS,
+  API_KEY_SCOPES,
+  MAX_ACTIVE_API_KEYS,
+  MAX_API_KEY_EXPIRY_DAYS,
+  generateApiKey,
+  normalizeRateLimit,
+  normalizeScopes,
+} from '../services/auth/apiKeys.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHOWN_ONCE_MESSAGE = 'Store this key now; it will not be shown again.';
+
+function invalidIdResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: 'Invalid API key ID format',
+    },
+  });
+}
+
+function apiKeyNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'API_KEY_NOT_FOUND',
+      message: 'API key not found, already revoked or access denied',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function databaseErrorResponse(res, message) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'DATABASE_ERROR',
+      message,
+    },
+  });
+}
+
+function internalErrorResponse(res) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    },
+  });
+}
+
+/**
+ * Load one of the user's active keys
+ */
+async function loadActiveKey(supabase, userId, id) {
+  const { data: key } = await supabase
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return key;
+}
+
+/**
+ * Create an API key
+ * Body: { name: string, scopes: string[], expires_in_days?: number,
+ *   rate_limit_per_minute?: number }
+ * Keys without expires_in_days never expire; keys without rate_limit_per_minute are only
+ * limited by the plan.
+ * @route POST /api/api-keys
+ */
+export async function createApiKey(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return validationResponse(res, 'name is required');
+    }
+    if (name.length > 100) {
+      return validationResponse(res, 'name must be 100 characters or less');
+    }
+
+    const { scopes, error: scopeError } = normalizeScopes(body.scopes);
+    if (scopeError) {
+      return validationResponse(res, scopeError);
+    }
+
+    let expiresAt = null;
+    if (body.expires_in_days !== undefined && body.expires_in_days !== null) {
+      const days = body.expires_in_days;
+      if (!Number.isInteger(days) || days < 1 || days > MAX_API_KEY_EXPIRY_DAYS) {
+        return validationResponse(
+          res,
+          `expires_in_days must be a whole number from 1 to ${MAX_API_KEY_EXPIRY_DAYS}`
+        );
+      }
+      expiresAt = new Date(Date.now() + days * DAY_MS).toISOString();
+    }
+
+    const { rateLimit, error: rateLimitError } = normalizeRateLimit(body.rate_limit_per_minute);
+    if (rateLimitError) {
+      return validationResponse(res, rateLimitError);
+    }
+
+    const { count } = await supabase
+      .from('api_keys')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    if ((count || 0) >= MAX_ACTIVE_API_KEYS) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'API_KEY_LIMIT_REACHED',
+          message: `You can have up to ${MAX_ACTIVE_API_KEYS} active API keys; revoke one to create another`,
+        },
+      });
+    }
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_id: req.user.id,
+        name,
+        scopes,
+        rate_limit_per_minute: rateLimit,
+        key_hash: keyHash,
+        key_prefix: keyPrefix,
+        expires_at: expiresAt,
+      })
+      .select(API_KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating API key:', error);
+      return databaseErrorResponse(res, 'Failed to create API key');
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { ...apiKey, key },
+      message: SHOWN_ONCE_MESSAGE,
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List the user's API keys, newest first
+ * Query params: ?include_revoked=true
+ * @route GET /api/api-keys
+ */
+export async function listApiKeys(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+
+    let query = supabase
+      .from('api_keys')
+      .select(API_KEY_COLUMNS)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (req.query.include_revoked !== 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data: apiKeys, error } = await query;
+
+    if (error) {
+      console.error('Error listing API keys:', error);
+      return databaseErrorResponse(res, 'Failed to list API keys');
+    }
+
+    return res.json({
+      success: true,
+      data: apiKeys || [],
+      meta: {
+        available_scopes: API_KEY_SCOPES,
+        max_active_keys: MAX_ACTIVE_API_KEYS,
+      },
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Replace a key with a new secret, keeping its name, scopes and rate limit
+ * A key that expires gets the same lifetime again, counted from now. The old key stops
+ * working immediately.
+ * @route POST /api/api-keys/:id/rotate
+ */
+export async function rotateApiKey(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const current = await loadActiveKey(supabase, req.user.id, id);
+    if (!current) {
+      return apiKeyNotFoundResponse(res);
+    }
+
+    const expiresAt = current.expires_at
+      ? new Date(
+          Date.now() + (new Date(current.expires_at) - new Date(current.created_at))
+        ).toISOString()
+      : null;
+
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .insert({
+        user_id: req.user.id,
+        name: current.name,
+        scopes: current.scopes,
+        rate_limit_per_minute: current.rate_limit_per_minute,
+        key_hash: keyHash,
+        key_prefix: keyPrefix,
+        expires_at: expiresAt,
+        rotated_from_id: current.id,
+      })
+      .select(API_KEY_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating rotated API key:', error);
+      return databaseErrorResponse(res, 'Failed to rotate API key');
+    }
+
+    const { error: revokeError } = await supabase
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .eq('user_id', req.user.id);
+
+    if (revokeError) {
+      // Leave the old key in place rather than ending up with two live keys
+      console.error('Error revoking rotated API key:', revokeError);
+      await supabase.from('api_keys').delete().eq('id', apiKey.id).eq('user_id', req.user.id);
+      return databaseErrorResponse(res, 'Failed to rotate API key');
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { ...apiKey, key },
+      message: SHOWN_ONCE_MESSAGE,
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Revoke a key; requests made with it are rejected from now on
+ * @route DELETE /api/api-keys/:id
+ */
+export async function revokeApiKey(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: apiKey, error } = await supabase
+      .from('api_keys')
+      .update({ is_active: false, revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .eq('is_active', true)
+      .select(API_KEY_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error revoking API key:', error);
+      return databaseErrorResponse(res, 'Failed to revoke API key');
+    }
+    if (!apiKey) {
+      return apiKeyNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked',
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    return internalErrorResponse(res);
+  }
+}
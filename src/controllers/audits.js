@@ -1,17 +1,41 @@
 /**
  * Audits Controller
  * Handles SEO audit operations - the core product feature
+ *
+ * Audits belong to the request's workspace (req.workspace, see middleware/workspace).
  */
 
 import { randomUUID } from 'node:crypto';
 import { createClient } from '../config/supabase.js';
 import usageTracker from '../services/usageTracker.js';
+import {
+  runPageAudit,
+  toAuditRecord,
+  persistAuditOutcome,
+  generatePageSchema,
+  AUDIT_COMPONENTS,
+} from '../services/auditRunner.js';
+import { PageFetchError } from '../services/crawler/pageFetcher.js';
+import { SCHEMA_TYPE_RULES } from '../services/crawler/structuredData.js';
+import auditQueue, { JOB_STATUS } from '../services/jobs/auditQueue.js';
+import { diffAudits } from '../services/auditComparison.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+
+// Audit row statuses a user can still cancel
+const CANCELLABLE_STATUSES = ['pending', 'running'];
 
 const memoryAuditStore = globalThis.__prismifyAuditMemory || new Map();
 if (!globalThis.__prismifyAuditMemory) {
   globalThis.__prismifyAuditMemory = memoryAuditStore;
 }
 
+// Kept per workspace: the organization's ID, or the user's ID for a personal workspace
+const memoryStoreKey = (req) => req.workspace?.organizationId || req.user?.id;
+
 const getMemoryAudits = (userId) => memoryAuditStore.get(userId) || [];
 
 const saveAuditToMemory = (userId, audit) => {
@@ -34,65 +58,6 @@ const removeAuditFromMemory = (userId, auditId) => {
   return remaining.length !== existing.length;
 };
 
-const clampScore = (value) => Math.max(45, Math.min(95, Math.round(value)));
-
-function generateMockAuditResults(url) {
-  const normalizedUrl = url.trim().toLowerCase();
-  const hashSeed = normalizedUrl
-    .split('')
-    .reduce((acc, char, index) => acc + char.charCodeAt(0) * (index + 1), 0);
-  const baseScore = 70 + Math.sin(hashSeed) * 10;
-
-  const scoreFor = (offset) => clampScore(baseScore + Math.sin(hashSeed + offset) * 12);
-
-  const scores = {
-    overall_score: clampScore(baseScore),
-    meta_score: scoreFor(1),
-    content_score: scoreFor(2),
-    technical_score: scoreFor(3),
-    mobile_score: scoreFor(4),
-    performance_score: scoreFor(5),
-    security_score: scoreFor(6),
-    accessibility_score: scoreFor(7),
-  };
-
-  const recommendations = [
-    {
-      category: 'meta',
-      priority: 'high',
-      title: 'Improve page titles',
-      description:
-        'Ensure each page has a unique, keyword-focused title under 60 characters to improve relevance and click-through rates.',
-      impact: 8,
-      effort: 3,
-    },
-    {
-      category: 'content',
-      priority: 'medium',
-      title: 'Add structured headings',
-      description:
-        'Use descriptive H2 and H3 headings to increase readability and help search engines understand the content hierarchy.',
-      impact: 7,
-      effort: 4,
-    },
-    {
-      category: 'performance',
-      priority: 'low',
-      title: 'Optimize image assets',
-      description:
-        'Compress hero and gallery images and serve WebP where supported to reduce Largest Contentful Paint time.',
-      impact: 6,
-      effort: 4,
-    },
-  ];
-
-  return {
-    status: 'completed',
-    ...scores,
-    recommendations,
-  };
-}
-
 function mapAuditRecord(record, fallbackResults = null, source = 'database') {
   if (!record && !fallbackResults) {
     return null;
@@ -129,26 +94,132 @@ function mapAuditRecord(record, fallbackResults = null, source = 'database') {
   return {
     id: record?.id || fallbackResults?.id || randomUUID(),
     url,
+    project_id: record?.project_id ?? null,
     ...scores,
     recommendations,
     status: record?.status || results.status || 'completed',
+    grade: results.grade || null,
+    wcag: results.wcag || null,
+    failure: results.failure || null,
     created_at: record?.created_at || fallbackResults?.created_at || new Date().toISOString(),
     source,
   };
 }
 
+/**
+ * Record audit usage in the API activity log
+ *
+ * The audit quota itself is counted from seo_analyses rows (see usageTracker), so an audit
+ * that ends up failed or cancelled stops counting without anything to undo here.
+ */
+async function logAuditUsage(userId, auditId, url, source = null) {
+  try {
+    await usageTracker.logUsage(userId, 'audit', {
+      audit_id: auditId,
+      url,
+      ...(source && { source }),
+    });
+  } catch (usageError) {
+    console.error('Error logging usage:', usageError);
+    // Continue anyway - audit is more important than usage tracking
+  }
+}
+
+/**
+ * Send the response for an audit that ran inside the request
+ */
+function sendAuditOutcome(res, record, outcome, meta = null) {
+  if (outcome.status === 'failed') {
+    return res.status(422).json({
+      success: false,
+      error: {
+        code: 'AUDIT_FETCH_FAILED',
+        message: outcome.failure.message,
+        reason: outcome.failure.code,
+      },
+      data: record,
+      ...(meta && { meta }),
+    });
+  }
+
+  return res.status(201).json({
+    success: true,
+    data: record,
+    ...(meta && { meta }),
+  });
+}
+
+/**
+ * Run an audit inside the request and store the finished record
+ * Used when the job queue is unavailable.
+ */
+async function runAuditInline(req, res, url, createdAt, projectId = null) {
+  const supabase = req.supabase || createClient();
+  const userId = req.user.id;
+  const outcome = await runPageAudit(url);
+  const { results, seo_score: seoScore, status } = toAuditRecord(url, outcome);
+
+  const { data: audit, error: insertError } = await supabase
+    .from('seo_analyses')
+    .insert({
+      ...workspaceColumns(workspaceOf(req)),
+      project_id: projectId,
+      content_url: url,
+      analysis_type: 'comprehensive_seo_audit',
+      results,
+      seo_score: seoScore,
+      status,
+      ai_provider: 'seo_agent',
+      created_at: createdAt,
+    })
+    .select('id, user_id, project_id, content_url, results, seo_score, created_at, status')
+    .single();
+
+  if (insertError) {
+    console.error('Error creating audit (falling back to memory store):', insertError);
+
+    const record = saveAuditToMemory(
+      memoryStoreKey(req),
+      mapAuditRecord(
+        {
+          id: randomUUID(),
+          project_id: projectId,
+          content_url: url,
+          seo_score: seoScore,
+          created_at: createdAt,
+          status,
+        },
+        { ...results, created_at: createdAt },
+        'memory'
+      )
+    );
+    await logAuditUsage(userId, record.id, url, 'memory');
+
+    return sendAuditOutcome(res, record, outcome, {
+      persisted: false,
+      source: 'memory',
+      reason: insertError?.message,
+    });
+  }
+
+  const record = mapAuditRecord(audit, results, 'database');
+  await logAuditUsage(userId, record.id, url);
+  return sendAuditOutcome(res, record, outcome, { queued: false });
+}
+
 /**
  * Create new SEO audit
+ * Stores a pending audit and queues it for the audit worker, responding 202 with the
+ * audit ID. Progress is available from GET /api/audits/:id/progress.
+ * If the queue is unavailable the audit runs inside the request instead.
+ * Body: { url: string, project_id?: string }
  * @route POST /api/audits
  */
 export async function createAudit(req, res) {
-  let submittedUrl = '';
   try {
     const supabase = req.supabase || createClient();
     const userId = req.user.id;
-    const { url } = req.body;
-
-    submittedUrl = typeof url === 'string' ? url : '';
+    const { url, project_id: projectId = null } = req.body;
 
     // Validate URL
     if (!url || typeof url !== 'string') {
@@ -177,130 +248,98 @@ export async function createAudit(req, res) {
       });
     }
 
+    if (projectId !== null) {
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      if (typeof projectId !== 'string' || !uuidRegex.test(projectId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_ID',
+            message: 'Invalid project ID format',
+          },
+        });
+      }
+
+      const { data: project } = await scopeToWorkspace(
+        supabase.from('seo_projects').select('id').eq('id', projectId),
+        workspaceOf(req)
+      ).maybeSingle();
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: 'Project not found or access denied',
+          },
+        });
+      }
+    }
+
+    const trimmedUrl = url.trim();
     const createdAt = new Date().toISOString();
-    const mockResults = generateMockAuditResults(url);
+
+    if (!auditQueue.isConnected) {
+      return await runAuditInline(req, res, trimmedUrl, createdAt, projectId);
+    }
 
     const { data: audit, error: insertError } = await supabase
       .from('seo_analyses')
       .insert({
-        user_id: userId,
-        content_url: url.trim(),
-        analysis_type: 'seo_audit',
-        results: {
-          ...mockResults,
-          url: url.trim(),
-        },
-        seo_score: mockResults.overall_score,
-        ai_provider: 'placeholder',
+        ...workspaceColumns(workspaceOf(req)),
+        project_id: projectId,
+        content_url: trimmedUrl,
+        analysis_type: 'comprehensive_seo_audit',
+        results: { status: 'pending', url: trimmedUrl },
+        seo_score: null,
+        status: 'pending',
+        ai_provider: 'seo_agent',
         created_at: createdAt,
       })
-      .select('id, user_id, content_url, results, seo_score, created_at')
+      .select('id, user_id, project_id, content_url, results, seo_score, created_at, status')
       .single();
 
     if (insertError) {
-      console.error('Error creating audit (falling back to memory store):', insertError);
-
-      const fallbackRecord = mapAuditRecord(
-        {
-          id: randomUUID(),
-          content_url: url.trim(),
-          seo_score: mockResults.overall_score,
-          created_at: createdAt,
-          status: 'completed',
-        },
-        {
-          ...mockResults,
-          url: url.trim(),
-          created_at: createdAt,
-        },
-        'memory'
-      );
-
-      saveAuditToMemory(userId, fallbackRecord);
-
-      try {
-        await usageTracker.logUsage(userId, 'audit', {
-          audit_id: fallbackRecord.id,
-          url,
-          source: 'memory',
-        });
-      } catch (usageError) {
-        console.error('Error logging usage (memory fallback):', usageError);
-      }
-
-      return res.status(201).json({
-        success: true,
-        data: fallbackRecord,
-        meta: {
-          persisted: false,
-          source: 'memory',
-          reason: insertError?.message,
-        },
-      });
+      // The worker can only update stored audits, so run this one in the request
+      console.error('Error creating pending audit (running inline):', insertError);
+      return await runAuditInline(req, res, trimmedUrl, createdAt, projectId);
     }
 
-    // Log API usage for quota tracking
     try {
-      await usageTracker.logUsage(userId, 'audit', {
-        audit_id: audit.id,
-        url,
+      await auditQueue.enqueue({
+        auditId: audit.id,
+        userId,
+        url: trimmedUrl,
+        tier: req.quota?.tier,
+      });
+    } catch (queueError) {
+      console.error('Error queueing audit (running inline):', queueError);
+
+      const outcome = await runPageAudit(trimmedUrl);
+      const stored = await persistAuditOutcome(
+        createClient({ admin: true }),
+        audit.id,
+        trimmedUrl,
+        outcome
+      );
+      await logAuditUsage(userId, audit.id, trimmedUrl);
+      return sendAuditOutcome(res, mapAuditRecord({ ...audit, ...stored }), outcome, {
+        queued: false,
       });
-    } catch (usageError) {
-      console.error('Error logging usage:', usageError);
-      // Continue anyway - audit is more important than usage tracking
     }
 
-    return res.status(201).json({
+    await logAuditUsage(userId, audit.id, trimmedUrl);
+
+    return res.status(202).json({
       success: true,
-      data: mapAuditRecord(audit, mockResults, 'database'),
+      data: mapAuditRecord(audit, null, 'database'),
+      meta: {
+        queued: true,
+        progress_url: `/api/audits/${audit.id}/progress`,
+      },
     });
   } catch (error) {
     console.error('Create audit error:', error);
-    const userId = req.user?.id;
-    const trimmedUrl = submittedUrl.trim();
-
-    if (userId && trimmedUrl) {
-      const createdAt = new Date().toISOString();
-      const mockResults = generateMockAuditResults(trimmedUrl);
-      const fallbackRecord = mapAuditRecord(
-        {
-          id: randomUUID(),
-          content_url: trimmedUrl,
-          seo_score: mockResults.overall_score,
-          created_at: createdAt,
-          status: 'completed',
-        },
-        {
-          ...mockResults,
-          url: trimmedUrl,
-          created_at: createdAt,
-        },
-        'memory'
-      );
-
-      saveAuditToMemory(userId, fallbackRecord);
-
-      try {
-        await usageTracker.logUsage(userId, 'audit', {
-          audit_id: fallbackRecord.id,
-          url: trimmedUrl,
-          source: 'memory',
-        });
-      } catch (usageError) {
-        console.error('Error logging usage (memory fallback catch):', usageError);
-      }
-
-      return res.status(201).json({
-        success: true,
-        data: fallbackRecord,
-        meta: {
-          persisted: false,
-          source: 'memory',
-          reason: error?.message,
-        },
-      });
-    }
-
     return res.status(500).json({
       success: false,
       error: {
@@ -318,7 +357,6 @@ export async function createAudit(req, res) {
 export async function getAudit(req, res) {
   try {
     const supabase = req.supabase || createClient();
-    const userId = req.user.id;
     const { id } = req.params;
 
     // Validate UUID format
@@ -333,15 +371,16 @@ export async function getAudit(req, res) {
       });
     }
 
-    const { data: audit, error } = await supabase
-      .from('seo_analyses')
-      .select('id, content_url, seo_score, results, created_at, status')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
+    const { data: audit, error } = await scopeToWorkspace(
+      supabase
+        .from('seo_analyses')
+        .select('id, project_id, content_url, seo_score, results, created_at, status')
+        .eq('id', id),
+      workspaceOf(req)
+    ).single();
 
     if (error || !audit) {
-      const memoryAudit = getMemoryAudit(userId, id);
+      const memoryAudit = getMemoryAudit(memoryStoreKey(req), id);
       if (memoryAudit) {
         return res.json({
           success: true,
@@ -364,7 +403,7 @@ export async function getAudit(req, res) {
     });
   } catch (error) {
     console.error('Get audit error:', error);
-    const memoryAudit = getMemoryAudit(req.user?.id, req.params.id);
+    const memoryAudit = getMemoryAudit(memoryStoreKey(req), req.params.id);
     if (memoryAudit) {
       return res.json({
         success: true,
@@ -381,6 +420,105 @@ export async function getAudit(req, res) {
   }
 }
 
+/**
+ * Compare an audit with another audit issue by issue
+ * Score deltas are :id minus :otherId; fixed issues appear only in :otherId, introduced
+ * issues only in :id. Issues are matched by their stable code.
+ * @route GET /api/audits/:id/compare/:otherId
+ */
+export async function compareAudits(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id, otherId } = req.params;
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id) || !uuidRegex.test(otherId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Invalid audit ID format',
+        },
+      });
+    }
+
+    if (id === otherId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SAME_AUDIT',
+          message: 'Choose two different audits to compare',
+        },
+      });
+    }
+
+    const { data: rows } = await scopeToWorkspace(
+      supabase
+        .from('seo_analyses')
+        .select('id, content_url, seo_score, results, created_at, status')
+        .in('id', [id, otherId]),
+      workspaceOf(req)
+    );
+
+    const findAudit = (auditId) => {
+      const row = (rows || []).find((record) => record.id === auditId);
+      return row
+        ? mapAuditRecord(row, null, 'database')
+        : getMemoryAudit(memoryStoreKey(req), auditId);
+    };
+    const audit = findAudit(id);
+    const baseline = findAudit(otherId);
+
+    if (!audit || !baseline) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_FOUND',
+          message: 'Audit not found or access denied',
+        },
+      });
+    }
+
+    const unfinished = [audit, baseline].find((record) => record.status !== 'completed');
+    if (unfinished) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_COMPLETED',
+          message: `Audit ${unfinished.id} is ${unfinished.status}; only completed audits can be compared`,
+        },
+      });
+    }
+
+    const describe = (record) => ({
+      id: record.id,
+      url: record.url,
+      grade: record.grade,
+      overall_score: record.overall_score,
+      created_at: record.created_at,
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        audit: describe(audit),
+        baseline: describe(baseline),
+        same_url: audit.url === baseline.url,
+        ...diffAudits(audit, baseline),
+      },
+    });
+  } catch (error) {
+    console.error('Compare audits error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
 /**
  * List user's audits with pagination
  * @route GET /api/audits
@@ -388,7 +526,6 @@ export async function getAudit(req, res) {
 export async function listAudits(req, res) {
   try {
     const supabase = req.supabase || createClient();
-    const userId = req.user.id;
 
     // Parse query parameters
     const page = parseInt(req.query.page) || 1;
@@ -419,22 +556,26 @@ export async function listAudits(req, res) {
     // Calculate offset for pagination
     const offset = (page - 1) * limit;
 
-    const { count, error: countError } = await supabase
-      .from('seo_analyses')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const workspace = workspaceOf(req);
 
-    const { data: audits, error } = await supabase
-      .from('seo_analyses')
-      .select('id, content_url, seo_score, results, created_at, status')
-      .eq('user_id', userId)
+    const { count, error: countError } = await scopeToWorkspace(
+      supabase.from('seo_analyses').select('*', { count: 'exact', head: true }),
+      workspace
+    );
+
+    const { data: audits, error } = await scopeToWorkspace(
+      supabase
+        .from('seo_analyses')
+        .select('id, project_id, content_url, seo_score, results, created_at, status'),
+      workspace
+    )
       .order(sortColumn, { ascending: order === 'asc' })
       .range(offset, offset + limit - 1);
 
     if (error || countError) {
       console.error('Error listing audits:', error || countError);
 
-      const memoryAudits = getMemoryAudits(userId);
+      const memoryAudits = getMemoryAudits(memoryStoreKey(req));
       if (memoryAudits.length > 0) {
         return res.json({
           success: true,
@@ -468,7 +609,7 @@ export async function listAudits(req, res) {
     }
 
     const mappedDbAudits = (audits || []).map((audit) => mapAuditRecord(audit));
-    const memoryAudits = page === 1 ? getMemoryAudits(userId) : [];
+    const memoryAudits = page === 1 ? getMemoryAudits(memoryStoreKey(req)) : [];
 
     const combinedAudits = [...memoryAudits, ...mappedDbAudits].sort(
       (a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime()
@@ -492,7 +633,7 @@ export async function listAudits(req, res) {
     });
   } catch (error) {
     console.error('List audits error:', error);
-    const memoryAudits = getMemoryAudits(req.user?.id);
+    const memoryAudits = getMemoryAudits(memoryStoreKey(req));
     if (memoryAudits && memoryAudits.length > 0) {
       return res.json({
         success: true,
@@ -532,7 +673,6 @@ export async function listAudits(req, res) {
 export async function deleteAudit(req, res) {
   try {
     const supabase = req.supabase || createClient();
-    const userId = req.user.id;
     const { id } = req.params;
 
     // Validate UUID format
@@ -547,16 +687,14 @@ export async function deleteAudit(req, res) {
       });
     }
 
-    // Verify ownership before deleting
-    const { data: audit } = await supabase
-      .from('seo_analyses')
-      .select('id')
-      .eq('id', id)
-      .eq('user_id', userId)
-      .single();
+    // Verify the audit is in the workspace before deleting
+    const { data: audit } = await scopeToWorkspace(
+      supabase.from('seo_analyses').select('id').eq('id', id),
+      workspaceOf(req)
+    ).single();
 
     if (!audit) {
-      const removedFromMemory = removeAuditFromMemory(userId, id);
+      const removedFromMemory = removeAuditFromMemory(memoryStoreKey(req), id);
       if (removedFromMemory) {
         return res.json({
           success: true,
@@ -578,11 +716,10 @@ export async function deleteAudit(req, res) {
     }
 
     // Delete audit
-    const { error: deleteError } = await supabase
-      .from('seo_analyses')
-      .delete()
-      .eq('id', id)
-      .eq('user_id', userId);
+    const { error: deleteError } = await scopeToWorkspace(
+      supabase.from('seo_analyses').delete().eq('id', id),
+      workspaceOf(req)
+    );
 
     if (deleteError) {
       console.error('Error deleting audit:', deleteError);
@@ -595,7 +732,7 @@ export async function deleteAudit(req, res) {
       });
     }
 
-    removeAuditFromMemory(userId, id);
+    removeAuditFromMemory(memoryStoreKey(req), id);
 
     return res.json({
       success: true,
@@ -615,3 +752,272 @@ export async function deleteAudit(req, res) {
     });
   }
 }
+
+/**
+ * Load an audit's status row from the request's workspace
+ */
+async function findWorkspaceAudit(req, id) {
+  const supabase = req.supabase || createClient();
+  const { data: audit, error } = await scopeToWorkspace(
+    supabase.from('seo_analyses').select('id, content_url, status, created_at').eq('id', id),
+    workspaceOf(req)
+  ).single();
+
+  if (error || !audit) {
+    return null;
+  }
+  return audit;
+}
+
+/**
+ * Get audit progress
+ * Reports which of the seven analyzers have finished for a queued or running audit
+ * @route GET /api/audits/:id/progress
+ */
+export async function getAuditProgress(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Invalid audit ID format',
+        },
+      });
+    }
+
+    const audit = await findWorkspaceAudit(req, id);
+    const memoryAudit = audit ? null : getMemoryAudit(memoryStoreKey(req), id);
+
+    if (!audit && !memoryAudit) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_FOUND',
+          message: 'Audit not found or access denied',
+        },
+      });
+    }
+
+    const status = audit?.status || memoryAudit.status;
+    const job = audit && auditQueue.isConnected ? await auditQueue.getJob(id) : null;
+
+    // Without a job record (expired, or the audit ran inline) only completed audits
+    // count as fully analyzed
+    const progress = auditQueue.getProgress(
+      job || {
+        status,
+        completed_components: status === 'completed' ? AUDIT_COMPONENTS : [],
+      }
+    );
+
+    return res.json({
+      success: true,
+      data: {
+        id,
+        status,
+        progress,
+        attempts: job?.attempts ?? null,
+        max_attempts: job?.max_attempts ?? null,
+        cancel_requested: job?.cancel_requested ?? false,
+        updated_at: job?.updated_at || null,
+      },
+    });
+  } catch (error) {
+    console.error('Get audit progress error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Cancel a queued or running audit
+ * Queued audits are cancelled immediately; running audits stop at the worker's next
+ * checkpoint (202 until then).
+ * @route POST /api/audits/:id/cancel
+ */
+export async function cancelAudit(req, res) {
+  try {
+    const { id } = req.params;
+
+    // Validate UUID format
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Invalid audit ID format',
+        },
+      });
+    }
+
+    const audit = await findWorkspaceAudit(req, id);
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_FOUND',
+          message: 'Audit not found or access denied',
+        },
+      });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(audit.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_CANCELLABLE',
+          message: `Audit is already ${audit.status}`,
+        },
+      });
+    }
+
+    if (!auditQueue.isConnected) {
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'QUEUE_UNAVAILABLE',
+          message: 'Audit queue is unavailable, please try again shortly',
+        },
+      });
+    }
+
+    const job = await auditQueue.cancel(id);
+
+    // Still queued here means a worker claimed it at the same moment; it stops at its first
+    // checkpoint like a running audit
+    if (job?.status === JOB_STATUS.RUNNING || job?.status === JOB_STATUS.QUEUED) {
+      return res.status(202).json({
+        success: true,
+        data: {
+          id,
+          status: 'running',
+          cancel_requested: true,
+        },
+      });
+    }
+
+    // Users cannot update audit rows directly (RLS), access was checked above. Only a row
+    // that is still pending or running moves, so an outcome the worker saved meanwhile stays
+    const { error: updateError } = await createClient({ admin: true })
+      .from('seo_analyses')
+      .update({
+        status: 'cancelled',
+        results: { status: 'cancelled', url: audit.content_url },
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', id)
+      .in('status', CANCELLABLE_STATUSES);
+
+    if (updateError) {
+      console.error('Error cancelling audit:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to cancel audit',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        id,
+        status: 'cancelled',
+      },
+    });
+  } catch (error) {
+    console.error('Cancel audit error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Generate JSON-LD structured data for an audited page
+ * Fetches the page again so the markup reflects its current content.
+ * @route POST /api/audits/:id/schema
+ */
+export async function generateAuditSchema(req, res) {
+  try {
+    const { id } = req.params;
+    const { type } = req.body || {};
+
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ID',
+          message: 'Invalid audit ID format',
+        },
+      });
+    }
+
+    if (type !== undefined && !Object.hasOwn(SCHEMA_TYPE_RULES, type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SCHEMA_TYPE',
+          message: `type must be one of: ${Object.keys(SCHEMA_TYPE_RULES).join(', ')}`,
+        },
+      });
+    }
+
+    const audit = await findWorkspaceAudit(req, id);
+    const url = audit?.content_url || getMemoryAudit(memoryStoreKey(req), id)?.url;
+
+    if (!url) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_FOUND',
+          message: 'Audit not found or access denied',
+        },
+      });
+    }
+
+    const schema = await generatePageSchema(url, { type });
+
+    return res.json({
+      success: true,
+      data: { audit_id: id, url, ...schema },
+    });
+  } catch (error) {
+    if (error instanceof PageFetchError) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'PAGE_FETCH_FAILED',
+          message: error.message,
+          reason: error.code,
+        },
+      });
+    }
+
+    console.error('Generate schema error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
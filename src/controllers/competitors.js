@@ -0,0 +1,785 @@
+/**
+ * Competitors Controller
+ * Competitor sets and competitor analyses: a page audited side by side with competitor pages,
+ * run by the audit worker
+ *
+ * Sets and analyses belong to the request's workspace (req.workspace, see
+ * middleware/workspace); a set's analyses are loaded by set once the set was found there.
+ */
+
+import { createClient } from '../config/supabase.js';
+import { getCompetitorLimit } from '../config/tiers.js';
+import usageTracker from '../services/usageTracker.js';
+import auditQueue, { JOB_TYPES } from '../services/jobs/auditQueue.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SET_COLUMNS =
+  'id, project_id, name, target_url, competitor_urls, last_analyzed_at, created_at, updated_at';
+
+const ANALYSIS_SUMMARY_COLUMNS =
+  'id, project_id, set_id, target_url, competitor_urls, status, pages_analyzed, error, started_at, finished_at, created_at';
+
+const RECENT_ANALYSES_LIMIT = 10;
+
+function invalidIdResponse(res, what = 'competitor set') {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: `Invalid ${what} ID format`,
+    },
+  });
+}
+
+function setNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'COMPETITOR_SET_NOT_FOUND',
+      message: 'Competitor set not found or access denied',
+    },
+  });
+}
+
+function projectNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'PROJECT_NOT_FOUND',
+      message: 'Project not found or access denied',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function invalidUrlResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_URL',
+      message: 'A valid HTTP or HTTPS URL is required (or set the project website URL)',
+    },
+  });
+}
+
+function queueUnavailableResponse(res) {
+  return res.status(503).json({
+    success: false,
+    error: {
+      code: 'QUEUE_UNAVAILABLE',
+      message: 'Competitor analysis is temporarily unavailable, please try again shortly',
+    },
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate competitor URLs against the tier limit
+ * Duplicates and the target URL itself are dropped.
+ * @returns {Object} { urls } or { error }
+ */
+function parseCompetitorUrls(value, targetUrl, limit) {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'competitor_urls must be a non-empty array of URLs' };
+  }
+
+  const urls = [];
+  const seen = new Set([new URL(targetUrl).href]);
+  for (const entry of value) {
+    const url = typeof entry === 'string' ? entry.trim() : '';
+    if (!isHttpUrl(url)) {
+      return { error: `Invalid competitor URL: ${String(entry).slice(0, 200)}` };
+    }
+    const { href } = new URL(url);
+    if (!seen.has(href)) {
+      seen.add(href);
+      urls.push(url);
+    }
+  }
+
+  if (urls.length === 0) {
+    return { error: 'competitor_urls must include at least one URL other than your page' };
+  }
+  if (urls.length > limit) {
+    return {
+      error: `Your plan compares up to ${limit} competitor URLs at a time (got ${urls.length})`,
+    };
+  }
+
+  return { urls };
+}
+
+/**
+ * Load a project of the workspace
+ */
+async function loadProject(supabase, projectId, workspace) {
+  const { data: project } = await scopeToWorkspace(
+    supabase.from('seo_projects').select('id, website_url').eq('id', projectId),
+    workspace
+  ).single();
+
+  return project || null;
+}
+
+/**
+ * Create an analysis row and queue it for the worker
+ */
+async function queueAnalysis(req, { projectId = null, setId = null, targetUrl, competitorUrls }) {
+  const supabase = req.supabase || createClient();
+
+  const { data: analysis, error } = await supabase
+    .from('competitor_analyses')
+    .insert({
+      ...workspaceColumns(workspaceOf(req)),
+      project_id: projectId,
+      set_id: setId,
+      target_url: targetUrl,
+      competitor_urls: competitorUrls,
+      status: 'pending',
+    })
+    .select(ANALYSIS_SUMMARY_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create competitor analysis: ${error.message}`);
+  }
+
+  await auditQueue.enqueue({
+    auditId: analysis.id,
+    userId: req.user.id,
+    url: targetUrl,
+    tier: req.quota?.tier || 'starter',
+    type: JOB_TYPES.COMPETITOR_ANALYSIS,
+    options: { competitor_urls: competitorUrls, set_id: setId },
+  });
+
+  await usageTracker.logUsage(req.user.id, 'competitor_analysis', { analysis_id: analysis.id });
+
+  return analysis;
+}
+
+function queuedResponse(res, analysis) {
+  return res.status(202).json({
+    success: true,
+    data: analysis,
+    meta: {
+      queued: true,
+      status_url: `/api/competitors/analyses/${analysis.id}`,
+    },
+  });
+}
+
+function tierOf(req) {
+  return req.subscription?.tier || req.quota?.tier || 'starter';
+}
+
+/**
+ * Compare a page with competitor pages without saving a set
+ * Body: { url?, competitor_urls: string[], project_id? }
+ * The URL defaults to the project's website.
+ * @route POST /api/competitors/analyses
+ */
+export async function createAnalysis(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+    const { project_id: projectId } = body;
+    let url = typeof body.url === 'string' ? body.url.trim() : '';
+
+    if (projectId !== undefined) {
+      if (!UUID_REGEX.test(projectId)) {
+        return invalidIdResponse(res, 'project');
+      }
+      const project = await loadProject(supabase, projectId, workspaceOf(req));
+      if (!project) {
+        return projectNotFoundResponse(res);
+      }
+      url ||= (project.website_url || '').trim();
+    }
+
+    if (!isHttpUrl(url)) {
+      return invalidUrlResponse(res);
+    }
+
+    const { urls, error: urlError } = parseCompetitorUrls(
+      body.competitor_urls,
+      url,
+      getCompetitorLimit(tierOf(req))
+    );
+    if (urlError) {
+      return validationResponse(res, urlError);
+    }
+
+    if (!auditQueue.isConnected) {
+      return queueUnavailableResponse(res);
+    }
+
+    const analysis = await queueAnalysis(req, {
+      projectId: projectId || null,
+      targetUrl: url,
+      competitorUrls: urls,
+    });
+
+    return queuedResponse(res, analysis);
+  } catch (error) {
+    console.error('Create competitor analysis error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * List competitor analyses, newest first
+ * Query params: ?project_id=<uuid>&set_id=<uuid>&page=1&limit=10
+ * @route GET /api/competitors/analyses
+ */
+export async function listAnalyses(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId, set_id: setId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    if (projectId && !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+    if (setId && !UUID_REGEX.test(setId)) {
+      return invalidIdResponse(res);
+    }
+
+    let query = scopeToWorkspace(
+      supabase.from('competitor_analyses').select(ANALYSIS_SUMMARY_COLUMNS, { count: 'exact' }),
+      workspaceOf(req)
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+    if (setId) {
+      query = query.eq('set_id', setId);
+    }
+
+    const { data: analyses, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing competitor analyses:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list competitor analyses',
+        },
+      });
+    }
+
+    const totalPages = Math.max(1, Math.ceil((count || 0) / limit));
+
+    return res.json({
+      success: true,
+      data: analyses || [],
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('List competitor analyses error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Get a competitor analysis with its comparison matrix and content gaps
+ * `result` is null until the analysis completes.
+ * @route GET /api/competitors/analyses/:id
+ */
+export async function getAnalysis(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res, 'competitor analysis');
+    }
+
+    const { data: analysis, error } = await scopeToWorkspace(
+      supabase
+        .from('competitor_analyses')
+        .select(`${ANALYSIS_SUMMARY_COLUMNS}, result`)
+        .eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !analysis) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'COMPETITOR_ANALYSIS_NOT_FOUND',
+          message: 'Competitor analysis not found or access denied',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: analysis,
+    });
+  } catch (error) {
+    console.error('Get competitor analysis error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Save a project page and the competitors it is compared with
+ * Body: { project_id, name, url?, competitor_urls: string[] }
+ * The URL defaults to the project's website.
+ * @route POST /api/competitors/sets
+ */
+export async function createSet(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+    const { project_id: projectId } = body;
+
+    if (!projectId || !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return validationResponse(res, 'name is required and must be 100 characters or less');
+    }
+
+    const project = await loadProject(supabase, projectId, workspaceOf(req));
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const url = (typeof body.url === 'string' && body.url.trim()) || project.website_url || '';
+    if (!isHttpUrl(url)) {
+      return invalidUrlResponse(res);
+    }
+
+    const { urls, error: urlError } = parseCompetitorUrls(
+      body.competitor_urls,
+      url,
+      getCompetitorLimit(tierOf(req))
+    );
+    if (urlError) {
+      return validationResponse(res, urlError);
+    }
+
+    const { data: set, error } = await supabase
+      .from('competitor_sets')
+      .insert({
+        ...workspaceColumns(workspaceOf(req)),
+        project_id: projectId,
+        name,
+        target_url: url,
+        competitor_urls: urls,
+      })
+      .select(SET_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_SET_NAME',
+            message: 'This project already has a competitor set with this name',
+          },
+        });
+      }
+
+      console.error('Error creating competitor set:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to create competitor set',
+        },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: set,
+    });
+  } catch (error) {
+    console.error('Create competitor set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * List competitor sets
+ * Query params: ?project_id=<uuid>
+ * @route GET /api/competitors/sets
+ */
+export async function listSets(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId } = req.query;
+
+    if (projectId && !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    let query = scopeToWorkspace(
+      supabase.from('competitor_sets').select(SET_COLUMNS),
+      workspaceOf(req)
+    ).order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data: sets, error } = await query;
+
+    if (error) {
+      console.error('Error listing competitor sets:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list competitor sets',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: sets || [],
+    });
+  } catch (error) {
+    console.error('List competitor sets error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Get a competitor set with its recent analyses and the latest completed result
+ * @route GET /api/competitors/sets/:id
+ */
+export async function getSet(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: set, error } = await scopeToWorkspace(
+      supabase.from('competitor_sets').select(SET_COLUMNS).eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !set) {
+      return setNotFoundResponse(res);
+    }
+
+    const [{ data: analyses }, { data: latest }] = await Promise.all([
+      supabase
+        .from('competitor_analyses')
+        .select(ANALYSIS_SUMMARY_COLUMNS)
+        .eq('set_id', id)
+        .order('created_at', { ascending: false })
+        .limit(RECENT_ANALYSES_LIMIT),
+      supabase
+        .from('competitor_analyses')
+        .select(`${ANALYSIS_SUMMARY_COLUMNS}, result`)
+        .eq('set_id', id)
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle(),
+    ]);
+
+    return res.json({
+      success: true,
+      data: {
+        ...set,
+        analyses: analyses || [],
+        latest_analysis: latest || null,
+      },
+    });
+  } catch (error) {
+    console.error('Get competitor set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Rename a competitor set or change its URLs
+ * Body: { name?, url?, competitor_urls? }
+ * @route PATCH /api/competitors/sets/:id
+ */
+export async function updateSet(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+    const body = req.body || {};
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: existing } = await scopeToWorkspace(
+      supabase.from('competitor_sets').select('id, target_url, competitor_urls').eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (!existing) {
+      return setNotFoundResponse(res);
+    }
+
+    const updates = {};
+
+    if (body.name !== undefined) {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name || name.length > 100) {
+        return validationResponse(res, 'name must be a non-empty string of 100 characters or less');
+      }
+      updates.name = name;
+    }
+
+    if (body.url !== undefined) {
+      const url = typeof body.url === 'string' ? body.url.trim() : '';
+      if (!isHttpUrl(url)) {
+        return invalidUrlResponse(res);
+      }
+      updates.target_url = url;
+    }
+
+    if (body.competitor_urls !== undefined || updates.target_url) {
+      const { urls, error: urlError } = parseCompetitorUrls(
+        body.competitor_urls ?? existing.competitor_urls,
+        updates.target_url || existing.target_url,
+        getCompetitorLimit(tierOf(req))
+      );
+      if (urlError) {
+        return validationResponse(res, urlError);
+      }
+      updates.competitor_urls = urls;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return validationResponse(res, 'Nothing to update: pass name, url or competitor_urls');
+    }
+
+    const { data: set, error } = await scopeToWorkspace(
+      supabase
+        .from('competitor_sets')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id),
+      workspaceOf(req)
+    )
+      .select(SET_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'DUPLICATE_SET_NAME',
+            message: 'This project already has a competitor set with this name',
+          },
+        });
+      }
+
+      console.error('Error updating competitor set:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to update competitor set',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: set,
+    });
+  } catch (error) {
+    console.error('Update competitor set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Delete a competitor set (its analyses are kept)
+ * @route DELETE /api/competitors/sets/:id
+ */
+export async function deleteSet(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: deleted, error } = await scopeToWorkspace(
+      supabase.from('competitor_sets').delete().eq('id', id),
+      workspaceOf(req)
+    )
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error deleting competitor set:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to delete competitor set',
+        },
+      });
+    }
+
+    if (!deleted) {
+      return setNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: { id },
+    });
+  } catch (error) {
+    console.error('Delete competitor set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Run a saved competitor set again
+ * @route POST /api/competitors/sets/:id/run
+ */
+export async function runSet(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: set } = await scopeToWorkspace(
+      supabase
+        .from('competitor_sets')
+        .select('id, project_id, target_url, competitor_urls')
+        .eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (!set) {
+      return setNotFoundResponse(res);
+    }
+
+    // Sets saved on a higher plan run with the competitors the current plan allows
+    const competitorUrls = set.competitor_urls.slice(0, getCompetitorLimit(tierOf(req)));
+
+    if (!auditQueue.isConnected) {
+      return queueUnavailableResponse(res);
+    }
+
+    const analysis = await queueAnalysis(req, {
+      projectId: set.project_id,
+      setId: set.id,
+      targetUrl: set.target_url,
+      competitorUrls,
+    });
+
+    return queuedResponse(res, analysis);
+  } catch (error) {
+    console.error('Run competitor set error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * Site Crawls Controller
+ * Multi-page crawls of a project's site, run by the audit worker
+ *
+ * Crawls belong to the request's workspace (req.workspace, see middleware/workspace).
+ */
+
+import { createClient } from '../config/supabase.js';
+import { getCrawlPageLimit } from '../config/tiers.js';
+import usageTracker from '../services/usageTracker.js';
+import auditQueue, { JOB_STATUS, JOB_TYPES } from '../services/jobs/auditQueue.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const CRAWL_SUMMARY_COLUMNS =
+  'id, project_id, seed_url, status, page_limit, pages_crawled, average_score, previous_crawl_id, error, started_at, finished_at, created_at';
+
+function invalidIdResponse(res, what = 'crawl') {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: `Invalid ${what} ID format`,
+    },
+  });
+}
+
+function crawlNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'CRAWL_NOT_FOUND',
+      message: 'Crawl not found or access denied',
+    },
+  });
+}
+
+function queueUnavailableResponse(res) {
+  return res.status(503).json({
+    success: false,
+    error: {
+      code: 'QUEUE_UNAVAILABLE',
+      message: 'Site crawls are temporarily unavailable, please try again shortly',
+    },
+  });
+}
+
+/**
+ * Create a crawl row and queue it for the worker
+ */
+async function queueCrawl(req, project, seedUrl) {
+  const supabase = req.supabase || createClient();
+  const tier = req.quota?.tier || 'starter';
+  const tierLimit = getCrawlPageLimit(tier);
+  const requestedLimit = parseInt(req.body?.max_pages, 10);
+  const pageLimit = requestedLimit > 0 ? Math.min(requestedLimit, tierLimit) : tierLimit;
+
+  const { data: crawl, error } = await supabase
+    .from('site_crawls')
+    .insert({
+      ...workspaceColumns(workspaceOf(req)),
+      project_id: project.id,
+      seed_url: seedUrl,
+      status: 'pending',
+      page_limit: pageLimit,
+    })
+    .select(CRAWL_SUMMARY_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create crawl: ${error.message}`);
+  }
+
+  await auditQueue.enqueue({
+    auditId: crawl.id,
+    userId: req.user.id,
+    url: seedUrl,
+    tier,
+    type: JOB_TYPES.SITE_CRAWL,
+    options: { project_id: project.id, page_limit: pageLimit },
+  });
+
+  await usageTracker.logUsage(req.user.id, 'crawls', { crawl_id: crawl.id });
+
+  return crawl;
+}
+
+/**
+ * Start a site crawl for a project
+ * Body: { project_id: string, url?: string (defaults to project website), max_pages?: number }
+ * @route POST /api/crawls
+ */
+export async function createCrawl(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId, url } = req.body || {};
+
+    if (!projectId || !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    const { data: project } = await scopeToWorkspace(
+      supabase.from('seo_projects').select('id, website_url').eq('id', projectId),
+      workspaceOf(req)
+    ).single();
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROJECT_NOT_FOUND',
+          message: 'Project not found or access denied',
+        },
+      });
+    }
+
+    const seedUrl = (url || project.website_url || '').trim();
+    try {
+      const parsedUrl = new URL(seedUrl);
+      if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error('Invalid protocol');
+      }
+    } catch {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_URL',
+          message: 'A valid HTTP or HTTPS URL is required (or set the project website URL)',
+        },
+      });
+    }
+
+    if (!auditQueue.isConnected) {
+      return queueUnavailableResponse(res);
+    }
+
+    const crawl = await queueCrawl(req, project, seedUrl);
+
+    return res.status(202).json({
+      success: true,
+      data: crawl,
+      meta: {
+        queued: true,
+        status_url: `/api/crawls/${crawl.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Create crawl error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * List crawls, newest first
+ * Query params: ?project_id=<uuid>&page=1&limit=10
+ * @route GET /api/crawls
+ */
+export async function listCrawls(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    if (projectId && !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    let query = scopeToWorkspace(
+      supabase.from('site_crawls').select(CRAWL_SUMMARY_COLUMNS, { count: 'exact' }),
+      workspaceOf(req)
+    )
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data: crawls, count, error } = await query;
+
+    if (error) {
+      console.error('Error listing crawls:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list crawls',
+        },
+      });
+    }
+
+    const totalPages = Math.max(1, Math.ceil((count || 0) / limit));
+
+    return res.json({
+      success: true,
+      data: crawls || [],
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('List crawls error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Get a crawl with its site report and pages
+ * Query params: ?sort=score|depth|url
+ * @route GET /api/crawls/:id
+ */
+export async function getCrawl(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: crawl, error } = await scopeToWorkspace(
+      supabase
+        .from('site_crawls')
+        .select(`${CRAWL_SUMMARY_COLUMNS}, report, comparison`)
+        .eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !crawl) {
+      return crawlNotFoundResponse(res);
+    }
+
+    const sortColumns = { score: 'overall_score', depth: 'depth', url: 'url' };
+    const sortColumn = sortColumns[req.query.sort] || 'overall_score';
+
+    const { data: pages } = await supabase
+      .from('site_crawl_pages')
+      .select(
+        'url, final_url, depth, status, http_status, overall_score, grade, scores, title, description, inbound_links, outbound_links, in_sitemap, issue_count, failure'
+      )
+      .eq('crawl_id', id)
+      .order(sortColumn, { ascending: true, nullsFirst: false });
+
+    return res.json({
+      success: true,
+      data: {
+        ...crawl,
+        pages: pages || [],
+      },
+    });
+  } catch (error) {
+    console.error('Get crawl error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Re-run a crawl with the same project and seed URL
+ * @route POST /api/crawls/:id/rerun
+ */
+export async function rerunCrawl(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: previous } = await scopeToWorkspace(
+      supabase.from('site_crawls').select('id, project_id, seed_url').eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (!previous) {
+      return crawlNotFoundResponse(res);
+    }
+
+    if (!auditQueue.isConnected) {
+      return queueUnavailableResponse(res);
+    }
+
+    const crawl = await queueCrawl(req, { id: previous.project_id }, previous.seed_url);
+
+    return res.status(202).json({
+      success: true,
+      data: crawl,
+      meta: {
+        queued: true,
+        status_url: `/api/crawls/${crawl.id}`,
+      },
+    });
+  } catch (error) {
+    console.error('Rerun crawl error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Cancel a queued or running crawl
+ * Pages crawled so far are discarded; running crawls stop before their next page.
+ * @route POST /api/crawls/:id/cancel
+ */
+export async function cancelCrawl(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: crawl } = await scopeToWorkspace(
+      supabase.from('site_crawls').select('id, status').eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (!crawl) {
+      return crawlNotFoundResponse(res);
+    }
+
+    if (!['pending', 'running'].includes(crawl.status)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CRAWL_NOT_CANCELLABLE',
+          message: `Crawl is already ${crawl.status}`,
+        },
+      });
+    }
+
+    if (!auditQueue.isConnected) {
+      return queueUnavailableResponse(res);
+    }
+
+    const job = await auditQueue.cancel(id);
+
+    if (job?.status === JOB_STATUS.RUNNING) {
+      return res.status(202).json({
+        success: true,
+        data: { id, status: 'running', cancel_requested: true },
+      });
+    }
+
+    // Users cannot update crawl rows directly (RLS), the workspace was checked above
+    const { error: updateError } = await createClient({ admin: true })
+      .from('site_crawls')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (updateError) {
+      console.error('Error cancelling crawl:', updateError);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to cancel crawl',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: { id, status: 'cancelled' },
+    });
+  } catch (error) {
+    console.error('Cancel crawl error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
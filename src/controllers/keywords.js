@@ -1,21 +1,59 @@
 /**
  * Keywords Controller
  * Handles keyword research and analysis operations
+ *
+ * Research results belong to the request's workspace (req.workspace); the research cache
+ * is shared by the workspace's members.
  */
 
 import { createClient } from '@supabase/supabase-js';
 import * as usageTracker from '../services/usageTracker.js';
+import {
+  resolveKeywordProvider,
+  fetchKeywordIdeas,
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  KEYWORD_LOCATIONS,
+  KEYWORD_RESEARCH_DEFAULTS,
+} from '../services/keywords/keywordResearch.js';
+import { expandKeywordIdeas } from '../services/keywords/keywordExpansion.js';
+import { classifyIntent, clusterKeywords } from '../services/keywords/keywordClustering.js';
+import {
+  belongsToWorkspace,
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const LANGUAGE_PATTERN = /^[a-z]{2}$/;
+
 /**
  * Research keywords for a seed keyword/topic
  * POST /api/keywords/research
+ *
+ * Body: { seed_keyword, target_location?, language?, audit_id?, project_id?, expand? }
+ * Keyword ideas and metrics come from the configured provider (see
+ * services/keywords/keywordResearch). With `expand: true` the AI provider adds keyword
+ * ideas (without metrics) and labels intent and topic clusters; otherwise both come from
+ * rules (services/keywords/keywordClustering). Results are cached for 7 days per project,
+ * provider, location, language and expansion.
  */
 export async function researchKeywords(req, res) {
   try {
-    const { seed_keyword, target_location, audit_id } = req.body;
+    const {
+      seed_keyword,
+      target_location = KEYWORD_RESEARCH_DEFAULTS.location,
+      language = KEYWORD_RESEARCH_DEFAULTS.language,
+      audit_id,
+      project_id = null,
+      expand = false,
+    } = req.body;
     const userId = req.user.id;
+    const workspace = workspaceOf(req);
 
     // Validation
     if (!seed_keyword || seed_keyword.trim().length === 0) {
@@ -38,104 +76,229 @@ export async function researchKeywords(req, res) {
       });
     }
 
+    if (!KEYWORD_LOCATIONS[target_location]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LOCATION',
+          message: `target_location must be one of: ${Object.keys(KEYWORD_LOCATIONS).join(', ')}`,
+        },
+      });
+    }
+
+    if (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_LANGUAGE',
+          message: 'language must be a two-letter ISO 639-1 code such as "en"',
+        },
+      });
+    }
+
+    if (typeof expand !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_EXPAND',
+          message: 'expand must be true or false',
+        },
+      });
+    }
+
+    if (project_id !== null) {
+      if (typeof project_id !== 'string' || !UUID_PATTERN.test(project_id)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_ID',
+            message: 'Invalid project ID format',
+          },
+        });
+      }
+
+      const { data: project } = await scopeToWorkspace(
+        supabase.from('seo_projects').select('id').eq('id', project_id),
+        workspace
+      ).maybeSingle();
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: 'Project not found or access denied',
+          },
+        });
+      }
+    }
+
+    let provider;
+    try {
+      provider = resolveKeywordProvider();
+    } catch (providerError) {
+      console.error('Keyword provider unavailable:', providerError.message);
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'KEYWORD_PROVIDER_UNAVAILABLE',
+          message: 'Keyword research is temporarily unavailable',
+        },
+      });
+    }
+
+    const seedKeyword = seed_keyword.trim().toLowerCase();
+
+    // Limit a query to the same research context: project, provider, location, language
+    // and whether AI expansion was requested
+    const forContext = (query) =>
+      (project_id ? query.eq('project_id', project_id) : query.is('project_id', null))
+        .eq('provider', provider.name)
+        .eq('target_location', target_location)
+        .eq('language', language)
+        .eq('expanded', expand);
+
     // Check for existing research within 7 days (cache)
     const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
 
-    const { data: cachedResults } = await supabase
-      .from('keywords')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('seed_keyword', seed_keyword.toLowerCase())
-      .eq('target_location', target_location || 'US')
-      .gte('created_at', sevenDaysAgo)
+    const { data: cachedResults } = await forContext(
+      scopeToWorkspace(supabase.from('keywords').select('*'), workspace)
+        .eq('seed_keyword', seedKeyword)
+        .gte('created_at', sevenDaysAgo)
+    )
       .order('created_at', { ascending: false })
       .limit(1);
 
     if (cachedResults && cachedResults.length > 0) {
-      // Return cached results
-      const { data: allKeywords } = await supabase
-        .from('keywords')
-        .select('*')
-        .eq('seed_keyword', seed_keyword.toLowerCase())
-        .eq('user_id', userId)
-        .order('opportunity_score', { ascending: false });
+      // Return the cached run (rows of one run share their insert time)
+      const { data: allKeywords } = await forContext(
+        scopeToWorkspace(supabase.from('keywords').select('*'), workspace)
+          .eq('seed_keyword', seedKeyword)
+          .eq('created_at', cachedResults[0].created_at)
+      ).order('opportunity_score', { ascending: false, nullsFirst: false });
+
+      // Rows keep their stored intent and cluster; the cluster summaries are rebuilt
+      const cachedKeywords = (allKeywords || []).map((kw) => ({
+        ...kw,
+        intent: kw.intent || classifyIntent(kw.keyword),
+      }));
 
       return res.json({
         success: true,
         data: {
-          keywords: allKeywords || [],
+          keywords: cachedKeywords,
+          clusters: clusterKeywords(cachedKeywords, { seedKeyword }),
           cached: true,
           cache_date: cachedResults[0].created_at,
         },
+        meta: {
+          provider: provider.name,
+        },
       });
     }
 
-    // PLACEHOLDER: Google Keyword Planner API integration (Phase 3)
-    // For now, return mock data with realistic structure
-    // In Phase 3, integrate with: https://developers.google.com/google-ads/api/docs/keyword-planning
-    const mockKeywordData = generateMockKeywordData(seed_keyword, target_location);
-
-    // Store keywords in database when available
-    const keywordsToInsert = mockKeywordData.map((kw, index) => ({
-      // When Supabase insert fails (local dev without full schema), we still want
-      // to return realistic data to the client. The DB will assign a real id in
-      // production environments.
-      temp_id: `memory-${Date.now()}-${index}`,
-      user_id: userId,
+    let ideas;
+    try {
+      ideas = await fetchKeywordIdeas(provider, seed_keyword.trim(), {
+        location: target_location,
+        language,
+      });
+    } catch (providerError) {
+      if (!(providerError instanceof KeywordProviderError)) {
+        throw providerError;
+      }
+
+      console.error(`Keyword research failed (${provider.name}):`, providerError);
+      const rateLimited = providerError.code === KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED;
+      return res.status(rateLimited ? 503 : 502).json({
+        success: false,
+        error: {
+          code: rateLimited ? 'KEYWORD_PROVIDER_RATE_LIMITED' : 'KEYWORD_PROVIDER_ERROR',
+          message: rateLimited
+            ? 'Keyword research is busy, please try again in a few minutes'
+            : 'Keyword data could not be loaded, please try again',
+          reason: providerError.code,
+        },
+      });
+    }
+
+    const { keywords, clusters, expansion } = await expandKeywordIdeas(seedKeyword, ideas, {
+      expand,
+      language,
+    });
+
+    // One insert time for the whole run so cached lookups return exactly this run
+    const createdAt = new Date().toISOString();
+    const keywordsToInsert = keywords.map((idea) => ({
+      ...workspaceColumns(workspace),
       audit_id: audit_id || null,
-      seed_keyword: seed_keyword.toLowerCase(),
-      keyword: kw.keyword,
-      search_volume: kw.search_volume,
-      competition: kw.competition,
-      difficulty_score: kw.difficulty_score,
-      opportunity_score: kw.opportunity_score,
-      cpc: kw.cpc,
-      target_location: target_location || 'US',
+      project_id,
+      seed_keyword: seedKeyword,
+      keyword: idea.keyword,
+      search_volume: idea.search_volume,
+      competition: idea.competition,
+      competition_index: idea.competition_index,
+      difficulty_score: idea.difficulty_score,
+      opportunity_score: idea.opportunity_score,
+      cpc: idea.cpc,
+      metrics: {
+        total_results: idea.total_results,
+        serp_features: idea.serp_features,
+        monthly_searches: idea.monthly_searches,
+      },
+      intent: idea.intent,
+      cluster: idea.cluster,
+      source: idea.source,
+      expanded: expand,
+      provider: provider.name,
+      target_location,
+      language,
+      created_at: createdAt,
     }));
 
     let insertedKeywords = null;
     let insertError = null;
 
-    try {
-      const result = await supabase.from('keywords').insert(keywordsToInsert).select();
-      insertedKeywords = result.data;
-      insertError = result.error;
-    } catch (err) {
-      insertError = err;
+    if (keywordsToInsert.length > 0) {
+      try {
+        const result = await supabase.from('keywords').insert(keywordsToInsert).select();
+        insertedKeywords = result.data;
+        insertError = result.error;
+      } catch (err) {
+        insertError = err;
+      }
+    } else {
+      insertedKeywords = [];
     }
 
     if (insertError) {
-      // Local-dev friendly fallback: log the error but still return mock data
+      // Local-dev friendly fallback: log the error but still return the research results
       console.error('Error storing keywords (falling back to in-memory results):', insertError);
 
-      const fallbackKeywords = keywordsToInsert.map((kw) => ({
-        id: kw.temp_id,
-        user_id: kw.user_id,
-        audit_id: kw.audit_id,
-        seed_keyword: kw.seed_keyword,
-        keyword: kw.keyword,
-        search_volume: kw.search_volume,
-        competition: kw.competition,
-        difficulty_score: kw.difficulty_score,
-        opportunity_score: kw.opportunity_score,
-        cpc: kw.cpc,
-        target_location: kw.target_location,
-        created_at: new Date().toISOString(),
+      const fallbackKeywords = keywordsToInsert.map((kw, index) => ({
+        // The DB assigns real ids when the rows are stored
+        id: `memory-${Date.now()}-${index}`,
+        ...kw,
       }));
 
       // Track usage even when we fall back, to keep subscription limits realistic
-      await usageTracker.incrementUsage(userId, 'keyword_research', 1).catch((usageError) => {
-        console.error('Error tracking keyword usage (fallback path):', usageError);
-      });
+      await usageTracker
+        .incrementUsage(userId, 'keyword_research', 1, workspace)
+        .catch((usageError) => {
+          console.error('Error tracking keyword usage (fallback path):', usageError);
+        });
 
       return res.status(201).json({
         success: true,
         data: {
           keywords: fallbackKeywords,
+          clusters,
           cached: false,
           total_keywords: fallbackKeywords.length,
         },
         meta: {
+          provider: provider.name,
+          expansion,
           persisted: false,
           storage_error:
             insertError?.message || insertError?.code || 'Failed to store keyword research results',
@@ -144,16 +307,19 @@ export async function researchKeywords(req, res) {
     }
 
     // Track usage
-    await usageTracker.incrementUsage(userId, 'keyword_research', 1);
+    await usageTracker.incrementUsage(userId, 'keyword_research', 1, workspace);
 
     return res.status(201).json({
       success: true,
       data: {
         keywords: insertedKeywords,
+        clusters,
         cached: false,
         total_keywords: insertedKeywords.length,
       },
       meta: {
+        provider: provider.name,
+        expansion,
         persisted: true,
       },
     });
@@ -176,12 +342,11 @@ export async function researchKeywords(req, res) {
 export async function getKeywordsByAudit(req, res) {
   try {
     const { audit_id } = req.params;
-    const userId = req.user.id;
 
-    // Verify audit ownership
+    // Verify the audit is in the request's workspace
     const { data: audit } = await supabase
       .from('seo_analyses')
-      .select('user_id')
+      .select('user_id, organization_id')
       .eq('id', audit_id)
       .single();
 
@@ -192,7 +357,7 @@ export async function getKeywordsByAudit(req, res) {
       });
     }
 
-    if (audit.user_id !== userId) {
+    if (!belongsToWorkspace(audit, workspaceOf(req))) {
       return res.status(403).json({
         success: false,
         error: {
@@ -246,13 +411,12 @@ export async function getKeywordsByAudit(req, res) {
 export async function getTopOpportunities(req, res) {
   try {
     const { audit_id } = req.params;
-    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 10;
 
-    // Verify audit ownership
+    // Verify the audit is in the request's workspace
     const { data: audit } = await supabase
       .from('seo_analyses')
-      .select('user_id')
+      .select('user_id, organization_id')
       .eq('id', audit_id)
       .single();
 
@@ -263,7 +427,7 @@ export async function getTopOpportunities(req, res) {
       });
     }
 
-    if (audit.user_id !== userId) {
+    if (!belongsToWorkspace(audit, workspaceOf(req))) {
       return res.status(403).json({
         success: false,
         error: {
@@ -310,43 +474,3 @@ export async function getTopOpportunities(req, res) {
     });
   }
 }
-
-/**
- * Generate mock keyword data for testing
- * TODO: Replace with real Google Keyword Planner API in Phase 3
- */
-function generateMockKeywordData(seedKeyword, _location = 'US') {
-  const variations = [
-    seedKeyword,
-    `${seedKeyword} services`,
-    `best ${seedKeyword}`,
-    `${seedKeyword} near me`,
-    `${seedKeyword} company`,
-    `affordable ${seedKeyword}`,
-    `${seedKeyword} solutions`,
-    `professional ${seedKeyword}`,
-    `${seedKeyword} pricing`,
-    `${seedKeyword} reviews`,
-  ];
-
-  return variations.map((keyword) => {
-    const searchVolume = Math.floor(Math.random() * 5000) + 100;
-    const competitionLevel = ['low', 'medium', 'high'][Math.floor(Math.random() * 3)];
-    const difficultyScore = Math.floor(Math.random() * 100);
-
-    // Calculate opportunity score (high volume + low competition = high opportunity)
-    const volumeScore = Math.min(searchVolume / 50, 100);
-    const competitionPenalty =
-      competitionLevel === 'low' ? 0 : competitionLevel === 'medium' ? 20 : 40;
-    const opportunityScore = Math.max(0, Math.min(100, volumeScore - competitionPenalty));
-
-    return {
-      keyword,
-      search_volume: searchVolume,
-      competition: competitionLevel,
-      difficulty_score: difficultyScore,
-      opportunity_score: Math.round(opportunityScore),
-      cpc: (Math.random() * 10 + 0.5).toFixed(2),
-    };
-  });
-}
@@ -0,0 +1,910 @@
+/**
+ * Organizations Controller
+ * Team workspaces: members, roles and email invitations (team_collaboration feature)
+ *
+ * Organization tables have no user write policies, so every query here uses the admin
+ * client and checks the caller's membership first (services/organizations/workspace).
+ */
+
+import { createClient } from '../config/supabase.js';
+import { TIER_FEATURES } from '../middleware/subscription.js';
+import { effectiveTier } from '../config/tiers.js';
+import {
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  canManageMember,
+  hasPermission,
+  loadWorkspace,
+} from '../services/organizations/workspace.js';
+import {
+  INVITATION_COLUMNS,
+  INVITATION_STATUS,
+  MAX_PENDING_INVITATIONS,
+  generateInvitationToken,
+  hashInvitationToken,
+  invitationClosedReason,
+  invitationExpiry,
+  isInvitationToken,
+  isInvitedEmail,
+} from '../services/organizations/invitations.js';
+import { appUrl, queueEmail } from '../services/email/emailDelivery.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ORGANIZATION_COLUMNS = 'id, name, owner_id, created_at, updated_at';
+
+function invalidIdResponse(res, message = 'Invalid organization ID format') {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message,
+    },
+  });
+}
+
+function organizationNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'ORGANIZATION_NOT_FOUND',
+      message: 'Organization not found or access denied',
+    },
+  });
+}
+
+function invitationNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'INVITATION_NOT_FOUND',
+      message: 'Invitation not found',
+    },
+  });
+}
+
+function forbiddenResponse(res, message) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'INSUFFICIENT_ROLE',
+      message,
+    },
+  });
+}
+
+function featureUnavailableResponse(res, tier) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'FEATURE_NOT_AVAILABLE',
+      message: `This feature (team_collaboration) is not available in the organization owner's ${tier} plan.`,
+      upgrade_url: '/pricing',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function databaseErrorResponse(res, message) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'DATABASE_ERROR',
+      message,
+    },
+  });
+}
+
+function internalErrorResponse(res) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    },
+  });
+}
+
+function parseName(body) {
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return { error: 'name must be 1 to 100 characters' };
+  }
+  return { name };
+}
+
+function hasTeamCollaboration(tier) {
+  return Boolean(TIER_FEATURES[tier]?.includes('team_collaboration'));
+}
+
+/**
+ * Load the caller's membership of the organization in req.params.id
+ * Sends the error response and returns null when the ID is invalid or the caller is not
+ * a member.
+ */
+async function loadMembership(req, res, supabase) {
+  const { id } = req.params;
+  if (!UUID_REGEX.test(id)) {
+    invalidIdResponse(res);
+    return null;
+  }
+
+  const workspace = await loadWorkspace(supabase, req.user.id, id);
+  if (!workspace) {
+    organizationNotFoundResponse(res);
+    return null;
+  }
+  return workspace;
+}
+
+/**
+ * Load an invitation by the token from its link
+ */
+async function findInvitationByToken(supabase, token) {
+  const { data: invitation } = await supabase
+    .from('organization_invitations')
+    .select(`${INVITATION_COLUMNS}, organization:organizations(id, name, owner_id)`)
+    .eq('token_hash', hashInvitationToken(token))
+    .maybeSingle();
+
+  return invitation || null;
+}
+
+/**
+ * Create an organization; the caller becomes its owner
+ * Body: { name: string }
+ * @route POST /api/organizations
+ */
+export async function createOrganization(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+
+    const { name, error: nameError } = parseName(req.body);
+    if (nameError) {
+      return validationResponse(res, nameError);
+    }
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .insert({ name, owner_id: req.user.id })
+      .select(ORGANIZATION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating organization:', error);
+      return databaseErrorResponse(res, 'Failed to create organization');
+    }
+
+    const { error: memberError } = await supabase
+      .from('organization_members')
+      .insert({ organization_id: organization.id, user_id: req.user.id, role: 'owner' });
+
+    if (memberError) {
+      // An organization without its owner could never be managed
+      console.error('Error adding organization owner:', memberError);
+      await supabase.from('organizations').delete().eq('id', organization.id);
+      return databaseErrorResponse(res, 'Failed to create organization');
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { ...organization, role: 'owner' },
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List the organizations the caller belongs to, with their role in each
+ * @route GET /api/organizations
+ */
+export async function listOrganizations(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+
+    const { data: memberships, error } = await supabase
+      .from('organization_members')
+      .select(`role, created_at, organization:organizations(${ORGANIZATION_COLUMNS})`)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error listing organizations:', error);
+      return databaseErrorResponse(res, 'Failed to list organizations');
+    }
+
+    return res.json({
+      success: true,
+      data: (memberships || [])
+        .filter((membership) => membership.organization)
+        .map((membership) => ({
+          ...membership.organization,
+          role: membership.role,
+          joined_at: membership.created_at,
+        })),
+      meta: {
+        roles: ASSIGNABLE_ROLES,
+      },
+    });
+  } catch (error) {
+    console.error('List organizations error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Get an organization with its members; members who manage the team also get the pending
+ * invitations
+ * @route GET /api/organizations/:id
+ */
+export async function getOrganization(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    const { data: organization } = await supabase
+      .from('organizations')
+      .select(ORGANIZATION_COLUMNS)
+      .eq('id', workspace.organizationId)
+      .single();
+
+    const { data: members, error } = await supabase
+      .from('organization_members')
+      .select(
+        'user_id, role, created_at, user:users!organization_members_user_id_fkey(email, full_name)'
+      )
+      .eq('organization_id', workspace.organizationId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error listing organization members:', error);
+      return databaseErrorResponse(res, 'Failed to load organization members');
+    }
+
+    let invitations = [];
+    if (hasPermission(workspace, PERMISSIONS.MEMBERS_MANAGE)) {
+      const { data: pending } = await supabase
+        .from('organization_invitations')
+        .select(INVITATION_COLUMNS)
+        .eq('organization_id', workspace.organizationId)
+        .eq('status', INVITATION_STATUS.PENDING)
+        .order('created_at', { ascending: false });
+      invitations = pending || [];
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ...organization,
+        role: workspace.role,
+        plan: workspace.ownerTier,
+        team_collaboration: hasTeamCollaboration(workspace.ownerTier),
+        members: (members || []).map((member) => ({
+          user_id: member.user_id,
+          email: member.user?.email || null,
+          full_name: member.user?.full_name || null,
+          role: member.role,
+          joined_at: member.created_at,
+        })),
+        invitations,
+      },
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Rename an organization (owner only)
+ * Body: { name: string }
+ * @route PATCH /api/organizations/:id
+ */
+export async function updateOrganization(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    if (!hasPermission(workspace, PERMISSIONS.ORGANIZATION_MANAGE)) {
+      return forbiddenResponse(res, 'Only the owner can rename the organization.');
+    }
+
+    const { name, error: nameError } = parseName(req.body);
+    if (nameError) {
+      return validationResponse(res, nameError);
+    }
+
+    const { data: organization, error } = await supabase
+      .from('organizations')
+      .update({ name })
+      .eq('id', workspace.organizationId)
+      .select(ORGANIZATION_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error renaming organization:', error);
+      return databaseErrorResponse(res, 'Failed to update organization');
+    }
+
+    return res.json({
+      success: true,
+      data: { ...organization, role: workspace.role },
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Delete an organization with its shared projects, audits and keyword research (owner only)
+ * @route DELETE /api/organizations/:id
+ */
+export async function deleteOrganization(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    if (!hasPermission(workspace, PERMISSIONS.ORGANIZATION_MANAGE)) {
+      return forbiddenResponse(res, 'Only the owner can delete the organization.');
+    }
+
+    const { error } = await supabase
+      .from('organizations')
+      .delete()
+      .eq('id', workspace.organizationId);
+
+    if (error) {
+      console.error('Error deleting organization:', error);
+      return databaseErrorResponse(res, 'Failed to delete organization');
+    }
+
+    return res.json({
+      success: true,
+      data: { id: workspace.organizationId, deleted: true },
+    });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Invite someone by email
+ * The invitation link is emailed and, for sharing by other means, returned once in
+ * data.invitation_url.
+ * Body: { email: string, role: 'admin' | 'editor' | 'viewer' }
+ * @route POST /api/organizations/:id/invitations
+ */
+export async function createInvitation(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    const body = req.body || {};
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    const { role } = body;
+
+    if (!EMAIL_REGEX.test(email) || email.length > 320) {
+      return validationResponse(res, 'email must be a valid email address');
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return validationResponse(res, `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+    }
+    if (!canManageMember(workspace.role, null, role)) {
+      return forbiddenResponse(res, `Your role (${workspace.role}) cannot invite ${role}s.`);
+    }
+    if (!hasTeamCollaboration(workspace.ownerTier)) {
+      return featureUnavailableResponse(res, workspace.ownerTier);
+    }
+
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('id')
+      .ilike('email', email)
+      .maybeSingle();
+
+    if (existingUser) {
+      const { data: existingMember } = await supabase
+        .from('organization_members')
+        .select('user_id')
+        .eq('organization_id', workspace.organizationId)
+        .eq('user_id', existingUser.id)
+        .maybeSingle();
+
+      if (existingMember) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ALREADY_MEMBER',
+            message: `${email} is already a member of this organization`,
+          },
+        });
+      }
+    }
+
+    const { count } = await supabase
+      .from('organization_invitations')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', workspace.organizationId)
+      .eq('status', INVITATION_STATUS.PENDING);
+
+    if ((count || 0) >= MAX_PENDING_INVITATIONS) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INVITATION_LIMIT_REACHED',
+          message: `An organization can have up to ${MAX_PENDING_INVITATIONS} open invitations; revoke one to invite someone else`,
+        },
+      });
+    }
+
+    const { token, tokenHash } = generateInvitationToken();
+
+    const { data: invitation, error } = await supabase
+      .from('organization_invitations')
+      .insert({
+        organization_id: workspace.organizationId,
+        email,
+        role,
+        token_hash: tokenHash,
+        invited_by: req.user.id,
+        expires_at: invitationExpiry(),
+      })
+      .select(INVITATION_COLUMNS)
+      .single();
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVITATION_EXISTS',
+          message: `${email} already has an open invitation; revoke it to send a new one`,
+        },
+      });
+    }
+    if (error) {
+      console.error('Error creating invitation:', error);
+      return databaseErrorResponse(res, 'Failed to create invitation');
+    }
+
+    const invitationUrl = appUrl(`/invitations/${token}`);
+
+    let emailOutcome;
+    try {
+      ({ outcome: emailOutcome } = await queueEmail(supabase, {
+        to: email,
+        template: 'team_invitation',
+        data: {
+          organizationName: workspace.organizationName,
+          inviterName: req.user.user_metadata?.full_name || req.user.email,
+          role,
+          expiresAt: invitation.expires_at,
+          invitationUrl,
+        },
+        dedupeKey: `team_invitation:${invitation.id}`,
+        metadata: { organization_id: workspace.organizationId, invitation_id: invitation.id },
+      }));
+    } catch (emailError) {
+      // The invitation stands; the link in this response can still be shared
+      console.error('Error queueing invitation email:', emailError);
+      emailOutcome = 'failed';
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: { ...invitation, invitation_url: invitationUrl },
+      meta: { email: emailOutcome },
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Revoke a pending invitation
+ * @route DELETE /api/organizations/:id/invitations/:invitationId
+ */
+export async function revokeInvitation(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    const { invitationId } = req.params;
+    if (!UUID_REGEX.test(invitationId)) {
+      return invalidIdResponse(res, 'Invalid invitation ID format');
+    }
+    if (!hasPermission(workspace, PERMISSIONS.MEMBERS_MANAGE)) {
+      return forbiddenResponse(res, `Your role (${workspace.role}) cannot manage invitations.`);
+    }
+
+    const { data: invitation, error } = await supabase
+      .from('organization_invitations')
+      .update({ status: INVITATION_STATUS.REVOKED, responded_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('organization_id', workspace.organizationId)
+      .eq('status', INVITATION_STATUS.PENDING)
+      .select(INVITATION_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error revoking invitation:', error);
+      return databaseErrorResponse(res, 'Failed to revoke invitation');
+    }
+    if (!invitation) {
+      return invitationNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Change a member's role
+ * Body: { role: 'admin' | 'editor' | 'viewer' }
+ * @route PATCH /api/organizations/:id/members/:userId
+ */
+export async function updateMember(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!UUID_REGEX.test(userId)) {
+      return invalidIdResponse(res, 'Invalid user ID format');
+    }
+    if (!ASSIGNABLE_ROLES.includes(role)) {
+      return validationResponse(res, `role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`);
+    }
+
+    const { data: member } = await supabase
+      .from('organization_members')
+      .select('user_id, role')
+      .eq('organization_id', workspace.organizationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Member not found',
+        },
+      });
+    }
+    if (!canManageMember(workspace.role, member.role, role)) {
+      return forbiddenResponse(
+        res,
+        `Your role (${workspace.role}) cannot change a ${member.role} to ${role}.`
+      );
+    }
+
+    const { data: updated, error } = await supabase
+      .from('organization_members')
+      .update({ role })
+      .eq('organization_id', workspace.organizationId)
+      .eq('user_id', userId)
+      .select('user_id, role, created_at')
+      .single();
+
+    if (error) {
+      console.error('Error updating member role:', error);
+      return databaseErrorResponse(res, 'Failed to update member');
+    }
+
+    return res.json({
+      success: true,
+      data: updated,
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Remove a member, or leave the organization (any member but the owner may leave)
+ * Resources the member created stay in the organization.
+ * @route DELETE /api/organizations/:id/members/:userId
+ */
+export async function removeMember(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const workspace = await loadMembership(req, res, supabase);
+    if (!workspace) {
+      return;
+    }
+
+    const { userId } = req.params;
+    if (!UUID_REGEX.test(userId)) {
+      return invalidIdResponse(res, 'Invalid user ID format');
+    }
+
+    const leaving = userId === req.user.id;
+    if (leaving && workspace.role === 'owner') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'OWNER_CANNOT_LEAVE',
+          message: 'The owner cannot leave the organization; delete it instead',
+        },
+      });
+    }
+
+    const { data: member } = await supabase
+      .from('organization_members')
+      .select('user_id, role')
+      .eq('organization_id', workspace.organizationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBER_NOT_FOUND',
+          message: 'Member not found',
+        },
+      });
+    }
+    if (!leaving && !canManageMember(workspace.role, member.role)) {
+      return forbiddenResponse(
+        res,
+        `Your role (${workspace.role}) cannot remove a ${member.role}.`
+      );
+    }
+
+    const { error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('organization_id', workspace.organizationId)
+      .eq('user_id', userId);
+
+    if (error) {
+      console.error('Error removing member:', error);
+      return databaseErrorResponse(res, 'Failed to remove member');
+    }
+
+    return res.json({
+      success: true,
+      data: { organization_id: workspace.organizationId, user_id: userId, removed: true },
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Show an invitation from its link
+ * Any signed-in user with the link can see which organization it is for; only the invited
+ * address can answer it.
+ * @route GET /api/organizations/invitations/:token
+ */
+export async function getInvitation(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const { token } = req.params;
+
+    if (!isInvitationToken(token)) {
+      return invitationNotFoundResponse(res);
+    }
+
+    const invitation = await findInvitationByToken(supabase, token);
+    if (!invitation?.organization) {
+      return invitationNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        organization: { id: invitation.organization.id, name: invitation.organization.name },
+        email: invitation.email,
+        role: invitation.role,
+        status: invitationClosedReason(invitation) || INVITATION_STATUS.PENDING,
+        expires_at: invitation.expires_at,
+        email_matches: isInvitedEmail(invitation, req.user.email),
+      },
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Check that the caller can answer an invitation
+ * Sends the error response and returns null otherwise.
+ */
+async function loadOpenInvitation(req, res, supabase) {
+  const { token } = req.params;
+  if (!isInvitationToken(token)) {
+    invitationNotFoundResponse(res);
+    return null;
+  }
+
+  const invitation = await findInvitationByToken(supabase, token);
+  if (!invitation?.organization) {
+    invitationNotFoundResponse(res);
+    return null;
+  }
+
+  if (!isInvitedEmail(invitation, req.user.email)) {
+    res.status(403).json({
+      success: false,
+      error: {
+        code: 'INVITATION_EMAIL_MISMATCH',
+        message: `This invitation was sent to ${invitation.email}; sign in with that address to answer it`,
+      },
+    });
+    return null;
+  }
+
+  const closed = invitationClosedReason(invitation);
+  if (closed) {
+    res.status(410).json({
+      success: false,
+      error: {
+        code: 'INVITATION_CLOSED',
+        message: `This invitation is ${closed}`,
+        reason: closed,
+      },
+    });
+    return null;
+  }
+
+  return invitation;
+}
+
+/**
+ * Record the answer to an invitation, unless another request answered it first
+ */
+async function closeInvitation(supabase, invitation, status) {
+  const { data: closed, error } = await supabase
+    .from('organization_invitations')
+    .update({ status, responded_at: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .eq('status', INVITATION_STATUS.PENDING)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to update invitation ${invitation.id}: ${error.message}`);
+  }
+  return Boolean(closed?.length);
+}
+
+/**
+ * Accept an invitation and join the organization with the invited role
+ * @route POST /api/organizations/invitations/:token/accept
+ */
+export async function acceptInvitation(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const invitation = await loadOpenInvitation(req, res, supabase);
+    if (!invitation) {
+      return;
+    }
+
+    const { data: owner } = await supabase
+      .from('users')
+      .select('subscription_tier, tier_override')
+      .eq('id', invitation.organization.owner_id)
+      .maybeSingle();
+
+    const ownerTier = effectiveTier(owner);
+    if (!hasTeamCollaboration(ownerTier)) {
+      return featureUnavailableResponse(res, ownerTier);
+    }
+
+    if (!(await closeInvitation(supabase, invitation, INVITATION_STATUS.ACCEPTED))) {
+      return invitationNotFoundResponse(res);
+    }
+
+    const { error } = await supabase.from('organization_members').insert({
+      organization_id: invitation.organization_id,
+      user_id: req.user.id,
+      role: invitation.role,
+      invited_by: invitation.invited_by,
+    });
+
+    if (error?.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_MEMBER',
+          message: 'You are already a member of this organization',
+        },
+      });
+    }
+    if (error) {
+      // Reopen the invitation so it can be accepted again
+      console.error('Error adding organization member:', error);
+      await supabase
+        .from('organization_invitations')
+        .update({ status: INVITATION_STATUS.PENDING, responded_at: null })
+        .eq('id', invitation.id);
+      return databaseErrorResponse(res, 'Failed to accept invitation');
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        organization: { id: invitation.organization.id, name: invitation.organization.name },
+        role: invitation.role,
+      },
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Decline an invitation
+ * @route POST /api/organizations/invitations/:token/decline
+ */
+export async function declineInvitation(req, res) {
+  try {
+    const supabase = createClient({ admin: true });
+    const invitation = await loadOpenInvitation(req, res, supabase);
+    if (!invitation) {
+      return;
+    }
+
+    if (!(await closeInvitation(supabase, invitation, INVITATION_STATUS.DECLINED))) {
+      return invitationNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        organization: { id: invitation.organization.id, name: invitation.organization.name },
+        status: INVITATION_STATUS.DECLINED,
+      },
+    });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    return internalErrorResponse(res);
+  }
+}
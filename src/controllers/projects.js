@@ -0,0 +1,587 @@
+/**
+ * Projects Controller
+ * SEO projects (a website and its target keywords) with project-scoped audits and keywords
+ *
+ * Projects belong to the request's workspace (req.workspace); a project's audits and
+ * keywords are loaded by project once the project itself was found in the workspace.
+ */
+
+import { createClient } from '../config/supabase.js';
+import { buildProjectOverview, summarizeAudit } from '../services/projectOverview.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PROJECT_COLUMNS = 'id, name, website_url, target_keywords, is_active, created_at, updated_at';
+
+const AUDIT_COLUMNS = 'id, content_url, seo_score, results, status, created_at';
+
+const MAX_TARGET_KEYWORDS = 100;
+
+function invalidIdResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: 'Invalid project ID format',
+    },
+  });
+}
+
+function projectNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'PROJECT_NOT_FOUND',
+      message: 'Project not found or access denied',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function internalErrorResponse(res) {
+  return res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+    },
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the editable project fields present in a request body
+ * @returns {Object} { values } or { error }
+ */
+function parseProjectFields(body) {
+  const values = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 255) {
+      return { error: 'name must be 1 to 255 characters' };
+    }
+    values.name = name;
+  }
+
+  if (body.website_url !== undefined) {
+    const websiteUrl = typeof body.website_url === 'string' ? body.website_url.trim() : '';
+    if (websiteUrl && (!isHttpUrl(websiteUrl) || websiteUrl.length > 500)) {
+      return { error: 'website_url must be an HTTP or HTTPS URL of at most 500 characters' };
+    }
+    values.website_url = websiteUrl || null;
+  }
+
+  if (body.target_keywords !== undefined) {
+    if (
+      !Array.isArray(body.target_keywords) ||
+      body.target_keywords.some((keyword) => typeof keyword !== 'string')
+    ) {
+      return { error: 'target_keywords must be an array of strings' };
+    }
+
+    // Trim and drop blanks and case-insensitive duplicates, keeping the first spelling
+    const seen = new Set();
+    const keywords = [];
+    for (const keyword of body.target_keywords.map((value) => value.trim())) {
+      if (keyword && !seen.has(keyword.toLowerCase())) {
+        seen.add(keyword.toLowerCase());
+        keywords.push(keyword);
+      }
+    }
+
+    if (keywords.some((keyword) => keyword.length > 200)) {
+      return { error: 'Target keywords must be 200 characters or less' };
+    }
+    if (keywords.length > MAX_TARGET_KEYWORDS) {
+      return { error: `A project can track at most ${MAX_TARGET_KEYWORDS} target keywords` };
+    }
+    values.target_keywords = keywords;
+  }
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    values.is_active = body.is_active;
+  }
+
+  return { values };
+}
+
+/**
+ * Load a project of the request's workspace
+ * @returns {Promise<Object|null>}
+ */
+async function findWorkspaceProject(supabase, workspace, projectId) {
+  const { data: project } = await scopeToWorkspace(
+    supabase.from('seo_projects').select(PROJECT_COLUMNS).eq('id', projectId),
+    workspace
+  ).maybeSingle();
+
+  return project || null;
+}
+
+/**
+ * Create a project
+ * Body: { name: string, website_url?: string, target_keywords?: string[] }
+ * @route POST /api/projects
+ */
+export async function createProject(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+
+    const { values, error: fieldError } = parseProjectFields(body);
+    if (fieldError) {
+      return validationResponse(res, fieldError);
+    }
+    if (!values.name) {
+      return validationResponse(res, 'name is required');
+    }
+
+    const { data: project, error } = await supabase
+      .from('seo_projects')
+      .insert({
+        ...workspaceColumns(workspaceOf(req)),
+        target_keywords: [],
+        ...values,
+      })
+      .select(PROJECT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error creating project:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to create project',
+        },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    console.error('Create project error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List projects
+ * Query params: ?active=true|false
+ * @route GET /api/projects
+ */
+export async function listProjects(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { active } = req.query;
+
+    let query = scopeToWorkspace(
+      supabase.from('seo_projects').select(PROJECT_COLUMNS),
+      workspaceOf(req)
+    ).order('created_at', { ascending: false });
+
+    if (active === 'true' || active === 'false') {
+      query = query.eq('is_active', active === 'true');
+    }
+
+    const { data: projects, error } = await query;
+
+    if (error) {
+      console.error('Error listing projects:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list projects',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: projects || [],
+    });
+  } catch (error) {
+    console.error('List projects error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Get a project
+ * @route GET /api/projects/:id
+ */
+export async function getProject(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const project = await findWorkspaceProject(supabase, workspaceOf(req), id);
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Update a project
+ * Body: { name?, website_url?, target_keywords?, is_active? }
+ * target_keywords replaces the whole list.
+ * @route PATCH /api/projects/:id
+ */
+export async function updateProject(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { values, error: fieldError } = parseProjectFields(req.body || {});
+    if (fieldError) {
+      return validationResponse(res, fieldError);
+    }
+    if (Object.keys(values).length === 0) {
+      return validationResponse(
+        res,
+        'Nothing to update (name, website_url, target_keywords, is_active)'
+      );
+    }
+
+    const { data: project, error } = await scopeToWorkspace(
+      supabase.from('seo_projects').update(values).eq('id', id),
+      workspaceOf(req)
+    )
+      .select(PROJECT_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating project:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to update project',
+        },
+      });
+    }
+
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: project,
+    });
+  } catch (error) {
+    console.error('Update project error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Delete a project
+ * Its crawls and schedules are deleted; audits and keyword research are kept unassigned.
+ * @route DELETE /api/projects/:id
+ */
+export async function deleteProject(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: deleted, error } = await scopeToWorkspace(
+      supabase.from('seo_projects').delete().eq('id', id),
+      workspaceOf(req)
+    ).select('id');
+
+    if (error) {
+      console.error('Error deleting project:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to delete project',
+        },
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return projectNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: { id, deleted: true },
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List a project's audits, newest first
+ * Query params: ?page=1&limit=10 (max 100)
+ * @route GET /api/projects/:id/audits
+ */
+export async function listProjectAudits(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const project = await findWorkspaceProject(supabase, workspaceOf(req), id);
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const offset = (page - 1) * limit;
+
+    const {
+      data: audits,
+      count,
+      error,
+    } = await supabase
+      .from('seo_analyses')
+      .select(AUDIT_COLUMNS, { count: 'exact' })
+      .eq('project_id', id)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      console.error('Error listing project audits:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list project audits',
+        },
+      });
+    }
+
+    const total = count || 0;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+
+    return res.json({
+      success: true,
+      data: (audits || []).map(summarizeAudit),
+      meta: {
+        page,
+        limit,
+        total,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error('List project audits error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * List a project's keyword research results, best opportunities first
+ * Query params: ?seed_keyword=<keyword>&limit=50 (max 200)
+ * @route GET /api/projects/:id/keywords
+ */
+export async function listProjectKeywords(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const project = await findWorkspaceProject(supabase, workspaceOf(req), id);
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    let query = supabase
+      .from('keywords')
+      .select('*')
+      .eq('project_id', id)
+      .order('opportunity_score', { ascending: false })
+      .limit(limit);
+
+    if (typeof req.query.seed_keyword === 'string' && req.query.seed_keyword.trim()) {
+      query = query.eq('seed_keyword', req.query.seed_keyword.trim().toLowerCase());
+    }
+
+    const { data: keywords, error } = await query;
+
+    if (error) {
+      console.error('Error listing project keywords:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list project keywords',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        keywords: keywords || [],
+        total: keywords?.length || 0,
+      },
+    });
+  } catch (error) {
+    console.error('List project keywords error:', error);
+    return internalErrorResponse(res);
+  }
+}
+
+/**
+ * Rows for one overview section; a failing section is logged and shown empty
+ */
+async function loadSection(name, query) {
+  const { data, error } = await query;
+  if (error) {
+    console.error(`Error loading project ${name}:`, error);
+    return [];
+  }
+  return data || [];
+}
+
+/**
+ * Project overview: latest score per component, tracked keywords and recent activity
+ * @route GET /api/projects/:id/overview
+ */
+export async function getProjectOverview(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const project = await findWorkspaceProject(supabase, workspaceOf(req), id);
+    if (!project) {
+      return projectNotFoundResponse(res);
+    }
+
+    const [audits, crawls, keywords, schedules] = await Promise.all([
+      loadSection(
+        'audits',
+        supabase
+          .from('seo_analyses')
+          .select(AUDIT_COLUMNS)
+          .eq('project_id', id)
+          .order('created_at', { ascending: false })
+          .limit(20)
+      ),
+      loadSection(
+        'crawls',
+        supabase
+          .from('site_crawls')
+          .select('id, seed_url, status, pages_crawled, average_score, created_at, finished_at')
+          .eq('project_id', id)
+          .order('created_at', { ascending: false })
+          .limit(10)
+      ),
+      loadSection(
+        'keywords',
+        supabase
+          .from('keywords')
+          .select(
+            'id, seed_keyword, keyword, search_volume, competition, difficulty_score, opportunity_score, cpc, created_at'
+          )
+          .eq('project_id', id)
+          .order('created_at', { ascending: false })
+          .limit(500)
+      ),
+      loadSection(
+        'schedules',
+        supabase
+          .from('audit_schedules')
+          .select('id, url, frequency, enabled, next_run_at, last_run_at, last_status')
+          .eq('project_id', id)
+      ),
+    ]);
+
+    const alerts =
+      schedules.length > 0
+        ? await loadSection(
+            'alerts',
+            supabase
+              .from('audit_alerts')
+              .select('id, audit_id, alerts, created_at')
+              .in(
+                'schedule_id',
+                schedules.map((schedule) => schedule.id)
+              )
+              .order('created_at', { ascending: false })
+              .limit(10)
+          )
+        : [];
+
+    return res.json({
+      success: true,
+      data: {
+        ...buildProjectOverview(project, { audits, crawls, keywords, alerts }),
+        schedules,
+      },
+    });
+  } catch (error) {
+    console.error('Get project overview error:', error);
+    return internalErrorResponse(res);
+  }
+}
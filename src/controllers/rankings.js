@@ -0,0 +1,462 @@
+/**
+ * Rankings Controller
+ * Tracked keywords and their daily Google positions, recorded by
+ * scripts/process-rank-tracking.js
+ *
+ * Tracked keywords belong to the request's workspace (req.workspace, see
+ * middleware/workspace); the tracking limit applies per workspace.
+ */
+
+import { createClient } from '../config/supabase.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+import {
+  RANK_DEVICES,
+  RANK_TRACKING_DEFAULTS,
+  KEYWORD_LOCATIONS,
+} from '../services/rankings/rankTracking.js';
+import {
+  summarizeRankHistory,
+  summarizeFeatureOwnership,
+} from '../services/rankings/rankMetrics.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const LANGUAGE_REGEX = /^[a-z]{2}$/;
+
+const MAX_HISTORY_DAYS = 365;
+
+const TRACKED_COLUMNS =
+  'id, project_id, keyword, target_url, location, device, language, enabled, last_checked_on, last_position, previous_position, best_position, last_status, created_at, updated_at';
+
+function invalidIdResponse(res, what = 'tracked keyword') {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: `Invalid ${what} ID format`,
+    },
+  });
+}
+
+function trackedNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'TRACKED_KEYWORD_NOT_FOUND',
+      message: 'Tracked keyword not found or access denied',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the tracking combination of a new tracked keyword
+ * @returns {Object} { values } or { error }
+ */
+function parseTrackingFields(body) {
+  const keyword = typeof body.keyword === 'string' ? body.keyword.trim().toLowerCase() : '';
+  if (!keyword) {
+    return { error: 'keyword is required' };
+  }
+  if (keyword.length > 200) {
+    return { error: 'keyword must be 200 characters or less' };
+  }
+
+  const {
+    location = RANK_TRACKING_DEFAULTS.location,
+    device = RANK_TRACKING_DEFAULTS.device,
+    language = RANK_TRACKING_DEFAULTS.language,
+  } = body;
+
+  if (!KEYWORD_LOCATIONS[location]) {
+    return { error: `location must be one of: ${Object.keys(KEYWORD_LOCATIONS).join(', ')}` };
+  }
+  if (!RANK_DEVICES.includes(device)) {
+    return { error: `device must be one of: ${RANK_DEVICES.join(', ')}` };
+  }
+  if (typeof language !== 'string' || !LANGUAGE_REGEX.test(language)) {
+    return { error: 'language must be a two-letter ISO 639-1 code such as "en"' };
+  }
+
+  return { values: { keyword, location, device, language } };
+}
+
+/**
+ * Start tracking a keyword + URL + location + device combination
+ * Body: { keyword, url?, project_id?, location?, device?, language? }
+ * The URL defaults to the project's website. The first position is recorded on the next
+ * rank tracker run.
+ * @route POST /api/rankings
+ */
+export async function createTrackedKeyword(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+    const { project_id: projectId } = body;
+
+    const { values, error: fieldError } = parseTrackingFields(body);
+    if (fieldError) {
+      return validationResponse(res, fieldError);
+    }
+
+    let url = typeof body.url === 'string' ? body.url.trim() : '';
+
+    if (projectId !== undefined) {
+      if (!UUID_REGEX.test(projectId)) {
+        return invalidIdResponse(res, 'project');
+      }
+
+      const { data: project } = await scopeToWorkspace(
+        supabase.from('seo_projects').select('id, website_url').eq('id', projectId),
+        workspaceOf(req)
+      ).single();
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: 'Project not found or access denied',
+          },
+        });
+      }
+
+      url ||= (project.website_url || '').trim();
+    }
+
+    if (!isHttpUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_URL',
+          message: 'A valid HTTP or HTTPS URL is required (or set the project website URL)',
+        },
+      });
+    }
+
+    const { count } = await scopeToWorkspace(
+      supabase.from('rank_tracked_keywords').select('id', { count: 'exact', head: true }),
+      workspaceOf(req)
+    );
+
+    if ((count || 0) >= RANK_TRACKING_DEFAULTS.maxTrackedKeywords) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'TRACKING_LIMIT_REACHED',
+          message: `You can track up to ${RANK_TRACKING_DEFAULTS.maxTrackedKeywords} keywords; remove some to add more`,
+        },
+      });
+    }
+
+    const { data: tracked, error } = await supabase
+      .from('rank_tracked_keywords')
+      .insert({
+        ...workspaceColumns(workspaceOf(req)),
+        project_id: projectId || null,
+        target_url: url,
+        ...values,
+      })
+      .select(TRACKED_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ALREADY_TRACKED',
+            message: 'This keyword is already tracked for this URL, location and device',
+          },
+        });
+      }
+
+      console.error('Error creating tracked keyword:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to track keyword',
+        },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: tracked,
+    });
+  } catch (error) {
+    console.error('Create tracked keyword error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * List tracked keywords with their latest positions
+ * Query params: ?project_id=<uuid>
+ * `change` is the movement since the previous check (positive = moved up).
+ * @route GET /api/rankings
+ */
+export async function listTrackedKeywords(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId } = req.query;
+
+    if (projectId && !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    let query = scopeToWorkspace(
+      supabase.from('rank_tracked_keywords').select(TRACKED_COLUMNS),
+      workspaceOf(req)
+    ).order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data: trackedKeywords, error } = await query;
+
+    if (error) {
+      console.error('Error listing tracked keywords:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list tracked keywords',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: (trackedKeywords || []).map((tracked) => ({
+        ...tracked,
+        change:
+          tracked.last_position !== null && tracked.previous_position !== null
+            ? tracked.previous_position - tracked.last_position
+            : null,
+      })),
+    });
+  } catch (error) {
+    console.error('List tracked keywords error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Get a tracked keyword with its position history, movement and SERP feature ownership
+ * Query params: ?days=30 (max 365)
+ * @route GET /api/rankings/:id
+ */
+export async function getTrackedKeyword(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const days = Math.min(
+      Math.max(parseInt(req.query.days) || RANK_TRACKING_DEFAULTS.historyDays, 1),
+      MAX_HISTORY_DAYS
+    );
+
+    const { data: tracked, error } = await scopeToWorkspace(
+      supabase.from('rank_tracked_keywords').select(TRACKED_COLUMNS).eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !tracked) {
+      return trackedNotFoundResponse(res);
+    }
+
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+
+    const { data: history, error: historyError } = await supabase
+      .from('rank_history')
+      .select('checked_on, position, ranking_url, serp_features, total_results, provider')
+      .eq('tracked_keyword_id', id)
+      .gte('checked_on', since)
+      .order('checked_on', { ascending: true });
+
+    if (historyError) {
+      console.error('Error loading rank history:', historyError);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to load rank history',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        ...tracked,
+        history: history || [],
+        summary: summarizeRankHistory(history || []),
+        serp_features: summarizeFeatureOwnership(history || []),
+      },
+      meta: {
+        days,
+        since,
+      },
+    });
+  } catch (error) {
+    console.error('Get tracked keyword error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Pause or resume tracking
+ * Body: { enabled }
+ * @route PATCH /api/rankings/:id
+ */
+export async function updateTrackedKeyword(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return validationResponse(res, 'enabled must be true or false');
+    }
+
+    const { data: tracked, error } = await scopeToWorkspace(
+      supabase
+        .from('rank_tracked_keywords')
+        .update({ enabled, updated_at: new Date().toISOString() })
+        .eq('id', id),
+      workspaceOf(req)
+    )
+      .select(TRACKED_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating tracked keyword:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to update tracked keyword',
+        },
+      });
+    }
+
+    if (!tracked) {
+      return trackedNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: tracked,
+    });
+  } catch (error) {
+    console.error('Update tracked keyword error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Stop tracking a keyword and delete its history
+ * @route DELETE /api/rankings/:id
+ */
+export async function deleteTrackedKeyword(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: deleted, error } = await scopeToWorkspace(
+      supabase.from('rank_tracked_keywords').delete().eq('id', id),
+      workspaceOf(req)
+    ).select('id');
+
+    if (error) {
+      console.error('Error deleting tracked keyword:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to delete tracked keyword',
+        },
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return trackedNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: { id, deleted: true },
+    });
+  } catch (error) {
+    console.error('Delete tracked keyword error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
@@ -1,15 +1,60 @@
 /**
  * Reports Controller
- * Handles report generation (PDF, CSV exports)
+ * Handles report generation (PDF, CSV exports) and report downloads
+ *
+ * Reports are generated for audits of the request's workspace (req.workspace, see
+ * middleware/workspace) and listed and downloaded within it. This module uses the service
+ * role client, so every query is scoped explicitly.
  */
 
+import { randomUUID } from 'node:crypto';
 import { createClient } from '@supabase/supabase-js';
+import { TIER_FEATURES } from '../middleware/subscription.js';
+import {
+  renderAuditPdf,
+  buildReportData,
+  parseBranding,
+  REPORT_TYPES,
+} from '../services/reports/pdfReport.js';
+import {
+  reportKey,
+  saveReportFile,
+  readReportFile,
+  deleteReportFile,
+  REPORT_STORAGE,
+} from '../services/reports/reportStorage.js';
+import {
+  belongsToWorkspace,
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load keyword research rows for an audit, best opportunities first
+ */
+async function loadAuditKeywords(auditId) {
+  const { data: keywordData } = await supabase
+    .from('keywords')
+    .select('*')
+    .eq('audit_id', auditId)
+    .order('opportunity_score', { ascending: false });
+
+  return keywordData || [];
+}
+
 /**
  * Generate PDF report for an audit
  * POST /api/reports/pdf
+ *
+ * Body: { audit_id, report_type: 'technical' | 'executive', branding? }
+ * `branding` ({ company_name, logo, primary_color, accent_color, footer_text }) needs the
+ * white_label_reports feature. The PDF is stored and downloaded through
+ * GET /api/reports/:id/download until it expires.
  */
 export async function generatePDF(req, res) {
   try {
@@ -27,7 +72,38 @@ export async function generatePDF(req, res) {
       });
     }
 
-    // Verify audit ownership
+    if (!REPORT_TYPES.includes(report_type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REPORT_TYPE',
+          message: `report_type must be one of: ${REPORT_TYPES.join(', ')}`,
+        },
+      });
+    }
+
+    const { branding, error: brandingError } = parseBranding(req.body.branding);
+    if (brandingError) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_BRANDING', message: brandingError },
+      });
+    }
+
+    // requireFeature('pdf_reports') attached the subscription
+    const tier = req.subscription?.tier;
+    if (branding && !TIER_FEATURES[tier]?.includes('white_label_reports')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FEATURE_NOT_AVAILABLE',
+          message: `White-label reports are not available in your ${tier || 'current'} plan.`,
+          upgrade_url: '/pricing',
+        },
+      });
+    }
+
+    // Verify the audit is in the workspace
     const { data: audit, error: auditError } = await supabase
       .from('seo_analyses')
       .select('*')
@@ -41,7 +117,7 @@ export async function generatePDF(req, res) {
       });
     }
 
-    if (audit.user_id !== userId) {
+    if (!belongsToWorkspace(audit, workspaceOf(req))) {
       return res.status(403).json({
         success: false,
         error: {
@@ -51,40 +127,67 @@ export async function generatePDF(req, res) {
       });
     }
 
-    // PLACEHOLDER: jsPDF integration (Phase 3)
-    // For now, return mock PDF generation response
-    // In Phase 3, integrate: npm install jspdf, generate real PDF with charts
-    const mockPDFData = {
-      report_id: `report_${Date.now()}`,
-      audit_id,
-      report_type,
-      generated_at: new Date().toISOString(),
-      download_url: `https://example.com/reports/${audit_id}.pdf`,
-      expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
-    };
+    if ((audit.status || audit.results?.status) !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'AUDIT_NOT_COMPLETED',
+          message: 'Reports can only be generated for completed audits',
+        },
+      });
+    }
 
-    // Store report generation record
-    const { data: _reportRecord, error: reportError } = await supabase
-      .from('report_history')
-      .insert({
-        user_id: userId,
-        audit_id,
-        report_type: 'pdf',
-        report_format: report_type,
-        file_url: mockPDFData.download_url,
-      })
-      .select()
-      .single();
+    const keywords = await loadAuditKeywords(audit_id);
+    const pdf = await renderAuditPdf(buildReportData(audit, keywords), {
+      reportType: report_type,
+      branding,
+    });
+
+    const reportId = randomUUID();
+    const storagePath = reportKey(userId, reportId);
+    const generatedAt = new Date();
+    const expiresAt = new Date(generatedAt.getTime() + REPORT_STORAGE.ttlHours * 60 * 60 * 1000);
+    const downloadUrl = `/api/reports/${reportId}/download`;
+
+    await saveReportFile(storagePath, pdf, { supabase });
+
+    // Store report generation record (the download route reads it)
+    const { error: reportError } = await supabase.from('report_history').insert({
+      id: reportId,
+      ...workspaceColumns(workspaceOf(req)),
+      audit_id,
+      report_type: 'pdf',
+      report_format: report_type,
+      file_url: downloadUrl,
+      storage_path: storagePath,
+      file_size: pdf.length,
+      white_label: Boolean(branding),
+      expires_at: expiresAt.toISOString(),
+    });
 
     if (reportError) {
       console.error('Error storing report history:', reportError);
+      await deleteReportFile(storagePath, { supabase }).catch(() => {});
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'REPORT_SAVE_FAILED',
+          message: 'Failed to save PDF report',
+        },
+      });
     }
 
-    return res.status(200).json({
+    return res.status(201).json({
       success: true,
       data: {
-        ...mockPDFData,
-        message: 'PDF generation placeholder. Real implementation in Phase 3 with jsPDF.',
+        report_id: reportId,
+        audit_id,
+        report_type,
+        white_label: Boolean(branding),
+        file_size: pdf.length,
+        generated_at: generatedAt.toISOString(),
+        download_url: downloadUrl,
+        expires_at: expiresAt.toISOString(),
       },
     });
   } catch (error) {
@@ -99,6 +202,80 @@ export async function generatePDF(req, res) {
   }
 }
 
+/**
+ * Download a generated report
+ * GET /api/reports/:id/download
+ *
+ * Any member of the report's workspace can download it, until it expires.
+ */
+export async function downloadReport(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!UUID_PATTERN.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_ID', message: 'Invalid report ID format' },
+      });
+    }
+
+    const { data: report, error } = await scopeToWorkspace(
+      supabase
+        .from('report_history')
+        .select('id, audit_id, report_format, storage_path, expires_at, created_at')
+        .eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !report || !report.storage_path) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'REPORT_NOT_FOUND', message: 'Report not found' },
+      });
+    }
+
+    if (report.expires_at && new Date(report.expires_at) <= new Date()) {
+      // Expired files are removed on first access; the history row stays
+      await deleteReportFile(report.storage_path, { supabase }).catch(() => {});
+      return res.status(410).json({
+        success: false,
+        error: {
+          code: 'REPORT_EXPIRED',
+          message: 'This report has expired. Generate a new one.',
+        },
+      });
+    }
+
+    const file = await readReportFile(report.storage_path, { supabase });
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: { code: 'REPORT_FILE_MISSING', message: 'Report file is no longer available' },
+      });
+    }
+
+    const date = (report.created_at || new Date().toISOString()).slice(0, 10);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', file.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="audit-${report.audit_id}-${report.report_format}-${date}.pdf"`
+    );
+
+    return res.status(200).send(file);
+  } catch (error) {
+    console.error('Error downloading report:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to download report',
+      },
+    });
+  }
+}
+
 /**
  * Generate CSV export of audit data
  * POST /api/reports/csv
@@ -106,7 +283,6 @@ export async function generatePDF(req, res) {
 export async function generateCSV(req, res) {
   try {
     const { audit_id, include_keywords = true } = req.body;
-    const userId = req.user.id;
 
     // Validation
     if (!audit_id) {
@@ -119,7 +295,7 @@ export async function generateCSV(req, res) {
       });
     }
 
-    // Verify audit ownership
+    // Verify the audit is in the workspace
     const { data: audit, error: auditError } = await supabase
       .from('seo_analyses')
       .select('*')
@@ -133,7 +309,7 @@ export async function generateCSV(req, res) {
       });
     }
 
-    if (audit.user_id !== userId) {
+    if (!belongsToWorkspace(audit, workspaceOf(req))) {
       return res.status(403).json({
         success: false,
         error: {
@@ -144,23 +320,14 @@ export async function generateCSV(req, res) {
     }
 
     // Fetch keywords if requested
-    let keywords = [];
-    if (include_keywords) {
-      const { data: keywordData } = await supabase
-        .from('keywords')
-        .select('*')
-        .eq('audit_id', audit_id)
-        .order('opportunity_score', { ascending: false });
-
-      keywords = keywordData || [];
-    }
+    const keywords = include_keywords ? await loadAuditKeywords(audit_id) : [];
 
     // Generate CSV data
     const csvData = generateCSVContent(audit, keywords);
 
     // Store report generation record
     await supabase.from('report_history').insert({
-      user_id: userId,
+      ...workspaceColumns(workspaceOf(req)),
       audit_id,
       report_type: 'csv',
       report_format: 'csv',
@@ -188,19 +355,18 @@ export async function generateCSV(req, res) {
 }
 
 /**
- * Get report generation history for user
+ * Get the workspace's report generation history
  * GET /api/reports/history
  */
 export async function getReportHistory(req, res) {
   try {
-    const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 50;
     const offset = parseInt(req.query.offset) || 0;
 
-    const { data: reports, error } = await supabase
-      .from('report_history')
-      .select('*')
-      .eq('user_id', userId)
+    const { data: reports, error } = await scopeToWorkspace(
+      supabase.from('report_history').select('*'),
+      workspaceOf(req)
+    )
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
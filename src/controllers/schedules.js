@@ -0,0 +1,411 @@
+/**
+ * Audit Schedules Controller
+ * Recurring audits of a URL or project, queued by scripts/process-audit-schedules.js
+ *
+ * Schedules belong to the request's workspace (req.workspace, see middleware/workspace);
+ * their audits are created in the same workspace.
+ */
+
+import { createClient } from '../config/supabase.js';
+import { SCHEDULE_FREQUENCIES, SCHEDULE_DEFAULTS } from '../services/jobs/auditSchedule.js';
+import {
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../services/organizations/workspace.js';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SCHEDULE_COLUMNS =
+  'id, project_id, url, frequency, score_drop_threshold, enabled, next_run_at, last_run_at, last_audit_id, last_status, created_at, updated_at';
+
+function invalidIdResponse(res, what = 'schedule') {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'INVALID_ID',
+      message: `Invalid ${what} ID format`,
+    },
+  });
+}
+
+function scheduleNotFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'SCHEDULE_NOT_FOUND',
+      message: 'Schedule not found or access denied',
+    },
+  });
+}
+
+function validationResponse(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message,
+    },
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate the editable schedule fields present in a request body
+ * @returns {Object} { values } or { error }
+ */
+function parseScheduleFields(body) {
+  const values = {};
+
+  if (body.frequency !== undefined) {
+    if (!SCHEDULE_FREQUENCIES.includes(body.frequency)) {
+      return { error: `frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}` };
+    }
+    values.frequency = body.frequency;
+  }
+
+  if (body.score_drop_threshold !== undefined) {
+    const threshold = Number(body.score_drop_threshold);
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > 100) {
+      return { error: 'score_drop_threshold must be a whole number of points from 1 to 100' };
+    }
+    values.score_drop_threshold = threshold;
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+    values.enabled = body.enabled;
+  }
+
+  return { values };
+}
+
+/**
+ * Create a schedule for a URL or a project's website
+ * Body: { url?: string, project_id?: string, frequency: 'daily' | 'weekly' | 'monthly',
+ *   score_drop_threshold?: number }
+ * The first audit is queued on the next scheduler run and becomes the comparison baseline.
+ * @route POST /api/schedules
+ */
+export async function createSchedule(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const body = req.body || {};
+    const { project_id: projectId } = body;
+
+    const { values, error: fieldError } = parseScheduleFields(body);
+    if (fieldError) {
+      return validationResponse(res, fieldError);
+    }
+    if (!values.frequency) {
+      return validationResponse(res, `frequency is required (${SCHEDULE_FREQUENCIES.join(', ')})`);
+    }
+
+    let url = typeof body.url === 'string' ? body.url.trim() : '';
+
+    if (projectId !== undefined) {
+      if (!UUID_REGEX.test(projectId)) {
+        return invalidIdResponse(res, 'project');
+      }
+
+      const { data: project } = await scopeToWorkspace(
+        supabase.from('seo_projects').select('id, website_url').eq('id', projectId),
+        workspaceOf(req)
+      ).single();
+
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'PROJECT_NOT_FOUND',
+            message: 'Project not found or access denied',
+          },
+        });
+      }
+
+      url ||= (project.website_url || '').trim();
+    }
+
+    if (!isHttpUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_URL',
+          message: 'A valid HTTP or HTTPS URL is required (or set the project website URL)',
+        },
+      });
+    }
+
+    const { data: schedule, error } = await supabase
+      .from('audit_schedules')
+      .insert({
+        ...workspaceColumns(workspaceOf(req)),
+        project_id: projectId || null,
+        url,
+        score_drop_threshold: SCHEDULE_DEFAULTS.scoreDropThreshold,
+        ...values,
+        next_run_at: new Date().toISOString(),
+      })
+      .select(SCHEDULE_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'SCHEDULE_EXISTS',
+            message: 'This URL already has a schedule; update it instead',
+          },
+        });
+      }
+
+      console.error('Error creating schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to create schedule',
+        },
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * List schedules
+ * Query params: ?project_id=<uuid>
+ * @route GET /api/schedules
+ */
+export async function listSchedules(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { project_id: projectId } = req.query;
+
+    if (projectId && !UUID_REGEX.test(projectId)) {
+      return invalidIdResponse(res, 'project');
+    }
+
+    let query = scopeToWorkspace(
+      supabase.from('audit_schedules').select(SCHEDULE_COLUMNS),
+      workspaceOf(req)
+    ).order('created_at', { ascending: false });
+
+    if (projectId) {
+      query = query.eq('project_id', projectId);
+    }
+
+    const { data: schedules, error } = await query;
+
+    if (error) {
+      console.error('Error listing schedules:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to list schedules',
+        },
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: schedules || [],
+    });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Get a schedule with its most recent regression alerts
+ * @route GET /api/schedules/:id
+ */
+export async function getSchedule(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: schedule, error } = await scopeToWorkspace(
+      supabase.from('audit_schedules').select(SCHEDULE_COLUMNS).eq('id', id),
+      workspaceOf(req)
+    ).single();
+
+    if (error || !schedule) {
+      return scheduleNotFoundResponse(res);
+    }
+
+    const { data: alerts } = await supabase
+      .from('audit_alerts')
+      .select('id, audit_id, previous_audit_id, alerts, notified_at, created_at')
+      .eq('schedule_id', id)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    return res.json({
+      success: true,
+      data: {
+        ...schedule,
+        alerts: alerts || [],
+      },
+    });
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Change frequency, alert threshold, or pause/resume a schedule
+ * Body: { frequency?, score_drop_threshold?, enabled? }
+ * @route PATCH /api/schedules/:id
+ */
+export async function updateSchedule(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { values, error: fieldError } = parseScheduleFields(req.body || {});
+    if (fieldError) {
+      return validationResponse(res, fieldError);
+    }
+    if (Object.keys(values).length === 0) {
+      return validationResponse(
+        res,
+        'Nothing to update (frequency, score_drop_threshold, enabled)'
+      );
+    }
+
+    const { data: schedule, error } = await scopeToWorkspace(
+      supabase
+        .from('audit_schedules')
+        .update({ ...values, updated_at: new Date().toISOString() })
+        .eq('id', id),
+      workspaceOf(req)
+    )
+      .select(SCHEDULE_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to update schedule',
+        },
+      });
+    }
+
+    if (!schedule) {
+      return scheduleNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
+
+/**
+ * Delete a schedule (its audits are kept)
+ * @route DELETE /api/schedules/:id
+ */
+export async function deleteSchedule(req, res) {
+  try {
+    const supabase = req.supabase || createClient();
+    const { id } = req.params;
+
+    if (!UUID_REGEX.test(id)) {
+      return invalidIdResponse(res);
+    }
+
+    const { data: deleted, error } = await scopeToWorkspace(
+      supabase.from('audit_schedules').delete().eq('id', id),
+      workspaceOf(req)
+    ).select('id');
+
+    if (error) {
+      console.error('Error deleting schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'DATABASE_ERROR',
+          message: 'Failed to delete schedule',
+        },
+      });
+    }
+
+    if (!deleted || deleted.length === 0) {
+      return scheduleNotFoundResponse(res);
+    }
+
+    return res.json({
+      success: true,
+      data: { id, deleted: true },
+    });
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      },
+    });
+  }
+}
@@ -4,8 +4,20 @@
  */
 
 import { createClient } from '../config/supabase.js';
+import { effectiveTier } from '../config/tiers.js';
 import authService from '../services/auth/authService.js';
 
+const USER_COLUMNS =
+  'id, email, full_name, subscription_tier, tier_override, created_at, updated_at';
+
+/**
+ * Profile as returned to the user: subscription_tier is the tier they get, which is an
+ * admin's tier_override when there is one rather than the billed tier
+ */
+function toProfile({ tier_override, ...user }) {
+  return { ...user, subscription_tier: effectiveTier({ ...user, tier_override }) };
+}
+
 /**
  * Get current user profile
  * @route GET /api/user
@@ -18,7 +30,7 @@ export async function getCurrentUser(req, res) {
     // Get user data from users table
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, full_name, subscription_tier, created_at, updated_at')
+      .select(USER_COLUMNS)
       .eq('id', userId)
       .single();
 
@@ -55,7 +67,7 @@ export async function getCurrentUser(req, res) {
     return res.json({
       success: true,
       data: {
-        ...user,
+        ...toProfile(user),
         subscription: subscription || null,
       },
     });
@@ -161,7 +173,7 @@ export async function updateUser(req, res) {
       .from('users')
       .update(updates)
       .eq('id', userId)
-      .select('id, email, full_name, subscription_tier, created_at, updated_at')
+      .select(USER_COLUMNS)
       .single();
 
     if (error) {
@@ -187,7 +199,7 @@ export async function updateUser(req, res) {
 
     return res.json({
       success: true,
-      data: updatedUser,
+      data: toProfile(updatedUser),
     });
   } catch (error) {
     console.error('Update user error:', error);
@@ -7,7 +7,6 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import rateLimit from 'express-rate-limit';
 
 // Load environment variables
 dotenv.config();
@@ -18,8 +17,19 @@ import userRoutes from './routes/users.js';
 import billingRoutes from './routes/billing.js';
 import subscriptionRoutes from './routes/subscriptions.js';
 import auditRoutes from './routes/audits.js';
+import projectRoutes from './routes/projects.js';
+import crawlRoutes from './routes/crawls.js';
+import scheduleRoutes from './routes/schedules.js';
 import keywordRoutes from './routes/keywords.js';
+import rankingRoutes from './routes/rankings.js';
+import competitorRoutes from './routes/competitors.js';
 import reportRoutes from './routes/reports.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import organizationRoutes from './routes/organizations.js';
+import adminRoutes from './routes/admin.js';
+import { handleStripeWebhook } from './routes/webhooks/stripe.js';
+import { rateLimitByIp } from './middleware/rateLimit.js';
+import auditQueue from './services/jobs/auditQueue.js';
 
 // Initialize Express app
 const app = express();
@@ -36,26 +46,17 @@ app.use(
   })
 );
 
+// Stripe webhooks need the raw body for signature verification, so they are mounted
+// before the JSON parser (and outside the API rate limit, since Stripe retries in bursts)
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), handleStripeWebhook);
+
 // Body parsing middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Global rate limiting (100 requests per 15 minutes)
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many requests, please try again later',
-    },
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-app.use('/api/', limiter);
+// Anonymous requests and failed authentications are limited per IP (100 per 15 minutes);
+// authenticated requests are limited per user and plan by rateLimitByUser in the routers
+app.use('/api/', rateLimitByIp());
 
 // Health check endpoint
 app.get('/health', (_req, res) => {
@@ -75,8 +76,16 @@ app.use('/api/user', userRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/audits', auditRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/crawls', crawlRoutes);
+app.use('/api/schedules', scheduleRoutes);
 app.use('/api/keywords', keywordRoutes);
+app.use('/api/rankings', rankingRoutes);
+app.use('/api/competitors', competitorRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((_req, res) => {
@@ -103,6 +112,9 @@ app.use((err, _req, res, _next) => {
   });
 });
 
+// Connect the audit job queue (audits run inline if Redis is unavailable)
+auditQueue.initialize();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`
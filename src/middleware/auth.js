@@ -22,6 +22,9 @@
 import { authService } from '../services/auth/authService.js';
 import { createClient } from '../config/supabase.js';
 import { ensureUserProfile } from '../services/users/userProfileSync.js';
+import { isApiKey, requiredScope, verifyApiKey } from '../services/auth/apiKeys.js';
+import { TIER_FEATURES } from './subscription.js';
+import { effectiveTier } from '../config/tiers.js';
 
 const devAuthBypassEnabled = process.env.DEV_AUTH_BYPASS === 'true';
 const devFallbackUser = {
@@ -83,11 +86,84 @@ function extractToken(req) {
   return authHeader;
 }
 
+/**
+ * Authenticate a request made with an API key (Authorization: Bearer pk_...)
+ *
+ * The key's owner must still have the api_access feature, and the key must carry the
+ * scope for the router it reached (e.g. audits:write for POST /api/audits). Routes outside
+ * API_KEY_RESOURCES (auth, billing, key management, admin) reject keys outright.
+ * Keys have no Supabase session, so req.supabase is the admin client and RLS does not
+ * apply. Isolation comes from the workspace instead: resolveWorkspace puts the request in the
+ * key owner's personal workspace, or in the organization named by X-Organization-Id once it
+ * has checked the owner is a member, and controllers scope every query to req.workspace
+ * (scopeToWorkspace, see services/organizations/workspace).
+ */
+async function authenticateApiKey(req, res, next, key) {
+  const supabase = createClient({ admin: true });
+  const { apiKey, user, error } = await verifyApiKey(supabase, key);
+
+  if (error) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_API_KEY',
+        message: error,
+      },
+    });
+  }
+
+  const tier = effectiveTier(user);
+  if (!TIER_FEATURES[tier]?.includes('api_access')) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FEATURE_NOT_AVAILABLE',
+        message: `This feature (api_access) is not available in your ${tier} plan.`,
+        upgrade_url: '/pricing',
+      },
+    });
+  }
+
+  const scope = requiredScope(req.baseUrl, req.method);
+  if (!scope) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'API_KEY_NOT_ALLOWED',
+        message: 'API keys cannot be used for this endpoint.',
+      },
+    });
+  }
+  if (!apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: `This API key does not have the ${scope} scope.`,
+      },
+    });
+  }
+
+  req.user = {
+    id: user.id,
+    email: user.email,
+    user_metadata: { full_name: user.full_name },
+    app_metadata: { provider: 'api_key' },
+  };
+  req.userId = user.id;
+  req.accessToken = null;
+  req.apiKey = apiKey;
+  req.subscriptionTier = tier;
+  req.supabase = supabase;
+  next();
+}
+
 /**
  * Middleware: Require authentication
  *
- * Blocks requests without valid JWT token.
- * Attaches user object to req.user on success.
+ * Blocks requests without valid JWT token or API key.
+ * Attaches user object to req.user on success (and req.apiKey and req.subscriptionTier for
+ * API keys).
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -110,6 +186,10 @@ export async function requireAuth(req, res, next) {
       });
     }
 
+    if (isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+
     // Verify token and get user
     const { user, error } = await authService.verifyToken(token);
 
@@ -226,15 +306,23 @@ export async function optionalAuth(req, res, next) {
   }
 }
 
+/**
+ * Whether a user has the admin role (set in app_metadata with the service role key)
+ * @param {Object} user - Supabase user
+ * @returns {boolean}
+ */
+export function isAdminUser(user) {
+  return user?.app_metadata?.role === 'admin';
+}
+
 /**
  * Middleware: Require admin role
  *
  * Blocks requests from non-admin users.
  * Must be used after requireAuth middleware.
  *
- * Admin check looks for:
- * - user.user_metadata.role === 'admin'
- * - user.app_metadata.role === 'admin'
+ * Admin check looks for user.app_metadata.role === 'admin'. user_metadata is not trusted:
+ * users can change it themselves with supabase.auth.updateUser().
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -251,8 +339,7 @@ export function requireAdmin(req, res, next) {
     });
   }
 
-  const isAdmin =
-    req.user.user_metadata?.role === 'admin' || req.user.app_metadata?.role === 'admin';
+  const isAdmin = isAdminUser(req.user);
 
   if (!isAdmin) {
     return res.status(403).json({
@@ -304,8 +391,7 @@ export function requireOwnership(req, res, next) {
   // Check if user owns the resource
   if (req.user.id !== targetUserId) {
     // Allow admin override
-    const isAdmin =
-      req.user.user_metadata?.role === 'admin' || req.user.app_metadata?.role === 'admin';
+    const isAdmin = isAdminUser(req.user);
 
     if (!isAdmin) {
       return res.status(403).json({
@@ -321,62 +407,6 @@ export function requireOwnership(req, res, next) {
   next();
 }
 
-/**
- * Middleware: Rate limiting by user ID
- *
- * Simple in-memory rate limiter (use Redis in production).
- * Tracks requests per user per time window.
- *
- * @param {number} maxRequests - Maximum requests allowed
- * @param {number} windowMs - Time window in milliseconds
- * @returns {Function} Express middleware function
- */
-export function rateLimitByUser(maxRequests = 100, windowMs = 60000) {
-  const requests = new Map();
-
-  return (req, res, next) => {
-    if (!req.userId) {
-      // No auth, apply IP-based limiting (implement separately)
-      return next();
-    }
-
-    const now = Date.now();
-    const userId = req.userId;
-
-    // Get or create request log for user
-    if (!requests.has(userId)) {
-      requests.set(userId, []);
-    }
-
-    const userRequests = requests.get(userId);
-
-    // Remove old requests outside time window
-    const validRequests = userRequests.filter((timestamp) => now - timestamp < windowMs);
-    requests.set(userId, validRequests);
-
-    // Check if user exceeded limit
-    if (validRequests.length >= maxRequests) {
-      const oldestRequest = Math.min(...validRequests);
-      const resetTime = new Date(oldestRequest + windowMs);
-
-      return res.status(429).json({
-        success: false,
-        error: {
-          code: 'RATE_LIMIT_EXCEEDED',
-          message: `Too many requests. Please try again later.`,
-          retryAfter: resetTime.toISOString(),
-        },
-      });
-    }
-
-    // Add current request timestamp
-    validRequests.push(now);
-    requests.set(userId, validRequests);
-
-    next();
-  };
-}
-
 /**
  * Middleware: Extract session from cookie (for server-side rendering)
  *
@@ -436,7 +466,7 @@ export default {
   requireAuth,
   optionalAuth,
   requireAdmin,
+  isAdminUser,
   requireOwnership,
-  rateLimitByUser,
   sessionFromCookie,
 };
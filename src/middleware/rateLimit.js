@@ -0,0 +1,228 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Per-user limits from the subscription tier, counted in services/rateLimiter (Redis, with an
+ * in-memory fallback).
+ *
+ * Usage:
+ *   import { rateLimitByUser, RATE_LIMIT_BUCKETS } from './middleware/rateLimit.js';
+ *
+ *   router.use(requireAuth, resolveWorkspace, rateLimitByUser());
+ *   router.post('/', rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE), handler);
+ *
+ * Buckets (per minute, see TIER_RATE_LIMITS in config/tiers):
+ * - standard: every authenticated request to the resource routers
+ * - expensive: requests that start audits, crawls, analyses or AI generation; they also
+ *   count as standard requests
+ *
+ * In an organization workspace the owner's tier sets the limits, but every member is
+ * counted separately. API keys share their owner's budget and can be capped lower with
+ * api_keys.rate_limit_per_minute. Anonymous requests, and requests whose token does not
+ * authenticate, are limited per IP.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds) and
+ * RateLimit-Policy, plus Retry-After on 429.
+ *
+ * @module middleware/rateLimit
+ */
+
+import rateLimiter, { RATE_LIMIT_WINDOW_MS } from '../services/rateLimiter.js';
+import { getRateLimit } from '../config/tiers.js';
+import { getUserTierAndQuotas } from '../services/usageTracker.js';
+
+export const RATE_LIMIT_BUCKETS = {
+  STANDARD: 'standard',
+  EXPENSIVE: 'expensive',
+};
+
+/**
+ * Anonymous requests per IP (sign in, sign up, password reset, public endpoints)
+ */
+export const ANONYMOUS_RATE_LIMIT = {
+  limit: 100,
+  windowMs: 15 * 60 * 1000,
+};
+
+const TIER_CACHE_TTL_MS = 60 * 1000;
+
+const TIER_CACHE_MAX_ENTRIES = 10000;
+
+const tierCache = new Map();
+
+/**
+ * Subscription tier that sets the request's limits
+ *
+ * The workspace owner's tier in an organization and the tier loaded with an API key are
+ * already on the request; session users are looked up and cached for a minute, so a plan
+ * change applies within a minute.
+ */
+async function resolveTier(req) {
+  if (req.workspace?.ownerTier) {
+    return req.workspace.ownerTier;
+  }
+  if (req.subscriptionTier) {
+    return req.subscriptionTier;
+  }
+
+  const userId = req.user.id;
+  const cached = tierCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.tier;
+  }
+
+  const { tier } = await getUserTierAndQuotas(userId);
+  if (tierCache.size >= TIER_CACHE_MAX_ENTRIES) {
+    tierCache.clear();
+  }
+  tierCache.set(userId, { tier, expiresAt: Date.now() + TIER_CACHE_TTL_MS });
+  return tier;
+}
+
+/**
+ * Set the RateLimit-* headers for the most restrictive limit the request has hit
+ */
+function applyHeaders(req, res, state, windowMs) {
+  if (req.rateLimit && req.rateLimit.remaining < state.remaining) {
+    return;
+  }
+  req.rateLimit = state;
+
+  res.set({
+    'RateLimit-Policy': `${state.limit};w=${Math.round(windowMs / 1000)}`,
+    'RateLimit-Limit': String(state.limit),
+    'RateLimit-Remaining': String(state.remaining),
+    'RateLimit-Reset': String(Math.ceil(state.resetMs / 1000)),
+  });
+}
+
+function tooManyRequestsResponse(res, state) {
+  const retryAfterSeconds = Math.max(1, Math.ceil(state.resetMs / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  return res.status(429).json({
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: 'Too many requests. Please try again later.',
+      retryAfter: new Date(Date.now() + retryAfterSeconds * 1000).toISOString(),
+    },
+  });
+}
+
+/**
+ * Count a request against one or more limits and answer 429 if any is exceeded
+ * @param {Array<{name: string, limit: number}>} limits
+ * @returns {Promise<boolean>} True if the request may continue
+ */
+async function enforce(req, res, limits, windowMs) {
+  const states = await Promise.all(
+    limits.map(({ name, limit }) => rateLimiter.hit(name, limit, { windowMs }))
+  );
+
+  for (const state of states) {
+    applyHeaders(req, res, state, windowMs);
+  }
+
+  const exceeded = states.find((state) => !state.allowed);
+  if (exceeded) {
+    tooManyRequestsResponse(res, exceeded);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Middleware: Rate limit authenticated requests by user and tier
+ *
+ * Must be used after requireAuth (and after resolveWorkspace where the router has it).
+ * Replaces the former process-local limiter in middleware/auth.
+ *
+ * @param {string} [bucket] - RATE_LIMIT_BUCKETS value (default standard)
+ * @returns {Function} Express middleware function
+ */
+export function rateLimitByUser(bucket = RATE_LIMIT_BUCKETS.STANDARD) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.id) {
+        return next();
+      }
+
+      const tier = await resolveTier(req);
+      const limits = [{ name: `user:${req.user.id}:${bucket}`, limit: getRateLimit(tier, bucket) }];
+
+      const keyLimit = req.apiKey?.rateLimitPerMinute;
+      if (keyLimit && bucket === RATE_LIMIT_BUCKETS.STANDARD) {
+        limits.push({ name: `key:${req.apiKey.id}`, limit: keyLimit });
+      }
+
+      if (await enforce(req, res, limits, RATE_LIMIT_WINDOW_MS)) {
+        next();
+      }
+    } catch (error) {
+      // Limiting is best effort; never block a request because counting failed
+      console.error('rateLimitByUser middleware error:', error);
+      next();
+    }
+  };
+}
+
+/**
+ * Middleware: Rate limit requests by IP
+ *
+ * By default a request with an Authorization header is only counted once it has finished
+ * without authenticating (no req.user), so a made-up token is limited like no token while
+ * signed in users are left to rateLimitByUser. It is still refused up front once its IP is
+ * over the limit. Routes that never need a token (sign in, sign up, password reset) should
+ * count every request.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - Counter name, so route groups get separate budgets
+ * @param {number} [options.limit] - Requests per window
+ * @param {number} [options.windowMs] - Window length in ms
+ * @param {boolean} [options.skipAuthenticated] - Only count requests with an Authorization
+ *   header that fail to authenticate
+ * @returns {Function} Express middleware function
+ */
+export function rateLimitByIp({
+  name = 'api',
+  limit = ANONYMOUS_RATE_LIMIT.limit,
+  windowMs = ANONYMOUS_RATE_LIMIT.windowMs,
+  skipAuthenticated = true,
+} = {}) {
+  return async (req, res, next) => {
+    try {
+      const counter = `ip:${req.ip}:${name}`;
+
+      if (skipAuthenticated && req.headers.authorization) {
+        const state = await rateLimiter.check(counter, limit, { windowMs });
+        if (!state.allowed) {
+          applyHeaders(req, res, state, windowMs);
+          return tooManyRequestsResponse(res, state);
+        }
+
+        res.on('finish', () => {
+          if (!req.user) {
+            rateLimiter.hit(counter, limit, { windowMs }).catch((error) => {
+              console.error('rateLimitByIp failed to count request:', error);
+            });
+          }
+        });
+        return next();
+      }
+
+      if (await enforce(req, res, [{ name: counter, limit }], windowMs)) {
+        next();
+      }
+    } catch (error) {
+      console.error('rateLimitByIp middleware error:', error);
+      next();
+    }
+  };
+}
+
+export default {
+  rateLimitByUser,
+  rateLimitByIp,
+  RATE_LIMIT_BUCKETS,
+  ANONYMOUS_RATE_LIMIT,
+};
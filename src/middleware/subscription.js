@@ -10,6 +10,9 @@
  * - professional: $149/month - 50 audits/month, 500 keywords/month
  * - agency: $499/month - Unlimited audits and keywords
  *
+ * In an organization workspace (req.workspace, see middleware/workspace.js) the owner's
+ * subscription applies and quotas are shared by all members.
+ *
  * Usage:
  * ```javascript
  * import { requireTier, checkQuota } from './middleware/subscription.js';
@@ -25,6 +28,7 @@
 import { createClient } from '../config/supabase.js';
 import usageTracker from '../services/usageTracker.js';
 import subscriptionManager from '../services/subscriptionManager.js';
+import { applyQuotaOverrides, effectiveTier } from '../config/tiers.js';
 
 /**
  * Subscription tier hierarchy
@@ -59,18 +63,21 @@ export const TIER_QUOTAS = {
     audits: 10,
     keywords: 50,
     reports: 10,
+    crawls: 2,
     competitors: 3,
   },
   professional: {
     audits: 50,
     keywords: 500,
     reports: 50,
+    crawls: 20,
     competitors: 10,
   },
   agency: {
     audits: Infinity, // Unlimited
     keywords: Infinity,
     reports: Infinity,
+    crawls: Infinity,
     competitors: Infinity,
   },
 };
@@ -114,7 +121,10 @@ async function getUserSubscription(userId) {
 
   const { data: user, error } = await supabase
     .from('users')
-    .select('subscription_tier, stripe_customer_id, subscription_status, created_at')
+    .select(
+      'subscription_tier, tier_override, stripe_customer_id, subscription_status, ' +
+        'quota_overrides, created_at'
+    )
     .eq('id', userId)
     .single();
 
@@ -123,13 +133,24 @@ async function getUserSubscription(userId) {
   }
 
   return {
-    tier: user.subscription_tier || 'starter', // Default to starter
+    tier: effectiveTier(user), // An admin's tier override, else the billed tier or starter
     status: user.subscription_status || 'active',
     stripeCustomerId: user.stripe_customer_id,
+    quotaOverrides: user.quota_overrides || {},
     createdAt: user.created_at,
   };
 }
 
+/**
+ * User whose subscription applies to a request: the organization owner in a team
+ * workspace (see middleware/workspace), otherwise the user
+ * @param {Object} req - Express request object
+ * @returns {string} User UUID
+ */
+function subscriberId(req) {
+  return req.workspace?.ownerId || req.user.id;
+}
+
 /**
  * Get current period usage for a resource
  * @param {string} userId - User UUID
@@ -154,6 +175,9 @@ async function getCurrentUsage(userId, resourceType) {
     case 'reports':
       tableName = 'reports'; // Assuming you have a reports table
       break;
+    case 'crawls':
+      tableName = 'site_crawls';
+      break;
     default:
       throw new Error(`Unknown resource type: ${resourceType}`);
   }
@@ -194,8 +218,11 @@ export function requireTier(minimumTier) {
         });
       }
 
-      // Check subscription status (includes grace period logic)
-      const subscriptionStatus = await subscriptionManager.checkSubscriptionStatus(req.user.id);
+      // Check subscription status (includes grace period logic); organizations use the
+      // owner's subscription
+      const subscriptionStatus = await subscriptionManager.checkSubscriptionStatus(
+        subscriberId(req)
+      );
 
       // Block access if subscription inactive and not in grace period
       if (!subscriptionStatus.hasAccess) {
@@ -282,8 +309,8 @@ export function checkQuota(resourceType) {
         });
       }
 
-      // Use usageTracker service to check quota
-      const quotaCheck = await usageTracker.checkQuota(req.user.id, resourceType);
+      // Use usageTracker service to check quota (shared by an organization's members)
+      const quotaCheck = await usageTracker.checkQuota(req.user.id, resourceType, req.workspace);
 
       // Check if action is allowed
       if (!quotaCheck.allowed) {
@@ -347,8 +374,8 @@ export function requireFeature(featureName) {
         });
       }
 
-      // Get user's subscription
-      const subscription = await getUserSubscription(req.user.id);
+      // Get user's subscription (the owner's in an organization)
+      const subscription = await getUserSubscription(subscriberId(req));
 
       // Check if tier includes the feature
       const tierFeatures = TIER_FEATURES[subscription.tier];
@@ -387,7 +414,16 @@ export function requireFeature(featureName) {
 export async function getQuotaInfo(userId) {
   const subscription = await getUserSubscription(userId);
   const tier = subscription.tier;
-  const quotas = TIER_QUOTAS[tier];
+  const quotas = { ...(TIER_QUOTAS[tier] || TIER_QUOTAS.starter) };
+
+  // Admin overrides (-1 is unlimited)
+  for (const [resourceType, limit] of Object.entries(
+    applyQuotaOverrides({}, subscription.quotaOverrides)
+  )) {
+    if (resourceType in quotas) {
+      quotas[resourceType] = limit === -1 ? Infinity : limit;
+    }
+  }
 
   const quotaInfo = {};
 
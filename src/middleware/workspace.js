@@ -0,0 +1,130 @@
+/**
+ * Workspace Middleware
+ *
+ * Picks the workspace a request works in and checks the member's role.
+ *
+ * Usage:
+ *   import { resolveWorkspace, requirePermission } from './middleware/workspace.js';
+ *
+ *   router.use(requireAuth, resolveWorkspace);
+ *   router.delete('/:id', requirePermission(PERMISSIONS.RESOURCES_DELETE), handler);
+ *
+ * Requests with an X-Organization-Id header work in that organization, all others in the
+ * user's personal workspace. See services/organizations/workspace.
+ *
+ * @module middleware/workspace
+ */
+
+import { createClient } from '../config/supabase.js';
+import { TIER_FEATURES } from './subscription.js';
+import {
+  hasPermission,
+  loadWorkspace,
+  personalWorkspace,
+} from '../services/organizations/workspace.js';
+
+export const ORGANIZATION_HEADER = 'x-organization-id';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Middleware: Resolve the request's workspace into req.workspace
+ *
+ * Must be used after requireAuth. In an organization the user must be a member and the
+ * owner's plan must include team_collaboration; req.supabase becomes the
+ * admin client because shared rows belong to other users (RLS), and controllers scope
+ * every query to req.workspace.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export async function resolveWorkspace(req, res, next) {
+  try {
+    const organizationId = req.headers?.[ORGANIZATION_HEADER];
+
+    if (!organizationId) {
+      req.workspace = personalWorkspace(req.user.id);
+      return next();
+    }
+
+    if (!UUID_REGEX.test(organizationId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORGANIZATION_ID',
+          message: 'X-Organization-Id must be an organization ID',
+        },
+      });
+    }
+
+    const supabase = createClient({ admin: true });
+    const workspace = await loadWorkspace(supabase, req.user.id, organizationId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORGANIZATION_NOT_FOUND',
+          message: 'Organization not found or access denied',
+        },
+      });
+    }
+
+    if (!TIER_FEATURES[workspace.ownerTier]?.includes('team_collaboration')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FEATURE_NOT_AVAILABLE',
+          message: `This feature (team_collaboration) is not available in the organization owner's ${workspace.ownerTier} plan.`,
+          upgrade_url: '/pricing',
+        },
+      });
+    }
+
+    req.workspace = workspace;
+    req.supabase = supabase;
+    next();
+  } catch (error) {
+    console.error('resolveWorkspace middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'WORKSPACE_ERROR',
+        message: 'Failed to load the workspace.',
+      },
+    });
+  }
+}
+
+/**
+ * Middleware: Require a permission in the request's workspace
+ *
+ * Must be used after resolveWorkspace. Owners of a personal workspace have every
+ * permission.
+ *
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    const workspace = req.workspace || personalWorkspace(req.user.id);
+
+    if (!hasPermission(workspace, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_ROLE',
+          message: `Your role (${workspace.role}) does not allow this action (${permission}).`,
+        },
+      });
+    }
+
+    next();
+  };
+}
+
+export default {
+  resolveWorkspace,
+  requirePermission,
+};
@@ -0,0 +1,92 @@
+/**
+ * Admin Routes
+ * Operator endpoints (users with the admin role)
+ *
+ * Routes:
+ * - GET /api/admin/users - Search users by email or name
+ * - GET /api/admin/users/:id - User detail: subscription, grace period, usage, quotas, changes
+ * - PATCH /api/admin/users/:id/subscription - Override tier/quotas (recorded in the audit log)
+ * - GET /api/admin/audit-log - Admin changes, filterable by user
+ * - GET /api/admin/subscriptions - Counts by status and tier, past-due grace periods
+ * - GET /api/admin/ai/costs - AI spend by provider, day and month, and budget alerts
+ * - GET /api/admin/ai/cache - AI response cache hit rate
+ * - GET /api/admin/usage/top-consumers - Heaviest users of a resource
+ * - GET /api/admin/webhooks/stripe/events - Received Stripe events, filterable by status
+ * - GET /api/admin/webhooks/stripe/events/:id - One event with its payload
+ * - POST /api/admin/webhooks/stripe/events/:id/replay - Run a failed event's handler again
+ */
+
+import express from 'express';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import * as adminController from '../controllers/admin.js';
+
+const router = express.Router();
+
+// All admin routes require authentication and the admin role
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/admin/users
+ * Query params: ?search=<email or name>&tier=<tier>&status=<subscription status>&page=1&limit=20
+ */
+router.get('/users', adminController.listUsers);
+
+/**
+ * GET /api/admin/users/:id
+ */
+router.get('/users/:id', adminController.getUser);
+
+/**
+ * PATCH /api/admin/users/:id/subscription
+ * Body: { tier?, quota_overrides?, reason }
+ * tier is kept apart from the billed tier (null removes it); quota_overrides values replace
+ * the tier quota (-1 unlimited, null removes the override)
+ */
+router.patch('/users/:id/subscription', adminController.updateUserSubscription);
+
+/**
+ * GET /api/admin/audit-log
+ * Query params: ?user_id=<uuid>&page=1&limit=20
+ */
+router.get('/audit-log', adminController.listAuditLog);
+
+/**
+ * GET /api/admin/subscriptions
+ */
+router.get('/subscriptions', adminController.getSubscriptions);
+
+/**
+ * GET /api/admin/ai/costs
+ * Query params: ?days=30&months=6
+ */
+router.get('/ai/costs', adminController.getAICosts);
+
+/**
+ * GET /api/admin/ai/cache
+ */
+router.get('/ai/cache', adminController.getAICacheStats);
+
+/**
+ * GET /api/admin/usage/top-consumers
+ * Query params: ?resource=audits|keywords|api_calls|ai_tokens&days=30&limit=10
+ */
+router.get('/usage/top-consumers', adminController.getTopConsumers);
+
+/**
+ * GET /api/admin/webhooks/stripe/events
+ * Query params: ?status=processing|processed|failed&type=<event type>&page=1&limit=20
+ */
+router.get('/webhooks/stripe/events', adminController.listWebhookEvents);
+
+/**
+ * GET /api/admin/webhooks/stripe/events/:id
+ */
+router.get('/webhooks/stripe/events/:id', adminController.getWebhookEvent);
+
+/**
+ * POST /api/admin/webhooks/stripe/events/:id/replay
+ * Only events that are not yet processed can be replayed (409 otherwise)
+ */
+router.post('/webhooks/stripe/events/:id/replay', adminController.replayWebhookEvent);
+
+export default router;
@@ -0,0 +1,51 @@
+/**
+ * API Key Routes
+ * Keys for calling the API from scripts and integrations (professional and agency plans)
+ *
+ * Routes:
+ * - POST /api/api-keys - Create a key (the secret is only in this response)
+ * - GET /api/api-keys - List keys (prefix, scopes, last use; never the secret)
+ * - POST /api/api-keys/:id/rotate - Replace a key with a new secret
+ * - DELETE /api/api-keys/:id - Revoke a key
+ *
+ * Keys are sent as Authorization: Bearer pk_... and cannot call these routes themselves.
+ * Listing and revoking stay available after a downgrade so old keys can be cleaned up.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
+import { requireFeature } from '../middleware/subscription.js';
+import * as apiKeysController from '../controllers/apiKeys.js';
+
+const router = express.Router();
+
+// All API key routes require authentication
+router.use(requireAuth, rateLimitByUser());
+
+/**
+ * POST /api/api-keys
+ * Body: { name: string, scopes: string[], expires_in_days?: number (1-365),
+ *   rate_limit_per_minute?: number }
+ * Scopes are <resource>:read or <resource>:write for projects, audits, crawls, schedules,
+ * keywords, rankings, competitors and reports
+ */
+router.post('/', requireFeature('api_access'), apiKeysController.createApiKey);
+
+/**
+ * GET /api/api-keys
+ * Query params: ?include_revoked=true
+ */
+router.get('/', apiKeysController.listApiKeys);
+
+/**
+ * POST /api/api-keys/:id/rotate
+ */
+router.post('/:id/rotate', requireFeature('api_access'), apiKeysController.rotateApiKey);
+
+/**
+ * DELETE /api/api-keys/:id
+ */
+router.delete('/:id', apiKeysController.revokeApiKey);
+
+export default router;
@@ -3,25 +3,35 @@
  * Core product feature - handles SEO audits, analysis, and recommendations
  *
  * Routes:
- * - POST /api/audits - Create new SEO audit
+ * - POST /api/audits - Queue new SEO audit
  * - GET /api/audits/:id - Get audit results
+ * - GET /api/audits/:id/progress - Get analyzer progress for a queued/running audit
+ * - GET /api/audits/:id/compare/:otherId - Score deltas and fixed/introduced/unchanged issues
+ * - POST /api/audits/:id/cancel - Cancel a queued/running audit
+ * - POST /api/audits/:id/schema - Generate JSON-LD structured data for the audited page
  * - GET /api/audits - List user's audits with pagination
  * - DELETE /api/audits/:id - Delete audit
+ *
+ * Audits are shared within a workspace (X-Organization-Id, see middleware/workspace):
+ * every member can read them, editors can run and cancel them, admins can delete them.
  */
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { RATE_LIMIT_BUCKETS, rateLimitByUser } from '../middleware/rateLimit.js';
 import { checkQuota } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
 import * as auditsController from '../controllers/audits.js';
 
 const router = express.Router();
 
-// All audit routes require authentication
-router.use(requireAuth);
+// All audit routes require authentication and work in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser());
 
 /**
  * POST /api/audits
- * Create new SEO audit
+ * Queue new SEO audit (202 with the audit ID; runs inline if the queue is down)
  * Body: { url: string, options?: { includeKeywords?: boolean, depth?: number } }
  *
  * Quota limits:
@@ -29,7 +39,13 @@ router.use(requireAuth);
  * - Professional: 50 audits/month
  * - Agency: unlimited
  */
-router.post('/', checkQuota('audits'), auditsController.createAudit);
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('audits'),
+  auditsController.createAudit
+);
 
 /**
  * GET /api/audits/:id
@@ -37,6 +53,42 @@ router.post('/', checkQuota('audits'), auditsController.createAudit);
  */
 router.get('/:id', auditsController.getAudit);
 
+/**
+ * GET /api/audits/:id/progress
+ * Which of the 7 analyzers have finished
+ */
+router.get('/:id/progress', auditsController.getAuditProgress);
+
+/**
+ * GET /api/audits/:id/compare/:otherId
+ * Compare two completed audits: per-component score deltas (:id minus :otherId) and
+ * issues fixed, introduced and unchanged, matched by issue code
+ */
+router.get('/:id/compare/:otherId', auditsController.compareAudits);
+
+/**
+ * POST /api/audits/:id/cancel
+ * Cancel a queued or running audit
+ */
+router.post(
+  '/:id/cancel',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  auditsController.cancelAudit
+);
+
+/**
+ * POST /api/audits/:id/schema
+ * Generate a JSON-LD snippet for the audited page
+ * Body: { type?: 'Article' | 'Product' | 'FAQPage' | 'BreadcrumbList' | 'Organization' |
+ *   'LocalBusiness' | 'Recipe' | 'Event' } (detected from the page if omitted)
+ */
+router.post(
+  '/:id/schema',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  auditsController.generateAuditSchema
+);
+
 /**
  * GET /api/audits
  * List user's audits with pagination
@@ -48,6 +100,10 @@ router.get('/', auditsController.listAudits);
  * DELETE /api/audits/:id
  * Delete audit
  */
-router.delete('/:id', auditsController.deleteAudit);
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_DELETE),
+  auditsController.deleteAudit
+);
 
 export default router;
@@ -16,14 +16,21 @@ import express from 'express';
 import { authService } from '../services/auth/authService.js';
 import { emailService } from '../services/email/emailService.js';
 import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { rateLimitByIp, rateLimitByUser } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Routes that take no token count every request per IP, whatever headers it carries
+const credentialRateLimit = rateLimitByIp({ name: 'auth', skipAuthenticated: false });
+
+// Signed in requests skip rateLimitByIp, so they are limited per user here
+const userRateLimit = rateLimitByUser();
+
 /**
  * POST /auth/signup
  * Register a new user account
  */
-router.post('/signup', async (req, res) => {
+router.post('/signup', credentialRateLimit, async (req, res) => {
   try {
     const { email, password, full_name, company } = req.body;
 
@@ -135,7 +142,7 @@ router.post('/signup', async (req, res) => {
  * POST /auth/signin
  * Sign in with email and password
  */
-router.post('/signin', async (req, res) => {
+router.post('/signin', credentialRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -218,7 +225,7 @@ router.post('/signin', async (req, res) => {
  * POST /auth/signout
  * Sign out the current user and revoke their session
  */
-router.post('/signout', requireAuth, async (req, res) => {
+router.post('/signout', requireAuth, userRateLimit, async (req, res) => {
   try {
     // Use admin client to revoke user's session
     const { error } = await authService.adminSignOut(req.user.id);
@@ -253,7 +260,7 @@ router.post('/signout', requireAuth, async (req, res) => {
  * POST /auth/reset-password
  * Send password reset email
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', credentialRateLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -313,7 +320,7 @@ router.post('/reset-password', async (req, res) => {
  * POST /auth/update-password
  * Update user's password (must be authenticated)
  */
-router.post('/update-password', requireAuth, async (req, res) => {
+router.post('/update-password', requireAuth, userRateLimit, async (req, res) => {
   try {
     const { newPassword } = req.body;
 
@@ -372,7 +379,7 @@ router.post('/update-password', requireAuth, async (req, res) => {
  * POST /auth/verify/resend
  * Resend email verification
  */
-router.post('/verify/resend', async (req, res) => {
+router.post('/verify/resend', credentialRateLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -431,7 +438,7 @@ router.post('/verify/resend', async (req, res) => {
  * POST /auth/magic-link
  * Send magic link for passwordless login
  */
-router.post('/magic-link', async (req, res) => {
+router.post('/magic-link', credentialRateLimit, async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -490,7 +497,7 @@ router.post('/magic-link', async (req, res) => {
  * GET /auth/me
  * Get current authenticated user
  */
-router.get('/me', requireAuth, async (req, res) => {
+router.get('/me', requireAuth, userRateLimit, async (req, res) => {
   try {
     return res.status(200).json({
       success: true,
@@ -521,7 +528,7 @@ router.get('/me', requireAuth, async (req, res) => {
  * GET /auth/session
  * Get current session (optionally authenticated)
  */
-router.get('/session', optionalAuth, async (req, res) => {
+router.get('/session', optionalAuth, userRateLimit, async (req, res) => {
   try {
     if (!req.user) {
       return res.status(200).json({
@@ -14,14 +14,19 @@
 import express from 'express';
 import stripeService, { PRICE_IDS } from '../services/stripe/stripeService.js';
 import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// All billing routes require authentication. The Stripe webhook is not one of them: it
+// needs the raw body and has no user, so it is mounted on its own (routes/webhooks/stripe)
+router.use(requireAuth, rateLimitByUser());
+
 /**
  * POST /api/billing/checkout
  * Create Stripe checkout session for new subscription
  */
-router.post('/checkout', requireAuth, async (req, res) => {
+router.post('/checkout', async (req, res) => {
   try {
     const { priceId, successUrl, cancelUrl } = req.body;
     const userId = req.user.id;
@@ -84,7 +89,7 @@ router.post('/checkout', requireAuth, async (req, res) => {
  * POST /api/billing/portal
  * Create billing portal session for subscription management
  */
-router.post('/portal', requireAuth, async (req, res) => {
+router.post('/portal', async (req, res) => {
   try {
     const { returnUrl } = req.body;
     const userId = req.user.id;
@@ -135,7 +140,7 @@ router.post('/portal', requireAuth, async (req, res) => {
  * GET /api/billing/subscription
  * Get current user's subscription details
  */
-router.get('/subscription', requireAuth, async (req, res) => {
+router.get('/subscription', async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -198,7 +203,7 @@ router.get('/subscription', requireAuth, async (req, res) => {
  * POST /api/billing/subscription/change
  * Change subscription plan (upgrade/downgrade)
  */
-router.post('/subscription/change', requireAuth, async (req, res) => {
+router.post('/subscription/change', async (req, res) => {
   try {
     const { newPriceId } = req.body;
     const userId = req.user.id;
@@ -279,7 +284,7 @@ router.post('/subscription/change', requireAuth, async (req, res) => {
  * POST /api/billing/subscription/cancel
  * Cancel subscription (at period end by default)
  */
-router.post('/subscription/cancel', requireAuth, async (req, res) => {
+router.post('/subscription/cancel', async (req, res) => {
   try {
     const { immediately } = req.body;
     const userId = req.user.id;
@@ -341,7 +346,7 @@ router.post('/subscription/cancel', requireAuth, async (req, res) => {
  * POST /api/billing/subscription/reactivate
  * Reactivate a canceled subscription (before period ends)
  */
-router.post('/subscription/reactivate', requireAuth, async (req, res) => {
+router.post('/subscription/reactivate', async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -408,7 +413,7 @@ router.post('/subscription/reactivate', requireAuth, async (req, res) => {
  * GET /api/billing/invoices
  * Get user's invoice history
  */
-router.get('/invoices', requireAuth, async (req, res) => {
+router.get('/invoices', async (req, res) => {
   try {
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 10;
@@ -454,7 +459,7 @@ router.get('/invoices', requireAuth, async (req, res) => {
  * GET /api/billing/invoices/:invoiceId
  * Get specific invoice details
  */
-router.get('/invoices/:invoiceId', requireAuth, async (req, res) => {
+router.get('/invoices/:invoiceId', async (req, res) => {
   try {
     const { invoiceId } = req.params;
     const userId = req.user.id;
@@ -524,7 +529,7 @@ router.get('/invoices/:invoiceId', requireAuth, async (req, res) => {
  * GET /api/billing/invoices/:invoiceId/pdf
  * Get invoice PDF download URL
  */
-router.get('/invoices/:invoiceId/pdf', requireAuth, async (req, res) => {
+router.get('/invoices/:invoiceId/pdf', async (req, res) => {
   try {
     const { invoiceId } = req.params;
     const userId = req.user.id;
@@ -597,7 +602,7 @@ router.get('/invoices/:invoiceId/pdf', requireAuth, async (req, res) => {
  * GET /api/billing/upcoming
  * Get preview of upcoming invoice
  */
-router.get('/upcoming', requireAuth, async (req, res) => {
+router.get('/upcoming', async (req, res) => {
   try {
     const userId = req.user.id;
 
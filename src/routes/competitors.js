@@ -0,0 +1,117 @@
+/**
+ * Competitor Analysis Routes
+ * A page audited side by side with competitor pages (professional and agency plans)
+ *
+ * Routes:
+ * - POST /api/competitors/analyses - Queue a one-off comparison
+ * - GET /api/competitors/analyses - List analyses
+ * - GET /api/competitors/analyses/:id - Status, comparison matrix and content gaps
+ * - POST /api/competitors/sets - Save a project page and its competitors
+ * - GET /api/competitors/sets - List saved sets
+ * - GET /api/competitors/sets/:id - Set with recent analyses and the latest result
+ * - PATCH /api/competitors/sets/:id - Rename a set or change its URLs
+ * - DELETE /api/competitors/sets/:id - Delete a set
+ * - POST /api/competitors/sets/:id/run - Queue a new analysis of a saved set
+ *
+ * Analyses are run by the audit worker; queueing one requires remaining monthly audit quota.
+ *
+ * Sets and analyses are shared within a workspace (X-Organization-Id, see
+ * middleware/workspace): every member can read them, editors can create, change and run them,
+ * admins can delete sets. The organization owner's plan must include competitor_analysis.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { RATE_LIMIT_BUCKETS, rateLimitByUser } from '../middleware/rateLimit.js';
+import { requireFeature, checkQuota } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
+import * as competitorsController from '../controllers/competitors.js';
+
+const router = express.Router();
+
+// All competitor routes require authentication and the competitor_analysis feature, and work
+// in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser(), requireFeature('competitor_analysis'));
+
+/**
+ * POST /api/competitors/analyses
+ * Queue a comparison (202 with the analysis ID)
+ * Body: { url?: string, competitor_urls: string[], project_id?: string }
+ *
+ * Competitor URLs per analysis:
+ * - Professional: 5
+ * - Agency: 10
+ */
+router.post(
+  '/analyses',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('audits'),
+  competitorsController.createAnalysis
+);
+
+/**
+ * GET /api/competitors/analyses
+ * Query params: ?project_id=<uuid>&set_id=<uuid>&page=1&limit=10
+ */
+router.get('/analyses', competitorsController.listAnalyses);
+
+/**
+ * GET /api/competitors/analyses/:id
+ */
+router.get('/analyses/:id', competitorsController.getAnalysis);
+
+/**
+ * POST /api/competitors/sets
+ * Body: { project_id: string, name: string, url?: string, competitor_urls: string[] }
+ */
+router.post(
+  '/sets',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  competitorsController.createSet
+);
+
+/**
+ * GET /api/competitors/sets
+ * Query params: ?project_id=<uuid>
+ */
+router.get('/sets', competitorsController.listSets);
+
+/**
+ * GET /api/competitors/sets/:id
+ */
+router.get('/sets/:id', competitorsController.getSet);
+
+/**
+ * PATCH /api/competitors/sets/:id
+ * Body: { name?: string, url?: string, competitor_urls?: string[] }
+ */
+router.patch(
+  '/sets/:id',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  competitorsController.updateSet
+);
+
+/**
+ * DELETE /api/competitors/sets/:id
+ */
+router.delete(
+  '/sets/:id',
+  requirePermission(PERMISSIONS.RESOURCES_DELETE),
+  competitorsController.deleteSet
+);
+
+/**
+ * POST /api/competitors/sets/:id/run
+ * Queue a new analysis of the set (202 with the analysis ID)
+ */
+router.post(
+  '/sets/:id/run',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('audits'),
+  competitorsController.runSet
+);
+
+export default router;
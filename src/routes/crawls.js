@@ -0,0 +1,83 @@
+/**
+ * Site Crawl Routes
+ * Multi-page crawls of a project's site with a site-level report
+ *
+ * Routes:
+ * - POST /api/crawls - Queue a crawl for a project
+ * - GET /api/crawls - List crawls (optionally for one project)
+ * - GET /api/crawls/:id - Get crawl status, site report and pages
+ * - POST /api/crawls/:id/rerun - Crawl the same project/seed URL again
+ * - POST /api/crawls/:id/cancel - Cancel a queued/running crawl
+ *
+ * Crawls are shared within a workspace (X-Organization-Id, see middleware/workspace):
+ * every member can read them, editors can start and cancel them.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { RATE_LIMIT_BUCKETS, rateLimitByUser } from '../middleware/rateLimit.js';
+import { checkQuota } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
+import * as crawlsController from '../controllers/crawls.js';
+
+const router = express.Router();
+
+// All crawl routes require authentication and work in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser());
+
+/**
+ * POST /api/crawls
+ * Queue a site crawl (202 with the crawl ID)
+ * Body: { project_id: string, url?: string, max_pages?: number }
+ *
+ * Crawls per month (the crawls quota): Starter 2, Professional 20, Agency unlimited
+ *
+ * Page cap per crawl:
+ * - Starter: 25 pages
+ * - Professional: 250 pages
+ * - Agency: 1000 pages
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('crawls'),
+  crawlsController.createCrawl
+);
+
+/**
+ * GET /api/crawls
+ * Query params: ?project_id=<uuid>&page=1&limit=10
+ */
+router.get('/', crawlsController.listCrawls);
+
+/**
+ * GET /api/crawls/:id
+ * Crawl status, site report, comparison with the previous crawl, and pages
+ */
+router.get('/:id', crawlsController.getCrawl);
+
+/**
+ * POST /api/crawls/:id/rerun
+ * Re-run a crawl so it can be compared with the previous one
+ */
+router.post(
+  '/:id/rerun',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('crawls'),
+  crawlsController.rerunCrawl
+);
+
+/**
+ * POST /api/crawls/:id/cancel
+ * Cancel a queued or running crawl
+ */
+router.post(
+  '/:id/cancel',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  crawlsController.cancelCrawl
+);
+
+export default router;
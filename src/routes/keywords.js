@@ -1,11 +1,17 @@
 /**
  * Keyword Research Routes
  * Endpoints for keyword analysis and research
+ *
+ * Research is shared within a workspace (X-Organization-Id, see middleware/workspace):
+ * every member can read it and editors can run it.
  */
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { RATE_LIMIT_BUCKETS, rateLimitByUser } from '../middleware/rateLimit.js';
 import { checkQuota } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
 import * as keywordsController from '../controllers/keywords.js';
 
 const router = express.Router();
@@ -15,18 +21,39 @@ const router = express.Router();
  * Research keywords for a topic/seed keyword
  * Rate limited by subscription tier
  */
-router.post('/research', requireAuth, checkQuota('keywords'), keywordsController.researchKeywords);
+router.post(
+  '/research',
+  requireAuth,
+  resolveWorkspace,
+  rateLimitByUser(),
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  checkQuota('keywords'),
+  keywordsController.researchKeywords
+);
 
 /**
  * GET /api/keywords/:audit_id
  * Get keywords for a specific audit
  */
-router.get('/:audit_id', requireAuth, keywordsController.getKeywordsByAudit);
+router.get(
+  '/:audit_id',
+  requireAuth,
+  resolveWorkspace,
+  rateLimitByUser(),
+  keywordsController.getKeywordsByAudit
+);
 
 /**
  * GET /api/keywords/:audit_id/opportunities
  * Get highest opportunity keywords for an audit
  */
-router.get('/:audit_id/opportunities', requireAuth, keywordsController.getTopOpportunities);
+router.get(
+  '/:audit_id/opportunities',
+  requireAuth,
+  resolveWorkspace,
+  rateLimitByUser(),
+  keywordsController.getTopOpportunities
+);
 
 export default router;
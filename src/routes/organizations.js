@@ -0,0 +1,102 @@
+/**
+ * Organization Routes
+ * Team workspaces with roles and email invitations (agency plan, team_collaboration)
+ *
+ * Routes:
+ * - POST /api/organizations - Create an organization (the caller becomes its owner)
+ * - GET /api/organizations - Organizations the caller belongs to
+ * - GET /api/organizations/invitations/:token - Invitation behind an emailed link
+ * - POST /api/organizations/invitations/:token/accept - Join with the invited role
+ * - POST /api/organizations/invitations/:token/decline - Decline the invitation
+ * - GET /api/organizations/:id - Organization, members and (for admins) open invitations
+ * - PATCH /api/organizations/:id - Rename (owner)
+ * - DELETE /api/organizations/:id - Delete with all shared resources (owner)
+ * - POST /api/organizations/:id/invitations - Invite by email (owner, admin)
+ * - DELETE /api/organizations/:id/invitations/:invitationId - Revoke an invitation
+ * - PATCH /api/organizations/:id/members/:userId - Change a member's role
+ * - DELETE /api/organizations/:id/members/:userId - Remove a member, or leave
+ *
+ * Roles: owner (everything), admin (resources and members), editor (create and change
+ * resources), viewer (read only). Members only manage roles below their own. Shared
+ * resources are used by sending X-Organization-Id to the projects, audits and keywords
+ * routes. Managing members stays available after the owner's downgrade so the team can
+ * be wound down; inviting and joining need the owner's plan to include team_collaboration.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
+import { requireFeature } from '../middleware/subscription.js';
+import * as organizationsController from '../controllers/organizations.js';
+
+const router = express.Router();
+
+// All organization routes require authentication
+router.use(requireAuth, rateLimitByUser());
+
+/**
+ * POST /api/organizations
+ * Body: { name: string }
+ */
+router.post('/', requireFeature('team_collaboration'), organizationsController.createOrganization);
+
+/**
+ * GET /api/organizations
+ */
+router.get('/', organizationsController.listOrganizations);
+
+/**
+ * GET /api/organizations/invitations/:token
+ */
+router.get('/invitations/:token', organizationsController.getInvitation);
+
+/**
+ * POST /api/organizations/invitations/:token/accept
+ * Only the invited email address can accept
+ */
+router.post('/invitations/:token/accept', organizationsController.acceptInvitation);
+
+/**
+ * POST /api/organizations/invitations/:token/decline
+ */
+router.post('/invitations/:token/decline', organizationsController.declineInvitation);
+
+/**
+ * GET /api/organizations/:id
+ */
+router.get('/:id', organizationsController.getOrganization);
+
+/**
+ * PATCH /api/organizations/:id
+ * Body: { name: string }
+ */
+router.patch('/:id', organizationsController.updateOrganization);
+
+/**
+ * DELETE /api/organizations/:id
+ */
+router.delete('/:id', organizationsController.deleteOrganization);
+
+/**
+ * POST /api/organizations/:id/invitations
+ * Body: { email: string, role: 'admin' | 'editor' | 'viewer' }
+ */
+router.post('/:id/invitations', organizationsController.createInvitation);
+
+/**
+ * DELETE /api/organizations/:id/invitations/:invitationId
+ */
+router.delete('/:id/invitations/:invitationId', organizationsController.revokeInvitation);
+
+/**
+ * PATCH /api/organizations/:id/members/:userId
+ * Body: { role: 'admin' | 'editor' | 'viewer' }
+ */
+router.patch('/:id/members/:userId', organizationsController.updateMember);
+
+/**
+ * DELETE /api/organizations/:id/members/:userId
+ */
+router.delete('/:id/members/:userId', organizationsController.removeMember);
+
+export default router;
@@ -0,0 +1,94 @@
+/**
+ * Project Routes
+ * SEO projects with project-scoped audits, keyword research and an overview
+ *
+ * Routes:
+ * - POST /api/projects - Create a project
+ * - GET /api/projects - List projects
+ * - GET /api/projects/:id - Get a project
+ * - PATCH /api/projects/:id - Update name, website URL, target keywords or archive
+ * - DELETE /api/projects/:id - Delete a project (its audits are kept)
+ * - GET /api/projects/:id/overview - Latest component scores, tracked keywords, activity
+ * - GET /api/projects/:id/audits - Audits assigned to the project
+ * - GET /api/projects/:id/keywords - Keyword research assigned to the project
+ *
+ * Audits and keyword research are assigned with `project_id` on POST /api/audits and
+ * POST /api/keywords/research.
+ *
+ * Projects are shared within a workspace (X-Organization-Id, see middleware/workspace):
+ * every member can read them, editors can create and change them, admins can delete them.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
+import { checkQuota } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
+import * as projectsController from '../controllers/projects.js';
+
+const router = express.Router();
+
+// All project routes require authentication and work in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser());
+
+/**
+ * POST /api/projects
+ * Body: { name: string, website_url?: string, target_keywords?: string[] }
+ * Checked against the tier's `max_projects` quota (unlimited when not set)
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  checkQuota('projects'),
+  projectsController.createProject
+);
+
+/**
+ * GET /api/projects
+ * Query params: ?active=true|false
+ */
+router.get('/', projectsController.listProjects);
+
+/**
+ * GET /api/projects/:id
+ */
+router.get('/:id', projectsController.getProject);
+
+/**
+ * PATCH /api/projects/:id
+ * Body: { name?, website_url?, target_keywords?, is_active? }
+ */
+router.patch(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  projectsController.updateProject
+);
+
+/**
+ * DELETE /api/projects/:id
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_DELETE),
+  projectsController.deleteProject
+);
+
+/**
+ * GET /api/projects/:id/overview
+ */
+router.get('/:id/overview', projectsController.getProjectOverview);
+
+/**
+ * GET /api/projects/:id/audits
+ * Query params: ?page=1&limit=10
+ */
+router.get('/:id/audits', projectsController.listProjectAudits);
+
+/**
+ * GET /api/projects/:id/keywords
+ * Query params: ?seed_keyword=<keyword>&limit=50
+ */
+router.get('/:id/keywords', projectsController.listProjectKeywords);
+
+export default router;
@@ -0,0 +1,75 @@
+/**
+ * Rank Tracking Routes
+ * Daily Google positions of tracked keywords (professional and agency plans)
+ *
+ * Routes:
+ * - POST /api/rankings - Track a keyword + URL + location + device combination
+ * - GET /api/rankings - List tracked keywords with latest positions
+ * - GET /api/rankings/:id - Position history, movement and SERP feature ownership
+ * - PATCH /api/rankings/:id - Pause or resume tracking
+ * - DELETE /api/rankings/:id - Stop tracking and delete the history
+ *
+ * Positions are recorded by scripts/process-rank-tracking.js.
+ *
+ * Tracked keywords are shared within a workspace (X-Organization-Id, see
+ * middleware/workspace): every member can read them, editors can add and pause them, admins
+ * can delete them. The organization owner's plan must include rank_tracking.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
+import { requireFeature } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
+import * as rankingsController from '../controllers/rankings.js';
+
+const router = express.Router();
+
+// All rank tracking routes require authentication and the rank_tracking feature, and work
+// in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser(), requireFeature('rank_tracking'));
+
+/**
+ * POST /api/rankings
+ * Body: { keyword: string, url?: string, project_id?: string, location?: 'US' | 'UK' | ...,
+ *   device?: 'desktop' | 'mobile', language?: string }
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rankingsController.createTrackedKeyword
+);
+
+/**
+ * GET /api/rankings
+ * Query params: ?project_id=<uuid>
+ */
+router.get('/', rankingsController.listTrackedKeywords);
+
+/**
+ * GET /api/rankings/:id
+ * Query params: ?days=30 (max 365)
+ */
+router.get('/:id', rankingsController.getTrackedKeyword);
+
+/**
+ * PATCH /api/rankings/:id
+ * Body: { enabled: boolean }
+ */
+router.patch(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rankingsController.updateTrackedKeyword
+);
+
+/**
+ * DELETE /api/rankings/:id
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_DELETE),
+  rankingsController.deleteTrackedKeyword
+);
+
+export default router;
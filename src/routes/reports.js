@@ -1,30 +1,53 @@
 /**
  * Report Routes
  * Endpoints for generating and exporting reports
+ *
+ * Reports are shared within a workspace (X-Organization-Id, see middleware/workspace): every
+ * member can list and download them, editors can generate them from the workspace's audits.
+ * The organization owner's plan must include pdf_reports for PDFs.
  */
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { RATE_LIMIT_BUCKETS, rateLimitByUser } from '../middleware/rateLimit.js';
+import { requireFeature } from '../middleware/subscription.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
 import * as reportsController from '../controllers/reports.js';
 
 const router = express.Router();
 
+// All report routes require authentication and work in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser());
+
 /**
  * POST /api/reports/pdf
  * Generate PDF report for an audit
  */
-router.post('/pdf', requireAuth, reportsController.generatePDF);
+router.post(
+  '/pdf',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  rateLimitByUser(RATE_LIMIT_BUCKETS.EXPENSIVE),
+  requireFeature('pdf_reports'),
+  reportsController.generatePDF
+);
 
 /**
  * POST /api/reports/csv
  * Generate CSV export of audit data
  */
-router.post('/csv', requireAuth, reportsController.generateCSV);
+router.post('/csv', requirePermission(PERMISSIONS.RESOURCES_WRITE), reportsController.generateCSV);
 
 /**
  * GET /api/reports/history
- * Get user's report generation history
+ * Get the workspace's report generation history
+ */
+router.get('/history', reportsController.getReportHistory);
+
+/**
+ * GET /api/reports/:id/download
+ * Download a generated report (workspace members, until it expires)
  */
-router.get('/history', requireAuth, reportsController.getReportHistory);
+router.get('/:id/download', reportsController.downloadReport);
 
 export default router;
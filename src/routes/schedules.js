@@ -0,0 +1,72 @@
+/**
+ * Audit Schedule Routes
+ * Recurring audits with score-regression alerts
+ *
+ * Routes:
+ * - POST /api/schedules - Schedule daily/weekly/monthly audits of a URL or project
+ * - GET /api/schedules - List schedules (optionally for one project)
+ * - GET /api/schedules/:id - Get a schedule with its recent alerts
+ * - PATCH /api/schedules/:id - Change frequency/threshold or pause/resume
+ * - DELETE /api/schedules/:id - Delete a schedule
+ *
+ * Scheduled runs count against the monthly audit quota when they are queued.
+ *
+ * Schedules are shared within a workspace (X-Organization-Id, see middleware/workspace):
+ * every member can read them, editors can create and change them, admins can delete them.
+ */
+
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
+import { requirePermission, resolveWorkspace } from '../middleware/workspace.js';
+import { PERMISSIONS } from '../services/organizations/workspace.js';
+import * as schedulesController from '../controllers/schedules.js';
+
+const router = express.Router();
+
+// All schedule routes require authentication and work in the request's workspace
+router.use(requireAuth, resolveWorkspace, rateLimitByUser());
+
+/**
+ * POST /api/schedules
+ * Body: { url?: string, project_id?: string, frequency: 'daily' | 'weekly' | 'monthly',
+ *   score_drop_threshold?: number (points, default 5) }
+ */
+router.post(
+  '/',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  schedulesController.createSchedule
+);
+
+/**
+ * GET /api/schedules
+ * Query params: ?project_id=<uuid>
+ */
+router.get('/', schedulesController.listSchedules);
+
+/**
+ * GET /api/schedules/:id
+ * Schedule with its 20 most recent regression alerts
+ */
+router.get('/:id', schedulesController.getSchedule);
+
+/**
+ * PATCH /api/schedules/:id
+ * Body: { frequency?, score_drop_threshold?, enabled? }
+ */
+router.patch(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_WRITE),
+  schedulesController.updateSchedule
+);
+
+/**
+ * DELETE /api/schedules/:id
+ */
+router.delete(
+  '/:id',
+  requirePermission(PERMISSIONS.RESOURCES_DELETE),
+  schedulesController.deleteSchedule
+);
+
+export default router;
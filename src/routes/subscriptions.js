@@ -12,6 +12,7 @@
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
 import {
   getQuotaInfo,
   getUserFeatures,
@@ -20,13 +21,22 @@ import {
   TIER_FEATURES,
 } from '../middleware/subscription.js';
 import { createClient } from '../config/supabase.js';
+import { effectiveTier } from '../config/tiers.js';
+import subscriptionManager from '../services/subscriptionManager.js';
+import { gracePeriodState } from '../services/admin/userAdmin.js';
 
 const router = express.Router();
 
+// Signed in requests skip rateLimitByIp, so they are limited per user here
+const userRateLimit = rateLimitByUser();
+
 /**
  * GET /api/subscriptions/me
  * Get current user's subscription information
  *
+ * The grace period fields drive the dashboard's past-due banner: in_grace_period and
+ * days_remaining are only set while a past_due subscription still has access.
+ *
  * Response:
  * {
  *   "success": true,
@@ -34,18 +44,25 @@ const router = express.Router();
  *     "tier": "professional",
  *     "status": "active",
  *     "stripe_customer_id": "cus_...",
- *     "created_at": "2025-01-01T00:00:00.000Z"
+ *     "created_at": "2025-01-01T00:00:00.000Z",
+ *     "payment_failed_at": null,
+ *     "in_grace_period": false,
+ *     "days_remaining": 0,
+ *     "grace_period_ends_at": null
  *   }
  * }
  */
-router.get('/me', requireAuth, async (req, res) => {
+router.get('/me', requireAuth, userRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const supabase = createClient({ admin: true });
 
     const { data: user, error } = await supabase
       .from('users')
-      .select('subscription_tier, subscription_status, stripe_customer_id, created_at')
+      .select(
+        'subscription_tier, tier_override, subscription_status, stripe_customer_id, ' +
+          'payment_failed_at, created_at'
+      )
       .eq('id', userId)
       .single();
 
@@ -59,13 +76,23 @@ router.get('/me', requireAuth, async (req, res) => {
       });
     }
 
+    const status = user.subscription_status || 'active';
+    const grace =
+      status === subscriptionManager.SUBSCRIPTION_STATUS.PAST_DUE && user.payment_failed_at
+        ? gracePeriodState(user.payment_failed_at, subscriptionManager.GRACE_PERIOD.DAYS)
+        : null;
+
     return res.json({
       success: true,
       data: {
-        tier: user.subscription_tier || 'starter',
-        status: user.subscription_status || 'active',
+        tier: effectiveTier(user),
+        status,
         stripe_customer_id: user.stripe_customer_id,
         created_at: user.created_at,
+        payment_failed_at: user.payment_failed_at,
+        in_grace_period: grace?.inGracePeriod || false,
+        days_remaining: grace?.daysRemaining || 0,
+        grace_period_ends_at: grace?.gracePeriodEndsAt || null,
       },
     });
   } catch (error) {
@@ -97,7 +124,7 @@ router.get('/me', requireAuth, async (req, res) => {
  *   }
  * }
  */
-router.get('/quotas', requireAuth, async (req, res) => {
+router.get('/quotas', requireAuth, userRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const quotaInfo = await getQuotaInfo(userId);
@@ -136,7 +163,7 @@ router.get('/quotas', requireAuth, async (req, res) => {
  *   }
  * }
  */
-router.get('/features', requireAuth, async (req, res) => {
+router.get('/features', requireAuth, userRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const features = await getUserFeatures(userId);
@@ -144,14 +171,14 @@ router.get('/features', requireAuth, async (req, res) => {
     const supabase = createClient({ admin: true });
     const { data: user } = await supabase
       .from('users')
-      .select('subscription_tier')
+      .select('subscription_tier, tier_override')
       .eq('id', userId)
       .single();
 
     return res.json({
       success: true,
       data: {
-        tier: user?.subscription_tier || 'starter',
+        tier: effectiveTier(user),
         features,
       },
     });
@@ -180,7 +207,7 @@ router.get('/features', requireAuth, async (req, res) => {
  *   }
  * }
  */
-router.get('/features/:featureName', requireAuth, async (req, res) => {
+router.get('/features/:featureName', requireAuth, userRateLimit, async (req, res) => {
   try {
     const userId = req.user.id;
     const { featureName } = req.params;
@@ -11,12 +11,13 @@
 
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
+import { rateLimitByUser } from '../middleware/rateLimit.js';
 import * as usersController from '../controllers/users.js';
 
 const router = express.Router();
 
 // All user routes require authentication
-router.use(requireAuth);
+router.use(requireAuth, rateLimitByUser());
 
 /**
  * GET /api/user
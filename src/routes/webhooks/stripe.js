@@ -11,81 +11,103 @@
  * @module routes/webhooks/stripe
  */
 
-import Stripe from 'stripe';
+import { createClient } from '../../config/supabase.js';
 import stripeService from '../../services/stripe/stripeService.js';
 import subscriptionManager from '../../services/subscriptionManager.js';
-
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: '2024-11-20.acacia',
-});
-
-// Webhook signature verification
-const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
+import { constructWebhookEvent, processWebhookEvent } from '../../services/stripe/webhookEvents.js';
+import { DUNNING_STATE } from '../../services/stripe/dunning.js';
 
 /**
  * Stripe webhook endpoint
  * POST /api/webhooks/stripe
+ *
+ * Must be mounted with express.raw({ type: 'application/json' }) ahead of express.json(),
+ * since the signature is computed over the exact bytes Stripe sent.
+ *
+ * Responses:
+ * - 200: processed, or already processed by an earlier delivery
+ * - 400: missing or invalid signature
+ * - 409: another delivery of the event is still being processed (Stripe retries later)
+ * - 500: the handler failed; the event is kept for Stripe's retries and admin replay
  */
 export async function handleStripeWebhook(req, res) {
   const sig = req.headers['stripe-signature'];
   let event;
 
   try {
-    // Validate webhook secret is configured
-    if (!endpointSecret) {
-      throw new Error(
-        'STRIPE_WEBHOOK_SECRET is not configured. Please set this environment variable.'
-      );
-    }
-
     // Verify webhook signature
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    event = constructWebhookEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).json({ error: `Webhook Error: ${err.message}` });
   }
 
-  console.log(`Received Stripe webhook: ${event.type}`);
+  console.log(`Received Stripe webhook: ${event.type} (${event.id})`);
 
   try {
-    // Handle different event types
-    switch (event.type) {
-      case 'customer.subscription.created':
-        await handleSubscriptionCreated(event.data.object);
-        break;
-
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdated(event.data.object);
-        break;
+    const supabase = req.supabase || createClient({ admin: true });
+    const { outcome, error } = await processWebhookEvent(supabase, event, dispatchStripeEvent);
 
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(event.data.object);
-        break;
+    switch (outcome) {
+      case 'duplicate':
+        console.log(`Stripe event ${event.id} already processed, skipping`);
+        return res.json({ received: true, duplicate: true });
 
-      case 'invoice.payment_succeeded':
-        await handlePaymentSucceeded(event.data.object);
-        break;
+      case 'in_progress':
+        return res.status(409).json({ error: 'Event is already being processed' });
 
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-
-      case 'customer.subscription.trial_will_end':
-        await handleTrialWillEnd(event.data.object);
-        break;
+      case 'failed':
+        console.error(`Error processing webhook ${event.id}:`, error);
+        return res.status(500).json({ error: 'Webhook processing failed' });
 
       default:
-        console.log(`Unhandled event type: ${event.type}`);
+        // Return 200 to acknowledge receipt
+        return res.json({ received: true });
     }
-
-    // Return 200 to acknowledge receipt
-    res.json({ received: true });
   } catch (error) {
-    console.error('Error processing webhook:', error);
+    console.error('Error recording webhook:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 }
 
+/**
+ * Run the handler for a Stripe event
+ *
+ * Used for live deliveries and for admin replays of failed events.
+ *
+ * @param {Object} event - Verified Stripe event
+ */
+export async function dispatchStripeEvent(event) {
+  switch (event.type) {
+    case 'customer.subscription.created':
+      await handleSubscriptionCreated(event.data.object);
+      break;
+
+    case 'customer.subscription.updated':
+      await handleSubscriptionUpdated(event.data.object);
+      break;
+
+    case 'customer.subscription.deleted':
+      await handleSubscriptionDeleted(event.data.object);
+      break;
+
+    case 'invoice.payment_succeeded':
+      await handlePaymentSucceeded(event.data.object);
+      break;
+
+    case 'invoice.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+
+    case 'customer.subscription.trial_will_end':
+      await handleTrialWillEnd(event.data.object);
+      break;
+
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
+
 /**
  * Handle subscription created event
  */
@@ -143,6 +165,11 @@ async function handleSubscriptionDeleted(subscription) {
   try {
     await stripeService.handleSubscriptionDeleted(subscription);
 
+    const userId = subscription.metadata?.supabase_user_id;
+    if (userId) {
+      await subscriptionManager.exitDunningSequence(userId, DUNNING_STATE.CANCELED);
+    }
+
     // TODO: Send final goodbye email with data export option
     // TODO: Archive user data (keep for 90 days per policy)
 
@@ -164,17 +191,29 @@ async function handlePaymentSucceeded(invoice) {
     const subscriptionId = invoice.subscription;
 
     if (subscriptionId) {
-      // Retrieve and sync subscription
       const subscription = await stripeService.getSubscription(subscriptionId);
-      await stripeService.syncSubscriptionToDatabase(subscription);
 
       // Get user ID from subscription metadata
       const userId = subscription.metadata?.supabase_user_id;
 
-      // Reactivate subscription if it was in past_due status
-      if (userId && subscription.status === 'active') {
-        await subscriptionManager.reactivateSubscription(userId);
-        console.log(`Subscription reactivated after successful payment for user: ${userId}`);
+      // Read the status before the sync overwrites it with Stripe's
+      const previous = userId ? await subscriptionManager.checkSubscriptionStatus(userId) : null;
+
+      await stripeService.syncSubscriptionToDatabase(subscription);
+
+      if (userId) {
+        // The invoice is paid: end the dunning sequence, then reactivate if this payment
+        // recovered the account (also when it was suspended and Stripe has yet to move the
+        // subscription back to active). Ordinary renewals leave the user row alone.
+        const sequence = await subscriptionManager.exitDunningSequence(
+          userId,
+          DUNNING_STATE.RECOVERED
+        );
+
+        if (sequence || previous.needsAction) {
+          await subscriptionManager.reactivateSubscription(userId);
+          console.log(`Subscription reactivated after successful payment for user: ${userId}`);
+        }
       }
 
       // TODO: Send payment receipt email
@@ -229,7 +268,20 @@ async function handleTrialWillEnd(subscription) {
   console.log('Processing subscription.trial_will_end:', subscription.id);
 
   try {
-    // TODO: Send trial ending reminder email
+    const userId = subscription.metadata?.supabase_user_id;
+    if (!userId) {
+      console.error('No user ID found in subscription metadata for:', subscription.id);
+      return;
+    }
+
+    try {
+      await subscriptionManager.sendTrialEndingEmail(userId, subscription);
+    } catch (emailError) {
+      // A missed reminder should not make Stripe redeliver the event
+      console.error('Failed to queue trial ending reminder:', emailError.message);
+      return;
+    }
+
     // TODO: Offer upgrade incentive (20% off first month)
     // TODO: Highlight value received during trial
 
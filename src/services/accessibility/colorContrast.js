@@ -0,0 +1,284 @@
+/**
+ * Color Contrast
+ *
+ * WCAG 2.x contrast math for text colors:
+ * - Parses CSS colors (hex, rgb()/rgba(), a set of named colors)
+ * - Relative luminance and contrast ratio (WCAG 2.2, 1.4.3 / 1.4.6)
+ * - Large-text detection (24px, or 18.66px bold)
+ * - Reads color, background and font from inline style attributes
+ *
+ * @module services/accessibility/colorContrast
+ */
+
+const NAMED_COLORS = {
+  black: [0, 0, 0],
+  white: [255, 255, 255],
+  gray: [128, 128, 128],
+  grey: [128, 128, 128],
+  silver: [192, 192, 192],
+  darkgray: [169, 169, 169],
+  darkgrey: [169, 169, 169],
+  lightgray: [211, 211, 211],
+  lightgrey: [211, 211, 211],
+  gainsboro: [220, 220, 220],
+  whitesmoke: [245, 245, 245],
+  red: [255, 0, 0],
+  maroon: [128, 0, 0],
+  orange: [255, 165, 0],
+  yellow: [255, 255, 0],
+  olive: [128, 128, 0],
+  lime: [0, 255, 0],
+  green: [0, 128, 0],
+  teal: [0, 128, 128],
+  aqua: [0, 255, 255],
+  cyan: [0, 255, 255],
+  blue: [0, 0, 255],
+  navy: [0, 0, 128],
+  purple: [128, 0, 128],
+  fuchsia: [255, 0, 255],
+  magenta: [255, 0, 255],
+  pink: [255, 192, 203],
+};
+
+/**
+ * Minimum contrast ratios per level
+ */
+export const CONTRAST_THRESHOLDS = {
+  AA: { normal: 4.5, large: 3 },
+  AAA: { normal: 7, large: 4.5 },
+};
+
+/**
+ * Parse a CSS color
+ * @param {string} value - e.g. '#777', '#336699cc', 'rgb(0 0 0 / 50%)', 'white', 'transparent'
+ * @returns {Object|null} { r, g, b, a } (0-255, alpha 0-1) or null if not understood
+ */
+export function parseColor(value) {
+  const color = value?.trim().toLowerCase();
+  if (!color) {
+    return null;
+  }
+  if (color === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+  if (NAMED_COLORS[color]) {
+    const [r, g, b] = NAMED_COLORS[color];
+    return { r, g, b, a: 1 };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = [...digits].map((digit) => digit + digit).join('');
+    }
+    const channel = (index) => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+    return {
+      r: channel(0),
+      g: channel(1),
+      b: channel(2),
+      a: digits.length === 8 ? Math.round((channel(3) / 255) * 1000) / 1000 : 1,
+    };
+  }
+
+  const functional = color.match(/^rgba?\(([^)]+)\)$/);
+  if (functional) {
+    const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+    if (parts.length < 3) {
+      return null;
+    }
+    const channel = (part) =>
+      part.endsWith('%') ? (parseFloat(part) / 100) * 255 : parseFloat(part);
+    const alphaPart = parts[3] ?? '1';
+    const alpha = alphaPart.endsWith('%') ? parseFloat(alphaPart) / 100 : parseFloat(alphaPart);
+    const [r, g, b] = parts.slice(0, 3).map(channel);
+    if ([r, g, b, alpha].some(Number.isNaN)) {
+      return null;
+    }
+    return { r, g, b, a: Math.min(1, Math.max(0, alpha)) };
+  }
+
+  return null;
+}
+
+/**
+ * Composite a translucent color over an opaque one
+ * @param {Object} top - { r, g, b, a }
+ * @param {Object} bottom - Opaque { r, g, b }
+ * @returns {Object} Opaque { r, g, b, a: 1 }
+ */
+export function blend(top, bottom) {
+  const mix = (front, back) => front * top.a + back * (1 - top.a);
+  return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a: 1 };
+}
+
+/**
+ * WCAG relative luminance
+ * @param {Object} color - { r, g, b } (0-255)
+ * @returns {number} 0 (black) to 1 (white)
+ */
+export function relativeLuminance({ r, g, b }) {
+  const linear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.04045 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * Contrast ratio between text and its background
+ * @param {Object} foreground - Text color (translucent colors are blended over the background)
+ * @param {Object} background - Opaque background color
+ * @returns {number} 1 to 21, rounded to 2 decimals
+ */
+export function contrastRatio(foreground, background) {
+  const text = foreground.a < 1 ? blend(foreground, background) : foreground;
+  const [lighter, darker] = [relativeLuminance(text), relativeLuminance(background)].sort(
+    (a, b) => b - a
+  );
+  return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+}
+
+/**
+ * Whether text counts as large (WCAG: 18pt, or 14pt bold)
+ * @param {number} fontSizePx - Font size in CSS pixels
+ * @param {number|string} fontWeight - CSS font weight
+ * @returns {boolean}
+ */
+export function isLargeText(fontSizePx, fontWeight) {
+  const bold = fontWeight === 'bold' || fontWeight === 'bolder' || Number(fontWeight) >= 700;
+  return fontSizePx >= 24 || (bold && fontSizePx >= 18.66);
+}
+
+/**
+ * Parse an inline style attribute into declarations
+ * @param {string} style - e.g. 'color: #777; background: #fff'
+ * @returns {Object} Property (lowercase) -> value, without !important
+ */
+export function parseInlineStyle(style) {
+  const declarations = {};
+  for (const part of (style || '').split(';')) {
+    const separator = part.indexOf(':');
+    if (separator > 0) {
+      const property = part.slice(0, separator).trim().toLowerCase();
+      declarations[property] = part
+        .slice(separator + 1)
+        .replace(/!important/i, '')
+        .trim();
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Background color of an inline style; null when the background is an image, gradient or
+ * custom property, whose colors cannot be known from markup
+ */
+function inlineBackground(declarations) {
+  const background = declarations['background-color'] ?? declarations.background;
+  if (background === undefined) {
+    return undefined;
+  }
+  if (
+    /url\(|gradient\(|var\(/i.test(background) ||
+    /url\(|gradient\(/i.test(declarations.background || '')
+  ) {
+    return null;
+  }
+  // background shorthand: the color is the token that parses
+  for (const token of background.split(/\s+(?![^(]*\))/)) {
+    const color = parseColor(token);
+    if (color) {
+      return color;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Font size from an inline style in px (px, pt and rem/em relative to 16px)
+ */
+function inlineFontSize(value) {
+  const match = value?.match(/^([\d.]+)(px|pt|r?em)$/i);
+  if (!match) {
+    return undefined;
+  }
+  const size = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (unit === 'pt') {
+    return (size * 4) / 3;
+  }
+  return unit === 'px' ? size : size * 16;
+}
+
+/**
+ * Resolve text color, background and font of an element from inline styles on it and its
+ * ancestors
+ * @param {Object} element - htmlparser2 element
+ * @returns {Object|null} { color, background, fontSizePx, fontWeight } or null unless both the
+ *   text color and an opaque background are set inline
+ */
+export function resolveInlineColors(element) {
+  let color;
+  let fontSizePx;
+  let fontWeight;
+  const backgrounds = [];
+
+  for (let node = element; node && node.attribs; node = node.parent) {
+    const declarations = parseInlineStyle(node.attribs.style);
+    if (color === undefined && declarations.color !== undefined) {
+      color = parseColor(declarations.color);
+      if (!color) {
+        return null;
+      }
+    }
+    fontSizePx ??= inlineFontSize(declarations['font-size']);
+    fontWeight ??= declarations['font-weight'];
+
+    const background = inlineBackground(declarations);
+    if (background === null) {
+      return null;
+    }
+    if (background && background.a > 0) {
+      backgrounds.push(background);
+      if (background.a === 1) {
+        break;
+      }
+    }
+  }
+
+  const opaque = backgrounds[backgrounds.length - 1];
+  if (!color || !opaque || opaque.a < 1) {
+    return null;
+  }
+
+  // Stack translucent backgrounds from the outermost inward
+  const background = backgrounds
+    .slice(0, -1)
+    .reduceRight((under, layer) => blend(layer, under), opaque);
+
+  return { color, background, fontSizePx: fontSizePx ?? 16, fontWeight: fontWeight ?? 400 };
+}
+
+/**
+ * Format a color as #rrggbb for findings
+ * @param {Object} color - { r, g, b }
+ * @returns {string}
+ */
+export function toHex({ r, g, b }) {
+  return `#${[r, g, b]
+    .map((channel) => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+export default {
+  parseColor,
+  blend,
+  relativeLuminance,
+  contrastRatio,
+  isLargeText,
+  parseInlineStyle,
+  resolveInlineColors,
+  toHex,
+  CONTRAST_THRESHOLDS,
+};
@@ -0,0 +1,881 @@
+/**
+ * WCAG Rule Engine
+ *
+ * Runs markup rules against a parsed page and scores them the way Lighthouse scores
+ * accessibility: every rule that applies to the page either passes or fails, and the score
+ * is the weight of passing rules over the weight of all applicable rules.
+ *
+ * Each rule maps to one WCAG 2.2 success criterion, so findings carry the criterion number,
+ * its name and its conformance level (A, AA, AAA). Color contrast uses computed colors from
+ * the headless-browser run when available and inline styles otherwise.
+ *
+ * @module services/accessibility/wcagRules
+ */
+
+import { DomUtils } from 'htmlparser2';
+import {
+  contrastRatio,
+  isLargeText,
+  parseColor,
+  resolveInlineColors,
+  toHex,
+  CONTRAST_THRESHOLDS,
+} from './colorContrast.js';
+
+/**
+ * Conformance levels, lowest first
+ */
+export const WCAG_LEVELS = ['A', 'AA', 'AAA'];
+
+/**
+ * Success criteria referenced by the rules
+ */
+export const WCAG_CRITERIA = {
+  '1.1.1': { name: 'Non-text Content', level: 'A' },
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '1.4.3': { name: 'Contrast (Minimum)', level: 'AA' },
+  '1.4.4': { name: 'Resize Text', level: 'AA' },
+  '1.4.6': { name: 'Contrast (Enhanced)', level: 'AAA' },
+  '2.4.1': { name: 'Bypass Blocks', level: 'A' },
+  '2.4.2': { name: 'Page Titled', level: 'A' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '2.4.6': { name: 'Headings and Labels', level: 'AA' },
+  '2.4.9': { name: 'Link Purpose (Link Only)', level: 'AAA' },
+  '3.1.1': { name: 'Language of Page', level: 'A' },
+  '3.1.2': { name: 'Language of Parts', level: 'AA' },
+  '4.1.1': { name: 'Parsing', level: 'A' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' },
+};
+
+// Findings list at most this many offending elements
+const MAX_TARGETS = 5;
+
+// WAI-ARIA 1.2 concrete roles (abstract roles are not allowed in markup)
+const ARIA_ROLES = new Set(
+  `alert alertdialog application article banner blockquote button caption cell checkbox code
+  columnheader combobox complementary contentinfo definition deletion dialog directory document
+  emphasis feed figure form generic grid gridcell group heading img insertion link list listbox
+  listitem log main marquee math menu menubar menuitem menuitemcheckbox menuitemradio meter
+  navigation none note option paragraph presentation progressbar radio radiogroup region row
+  rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong
+  subscript superscript switch tab table tablist tabpanel term textbox time timer toolbar tooltip
+  tree treegrid treeitem graphics-document graphics-object graphics-symbol`.split(/\s+/)
+);
+
+const TRUE_FALSE = ['true', 'false'];
+const TRUE_FALSE_UNDEFINED = ['true', 'false', 'undefined'];
+
+// WAI-ARIA 1.2 states and properties: allowed values, 'idref(s)', 'integer' or null (any string)
+const ARIA_ATTRIBUTES = {
+  'aria-activedescendant': 'idref',
+  'aria-atomic': TRUE_FALSE,
+  'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+  'aria-braillelabel': null,
+  'aria-brailleroledescription': null,
+  'aria-busy': TRUE_FALSE,
+  'aria-checked': ['true', 'false', 'mixed', 'undefined'],
+  'aria-colcount': 'integer',
+  'aria-colindex': 'integer',
+  'aria-colindextext': null,
+  'aria-colspan': 'integer',
+  'aria-controls': 'idrefs',
+  'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+  'aria-describedby': 'idrefs',
+  'aria-description': null,
+  'aria-details': 'idref',
+  'aria-disabled': TRUE_FALSE,
+  'aria-dropeffect': null,
+  'aria-errormessage': 'idref',
+  'aria-expanded': TRUE_FALSE_UNDEFINED,
+  'aria-flowto': 'idrefs',
+  'aria-grabbed': TRUE_FALSE_UNDEFINED,
+  'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+  'aria-hidden': TRUE_FALSE_UNDEFINED,
+  'aria-invalid': ['grammar', 'false', 'spelling', 'true'],
+  'aria-keyshortcuts': null,
+  'aria-label': null,
+  'aria-labelledby': 'idrefs',
+  'aria-level': 'integer',
+  'aria-live': ['assertive', 'off', 'polite'],
+  'aria-modal': TRUE_FALSE,
+  'aria-multiline': TRUE_FALSE,
+  'aria-multiselectable': TRUE_FALSE,
+  'aria-orientation': ['horizontal', 'vertical', 'undefined'],
+  'aria-owns': 'idrefs',
+  'aria-placeholder': null,
+  'aria-posinset': 'integer',
+  'aria-pressed': ['true', 'false', 'mixed', 'undefined'],
+  'aria-readonly': TRUE_FALSE,
+  'aria-relevant': null,
+  'aria-required': TRUE_FALSE,
+  'aria-roledescription': null,
+  'aria-rowcount': 'integer',
+  'aria-rowindex': 'integer',
+  'aria-rowindextext': null,
+  'aria-rowspan': 'integer',
+  'aria-selected': TRUE_FALSE_UNDEFINED,
+  'aria-setsize': 'integer',
+  'aria-sort': ['ascending', 'descending', 'none', 'other'],
+  'aria-valuemax': null,
+  'aria-valuemin': null,
+  'aria-valuenow': null,
+  'aria-valuetext': null,
+};
+
+// Link texts that say nothing about the destination
+const GENERIC_LINK_TEXT = new Set([
+  'click',
+  'click here',
+  'continue',
+  'details',
+  'go',
+  'here',
+  'learn more',
+  'link',
+  'more',
+  'more info',
+  'read more',
+  'this',
+  'this link',
+]);
+
+const LANDMARK_TAGS = new Set(['header', 'nav', 'main', 'footer', 'aside']);
+const LANDMARK_ROLES = new Set([
+  'banner',
+  'complementary',
+  'contentinfo',
+  'form',
+  'main',
+  'navigation',
+  'region',
+  'search',
+]);
+
+const LANG_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const HEADING_TAG = /^h[1-6]$/;
+
+/**
+ * Short CSS-like description of an element for findings
+ */
+function describeElement(element) {
+  const { attribs } = element;
+  let target = element.name;
+  if (attribs.id) {
+    target += `#${attribs.id}`;
+  } else if (attribs.class?.trim()) {
+    target += `.${attribs.class.trim().split(/\s+/)[0]}`;
+  }
+  const attribute = ['src', 'href', 'name', 'role'].find((name) => attribs[name]);
+  if (attribute) {
+    target += `[${attribute}="${attribs[attribute]}"]`;
+  }
+  return target.length > 80 ? `${target.slice(0, 77)}...` : target;
+}
+
+function isInside(element, ancestor) {
+  for (let node = element.parent; node; node = node.parent) {
+    if (node === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function roleTokens(element) {
+  return (element.attribs.role || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function isPresentational(element) {
+  const [role] = roleTokens(element);
+  return role === 'presentation' || role === 'none';
+}
+
+function isLandmark(element) {
+  if (LANDMARK_TAGS.has(element.name)) {
+    return true;
+  }
+  const [role] = roleTokens(element);
+  if (LANDMARK_ROLES.has(role)) {
+    return true;
+  }
+  // section and form are only landmarks when they have a name
+  return (
+    ['section', 'form'].includes(element.name) &&
+    Boolean(element.attribs['aria-label']?.trim() || element.attribs['aria-labelledby']?.trim())
+  );
+}
+
+/**
+ * Shared lookups for the rules
+ */
+function buildContext(doc, options) {
+  const byId = new Map();
+  const idCounts = new Map();
+  for (const element of doc.elements) {
+    const id = element.attribs.id;
+    if (id) {
+      idCounts.set(id, (idCounts.get(id) || 0) + 1);
+      if (!byId.has(id)) {
+        byId.set(id, element);
+      }
+    }
+  }
+
+  const isHidden = (element) => {
+    for (let node = element; node && node.attribs; node = node.parent) {
+      const style = (node.attribs.style || '').replace(/\s+/g, '').toLowerCase();
+      if (
+        'hidden' in node.attribs ||
+        node.attribs['aria-hidden'] === 'true' ||
+        style.includes('display:none') ||
+        style.includes('visibility:hidden')
+      ) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  // Accessible name, simplified from the W3C algorithm: aria-labelledby, aria-label,
+  // alt (images), rendered text, labelled descendants (icons), title
+  const nameOf = (element) => {
+    const labelledBy = element.attribs['aria-labelledby']
+      ?.split(/\s+/)
+      .map((id) => byId.get(id))
+      .filter(Boolean)
+      .map((target) => doc.textOf(target))
+      .join(' ')
+      .trim();
+    if (labelledBy) {
+      return labelledBy;
+    }
+    if (element.attribs['aria-label']?.trim()) {
+      return element.attribs['aria-label'].trim();
+    }
+    if (element.name === 'img') {
+      return element.attribs.alt?.trim() || '';
+    }
+    const text = doc.textOf(element);
+    if (text) {
+      return text;
+    }
+    const labelledChild = DomUtils.findOne(
+      (node) =>
+        Boolean(node.attribs['aria-label']?.trim()) ||
+        (node.name === 'title' && Boolean(DomUtils.textContent(node).trim())),
+      element.children
+    );
+    if (labelledChild) {
+      return (
+        labelledChild.attribs['aria-label']?.trim() || DomUtils.textContent(labelledChild).trim()
+      );
+    }
+    return element.attribs.title?.trim() || '';
+  };
+
+  return { doc, byId, idCounts, isHidden, nameOf, textColors: options.textColors ?? null };
+}
+
+/**
+ * Text samples for the contrast rules: computed colors from the lab run, or elements whose
+ * color and background are both set in inline styles
+ */
+function contrastSamples(context) {
+  context.samples ??= collectContrastSamples(context);
+  return context.samples;
+}
+
+function collectContrastSamples(context) {
+  if (Array.isArray(context.textColors)) {
+    return context.textColors
+      .map((sample) => ({
+        target: sample.target,
+        text: sample.text,
+        color: parseColor(sample.color),
+        background: parseColor(sample.background),
+        large: isLargeText(sample.font_size_px, sample.font_weight),
+      }))
+      .filter((sample) => sample.color && sample.background && sample.background.a === 1);
+  }
+
+  const hasOwnText = (element) =>
+    element.children.some((child) => child.type === 'text' && child.data.trim());
+
+  return context.doc.elements
+    .filter((element) => hasOwnText(element) && !context.isHidden(element))
+    .map((element) => ({ element, colors: resolveInlineColors(element) }))
+    .filter(({ colors }) => colors)
+    .map(({ element, colors }) => ({
+      target: describeElement(element),
+      text: context.doc.textOf(element).slice(0, 40),
+      color: colors.color,
+      background: colors.background,
+      large: isLargeText(colors.fontSizePx, colors.fontWeight),
+    }));
+}
+
+function contrastRule(level) {
+  return (context) => {
+    const samples = contrastSamples(context);
+    const failures = [];
+    for (const sample of samples) {
+      const ratio = contrastRatio(sample.color, sample.background);
+      const required = CONTRAST_THRESHOLDS[level][sample.large ? 'large' : 'normal'];
+      if (ratio < required) {
+        failures.push({
+          target: sample.target,
+          text: sample.text,
+          ratio,
+          required,
+          color: toHex(sample.color),
+          background: toHex(sample.background),
+        });
+      }
+    }
+    return { checked: samples.length, failures };
+  };
+}
+
+/**
+ * Rules
+ * - weight: share of the accessibility score (10 critical, 7 serious, 3 moderate, 1 minor)
+ * - severity: issue severity for failures
+ * - check(context) -> { checked: elements examined (0 = rule does not apply), failures }
+ */
+export const WCAG_RULES = [
+  {
+    id: 'image-alt',
+    code: 'A11Y_IMAGE_ALT',
+    criterion: '1.1.1',
+    weight: 10,
+    severity: 'high',
+    passed: 'All images have a text alternative',
+    message: (count) => `${count} images have no text alternative (alt)`,
+    fix: 'Add alt text that describes each image; use alt="" for purely decorative images',
+    check: ({ doc, isHidden, nameOf }) => {
+      const images = doc
+        .findAll(['img', 'input', 'area'])
+        .filter((el) => el.name !== 'input' || el.attribs.type?.toLowerCase() === 'image')
+        .filter((el) => el.name !== 'area' || el.attribs.href !== undefined)
+        .filter((el) => !isHidden(el) && !isPresentational(el));
+      const failures = images
+        .filter((el) => !('alt' in el.attribs) && !nameOf(el))
+        .map((el) => ({ target: describeElement(el) }));
+      return { checked: images.length, failures };
+    },
+  },
+  {
+    id: 'label',
+    code: 'A11Y_FORM_LABEL',
+    criterion: '4.1.2',
+    weight: 10,
+    severity: 'high',
+    passed: 'Form fields have labels',
+    message: (count) => `${count} form fields have no label`,
+    fix: 'Associate a <label for="..."> with each field, or give it an aria-label',
+    check: ({ doc }) => {
+      const failures = doc.formControls
+        .filter((control) => !control.hasLabel)
+        .map((control) => ({
+          target: `${control.tag}${control.id ? `#${control.id}` : ''}${control.name ? `[name="${control.name}"]` : ''}`,
+        }));
+      return { checked: doc.formControls.length, failures };
+    },
+  },
+  {
+    id: 'button-name',
+    code: 'A11Y_BUTTON_NAME',
+    criterion: '4.1.2',
+    weight: 10,
+    severity: 'high',
+    passed: 'Buttons have accessible names',
+    message: (count) => `${count} buttons have no accessible name`,
+    fix: 'Give each button visible text, or an aria-label for icon-only buttons',
+    check: ({ doc, isHidden, nameOf }) => {
+      const buttons = doc.elements.filter(
+        (el) =>
+          !isHidden(el) &&
+          (el.name === 'button' ||
+            (el.name === 'input' && ['button', 'submit', 'reset'].includes(el.attribs.type)) ||
+            (el.name !== 'input' && roleTokens(el)[0] === 'button'))
+      );
+      const failures = buttons
+        .filter((el) => {
+          if (el.name === 'input') {
+            // Submit and reset buttons get a default label from the browser
+            return el.attribs.type === 'button' && !el.attribs.value?.trim() && !nameOf(el);
+          }
+          return !nameOf(el);
+        })
+        .map((el) => ({ target: describeElement(el) }));
+      return { checked: buttons.length, failures };
+    },
+  },
+  {
+    id: 'link-name',
+    code: 'A11Y_LINK_NAME',
+    criterion: '2.4.4',
+    weight: 7,
+    severity: 'high',
+    passed: 'Links have discernible text',
+    message: (count) => `${count} links have no discernible text`,
+    fix: 'Give each link text, or alt text on the image it wraps, that names its destination',
+    check: ({ doc, isHidden, nameOf }) => {
+      const links = doc.findAll('a').filter((el) => el.attribs.href !== undefined && !isHidden(el));
+      const failures = links
+        .filter((el) => !nameOf(el))
+        .map((el) => ({ target: describeElement(el) }));
+      return { checked: links.length, failures };
+    },
+  },
+  {
+    id: 'link-text',
+    code: 'A11Y_LINK_TEXT_GENERIC',
+    criterion: '2.4.9',
+    weight: 3,
+    severity: 'low',
+    passed: 'Link texts describe their destination',
+    message: (count) => `${count} links use generic text such as "click here" or "read more"`,
+    fix: 'Describe the destination in the link text, e.g. "Read the pricing guide"',
+    check: ({ doc, isHidden, nameOf }) => {
+      const links = doc.findAll('a').filter((el) => el.attribs.href !== undefined && !isHidden(el));
+      const failures = links
+        .map((el) => ({
+          el,
+          text: nameOf(el)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N} ]/gu, '')
+            .trim(),
+        }))
+        .filter(({ text }) => GENERIC_LINK_TEXT.has(text))
+        .map(({ el, text }) => ({ target: describeElement(el), text }));
+      return { checked: links.length, failures };
+    },
+  },
+  {
+    id: 'aria-roles',
+    code: 'A11Y_ARIA_ROLE_INVALID',
+    criterion: '4.1.2',
+    weight: 7,
+    severity: 'medium',
+    passed: 'ARIA roles are valid',
+    message: (count) => `${count} elements use an invalid or abstract ARIA role`,
+    fix: 'Use a role defined in WAI-ARIA 1.2, e.g. role="button" or role="navigation"',
+    check: ({ doc }) => {
+      const withRole = doc.elements.filter((el) => roleTokens(el).length > 0);
+      const failures = withRole
+        // Several tokens are a fallback list: one valid role is enough
+        .filter(
+          (el) => !roleTokens(el).some((role) => ARIA_ROLES.has(role) || role.startsWith('doc-'))
+        )
+        .map((el) => ({ target: describeElement(el), role: el.attribs.role }));
+      return { checked: withRole.length, failures };
+    },
+  },
+  {
+    id: 'aria-attributes',
+    code: 'A11Y_ARIA_ATTRIBUTE_INVALID',
+    criterion: '4.1.2',
+    weight: 7,
+    severity: 'medium',
+    passed: 'ARIA attributes and values are valid',
+    message: (count) =>
+      `${count} ARIA attributes are unknown, have invalid values or point to missing ids`,
+    fix: 'Fix the attribute names and values against WAI-ARIA 1.2 and make sure referenced ids exist',
+    check: ({ doc, byId }) => {
+      let checked = 0;
+      const failures = [];
+      for (const el of doc.elements) {
+        for (const [attribute, raw] of Object.entries(el.attribs)) {
+          if (!attribute.startsWith('aria-')) {
+            continue;
+          }
+          checked++;
+          const value = raw.trim();
+          const allowed = ARIA_ATTRIBUTES[attribute];
+          let problem = null;
+
+          if (allowed === undefined) {
+            problem = 'unknown attribute';
+          } else if (Array.isArray(allowed) && !allowed.includes(value.toLowerCase())) {
+            problem = `value must be one of ${allowed.join(', ')}`;
+          } else if (allowed === 'integer' && !/^-?\d+$/.test(value)) {
+            problem = 'value must be an integer';
+          } else if (allowed === 'idref' || allowed === 'idrefs') {
+            const ids = value.split(/\s+/).filter(Boolean);
+            const missing = ids.filter((id) => !byId.has(id));
+            if (ids.length === 0 || missing.length > 0) {
+              problem =
+                missing.length > 0
+                  ? `no element with id ${missing.join(', ')}`
+                  : 'empty id reference';
+            }
+          }
+
+          if (problem) {
+            failures.push({ target: describeElement(el), attribute, value: raw, problem });
+          }
+        }
+      }
+      return { checked, failures };
+    },
+  },
+  {
+    id: 'heading-order',
+    code: 'A11Y_HEADING_ORDER',
+    criterion: '1.3.1',
+    weight: 3,
+    severity: 'low',
+    passed: 'Heading levels increase one step at a time',
+    message: (count) => `${count} headings skip a level (e.g. h2 followed by h4)`,
+    fix: 'Nest headings without skipping levels; change the style with CSS, not the heading level',
+    check: ({ doc }) => {
+      const failures = [];
+      doc.headings.forEach((heading, index) => {
+        const previous = doc.headings[index - 1];
+        if (previous && heading.level > previous.level + 1) {
+          failures.push({
+            target: `h${heading.level}`,
+            text: heading.text.slice(0, 60),
+            previous_level: previous.level,
+          });
+        }
+      });
+      return { checked: doc.headings.length, failures };
+    },
+  },
+  {
+    id: 'empty-heading',
+    code: 'A11Y_HEADING_EMPTY',
+    criterion: '2.4.6',
+    weight: 3,
+    severity: 'medium',
+    passed: 'Headings have text',
+    message: (count) => `${count} headings are empty`,
+    fix: 'Give every heading text, or remove headings used only for spacing',
+    check: ({ doc, isHidden, nameOf }) => {
+      const headings = doc.elements.filter((el) => HEADING_TAG.test(el.name) && !isHidden(el));
+      const failures = headings
+        .filter((el) => !nameOf(el))
+        .map((el) => ({ target: describeElement(el) }));
+      return { checked: headings.length, failures };
+    },
+  },
+  {
+    id: 'bypass',
+    code: 'A11Y_NO_MAIN_LANDMARK',
+    criterion: '2.4.1',
+    weight: 3,
+    severity: 'medium',
+    passed: 'Page has a main landmark or skip link',
+    message: () => 'Page has no <main> landmark or skip link to jump past repeated content',
+    fix: 'Wrap the primary content in <main>, or add a "Skip to content" link as the first link',
+    check: ({ doc, byId }) => {
+      const hasMain = doc.elements.some((el) => el.name === 'main' || roleTokens(el)[0] === 'main');
+      const firstLink = doc.findAll('a').find((el) => el.attribs.href !== undefined);
+      const hasSkipLink =
+        firstLink?.attribs.href.startsWith('#') && byId.has(firstLink.attribs.href.slice(1));
+      return {
+        checked: 1,
+        failures: hasMain || hasSkipLink ? [] : [{ target: 'body' }],
+      };
+    },
+  },
+  {
+    id: 'landmark-one-main',
+    code: 'A11Y_MULTIPLE_MAIN',
+    criterion: '1.3.1',
+    weight: 3,
+    severity: 'low',
+    passed: 'Page has a single main landmark',
+    message: (count) => `Page has ${count} main landmarks instead of one`,
+    fix: 'Keep one visible <main> element per page',
+    check: ({ doc, isHidden }) => {
+      const mains = doc.elements.filter(
+        (el) => (el.name === 'main' || roleTokens(el)[0] === 'main') && !isHidden(el)
+      );
+      return {
+        checked: mains.length,
+        failures: mains.length > 1 ? mains.map((el) => ({ target: describeElement(el) })) : [],
+      };
+    },
+  },
+  {
+    id: 'region',
+    code: 'A11Y_CONTENT_OUTSIDE_LANDMARKS',
+    criterion: '1.3.1',
+    weight: 3,
+    severity: 'low',
+    passed: 'All content is inside landmark regions',
+    message: (count) => `${count} blocks of content sit outside any landmark region`,
+    fix: 'Place content inside header, nav, main, aside or footer so screen reader users can reach it',
+    check: ({ doc, isHidden }) => {
+      const landmarks = doc.elements.filter(isLandmark);
+      const body = doc.elements.find((el) => el.name === 'body');
+      if (!body || landmarks.length === 0) {
+        return { checked: 0, failures: [] };
+      }
+
+      const failures = [];
+      const visit = (el) => {
+        if (
+          isLandmark(el) ||
+          isHidden(el) ||
+          ['script', 'style', 'noscript', 'template'].includes(el.name)
+        ) {
+          return;
+        }
+        const containsLandmark = landmarks.some((landmark) => isInside(landmark, el));
+        if (!containsLandmark) {
+          // Skip links are expected before the landmarks
+          const isSkipLink = el.name === 'a' && el.attribs.href?.startsWith('#');
+          if (doc.textOf(el) && !isSkipLink) {
+            failures.push({ target: describeElement(el) });
+          }
+          return;
+        }
+        if (el.children.some((child) => child.type === 'text' && child.data.trim())) {
+          failures.push({ target: describeElement(el) });
+        }
+        el.children.filter(DomUtils.isTag).forEach(visit);
+      };
+      body.children.filter(DomUtils.isTag).forEach(visit);
+
+      return { checked: landmarks.length, failures };
+    },
+  },
+  {
+    id: 'html-lang',
+    code: 'A11Y_HTML_LANG',
+    criterion: '3.1.1',
+    weight: 7,
+    severity: 'high',
+    passed: 'Page language is declared (lang attribute)',
+    message: (count, [failure]) =>
+      failure.value
+        ? `<html lang="${failure.value}"> is not a valid language tag`
+        : 'Page language is not declared: add a lang attribute to <html>',
+    fix: 'Set <html lang="..."> to a BCP 47 tag such as "en" or "en-GB"',
+    check: ({ doc }) => ({
+      checked: 1,
+      failures:
+        doc.lang && LANG_TAG.test(doc.lang) ? [] : [{ target: 'html', value: doc.lang || null }],
+    }),
+  },
+  {
+    id: 'valid-lang',
+    code: 'A11Y_LANG_INVALID',
+    criterion: '3.1.2',
+    weight: 3,
+    severity: 'medium',
+    passed: 'Language changes inside the page use valid tags',
+    message: (count) => `${count} elements have an invalid lang attribute`,
+    fix: 'Use BCP 47 language tags such as "fr" or "pt-BR" on elements in another language',
+    check: ({ doc }) => {
+      const withLang = doc.elements.filter((el) => el.name !== 'html' && 'lang' in el.attribs);
+      const failures = withLang
+        .filter((el) => !LANG_TAG.test(el.attribs.lang.trim()))
+        .map((el) => ({ target: describeElement(el), value: el.attribs.lang }));
+      return { checked: withLang.length, failures };
+    },
+  },
+  {
+    id: 'duplicate-id',
+    code: 'A11Y_DUPLICATE_ID',
+    criterion: '4.1.1',
+    weight: 3,
+    severity: 'low',
+    passed: 'Element ids are unique',
+    message: (count) => `${count} id values are used on more than one element`,
+    fix: 'Make every id unique; labels and ARIA references only reach the first match',
+    check: ({ idCounts }) => {
+      const failures = [...idCounts]
+        .filter(([, count]) => count > 1)
+        .map(([id, count]) => ({ target: `#${id}`, occurrences: count }));
+      return { checked: idCounts.size, failures };
+    },
+  },
+  {
+    id: 'table-headers',
+    code: 'A11Y_TABLE_HEADERS',
+    criterion: '1.3.1',
+    weight: 7,
+    severity: 'medium',
+    passed: 'Data tables have header cells',
+    message: (count) => `${count} data tables have no header cells (<th>)`,
+    fix: 'Mark header cells with <th scope="col"> or <th scope="row">; use CSS, not tables, for layout',
+    check: ({ doc, isHidden, nameOf }) => {
+      const isHeaderCell = (node) =>
+        DomUtils.isTag(node) &&
+        (node.name === 'th' || ['columnheader', 'rowheader'].includes(roleTokens(node)[0]));
+      const tables = doc
+        .findAll('table')
+        .filter((el) => !isPresentational(el) && !isHidden(el))
+        .filter((el) => DomUtils.findAll((node) => node.name === 'tr', el.children).length > 1);
+
+      const failures = [];
+      for (const table of tables) {
+        const headers = DomUtils.findAll(isHeaderCell, table.children);
+        if (headers.length === 0) {
+          failures.push({ target: describeElement(table) });
+        } else if (headers.some((cell) => !nameOf(cell))) {
+          failures.push({ target: describeElement(table), problem: 'empty header cell' });
+        }
+      }
+      return { checked: tables.length, failures };
+    },
+  },
+  {
+    id: 'document-title',
+    code: 'A11Y_DOCUMENT_TITLE',
+    criterion: '2.4.2',
+    weight: 7,
+    severity: 'medium',
+    passed: 'Page has a title',
+    message: () => 'Page has no <title> for screen readers and browser tabs',
+    fix: 'Add a <title> that describes the page topic',
+    check: ({ doc }) => ({ checked: 1, failures: doc.title ? [] : [{ target: 'title' }] }),
+  },
+  {
+    id: 'meta-viewport',
+    code: 'A11Y_ZOOM_DISABLED',
+    criterion: '1.4.4',
+    weight: 7,
+    severity: 'medium',
+    passed: 'Users can zoom the page',
+    message: () => 'Viewport meta tag disables zooming (user-scalable=no or maximum-scale below 2)',
+    fix: 'Remove user-scalable=no and maximum-scale from the viewport meta tag',
+    check: ({ doc }) => {
+      const viewport = doc.getMeta('viewport');
+      if (viewport === null) {
+        return { checked: 0, failures: [] };
+      }
+      const settings = Object.fromEntries(
+        viewport
+          .toLowerCase()
+          .split(/[,;]/)
+          .map((part) => part.split('=').map((token) => token.trim()))
+      );
+      const maxScale = parseFloat(settings['maximum-scale']);
+      const disabled =
+        ['no', '0'].includes(settings['user-scalable']) ||
+        (!Number.isNaN(maxScale) && maxScale < 2);
+      return {
+        checked: 1,
+        failures: disabled ? [{ target: 'meta[name="viewport"]', value: viewport }] : [],
+      };
+    },
+  },
+  {
+    id: 'color-contrast',
+    code: 'A11Y_COLOR_CONTRAST',
+    criterion: '1.4.3',
+    weight: 7,
+    severity: 'medium',
+    passed: 'Text meets the 4.5:1 contrast ratio (3:1 for large text)',
+    message: (count) =>
+      `${count} text elements are below the 4.5:1 contrast ratio (3:1 for large text)`,
+    fix: 'Darken the text or lighten the background until the contrast ratio is at least 4.5:1',
+    check: contrastRule('AA'),
+  },
+  {
+    id: 'color-contrast-enhanced',
+    code: 'A11Y_COLOR_CONTRAST_ENHANCED',
+    criterion: '1.4.6',
+    weight: 1,
+    severity: 'low',
+    passed: 'Text meets the enhanced 7:1 contrast ratio',
+    message: (count) => `${count} text elements are below the enhanced 7:1 contrast ratio`,
+    fix: 'Raise the contrast ratio to 7:1 (4.5:1 for large text) for AAA conformance',
+    check: contrastRule('AAA'),
+  },
+];
+
+/**
+ * Run the WCAG rules against a parsed page
+ * @param {HtmlDocument} doc - Parsed page
+ * @param {Object} options - Options
+ * @param {Array} options.textColors - Computed text colors from the lab run
+ *   ([{ target, text, color, background, font_size_px, font_weight }]); inline styles are used
+ *   when omitted
+ * @returns {Object} { score (0-100), violations: [{ rule, code, criterion, criterion_name, level,
+ *   severity, message, fix, count, targets }], passed: string[], summary: { rules_checked,
+ *   rules_failed, violations: { A, AA, AAA }, total_violations, contrast_source } }
+ */
+export function runAccessibilityRules(doc, options = {}) {
+  const context = buildContext(doc, options);
+  const violations = [];
+  const passed = [];
+  const byLevel = Object.fromEntries(WCAG_LEVELS.map((level) => [level, 0]));
+  let applicableWeight = 0;
+  let passedWeight = 0;
+  let rulesChecked = 0;
+
+  for (const rule of WCAG_RULES) {
+    const { checked, failures } = rule.check(context);
+    if (checked === 0) {
+      continue;
+    }
+    rulesChecked++;
+    applicableWeight += rule.weight;
+
+    if (failures.length === 0) {
+      passedWeight += rule.weight;
+      passed.push(rule.passed);
+      continue;
+    }
+
+    const criterion = WCAG_CRITERIA[rule.criterion];
+    byLevel[criterion.level] += failures.length;
+    violations.push({
+      rule: rule.id,
+      code: rule.code,
+      criterion: rule.criterion,
+      criterion_name: criterion.name,
+      level: criterion.level,
+      severity: rule.severity,
+      weight: rule.weight,
+      message: rule.message(failures.length, failures),
+      fix: rule.fix,
+      count: failures.length,
+      targets: failures.slice(0, MAX_TARGETS),
+    });
+  }
+
+  return {
+    score: applicableWeight > 0 ? Math.round((passedWeight / applicableWeight) * 100) : 100,
+    violations,
+    passed,
+    summary: {
+      rules_checked: rulesChecked,
+      rules_failed: violations.length,
+      violations: byLevel,
+      total_violations: violations.reduce((total, violation) => total + violation.count, 0),
+      contrast_source: Array.isArray(options.textColors) ? 'computed' : 'inline',
+    },
+  };
+}
+
+/**
+ * Describe violation counts per level, e.g. "3 A and 12 AA violations"
+ * @param {Object} counts - { A, AA, AAA }
+ * @returns {string}
+ */
+export function describeViolationCounts(counts) {
+  const parts = WCAG_LEVELS.filter((level) => counts[level] > 0).map(
+    (level) => `${counts[level]} ${level}`
+  );
+  if (parts.length === 0) {
+    return 'No WCAG violations';
+  }
+  const last = parts.pop();
+  return `${parts.length > 0 ? `${parts.join(', ')} and ` : ''}${last} violations`;
+}
+
+export default {
+  runAccessibilityRules,
+  describeViolationCounts,
+  WCAG_RULES,
+  WCAG_CRITERIA,
+  WCAG_LEVELS,
+};
@@ -0,0 +1,399 @@
+/**
+ * User Administration
+ * User search, manual subscription overrides and usage reports for the admin console
+ *
+ * Every override is written to admin_audit_log with the values before and after and the
+ * admin's reason. A tier set here goes to users.tier_override, which replaces the billed
+ * tier (config/tiers effectiveTier) until an admin clears it; Stripe syncs only rewrite
+ * subscription_tier. Quota overrides (users.quota_overrides) replace single tier quotas
+ * and are applied by services/usageTracker whatever the tier.
+ *
+ * @module services/admin/userAdmin
+ */
+
+import { TIER_QUOTAS, QUOTA_OVERRIDE_KEYS } from '../../config/tiers.js';
+
+export const ADMIN_USER_COLUMNS =
+  'id, email, full_name, company_name, subscription_tier, tier_override, subscription_status, ' +
+  'stripe_customer_id, payment_failed_at, quota_overrides, is_active, created_at, last_login_at';
+
+export const ADMIN_AUDIT_COLUMNS =
+  'id, admin_id, target_user_id, action, changes, reason, created_at';
+
+export const ADMIN_AUDIT_ACTIONS = {
+  SUBSCRIPTION_OVERRIDE: 'subscription_override',
+};
+
+/** Resources admin_top_consumers() can rank users by */
+export const TOP_CONSUMER_RESOURCES = ['audits', 'keywords', 'api_calls', 'ai_tokens'];
+
+const MAX_REASON_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Search text safe to put in a PostgREST or() filter
+ *
+ * Filter syntax, backslashes and % are dropped; _ is escaped so it matches itself (common
+ * in email addresses) instead of any character.
+ *
+ * @param {unknown} search
+ * @returns {string} ILIKE pattern body ('' when nothing is left)
+ */
+export function searchPattern(search) {
+  if (typeof search !== 'string') {
+    return '';
+  }
+  return search
+    .replace(/[,()*%\\]/g, ' ')
+    .trim()
+    .slice(0, 100)
+    .replace(/_/g, '\\_');
+}
+
+/**
+ * Validate a subscription override request body
+ *
+ * @param {Object} body
+ * @param {string|null} [body.tier] - Tier to grant, or null to remove the grant so the
+ *   billed tier applies again
+ * @param {Object|null} [body.quota_overrides] - Quotas to set (-1 unlimited), null values
+ *   remove an override; null instead of an object removes all of them
+ * @param {string} body.reason - Why the change is made (kept in the audit log)
+ * @returns {{override: {tier?: string|null, quotaOverrides?: Object|null}, reason: string}
+ *   |{error: string}}
+ */
+export function normalizeSubscriptionOverride(body = {}) {
+  const { tier, quota_overrides: quotaOverrides, reason } = body;
+  const override = {};
+
+  if (tier !== undefined) {
+    if (tier !== null && !Object.keys(TIER_QUOTAS).includes(tier)) {
+      return { error: `tier must be one of: ${Object.keys(TIER_QUOTAS).join(', ')}, or null` };
+    }
+    override.tier = tier;
+  }
+
+  if (quotaOverrides !== undefined) {
+    if (
+      quotaOverrides !== null &&
+      (typeof quotaOverrides !== 'object' || Array.isArray(quotaOverrides))
+    ) {
+      return { error: 'quota_overrides must be an object or null' };
+    }
+
+    for (const [key, value] of Object.entries(quotaOverrides || {})) {
+      if (!QUOTA_OVERRIDE_KEYS.includes(key)) {
+        return { error: `quota_overrides keys must be one of: ${QUOTA_OVERRIDE_KEYS.join(', ')}` };
+      }
+      if (value !== null && (!Number.isInteger(value) || value < -1)) {
+        return {
+          error: `quota_overrides.${key} must be a whole number, -1 for unlimited, or null`,
+        };
+      }
+    }
+    override.quotaOverrides = quotaOverrides;
+  }
+
+  if (Object.keys(override).length === 0) {
+    return { error: 'Provide tier or quota_overrides' };
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (trimmedReason.length < 3 || trimmedReason.length > MAX_REASON_LENGTH) {
+    return { error: `reason is required (3 to ${MAX_REASON_LENGTH} characters)` };
+  }
+
+  return { override, reason: trimmedReason };
+}
+
+/**
+ * Combine a user's quota overrides with requested changes
+ *
+ * @param {Object} current - users.quota_overrides
+ * @param {Object|null} changes - Validated quota_overrides (null clears every override)
+ * @returns {Object} New quota_overrides
+ */
+export function mergeQuotaOverrides(current, changes) {
+  if (changes === null) {
+    return {};
+  }
+
+  const merged = { ...(current || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Grace period position of a past-due subscription (same rules as
+ * subscriptionManager.checkSubscriptionStatus)
+ *
+ * @param {string} paymentFailedAt - ISO timestamp of the payment failure
+ * @param {number} graceDays - Grace period length in days
+ * @param {Date} [now]
+ * @returns {{daysSinceFailure: number, daysRemaining: number, inGracePeriod: boolean,
+ *   gracePeriodEndsAt: string}}
+ */
+export function gracePeriodState(paymentFailedAt, graceDays, now = new Date()) {
+  const failedAt = new Date(paymentFailedAt);
+  const daysSinceFailure = Math.floor((now - failedAt) / DAY_MS);
+  const daysRemaining = Math.max(0, graceDays - daysSinceFailure);
+
+  return {
+    daysSinceFailure,
+    daysRemaining,
+    inGracePeriod: daysRemaining > 0,
+    gracePeriodEndsAt: new Date(failedAt.getTime() + graceDays * DAY_MS).toISOString(),
+  };
+}
+
+/**
+ * PostgREST or() filter for users on a tier: an admin's tier_override when there is one,
+ * otherwise the billed subscription_tier (see effectiveTier)
+ *
+ * @param {string} tier - A key of TIER_QUOTAS
+ * @returns {string}
+ */
+export function tierFilter(tier) {
+  return `tier_override.eq.${tier},and(tier_override.is.null,subscription_tier.eq.${tier})`;
+}
+
+/**
+ * Search users by email or name
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Part of the email address or full name
+ * @param {string} [filters.tier] - Effective tier (an admin override counts over the billed one)
+ * @param {string} [filters.status] - Subscription status
+ * @param {number} [filters.page]
+ * @param {number} [filters.limit]
+ * @returns {Promise<{users: Object[], total: number}>}
+ */
+export async function searchUsers(supabase, { search, tier, status, page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('users')
+    .select(ADMIN_USER_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  const pattern = searchPattern(search);
+  if (pattern) {
+    query = query.or(`email.ilike.%${pattern}%,full_name.ilike.%${pattern}%`);
+  }
+  if (tier) {
+    query = query.or(tierFilter(tier));
+  }
+  if (status) {
+    query = query.eq('subscription_status', status);
+  }
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw new Error(`Failed to search users: ${error.message}`);
+  }
+
+  return { users: data || [], total: count || 0 };
+}
+
+/**
+ * @param {Object} supabase - Service role client
+ * @param {string} userId
+ * @returns {Promise<Object|null>} users row, or null if there is none
+ */
+export async function getUser(supabase, userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(ADMIN_USER_COLUMNS)
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load user ${userId}: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * Change a user's tier and/or quota overrides and record it in the audit log
+ *
+ * Fields that already have the requested value are left out of the update; when nothing
+ * changes, no audit entry is written.
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} params
+ * @param {string} params.adminId - Admin making the change
+ * @param {string} params.userId - User being changed
+ * @param {{tier?: string|null, quotaOverrides?: Object|null}} params.override - From
+ *   normalizeSubscriptionOverride
+ * @param {string} params.reason
+ * @returns {Promise<{user: Object, auditEntry: Object|null}|null>} null if the user does
+ *   not exist
+ */
+export async function applySubscriptionOverride(supabase, { adminId, userId, override, reason }) {
+  const user = await getUser(supabase, userId);
+  if (!user) {
+    return null;
+  }
+
+  const before = {};
+  const after = {};
+
+  if (override.tier !== undefined && override.tier !== (user.tier_override ?? null)) {
+    before.tier_override = user.tier_override ?? null;
+    after.tier_override = override.tier;
+  }
+
+  if (override.quotaOverrides !== undefined) {
+    const current = user.quota_overrides || {};
+    const next = mergeQuotaOverrides(current, override.quotaOverrides);
+    if (JSON.stringify(next) !== JSON.stringify(current)) {
+      before.quota_overrides = current;
+      after.quota_overrides = next;
+    }
+  }
+
+  if (Object.keys(after).length === 0) {
+    return { user, auditEntry: null };
+  }
+
+  const { data: updated, error: updateError } = await supabase
+    .from('users')
+    .update({ ...after, updated_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (updateError) {
+    throw new Error(`Failed to update user ${userId}: ${updateError.message}`);
+  }
+
+  const { data: auditEntry, error: auditError } = await supabase
+    .from('admin_audit_log')
+    .insert({
+      admin_id: adminId,
+      target_user_id: userId,
+      action: ADMIN_AUDIT_ACTIONS.SUBSCRIPTION_OVERRIDE,
+      changes: { before, after },
+      reason,
+    })
+    .select(ADMIN_AUDIT_COLUMNS)
+    .single();
+
+  if (auditError) {
+    throw new Error(`User ${userId} was updated but the audit entry failed: ${auditError.message}`);
+  }
+
+  return { user: updated, auditEntry };
+}
+
+/**
+ * Admin audit log entries, newest first
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} [filters]
+ * @param {string} [filters.targetUserId] - Only changes made to this user
+ * @param {number} [filters.page]
+ * @param {number} [filters.limit]
+ * @returns {Promise<{entries: Object[], total: number}>}
+ */
+export async function listAuditLog(supabase, { targetUserId, page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from('admin_audit_log')
+    .select(ADMIN_AUDIT_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (targetUserId) {
+    query = query.eq('target_user_id', targetUserId);
+  }
+
+  const { data, error, count } = await query;
+  if (error) {
+    throw new Error(`Failed to list admin audit log: ${error.message}`);
+  }
+
+  return { entries: data || [], total: count || 0 };
+}
+
+/**
+ * Past-due users with their grace period position, the longest overdue first
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} params
+ * @param {number} params.graceDays - Grace period length in days
+ * @param {Date} [params.now]
+ * @returns {Promise<Object[]>}
+ */
+export async function listGracePeriodUsers(supabase, { graceDays, now = new Date() }) {
+  const { data, error } = await supabase
+    .from('users')
+    .select(
+      'id, email, full_name, subscription_tier, tier_override, subscription_status, ' +
+        'payment_failed_at'
+    )
+    .eq('subscription_status', 'past_due')
+    .not('payment_failed_at', 'is', null)
+    .order('payment_failed_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list past-due users: ${error.message}`);
+  }
+
+  return (data || []).map((user) => ({
+    ...user,
+    ...gracePeriodState(user.payment_failed_at, graceDays, now),
+  }));
+}
+
+/**
+ * Users with the most usage of a resource since a date
+ *
+ * @param {Object} supabase - Service role client
+ * @param {Object} params
+ * @param {string} params.resource - One of TOP_CONSUMER_RESOURCES
+ * @param {Date} params.since
+ * @param {number} [params.limit]
+ * @returns {Promise<Array<{user_id: string, email: string, full_name: string,
+ *   subscription_tier: string, total: number}>>} subscription_tier is the effective tier
+ */
+export async function getTopConsumers(supabase, { resource, since, limit = 10 }) {
+  const { data, error } = await supabase.rpc('admin_top_consumers', {
+    p_resource: resource,
+    p_since: since.toISOString(),
+    p_limit: limit,
+  });
+
+  if (error) {
+    throw new Error(`Failed to load top consumers: ${error.message}`);
+  }
+
+  return (data || []).map((row) => ({ ...row, total: Number(row.total) }));
+}
+
+export default {
+  ADMIN_USER_COLUMNS,
+  ADMIN_AUDIT_COLUMNS,
+  ADMIN_AUDIT_ACTIONS,
+  TOP_CONSUMER_RESOURCES,
+  searchPattern,
+  normalizeSubscriptionOverride,
+  mergeQuotaOverrides,
+  gracePeriodState,
+  searchUsers,
+  getUser,
+  applySubscriptionOverride,
+  listAuditLog,
+  listGracePeriodUsers,
+  getTopConsumers,
+};
@@ -18,6 +18,35 @@
 import { createClient } from 'redis';
 import config from '../../config/index.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Daily keys are kept 90 days, monthly keys a year */
+const MAX_HISTORY_DAYS = 90;
+const MAX_HISTORY_MONTHS = 12;
+
+/**
+ * The last N days as YYYY-MM-DD (UTC, like the Redis keys), oldest first
+ */
+export function recentDays(days, now = new Date()) {
+  const dates = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(new Date(now.getTime() - i * DAY_MS).toISOString().split('T')[0]);
+  }
+  return dates;
+}
+
+/**
+ * The last N months as YYYY-MM (UTC), oldest first
+ */
+export function recentMonths(months, now = new Date()) {
+  const result = [];
+  for (let i = months - 1; i >= 0; i--) {
+    const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+    result.push(month.toISOString().substring(0, 7));
+  }
+  return result;
+}
+
 class AICostTracker {
   constructor() {
     this.redis = null;
@@ -353,6 +382,54 @@ class AICostTracker {
     };
   }
 
+  /**
+   * Get spend history per day (split by provider) and per month, oldest first
+   * @param {Object} [options]
+   * @param {number} [options.days] - Days of daily history (at most 90)
+   * @param {number} [options.months] - Months of monthly history (at most 12)
+   * @param {Date} [options.now]
+   */
+  async getSpendHistory({ days = 30, months = 6, now = new Date() } = {}) {
+    const providers = Object.keys(this.pricing);
+    const byProvider = Object.fromEntries(
+      providers.map((provider) => [provider, { requests: 0, totalTokens: 0, cost: 0 }])
+    );
+
+    const daily = await Promise.all(
+      recentDays(Math.min(days, MAX_HISTORY_DAYS), now).map(async (date) => {
+        const [cost, ...usage] = await Promise.all([
+          this.getDailyCost(date),
+          ...providers.map((provider) => this.getProviderUsage(provider, date)),
+        ]);
+
+        const day = { date, cost, providers: {} };
+        providers.forEach((provider, index) => {
+          const { requests = 0, totalTokens = 0, cost: providerCost = 0 } = usage[index] || {};
+          day.providers[provider] = { requests, totalTokens, cost: providerCost };
+
+          byProvider[provider].requests += requests;
+          byProvider[provider].totalTokens += totalTokens;
+          byProvider[provider].cost += providerCost;
+        });
+        return day;
+      })
+    );
+
+    const monthly = await Promise.all(
+      recentMonths(Math.min(months, MAX_HISTORY_MONTHS), now).map(async (month) => ({
+        month,
+        cost: await this.getMonthlyCost(month),
+      }))
+    );
+
+    return {
+      total: daily.reduce((sum, day) => sum + day.cost, 0),
+      byProvider,
+      daily,
+      monthly,
+    };
+  }
+
   /**
    * Get recent alerts
    */
@@ -402,6 +479,8 @@ class AICostTracker {
   }
 }
 
+export { AICostTracker };
+
 // Export singleton instance
 const aiCostTracker = new AICostTracker();
 export default aiCostTracker;
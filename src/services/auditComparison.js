@@ -0,0 +1,103 @@
+/**
+ * Audit Comparison
+ * Issue-by-issue diff of two stored audits
+ *
+ * Issues are matched by their stable `code` (see SEOAgent), so a reworded message or a
+ * changed count ("12 images missing alt text" -> "3 images ...") is still the same issue.
+ * Audits stored before issues carried codes fall back to category + message with the
+ * numbers masked.
+ *
+ * @module services/auditComparison
+ */
+
+import { AUDIT_COMPONENTS } from './auditRunner.js';
+
+/**
+ * Stable key used to match a recommendation across audits
+ * @param {Object} recommendation - Stored recommendation ({ code?, category, title })
+ * @returns {string}
+ */
+export function issueKey(recommendation) {
+  if (recommendation.code) {
+    return recommendation.code;
+  }
+  return `${recommendation.category}:${String(recommendation.title || '').replace(/\d+(\.\d+)?/g, '#')}`;
+}
+
+/**
+ * Index recommendations by key; repeated codes (e.g. one per sitemap) count as one issue
+ */
+function indexIssues(recommendations = []) {
+  const issues = new Map();
+  for (const recommendation of recommendations) {
+    const key = issueKey(recommendation);
+    const existing = issues.get(key);
+    if (existing) {
+      existing.occurrences++;
+    } else {
+      issues.set(key, { ...recommendation, key, occurrences: 1 });
+    }
+  }
+  return issues;
+}
+
+function scoreOf(audit, component) {
+  const value = audit[`${component}_score`];
+  return typeof value === 'number' ? Math.round(value) : null;
+}
+
+/**
+ * Compare an audit with a baseline audit
+ * @param {Object} audit - Audit record (mapAuditRecord output: *_score fields, recommendations)
+ * @param {Object} baseline - Audit to compare against
+ * @returns {Object} { score_deltas: { overall, meta, ... : { current, previous, delta } },
+ *   issues: { fixed, introduced, unchanged }, summary }
+ *   - fixed: in the baseline only; introduced: in the audit only
+ *   - unchanged entries carry `previous_priority` when their priority changed
+ */
+export function diffAudits(audit, baseline) {
+  const scoreDeltas = {};
+  for (const component of ['overall', ...AUDIT_COMPONENTS]) {
+    const current = scoreOf(audit, component);
+    const previous = scoreOf(baseline, component);
+    scoreDeltas[component] = {
+      current,
+      previous,
+      delta: current !== null && previous !== null ? current - previous : null,
+    };
+  }
+
+  const currentIssues = indexIssues(audit.recommendations);
+  const previousIssues = indexIssues(baseline.recommendations);
+
+  const fixed = [...previousIssues.values()].filter((issue) => !currentIssues.has(issue.key));
+  const introduced = [];
+  const unchanged = [];
+
+  for (const issue of currentIssues.values()) {
+    const previous = previousIssues.get(issue.key);
+    if (!previous) {
+      introduced.push(issue);
+    } else if (previous.priority !== issue.priority) {
+      unchanged.push({ ...issue, previous_priority: previous.priority });
+    } else {
+      unchanged.push(issue);
+    }
+  }
+
+  return {
+    score_deltas: scoreDeltas,
+    issues: { fixed, introduced, unchanged },
+    summary: {
+      score_delta: scoreDeltas.overall.delta,
+      fixed: fixed.length,
+      introduced: introduced.length,
+      unchanged: unchanged.length,
+    },
+  };
+}
+
+export default {
+  diffAudits,
+  issueKey,
+};
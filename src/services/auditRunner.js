@@ -0,0 +1,313 @@
+/**
+ * Audit Runner Service
+ * Fetches a live page and runs the SEOAgent 7-component audit against it
+ *
+ * Produces the `results` payload stored in seo_analyses:
+ * - Flat component scores (meta_score ... accessibility_score) for listing/sorting
+ * - Detailed per-component issues/passed checks under `scores`
+ * - Prioritized recommendations in the shape the dashboard renders
+ * - Fetch metadata (final URL, redirects, status, timing, response headers)
+ * - TLS protocol and certificate details for HTTPS pages
+ * - WCAG violation counts per conformance level
+ * - Raw lab performance metrics from the headless-browser run (for charts)
+ *
+ * @module services/auditRunner
+ */
+
+import SEOAgent from '../agents/specialized/SEOAgent.js';
+import unifiedAIService from './ai/unifiedAIService.js';
+import { fetchPage, PageFetchError } from './crawler/pageFetcher.js';
+import { inspectSiteIndexing, checkPageIndexing } from './crawler/siteIndexing.js';
+import { inspectTls } from './crawler/tlsInspector.js';
+import { runLabPerformance, LAB_DEFAULTS } from './performance/labRunner.js';
+
+// performComprehensiveAudit is rule-based and needs no AI provider, so the agent
+// is used directly without start()/initialize()
+const seoAgent = new SEOAgent({ heartbeatEnabled: false });
+
+// AI providers are only needed for schema generation; initialized on first use
+let aiReady = null;
+
+/**
+ * Component keys as returned by SEOAgent, in display order
+ */
+export const AUDIT_COMPONENTS = [
+  'meta',
+  'content',
+  'technical',
+  'mobile',
+  'performance',
+  'security',
+  'accessibility',
+];
+
+// Relative impact (0-10) used by the dashboard for each issue severity
+const SEVERITY_IMPACT = {
+  critical: 10,
+  high: 8,
+  medium: 5,
+  low: 3,
+  info: 1,
+};
+
+/**
+ * Convert an SEOAgent issue into a dashboard recommendation
+ * @param {Object} issue - { severity, message, component, code? }
+ * @returns {Object} Recommendation record
+ */
+export function toRecommendation(issue) {
+  const severity = issue.severity || 'low';
+  return {
+    ...(issue.code && { code: issue.code }),
+    category: issue.component,
+    priority: severity === 'info' ? 'low' : severity,
+    severity,
+    title: issue.message,
+    description: issue.description || '',
+    impact: SEVERITY_IMPACT[severity] ?? 1,
+  };
+}
+
+/**
+ * Flatten SEOAgent audit output into the stored results payload
+ * @param {Object} auditResults - Output of SEOAgent.performComprehensiveAudit
+ * @param {Object} page - Output of fetchPage
+ * @returns {Object} Results payload
+ */
+export function buildAuditResults(auditResults, page) {
+  const flatScores = {};
+  for (const component of AUDIT_COMPONENTS) {
+    flatScores[`${component}_score`] = Math.round(auditResults.scores[component]?.score ?? 0);
+  }
+
+  return {
+    status: 'completed',
+    url: page.requestedUrl,
+    final_url: page.finalUrl,
+    grade: auditResults.grade,
+    timestamp: auditResults.timestamp,
+    overall_score: auditResults.overall_score,
+    ...flatScores,
+    scores: auditResults.scores,
+    recommendations: auditResults.recommendations.map(toRecommendation),
+    lab_metrics: auditResults.scores.performance?.lab || null,
+    tls: auditResults.scores.security?.tls || null,
+    wcag: auditResults.scores.accessibility?.wcag || null,
+    fetch: {
+      status: page.status,
+      final_url: page.finalUrl,
+      redirects: page.redirects,
+      content_type: page.contentType,
+      bytes: page.bytes,
+      ttfb_ms: page.timing.ttfbMs,
+      total_ms: page.timing.totalMs,
+      headers: page.headers || {},
+    },
+  };
+}
+
+/**
+ * Describe a fetch error as a stored audit failure
+ * @param {PageFetchError} error - Fetch error
+ * @returns {Object} { code, message, http_status? }
+ */
+export function toAuditFailure(error) {
+  return {
+    code: error.code,
+    message: error.message,
+    ...(error.details?.status && { http_status: error.details.status }),
+  };
+}
+
+/**
+ * Fetch and audit a single page
+ *
+ * Never throws for unreachable pages: fetch failures are returned as
+ * `{ status: 'failed', failure }` so callers can record them.
+ *
+ * @param {string} url - URL to audit
+ * @param {Object} options - Options
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @param {boolean} options.labPerformance - Measure performance in headless Chromium
+ * @param {Function} options.onProgress - Called with (component, score) as each analyzer finishes
+ * @returns {Promise<Object>} { status: 'completed', results } or { status: 'failed', failure }
+ */
+export async function runPageAudit(url, { fetchOptions = {}, labPerformance, onProgress } = {}) {
+  let page;
+  try {
+    page = await fetchPage(url, fetchOptions);
+  } catch (error) {
+    if (error instanceof PageFetchError) {
+      return { status: 'failed', failure: toAuditFailure(error) };
+    }
+    throw error;
+  }
+
+  return auditFetchedPage(page, { fetchOptions, labPerformance, onProgress });
+}
+
+/**
+ * Audit a page that has already been fetched
+ * @param {Object} page - Output of fetchPage
+ * @param {Object} options - Options
+ * @param {Object} options.siteIndexing - robots.txt/sitemap data from inspectSiteIndexing
+ *   (fetched for the page's site if omitted; crawls pass one shared copy)
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage for robots.txt/sitemaps
+ * @param {Object} options.tlsInfo - TLS details from inspectTls
+ *   (inspected for the page's host if omitted; crawls pass one shared copy)
+ * @param {boolean} options.labPerformance - Measure performance in headless Chromium
+ *   (LAB_DEFAULTS.enabled if omitted); falls back to markup heuristics if the run fails
+ * @param {Function} options.onProgress - Called with (component, score) as each analyzer finishes
+ * @returns {Promise<Object>} { status: 'completed', results }
+ */
+export async function auditFetchedPage(
+  page,
+  {
+    siteIndexing,
+    tlsInfo,
+    fetchOptions = {},
+    labPerformance = LAB_DEFAULTS.enabled,
+    onProgress,
+  } = {}
+) {
+  const hostOptions = {
+    ...(fetchOptions.allowPrivateHosts !== undefined && {
+      allowPrivateHosts: fetchOptions.allowPrivateHosts,
+    }),
+  };
+
+  const loadSite = async () => {
+    if (siteIndexing !== undefined) {
+      return siteIndexing;
+    }
+    try {
+      return await inspectSiteIndexing(page.finalUrl, { fetchOptions });
+    } catch (error) {
+      // The technical score falls back to "not checked" rather than failing the audit
+      console.error(`Site indexing check failed for ${page.finalUrl}:`, error.message);
+      return null;
+    }
+  };
+
+  const measureLab = async () => {
+    if (!labPerformance) {
+      return null;
+    }
+    try {
+      return await runLabPerformance(page.finalUrl, hostOptions);
+    } catch (error) {
+      // Performance falls back to markup heuristics rather than failing the audit
+      console.error(`Lab performance run failed for ${page.finalUrl}:`, error.message);
+      return null;
+    }
+  };
+
+  // inspectTls reports connection problems in its result and does not throw
+  const loadTls = async () =>
+    tlsInfo !== undefined ? tlsInfo : inspectTls(page.finalUrl, hostOptions);
+
+  const [site, lab, tls] = await Promise.all([loadSite(), measureLab(), loadTls()]);
+
+  const auditResults = await seoAgent.performComprehensiveAudit({
+    url: page.finalUrl,
+    content: page.html,
+    indexing: site ? checkPageIndexing(site, page.finalUrl) : null,
+    lab,
+    response: { headers: page.headers || {}, cookies: page.cookies || [], tls },
+    onProgress,
+  });
+
+  return {
+    status: 'completed',
+    results: buildAuditResults(auditResults, page),
+  };
+}
+
+/**
+ * Extract title, description, headings, images and links from a page
+ * @param {string} html - Page HTML
+ * @returns {Object} SEOAgent content info
+ */
+export function extractPageInfo(html) {
+  return seoAgent.extractContentInfo(html);
+}
+
+/**
+ * Build the seo_analyses column values for an audit outcome
+ * @param {string} url - Audited URL
+ * @param {Object} outcome - Output of runPageAudit
+ * @returns {Object} { results, seo_score, status }
+ */
+export function toAuditRecord(url, outcome) {
+  if (outcome.status === 'completed') {
+    return {
+      results: outcome.results,
+      seo_score: outcome.results.overall_score,
+      status: 'completed',
+    };
+  }
+
+  return {
+    results: { status: 'failed', url, failure: outcome.failure },
+    seo_score: null,
+    status: 'failed',
+  };
+}
+
+/**
+ * Write an audit outcome onto an existing seo_analyses row
+ * @param {Object} supabase - Supabase client allowed to update the row (service role)
+ * @param {string} auditId - Audit ID
+ * @param {string} url - Audited URL
+ * @param {Object} outcome - Output of runPageAudit
+ * @returns {Promise<Object>} Updated column values
+ */
+export async function persistAuditOutcome(supabase, auditId, url, outcome) {
+  const record = toAuditRecord(url, outcome);
+
+  const { error } = await supabase
+    .from('seo_analyses')
+    .update({ ...record, updated_at: new Date().toISOString() })
+    .eq('id', auditId);
+
+  if (error) {
+    throw new Error(`Failed to save audit ${auditId}: ${error.message}`);
+  }
+
+  return record;
+}
+
+/**
+ * Generate JSON-LD for a live page (AI when a provider is configured, template otherwise)
+ * @param {string} url - Page URL
+ * @param {Object} options - Options
+ * @param {string} options.type - Schema.org type (detected from the page if omitted)
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @returns {Promise<Object>} SEOAgent generateSchema result
+ * @throws {PageFetchError} When the page cannot be fetched
+ */
+export async function generatePageSchema(url, { type, fetchOptions = {} } = {}) {
+  aiReady ||= unifiedAIService.initialize().catch((error) => {
+    console.error('AI initialization failed, schema generation will use templates:', error);
+  });
+  await aiReady;
+
+  const page = await fetchPage(url, fetchOptions);
+  return seoAgent.execute({
+    type: 'generateSchema',
+    params: { url: page.finalUrl, html: page.html, type },
+  });
+}
+
+export default {
+  runPageAudit,
+  generatePageSchema,
+  auditFetchedPage,
+  extractPageInfo,
+  toAuditFailure,
+  toAuditRecord,
+  persistAuditOutcome,
+  buildAuditResults,
+  toRecommendation,
+  AUDIT_COMPONENTS,
+};
@@ -198,15 +198,17 @@ class AuditStorage {
   }
 
   /**
-   * Get audit history for a URL (for progress charts)
+   * Get audit history for a URL (for progress charts and scheduled-audit comparisons)
+   * @param {string} userId - User ID
+   * @param {string} url - Audited URL
+   * @param {number} limit - Number of audits, newest first
+   * @param {Object} supabase - Client to query with (the scheduler passes the service role)
    */
-  async getAuditHistory(userId, url, limit = 10) {
-    const supabase = createClient();
-
+  async getAuditHistory(userId, url, limit = 10, supabase = createClient()) {
     try {
       const { data: history, error } = await supabase
         .from('seo_analyses')
-        .select('id, seo_score, created_at, results')
+        .select('id, seo_score, created_at, status, results')
         .eq('user_id', userId)
         .eq('content_url', url)
         .order('created_at', { ascending: false })
@@ -222,7 +224,9 @@ class AuditStorage {
           id: entry.id,
           score: entry.seo_score,
           timestamp: entry.created_at,
+          status: entry.status || entry.results?.status || 'completed',
           scores: entry.results?.scores || {},
+          recommendations: entry.results?.recommendations || [],
         })),
       };
     } catch (error) {
@@ -0,0 +1,206 @@
+/**
+ * API Keys
+ * Programmatic access for the api_access feature (Authorization: Bearer pk_...)
+ *
+ * Only a SHA-256 hash of each key is stored; the secret is returned once, when the key is
+ * created or rotated. Keys are random 192-bit values, so a fast hash is enough to make a
+ * leaked table useless without slowing down every authenticated request.
+ *
+ * @module services/auth/apiKeys
+ */
+
+import crypto from 'node:crypto';
+
+export const API_KEY_PREFIX = 'pk_';
+
+/** Characters of the key kept in key_prefix so users can tell their keys apart */
+export const API_KEY_DISPLAY_LENGTH = 12;
+
+/** Active keys per user */
+export const MAX_ACTIVE_API_KEYS = 10;
+
+export const MAX_API_KEY_EXPIRY_DAYS = 365;
+
+/** Highest per-key cap; the owner's plan limit still applies on top (config/tiers) */
+export const MAX_API_KEY_RATE_LIMIT = 10000;
+
+/** Routers an API key can reach; keys never reach auth, billing, admin or key management */
+export const API_KEY_RESOURCES = [
+  'projects',
+  'audits',
+  'crawls',
+  'schedules',
+  'keywords',
+  'rankings',
+  'competitors',
+  'reports',
+];
+
+export const API_KEY_SCOPES = API_KEY_RESOURCES.flatMap((resource) => [
+  `${resource}:read`,
+  `${resource}:write`,
+]);
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+export const API_KEY_COLUMNS =
+  'id, name, key_prefix, scopes, rate_limit_per_minute, created_at, last_used_at, expires_at, is_active, revoked_at, rotated_from_id';
+
+/**
+ * Whether a bearer token is an API key rather than a Supabase JWT
+ *
+ * @param {string|null} token
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * @param {string} key - Full API key
+ * @returns {string} Hex SHA-256 digest stored in api_keys.key_hash
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new key
+ *
+ * @returns {{key: string, keyHash: string, keyPrefix: string}}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    keyHash: hashApiKey(key),
+    keyPrefix: key.slice(0, API_KEY_DISPLAY_LENGTH),
+  };
+}
+
+/**
+ * Validate and normalize requested scopes
+ *
+ * @param {unknown} scopes
+ * @returns {{scopes?: string[], error?: string}}
+ */
+export function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'scopes must be a non-empty array' };
+  }
+
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return { error: `Unknown scopes: ${unknown.join(', ')}` };
+  }
+
+  // Keep the canonical order so stored scopes compare cleanly
+  return { scopes: API_KEY_SCOPES.filter((scope) => scopes.includes(scope)) };
+}
+
+/**
+ * Validate an optional per-key request cap
+ *
+ * @param {unknown} value - Requests per minute, or null/undefined for the plan limit only
+ * @returns {{rateLimit?: number|null, error?: string}}
+ */
+export function normalizeRateLimit(value) {
+  if (value === undefined || value === null) {
+    return { rateLimit: null };
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_API_KEY_RATE_LIMIT) {
+    return {
+      error: `rate_limit_per_minute must be a whole number from 1 to ${MAX_API_KEY_RATE_LIMIT}`,
+    };
+  }
+  return { rateLimit: value };
+}
+
+/**
+ * Scope a request needs, from the router it reached and its method
+ *
+ * @param {string} baseUrl - req.baseUrl, e.g. '/api/audits'
+ * @param {string} method - HTTP method
+ * @returns {string|null} e.g. 'audits:read', or null if API keys may not use the route
+ */
+export function requiredScope(baseUrl, method) {
+  const resource = /^\/api\/([^/]+)/.exec(baseUrl || '')?.[1];
+  if (!API_KEY_RESOURCES.includes(resource)) {
+    return null;
+  }
+
+  return `${resource}:${READ_METHODS.has(method) ? 'read' : 'write'}`;
+}
+
+/**
+ * Look up an API key and its owner
+ *
+ * Updates last_used_at on success; a failure to record it does not fail the request.
+ *
+ * @param {Object} supabase - Service role Supabase client (keys are looked up before a user
+ *   is known, so RLS cannot apply)
+ * @param {string} key - Full API key from the Authorization header
+ * @returns {Promise<{apiKey?: Object, user?: Object, error?: string}>} apiKey is
+ *   { id, scopes, rateLimitPerMinute }, user is the users row (id, email, full_name,
+ *   subscription_tier, tier_override, is_active); error is a message for a 401 response
+ */
+export async function verifyApiKey(supabase, key) {
+  const { data: record, error } = await supabase
+    .from('api_keys')
+    .select('id, user_id, scopes, rate_limit_per_minute, expires_at, is_active')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up API key: ${error.message}`);
+  }
+
+  if (!record || !record.is_active) {
+    return { error: 'Invalid or revoked API key.' };
+  }
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+    return { error: 'This API key has expired.' };
+  }
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, full_name, subscription_tier, tier_override, is_active')
+    .eq('id', record.user_id)
+    .maybeSingle();
+
+  if (userError) {
+    throw new Error(`Failed to load API key owner: ${userError.message}`);
+  }
+  if (!user || user.is_active === false) {
+    return { error: 'Invalid or revoked API key.' };
+  }
+
+  const { error: touchError } = await supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString() })
+    .eq('id', record.id);
+
+  if (touchError) {
+    console.warn(`[apiKeys] Failed to record use of key ${record.id}:`, touchError.message);
+  }
+
+  return {
+    apiKey: {
+      id: record.id,
+      scopes: record.scopes || [],
+      rateLimitPerMinute: record.rate_limit_per_minute ?? null,
+    },
+    user,
+  };
+}
+
+export default {
+  API_KEY_SCOPES,
+  isApiKey,
+  hashApiKey,
+  generateApiKey,
+  normalizeScopes,
+  normalizeRateLimit,
+  requiredScope,
+  verifyApiKey,
+};
@@ -18,8 +18,8 @@ export {
   optionalAuth,
   requireAdmin,
   requireOwnership,
-  rateLimitByUser,
   sessionFromCookie,
 } from '../../middleware/auth.js';
+export { rateLimitByUser } from '../../middleware/rateLimit.js';
 
 export default authService;
@@ -0,0 +1,487 @@
+/**
+ * Competitor Analysis
+ * Side-by-side comparison of a page with competitor pages (no I/O)
+ *
+ * - buildPageProfile: audit scores plus on-page facts (word count, headings, schema types,
+ *   title/description length) of one audited page
+ * - buildComparisonMatrix: one row per page and benchmarks of the target page against the
+ *   competitor average and best
+ * - findContentGaps: terms and heading topics most competitors cover that the target does not
+ *
+ * A page covers a term when it appears in the title, description or a heading, or at least
+ * COMPETITOR_DEFAULTS.minTermMentions times in the body text. A page covers a heading topic
+ * when one of its headings shares at least half of the topic's words.
+ *
+ * @module services/competitors/competitorAnalysis
+ */
+
+import { parseHtmlDocument } from '../crawler/htmlDocument.js';
+import { analyzeStructuredData } from '../crawler/structuredData.js';
+import { topicTokens } from '../keywords/keywordClustering.js';
+import { AUDIT_COMPONENTS } from '../auditRunner.js';
+
+/**
+ * Comparison defaults
+ */
+export const COMPETITOR_DEFAULTS = {
+  minTermMentions: 3,
+  headingMatchRatio: 0.5,
+  maxKeywordGaps: 30,
+  maxHeadingGaps: 20,
+};
+
+// Words that carry no topic in running text (keyword intent modifiers are kept: "best" and
+// "price" are content competitors may target)
+const PROSE_STOP_WORDS = new Set([
+  'a',
+  'about',
+  'after',
+  'all',
+  'also',
+  'an',
+  'and',
+  'any',
+  'are',
+  'as',
+  'at',
+  'be',
+  'been',
+  'but',
+  'by',
+  'can',
+  'could',
+  'did',
+  'do',
+  'does',
+  'each',
+  'for',
+  'from',
+  'get',
+  'had',
+  'has',
+  'have',
+  'he',
+  'her',
+  'here',
+  'his',
+  'how',
+  'i',
+  'if',
+  'in',
+  'into',
+  'is',
+  'it',
+  'its',
+  'just',
+  'may',
+  'me',
+  'more',
+  'most',
+  'much',
+  'my',
+  'no',
+  'not',
+  'now',
+  'of',
+  'on',
+  'one',
+  'only',
+  'or',
+  'other',
+  'our',
+  'out',
+  'over',
+  'she',
+  'should',
+  'so',
+  'some',
+  'such',
+  'than',
+  'that',
+  'the',
+  'their',
+  'them',
+  'then',
+  'there',
+  'these',
+  'they',
+  'this',
+  'those',
+  'to',
+  'too',
+  'up',
+  'us',
+  'very',
+  'was',
+  'we',
+  'were',
+  'what',
+  'when',
+  'where',
+  'which',
+  'while',
+  'who',
+  'why',
+  'will',
+  'with',
+  'would',
+  'you',
+  'your',
+]);
+
+const HEADING_LEVELS = [1, 2, 3, 4, 5, 6];
+
+// Heading levels compared for topic coverage (h1 restates the page topic, h4+ is detail)
+const TOPIC_HEADING_LEVELS = [2, 3];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const average = (values) =>
+  values.length ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+
+// Same crude singular form as keyword clustering so "grinders" and "grinder" match
+const stem = (word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word);
+
+function contentWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .split(/\s+/)
+    .map((word) => word.replace(/^-+|-+$/g, ''))
+    .map((word) => (word && !PROSE_STOP_WORDS.has(word) && !/^\d+$/.test(word) ? word : null));
+}
+
+/**
+ * Terms of a text with their counts: single words (3+ letters) and two-word phrases,
+ * neither crossing a stop word
+ */
+function countTerms(text, counts = new Map()) {
+  const words = contentWords(text);
+  words.forEach((word, index) => {
+    if (!word) {
+      return;
+    }
+    const terms = word.length >= 3 ? [stem(word)] : [];
+    const next = words[index + 1];
+    if (next) {
+      terms.push(`${stem(word)} ${stem(next)}`);
+    }
+    for (const term of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Body term counts and the terms in prominent places (title, description, headings)
+ */
+function readTerms(doc) {
+  const prominent = new Map();
+  for (const text of [doc.title, doc.getMeta('description'), ...doc.headings.map((h) => h.text)]) {
+    countTerms(text, prominent);
+  }
+  return { body: countTerms(doc.text), prominent: new Set(prominent.keys()) };
+}
+
+const headingTopics = (headings) =>
+  headings
+    .filter((heading) => TOPIC_HEADING_LEVELS.includes(heading.level))
+    .map((heading) => ({ ...heading, tokens: topicTokens(heading.text) }))
+    .filter((heading) => heading.tokens.length > 0);
+
+/**
+ * Check whether any of a page's headings covers a topic
+ * @param {string[]} tokens - Topic words of the competitor heading
+ * @param {Array} headings - Page headings as [{ tokens }]
+ */
+function coversTopic(tokens, headings, ratio = COMPETITOR_DEFAULTS.headingMatchRatio) {
+  return headings.some((heading) => {
+    const shared = tokens.filter((token) => heading.tokens.includes(token)).length;
+    return shared / tokens.length >= ratio;
+  });
+}
+
+/**
+ * Audit scores and on-page facts of one audited page
+ * @param {Object} page - { url, html, results } (results from the audit runner)
+ * @param {HtmlDocument} doc - Parsed page (parsed from page.html if omitted)
+ * @returns {Object} { url, final_url, status, overall_score, grade, scores, word_count,
+ *   title, title_length, description, description_length, heading_counts, headings,
+ *   schema_types }
+ */
+export function buildPageProfile(page, doc = parseHtmlDocument(page.html)) {
+  const { results } = page;
+  const description = doc.getMeta('description')?.trim() || '';
+  const { items } = analyzeStructuredData(doc, { baseUrl: results.final_url || page.url });
+
+  const scores = {};
+  for (const component of AUDIT_COMPONENTS) {
+    scores[component] = results[`${component}_score`] ?? null;
+  }
+
+  const headingCounts = {};
+  const headings = {};
+  for (const level of HEADING_LEVELS) {
+    const texts = doc.getHeadings(level);
+    headingCounts[`h${level}`] = texts.length;
+    if (level <= 3) {
+      headings[`h${level}`] = texts;
+    }
+  }
+
+  return {
+    url: page.url,
+    final_url: results.final_url || page.url,
+    status: 'completed',
+    overall_score: results.overall_score ?? null,
+    grade: results.grade ?? null,
+    scores,
+    word_count: doc.wordCount,
+    title: doc.title,
+    title_length: doc.title.length,
+    description,
+    description_length: description.length,
+    heading_counts: headingCounts,
+    headings,
+    schema_types: [...new Set(items.flatMap((item) => item.types))].sort(),
+  };
+}
+
+/**
+ * Profile of a page that could not be audited
+ * @param {Object} page - { url, failure: { code, message, http_status? } }
+ * @returns {Object} { url, status: 'failed', failure }
+ */
+export function failedPageProfile(page) {
+  return { url: page.url, status: 'failed', failure: page.failure };
+}
+
+/**
+ * Side-by-side matrix of the target and competitor profiles
+ *
+ * heading_coverage is the share (%) of all h2/h3 topics found on the compared pages that a
+ * page covers. Benchmarks compare the target with competitors that could be audited.
+ *
+ * @param {Object} target - Target page profile
+ * @param {Array} competitors - Competitor page profiles (failed ones included)
+ * @returns {Object} { pages: [profile + { role, heading_coverage, schema_type_count }],
+ *   benchmarks: [{ metric, target, competitor_average, competitor_best, difference }] }
+ */
+export function buildComparisonMatrix(target, competitors) {
+  const rows = [
+    { ...target, role: 'target' },
+    ...competitors.map((profile) => ({ ...profile, role: 'competitor' })),
+  ];
+  const completed = rows.filter((row) => row.status === 'completed');
+
+  const topicsByPage = new Map(
+    completed.map((row) => [
+      row,
+      headingTopics(
+        TOPIC_HEADING_LEVELS.flatMap((level) =>
+          row.headings[`h${level}`].map((text) => ({ level, text }))
+        )
+      ),
+    ])
+  );
+
+  // Headings on the same topic across pages count once
+  const allTopics = [];
+  for (const topics of topicsByPage.values()) {
+    for (const topic of topics) {
+      if (!coversTopic(topic.tokens, allTopics)) {
+        allTopics.push(topic);
+      }
+    }
+  }
+
+  const pages = rows.map((row) => {
+    if (row.status !== 'completed') {
+      return row;
+    }
+    const ownTopics = topicsByPage.get(row);
+    const covered = allTopics.filter((topic) => coversTopic(topic.tokens, ownTopics));
+    return {
+      ...row,
+      heading_coverage: allTopics.length
+        ? Math.round((covered.length / allTopics.length) * 100)
+        : null,
+      schema_type_count: row.schema_types.length,
+    };
+  });
+
+  const [targetRow, ...competitorRows] = pages;
+  const audited = competitorRows.filter((row) => row.status === 'completed');
+
+  const metrics = [
+    ['overall_score', (row) => row.overall_score],
+    ...AUDIT_COMPONENTS.map((component) => [`${component}_score`, (row) => row.scores[component]]),
+    ['word_count', (row) => row.word_count],
+    ['heading_coverage', (row) => row.heading_coverage],
+    ['schema_type_count', (row) => row.schema_type_count],
+  ];
+
+  const benchmarks =
+    targetRow.status === 'completed'
+      ? metrics.map(([metric, read]) => {
+          const values = audited.map(read).filter((value) => typeof value === 'number');
+          const targetValue = read(targetRow) ?? null;
+          const competitorAverage = average(values);
+          return {
+            metric,
+            target: targetValue,
+            competitor_average: competitorAverage,
+            competitor_best: values.length ? Math.max(...values) : null,
+            difference:
+              targetValue !== null && competitorAverage !== null
+                ? round(targetValue - competitorAverage)
+                : null,
+          };
+        })
+      : [];
+
+  return { pages, benchmarks };
+}
+
+/**
+ * Terms and heading topics competitors cover that the target page does not
+ *
+ * A gap must be covered by at least minCompetitors competitors (half of them, rounded up,
+ * by default). Single words that are part of a reported two-word phrase are left out.
+ *
+ * @param {Object} target - { url, doc } (doc from parseHtmlDocument)
+ * @param {Array} competitors - Audited competitor pages as [{ url, doc }]
+ * @param {Object} options - Options
+ * @param {number} options.minCompetitors - Competitors that must cover a gap
+ * @param {number} options.maxKeywords - Keyword gaps returned
+ * @param {number} options.maxHeadings - Heading gaps returned
+ * @returns {Object} { keywords: [{ term, competitor_count, competitors, competitor_mentions,
+ *   target_mentions }], headings: [{ heading, level, competitor_count, competitors }] }
+ */
+export function findContentGaps(
+  target,
+  competitors,
+  {
+    minCompetitors = Math.max(1, Math.ceil(competitors.length / 2)),
+    maxKeywords = COMPETITOR_DEFAULTS.maxKeywordGaps,
+    maxHeadings = COMPETITOR_DEFAULTS.maxHeadingGaps,
+  } = {}
+) {
+  const targetTerms = readTerms(target.doc);
+  const covers = (terms, term) =>
+    terms.prominent.has(term) || (terms.body.get(term) || 0) >= COMPETITOR_DEFAULTS.minTermMentions;
+
+  const termGaps = new Map();
+  for (const competitor of competitors) {
+    const terms = readTerms(competitor.doc);
+    const candidates = new Set([...terms.prominent, ...terms.body.keys()]);
+    for (const term of candidates) {
+      if (!covers(terms, term) || covers(targetTerms, term)) {
+        continue;
+      }
+      const gap = termGaps.get(term) || {
+        term,
+        competitor_count: 0,
+        competitors: [],
+        competitor_mentions: 0,
+        target_mentions: targetTerms.body.get(term) || 0,
+      };
+      gap.competitor_count++;
+      gap.competitors.push(competitor.url);
+      gap.competitor_mentions += terms.body.get(term) || 0;
+      termGaps.set(term, gap);
+    }
+  }
+
+  const keywordGaps = [...termGaps.values()]
+    .filter((gap) => gap.competitor_count >= minCompetitors)
+    .sort(
+      (a, b) =>
+        b.competitor_count - a.competitor_count ||
+        b.competitor_mentions - a.competitor_mentions ||
+        a.term.localeCompare(b.term)
+    );
+  const phraseWords = new Set(
+    keywordGaps.filter((gap) => gap.term.includes(' ')).flatMap((gap) => gap.term.split(' '))
+  );
+  const keywords = keywordGaps
+    .filter((gap) => gap.term.includes(' ') || !phraseWords.has(gap.term))
+    .slice(0, maxKeywords);
+
+  const targetTopics = headingTopics(target.doc.headings);
+  // Competitor headings on the same topic ("Milk frother options", "Milk frothers compared")
+  // are reported once, under the first wording seen
+  const headingGaps = [];
+  for (const competitor of competitors) {
+    for (const topic of headingTopics(competitor.doc.headings)) {
+      if (coversTopic(topic.tokens, targetTopics)) {
+        continue;
+      }
+      let gap = headingGaps.find((existing) => coversTopic(topic.tokens, [existing]));
+      if (!gap) {
+        gap = {
+          heading: topic.text,
+          level: topic.level,
+          tokens: topic.tokens,
+          competitor_count: 0,
+          competitors: [],
+        };
+        headingGaps.push(gap);
+      }
+      if (!gap.competitors.includes(competitor.url)) {
+        gap.competitor_count++;
+        gap.competitors.push(competitor.url);
+      }
+    }
+  }
+
+  const headings = headingGaps
+    .filter((gap) => gap.competitor_count >= minCompetitors)
+    .sort((a, b) => b.competitor_count - a.competitor_count || a.level - b.level)
+    .slice(0, maxHeadings)
+    .map(({ tokens: _tokens, ...gap }) => gap);
+
+  return { keywords, headings };
+}
+
+/**
+ * Compare an audited target page with audited competitor pages
+ * @param {Object} target - { url, html, results }
+ * @param {Array} competitors - [{ url, html, results }] or [{ url, failure }] for pages that
+ *   could not be audited
+ * @param {Object} options - Passed to findContentGaps
+ * @returns {Object} { pages, benchmarks, gaps: { keywords, headings } }
+ */
+export function compareCompetitors(target, competitors, options = {}) {
+  const targetDoc = parseHtmlDocument(target.html);
+  const audited = competitors
+    .filter((page) => !page.failure)
+    .map((page) => ({ ...page, doc: parseHtmlDocument(page.html) }));
+  const auditedByUrl = new Map(audited.map((page) => [page.url, page]));
+
+  const matrix = buildComparisonMatrix(
+    buildPageProfile(target, targetDoc),
+    competitors.map((page) =>
+      page.failure
+        ? failedPageProfile(page)
+        : buildPageProfile(page, auditedByUrl.get(page.url).doc)
+    )
+  );
+
+  return {
+    ...matrix,
+    gaps: audited.length
+      ? findContentGaps({ url: target.url, doc: targetDoc }, audited, options)
+      : { keywords: [], headings: [] },
+  };
+}
+
+export default {
+  buildPageProfile,
+  failedPageProfile,
+  buildComparisonMatrix,
+  findContentGaps,
+  compareCompetitors,
+  COMPETITOR_DEFAULTS,
+};
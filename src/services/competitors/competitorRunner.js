@@ -0,0 +1,75 @@
+/**
+ * Competitor Runner
+ * Fetches and audits a page and its competitors, then compares them
+ *
+ * Pages are audited one at a time without the headless-browser performance run (the same
+ * trade-off as site crawls), so every page gets markup-based performance scores and the
+ * comparison stays fair.
+ *
+ * @module services/competitors/competitorRunner
+ */
+
+import { fetchPage, PageFetchError } from '../crawler/pageFetcher.js';
+import { auditFetchedPage, toAuditFailure } from '../auditRunner.js';
+import { compareCompetitors } from './competitorAnalysis.js';
+
+/**
+ * Fetch and audit one compared page
+ * @param {string} url - Page URL
+ * @param {Object} options - Options
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @returns {Promise<Object>} { url, html, results } or { url, failure } if it could not be fetched
+ */
+export async function auditComparedPage(url, { fetchOptions = {} } = {}) {
+  let page;
+  try {
+    page = await fetchPage(url, fetchOptions);
+  } catch (error) {
+    if (error instanceof PageFetchError) {
+      return { url, failure: toAuditFailure(error) };
+    }
+    throw error;
+  }
+
+  const outcome = await auditFetchedPage(page, { fetchOptions, labPerformance: false });
+  return { url, html: page.html, results: outcome.results };
+}
+
+/**
+ * Audit a page and its competitors and compare them
+ *
+ * Competitors that cannot be fetched are listed as failed in the matrix; the analysis only
+ * fails when the target page itself cannot be fetched.
+ *
+ * @param {string} targetUrl - The user's page
+ * @param {string[]} competitorUrls - Competitor pages
+ * @param {Object} options - Options
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @param {Function} options.onPage - Called with (pagesAnalyzed) after each page
+ * @returns {Promise<Object>} { status: 'completed', result } or { status: 'failed', failure }
+ */
+export async function runCompetitorAnalysis(
+  targetUrl,
+  competitorUrls,
+  { fetchOptions = {}, onPage } = {}
+) {
+  const pages = [];
+
+  for (const url of [targetUrl, ...competitorUrls]) {
+    const page = await auditComparedPage(url, { fetchOptions });
+    if (url === targetUrl && page.failure) {
+      return { status: 'failed', failure: page.failure };
+    }
+
+    pages.push(page);
+    await onPage?.(pages.length);
+  }
+
+  const [target, ...competitors] = pages;
+  return { status: 'completed', result: compareCompetitors(target, competitors) };
+}
+
+export default {
+  auditComparedPage,
+  runCompetitorAnalysis,
+};
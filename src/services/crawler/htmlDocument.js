@@ -0,0 +1,369 @@
+/**
+ * HTML Document Service
+ *
+ * Parses a page once (htmlparser2) and exposes what the SEO analyzers look at:
+ * - Title, lang, headings (h1-h6, flat and as a nested outline)
+ * - Meta and link tags looked up by attribute, regardless of attribute order or quoting
+ * - Images (alt presence vs. empty alt), anchors with rel tokens
+ * - Scripts and styles (inline and external)
+ * - Form controls with their label association
+ * - Visible text (no script/style/template content)
+ *
+ * @module services/crawler/htmlDocument
+ */
+
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * Elements whose text is never rendered
+ */
+const HIDDEN_TEXT_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg']);
+
+/**
+ * Elements that break words apart in rendered text
+ */
+const BLOCK_TAGS = new Set([
+  'address',
+  'article',
+  'aside',
+  'blockquote',
+  'br',
+  'dd',
+  'div',
+  'dl',
+  'dt',
+  'figcaption',
+  'figure',
+  'footer',
+  'form',
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'header',
+  'hr',
+  'li',
+  'main',
+  'nav',
+  'ol',
+  'p',
+  'pre',
+  'section',
+  'table',
+  'td',
+  'th',
+  'tr',
+  'ul',
+]);
+
+/**
+ * Input types that do not need a label
+ */
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+const HEADING_TAG = /^h([1-6])$/;
+
+/**
+ * Collapse whitespace the way a browser renders it
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a space-separated attribute (rel, class) into lowercase tokens
+ */
+function tokenize(value) {
+  return value ? value.toLowerCase().split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Rendered text of an element (block elements separate words, hidden elements are skipped)
+ */
+function renderedText(node) {
+  const parts = [];
+
+  const walk = (current) => {
+    if (current.type === 'text') {
+      parts.push(current.data);
+      return;
+    }
+    if (!DomUtils.isTag(current) || HIDDEN_TEXT_TAGS.has(current.name)) {
+      return;
+    }
+    const isBlock = BLOCK_TAGS.has(current.name);
+    if (isBlock) {
+      parts.push(' ');
+    }
+    if (current.name === 'img' && current.attribs.alt) {
+      parts.push(current.attribs.alt);
+    }
+    current.children.forEach(walk);
+    if (isBlock) {
+      parts.push(' ');
+    }
+  };
+
+  (node.children || []).forEach(walk);
+  return collapseWhitespace(parts.join(''));
+}
+
+/**
+ * All elements in document order, skipping inert <template> content
+ */
+function collectElements(root) {
+  const elements = [];
+
+  const walk = (node) => {
+    if (!DomUtils.isTag(node)) {
+      return;
+    }
+    elements.push(node);
+    if (node.name !== 'template') {
+      node.children.forEach(walk);
+    }
+  };
+
+  root.children.forEach(walk);
+  return elements;
+}
+
+/**
+ * Check whether an element is nested inside a tag
+ */
+function hasAncestor(element, tagName) {
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if (parent.name === tagName) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Nest a flat list of headings into an outline (h3 under the preceding h2, ...)
+ */
+function buildOutline(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  for (const heading of headings) {
+    const node = { level: heading.level, text: heading.text, children: [] };
+    while (stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  }
+
+  return root.children;
+}
+
+/**
+ * Parsed HTML page
+ */
+export class HtmlDocument {
+  /**
+   * @param {string} html - Page HTML (plain text is treated as a body with no markup)
+   */
+  constructor(html = '') {
+    this.root = parseDocument(html || '', { lowerCaseTags: true, lowerCaseAttributeNames: true });
+    this.elements = collectElements(this.root);
+
+    const htmlElement = this.elements.find((el) => el.name === 'html');
+    const bodyElement = this.elements.find((el) => el.name === 'body');
+    const titleElement = this.elements.find((el) => el.name === 'title');
+
+    this.lang = htmlElement?.attribs.lang?.trim() || null;
+    this.title = titleElement ? collapseWhitespace(DomUtils.textContent(titleElement)) : '';
+
+    this.headings = this.elements
+      .filter((el) => HEADING_TAG.test(el.name))
+      .map((el) => ({
+        level: Number(el.name[1]),
+        text: renderedText(el),
+        id: el.attribs.id || null,
+      }));
+    this.outline = buildOutline(this.headings);
+
+    this.meta = this.findAll('meta').map((el) => ({
+      name: el.attribs.name?.toLowerCase() || null,
+      property: el.attribs.property?.toLowerCase() || null,
+      httpEquiv: el.attribs['http-equiv']?.toLowerCase() || null,
+      charset: el.attribs.charset || null,
+      content: el.attribs.content ?? null,
+    }));
+
+    this.links = this.findAll('link').map((el) => ({
+      rel: tokenize(el.attribs.rel),
+      href: el.attribs.href || null,
+      hreflang: el.attribs.hreflang || null,
+      media: el.attribs.media || null,
+      type: el.attribs.type || null,
+    }));
+
+    this.images = this.findAll('img').map((el) => ({
+      src: el.attribs.src || '',
+      alt: el.attribs.alt ?? null,
+      hasAlt: 'alt' in el.attribs,
+      srcset: el.attribs.srcset || null,
+      sizes: el.attribs.sizes || null,
+      loading: el.attribs.loading?.toLowerCase() || null,
+      inPicture: hasAncestor(el, 'picture'),
+    }));
+
+    this.anchors = this.findAll('a').map((el) => ({
+      href: el.attribs.href?.trim() || null,
+      text: renderedText(el),
+      rel: tokenize(el.attribs.rel),
+      target: el.attribs.target || null,
+    }));
+
+    this.scripts = this.findAll('script').map((el) => ({
+      src: el.attribs.src || null,
+      type: el.attribs.type?.toLowerCase() || null,
+      async: 'async' in el.attribs,
+      defer: 'defer' in el.attribs,
+      content: el.attribs.src ? '' : DomUtils.textContent(el),
+    }));
+
+    this.styles = this.findAll('style').map((el) => ({
+      media: el.attribs.media || null,
+      content: DomUtils.textContent(el),
+    }));
+
+    this.forms = this.findAll('form').map((el) => ({
+      action: el.attribs.action?.trim() || null,
+      method: el.attribs.method?.toLowerCase() || 'get',
+    }));
+
+    this.formControls = this.buildFormControls();
+
+    this.text = renderedText(bodyElement || this.root);
+    this.wordCount = this.text ? this.text.split(' ').length : 0;
+  }
+
+  /**
+   * All elements with a tag name, in document order
+   * @param {string|string[]} tagNames - Lowercase tag name(s)
+   * @returns {Array} htmlparser2 elements (name, attribs, children)
+   */
+  findAll(tagNames) {
+    const names = new Set([].concat(tagNames));
+    return this.elements.filter((el) => names.has(el.name));
+  }
+
+  /**
+   * Check whether any element has an attribute
+   * @param {string} attribute - Lowercase attribute name
+   * @returns {boolean}
+   */
+  hasAttribute(attribute) {
+    return this.elements.some((el) => attribute in el.attribs);
+  }
+
+  /**
+   * Content of the first meta tag with this name or property
+   * @param {string} key - e.g. 'description', 'viewport', 'og:title'
+   * @returns {string|null}
+   */
+  getMeta(key) {
+    const wanted = key.toLowerCase();
+    const tag = this.meta.find((meta) => meta.name === wanted || meta.property === wanted);
+    return tag ? (tag.content ?? '') : null;
+  }
+
+  /**
+   * Link tags with a rel token
+   * @param {string} rel - e.g. 'canonical', 'stylesheet', 'preconnect'
+   * @returns {Array}
+   */
+  getLinks(rel) {
+    const wanted = rel.toLowerCase();
+    return this.links.filter((link) => link.rel.includes(wanted));
+  }
+
+  /**
+   * Headings of one level
+   * @param {number} level - 1-6
+   * @returns {string[]} Heading texts
+   */
+  getHeadings(level) {
+    return this.headings.filter((heading) => heading.level === level).map((h) => h.text);
+  }
+
+  /**
+   * Rendered text of an element (alt text of images included, hidden content skipped)
+   * @param {Object} element - htmlparser2 element
+   * @returns {string}
+   */
+  textOf(element) {
+    return renderedText(element);
+  }
+
+  /**
+   * Headings with the text that follows them (sibling content up to the next heading)
+   * @returns {Array} [{ level, text, content }]
+   */
+  getHeadingSections() {
+    const isHeading = (node) => DomUtils.isTag(node) && HEADING_TAG.test(node.name);
+
+    return this.elements.filter(isHeading).map((el) => {
+      const parts = [];
+      for (let node = el.next; node; node = node.next) {
+        if (isHeading(node) || (DomUtils.isTag(node) && DomUtils.findOne(isHeading, [node]))) {
+          break;
+        }
+        parts.push(node.type === 'text' ? node.data : renderedText({ children: [node] }));
+      }
+      return {
+        level: Number(el.name[1]),
+        text: renderedText(el),
+        content: collapseWhitespace(parts.join(' ')),
+      };
+    });
+  }
+
+  /**
+   * Inputs, selects and textareas with whether they have an accessible label
+   * (label[for], wrapping label, aria-label, aria-labelledby or title)
+   */
+  buildFormControls() {
+    const labelledIds = new Set(
+      this.findAll('label')
+        .map((label) => label.attribs.for)
+        .filter(Boolean)
+    );
+
+    return this.findAll(['input', 'select', 'textarea'])
+      .filter((el) => !UNLABELLED_INPUT_TYPES.has(el.attribs.type?.toLowerCase()))
+      .map((el) => ({
+        tag: el.name,
+        type: el.attribs.type?.toLowerCase() || (el.name === 'input' ? 'text' : el.name),
+        id: el.attribs.id || null,
+        name: el.attribs.name || null,
+        hasLabel:
+          labelledIds.has(el.attribs.id) ||
+          hasAncestor(el, 'label') ||
+          Boolean(el.attribs['aria-label']?.trim()) ||
+          Boolean(el.attribs['aria-labelledby']?.trim()) ||
+          Boolean(el.attribs.title?.trim()),
+      }));
+  }
+}
+
+/**
+ * Parse page HTML
+ * @param {string} html - Page HTML
+ * @returns {HtmlDocument} Parsed document
+ */
+export function parseHtmlDocument(html) {
+  return new HtmlDocument(html);
+}
+
+export default {
+  HtmlDocument,
+  parseHtmlDocument,
+};
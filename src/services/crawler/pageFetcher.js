@@ -0,0 +1,423 @@
+/**
+ * Page Fetcher Service
+ *
+ * Downloads a page (or robots.txt/sitemap) with the guard rails a user-supplied URL needs:
+ * - Manual redirect following (chain is recorded, loops and long chains rejected)
+ * - Request timeout and response size limit
+ * - HTML-only responses (non-HTML content is rejected)
+ * - Private/loopback hosts blocked unless explicitly allowed
+ *
+ * @module services/crawler/pageFetcher
+ */
+
+import dns from 'node:dns/promises';
+import net from 'node:net';
+
+/**
+ * MIME types accepted as HTML pages
+ */
+export const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Default fetch limits
+ * contentTypes lists accepted MIME types (null accepts any)
+ */
+export const FETCH_DEFAULTS = {
+  timeoutMs: parseInt(process.env.AUDIT_FETCH_TIMEOUT_MS, 10) || 15000,
+  maxRedirects: 5,
+  maxBytes: parseInt(process.env.AUDIT_FETCH_MAX_BYTES, 10) || 5 * 1024 * 1024, // 5 MB
+  userAgent: process.env.AUDIT_USER_AGENT || 'PrismifyBot/1.0 (+https://prismify.com/bot)',
+  allowPrivateHosts: process.env.AUDIT_ALLOW_PRIVATE_HOSTS === 'true',
+  contentTypes: HTML_CONTENT_TYPES,
+};
+
+/**
+ * Failure codes surfaced to users when a page cannot be audited
+ */
+export const FETCH_ERROR_CODES = {
+  INVALID_URL: 'INVALID_URL',
+  BLOCKED_HOST: 'BLOCKED_HOST',
+  DNS_LOOKUP_FAILED: 'DNS_LOOKUP_FAILED',
+  CONNECTION_FAILED: 'CONNECTION_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  TOO_MANY_REDIRECTS: 'TOO_MANY_REDIRECTS',
+  HTTP_ERROR: 'HTTP_ERROR',
+  NOT_HTML: 'NOT_HTML',
+  TOO_LARGE: 'TOO_LARGE',
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Error thrown when a page cannot be fetched for auditing
+ */
+export class PageFetchError extends Error {
+  /**
+   * @param {string} code - One of FETCH_ERROR_CODES
+   * @param {string} message - Human-readable reason
+   * @param {Object} details - Extra context (status code, final URL, etc.)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'PageFetchError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise non-routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address must not be fetched
+ */
+export function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+
+  if (net.isIPv6(address)) {
+    const normalized = address.toLowerCase();
+    if (normalized.startsWith('::ffff:')) {
+      return isPrivateAddress(normalized.slice(7));
+    }
+    return (
+      normalized === '::' ||
+      normalized === '::1' ||
+      normalized.startsWith('fc') ||
+      normalized.startsWith('fd') ||
+      normalized.startsWith('fe80')
+    );
+  }
+
+  return false;
+}
+
+/**
+ * Resolve a hostname and reject it if it points at a private network
+ * @param {string} hostname - URL hostname (IPv6 literals may keep their brackets)
+ * @param {boolean} allowPrivateHosts - Skip the check (local development and tests)
+ * @throws {PageFetchError} BLOCKED_HOST or DNS_LOOKUP_FAILED
+ */
+export async function assertPublicHost(hostname, allowPrivateHosts) {
+  if (allowPrivateHosts) {
+    return;
+  }
+
+  const bareHost = hostname.replace(/^\[|\]$/g, '');
+  if (bareHost === 'localhost' || bareHost.endsWith('.localhost')) {
+    throw new PageFetchError(FETCH_ERROR_CODES.BLOCKED_HOST, `Host ${hostname} is not allowed`);
+  }
+
+  let addresses;
+  if (net.isIP(bareHost)) {
+    addresses = [{ address: bareHost }];
+  } else {
+    try {
+      addresses = await dns.lookup(bareHost, { all: true });
+    } catch (error) {
+      throw new PageFetchError(
+        FETCH_ERROR_CODES.DNS_LOOKUP_FAILED,
+        `Could not resolve host ${hostname}`,
+        { cause: error.code }
+      );
+    }
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new PageFetchError(
+      FETCH_ERROR_CODES.BLOCKED_HOST,
+      `Host ${hostname} resolves to a private network address`
+    );
+  }
+}
+
+/**
+ * Translate a low-level fetch failure into a PageFetchError
+ */
+function toFetchError(error, url, timeoutMs) {
+  if (error instanceof PageFetchError) {
+    return error;
+  }
+
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return new PageFetchError(
+      FETCH_ERROR_CODES.TIMEOUT,
+      `Timed out after ${timeoutMs}ms fetching ${url}`
+    );
+  }
+
+  const causeCode = error.cause?.code;
+  if (causeCode === 'ENOTFOUND' || causeCode === 'EAI_AGAIN') {
+    return new PageFetchError(
+      FETCH_ERROR_CODES.DNS_LOOKUP_FAILED,
+      `Could not resolve host for ${url}`,
+      { cause: causeCode }
+    );
+  }
+
+  return new PageFetchError(
+    FETCH_ERROR_CODES.CONNECTION_FAILED,
+    `Could not connect to ${url}: ${error.cause?.message || error.message}`,
+    { cause: causeCode }
+  );
+}
+
+/**
+ * Read a response body, aborting once it exceeds maxBytes
+ */
+async function readBody(response, maxBytes, controller) {
+  const declaredLength = parseInt(response.headers.get('content-length'), 10);
+  if (declaredLength > maxBytes) {
+    controller.abort();
+    throw new PageFetchError(
+      FETCH_ERROR_CODES.TOO_LARGE,
+      `Page is ${declaredLength} bytes (limit: ${maxBytes})`
+    );
+  }
+
+  if (!response.body) {
+    return Buffer.alloc(0);
+  }
+
+  const chunks = [];
+  let received = 0;
+  const reader = response.body.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    received += value.byteLength;
+    if (received > maxBytes) {
+      controller.abort();
+      throw new PageFetchError(
+        FETCH_ERROR_CODES.TOO_LARGE,
+        `Page exceeds the ${maxBytes} byte limit`
+      );
+    }
+    chunks.push(value);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a body using the charset from the Content-Type header (UTF-8 fallback)
+ */
+function decodeBody(buffer, contentType) {
+  const charsetMatch = contentType.match(/charset=["']?([\w-]+)/i);
+  try {
+    return new TextDecoder(charsetMatch ? charsetMatch[1] : 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Get the bare MIME type from a Content-Type header
+ */
+function getMimeType(contentType) {
+  return contentType.split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check that a response has one of the accepted content types
+ * Responses without a Content-Type are sniffed when HTML is expected.
+ */
+function isAcceptedResponse(contentType, body, contentTypes) {
+  if (!contentTypes) {
+    return true;
+  }
+  if (!contentType) {
+    return (
+      contentTypes === HTML_CONTENT_TYPES && /^\s*(<!doctype html|<html)/i.test(body.slice(0, 512))
+    );
+  }
+  return contentTypes.includes(getMimeType(contentType));
+}
+
+/**
+ * Fetch a page for auditing
+ *
+ * @param {string} url - Absolute HTTP(S) URL
+ * @param {Object} options - Overrides for FETCH_DEFAULTS
+ * @returns {Promise<Object>} Page data: { requestedUrl, finalUrl, status, headers, cookies
+ *   (raw Set-Cookie values), contentType, html (decoded body), bytes, redirects, timing }
+ * @throws {PageFetchError} When the page cannot be fetched or has an unaccepted content type
+ */
+export async function fetchPage(url, options = {}) {
+  const settings = { ...FETCH_DEFAULTS, ...options };
+  const startedAt = Date.now();
+  const redirects = [];
+  const visited = new Set();
+
+  let currentUrl;
+  try {
+    currentUrl = new URL(url);
+    if (!['http:', 'https:'].includes(currentUrl.protocol)) {
+      throw new Error('Invalid protocol');
+    }
+  } catch {
+    throw new PageFetchError(FETCH_ERROR_CODES.INVALID_URL, `Invalid URL: ${url}`);
+  }
+
+  while (true) {
+    const href = currentUrl.toString();
+    if (visited.has(href)) {
+      throw new PageFetchError(FETCH_ERROR_CODES.TOO_MANY_REDIRECTS, `Redirect loop at ${href}`, {
+        redirects,
+      });
+    }
+    visited.add(href);
+
+    await assertPublicHost(currentUrl.hostname, settings.allowPrivateHosts);
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+    const requestStartedAt = Date.now();
+    let response;
+
+    try {
+      response = await fetch(href, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'User-Agent': settings.userAgent,
+          Accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        },
+      });
+    } catch (error) {
+      clearTimeout(timer);
+      throw toFetchError(error, href, settings.timeoutMs);
+    }
+
+    const ttfbMs = Date.now() - requestStartedAt;
+
+    if (REDIRECT_STATUSES.has(response.status)) {
+      clearTimeout(timer);
+      const location = response.headers.get('location');
+      await response.body?.cancel();
+
+      if (!location) {
+        throw new PageFetchError(
+          FETCH_ERROR_CODES.HTTP_ERROR,
+          `Redirect (${response.status}) from ${href} has no Location header`,
+          { status: response.status }
+        );
+      }
+
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl);
+      } catch {
+        throw new PageFetchError(
+          FETCH_ERROR_CODES.INVALID_URL,
+          `Redirect (${response.status}) from ${href} has an invalid Location: ${location}`,
+          { redirects }
+        );
+      }
+      redirects.push({ url: href, status: response.status, location: nextUrl.toString() });
+
+      if (redirects.length > settings.maxRedirects) {
+        throw new PageFetchError(
+          FETCH_ERROR_CODES.TOO_MANY_REDIRECTS,
+          `More than ${settings.maxRedirects} redirects starting at ${url}`,
+          { redirects }
+        );
+      }
+      if (!['http:', 'https:'].includes(nextUrl.protocol)) {
+        throw new PageFetchError(
+          FETCH_ERROR_CODES.INVALID_URL,
+          `Redirected to unsupported URL: ${nextUrl}`,
+          { redirects }
+        );
+      }
+
+      currentUrl = nextUrl;
+      continue;
+    }
+
+    try {
+      if (response.status >= 400) {
+        await response.body?.cancel();
+        throw new PageFetchError(
+          FETCH_ERROR_CODES.HTTP_ERROR,
+          `Server responded with HTTP ${response.status} for ${href}`,
+          { status: response.status, finalUrl: href, redirects }
+        );
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const expected =
+        settings.contentTypes === HTML_CONTENT_TYPES
+          ? 'an HTML page'
+          : settings.contentTypes?.join(' or ');
+      const unexpectedType = () =>
+        new PageFetchError(
+          FETCH_ERROR_CODES.NOT_HTML,
+          `Expected ${expected} but received ${contentType || 'unknown content type'}`,
+          { status: response.status, finalUrl: href, contentType }
+        );
+
+      // Don't download bodies we already know we will reject
+      if (
+        contentType &&
+        settings.contentTypes &&
+        !settings.contentTypes.includes(getMimeType(contentType))
+      ) {
+        controller.abort();
+        throw unexpectedType();
+      }
+
+      const buffer = await readBody(response, settings.maxBytes, controller);
+      const html = decodeBody(buffer, contentType);
+
+      if (!isAcceptedResponse(contentType, html, settings.contentTypes)) {
+        throw unexpectedType();
+      }
+
+      return {
+        requestedUrl: url,
+        finalUrl: href,
+        status: response.status,
+        headers: Object.fromEntries(response.headers.entries()),
+        // Kept separately: the headers object joins multiple Set-Cookie values with commas
+        cookies: response.headers.getSetCookie?.() ?? [],
+        contentType,
+        html,
+        bytes: buffer.byteLength,
+        redirects,
+        timing: {
+          ttfbMs,
+          totalMs: Date.now() - startedAt,
+        },
+      };
+    } catch (error) {
+      throw toFetchError(error, href, settings.timeoutMs);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default {
+  fetchPage,
+  isPrivateAddress,
+  assertPublicHost,
+  PageFetchError,
+  FETCH_DEFAULTS,
+  FETCH_ERROR_CODES,
+  HTML_CONTENT_TYPES,
+};
@@ -0,0 +1,255 @@
+/**
+ * robots.txt Service
+ *
+ * Parses robots.txt following the Robots Exclusion Protocol (RFC 9309):
+ * - Rules are grouped by User-agent; a crawler uses the most specific matching group
+ *   and falls back to `*`
+ * - The longest matching Allow/Disallow path wins; Allow wins ties
+ * - `*` wildcards and `$` end anchors are supported in paths
+ *
+ * @module services/crawler/robotsTxt
+ */
+
+import { fetchPage, PageFetchError, FETCH_ERROR_CODES } from './pageFetcher.js';
+
+/**
+ * Product token the crawler matches robots.txt groups against
+ */
+export const CRAWLER_USER_AGENT_TOKEN = 'PrismifyBot';
+
+/**
+ * Product token audits check search engine access with
+ */
+export const GOOGLEBOT_USER_AGENT_TOKEN = 'Googlebot';
+
+/**
+ * Parse robots.txt content
+ * @param {string} text - robots.txt body
+ * @returns {Object} { groups: [{ userAgents, rules: [{ type, path, line }], crawlDelay, line }],
+ *   sitemaps, invalidLines }
+ */
+export function parseRobotsTxt(text = '') {
+  const groups = [];
+  const sitemaps = [];
+  const invalidLines = [];
+  let current = null;
+  let lastWasUserAgent = false;
+
+  text.split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) {
+      return;
+    }
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      invalidLines.push({ line: lineNumber, content: rawLine.trim() });
+      return;
+    }
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    switch (key) {
+      case 'user-agent':
+        // Consecutive User-agent lines share one group
+        if (!current || !lastWasUserAgent) {
+          current = { userAgents: [], rules: [], crawlDelay: null, line: lineNumber };
+          groups.push(current);
+        }
+        current.userAgents.push(value.toLowerCase());
+        lastWasUserAgent = true;
+        return;
+      case 'allow':
+      case 'disallow':
+        if (!current) {
+          invalidLines.push({ line: lineNumber, content: rawLine.trim() });
+          break;
+        }
+        // An empty Disallow allows everything and carries no rule
+        if (value) {
+          current.rules.push({ type: key, path: value, line: lineNumber });
+        }
+        break;
+      case 'crawl-delay': {
+        const delay = parseFloat(value);
+        if (current && !Number.isNaN(delay)) {
+          current.crawlDelay = delay;
+        }
+        break;
+      }
+      case 'sitemap':
+        if (value) {
+          sitemaps.push(value);
+        }
+        break;
+      default:
+        // Unknown directives (Host, Noindex, ...) are ignored without ending the group
+        invalidLines.push({ line: lineNumber, content: rawLine.trim() });
+        return;
+    }
+
+    lastWasUserAgent = false;
+  });
+
+  return { groups, sitemaps, invalidLines };
+}
+
+/**
+ * Find the rules that apply to a user agent
+ * @param {Object} robots - Output of parseRobotsTxt
+ * @param {string} userAgent - Crawler product token (e.g. Googlebot)
+ * @returns {Object} { rules, crawlDelay, matchedAgent } - matchedAgent is null if no group applies
+ */
+export function getRulesForAgent(robots, userAgent) {
+  const token = userAgent.toLowerCase();
+  let bestAgent = null;
+
+  for (const group of robots.groups) {
+    for (const agent of group.userAgents) {
+      // Longer agent names are more specific (e.g. googlebot-news over googlebot)
+      const matches = agent !== '*' && token.startsWith(agent);
+      if (matches && (!bestAgent || agent.length > bestAgent.length)) {
+        bestAgent = agent;
+      }
+    }
+  }
+
+  const matchedAgent =
+    bestAgent || (robots.groups.some((group) => group.userAgents.includes('*')) ? '*' : null);
+
+  const groups = robots.groups.filter((group) => group.userAgents.includes(matchedAgent));
+  return {
+    rules: groups.flatMap((group) => group.rules),
+    crawlDelay: groups.find((group) => group.crawlDelay !== null)?.crawlDelay ?? null,
+    matchedAgent,
+  };
+}
+
+/**
+ * Convert a robots.txt path pattern into a RegExp
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Find the rule that decides whether a path may be crawled
+ * @param {Array} rules - Rules for the agent (from getRulesForAgent)
+ * @param {string} path - URL path including query string
+ * @returns {Object|null} Deciding rule or null if no rule matches
+ */
+export function findMatchingRule(rules, path) {
+  let decidingRule = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) {
+      continue;
+    }
+    const longer = !decidingRule || rule.path.length > decidingRule.path.length;
+    const allowWinsTie =
+      decidingRule && rule.path.length === decidingRule.path.length && rule.type === 'allow';
+    if (longer || allowWinsTie) {
+      decidingRule = rule;
+    }
+  }
+
+  return decidingRule;
+}
+
+/**
+ * Explain whether a URL may be crawled and which rule decided it
+ * @param {Object} robots - Output of parseRobotsTxt (null means no robots.txt: allow all)
+ * @param {string} url - Absolute URL or path
+ * @param {string} userAgent - Crawler product token
+ * @returns {Object} { allowed, rule: { type, path, line } | null, matchedAgent }
+ */
+export function checkRobotsAccess(robots, url, userAgent = CRAWLER_USER_AGENT_TOKEN) {
+  if (!robots) {
+    return { allowed: true, rule: null, matchedAgent: null };
+  }
+
+  const parsed = new URL(url, 'http://robots.invalid');
+  const path = `${parsed.pathname}${parsed.search}`;
+  const { rules, matchedAgent } = getRulesForAgent(robots, userAgent);
+
+  // robots.txt itself is always fetchable
+  if (parsed.pathname === '/robots.txt') {
+    return { allowed: true, rule: null, matchedAgent };
+  }
+
+  const rule = findMatchingRule(rules, path);
+  return { allowed: !rule || rule.type === 'allow', rule, matchedAgent };
+}
+
+/**
+ * Check whether a URL may be crawled
+ * @param {Object} robots - Output of parseRobotsTxt (null means no robots.txt: allow all)
+ * @param {string} url - Absolute URL or path
+ * @param {string} userAgent - Crawler product token
+ * @returns {boolean} True if crawling is allowed
+ */
+export function isAllowed(robots, url, userAgent = CRAWLER_USER_AGENT_TOKEN) {
+  return checkRobotsAccess(robots, url, userAgent).allowed;
+}
+
+/**
+ * Fetch and parse a site's robots.txt
+ *
+ * Per RFC 9309 a missing robots.txt (4xx) allows everything, while server errors
+ * mean the site should be treated as fully disallowed.
+ *
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} fetchOptions - Overrides passed to fetchPage
+ * @returns {Promise<Object>} { url, found, status, robots, disallowAll, text }
+ */
+export async function fetchRobotsTxt(siteUrl, fetchOptions = {}) {
+  const robotsUrl = new URL('/robots.txt', siteUrl).toString();
+
+  try {
+    const response = await fetchPage(robotsUrl, {
+      maxBytes: 500 * 1024, // Google ignores anything past 500 KiB
+      ...fetchOptions,
+      contentTypes: null,
+    });
+
+    return {
+      url: robotsUrl,
+      found: true,
+      status: response.status,
+      robots: parseRobotsTxt(response.html),
+      disallowAll: false,
+      text: response.html,
+    };
+  } catch (error) {
+    if (error instanceof PageFetchError && error.code === FETCH_ERROR_CODES.HTTP_ERROR) {
+      const status = error.details.status;
+      return {
+        url: robotsUrl,
+        found: false,
+        status,
+        robots: null,
+        disallowAll: status >= 500,
+        text: null,
+      };
+    }
+    throw error;
+  }
+}
+
+export default {
+  parseRobotsTxt,
+  getRulesForAgent,
+  findMatchingRule,
+  checkRobotsAccess,
+  isAllowed,
+  fetchRobotsTxt,
+  CRAWLER_USER_AGENT_TOKEN,
+  GOOGLEBOT_USER_AGENT_TOKEN,
+};
@@ -0,0 +1,584 @@
+/**
+ * Security Headers Service
+ *
+ * Scores the security-relevant response headers of an audited page:
+ * - Strict-Transport-Security (max-age, includeSubDomains, preload)
+ * - Content-Security-Policy quality (unsafe-inline/eval, wildcards, object-src, base-uri)
+ * - X-Content-Type-Options
+ * - Clickjacking protection (CSP frame-ancestors or X-Frame-Options)
+ * - Referrer-Policy and Permissions-Policy
+ * - Set-Cookie flags (Secure, HttpOnly, SameSite)
+ *
+ * Every finding carries a stable code, a category and the header value we suggest.
+ *
+ * @module services/crawler/securityHeaders
+ */
+
+/**
+ * Finding codes for header and cookie problems
+ */
+export const SECURITY_HEADER_CODES = {
+  HSTS_MISSING: 'HSTS_MISSING',
+  HSTS_INVALID: 'HSTS_INVALID',
+  HSTS_SHORT_MAX_AGE: 'HSTS_SHORT_MAX_AGE',
+  HSTS_NO_SUBDOMAINS: 'HSTS_NO_SUBDOMAINS',
+  HSTS_NOT_PRELOADED: 'HSTS_NOT_PRELOADED',
+  HSTS_PRELOAD_INELIGIBLE: 'HSTS_PRELOAD_INELIGIBLE',
+  CSP_MISSING: 'CSP_MISSING',
+  CSP_REPORT_ONLY: 'CSP_REPORT_ONLY',
+  CSP_UNSAFE_INLINE: 'CSP_UNSAFE_INLINE',
+  CSP_UNSAFE_EVAL: 'CSP_UNSAFE_EVAL',
+  CSP_WILDCARD_SOURCE: 'CSP_WILDCARD_SOURCE',
+  CSP_MISSING_OBJECT_SRC: 'CSP_MISSING_OBJECT_SRC',
+  CSP_MISSING_BASE_URI: 'CSP_MISSING_BASE_URI',
+  CONTENT_TYPE_OPTIONS_MISSING: 'CONTENT_TYPE_OPTIONS_MISSING',
+  FRAME_PROTECTION_MISSING: 'FRAME_PROTECTION_MISSING',
+  FRAME_OPTIONS_INVALID: 'FRAME_OPTIONS_INVALID',
+  REFERRER_POLICY_MISSING: 'REFERRER_POLICY_MISSING',
+  REFERRER_POLICY_WEAK: 'REFERRER_POLICY_WEAK',
+  PERMISSIONS_POLICY_MISSING: 'PERMISSIONS_POLICY_MISSING',
+  COOKIE_MISSING_SECURE: 'COOKIE_MISSING_SECURE',
+  COOKIE_MISSING_HTTPONLY: 'COOKIE_MISSING_HTTPONLY',
+  COOKIE_MISSING_SAMESITE: 'COOKIE_MISSING_SAMESITE',
+  COOKIE_SAMESITE_NONE_INSECURE: 'COOKIE_SAMESITE_NONE_INSECURE',
+};
+
+/**
+ * Header values suggested in findings
+ */
+export const SUGGESTED_HEADERS = {
+  'strict-transport-security': 'max-age=31536000; includeSubDomains; preload',
+  'content-security-policy':
+    "default-src 'self'; script-src 'self'; object-src 'none'; base-uri 'self'; frame-ancestors 'self'",
+  'x-content-type-options': 'nosniff',
+  'x-frame-options': 'SAMEORIGIN',
+  'referrer-policy': 'strict-origin-when-cross-origin',
+  'permissions-policy': 'camera=(), microphone=(), geolocation=(), interest-cohort=()',
+};
+
+// HSTS max-age below 180 days is too short to protect returning visitors
+const HSTS_MIN_MAX_AGE = 15552000;
+// hstspreload.org requires at least one year
+const HSTS_PRELOAD_MAX_AGE = 31536000;
+
+const WEAK_REFERRER_POLICIES = new Set(['unsafe-url', 'no-referrer-when-downgrade']);
+const VALID_REFERRER_POLICIES = new Set([
+  'no-referrer',
+  'no-referrer-when-downgrade',
+  'origin',
+  'origin-when-cross-origin',
+  'same-origin',
+  'strict-origin',
+  'strict-origin-when-cross-origin',
+  'unsafe-url',
+]);
+
+/**
+ * Points per check (30 for headers, 5 for cookies)
+ */
+export const HEADER_POINTS = {
+  hsts: 8,
+  csp: 8,
+  contentTypeOptions: 4,
+  framing: 4,
+  referrerPolicy: 3,
+  permissionsPolicy: 3,
+  cookies: 5,
+};
+
+/**
+ * Parse Strict-Transport-Security
+ * @param {string} value - Header value
+ * @returns {Object|null} { maxAge, includeSubDomains, preload } or null if max-age is missing
+ */
+export function parseHsts(value) {
+  const directives = value
+    .split(';')
+    .map((part) => part.trim().toLowerCase())
+    .filter(Boolean);
+  const maxAge = directives
+    .find((d) => d.startsWith('max-age'))
+    ?.match(/^max-age\s*=\s*"?(\d+)"?$/);
+
+  if (!maxAge) {
+    return null;
+  }
+  return {
+    maxAge: Number(maxAge[1]),
+    includeSubDomains: directives.includes('includesubdomains'),
+    preload: directives.includes('preload'),
+  };
+}
+
+/**
+ * Parse a Content-Security-Policy into directives
+ * When several policies are comma-joined only the first is read.
+ * @param {string} value - Header value
+ * @returns {Map<string, string[]>} Directive name -> source list (lowercase)
+ */
+export function parseCsp(value) {
+  const directives = new Map();
+  for (const part of value.split(',')[0].split(';')) {
+    const [name, ...sources] = part.trim().toLowerCase().split(/\s+/);
+    if (name && !directives.has(name)) {
+      directives.set(name, sources);
+    }
+  }
+  return directives;
+}
+
+/**
+ * Parse Set-Cookie headers
+ * @param {string[]} cookies - Raw Set-Cookie values
+ * @returns {Array} [{ name, secure, httpOnly, sameSite }]
+ */
+export function parseSetCookies(cookies) {
+  return cookies.map((cookie) => {
+    const [pair, ...attributes] = cookie.split(';').map((part) => part.trim());
+    const flags = new Map(
+      attributes.map((attribute) => {
+        const [key, ...rest] = attribute.split('=');
+        return [key.trim().toLowerCase(), rest.join('=').trim().toLowerCase()];
+      })
+    );
+    return {
+      name: pair.split('=')[0].trim(),
+      secure: flags.has('secure'),
+      httpOnly: flags.has('httponly'),
+      sameSite: flags.get('samesite') || null,
+    };
+  });
+}
+
+/**
+ * Build a finding with the suggested header value as the recommendation text
+ */
+function finding(severity, code, category, message, header, details = {}) {
+  const suggested = SUGGESTED_HEADERS[header];
+  return {
+    severity,
+    code,
+    message,
+    ...(suggested && { description: `Suggested header: ${headerName(header)}: ${suggested}` }),
+    details: {
+      category,
+      header: headerName(header),
+      suggested_value: suggested || null,
+      ...details,
+    },
+  };
+}
+
+function headerName(header) {
+  return header.replace(/(^|-)([a-z])/g, (_, dash, letter) => dash + letter.toUpperCase());
+}
+
+function checkHsts(value, result) {
+  if (!value) {
+    result.issues.push(
+      finding(
+        'high',
+        SECURITY_HEADER_CODES.HSTS_MISSING,
+        'transport',
+        'Missing Strict-Transport-Security header - browsers may still connect over HTTP',
+        'strict-transport-security'
+      )
+    );
+    return;
+  }
+
+  const hsts = parseHsts(value);
+  if (!hsts) {
+    result.issues.push(
+      finding(
+        'high',
+        SECURITY_HEADER_CODES.HSTS_INVALID,
+        'transport',
+        'Strict-Transport-Security has no valid max-age and is ignored',
+        'strict-transport-security',
+        { value }
+      )
+    );
+    return;
+  }
+
+  if (hsts.maxAge < HSTS_MIN_MAX_AGE) {
+    result.score += 3;
+    result.issues.push(
+      finding(
+        'medium',
+        SECURITY_HEADER_CODES.HSTS_SHORT_MAX_AGE,
+        'transport',
+        `HSTS max-age is ${hsts.maxAge} seconds - use at least 6 months (15552000)`,
+        'strict-transport-security',
+        { value }
+      )
+    );
+  } else {
+    result.score += 6;
+    result.passed.push('Strict-Transport-Security is enabled');
+  }
+
+  if (hsts.includeSubDomains) {
+    result.score += 1;
+  } else {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.HSTS_NO_SUBDOMAINS,
+        'transport',
+        'HSTS does not include subdomains (includeSubDomains)',
+        'strict-transport-security',
+        { value }
+      )
+    );
+  }
+
+  const preloadable = hsts.maxAge >= HSTS_PRELOAD_MAX_AGE && hsts.includeSubDomains;
+  if (hsts.preload && preloadable) {
+    result.score += 1;
+    result.passed.push('HSTS is eligible for the browser preload list');
+  } else if (hsts.preload) {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.HSTS_PRELOAD_INELIGIBLE,
+        'transport',
+        'HSTS preload needs max-age of at least one year and includeSubDomains',
+        'strict-transport-security',
+        { value }
+      )
+    );
+  } else {
+    result.issues.push(
+      finding(
+        'info',
+        SECURITY_HEADER_CODES.HSTS_NOT_PRELOADED,
+        'transport',
+        'HSTS has no preload directive - first visits are not protected',
+        'strict-transport-security',
+        { value }
+      )
+    );
+  }
+}
+
+function checkCsp(headers, result) {
+  const enforced = headers['content-security-policy'];
+  const reportOnly = headers['content-security-policy-report-only'];
+
+  if (!enforced) {
+    result.issues.push(
+      reportOnly
+        ? finding(
+            'low',
+            SECURITY_HEADER_CODES.CSP_REPORT_ONLY,
+            'content',
+            'Content-Security-Policy is report-only and does not block anything yet',
+            'content-security-policy',
+            { value: reportOnly }
+          )
+        : finding(
+            'medium',
+            SECURITY_HEADER_CODES.CSP_MISSING,
+            'content',
+            'Missing Content-Security-Policy header - no protection against injected scripts',
+            'content-security-policy'
+          )
+    );
+    return null;
+  }
+
+  const csp = parseCsp(enforced);
+  const scriptSources = csp.get('script-src') || csp.get('default-src');
+  const weaknesses = [];
+
+  if (scriptSources) {
+    // Nonces, hashes and strict-dynamic make browsers ignore 'unsafe-inline'
+    const hasStrictSource = scriptSources.some(
+      (source) => /^'(nonce-|sha(256|384|512)-)/.test(source) || source === "'strict-dynamic'"
+    );
+    if (scriptSources.includes("'unsafe-inline'") && !hasStrictSource) {
+      weaknesses.push([
+        SECURITY_HEADER_CODES.CSP_UNSAFE_INLINE,
+        "CSP allows inline scripts ('unsafe-inline') - use nonces or hashes",
+      ]);
+    }
+    if (scriptSources.includes("'unsafe-eval'")) {
+      weaknesses.push([SECURITY_HEADER_CODES.CSP_UNSAFE_EVAL, "CSP allows eval() ('unsafe-eval')"]);
+    }
+    if (scriptSources.some((source) => ['*', 'http:', 'https:', 'data:'].includes(source))) {
+      weaknesses.push([
+        SECURITY_HEADER_CODES.CSP_WILDCARD_SOURCE,
+        'CSP script sources include a wildcard or whole scheme (*, http:, https:, data:)',
+      ]);
+    }
+  } else {
+    weaknesses.push([
+      SECURITY_HEADER_CODES.CSP_UNSAFE_INLINE,
+      'CSP has no script-src or default-src, so scripts are not restricted',
+    ]);
+  }
+
+  for (const [code, message] of weaknesses) {
+    result.issues.push(
+      finding('medium', code, 'content', message, 'content-security-policy', { value: enforced })
+    );
+  }
+
+  const defaultNone = csp.get('default-src')?.includes("'none'");
+  if (!csp.has('object-src') && !defaultNone) {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.CSP_MISSING_OBJECT_SRC,
+        'content',
+        "CSP does not set object-src 'none' (plugins can load scripts)",
+        'content-security-policy',
+        { value: enforced }
+      )
+    );
+  }
+  if (!csp.has('base-uri')) {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.CSP_MISSING_BASE_URI,
+        'content',
+        'CSP does not restrict base-uri (injected <base> tags can redirect relative scripts)',
+        'content-security-policy',
+        { value: enforced }
+      )
+    );
+  }
+
+  result.score += Math.max(2, HEADER_POINTS.csp - weaknesses.length * 3);
+  if (weaknesses.length === 0) {
+    result.passed.push('Content-Security-Policy restricts script sources');
+  }
+  return csp;
+}
+
+function checkFraming(headers, csp, result) {
+  const frameAncestors = csp?.get('frame-ancestors');
+  const frameOptions = headers['x-frame-options']?.trim().toUpperCase();
+
+  if (frameAncestors && frameAncestors.length > 0 && !frameAncestors.includes('*')) {
+    result.score += HEADER_POINTS.framing;
+    result.passed.push('Clickjacking protection via CSP frame-ancestors');
+  } else if (frameOptions === 'DENY' || frameOptions === 'SAMEORIGIN') {
+    result.score += HEADER_POINTS.framing;
+    result.passed.push(`Clickjacking protection via X-Frame-Options: ${frameOptions}`);
+  } else if (frameOptions) {
+    result.score += 1;
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.FRAME_OPTIONS_INVALID,
+        'framing',
+        `X-Frame-Options "${frameOptions}" is not supported by browsers - use DENY or SAMEORIGIN`,
+        'x-frame-options',
+        { value: headers['x-frame-options'] }
+      )
+    );
+  } else {
+    result.issues.push(
+      finding(
+        'medium',
+        SECURITY_HEADER_CODES.FRAME_PROTECTION_MISSING,
+        'framing',
+        'Page can be framed by other sites (no X-Frame-Options or CSP frame-ancestors)',
+        'x-frame-options'
+      )
+    );
+  }
+}
+
+function checkReferrerPolicy(value, result) {
+  // Browsers use the last policy they understand from a comma-separated list
+  const policy = value
+    ?.split(',')
+    .map((token) => token.trim().toLowerCase())
+    .filter((token) => VALID_REFERRER_POLICIES.has(token))
+    .pop();
+
+  if (!policy) {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.REFERRER_POLICY_MISSING,
+        'privacy',
+        'Missing Referrer-Policy header',
+        'referrer-policy'
+      )
+    );
+  } else if (WEAK_REFERRER_POLICIES.has(policy)) {
+    result.score += 1;
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.REFERRER_POLICY_WEAK,
+        'privacy',
+        `Referrer-Policy "${policy}" leaks full URLs to other sites`,
+        'referrer-policy',
+        { value }
+      )
+    );
+  } else {
+    result.score += HEADER_POINTS.referrerPolicy;
+    result.passed.push(`Referrer-Policy is set (${policy})`);
+  }
+}
+
+function checkCookies(cookies, https, result) {
+  const parsed = parseSetCookies(cookies);
+  const names = (list) => list.map((cookie) => cookie.name);
+  const problems = [];
+
+  const insecure = parsed.filter((cookie) => https && !cookie.secure);
+  const sameSiteNoneInsecure = parsed.filter(
+    (cookie) => cookie.sameSite === 'none' && !cookie.secure
+  );
+  const noHttpOnly = parsed.filter((cookie) => !cookie.httpOnly);
+  const noSameSite = parsed.filter((cookie) => !cookie.sameSite);
+
+  if (insecure.length > 0) {
+    problems.push([
+      'medium',
+      SECURITY_HEADER_CODES.COOKIE_MISSING_SECURE,
+      `${insecure.length} cookies are sent without the Secure flag`,
+      insecure,
+    ]);
+  }
+  if (sameSiteNoneInsecure.length > 0) {
+    problems.push([
+      'medium',
+      SECURITY_HEADER_CODES.COOKIE_SAMESITE_NONE_INSECURE,
+      `${sameSiteNoneInsecure.length} cookies use SameSite=None without Secure (browsers reject them)`,
+      sameSiteNoneInsecure,
+    ]);
+  }
+  if (noHttpOnly.length > 0) {
+    problems.push([
+      'low',
+      SECURITY_HEADER_CODES.COOKIE_MISSING_HTTPONLY,
+      `${noHttpOnly.length} cookies are readable by scripts (no HttpOnly flag)`,
+      noHttpOnly,
+    ]);
+  }
+  if (noSameSite.length > 0) {
+    problems.push([
+      'low',
+      SECURITY_HEADER_CODES.COOKIE_MISSING_SAMESITE,
+      `${noSameSite.length} cookies have no SameSite attribute`,
+      noSameSite,
+    ]);
+  }
+
+  for (const [severity, code, message, affected] of problems) {
+    result.issues.push({
+      severity,
+      code,
+      message,
+      description: 'Suggested cookie attributes: Secure; HttpOnly; SameSite=Lax',
+      details: {
+        category: 'cookies',
+        header: 'Set-Cookie',
+        suggested_value: 'Secure; HttpOnly; SameSite=Lax',
+        cookies: names(affected),
+      },
+    });
+  }
+
+  result.score += Math.max(0, HEADER_POINTS.cookies - problems.length * 2);
+  if (parsed.length > 0 && problems.length === 0) {
+    result.passed.push('Cookies use Secure, HttpOnly and SameSite');
+  }
+}
+
+/**
+ * Score security headers and cookie flags (0-35 points)
+ * @param {Object} headers - Response headers (lowercase names)
+ * @param {Object} options - Options
+ * @param {string[]} options.cookies - Raw Set-Cookie values
+ * @param {boolean} options.https - Whether the page was served over HTTPS (HSTS only applies then)
+ * @returns {Object} { score, max_score, issues, passed, summary: { header: value|null } }
+ */
+export function analyzeSecurityHeaders(headers = {}, { cookies = [], https = true } = {}) {
+  const result = { score: 0, issues: [], passed: [] };
+  const maxScore = Object.values(HEADER_POINTS).reduce((sum, points) => sum + points, 0);
+
+  if (https) {
+    checkHsts(headers['strict-transport-security'], result);
+  }
+
+  const csp = checkCsp(headers, result);
+
+  if (headers['x-content-type-options']?.trim().toLowerCase() === 'nosniff') {
+    result.score += HEADER_POINTS.contentTypeOptions;
+    result.passed.push('X-Content-Type-Options: nosniff is set');
+  } else {
+    result.issues.push(
+      finding(
+        'medium',
+        SECURITY_HEADER_CODES.CONTENT_TYPE_OPTIONS_MISSING,
+        'content',
+        'Missing X-Content-Type-Options: nosniff (browsers may MIME-sniff responses)',
+        'x-content-type-options'
+      )
+    );
+  }
+
+  checkFraming(headers, csp, result);
+  checkReferrerPolicy(headers['referrer-policy'], result);
+
+  if (headers['permissions-policy']) {
+    result.score += HEADER_POINTS.permissionsPolicy;
+    result.passed.push('Permissions-Policy restricts browser features');
+  } else {
+    result.issues.push(
+      finding(
+        'low',
+        SECURITY_HEADER_CODES.PERMISSIONS_POLICY_MISSING,
+        'privacy',
+        headers['feature-policy']
+          ? 'Feature-Policy is deprecated - replace it with Permissions-Policy'
+          : 'Missing Permissions-Policy header (camera, microphone, geolocation, ...)',
+        'permissions-policy'
+      )
+    );
+  }
+
+  checkCookies(cookies, https, result);
+
+  const summary = {};
+  for (const header of [
+    'strict-transport-security',
+    'content-security-policy',
+    'content-security-policy-report-only',
+    'x-content-type-options',
+    'x-frame-options',
+    'referrer-policy',
+    'permissions-policy',
+  ]) {
+    summary[header] = headers[header] ?? null;
+  }
+
+  return {
+    score: result.score,
+    max_score: https ? maxScore : maxScore - HEADER_POINTS.hsts,
+    issues: result.issues,
+    passed: result.passed,
+    summary: { ...summary, cookies: cookies.length },
+  };
+}
+
+export default {
+  analyzeSecurityHeaders,
+  parseHsts,
+  parseCsp,
+  parseSetCookies,
+  SECURITY_HEADER_CODES,
+  SUGGESTED_HEADERS,
+  HEADER_POINTS,
+};
@@ -0,0 +1,340 @@
+/**
+ * Site Crawler Service
+ *
+ * Breadth-first crawl of a site starting from a seed URL:
+ * - Follows same-origin links found by SEOAgent.extractContentInfo
+ * - Respects robots.txt (PrismifyBot group, falling back to *) and Crawl-delay
+ * - Stops at the page cap; pages listed only in the sitemap are crawled last so
+ *   orphan pages can be detected
+ * - Runs the 7-component audit on every HTML page
+ *
+ * @module services/crawler/siteCrawler
+ */
+
+import { fetchPage, PageFetchError, FETCH_ERROR_CODES } from './pageFetcher.js';
+import { isAllowed, getRulesForAgent, CRAWLER_USER_AGENT_TOKEN } from './robotsTxt.js';
+import { loadRobotsTxt, inspectSiteIndexing } from './siteIndexing.js';
+import { inspectTls } from './tlsInspector.js';
+import { auditFetchedPage, extractPageInfo, toAuditFailure } from '../auditRunner.js';
+
+/**
+ * Crawl defaults
+ */
+export const CRAWL_DEFAULTS = {
+  maxPages: 25,
+  maxDepth: 10,
+  delayMs: parseInt(process.env.CRAWL_DELAY_MS, 10) || 250,
+  maxCrawlDelayMs: 10000, // Cap on robots.txt Crawl-delay
+  recommendationsPerPage: 10,
+};
+
+// Links to these are assets/documents, not pages
+const NON_PAGE_EXTENSIONS =
+  /\.(pdf|jpe?g|png|gif|webp|avif|svg|ico|css|js|mjs|json|xml|txt|csv|zip|gz|rar|mp3|mp4|webm|mov|woff2?|ttf|eot|docx?|xlsx?|pptx?)$/i;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolve a link against its page and normalize it for de-duplication
+ * @param {string} href - Link href
+ * @param {string} baseUrl - URL of the page the link appears on
+ * @returns {string|null} Absolute URL without fragment, or null if not an HTTP(S) link
+ */
+export function normalizeUrl(href, baseUrl) {
+  if (!href || /^(mailto|tel|javascript|data):/i.test(href.trim())) {
+    return null;
+  }
+
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return null;
+    }
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a URL is a crawlable page on the given origin
+ */
+function isInternalPage(url, origin) {
+  const parsed = new URL(url);
+  return parsed.origin === origin && !NON_PAGE_EXTENSIONS.test(parsed.pathname);
+}
+
+/**
+ * Build the stored record for an audited page
+ */
+function toPageRecord({ url, depth, page, outcome, info, links, inSitemap, recommendationsLimit }) {
+  const { results } = outcome;
+  const recommendations = results.recommendations;
+
+  return {
+    url,
+    final_url: page.finalUrl,
+    depth,
+    status: 'completed',
+    http_status: page.status,
+    overall_score: results.overall_score,
+    grade: results.grade,
+    scores: {
+      meta: results.meta_score,
+      content: results.content_score,
+      technical: results.technical_score,
+      mobile: results.mobile_score,
+      performance: results.performance_score,
+      security: results.security_score,
+      accessibility: results.accessibility_score,
+    },
+    title: info.title || null,
+    description: info.description || null,
+    word_count: info.wordCount,
+    critical_issues: recommendations.filter((rec) => rec.severity === 'critical').length,
+    issue_count: recommendations.length,
+    recommendations: recommendations.slice(0, recommendationsLimit),
+    links,
+    in_sitemap: inSitemap,
+    failure: null,
+  };
+}
+
+/**
+ * Crawl and audit a site
+ *
+ * @param {string} seedUrl - Page to start from
+ * @param {Object} options - Options
+ * @param {number} options.maxPages - Page cap (tier limit)
+ * @param {number} options.maxDepth - Maximum link depth from the seed
+ * @param {number} options.delayMs - Delay between requests (raised to robots.txt Crawl-delay)
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @param {Function} options.onPage - Called with (pageRecord, pagesCrawled) after each page
+ * @param {Function} options.isCancelled - Async check run before each page; true stops the crawl
+ * @returns {Promise<Object>} Crawl result: { seed_url, origin, pages, blocked_by_robots, skipped,
+ *   sitemap, robots, stopped_reason, started_at, finished_at }
+ */
+export async function crawlSite(
+  seedUrl,
+  {
+    maxPages = CRAWL_DEFAULTS.maxPages,
+    maxDepth = CRAWL_DEFAULTS.maxDepth,
+    delayMs = CRAWL_DEFAULTS.delayMs,
+    fetchOptions = {},
+    onPage,
+    isCancelled,
+  } = {}
+) {
+  const startedAt = new Date().toISOString();
+  const seed = normalizeUrl(seedUrl);
+  if (!seed) {
+    throw new PageFetchError(FETCH_ERROR_CODES.INVALID_URL, `Invalid URL: ${seedUrl}`);
+  }
+
+  const loadRobots = (siteOrigin) => loadRobotsTxt(siteOrigin, fetchOptions);
+
+  // Follow the seed's redirects (http -> https, apex -> www) to find the site's origin
+  let origin = new URL(seed).origin;
+  let robotsResult = await loadRobots(origin);
+  let seedResult = null;
+
+  if (!robotsResult.disallowAll && isAllowed(robotsResult.robots, seed)) {
+    seedResult = await fetchPage(seed, fetchOptions).then(
+      (page) => ({ page }),
+      (error) => ({ error })
+    );
+    const finalOrigin = seedResult.page && new URL(seedResult.page.finalUrl).origin;
+    if (finalOrigin && finalOrigin !== origin) {
+      origin = finalOrigin;
+      robotsResult = await loadRobots(origin);
+    }
+  }
+
+  const robots = robotsResult.robots;
+  const robotsDelay = robots
+    ? (getRulesForAgent(robots, CRAWLER_USER_AGENT_TOKEN).crawlDelay ?? 0) * 1000
+    : 0;
+  const requestDelay = Math.min(Math.max(delayMs, robotsDelay), CRAWL_DEFAULTS.maxCrawlDelayMs);
+  const canCrawl = (url) => !robotsResult.disallowAll && isAllowed(robots, url);
+
+  // Sitemap URLs are used to find orphans and to fill the crawl once links run out;
+  // the same robots.txt/sitemap data feeds every page's technical score
+  const siteIndexing = await inspectSiteIndexing(origin, { fetchOptions, robotsResult });
+  const sitemapUrls = new Set(
+    siteIndexing.urls
+      .map((url) => normalizeUrl(url))
+      .filter((url) => url && isInternalPage(url, origin))
+  );
+  // Every page is served by the same host, so the certificate is checked once
+  const tlsInfo = await inspectTls(origin, {
+    ...(fetchOptions.allowPrivateHosts !== undefined && {
+      allowPrivateHosts: fetchOptions.allowPrivateHosts,
+    }),
+  });
+
+  const pages = [];
+  const blockedByRobots = [];
+  const skipped = [];
+  const seen = new Set([seed]);
+  const auditedUrls = new Set();
+  const queue = [{ url: seed, depth: 0 }];
+  let stoppedReason = 'completed';
+  let sitemapQueued = false;
+  let requests = seedResult ? 1 : 0;
+
+  while (pages.length < maxPages) {
+    if (queue.length === 0) {
+      if (sitemapQueued) {
+        break;
+      }
+      // Links are exhausted; audit sitemap pages nothing linked to
+      sitemapQueued = true;
+      for (const url of sitemapUrls) {
+        if (!seen.has(url)) {
+          seen.add(url);
+          queue.push({ url, depth: null });
+        }
+      }
+      continue;
+    }
+
+    if (isCancelled && (await isCancelled())) {
+      stoppedReason = 'cancelled';
+      break;
+    }
+
+    const { url, depth } = queue.shift();
+
+    if (!canCrawl(url)) {
+      blockedByRobots.push(url);
+      continue;
+    }
+
+    let page;
+    try {
+      if (url === seed && seedResult) {
+        // Already fetched while resolving the origin
+        if (seedResult.error) {
+          throw seedResult.error;
+        }
+        page = seedResult.page;
+      } else {
+        if (requests > 0 && requestDelay > 0) {
+          await sleep(requestDelay);
+        }
+        requests++;
+        page = await fetchPage(url, fetchOptions);
+      }
+    } catch (error) {
+      if (!(error instanceof PageFetchError)) {
+        throw error;
+      }
+      if (error.code === FETCH_ERROR_CODES.NOT_HTML) {
+        skipped.push({ url, reason: 'not_html' });
+        continue;
+      }
+
+      const record = {
+        url,
+        final_url: error.details?.finalUrl || null,
+        depth,
+        status: 'failed',
+        http_status: error.details?.status || null,
+        links: [],
+        in_sitemap: sitemapUrls.has(url),
+        failure: toAuditFailure(error),
+      };
+      pages.push(record);
+      await onPage?.(record, pages.length);
+      continue;
+    }
+
+    if (new URL(page.finalUrl).origin !== origin) {
+      skipped.push({ url, reason: 'redirects_offsite', final_url: page.finalUrl });
+      continue;
+    }
+    if (auditedUrls.has(page.finalUrl)) {
+      skipped.push({ url, reason: 'duplicate_redirect', final_url: page.finalUrl });
+      continue;
+    }
+    auditedUrls.add(page.finalUrl);
+    seen.add(page.finalUrl);
+
+    const info = extractPageInfo(page.html);
+    const links = Array.from(
+      new Set(
+        (info.links || [])
+          .map((link) => normalizeUrl(link.href, page.finalUrl))
+          .filter((link) => link && isInternalPage(link, origin))
+      )
+    );
+
+    // One browser run per page would make crawls far too slow; pages get heuristic scores
+    const outcome = await auditFetchedPage(page, {
+      siteIndexing,
+      tlsInfo,
+      labPerformance: false,
+    });
+    const record = toPageRecord({
+      url,
+      depth,
+      page,
+      outcome,
+      info,
+      links,
+      inSitemap: sitemapUrls.has(url),
+      recommendationsLimit: CRAWL_DEFAULTS.recommendationsPerPage,
+    });
+    pages.push(record);
+    await onPage?.(record, pages.length);
+
+    // Pages reached only through the sitemap have no link depth; their links start at 1
+    const nextDepth = (depth ?? 0) + 1;
+    if (nextDepth <= maxDepth) {
+      for (const link of links) {
+        if (!seen.has(link)) {
+          seen.add(link);
+          queue.push({ url: link, depth: nextDepth });
+        }
+      }
+    }
+  }
+
+  if (stoppedReason === 'completed' && pages.length >= maxPages && queue.length > 0) {
+    stoppedReason = 'page_limit';
+  }
+
+  return {
+    seed_url: seed,
+    origin,
+    pages,
+    blocked_by_robots: blockedByRobots,
+    skipped,
+    robots: {
+      url: robotsResult.url,
+      found: robotsResult.found,
+      status: robotsResult.status,
+      disallow_all: robotsResult.disallowAll,
+      crawl_delay_ms: requestDelay,
+    },
+    sitemap: {
+      sources: siteIndexing.sitemaps.map(({ url, type, count, error }) => ({
+        url,
+        type,
+        count,
+        error,
+      })),
+      url_count: sitemapUrls.size,
+    },
+    stopped_reason: stoppedReason,
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+  };
+}
+
+export default {
+  crawlSite,
+  normalizeUrl,
+  CRAWL_DEFAULTS,
+};
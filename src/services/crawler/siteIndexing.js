@@ -0,0 +1,136 @@
+/**
+ * Site Indexing Service
+ *
+ * Checks how search engines can discover a site's pages:
+ * - robots.txt: fetched once per site, Googlebot access checked per URL
+ * - XML sitemaps: declared in robots.txt (or /sitemap.xml by convention), sitemap
+ *   indexes followed to their child sitemaps, every file validated
+ * - Whether a given URL is listed in the sitemaps
+ *
+ * Site-level data (inspectSiteIndexing) is fetched once and reused for every page of
+ * a crawl; page-level findings (checkPageIndexing) are cheap lookups.
+ *
+ * @module services/crawler/siteIndexing
+ */
+
+import { fetchRobotsTxt, checkRobotsAccess, GOOGLEBOT_USER_AGENT_TOKEN } from './robotsTxt.js';
+import { collectSitemapUrls } from './sitemap.js';
+
+/**
+ * Fetch robots.txt without throwing; unreachable robots.txt is recorded as an error
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} fetchOptions - Overrides passed to fetchPage
+ * @returns {Promise<Object>} fetchRobotsTxt result, plus `error` if it could not be fetched
+ */
+export async function loadRobotsTxt(siteUrl, fetchOptions = {}) {
+  try {
+    return await fetchRobotsTxt(siteUrl, fetchOptions);
+  } catch (error) {
+    return {
+      url: new URL('/robots.txt', siteUrl).toString(),
+      found: false,
+      status: null,
+      robots: null,
+      disallowAll: false,
+      text: null,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Normalize a URL for sitemap lookups (no fragment, trailing slash ignored)
+ */
+function toLookupKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Fetch a site's robots.txt and sitemaps
+ * @param {string} siteUrl - Any URL on the site
+ * @param {Object} options - Options
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @param {Object} options.robotsResult - Already fetched robots.txt (loadRobotsTxt result)
+ * @param {number} options.maxSitemaps - Maximum sitemap files to fetch
+ * @returns {Promise<Object>} { origin, robots, sitemap_sources, declared_in_robots, sitemaps,
+ *   urls, lookup (normalized URL set), complete }
+ */
+export async function inspectSiteIndexing(
+  siteUrl,
+  { fetchOptions = {}, robotsResult = null, maxSitemaps } = {}
+) {
+  const origin = new URL(siteUrl).origin;
+  const robots = robotsResult || (await loadRobotsTxt(origin, fetchOptions));
+
+  const declared = Array.from(new Set(robots.robots?.sitemaps || []));
+  const sources = declared.length > 0 ? declared : [new URL('/sitemap.xml', origin).toString()];
+  const collected = await collectSitemapUrls(sources, { maxSitemaps, fetchOptions });
+
+  return {
+    origin,
+    robots,
+    sitemap_sources: sources,
+    declared_in_robots: declared.length > 0,
+    sitemaps: collected.sitemaps,
+    urls: collected.urls,
+    lookup: new Set(collected.urls.map(toLookupKey).filter(Boolean)),
+    complete: collected.complete,
+  };
+}
+
+/**
+ * Page-level indexing findings
+ * @param {Object} siteIndexing - Output of inspectSiteIndexing
+ * @param {string} pageUrl - Audited URL (final URL after redirects)
+ * @returns {Object} { robots: { url, found, status, error, disallow_all, googlebot, sitemaps,
+ *   invalid_lines }, sitemaps, sitemap_found, declared_in_robots, in_sitemap }
+ *   in_sitemap is null when it could not be determined (no sitemap, or not every file checked)
+ */
+export function checkPageIndexing(siteIndexing, pageUrl) {
+  const { robots } = siteIndexing;
+  const access = robots.disallowAll
+    ? { allowed: false, rule: null, matchedAgent: null }
+    : checkRobotsAccess(robots.robots, pageUrl, GOOGLEBOT_USER_AGENT_TOKEN);
+
+  const sitemapFound = siteIndexing.sitemaps.some((sitemap) => sitemap.type !== null);
+  const listed = siteIndexing.lookup.has(toLookupKey(pageUrl));
+  let inSitemap = null;
+  if (listed) {
+    inSitemap = true;
+  } else if (sitemapFound && siteIndexing.complete) {
+    inSitemap = false;
+  }
+
+  return {
+    robots: {
+      url: robots.url,
+      found: robots.found,
+      status: robots.status,
+      error: robots.error || null,
+      disallow_all: robots.disallowAll,
+      googlebot: {
+        allowed: access.allowed,
+        rule: access.rule,
+        matched_agent: access.matchedAgent,
+      },
+      sitemaps: robots.robots?.sitemaps || [],
+      invalid_lines: robots.robots?.invalidLines || [],
+    },
+    sitemaps: siteIndexing.sitemaps,
+    sitemap_found: sitemapFound,
+    declared_in_robots: siteIndexing.declared_in_robots,
+    in_sitemap: inSitemap,
+  };
+}
+
+export default {
+  loadRobotsTxt,
+  inspectSiteIndexing,
+  checkPageIndexing,
+};
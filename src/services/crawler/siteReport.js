@@ -0,0 +1,225 @@
+/**
+ * Site Report Service
+ *
+ * Rolls per-page crawl results up into a site-level report:
+ * - Worst pages by overall score
+ * - Duplicate titles and meta descriptions across pages
+ * - Orphan pages (in the sitemap but not linked from any crawled page)
+ * - Broken internal links with the pages that link to them
+ * - Crawl depth distribution and pages buried too deep
+ *
+ * @module services/crawler/siteReport
+ */
+
+/**
+ * Report thresholds
+ */
+export const REPORT_SETTINGS = {
+  worstPagesLimit: 10,
+  deepPageThreshold: 3, // Pages more than 3 clicks from the seed are hard to discover
+};
+
+/**
+ * Get the letter grade for a score (same bands as SEOAgent.getGrade)
+ */
+function getGrade(score) {
+  if (score >= 90) {
+    return 'A';
+  }
+  if (score >= 80) {
+    return 'B';
+  }
+  if (score >= 70) {
+    return 'C';
+  }
+  if (score >= 60) {
+    return 'D';
+  }
+  return 'F';
+}
+
+/**
+ * Group pages that share the same value for a field
+ */
+function findDuplicates(pages, field) {
+  const groups = new Map();
+
+  for (const page of pages) {
+    const value = page[field]?.trim();
+    if (!value) {
+      continue;
+    }
+    const key = value.toLowerCase().replace(/\s+/g, ' ');
+    if (!groups.has(key)) {
+      groups.set(key, { value, urls: [] });
+    }
+    groups.get(key).urls.push(page.url);
+  }
+
+  return Array.from(groups.values())
+    .filter((group) => group.urls.length > 1)
+    .sort((a, b) => b.urls.length - a.urls.length);
+}
+
+/**
+ * Map each URL to the crawled pages that link to it
+ * @param {Array} pages - Crawl pages
+ * @returns {Map<string, Set<string>>} Linked URL -> URLs of pages linking to it
+ */
+export function buildInboundLinks(pages) {
+  const inbound = new Map();
+
+  for (const page of pages) {
+    for (const link of page.links || []) {
+      if (link === page.url || link === page.final_url) {
+        continue;
+      }
+      if (!inbound.has(link)) {
+        inbound.set(link, new Set());
+      }
+      inbound.get(link).add(page.url);
+    }
+  }
+
+  return inbound;
+}
+
+/**
+ * Build the site-level report for a crawl
+ * @param {Object} crawl - Output of crawlSite
+ * @returns {Object} Site report
+ */
+export function buildSiteReport(crawl) {
+  const pages = crawl.pages;
+  const audited = pages.filter((page) => page.status === 'completed');
+  const failed = pages.filter((page) => page.status === 'failed');
+  const inbound = buildInboundLinks(pages);
+  const linkedFrom = (page) =>
+    new Set([...(inbound.get(page.url) || []), ...(inbound.get(page.final_url) || [])]);
+
+  const averageScore =
+    audited.length > 0
+      ? Math.round(audited.reduce((sum, page) => sum + page.overall_score, 0) / audited.length)
+      : 0;
+
+  const worstPages = [...audited]
+    .sort((a, b) => a.overall_score - b.overall_score)
+    .slice(0, REPORT_SETTINGS.worstPagesLimit)
+    .map((page) => ({
+      url: page.url,
+      overall_score: page.overall_score,
+      grade: page.grade,
+      critical_issues: page.critical_issues,
+      top_issues: page.recommendations.slice(0, 3).map((rec) => rec.title),
+    }));
+
+  // Sitemap pages that nothing links to (the seed is the entry point, not an orphan)
+  const orphanPages = pages
+    .filter((page) => page.in_sitemap && page.url !== crawl.seed_url && linkedFrom(page).size === 0)
+    .map((page) => ({ url: page.url, overall_score: page.overall_score ?? null }));
+
+  const brokenLinks = failed
+    .filter((page) => linkedFrom(page).size > 0)
+    .map((page) => ({
+      url: page.url,
+      http_status: page.http_status,
+      reason: page.failure.code,
+      message: page.failure.message,
+      linked_from: Array.from(linkedFrom(page)),
+    }));
+
+  const depthDistribution = {};
+  let maxDepth = 0;
+  for (const page of pages) {
+    const key = page.depth === null ? 'unlinked' : String(page.depth);
+    depthDistribution[key] = (depthDistribution[key] || 0) + 1;
+    if (page.depth !== null) {
+      maxDepth = Math.max(maxDepth, page.depth);
+    }
+  }
+
+  const deepPages = pages
+    .filter((page) => page.depth !== null && page.depth > REPORT_SETTINGS.deepPageThreshold)
+    .map((page) => ({ url: page.url, depth: page.depth }));
+
+  return {
+    summary: {
+      seed_url: crawl.seed_url,
+      origin: crawl.origin,
+      pages_crawled: pages.length,
+      pages_audited: audited.length,
+      pages_failed: failed.length,
+      average_score: averageScore,
+      grade: getGrade(averageScore),
+      stopped_reason: crawl.stopped_reason,
+      // Orphan detection is only conclusive when every reachable page was crawled
+      crawl_complete: crawl.stopped_reason === 'completed',
+      blocked_by_robots: crawl.blocked_by_robots.length,
+      skipped: crawl.skipped.length,
+    },
+    worst_pages: worstPages,
+    duplicate_titles: findDuplicates(audited, 'title').map(({ value, urls }) => ({
+      title: value,
+      urls,
+    })),
+    duplicate_descriptions: findDuplicates(audited, 'description').map(({ value, urls }) => ({
+      description: value,
+      urls,
+    })),
+    missing_titles: audited.filter((page) => !page.title).map((page) => page.url),
+    missing_descriptions: audited.filter((page) => !page.description).map((page) => page.url),
+    orphan_pages: orphanPages,
+    broken_links: brokenLinks,
+    crawl_depth: {
+      max: maxDepth,
+      distribution: depthDistribution,
+      deep_pages: deepPages,
+    },
+    robots: crawl.robots,
+    sitemap: crawl.sitemap,
+  };
+}
+
+/**
+ * Compare a crawl report with the previous crawl of the same project
+ * @param {Object} current - Current report (buildSiteReport)
+ * @param {Array} currentPages - Current crawl pages
+ * @param {Object} previous - Previous report
+ * @param {Array} previousPages - Previous crawl pages ({ url, overall_score })
+ * @returns {Object} Changes between the two crawls
+ */
+export function compareSiteReports(current, currentPages, previous, previousPages) {
+  const previousScores = new Map(previousPages.map((page) => [page.url, page.overall_score]));
+  const currentUrls = new Set(currentPages.map((page) => page.url));
+  const previousBroken = new Set(previous.broken_links.map((link) => link.url));
+  const currentBroken = new Set(current.broken_links.map((link) => link.url));
+
+  const scoreChanges = currentPages
+    .filter(
+      (page) => page.status === 'completed' && typeof previousScores.get(page.url) === 'number'
+    )
+    .map((page) => ({
+      url: page.url,
+      previous_score: previousScores.get(page.url),
+      overall_score: page.overall_score,
+      change: page.overall_score - previousScores.get(page.url),
+    }))
+    .filter((change) => change.change !== 0)
+    .sort((a, b) => a.change - b.change);
+
+  return {
+    average_score_change: current.summary.average_score - previous.summary.average_score,
+    pages_added: currentPages.filter((page) => !previousScores.has(page.url)).map((p) => p.url),
+    pages_removed: previousPages.filter((page) => !currentUrls.has(page.url)).map((p) => p.url),
+    broken_links_fixed: [...previousBroken].filter((url) => !currentBroken.has(url)),
+    broken_links_new: [...currentBroken].filter((url) => !previousBroken.has(url)),
+    score_changes: scoreChanges,
+  };
+}
+
+export default {
+  buildSiteReport,
+  buildInboundLinks,
+  compareSiteReports,
+  REPORT_SETTINGS,
+};
@@ -0,0 +1,313 @@
+/**
+ * Sitemap Service
+ *
+ * Reads XML sitemaps (urlset) and sitemap indexes (sitemapindex) so crawls can find
+ * pages that are not reachable through links, and validates them against the
+ * sitemap protocol (https://www.sitemaps.org/protocol.html):
+ * - At most 50,000 URLs and 50 MB (uncompressed) per file
+ * - <loc> must be an absolute URL on the sitemap's host
+ * - <lastmod> must use the W3C Datetime format
+ *
+ * @module services/crawler/sitemap
+ */
+
+import { fetchPage, PageFetchError, FETCH_ERROR_CODES } from './pageFetcher.js';
+
+/**
+ * MIME types sitemaps are served with
+ */
+export const SITEMAP_CONTENT_TYPES = ['application/xml', 'text/xml', 'application/x-xml'];
+
+/**
+ * Sitemap protocol limits
+ */
+export const SITEMAP_LIMITS = {
+  maxUrls: 50000,
+  maxBytes: 50 * 1024 * 1024, // 50 MB uncompressed
+  maxExamples: 3, // Offending values quoted in a validation message
+};
+
+/**
+ * Validation codes for sitemap problems
+ */
+export const SITEMAP_ISSUE_CODES = {
+  FETCH_FAILED: 'SITEMAP_FETCH_FAILED',
+  TOO_LARGE: 'SITEMAP_TOO_LARGE',
+  INVALID_ROOT: 'SITEMAP_INVALID_ROOT',
+  EMPTY: 'SITEMAP_EMPTY',
+  TOO_MANY_URLS: 'SITEMAP_TOO_MANY_URLS',
+  MISSING_LOC: 'SITEMAP_MISSING_LOC',
+  INVALID_LOC: 'SITEMAP_INVALID_LOC',
+  CROSS_HOST_LOC: 'SITEMAP_CROSS_HOST_LOC',
+  INVALID_LASTMOD: 'SITEMAP_INVALID_LASTMOD',
+  NESTED_INDEX: 'SITEMAP_NESTED_INDEX',
+};
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD or a full date-time with a timezone designator
+const W3C_DATETIME =
+  /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+/**
+ * Decode the XML entities that appear in sitemap URLs
+ */
+function decodeXmlEntities(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML
+ * @returns {Object} { type: 'urlset' | 'sitemapindex' | null, entries: [{ loc, lastmod }] }
+ */
+export function parseSitemap(xml = '') {
+  const rootMatch = xml.match(/<(?:[\w-]+:)?(urlset|sitemapindex)\b/i);
+  const type = rootMatch ? rootMatch[1].toLowerCase() : null;
+  const entryTag = type === 'sitemapindex' ? 'sitemap' : 'url';
+
+  const entries = [];
+  const entryPattern = new RegExp(
+    `<(?:[\\w-]+:)?${entryTag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${entryTag}>`,
+    'gi'
+  );
+
+  for (const [, body] of xml.matchAll(entryPattern)) {
+    const loc = body.match(/<(?:[\w-]+:)?loc>\s*(?:<!\[CDATA\[)?([\s\S]*?)(?:\]\]>)?\s*<\//i);
+    const lastmod = body.match(/<(?:[\w-]+:)?lastmod>\s*([\s\S]*?)\s*<\//i);
+    entries.push({
+      loc: loc ? decodeXmlEntities(loc[1].trim()) : null,
+      lastmod: lastmod ? lastmod[1] : null,
+    });
+  }
+
+  return { type, entries };
+}
+
+/**
+ * Check a <lastmod> value against the W3C Datetime format
+ * @param {string} value - lastmod value
+ * @returns {boolean} True if valid
+ */
+export function isValidLastmod(value) {
+  return W3C_DATETIME.test(value.trim());
+}
+
+/**
+ * Quote a few offending values for a validation message
+ */
+function examples(values) {
+  const shown = values.slice(0, SITEMAP_LIMITS.maxExamples).map((value) => `"${value}"`);
+  return values.length > shown.length ? `${shown.join(', ')}, ...` : shown.join(', ');
+}
+
+/**
+ * Validate a sitemap document against the sitemap protocol
+ * @param {string} xml - Sitemap XML
+ * @param {Object} options - Options
+ * @param {string} options.url - URL the sitemap was fetched from (for the same-host rule)
+ * @param {number} options.bytes - Uncompressed size in bytes
+ * @returns {Object} { type, entries, errors: [{ code, message }], warnings: [{ code, message }] }
+ */
+export function validateSitemap(xml, { url = null, bytes = Buffer.byteLength(xml) } = {}) {
+  const { type, entries } = parseSitemap(xml);
+  const errors = [];
+  const warnings = [];
+
+  if (!type) {
+    errors.push({
+      code: SITEMAP_ISSUE_CODES.INVALID_ROOT,
+      message: 'Not a sitemap: root element must be <urlset> or <sitemapindex>',
+    });
+    return { type, entries, errors, warnings };
+  }
+
+  if (bytes > SITEMAP_LIMITS.maxBytes) {
+    errors.push({
+      code: SITEMAP_ISSUE_CODES.TOO_LARGE,
+      message: `Sitemap is ${Math.round(bytes / 1024 / 1024)} MB (limit: 50 MB uncompressed)`,
+    });
+  }
+
+  if (entries.length === 0) {
+    warnings.push({
+      code: SITEMAP_ISSUE_CODES.EMPTY,
+      message: `Sitemap has no ${type === 'sitemapindex' ? '<sitemap>' : '<url>'} entries`,
+    });
+  } else if (entries.length > SITEMAP_LIMITS.maxUrls) {
+    errors.push({
+      code: SITEMAP_ISSUE_CODES.TOO_MANY_URLS,
+      message: `Sitemap lists ${entries.length} entries (limit: ${SITEMAP_LIMITS.maxUrls})`,
+    });
+  }
+
+  const sitemapHost = url ? new URL(url).host : null;
+  const missingLoc = entries.filter((entry) => !entry.loc).length;
+  const invalidLocs = [];
+  const crossHostLocs = [];
+  const invalidLastmods = [];
+
+  for (const entry of entries) {
+    if (entry.loc) {
+      try {
+        const loc = new URL(entry.loc);
+        if (!['http:', 'https:'].includes(loc.protocol)) {
+          invalidLocs.push(entry.loc);
+        } else if (sitemapHost && loc.host !== sitemapHost) {
+          crossHostLocs.push(entry.loc);
+        }
+      } catch {
+        invalidLocs.push(entry.loc);
+      }
+    }
+    if (entry.lastmod !== null && !isValidLastmod(entry.lastmod)) {
+      invalidLastmods.push(entry.lastmod);
+    }
+  }
+
+  if (missingLoc > 0) {
+    errors.push({
+      code: SITEMAP_ISSUE_CODES.MISSING_LOC,
+      message: `${missingLoc} entries have no <loc>`,
+    });
+  }
+  if (invalidLocs.length > 0) {
+    errors.push({
+      code: SITEMAP_ISSUE_CODES.INVALID_LOC,
+      message: `${invalidLocs.length} <loc> values are not absolute HTTP(S) URLs: ${examples(invalidLocs)}`,
+    });
+  }
+  if (crossHostLocs.length > 0) {
+    warnings.push({
+      code: SITEMAP_ISSUE_CODES.CROSS_HOST_LOC,
+      message: `${crossHostLocs.length} URLs are on a different host than the sitemap (${sitemapHost}): ${examples(crossHostLocs)}`,
+    });
+  }
+  if (invalidLastmods.length > 0) {
+    warnings.push({
+      code: SITEMAP_ISSUE_CODES.INVALID_LASTMOD,
+      message: `${invalidLastmods.length} <lastmod> values are not W3C Datetime (e.g. 2025-01-31 or 2025-01-31T09:00:00+00:00): ${examples(invalidLastmods)}`,
+    });
+  }
+
+  return { type, entries, errors, warnings };
+}
+
+/**
+ * Describe a sitemap fetch failure as a validation error
+ */
+function toFetchIssue(error) {
+  if (error instanceof PageFetchError && error.code === FETCH_ERROR_CODES.TOO_LARGE) {
+    return {
+      code: SITEMAP_ISSUE_CODES.TOO_LARGE,
+      message: 'Sitemap is larger than 50 MB (uncompressed)',
+    };
+  }
+  return { code: SITEMAP_ISSUE_CODES.FETCH_FAILED, message: error.message };
+}
+
+/**
+ * Collect and validate page URLs from sitemaps, following sitemap indexes one level deep
+ * @param {Array<string>} sitemapUrls - Sitemap URLs (e.g. from robots.txt)
+ * @param {Object} options - Options
+ * @param {number} options.limit - Stop after this many page URLs
+ * @param {number} options.maxSitemaps - Stop after fetching this many sitemap files
+ * @param {Object} options.fetchOptions - Overrides passed to fetchPage
+ * @returns {Promise<Object>} { urls, sitemaps: [{ url, parent, type, count, bytes, error,
+ *   errors, warnings }], complete } - complete is false if limits stopped collection early
+ */
+export async function collectSitemapUrls(
+  sitemapUrls,
+  { limit = SITEMAP_LIMITS.maxUrls, maxSitemaps = 10, fetchOptions = {} } = {}
+) {
+  const urls = new Set();
+  const sitemaps = [];
+  const pending = sitemapUrls.map((url) => ({ url, parent: null }));
+  const seen = new Set();
+  let truncated = false;
+
+  while (pending.length > 0) {
+    if (urls.size >= limit || sitemaps.length >= maxSitemaps) {
+      truncated = true;
+      break;
+    }
+
+    const { url, parent } = pending.shift();
+    if (seen.has(url)) {
+      continue;
+    }
+    seen.add(url);
+
+    try {
+      const response = await fetchPage(url, {
+        maxBytes: SITEMAP_LIMITS.maxBytes,
+        ...fetchOptions,
+        contentTypes: SITEMAP_CONTENT_TYPES,
+      });
+      const { type, entries, errors, warnings } = validateSitemap(response.html, {
+        url: response.finalUrl,
+        bytes: response.bytes,
+      });
+
+      if (type === 'sitemapindex' && parent) {
+        errors.push({
+          code: SITEMAP_ISSUE_CODES.NESTED_INDEX,
+          message: 'Sitemap indexes cannot list other sitemap indexes',
+        });
+      }
+
+      sitemaps.push({
+        url,
+        parent,
+        type,
+        count: entries.length,
+        bytes: response.bytes,
+        error: null,
+        errors,
+        warnings,
+      });
+
+      for (const { loc } of entries) {
+        if (!loc) {
+          continue;
+        }
+        if (type === 'sitemapindex') {
+          if (!parent) {
+            pending.push({ url: loc, parent: url });
+          }
+        } else if (urls.size < limit) {
+          urls.add(loc);
+        } else {
+          truncated = true;
+        }
+      }
+    } catch (error) {
+      const issue = toFetchIssue(error);
+      sitemaps.push({
+        url,
+        parent,
+        type: null,
+        count: 0,
+        bytes: null,
+        error: error.message,
+        errors: [issue],
+        warnings: [],
+      });
+    }
+  }
+
+  return { urls: Array.from(urls), sitemaps, complete: !truncated };
+}
+
+export default {
+  parseSitemap,
+  validateSitemap,
+  isValidLastmod,
+  collectSitemapUrls,
+  SITEMAP_CONTENT_TYPES,
+  SITEMAP_LIMITS,
+  SITEMAP_ISSUE_CODES,
+};
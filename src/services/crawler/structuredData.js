@@ -0,0 +1,590 @@
+/**
+ * Structured Data Service
+ *
+ * Extracts Schema.org markup from a parsed page and validates it against the
+ * properties search engines need for rich results:
+ * - JSON-LD (<script type="application/ld+json">, including @graph); unparseable blocks
+ *   are reported separately
+ * - Microdata (itemscope/itemtype/itemprop)
+ * - RDFa (typeof/property)
+ *
+ * All three syntaxes are normalized to JSON-LD-shaped objects ({ '@type', ...properties })
+ * so one set of rules validates them.
+ *
+ * @module services/crawler/structuredData
+ */
+
+import { DomUtils } from 'htmlparser2';
+
+/**
+ * Validation codes for structured data problems
+ */
+export const SCHEMA_ISSUE_CODES = {
+  INVALID_JSON: 'JSONLD_INVALID_JSON',
+  INVALID_CONTEXT: 'JSONLD_INVALID_CONTEXT',
+  MISSING_TYPE: 'SCHEMA_MISSING_TYPE',
+  MISSING_REQUIRED: 'SCHEMA_MISSING_REQUIRED',
+  MISSING_RECOMMENDED: 'SCHEMA_MISSING_RECOMMENDED',
+  INVALID_PROPERTY: 'SCHEMA_INVALID_PROPERTY',
+};
+
+/**
+ * Required and recommended properties per rich-result type
+ * A nested array in `required` means "at least one of".
+ */
+export const SCHEMA_TYPE_RULES = {
+  Article: {
+    required: ['headline'],
+    recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher'],
+  },
+  Product: {
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku', 'offers', 'aggregateRating'],
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: [],
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: [],
+  },
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', 'sameAs', 'contactPoint'],
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'openingHoursSpecification', 'geo', 'image', 'priceRange'],
+  },
+  Recipe: {
+    required: ['name', 'image'],
+    recommended: [
+      'author',
+      'datePublished',
+      'description',
+      'recipeIngredient',
+      'recipeInstructions',
+      'recipeYield',
+      'totalTime',
+      'aggregateRating',
+    ],
+  },
+  Event: {
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'eventStatus', 'description', 'image', 'offers', 'organizer'],
+  },
+};
+
+/**
+ * Schema.org subtypes validated with their parent type's rules
+ */
+const TYPE_ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  ScholarlyArticle: 'Article',
+  Report: 'Article',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  EducationalOrganization: 'Organization',
+  OnlineStore: 'Organization',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  AutoRepair: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  FinancialService: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  CafeOrCoffeeShop: 'LocalBusiness',
+  BarOrPub: 'LocalBusiness',
+  MusicEvent: 'Event',
+  SportsEvent: 'Event',
+  BusinessEvent: 'Event',
+  EducationEvent: 'Event',
+  Festival: 'Event',
+  TheaterEvent: 'Event',
+};
+
+const DATE_PROPERTIES = new Set(['datePublished', 'dateModified', 'startDate', 'endDate']);
+const DURATION_PROPERTIES = new Set(['prepTime', 'cookTime', 'totalTime']);
+const URL_PROPERTIES = new Set(['url', 'logo', 'sameAs', 'image']);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_DURATION = /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/;
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Microdata property values come from these attributes instead of the text content
+const MICRODATA_VALUE_ATTRIBUTES = {
+  meta: 'content',
+  a: 'href',
+  area: 'href',
+  link: 'href',
+  img: 'src',
+  audio: 'src',
+  video: 'src',
+  source: 'src',
+  iframe: 'src',
+  embed: 'src',
+  track: 'src',
+  object: 'data',
+  data: 'value',
+  meter: 'value',
+  time: 'datetime',
+};
+
+const asArray = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const collapse = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Strip a Schema.org prefix from a type or property name
+ * ('https://schema.org/Product', 'schema:Product' -> 'Product')
+ */
+function schemaName(value) {
+  return String(value)
+    .trim()
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .replace(/^schema:/i, '');
+}
+
+/**
+ * Add a property value, turning repeated properties into arrays
+ */
+function addValue(item, name, value) {
+  if (item[name] === undefined) {
+    item[name] = value;
+  } else {
+    item[name] = asArray(item[name]).concat(value);
+  }
+}
+
+/**
+ * Parse JSON-LD blocks
+ * @param {HtmlDocument} doc - Parsed page
+ * @returns {Object} { items: [{ source, block, data }], errors: [{ block, message }] }
+ */
+export function extractJsonLd(doc) {
+  const items = [];
+  const errors = [];
+
+  doc.scripts
+    .filter((script) => script.type === 'application/ld+json')
+    .forEach((script, index) => {
+      const block = index + 1;
+      let parsed;
+      try {
+        parsed = JSON.parse(script.content.trim());
+      } catch (error) {
+        errors.push({ block, message: error.message });
+        return;
+      }
+
+      for (const root of asArray(parsed)) {
+        if (!root || typeof root !== 'object') {
+          continue;
+        }
+        const context = JSON.stringify(root['@context'] ?? '');
+        const nodes = Array.isArray(root['@graph']) ? root['@graph'] : [root];
+        for (const node of nodes) {
+          if (node && typeof node === 'object') {
+            items.push({
+              source: 'json-ld',
+              block,
+              schemaContext: /schema\.org/i.test(context),
+              data: node,
+            });
+          }
+        }
+      }
+    });
+
+  return { items, errors };
+}
+
+/**
+ * Read one Microdata item and its nested items
+ */
+function readMicrodataItem(element) {
+  const item = {};
+  if (element.attribs.itemtype) {
+    const types = element.attribs.itemtype.split(/\s+/).filter(Boolean).map(schemaName);
+    item['@type'] = types.length === 1 ? types[0] : types;
+  }
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (!DomUtils.isTag(child)) {
+        continue;
+      }
+      const names = child.attribs.itemprop?.split(/\s+/).filter(Boolean) || [];
+      const isItem = 'itemscope' in child.attribs;
+
+      if (names.length > 0) {
+        const attribute = MICRODATA_VALUE_ATTRIBUTES[child.name];
+        const value = isItem
+          ? readMicrodataItem(child)
+          : (attribute && child.attribs[attribute]) || collapse(DomUtils.textContent(child));
+        names.forEach((name) => addValue(item, schemaName(name), value));
+      }
+      // A nested itemscope owns the properties inside it
+      if (!isItem) {
+        walk(child);
+      }
+    }
+  };
+
+  walk(element);
+  return item;
+}
+
+/**
+ * Read Microdata items (top-level itemscope elements)
+ * @param {HtmlDocument} doc - Parsed page
+ * @returns {Array} [{ source: 'microdata', data }]
+ */
+export function extractMicrodata(doc) {
+  return doc.elements
+    .filter((el) => 'itemscope' in el.attribs && !('itemprop' in el.attribs))
+    .map((el) => ({ source: 'microdata', data: readMicrodataItem(el) }));
+}
+
+/**
+ * Read one RDFa resource and its nested resources
+ */
+function readRdfaItem(element) {
+  const types = element.attribs.typeof.split(/\s+/).filter(Boolean).map(schemaName);
+  const item = { '@type': types.length === 1 ? types[0] : types };
+
+  const walk = (node) => {
+    for (const child of node.children || []) {
+      if (!DomUtils.isTag(child)) {
+        continue;
+      }
+      const names = child.attribs.property?.split(/\s+/).filter(Boolean) || [];
+      const isItem = 'typeof' in child.attribs;
+
+      if (names.length > 0) {
+        const value = isItem
+          ? readRdfaItem(child)
+          : child.attribs.content ||
+            child.attribs.href ||
+            child.attribs.src ||
+            child.attribs.resource ||
+            child.attribs.datetime ||
+            collapse(DomUtils.textContent(child));
+        names.forEach((name) => addValue(item, schemaName(name), value));
+      }
+      if (!isItem) {
+        walk(child);
+      }
+    }
+  };
+
+  walk(element);
+  return item;
+}
+
+/**
+ * Read RDFa resources (top-level typeof elements)
+ * @param {HtmlDocument} doc - Parsed page
+ * @returns {Array} [{ source: 'rdfa', data }]
+ */
+export function extractRdfa(doc) {
+  return doc.elements
+    .filter((el) => 'typeof' in el.attribs && !('property' in el.attribs))
+    .map((el) => ({ source: 'rdfa', data: readRdfaItem(el) }));
+}
+
+/**
+ * Extract all structured data from a page
+ * @param {HtmlDocument} doc - Parsed page
+ * @returns {Object} { items: [{ source, block?, data }], errors: [{ block, message }] }
+ */
+export function extractStructuredData(doc) {
+  const jsonLd = extractJsonLd(doc);
+  return {
+    items: [...jsonLd.items, ...extractMicrodata(doc), ...extractRdfa(doc)],
+    errors: jsonLd.errors,
+  };
+}
+
+/**
+ * Schema.org types of an item (prefixes stripped)
+ * @param {Object} data - Item data
+ * @returns {string[]}
+ */
+export function getSchemaTypes(data) {
+  return asArray(data['@type']).map(schemaName).filter(Boolean);
+}
+
+/**
+ * Rule set for an item's types, if it is a supported rich-result type
+ */
+function findRules(types) {
+  for (const type of types) {
+    const ruleType = SCHEMA_TYPE_RULES[type] ? type : TYPE_ALIASES[type];
+    if (ruleType) {
+      return { ruleType, rules: SCHEMA_TYPE_RULES[ruleType] };
+    }
+  }
+  return null;
+}
+
+const isMissing = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const isNumeric = (value) =>
+  value !== null && value !== '' && !Number.isNaN(Number(String(value).replace(/,/g, '')));
+
+function isValidUrl(value, baseUrl) {
+  try {
+    const url = new URL(String(value).trim(), baseUrl || undefined);
+    return ['http:', 'https:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check property formats and nested objects; returns [{ property, message }]
+ */
+function findMalformedProperties(ruleType, data, baseUrl) {
+  const problems = [];
+  const invalid = (property, message) => problems.push({ property, message });
+
+  for (const [property, value] of Object.entries(data)) {
+    for (const entry of asArray(value)) {
+      if (DATE_PROPERTIES.has(property) && typeof entry === 'string') {
+        if (!ISO_DATE.test(entry.trim()) || Number.isNaN(Date.parse(entry))) {
+          invalid(property, `"${entry}" is not an ISO 8601 date (e.g. 2025-01-31T09:00:00+00:00)`);
+        }
+      }
+      if (DURATION_PROPERTIES.has(property) && typeof entry === 'string') {
+        if (!ISO_DURATION.test(entry.trim())) {
+          invalid(property, `"${entry}" is not an ISO 8601 duration (e.g. PT1H30M)`);
+        }
+      }
+      if (URL_PROPERTIES.has(property)) {
+        const url = typeof entry === 'object' && entry !== null ? entry.url : entry;
+        if (typeof url === 'string' && !isValidUrl(url, baseUrl)) {
+          invalid(property, `"${url}" is not a valid URL`);
+        }
+      }
+    }
+  }
+
+  for (const offer of asArray(data.offers)) {
+    if (typeof offer !== 'object' || offer === null) {
+      invalid('offers', 'Must be an Offer object, not a plain value');
+      continue;
+    }
+    const isAggregate = getSchemaTypes(offer).includes('AggregateOffer');
+    const price = isAggregate ? (offer.lowPrice ?? offer.price) : offer.price;
+    if (isMissing(price) && !offer.priceSpecification) {
+      invalid('offers.price', `Offer has no ${isAggregate ? 'lowPrice' : 'price'}`);
+    } else if (!isMissing(price) && !isNumeric(price)) {
+      invalid('offers.price', `"${price}" is not a number (no currency symbols)`);
+    }
+    if (!isMissing(price) && !CURRENCY_CODE.test(String(offer.priceCurrency ?? ''))) {
+      invalid('offers.priceCurrency', 'Offer needs a 3-letter ISO 4217 priceCurrency (e.g. USD)');
+    }
+  }
+
+  for (const rating of asArray(data.aggregateRating)) {
+    if (typeof rating !== 'object' || rating === null) {
+      invalid('aggregateRating', 'Must be an AggregateRating object');
+      continue;
+    }
+    if (!isNumeric(rating.ratingValue)) {
+      invalid('aggregateRating.ratingValue', 'AggregateRating needs a numeric ratingValue');
+    }
+    if (isMissing(rating.ratingCount) && isMissing(rating.reviewCount)) {
+      invalid('aggregateRating.ratingCount', 'AggregateRating needs ratingCount or reviewCount');
+    }
+  }
+
+  if (ruleType === 'FAQPage') {
+    asArray(data.mainEntity).forEach((question, index) => {
+      const label = `mainEntity[${index}]`;
+      if (typeof question !== 'object' || question === null) {
+        invalid(label, 'Must be a Question object');
+        return;
+      }
+      if (isMissing(question.name)) {
+        invalid(`${label}.name`, 'Question has no name (the question text)');
+      }
+      const answer = asArray(question.acceptedAnswer)[0];
+      if (!answer || isMissing(answer.text)) {
+        invalid(`${label}.acceptedAnswer`, 'Question has no acceptedAnswer with text');
+      }
+    });
+  }
+
+  if (ruleType === 'BreadcrumbList') {
+    const elements = asArray(data.itemListElement);
+    elements.forEach((crumb, index) => {
+      const label = `itemListElement[${index}]`;
+      if (typeof crumb !== 'object' || crumb === null) {
+        invalid(label, 'Must be a ListItem object');
+        return;
+      }
+      if (!Number.isInteger(Number(crumb.position)) || Number(crumb.position) < 1) {
+        invalid(`${label}.position`, 'ListItem needs a position (1, 2, 3, ...)');
+      }
+      const item = crumb.item;
+      const name = crumb.name ?? (typeof item === 'object' ? item?.name : undefined);
+      if (isMissing(name)) {
+        invalid(`${label}.name`, 'ListItem has no name');
+      }
+      // The last crumb may omit item (it is the current page)
+      const itemUrl = typeof item === 'object' && item !== null ? (item['@id'] ?? item.url) : item;
+      if (index < elements.length - 1 && isMissing(itemUrl)) {
+        invalid(`${label}.item`, 'ListItem has no item URL');
+      } else if (!isMissing(itemUrl) && !isValidUrl(itemUrl, baseUrl)) {
+        invalid(`${label}.item`, `"${itemUrl}" is not a valid URL`);
+      }
+    });
+  }
+
+  if (ruleType === 'Event') {
+    for (const location of asArray(data.location)) {
+      if (typeof location === 'object' && location !== null) {
+        const isVirtual = getSchemaTypes(location).includes('VirtualLocation');
+        if (isVirtual ? isMissing(location.url) : isMissing(location.address)) {
+          invalid(
+            'location',
+            `${isVirtual ? 'VirtualLocation needs a url' : 'Place needs an address'}`
+          );
+        }
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Human-readable label for an item in issue messages
+ */
+function describeItem(types, data, source) {
+  const name = typeof data.name === 'string' ? data.name : data.headline;
+  const label = types.join('/') || 'Item';
+  const sourceLabel = { 'json-ld': 'JSON-LD', microdata: 'Microdata', rdfa: 'RDFa' }[source];
+  return `${label}${typeof name === 'string' && name ? ` "${name.slice(0, 60)}"` : ''} (${sourceLabel})`;
+}
+
+/**
+ * Validate one structured data item
+ * @param {Object} item - { source, data, schemaContext? } from extractStructuredData
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Page URL relative URLs resolve against
+ * @returns {Object} { types, rule_type, supported, source, issues: [{ severity, code, property,
+ *   message }] }
+ */
+export function validateSchemaItem(item, { baseUrl = null } = {}) {
+  const { data, source } = item;
+  const types = getSchemaTypes(data);
+  const issues = [];
+  const label = describeItem(types, data, source);
+
+  if (types.length === 0) {
+    issues.push({
+      severity: 'medium',
+      code: SCHEMA_ISSUE_CODES.MISSING_TYPE,
+      property: '@type',
+      message: `${label}: missing @type`,
+    });
+    return { types, rule_type: null, supported: false, source, issues };
+  }
+
+  if (source === 'json-ld' && item.schemaContext === false) {
+    issues.push({
+      severity: 'medium',
+      code: SCHEMA_ISSUE_CODES.INVALID_CONTEXT,
+      property: '@context',
+      message: `${label}: @context should be "https://schema.org"`,
+    });
+  }
+
+  const match = findRules(types);
+  if (!match) {
+    return { types, rule_type: null, supported: false, source, issues };
+  }
+
+  const { ruleType, rules } = match;
+
+  for (const requirement of rules.required) {
+    const options = asArray(requirement);
+    if (options.every((property) => isMissing(data[property]))) {
+      issues.push({
+        severity: 'high',
+        code: SCHEMA_ISSUE_CODES.MISSING_REQUIRED,
+        property: options.join('|'),
+        message: `${label}: missing required property ${options.map((p) => `"${p}"`).join(' or ')}`,
+      });
+    }
+  }
+
+  const required = new Set(rules.required.flat());
+  for (const property of rules.recommended) {
+    if (!required.has(property) && isMissing(data[property])) {
+      issues.push({
+        severity: 'low',
+        code: SCHEMA_ISSUE_CODES.MISSING_RECOMMENDED,
+        property,
+        message: `${label}: missing recommended property "${property}"`,
+      });
+    }
+  }
+
+  for (const problem of findMalformedProperties(ruleType, data, baseUrl)) {
+    issues.push({
+      severity: 'medium',
+      code: SCHEMA_ISSUE_CODES.INVALID_PROPERTY,
+      property: problem.property,
+      message: `${label}: invalid "${problem.property}" - ${problem.message}`,
+    });
+  }
+
+  return { types, rule_type: ruleType, supported: true, source, issues };
+}
+
+/**
+ * Extract and validate all structured data on a page
+ * @param {HtmlDocument} doc - Parsed page
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Page URL
+ * @returns {Object} { items: [validateSchemaItem results], invalid_json: [{ block, message }] }
+ */
+export function analyzeStructuredData(doc, { baseUrl = null } = {}) {
+  const { items, errors } = extractStructuredData(doc);
+  return {
+    items: items.map((item) => validateSchemaItem(item, { baseUrl })),
+    invalid_json: errors,
+  };
+}
+
+export default {
+  extractJsonLd,
+  extractMicrodata,
+  extractRdfa,
+  extractStructuredData,
+  getSchemaTypes,
+  validateSchemaItem,
+  analyzeStructuredData,
+  SCHEMA_TYPE_RULES,
+  SCHEMA_ISSUE_CODES,
+};
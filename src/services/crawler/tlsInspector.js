@@ -0,0 +1,125 @@
+/**
+ * TLS Inspector Service
+ *
+ * Opens a TLS connection to an HTTPS site and records what the server negotiated:
+ * - Protocol version (TLSv1.3, TLSv1.2, ...) and cipher
+ * - Whether the certificate chain validates for the hostname
+ * - Certificate subject, issuer, validity window and days until expiry
+ *
+ * @module services/crawler/tlsInspector
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { assertPublicHost } from './pageFetcher.js';
+
+/**
+ * Default TLS inspection settings
+ */
+export const TLS_DEFAULTS = {
+  timeoutMs: 10000,
+  allowPrivateHosts: process.env.AUDIT_ALLOW_PRIVATE_HOSTS === 'true',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summarize a peer certificate
+ * @param {Object} certificate - tls getPeerCertificate() result
+ * @param {Date} now - Reference time for days_remaining
+ * @returns {Object|null} { subject, issuer, valid_from, valid_to, days_remaining, subject_alt_names }
+ */
+export function summarizeCertificate(certificate, now = new Date()) {
+  if (!certificate || Object.keys(certificate).length === 0) {
+    return null;
+  }
+
+  const validTo = new Date(certificate.valid_to);
+  return {
+    subject: certificate.subject?.CN || null,
+    issuer: certificate.issuer?.O || certificate.issuer?.CN || null,
+    valid_from: new Date(certificate.valid_from).toISOString(),
+    valid_to: validTo.toISOString(),
+    days_remaining: Math.floor((validTo.getTime() - now.getTime()) / DAY_MS),
+    subject_alt_names: (certificate.subjectaltname || '')
+      .split(',')
+      .map((name) => name.trim().replace(/^DNS:/, ''))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Inspect the TLS setup of a site
+ *
+ * Never throws for unreachable hosts: connection failures are returned in `error` so the
+ * security score can still be computed.
+ *
+ * @param {string} url - HTTPS URL
+ * @param {Object} options - Overrides for TLS_DEFAULTS
+ * @returns {Promise<Object|null>} { host, port, protocol, cipher, authorized, authorization_error,
+ *   certificate, error } or null for non-HTTPS URLs
+ */
+export async function inspectTls(url, options = {}) {
+  const settings = { ...TLS_DEFAULTS, ...options };
+  const target = new URL(url);
+  if (target.protocol !== 'https:') {
+    return null;
+  }
+
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  const port = Number(target.port) || 443;
+  const result = {
+    host,
+    port,
+    protocol: null,
+    cipher: null,
+    authorized: false,
+    authorization_error: null,
+    certificate: null,
+    error: null,
+  };
+
+  try {
+    await assertPublicHost(target.hostname, settings.allowPrivateHosts);
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host,
+      port,
+      servername: net.isIP(host) ? undefined : host,
+      // Validation problems are reported, not fatal
+      rejectUnauthorized: false,
+      timeout: settings.timeoutMs,
+    });
+
+    const finish = (values) => {
+      socket.destroy();
+      resolve({ ...result, ...values });
+    };
+
+    socket.once('secureConnect', () => {
+      finish({
+        protocol: socket.getProtocol(),
+        cipher: socket.getCipher()?.name || null,
+        authorized: socket.authorized,
+        authorization_error: socket.authorizationError ? String(socket.authorizationError) : null,
+        certificate: summarizeCertificate(socket.getPeerCertificate()),
+      });
+    });
+    socket.once('timeout', () => {
+      finish({ error: `TLS handshake timed out after ${settings.timeoutMs}ms` });
+    });
+    socket.once('error', (error) => {
+      finish({ error: error.message });
+    });
+  });
+}
+
+export default {
+  inspectTls,
+  summarizeCertificate,
+  TLS_DEFAULTS,
+};
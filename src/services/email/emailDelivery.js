@@ -0,0 +1,351 @@
+/**
+ * Email Delivery
+ * Provider-agnostic outbox for transactional emails
+ *
+ * queueEmail renders a template into an outbound_emails row and, by default, tries to send
+ * it right away. Sends that fail with a transient error go back to pending with a backoff;
+ * scripts/process-email-queue.js retries them until EMAIL_DELIVERY_DEFAULTS.maxAttempts.
+ *
+ * Row status:
+ * - pending: waiting for its first or next attempt (next_attempt_at)
+ * - sending: claimed by a sender; rows stuck here past staleSendingMs are retried
+ * - sent / failed: final
+ *
+ * @module services/email/emailDelivery
+ */
+
+import { renderEmail } from './templates.js';
+import {
+  EmailDeliveryError,
+  EMAIL_ERROR_CODES,
+  isRetryableEmailError,
+} from './transports/common.js';
+import { createResendTransport } from './transports/resend.js';
+import { createSendGridTransport } from './transports/sendgrid.js';
+import { createSmtpTransport } from './transports/smtp.js';
+import { createMailboxTransport } from './transports/mailbox.js';
+
+const TABLE = 'outbound_emails';
+
+export const EMAIL_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+/**
+ * Default settings
+ */
+export const EMAIL_DELIVERY_DEFAULTS = {
+  transport: process.env.EMAIL_PROVIDER || null,
+  fromEmail: process.env.EMAIL_FROM || process.env.SENDGRID_FROM_EMAIL || 'noreply@prismify.com',
+  fromName: process.env.EMAIL_FROM_NAME || 'Prismify',
+  appUrl: process.env.APP_URL || 'http://localhost:3000',
+  maxAttempts: 5,
+  // Wait before attempt 2, 3, 4 and 5
+  retryDelaysMinutes: [1, 10, 60, 360],
+  batchSize: 50,
+  staleSendingMs: 10 * 60 * 1000,
+};
+
+export const EMAIL_COLUMNS =
+  'id, user_id, to_email, template, subject, html, text, status, attempts, next_attempt_at, ' +
+  'last_attempt_at, last_error, provider, provider_message_id, dedupe_key, metadata, sent_at, ' +
+  'created_at';
+
+/**
+ * Available transports by name
+ */
+export const EMAIL_TRANSPORTS = {
+  resend: createResendTransport,
+  sendgrid: createSendGridTransport,
+  smtp: createSmtpTransport,
+  mailbox: createMailboxTransport,
+};
+
+const transports = new Map();
+
+function getTransport(name) {
+  if (!transports.has(name)) {
+    transports.set(name, EMAIL_TRANSPORTS[name]());
+  }
+  return transports.get(name);
+}
+
+/**
+ * Pick the email transport for this environment
+ * @param {string|null} name - Transport name (defaults to EMAIL_PROVIDER, then automatic)
+ * @returns {Object} Email transport
+ * @throws {EmailDeliveryError} UNKNOWN_TRANSPORT or NOT_CONFIGURED
+ */
+export function resolveEmailTransport(name = EMAIL_DELIVERY_DEFAULTS.transport) {
+  if (name) {
+    if (!EMAIL_TRANSPORTS[name]) {
+      throw new EmailDeliveryError(
+        EMAIL_ERROR_CODES.UNKNOWN_TRANSPORT,
+        `Unknown email transport: ${name} (expected ${Object.keys(EMAIL_TRANSPORTS).join(', ')})`,
+        { transport: name }
+      );
+    }
+    const transport = getTransport(name);
+    if (!transport.isConfigured()) {
+      throw new EmailDeliveryError(
+        EMAIL_ERROR_CODES.NOT_CONFIGURED,
+        `Email transport ${name} is not configured`,
+        { transport: name }
+      );
+    }
+    return transport;
+  }
+
+  for (const candidate of ['resend', 'sendgrid', 'smtp']) {
+    if (getTransport(candidate).isConfigured()) {
+      return getTransport(candidate);
+    }
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return getTransport('mailbox');
+  }
+
+  throw new EmailDeliveryError(
+    EMAIL_ERROR_CODES.NOT_CONFIGURED,
+    'No email transport is configured (set RESEND_API_KEY, SENDGRID_API_KEY or SMTP_HOST)'
+  );
+}
+
+/**
+ * Absolute link into the web app
+ * @param {string} pathname - e.g. /settings/billing
+ * @returns {string}
+ */
+export function appUrl(pathname) {
+  return new URL(pathname, EMAIL_DELIVERY_DEFAULTS.appUrl).toString();
+}
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ */
+function retryDelayMs(attempts) {
+  const delays = EMAIL_DELIVERY_DEFAULTS.retryDelaysMinutes;
+  return delays[Math.min(attempts, delays.length) - 1] * 60 * 1000;
+}
+
+/**
+ * Update an outbound email row
+ */
+async function updateEmail(supabase, emailId, values) {
+  const { error } = await supabase.from(TABLE).update(values).eq('id', emailId);
+
+  if (error) {
+    throw new Error(`Failed to update outbound email ${emailId}: ${error.message}`);
+  }
+}
+
+/**
+ * Make one delivery attempt of a queued email
+ *
+ * The attempts counter doubles as a version, so two senders picking up the same row
+ * (an immediate send racing the cron job) cannot both send it.
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} email - outbound_emails row
+ * @param {Object} options - Options
+ * @param {Object} options.transport - Email transport (defaults to resolveEmailTransport)
+ * @param {Date} options.now - Current time
+ * @returns {Promise<{outcome: string, error?: string}>} outcome is 'sent', 'retrying',
+ *   'failed' or 'skipped' (another sender claimed the row)
+ */
+export async function deliverEmail(supabase, email, { transport, now = new Date() } = {}) {
+  const sender = transport || resolveEmailTransport();
+  const attempts = email.attempts + 1;
+
+  const { data: claimed, error: claimError } = await supabase
+    .from(TABLE)
+    .update({
+      status: EMAIL_STATUS.SENDING,
+      attempts,
+      last_attempt_at: now.toISOString(),
+    })
+    .eq('id', email.id)
+    .eq('attempts', email.attempts)
+    .select('id');
+
+  if (claimError) {
+    throw new Error(`Failed to claim outbound email ${email.id}: ${claimError.message}`);
+  }
+  if (!claimed?.length) {
+    return { outcome: 'skipped' };
+  }
+
+  try {
+    const { id } = await sender.send({
+      from: { email: EMAIL_DELIVERY_DEFAULTS.fromEmail, name: EMAIL_DELIVERY_DEFAULTS.fromName },
+      to: email.to_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: { 'X-Prismify-Email-Id': email.id },
+    });
+
+    await updateEmail(supabase, email.id, {
+      status: EMAIL_STATUS.SENT,
+      provider: sender.name,
+      provider_message_id: id || null,
+      last_error: null,
+      sent_at: new Date().toISOString(),
+    });
+    return { outcome: EMAIL_STATUS.SENT };
+  } catch (sendError) {
+    const message = sendError?.message || String(sendError);
+    const retry =
+      isRetryableEmailError(sendError) && attempts < EMAIL_DELIVERY_DEFAULTS.maxAttempts;
+
+    await updateEmail(supabase, email.id, {
+      status: retry ? EMAIL_STATUS.PENDING : EMAIL_STATUS.FAILED,
+      provider: sender.name,
+      last_error: message,
+      next_attempt_at: retry
+        ? new Date(now.getTime() + retryDelayMs(attempts)).toISOString()
+        : null,
+    });
+    return { outcome: retry ? 'retrying' : EMAIL_STATUS.FAILED, error: message };
+  }
+}
+
+/**
+ * Render a template and add it to the outbox
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} email - Email to queue
+ * @param {string} email.to - Recipient address
+ * @param {string} email.template - Key of EMAIL_TEMPLATES
+ * @param {Object} email.data - Template data
+ * @param {string} [email.userId] - User the email is about
+ * @param {string} [email.dedupeKey] - Queue the email only once for this key
+ * @param {Object} [email.metadata] - Stored with the row (e.g. invoice or audit IDs)
+ * @param {Object} [options]
+ * @param {boolean} [options.sendNow=true] - Make the first attempt before returning
+ * @param {Object} [options.transport] - Email transport for the first attempt
+ * @returns {Promise<{email: Object|null, outcome: string, error?: string}>} outcome is
+ *   'queued', 'duplicate' or a deliverEmail outcome
+ */
+export async function queueEmail(
+  supabase,
+  { to, template, data = {}, userId = null, dedupeKey = null, metadata = {} },
+  { sendNow = true, transport } = {}
+) {
+  const { subject, html, text } = renderEmail(template, data);
+
+  const { data: email, error } = await supabase
+    .from(TABLE)
+    .insert({
+      user_id: userId,
+      to_email: to,
+      template,
+      subject,
+      html,
+      text,
+      status: EMAIL_STATUS.PENDING,
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      dedupe_key: dedupeKey,
+      metadata,
+    })
+    .select(EMAIL_COLUMNS)
+    .single();
+
+  if (error?.code === '23505') {
+    return { email: null, outcome: 'duplicate' };
+  }
+  if (error) {
+    throw new Error(`Failed to queue ${template} email: ${error.message}`);
+  }
+
+  if (!sendNow) {
+    return { email, outcome: 'queued' };
+  }
+
+  let sender;
+  try {
+    sender = transport || resolveEmailTransport();
+  } catch (transportError) {
+    // Stays pending; the queue job sends it once a transport is configured
+    console.error(`Email ${email.id} queued without sending:`, transportError.message);
+    return { email, outcome: 'queued', error: transportError.message };
+  }
+
+  return { email, ...(await deliverEmail(supabase, email, { transport: sender })) };
+}
+
+/**
+ * Send due emails: pending rows whose next attempt has come, and rows left in sending by
+ * a sender that died
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - Options
+ * @param {Object} options.transport - Email transport (defaults to resolveEmailTransport)
+ * @param {Date} options.now - Current time
+ * @param {number} options.limit - Maximum emails per run
+ * @returns {Promise<Object>} Summary ({ processed, sent, retrying, failed, skipped, errors })
+ */
+export async function processEmailQueue(
+  supabase,
+  { transport, now = new Date(), limit = EMAIL_DELIVERY_DEFAULTS.batchSize } = {}
+) {
+  const sender = transport || resolveEmailTransport();
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0, skipped: 0, errors: [] };
+
+  const { data: due, error: dueError } = await supabase
+    .from(TABLE)
+    .select(EMAIL_COLUMNS)
+    .eq('status', EMAIL_STATUS.PENDING)
+    .lte('next_attempt_at', now.toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (dueError) {
+    throw new Error(`Failed to load due emails: ${dueError.message}`);
+  }
+
+  const staleBefore = new Date(now.getTime() - EMAIL_DELIVERY_DEFAULTS.staleSendingMs);
+  const { data: stale, error: staleError } = await supabase
+    .from(TABLE)
+    .select(EMAIL_COLUMNS)
+    .eq('status', EMAIL_STATUS.SENDING)
+    .lt('last_attempt_at', staleBefore.toISOString())
+    .order('last_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (staleError) {
+    throw new Error(`Failed to load stale emails: ${staleError.message}`);
+  }
+
+  for (const email of [...(due || []), ...(stale || [])].slice(0, limit)) {
+    summary.processed++;
+    try {
+      const { outcome, error } = await deliverEmail(supabase, email, { transport: sender, now });
+      summary[outcome]++;
+      if (error) {
+        summary.errors.push({ emailId: email.id, error });
+      }
+    } catch (err) {
+      summary.errors.push({ emailId: email.id, error: err.message });
+      console.error(`Error delivering email ${email.id}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  queueEmail,
+  deliverEmail,
+  processEmailQueue,
+  resolveEmailTransport,
+  appUrl,
+  EMAIL_STATUS,
+  EMAIL_DELIVERY_DEFAULTS,
+  EMAIL_TRANSPORTS,
+};
@@ -3,12 +3,13 @@
  *
  * Handles email sending for authentication and notifications.
  * Uses Supabase Auth for authentication emails (password reset, verification).
- * Can be extended with custom SMTP for transactional emails.
+ * Transactional emails go through the outbound email queue (emailDelivery.js).
  *
  * @module services/email/emailService
  */
 
-import { supabase } from '../../config/supabase.js';
+import { supabase, createClient } from '../../config/supabase.js';
+import { queueEmail } from './emailDelivery.js';
 
 /**
  * Email Service Class
@@ -148,25 +149,36 @@ export class EmailService {
   }
 
   /**
-   * Send notification email (placeholder for custom implementation)
+   * Send notification email
+   *
+   * Queued in outbound_emails with the generic notification template; transient provider
+   * failures are retried by scripts/process-email-queue.js.
    *
    * @param {string} email - User's email address
    * @param {string} subject - Email subject
-   * @param {string} _body - Email body (HTML or text) - unused until SMTP configured
+   * @param {string} body - Plain-text body; blank lines separate paragraphs
+   * @param {Object} options - { userId, dedupeKey }
    * @returns {Promise<{success: boolean, error: Object|null}>}
    */
-  async sendNotificationEmail(email, subject, _body) {
+  async sendNotificationEmail(email, subject, body, { userId = null, dedupeKey = null } = {}) {
     try {
-      // TODO: Implement with SendGrid, Postmark, or other email service
-      console.log(`Notification email would be sent to: ${email}`);
-      console.log(`Subject: ${subject}`);
-      console.warn('Notification emails not yet implemented. Configure SMTP provider.');
+      const {
+        email: queued,
+        outcome,
+        error,
+      } = await queueEmail(createClient({ admin: true }), {
+        to: email,
+        template: 'notification',
+        data: { subject, body },
+        userId,
+        dedupeKey,
+      });
 
-      return {
-        success: true,
-        error: null,
-        note: 'Notification email feature not yet configured',
-      };
+      if (outcome === 'failed') {
+        return { success: false, error: { message: error } };
+      }
+
+      return { success: true, error: null, emailId: queued?.id || null };
     } catch (error) {
       console.error('EmailService.sendNotificationEmail error:', error);
       return {
@@ -8,7 +8,10 @@
  */
 
 import { emailService, EmailService } from './emailService.js';
+import { queueEmail, processEmailQueue, resolveEmailTransport } from './emailDelivery.js';
+import { renderEmail } from './templates.js';
 
 export { emailService, EmailService };
+export { queueEmail, processEmailQueue, resolveEmailTransport, renderEmail };
 
 export default emailService;
@@ -0,0 +1,269 @@
+/**
+ * Email Templates
+ * HTML and plain-text bodies for transactional emails
+ *
+ * Every template returns { subject, html, text } from plain data, so the queue can store the
+ * rendered message and retries send exactly what was first rendered. Values are escaped for
+ * HTML; the text body uses them as-is.
+ *
+ * @module services/email/templates
+ */
+
+/**
+ * Subjects of the dunning sequence by day since the failed payment
+ */
+export const DUNNING_SUBJECTS = {
+  1: 'Payment Failed - Action Required',
+  3: 'Urgent: Update Payment Method to Keep Your Access',
+  7: 'Final Notice: Your Account Has Been Suspended',
+};
+
+/**
+ * Escape a value for HTML text and attributes
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function greeting(name) {
+  return name ? `Hi ${name},` : 'Hi,';
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Render blocks into the shared layout
+ *
+ * Blocks: { p: 'text' }, { list: ['item'] }, { button: { label, url } }. Keeping templates
+ * as blocks lets one definition produce both bodies.
+ *
+ * @param {string} subject
+ * @param {Array<Object>} blocks
+ * @returns {{subject: string, html: string, text: string}}
+ */
+function render(subject, blocks) {
+  const html = blocks
+    .map((block) => {
+      if (block.list) {
+        const items = block.list.map((item) => `<li>${escapeHtml(item)}</li>`).join('');
+        return `<ul style="padding-left:20px;margin:0 0 16px">${items}</ul>`;
+      }
+      if (block.button) {
+        return (
+          `<p style="margin:24px 0"><a href="${escapeHtml(block.button.url)}" ` +
+          'style="background:#4f46e5;color:#ffffff;padding:12px 20px;border-radius:6px;' +
+          `text-decoration:none;display:inline-block">${escapeHtml(block.button.label)}</a></p>`
+        );
+      }
+      return `<p style="margin:0 0 16px">${escapeHtml(block.p).replace(/\n/g, '<br>')}</p>`;
+    })
+    .join('\n');
+
+  const text = blocks
+    .map((block) => {
+      if (block.list) {
+        return block.list.map((item) => `- ${item}`).join('\n');
+      }
+      if (block.button) {
+        return `${block.button.label}: ${block.button.url}`;
+      }
+      return block.p;
+    })
+    .join('\n\n');
+
+  return {
+    subject,
+    html: [
+      '<!DOCTYPE html>',
+      `<html><head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+      '<body style="margin:0;padding:24px;background:#f8fafc;font-family:Arial,sans-serif;' +
+        'color:#0f172a;font-size:15px;line-height:1.5">',
+      '<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px">',
+      html,
+      '<p style="margin:32px 0 0;color:#64748b;font-size:13px">Prismify</p>',
+      '</div></body></html>',
+    ].join('\n'),
+    text: `${text}\n\n-- \nPrismify\n`,
+  };
+}
+
+function alertLine(alert) {
+  return alert.type === 'score_drop'
+    ? `${alert.component} score dropped ${alert.drop} points (${alert.previous} -> ${alert.current})`
+    : `New critical issue (${alert.category}): ${alert.title}`;
+}
+
+/**
+ * Templates by name; each takes the data passed to queueEmail
+ */
+export const EMAIL_TEMPLATES = {
+  /**
+   * @param {Object} data - { name, amountDue, currency, invoiceUrl, gracePeriodDays, billingUrl }
+   */
+  dunning_day_1: (data) =>
+    render(DUNNING_SUBJECTS[1], [
+      { p: greeting(data.name) },
+      {
+        p:
+          `We couldn't process your payment of ${data.amountDue} ${data.currency}. ` +
+          `Your plan stays active for ${data.gracePeriodDays} more days while you update ` +
+          'your payment method.',
+      },
+      { button: { label: 'Pay invoice', url: data.invoiceUrl || data.billingUrl } },
+      { p: 'If you have already updated your card, you can ignore this email.' },
+    ]),
+
+  /**
+   * @param {Object} data - { name, daysRemaining, invoiceUrl, billingUrl }
+   */
+  dunning_day_3: (data) =>
+    render(DUNNING_SUBJECTS[3], [
+      { p: greeting(data.name) },
+      {
+        p:
+          'Your last payment is still outstanding. ' +
+          (data.daysRemaining > 0
+            ? `Your access will be suspended in ${data.daysRemaining} day${data.daysRemaining === 1 ? '' : 's'}.`
+            : 'Your access will be suspended soon.'),
+      },
+      { button: { label: 'Update payment method', url: data.invoiceUrl || data.billingUrl } },
+    ]),
+
+  /**
+   * @param {Object} data - { name, billingUrl }
+   */
+  dunning_day_7: (data) =>
+    render(DUNNING_SUBJECTS[7], [
+      { p: greeting(data.name) },
+      {
+        p:
+          'We still could not collect your payment, so your account has been suspended. ' +
+          'Your projects and audit history are kept, and access returns as soon as the ' +
+          'invoice is paid.',
+      },
+      { button: { label: 'Reactivate account', url: data.billingUrl } },
+    ]),
+
+  /**
+   * @param {Object} data - { name, planName, trialEndsAt, billingUrl }
+   */
+  trial_ending: (data) =>
+    render('Your Prismify trial ends soon', [
+      { p: greeting(data.name) },
+      {
+        p:
+          `Your ${data.planName || 'Prismify'} trial ends on ${formatDate(data.trialEndsAt)}. ` +
+          'Add a payment method to keep your audits, schedules and rank tracking running.',
+      },
+      { button: { label: 'Choose a plan', url: data.billingUrl } },
+    ]),
+
+  /**
+   * @param {Object} data - { url, score, previousScore, criticalIssues, auditUrl }
+   */
+  audit_completed: (data) =>
+    render(`Audit completed for ${data.url}: score ${data.score ?? 'n/a'}`, [
+      { p: `Your scheduled SEO audit of ${data.url} has finished.` },
+      {
+        list: [
+          `Overall score: ${data.score ?? 'n/a'}` +
+            (typeof data.previousScore === 'number' ? ` (previously ${data.previousScore})` : ''),
+          `Critical issues: ${data.criticalIssues ?? 0}`,
+        ],
+      },
+      { button: { label: 'View audit', url: data.auditUrl } },
+    ]),
+
+  /**
+   * @param {Object} data - { url, alerts (detectRegressions output), auditUrl }
+   */
+  score_regression: (data) =>
+    render(`SEO regression detected on ${data.url}`, [
+      { p: `Your scheduled audit of ${data.url} found regressions since the previous run:` },
+      { list: data.alerts.map(alertLine) },
+      { button: { label: 'View audit', url: data.auditUrl } },
+    ]),
+
+  /**
+   * @param {Object} data - { organizationName, inviterName, role, expiresAt, invitationUrl }
+   */
+  team_invitation: (data) =>
+    render(`Join ${data.organizationName} on Prismify`, [
+      {
+        p:
+          `${data.inviterName || 'A teammate'} invited you to the ${data.organizationName} ` +
+          `workspace on Prismify as ${/^[aeiou]/i.test(data.role) ? 'an' : 'a'} ${data.role}.`,
+      },
+      {
+        p:
+          `Sign in or create an account with this email address to accept. The invitation ` +
+          `expires on ${formatDate(data.expiresAt)}.`,
+      },
+      { button: { label: 'View invitation', url: data.invitationUrl } },
+    ]),
+
+  /**
+   * Internal alert to the team
+   * @param {Object} data - { userId, email, tier, amountDue, currency, invoiceUrl }
+   */
+  payment_failed_alert: (data) =>
+    render(`High-value payment failed: ${data.email}`, [
+      { p: 'A payment failed for a high-value customer. Manual follow-up recommended.' },
+      {
+        list: [
+          `User: ${data.email} (${data.userId})`,
+          `Plan: ${data.tier}`,
+          `Amount due: ${data.amountDue} ${data.currency}`,
+        ],
+      },
+      ...(data.invoiceUrl ? [{ button: { label: 'Open invoice', url: data.invoiceUrl } }] : []),
+    ]),
+
+  /**
+   * Free-form message; paragraphs are separated by blank lines
+   * @param {Object} data - { subject, body }
+   */
+  notification: (data) =>
+    render(
+      data.subject,
+      String(data.body || '')
+        .split(/\n{2,}/)
+        .map((paragraph) => ({ p: paragraph }))
+    ),
+};
+
+/**
+ * Render a template
+ * @param {string} template - Key of EMAIL_TEMPLATES
+ * @param {Object} data - Template data
+ * @returns {{subject: string, html: string, text: string}}
+ * @throws {Error} When the template does not exist
+ */
+export function renderEmail(template, data = {}) {
+  const build = EMAIL_TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return build(data);
+}
+
+export default {
+  renderEmail,
+  escapeHtml,
+  EMAIL_TEMPLATES,
+  DUNNING_SUBJECTS,
+};
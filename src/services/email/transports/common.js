@@ -0,0 +1,115 @@
+/**
+ * Email Transport Helpers
+ * Shared error type, sender formatting and HTTP helper for email delivery adapters
+ *
+ * @module services/email/transports/common
+ */
+
+/**
+ * Failure codes of email transports
+ */
+export const EMAIL_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  UNKNOWN_TRANSPORT: 'UNKNOWN_TRANSPORT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  REJECTED: 'REJECTED',
+};
+
+/**
+ * Error thrown when a message cannot be handed to the email provider
+ */
+export class EmailDeliveryError extends Error {
+  /**
+   * @param {string} code - One of EMAIL_ERROR_CODES
+   * @param {string} message - Human-readable reason
+   * @param {Object} details - Extra context (transport, HTTP status or SMTP reply code)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'EmailDeliveryError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether sending again later could succeed
+ *
+ * Rate limits, timeouts, connection failures and provider-side (5xx / SMTP 4xx) errors are
+ * transient. Rejected messages (invalid recipient, unverified sender) and missing
+ * configuration are not; they fail until someone changes the message or the settings.
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isRetryableEmailError(error) {
+  if (!(error instanceof EmailDeliveryError)) {
+    return true;
+  }
+  return [
+    EMAIL_ERROR_CODES.RATE_LIMITED,
+    EMAIL_ERROR_CODES.TIMEOUT,
+    EMAIL_ERROR_CODES.REQUEST_FAILED,
+  ].includes(error.code);
+}
+
+/**
+ * Format a sender as "Name <address>"
+ * @param {{email: string, name?: string}} from
+ * @returns {string}
+ */
+export function formatAddress({ email, name }) {
+  return name ? `"${name.replace(/["\\]/g, '')}" <${email}>` : email;
+}
+
+/**
+ * Send a JSON request to an email API
+ * @param {string} transport - Transport name for the error details
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options plus `timeoutMs`
+ * @returns {Promise<Response>} The successful response
+ * @throws {EmailDeliveryError} RATE_LIMITED, TIMEOUT, REQUEST_FAILED (5xx, network) or
+ *   REJECTED (other 4xx)
+ */
+export async function sendRequest(transport, url, { timeoutMs, ...options }) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new EmailDeliveryError(
+        EMAIL_ERROR_CODES.TIMEOUT,
+        `${transport} did not respond within ${timeoutMs} ms`,
+        { transport }
+      );
+    }
+    throw new EmailDeliveryError(
+      EMAIL_ERROR_CODES.REQUEST_FAILED,
+      `Could not reach ${transport}: ${error.message}`,
+      { transport }
+    );
+  }
+
+  if (response.ok) {
+    return response;
+  }
+
+  // Provider error bodies explain rejections (e.g. "domain is not verified")
+  const reason = (await response.text().catch(() => '')).slice(0, 500);
+
+  if (response.status === 429) {
+    throw new EmailDeliveryError(
+      EMAIL_ERROR_CODES.RATE_LIMITED,
+      `${transport} rate limit reached, try again later`,
+      { transport, status: 429 }
+    );
+  }
+
+  throw new EmailDeliveryError(
+    response.status >= 500 ? EMAIL_ERROR_CODES.REQUEST_FAILED : EMAIL_ERROR_CODES.REJECTED,
+    `${transport} returned HTTP ${response.status}${reason ? `: ${reason}` : ''}`,
+    { transport, status: response.status }
+  );
+}
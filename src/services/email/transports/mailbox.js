@@ -0,0 +1,63 @@
+/**
+ * Mailbox Email Transport
+ * Keeps sent messages in memory, and optionally as JSON files, instead of delivering them
+ *
+ * Used by tests and as the development fallback when no provider is configured. Set
+ * EMAIL_MAILBOX_DIR to inspect rendered emails on disk.
+ *
+ * @module services/email/transports/mailbox
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+const NAME = 'mailbox';
+
+/**
+ * Default settings
+ */
+export const MAILBOX_DEFAULTS = {
+  dir: process.env.EMAIL_MAILBOX_DIR || null,
+  // Older messages are dropped so a long-running dev server does not grow unbounded
+  maxMessages: 100,
+};
+
+/**
+ * Create the mailbox adapter
+ * @param {Object} settings - Overrides of MAILBOX_DEFAULTS
+ * @returns {Object} Email transport ({ name, isConfigured, send, messages })
+ */
+export function createMailboxTransport(settings = {}) {
+  const options = { ...MAILBOX_DEFAULTS, ...settings };
+  const messages = [];
+
+  return {
+    name: NAME,
+    messages,
+
+    isConfigured() {
+      return true;
+    },
+
+    async send(message) {
+      const id = `mailbox_${randomUUID()}`;
+      const stored = { id, ...message, sent_at: new Date().toISOString() };
+
+      messages.push(stored);
+      if (messages.length > options.maxMessages) {
+        messages.shift();
+      }
+
+      if (options.dir) {
+        await mkdir(options.dir, { recursive: true });
+        const fileName = `${stored.sent_at.replace(/[:.]/g, '-')}-${id}.json`;
+        await writeFile(path.join(options.dir, fileName), JSON.stringify(stored, null, 2));
+      }
+
+      return { id };
+    },
+  };
+}
+
+export default createMailboxTransport;
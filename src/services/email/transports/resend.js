@@ -0,0 +1,62 @@
+/**
+ * Resend Email Transport
+ * Sends through the Resend HTTP API
+ * https://resend.com/docs/api-reference/emails/send-email
+ *
+ * @module services/email/transports/resend
+ */
+
+import { EmailDeliveryError, EMAIL_ERROR_CODES, formatAddress, sendRequest } from './common.js';
+
+const NAME = 'resend';
+
+/**
+ * Default settings
+ */
+export const RESEND_DEFAULTS = {
+  apiKey: process.env.RESEND_API_KEY || null,
+  baseUrl: process.env.RESEND_API_URL || 'https://api.resend.com',
+  timeoutMs: parseInt(process.env.EMAIL_TIMEOUT_MS, 10) || 15000,
+};
+
+/**
+ * Create the Resend adapter
+ * @param {Object} settings - Overrides of RESEND_DEFAULTS
+ * @returns {Object} Email transport ({ name, isConfigured, send })
+ */
+export function createResendTransport(settings = {}) {
+  const options = { ...RESEND_DEFAULTS, ...settings };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.apiKey);
+    },
+
+    async send({ from, to, subject, html, text, headers = {} }) {
+      if (!this.isConfigured()) {
+        throw new EmailDeliveryError(
+          EMAIL_ERROR_CODES.NOT_CONFIGURED,
+          'Set RESEND_API_KEY to send email through Resend',
+          { transport: NAME }
+        );
+      }
+
+      const response = await sendRequest(NAME, `${options.baseUrl}/emails`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${options.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ from: formatAddress(from), to: [to], subject, html, text, headers }),
+        timeoutMs: options.timeoutMs,
+      });
+
+      const body = await response.json().catch(() => ({}));
+      return { id: body.id || null };
+    },
+  };
+}
+
+export default createResendTransport;
@@ -0,0 +1,72 @@
+/**
+ * SendGrid Email Transport
+ * Sends through the SendGrid v3 Mail Send API
+ * https://www.twilio.com/docs/sendgrid/api-reference/mail-send/mail-send
+ *
+ * @module services/email/transports/sendgrid
+ */
+
+import { EmailDeliveryError, EMAIL_ERROR_CODES, sendRequest } from './common.js';
+
+const NAME = 'sendgrid';
+
+/**
+ * Default settings
+ */
+export const SENDGRID_DEFAULTS = {
+  apiKey: process.env.SENDGRID_API_KEY || null,
+  baseUrl: process.env.SENDGRID_API_URL || 'https://api.sendgrid.com',
+  timeoutMs: parseInt(process.env.EMAIL_TIMEOUT_MS, 10) || 15000,
+};
+
+/**
+ * Create the SendGrid adapter
+ * @param {Object} settings - Overrides of SENDGRID_DEFAULTS
+ * @returns {Object} Email transport ({ name, isConfigured, send })
+ */
+export function createSendGridTransport(settings = {}) {
+  const options = { ...SENDGRID_DEFAULTS, ...settings };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.apiKey);
+    },
+
+    async send({ from, to, subject, html, text, headers = {} }) {
+      if (!this.isConfigured()) {
+        throw new EmailDeliveryError(
+          EMAIL_ERROR_CODES.NOT_CONFIGURED,
+          'Set SENDGRID_API_KEY to send email through SendGrid',
+          { transport: NAME }
+        );
+      }
+
+      const response = await sendRequest(NAME, `${options.baseUrl}/v3/mail/send`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${options.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          personalizations: [{ to: [{ email: to }] }],
+          from: { email: from.email, ...(from.name && { name: from.name }) },
+          subject,
+          // SendGrid requires text/plain before text/html
+          content: [
+            { type: 'text/plain', value: text },
+            { type: 'text/html', value: html },
+          ],
+          ...(Object.keys(headers).length > 0 && { headers }),
+        }),
+        timeoutMs: options.timeoutMs,
+      });
+
+      // 202 Accepted has no body; the message ID is a header
+      return { id: response.headers.get('x-message-id') };
+    },
+  };
+}
+
+export default createSendGridTransport;
@@ -0,0 +1,377 @@
+/**
+ * SMTP Email Transport
+ * Minimal SMTP client (RFC 5321) for self-hosted relays and local catchers like Mailpit
+ *
+ * Supports implicit TLS (port 465), STARTTLS when the server offers it, and AUTH PLAIN /
+ * AUTH LOGIN. Each send opens its own connection; the queue sends in small batches so
+ * connection reuse is not worth the bookkeeping.
+ *
+ * Credentials are only sent over TLS. A relay that offers neither implicit TLS nor STARTTLS
+ * gets no AUTH unless SMTP_ALLOW_INSECURE_AUTH=true (a local relay on a trusted network).
+ *
+ * Written against node:net/node:tls rather than nodemailer: the queue needs one plain
+ * text + HTML message per send, no attachments, pooling or DKIM, and the other transports
+ * are plain fetch calls, so this keeps email delivery free of a mail library and its
+ * transitive dependencies. Anything beyond that (attachments, OAuth2, pooled connections)
+ * should move to nodemailer instead of growing this client.
+ *
+ * @module services/email/transports/smtp
+ */
+
+import net from 'node:net';
+import tls from 'node:tls';
+import { randomUUID } from 'node:crypto';
+import { EmailDeliveryError, EMAIL_ERROR_CODES } from './common.js';
+
+const NAME = 'smtp';
+
+/**
+ * Default settings
+ */
+export const SMTP_DEFAULTS = {
+  host: process.env.SMTP_HOST || null,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER || null,
+  pass: process.env.SMTP_PASS || null,
+  allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+  clientName: process.env.SMTP_CLIENT_NAME || 'localhost',
+  timeoutMs: parseInt(process.env.EMAIL_TIMEOUT_MS, 10) || 15000,
+  tlsOptions: {}, // Extra node:tls options, e.g. { ca } for a relay with a private CA
+};
+
+/**
+ * node:tls options for a connection to the server
+ * @param {Object} options - Transport settings
+ * @returns {Object}
+ */
+function tlsSettings({ host, tlsOptions }) {
+  // SNI takes host names only
+  return { ...(net.isIP(host) ? {} : { servername: host }), ...tlsOptions };
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it is not plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) {
+    return value;
+  }
+  return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64-encode a body part in 76-character lines
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeBody(value) {
+  return (
+    Buffer.from(value, 'utf8')
+      .toString('base64')
+      .match(/.{1,76}/g) || []
+  ).join('\r\n');
+}
+
+/**
+ * Build a multipart/alternative MIME message
+ * @param {Object} message - { from, to, subject, html, text, headers }
+ * @param {Object} options - Options
+ * @param {string} options.messageId - Message-ID header value
+ * @param {Date} options.date - Date header value
+ * @returns {string} The message with CRLF line endings
+ */
+export function buildMimeMessage(
+  { from, to, subject, html, text, headers = {} },
+  { messageId, date = new Date() }
+) {
+  const boundary = `prismify-${randomUUID()}`;
+  const sender = from.name ? `${encodeHeader(from.name)} <${from.email}>` : from.email;
+
+  const lines = [
+    `From: ${sender}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(String(value))}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    '',
+  ];
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Collects multi-line SMTP replies ("250-..." continuation lines up to "250 ...")
+ * @param {net.Socket} socket
+ * @returns {{next: Function, detach: Function}}
+ */
+function createReplyReader(socket) {
+  let buffer = '';
+  let pending = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const flush = () => {
+    while (replies.length > 0 && waiting.length > 0) {
+      waiting.shift().resolve(replies.shift());
+    }
+    while (failure && waiting.length > 0) {
+      waiting.shift().reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      pending.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: pending });
+        pending = [];
+      }
+    }
+    flush();
+  };
+
+  const onError = (error) => {
+    failure =
+      error instanceof EmailDeliveryError
+        ? error
+        : new EmailDeliveryError(
+            EMAIL_ERROR_CODES.REQUEST_FAILED,
+            `SMTP connection failed: ${error.message}`,
+            { transport: NAME }
+          );
+    flush();
+  };
+
+  const onClose = () => {
+    onError(new Error('connection closed by server'));
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      }),
+    detach: () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    },
+  };
+}
+
+/**
+ * Open a TCP or TLS connection
+ * @param {Object} options - Transport settings
+ * @returns {Promise<net.Socket>}
+ */
+function connect(options) {
+  const { host, port, secure, timeoutMs } = options;
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, ...tlsSettings(options) })
+      : net.connect({ host, port });
+
+    socket.setTimeout(timeoutMs, () => {
+      socket.destroy(
+        new EmailDeliveryError(
+          EMAIL_ERROR_CODES.TIMEOUT,
+          `SMTP server did not respond within ${timeoutMs} ms`,
+          { transport: NAME }
+        )
+      );
+    });
+
+    const onError = (error) => {
+      reject(
+        error instanceof EmailDeliveryError
+          ? error
+          : new EmailDeliveryError(
+              EMAIL_ERROR_CODES.REQUEST_FAILED,
+              `Could not connect to SMTP server ${host}:${port}: ${error.message}`,
+              { transport: NAME }
+            )
+      );
+    };
+    socket.once('error', onError);
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', onError);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Upgrade a plain connection after STARTTLS
+ * @param {net.Socket} socket
+ * @param {Object} options - Transport settings (host for certificate checks, tlsOptions)
+ * @returns {Promise<tls.TLSSocket>}
+ */
+function upgradeToTls(socket, options) {
+  const { host, timeoutMs } = options;
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, host, ...tlsSettings(options) });
+    secureSocket.setTimeout(timeoutMs, () => {
+      secureSocket.destroy(
+        new EmailDeliveryError(EMAIL_ERROR_CODES.TIMEOUT, 'SMTP TLS handshake timed out', {
+          transport: NAME,
+        })
+      );
+    });
+    secureSocket.once('error', (error) =>
+      reject(
+        new EmailDeliveryError(
+          EMAIL_ERROR_CODES.REQUEST_FAILED,
+          `SMTP STARTTLS failed: ${error.message}`,
+          { transport: NAME }
+        )
+      )
+    );
+    secureSocket.once('secureConnect', () => resolve(secureSocket));
+  });
+}
+
+/**
+ * Turn an unexpected reply into an error
+ *
+ * 4xx replies are temporary (greylisting, mailbox busy); 5xx replies are permanent.
+ */
+function replyError(verb, reply) {
+  return new EmailDeliveryError(
+    reply.code >= 500 ? EMAIL_ERROR_CODES.REJECTED : EMAIL_ERROR_CODES.REQUEST_FAILED,
+    `SMTP ${verb} failed with ${reply.code}: ${reply.lines.join(' ')}`,
+    { transport: NAME, status: reply.code }
+  );
+}
+
+/**
+ * Create the SMTP adapter
+ * @param {Object} settings - Overrides of SMTP_DEFAULTS
+ * @returns {Object} Email transport ({ name, isConfigured, send })
+ */
+export function createSmtpTransport(settings = {}) {
+  const options = { ...SMTP_DEFAULTS, ...settings };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.host);
+    },
+
+    async send(message) {
+      if (!this.isConfigured()) {
+        throw new EmailDeliveryError(
+          EMAIL_ERROR_CODES.NOT_CONFIGURED,
+          'Set SMTP_HOST to send email over SMTP',
+          { transport: NAME }
+        );
+      }
+
+      const domain = message.from.email.split('@')[1] || options.clientName;
+      const messageId = `<${randomUUID()}@${domain}>`;
+
+      let socket = await connect(options);
+      let reader = createReplyReader(socket);
+
+      const command = async (line, expected, verb = line?.split(' ')[0] || 'greeting') => {
+        if (line !== null) {
+          socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+          throw replyError(verb, reply);
+        }
+        return reply;
+      };
+
+      try {
+        await command(null, [220]);
+        let hello = await command(`EHLO ${options.clientName}`, [250]);
+
+        const offers = (keyword) =>
+          hello.lines.some((line) => line.toUpperCase().startsWith(keyword));
+
+        let encrypted = options.secure;
+        if (!encrypted && offers('STARTTLS')) {
+          await command('STARTTLS', [220]);
+          reader.detach();
+          socket = await upgradeToTls(socket, options);
+          reader = createReplyReader(socket);
+          encrypted = true;
+          hello = await command(`EHLO ${options.clientName}`, [250]);
+        }
+
+        if (options.user && !encrypted && !options.allowInsecureAuth) {
+          throw new EmailDeliveryError(
+            EMAIL_ERROR_CODES.NOT_CONFIGURED,
+            `SMTP server ${options.host} offers no STARTTLS; not sending credentials in the ` +
+              'clear (set SMTP_SECURE=true for implicit TLS, or SMTP_ALLOW_INSECURE_AUTH=true ' +
+              'for a trusted local relay)',
+            { transport: NAME }
+          );
+        }
+
+        if (options.user) {
+          const mechanisms =
+            hello.lines.find((line) => line.toUpperCase().startsWith('AUTH')) || '';
+
+          if (/\bPLAIN\b/i.test(mechanisms) || !/\bLOGIN\b/i.test(mechanisms)) {
+            const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`).toString(
+              'base64'
+            );
+            await command(`AUTH PLAIN ${credentials}`, [235]);
+          } else {
+            await command('AUTH LOGIN', [334]);
+            await command(Buffer.from(options.user).toString('base64'), [334], 'AUTH');
+            await command(Buffer.from(options.pass || '').toString('base64'), [235], 'AUTH');
+          }
+        }
+
+        await command(`MAIL FROM:<${message.from.email}>`, [250]);
+        await command(`RCPT TO:<${message.to}>`, [250, 251]);
+        await command('DATA', [354]);
+
+        // Dot-stuffing: a line starting with "." gets a second one so it cannot end DATA
+        const body = buildMimeMessage(message, { messageId }).replace(/^\./gm, '..');
+        await command(`${body}\r\n.`, [250], 'message');
+
+        socket.write('QUIT\r\n');
+        return { id: messageId };
+      } finally {
+        reader.detach();
+        socket.end();
+        socket.destroy();
+      }
+    },
+  };
+}
+
+export default createSmtpTransport;
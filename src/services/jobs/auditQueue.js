@@ -0,0 +1,504 @@
+/**
+ * Audit Job Queue
+ * Redis-backed queue for audits run by the background worker
+ * Carries single-page audits, site crawls and competitor analyses; all count toward the user's
+ * concurrency cap.
+ *
+ * Redis layout:
+ * - audit:queue             ZSET of audit IDs scored by the time they may run (ms)
+ * - audit:job:<auditId>     HASH with the job record (status, attempts, progress, ...)
+ * - audit:running:<userId>  ZSET of the user's running audit IDs scored by lease expiry (ms)
+ * - audit:leases            ZSET of every claimed audit ID scored by lease expiry (ms)
+ *
+ * The per-user running set enforces the tier concurrency cap. Entries carry a lease that
+ * the worker renews while the job runs (renewLease), so long crawls keep their slot. A job
+ * whose lease runs out belonged to a worker that died: recoverExpiredLeases puts it back
+ * on the queue, or fails it once it is out of attempts.
+ *
+ * @module services/jobs/auditQueue
+ */
+
+import { createClient } from 'redis';
+import config from '../../config/index.js';
+import { getAuditConcurrency } from '../../config/tiers.js';
+import { AUDIT_COMPONENTS } from '../auditRunner.js';
+
+/**
+ * Kinds of work the queue carries
+ */
+export const JOB_TYPES = {
+  PAGE_AUDIT: 'page_audit',
+  SITE_CRAWL: 'site_crawl',
+  COMPETITOR_ANALYSIS: 'competitor_analysis',
+};
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+/**
+ * Queue defaults
+ */
+export const QUEUE_DEFAULTS = {
+  maxAttempts: parseInt(process.env.AUDIT_JOB_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMs: 5000, // Doubled on every attempt
+  leaseMs: 10 * 60 * 1000, // 10 minutes
+  heartbeatMs: 60 * 1000, // How often a running job renews its lease
+  concurrencyRetryMs: 2000, // Delay before re-checking a user at their concurrency cap
+  finishedJobTtl: 7 * 24 * 60 * 60, // Keep finished jobs for 7 days (seconds)
+  claimBatchSize: 25,
+};
+
+/**
+ * Thrown inside a running audit once the user has cancelled it
+ */
+export class AuditCancelledError extends Error {
+  constructor(auditId) {
+    super(`Audit ${auditId} was cancelled`);
+    this.name = 'AuditCancelledError';
+    this.auditId = auditId;
+  }
+}
+
+class AuditQueue {
+  constructor() {
+    this.client = null;
+    this.isConnected = false;
+    this.keys = {
+      queue: 'audit:queue',
+      job: (auditId) => `audit:job:${auditId}`,
+      running: (userId) => `audit:running:${userId}`,
+      leases: 'audit:leases',
+    };
+  }
+
+  /**
+   * Initialize Redis connection
+   * @returns {Promise<boolean>} True if the queue is usable
+   */
+  async initialize() {
+    try {
+      if (this.isConnected) {
+        return true;
+      }
+
+      const redisOptions = {
+        url: config.redis.url,
+        socket: {
+          connectTimeout: 5000,
+          reconnectStrategy: (retries) => {
+            if (retries > 10) {
+              return new Error('Redis reconnect attempts exceeded');
+            }
+            return Math.min(retries * 100, 3000);
+          },
+        },
+      };
+
+      // Only add password if it's configured
+      if (config.redis.password) {
+        redisOptions.password = config.redis.password;
+      }
+
+      this.client = createClient(redisOptions);
+
+      this.client.on('error', (err) => {
+        console.error('❌ Audit queue Redis error:', err.message);
+        this.isConnected = false;
+      });
+
+      this.client.on('ready', () => {
+        this.isConnected = true;
+      });
+
+      await this.client.connect();
+      this.isConnected = true;
+
+      console.log('✅ Audit queue initialized');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize audit queue:', error.message);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Parse a job hash from Redis
+   */
+  parseJob(hash) {
+    if (!hash || !hash.audit_id) {
+      return null;
+    }
+
+    return {
+      audit_id: hash.audit_id,
+      type: hash.type || JOB_TYPES.PAGE_AUDIT,
+      user_id: hash.user_id,
+      url: hash.url,
+      options: hash.options ? JSON.parse(hash.options) : {},
+      tier: hash.tier,
+      status: hash.status,
+      attempts: parseInt(hash.attempts, 10) || 0,
+      max_attempts: parseInt(hash.max_attempts, 10) || QUEUE_DEFAULTS.maxAttempts,
+      completed_components: hash.completed_components ? JSON.parse(hash.completed_components) : [],
+      cancel_requested: hash.cancel_requested === '1',
+      last_error: hash.last_error || null,
+      created_at: hash.created_at,
+      updated_at: hash.updated_at,
+      started_at: hash.started_at || null,
+      finished_at: hash.finished_at || null,
+    };
+  }
+
+  /**
+   * Add an audit to the queue
+   * @param {Object} params - Job parameters
+   * @param {string} params.auditId - seo_analyses row ID (site_crawls row ID for crawls,
+   *   competitor_analyses row ID for competitor analyses)
+   * @param {string} params.userId - Owner of the audit
+   * @param {string} params.url - URL to audit (seed URL for crawls)
+   * @param {string} params.tier - Owner's subscription tier (sets the concurrency cap)
+   * @param {string} params.type - One of JOB_TYPES
+   * @param {Object} params.options - Type-specific options (e.g. crawl page limit)
+   * @returns {Promise<Object>} Job record
+   */
+  async enqueue({ auditId, userId, url, tier, type = JOB_TYPES.PAGE_AUDIT, options = {} }) {
+    const now = new Date().toISOString();
+
+    await this.client
+      .multi()
+      .hSet(this.keys.job(auditId), {
+        audit_id: auditId,
+        type,
+        user_id: userId,
+        url,
+        options: JSON.stringify(options),
+        tier: tier || 'starter',
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        max_attempts: QUEUE_DEFAULTS.maxAttempts,
+        completed_components: '[]',
+        created_at: now,
+        updated_at: now,
+      })
+      .zAdd(this.keys.queue, { score: Date.now(), value: auditId })
+      .exec();
+
+    return this.getJob(auditId);
+  }
+
+  /**
+   * Get a job record
+   * @param {string} auditId - Audit ID
+   * @returns {Promise<Object|null>} Job record or null if unknown/expired
+   */
+  async getJob(auditId) {
+    return this.parseJob(await this.client.hGetAll(this.keys.job(auditId)));
+  }
+
+  /**
+   * Claim the next runnable job
+   *
+   * Jobs whose owner is at their concurrency cap are pushed back briefly so other
+   * users' audits are not blocked behind them.
+   *
+   * @returns {Promise<Object|null>} Claimed job (now running) or null if none is ready
+   */
+  async claimNext() {
+    const now = Date.now();
+    const candidates = await this.client.zRangeByScore(this.keys.queue, 0, now, {
+      LIMIT: { offset: 0, count: QUEUE_DEFAULTS.claimBatchSize },
+    });
+
+    for (const auditId of candidates) {
+      // Whoever removes the entry owns the job
+      const removed = await this.client.zRem(this.keys.queue, auditId);
+      if (!removed) {
+        continue;
+      }
+
+      // From here until the job is back on the queue or finished, the lease keeps it
+      // recoverable if this worker dies
+      await this.client.zAdd(this.keys.leases, {
+        score: now + QUEUE_DEFAULTS.leaseMs,
+        value: auditId,
+      });
+
+      // A cancelled job is skipped. A job flagged for cancellation still goes to the worker,
+      // which stops it at its first checkpoint and brings its row in line
+      const job = await this.getJob(auditId);
+      if (!job || job.status !== JOB_STATUS.QUEUED) {
+        await this.client.zRem(this.keys.leases, auditId);
+        continue;
+      }
+
+      const runningKey = this.keys.running(job.user_id);
+      const limit = getAuditConcurrency(job.tier);
+
+      // Take a slot first, then back out if that put the user over their cap
+      await this.client.zRemRangeByScore(runningKey, 0, now);
+      await this.client.zAdd(runningKey, { score: now + QUEUE_DEFAULTS.leaseMs, value: auditId });
+      const running = await this.client.zCard(runningKey);
+
+      if (running > limit) {
+        await this.client
+          .multi()
+          .zRem(runningKey, auditId)
+          .zRem(this.keys.leases, auditId)
+          .zAdd(this.keys.queue, { score: now + QUEUE_DEFAULTS.concurrencyRetryMs, value: auditId })
+          .exec();
+        continue;
+      }
+
+      const startedAt = new Date().toISOString();
+      await this.client.hSet(this.keys.job(auditId), {
+        status: JOB_STATUS.RUNNING,
+        attempts: job.attempts + 1,
+        completed_components: '[]',
+        started_at: startedAt,
+        updated_at: startedAt,
+      });
+      await this.client.expire(runningKey, Math.ceil(QUEUE_DEFAULTS.leaseMs / 1000));
+
+      return {
+        ...job,
+        status: JOB_STATUS.RUNNING,
+        attempts: job.attempts + 1,
+        started_at: startedAt,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extend a running job's lease
+   *
+   * Called on a timer by the worker while the job runs.
+   *
+   * @param {Object} job - Job record
+   * @param {number} [now] - Current time (ms)
+   * @returns {Promise<boolean>} False if the lease was already lost (the job was recovered
+   *   or finished elsewhere)
+   */
+  async renewLease(job, now = Date.now()) {
+    const expiresAt = now + QUEUE_DEFAULTS.leaseMs;
+    const runningKey = this.keys.running(job.user_id);
+
+    // XX: only refresh entries that still exist, never re-create a recovered lease
+    const [renewed] = await this.client
+      .multi()
+      .zAdd(
+        this.keys.leases,
+        { score: expiresAt, value: job.audit_id },
+        { condition: 'XX', CH: true }
+      )
+      .zAdd(runningKey, { score: expiresAt, value: job.audit_id }, { condition: 'XX' })
+      .expire(runningKey, Math.ceil(QUEUE_DEFAULTS.leaseMs / 1000))
+      .exec();
+
+    return Number(renewed) > 0;
+  }
+
+  /**
+   * Recover jobs whose lease has expired
+   *
+   * Jobs with attempts left go back on the queue; the rest are marked failed. The caller
+   * brings the job's database row in line (pending or failed).
+   *
+   * @param {number} [now] - Current time (ms)
+   * @returns {Promise<{requeued: Object[], failed: Object[]}>} Recovered job records
+   */
+  async recoverExpiredLeases(now = Date.now()) {
+    const recovered = { requeued: [], failed: [] };
+    const expired = await this.client.zRangeByScore(this.keys.leases, 0, now, {
+      LIMIT: { offset: 0, count: QUEUE_DEFAULTS.claimBatchSize },
+    });
+
+    for (const auditId of expired) {
+      // Whoever removes the lease recovers the job
+      const removed = await this.client.zRem(this.keys.leases, auditId);
+      if (!removed) {
+        continue;
+      }
+
+      const job = await this.getJob(auditId);
+      if (!job || FINISHED_STATUSES.includes(job.status)) {
+        continue;
+      }
+
+      const message = 'Worker stopped responding (lease expired)';
+
+      if (job.attempts >= job.max_attempts) {
+        await this.finish(job, JOB_STATUS.FAILED, message);
+        recovered.failed.push({ ...job, status: JOB_STATUS.FAILED, last_error: message });
+        continue;
+      }
+
+      await this.client
+        .multi()
+        .hSet(this.keys.job(auditId), {
+          status: JOB_STATUS.QUEUED,
+          last_error: message,
+          updated_at: new Date(now).toISOString(),
+        })
+        .zRem(this.keys.running(job.user_id), auditId)
+        .zAdd(this.keys.queue, { score: now, value: auditId })
+        .exec();
+      recovered.requeued.push({ ...job, status: JOB_STATUS.QUEUED, last_error: message });
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Record that an analyzer finished for a running job
+   * @param {string} auditId - Audit ID
+   * @param {string} component - Analyzer key (meta, content, ...)
+   */
+  async markProgress(auditId, component) {
+    const job = await this.getJob(auditId);
+    if (!job) {
+      return;
+    }
+
+    const completed = Array.from(new Set([...job.completed_components, component]));
+    await this.client.hSet(this.keys.job(auditId), {
+      completed_components: JSON.stringify(completed),
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Check whether the user asked to cancel a job
+   * @param {string} auditId - Audit ID
+   * @returns {Promise<boolean>} True if cancellation was requested
+   */
+  async isCancelRequested(auditId) {
+    return (await this.client.hGet(this.keys.job(auditId), 'cancel_requested')) === '1';
+  }
+
+  /**
+   * Mark a job as finished and release its concurrency slot
+   * @param {Object} job - Job record
+   * @param {string} status - completed, failed or cancelled
+   * @param {string} errorMessage - Failure reason, if any
+   */
+  async finish(job, status, errorMessage = null) {
+    const now = new Date().toISOString();
+    const jobKey = this.keys.job(job.audit_id);
+
+    await this.client
+      .multi()
+      .hSet(jobKey, {
+        status,
+        finished_at: now,
+        updated_at: now,
+        ...(errorMessage && { last_error: errorMessage }),
+      })
+      .expire(jobKey, QUEUE_DEFAULTS.finishedJobTtl)
+      .zRem(this.keys.running(job.user_id), job.audit_id)
+      .zRem(this.keys.leases, job.audit_id)
+      .exec();
+  }
+
+  /**
+   * Re-queue a failed attempt with exponential backoff
+   * @param {Object} job - Job record (attempts already includes the failed attempt)
+   * @param {string} errorMessage - Why the attempt failed
+   * @returns {Promise<boolean>} False if the job is out of attempts
+   */
+  async retry(job, errorMessage) {
+    if (job.attempts >= job.max_attempts) {
+      return false;
+    }
+
+    const delay = QUEUE_DEFAULTS.retryDelayMs * 2 ** (job.attempts - 1);
+    await this.client
+      .multi()
+      .hSet(this.keys.job(job.audit_id), {
+        status: JOB_STATUS.QUEUED,
+        last_error: errorMessage,
+        updated_at: new Date().toISOString(),
+      })
+      .zRem(this.keys.running(job.user_id), job.audit_id)
+      .zRem(this.keys.leases, job.audit_id)
+      .zAdd(this.keys.queue, { score: Date.now() + delay, value: job.audit_id })
+      .exec();
+
+    return true;
+  }
+
+  /**
+   * Cancel a job
+   *
+   * Queued jobs are removed immediately. Running jobs are flagged and stopped by the
+   * worker at its next checkpoint.
+   *
+   * Like claimNext, cancel only finishes a job it took off the queue itself. A job claimed
+   * at the same moment keeps running (claimNext never overwrites a cancelled job) and the
+   * flag, set before the queue entry is taken, stops it at its first checkpoint.
+   *
+   * @param {string} auditId - Audit ID
+   * @returns {Promise<Object|null>} Updated job record or null if unknown
+   */
+  async cancel(auditId) {
+    const job = await this.getJob(auditId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    await this.client.hSet(this.keys.job(auditId), {
+      cancel_requested: '1',
+      updated_at: new Date().toISOString(),
+    });
+
+    if (await this.client.zRem(this.keys.queue, auditId)) {
+      await this.finish(job, JOB_STATUS.CANCELLED);
+    }
+
+    return this.getJob(auditId);
+  }
+
+  /**
+   * Summarize analyzer progress for a job
+   * @param {Object} job - Job record
+   * @returns {Object} { completed, pending, percent }
+   */
+  getProgress(job) {
+    const completed = AUDIT_COMPONENTS.filter((component) =>
+      job.completed_components.includes(component)
+    );
+    const pending = AUDIT_COMPONENTS.filter((component) => !completed.includes(component));
+    const percent =
+      job.status === JOB_STATUS.COMPLETED
+        ? 100
+        : Math.round((completed.length / AUDIT_COMPONENTS.length) * 100);
+
+    return { completed, pending, percent };
+  }
+
+  /**
+   * Close Redis connection
+   */
+  async close() {
+    if (this.client && this.isConnected) {
+      await this.client.quit();
+      this.isConnected = false;
+    }
+  }
+}
+
+// Export singleton instance
+const auditQueue = new AuditQueue();
+export default auditQueue;
@@ -0,0 +1,161 @@
+/**
+ * Audit Schedule Rules
+ * Recurrence and score-regression rules for scheduled audits (no I/O)
+ *
+ * - computeNextRun: next due time for a daily/weekly/monthly schedule
+ * - detectRegressions: compares a finished audit with the previous one and returns alerts
+ *   for score drops past the schedule's threshold and for new critical issues
+ *
+ * @module services/jobs/auditSchedule
+ */
+
+import { AUDIT_COMPONENTS } from '../auditRunner.js';
+import { issueKey } from '../auditComparison.js';
+
+/**
+ * Supported schedule frequencies
+ */
+export const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Schedule defaults
+ */
+export const SCHEDULE_DEFAULTS = {
+  scoreDropThreshold: 5, // Points; the same change auditStorage treats as significant
+  batchSize: 100, // Due schedules handled per scheduler run
+};
+
+/**
+ * Alert types raised after a scheduled audit
+ */
+export const ALERT_TYPES = {
+  SCORE_DROP: 'score_drop',
+  NEW_CRITICAL_ISSUE: 'new_critical_issue',
+};
+
+function advance(date, frequency) {
+  if (frequency === 'daily') {
+    date.setUTCDate(date.getUTCDate() + 1);
+  } else if (frequency === 'weekly') {
+    date.setUTCDate(date.getUTCDate() + 7);
+  } else {
+    // Keep the day of month, clamped to shorter months (Jan 31 -> Feb 28)
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    const daysInMonth = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    date.setUTCDate(Math.min(day, daysInMonth));
+  }
+}
+
+/**
+ * Next due time of a schedule
+ *
+ * Runs missed while the scheduler was down (or the schedule was paused) are skipped rather
+ * than queued back to back.
+ *
+ * @param {string} frequency - 'daily' | 'weekly' | 'monthly'
+ * @param {Date|string} from - Previous due time
+ * @param {Date} now - Current time
+ * @returns {Date} First due time after `now`
+ */
+export function computeNextRun(frequency, from, now = new Date()) {
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    throw new Error(`Unknown schedule frequency: ${frequency}`);
+  }
+
+  const next = new Date(from);
+  do {
+    advance(next, frequency);
+  } while (next <= now);
+
+  return next;
+}
+
+function componentScore(entry, component) {
+  const value = entry.scores?.[component];
+  return typeof value === 'object' ? value?.score : value;
+}
+
+/**
+ * Compare a scheduled audit with the previous audit of the same URL
+ * @param {Object} current - getAuditHistory entry ({ id, score, scores, recommendations })
+ * @param {Object} previous - Earlier getAuditHistory entry
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Minimum drop in points that raises an alert
+ * @returns {Array} Alerts: { type: 'score_drop', component, previous, current, drop } and
+ *   { type: 'new_critical_issue', code, title, category }
+ */
+export function detectRegressions(
+  current,
+  previous,
+  { threshold = SCHEDULE_DEFAULTS.scoreDropThreshold } = {}
+) {
+  const alerts = [];
+
+  const checkDrop = (component, before, after) => {
+    if (typeof before !== 'number' || typeof after !== 'number') {
+      return;
+    }
+    const drop = Math.round(before - after);
+    if (drop >= threshold) {
+      alerts.push({
+        type: ALERT_TYPES.SCORE_DROP,
+        component,
+        previous: Math.round(before),
+        current: Math.round(after),
+        drop,
+      });
+    }
+  };
+
+  checkDrop('overall', previous.score, current.score);
+  for (const component of AUDIT_COMPONENTS) {
+    checkDrop(component, componentScore(previous, component), componentScore(current, component));
+  }
+
+  // Issues that were already critical last time have been alerted on before
+  const previousCritical = new Set(
+    (previous.recommendations || [])
+      .filter((recommendation) => recommendation.priority === 'critical')
+      .map(issueKey)
+  );
+  for (const recommendation of current.recommendations || []) {
+    if (recommendation.priority === 'critical' && !previousCritical.has(issueKey(recommendation))) {
+      alerts.push({
+        type: ALERT_TYPES.NEW_CRITICAL_ISSUE,
+        code: recommendation.code || null,
+        title: recommendation.title,
+        category: recommendation.category,
+      });
+    }
+  }
+
+  return alerts;
+}
+
+/**
+ * Plain-text summary of alerts for notifications
+ * @param {string} url - Audited URL
+ * @param {Array} alerts - detectRegressions output
+ * @returns {string}
+ */
+export function describeAlerts(url, alerts) {
+  const lines = alerts.map((alert) =>
+    alert.type === ALERT_TYPES.SCORE_DROP
+      ? `- ${alert.component} score dropped ${alert.drop} points (${alert.previous} -> ${alert.current})`
+      : `- New critical issue (${alert.category}): ${alert.title}`
+  );
+  return [`Scheduled audit of ${url} found regressions:`, ...lines].join('\n');
+}
+
+export default {
+  computeNextRun,
+  detectRegressions,
+  describeAlerts,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_DEFAULTS,
+  ALERT_TYPES,
+};
@@ -0,0 +1,306 @@
+/**
+ * Audit Scheduler
+ * Queues scheduled audits when they are due and checks finished runs for regressions
+ *
+ * - enqueueDueSchedules: run by scripts/process-audit-schedules.js; creates a pending audit
+ *   for every due schedule and queues it for the audit worker, in the schedule's workspace.
+ *   Scheduled runs count against the workspace's monthly audit quota like manual ones.
+ * - evaluateScheduledAudit: called by the audit worker once a scheduled audit is saved;
+ *   compares it with the previous audit of the URL, records alerts and emails the owner
+ *   either the regressions or the audit report.
+ *
+ * @module services/jobs/auditScheduler
+ */
+
+import usageTracker from '../usageTracker.js';
+import auditStorage from '../auditStorage.js';
+import { appUrl, queueEmail } from '../email/emailDelivery.js';
+import auditQueue from './auditQueue.js';
+import { personalWorkspace, workspaceColumns } from '../organizations/workspace.js';
+import { computeNextRun, detectRegressions, SCHEDULE_DEFAULTS } from './auditSchedule.js';
+
+/**
+ * Update a schedule row
+ */
+async function updateSchedule(supabase, scheduleId, values) {
+  const { error } = await supabase
+    .from('audit_schedules')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', scheduleId);
+
+  if (error) {
+    throw new Error(`Failed to update schedule ${scheduleId}: ${error.message}`);
+  }
+}
+
+/**
+ * Workspace a schedule runs in: its creator's personal workspace, or its organization
+ * (whose owner's plan and quota apply)
+ */
+async function scheduleWorkspace(supabase, schedule) {
+  if (!schedule.organization_id) {
+    return personalWorkspace(schedule.user_id);
+  }
+
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('id, name, owner_id')
+    .eq('id', schedule.organization_id)
+    .single();
+
+  if (error || !organization) {
+    throw new Error(`Failed to load organization ${schedule.organization_id}`);
+  }
+
+  return {
+    organizationId: organization.id,
+    organizationName: organization.name,
+    role: null,
+    ownerId: organization.owner_id,
+    userId: schedule.user_id,
+  };
+}
+
+/**
+ * Create the pending audit for a due schedule and queue it
+ */
+async function queueScheduledAudit(supabase, schedule, workspace, tier, queue) {
+  const { data: audit, error } = await supabase
+    .from('seo_analyses')
+    .insert({
+      ...workspaceColumns(workspace),
+      project_id: schedule.project_id || null,
+      schedule_id: schedule.id,
+      content_url: schedule.url,
+      analysis_type: 'comprehensive_seo_audit',
+      results: { status: 'pending', url: schedule.url },
+      seo_score: null,
+      status: 'pending',
+      ai_provider: 'seo_agent',
+      created_at: new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create scheduled audit: ${error.message}`);
+  }
+
+  await queue.enqueue({
+    auditId: audit.id,
+    userId: schedule.user_id,
+    url: schedule.url,
+    tier,
+    options: { schedule_id: schedule.id },
+  });
+
+  return audit;
+}
+
+/**
+ * Queue every enabled schedule whose next run is due
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {Object} options.queue - Connected audit queue
+ * @param {number} options.limit - Maximum schedules handled in this run
+ * @returns {Promise<Object>} { checked, queued, quotaExceeded, errors: [{ scheduleId, error }] }
+ */
+export async function enqueueDueSchedules(
+  supabase,
+  { now = new Date(), queue = auditQueue, limit = SCHEDULE_DEFAULTS.batchSize } = {}
+) {
+  const summary = { checked: 0, queued: 0, quotaExceeded: 0, errors: [] };
+
+  const { data: schedules, error } = await supabase
+    .from('audit_schedules')
+    .select('id, user_id, organization_id, project_id, url, frequency, next_run_at')
+    .eq('enabled', true)
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load due schedules: ${error.message}`);
+  }
+
+  for (const schedule of schedules || []) {
+    summary.checked++;
+
+    try {
+      const nextRunAt = computeNextRun(schedule.frequency, schedule.next_run_at, now).toISOString();
+      const workspace = await scheduleWorkspace(supabase, schedule);
+      const quota = await usageTracker.checkQuota(schedule.user_id, 'audits', workspace);
+
+      if (!quota.allowed) {
+        // Skip this run; the schedule resumes once the quota resets
+        await updateSchedule(supabase, schedule.id, {
+          next_run_at: nextRunAt,
+          last_status: 'quota_exceeded',
+        });
+        summary.quotaExceeded++;
+        continue;
+      }
+
+      const audit = await queueScheduledAudit(supabase, schedule, workspace, quota.tier, queue);
+      await usageTracker.logUsage(schedule.user_id, 'audit', {
+        audit_id: audit.id,
+        url: schedule.url,
+        source: 'schedule',
+      });
+
+      await updateSchedule(supabase, schedule.id, {
+        next_run_at: nextRunAt,
+        last_run_at: now.toISOString(),
+        last_audit_id: audit.id,
+        last_status: 'queued',
+      });
+      summary.queued++;
+    } catch (scheduleError) {
+      summary.errors.push({ scheduleId: schedule.id, error: scheduleError.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Email the schedule owner the result of a run: the regressions found, or the audit
+ * report when there are none
+ */
+async function notifyOwner(supabase, job, current, previous, alerts) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('email')
+    .eq('id', job.user_id)
+    .single();
+  if (!user?.email) {
+    return false;
+  }
+
+  const auditUrl = appUrl(`/dashboard/audits/${job.audit_id}`);
+  const template = alerts.length > 0 ? 'score_regression' : 'audit_completed';
+  const data =
+    alerts.length > 0
+      ? { url: job.url, alerts, auditUrl }
+      : {
+          url: job.url,
+          score: current.score,
+          previousScore: previous?.score ?? null,
+          criticalIssues: (current.recommendations || []).filter(
+            (recommendation) => recommendation.priority === 'critical'
+          ).length,
+          auditUrl,
+        };
+
+  const { outcome } = await queueEmail(supabase, {
+    to: user.email,
+    template,
+    data,
+    userId: job.user_id,
+    dedupeKey: `${template}:${job.audit_id}`,
+    metadata: { audit_id: job.audit_id, schedule_id: job.options.schedule_id },
+  });
+  return outcome !== 'failed';
+}
+
+/**
+ * Compare a finished scheduled audit with the previous audit of the same URL
+ *
+ * The first run of a schedule has nothing to compare with and becomes the baseline.
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} job - Audit job ({ audit_id, user_id, url, options: { schedule_id } })
+ * @returns {Promise<Array>} Alerts raised (empty for baselines and failed runs)
+ */
+export async function evaluateScheduledAudit(supabase, job) {
+  const scheduleId = job.options?.schedule_id;
+  if (!scheduleId) {
+    return [];
+  }
+
+  const { data: schedule } = await supabase
+    .from('audit_schedules')
+    .select('id, score_drop_threshold')
+    .eq('id', scheduleId)
+    .single();
+
+  if (!schedule) {
+    // Deleted while the audit was running
+    return [];
+  }
+
+  const { success, history, error } = await auditStorage.getAuditHistory(
+    job.user_id,
+    job.url,
+    10,
+    supabase
+  );
+  if (!success) {
+    throw new Error(`Failed to load audit history: ${error}`);
+  }
+
+  const currentIndex = history.findIndex((entry) => entry.id === job.audit_id);
+  const current = history[currentIndex];
+  if (!current || current.status !== 'completed') {
+    await updateSchedule(supabase, scheduleId, { last_status: 'failed' });
+    return [];
+  }
+
+  // History is newest first, so earlier audits follow the current one
+  const previous = history
+    .slice(currentIndex + 1)
+    .find((entry) => entry.status === 'completed' && entry.score !== null);
+
+  const alerts = previous
+    ? detectRegressions(current, previous, { threshold: schedule.score_drop_threshold })
+    : [];
+
+  await updateSchedule(supabase, scheduleId, {
+    last_status: alerts.length > 0 ? 'regressed' : 'completed',
+  });
+
+  if (alerts.length === 0) {
+    try {
+      await notifyOwner(supabase, job, current, previous, alerts);
+    } catch (notifyError) {
+      console.error(`Failed to send report for audit ${job.audit_id}:`, notifyError.message);
+    }
+    return alerts;
+  }
+
+  const { data: alert, error: alertError } = await supabase
+    .from('audit_alerts')
+    .insert({
+      user_id: job.user_id,
+      schedule_id: scheduleId,
+      audit_id: job.audit_id,
+      previous_audit_id: previous.id,
+      alerts,
+    })
+    .select('id')
+    .single();
+
+  if (alertError) {
+    throw new Error(`Failed to save audit alerts: ${alertError.message}`);
+  }
+
+  try {
+    if (await notifyOwner(supabase, job, current, previous, alerts)) {
+      await supabase
+        .from('audit_alerts')
+        .update({ notified_at: new Date().toISOString() })
+        .eq('id', alert.id);
+    }
+  } catch (notifyError) {
+    // The alert is stored and visible in the API even if the email fails
+    console.error(`Failed to send alerts for audit ${job.audit_id}:`, notifyError.message);
+  }
+
+  return alerts;
+}
+
+export default {
+  enqueueDueSchedules,
+  evaluateScheduledAudit,
+};
@@ -0,0 +1,420 @@
+/**
+ * Audit Worker
+ * Pulls jobs from the Redis queue and runs them:
+ * - page_audit: single-page audit, results written to seo_analyses
+ * - site_crawl: multi-page crawl, results written to site_crawls (see crawlJob.js)
+ * - competitor_analysis: a page compared with competitor pages, results written to
+ *   competitor_analyses (see competitorJob.js)
+ *
+ * Retry policy:
+ * - Transient fetch failures (timeouts, connection errors, 5xx/429) and unexpected errors
+ *   are retried with backoff until the job runs out of attempts
+ * - Permanent fetch failures (DNS, 4xx, non-HTML, ...) are recorded as failed immediately
+ *
+ * Leases:
+ * - A running job renews its queue lease every QUEUE_DEFAULTS.heartbeatMs
+ * - Every sweepIntervalMs the worker recovers jobs whose lease expired (their worker died):
+ *   they are queued again, or failed once out of attempts, and their row updated to match
+ *
+ * Audits queued by a schedule are compared with the previous audit of the URL once saved
+ * (see auditScheduler.js).
+ *
+ * @module services/jobs/auditWorker
+ */
+
+import { createClient } from '../../config/supabase.js';
+import { runPageAudit, persistAuditOutcome } from '../auditRunner.js';
+import { FETCH_ERROR_CODES } from '../crawler/pageFetcher.js';
+import auditQueue, {
+  AuditCancelledError,
+  JOB_STATUS,
+  JOB_TYPES,
+  QUEUE_DEFAULTS,
+} from './auditQueue.js';
+import { processCrawlJob } from './crawlJob.js';
+import { processCompetitorJob } from './competitorJob.js';
+import { evaluateScheduledAudit } from './auditScheduler.js';
+
+/**
+ * Worker defaults
+ */
+export const WORKER_DEFAULTS = {
+  concurrency: parseInt(process.env.AUDIT_WORKER_CONCURRENCY, 10) || 2,
+  pollIntervalMs: 1000,
+  sweepIntervalMs: 60 * 1000,
+};
+
+/**
+ * Check whether a fetch failure is worth retrying
+ * @param {Object} failure - Failure from runPageAudit ({ code, message, http_status? })
+ * @returns {boolean} True for transient failures
+ */
+export function isRetryableFailure(failure) {
+  if (!failure) {
+    return false;
+  }
+
+  if (
+    failure.code === FETCH_ERROR_CODES.TIMEOUT ||
+    failure.code === FETCH_ERROR_CODES.CONNECTION_FAILED
+  ) {
+    return true;
+  }
+
+  return (
+    failure.code === FETCH_ERROR_CODES.HTTP_ERROR &&
+    (failure.http_status >= 500 || failure.http_status === 429)
+  );
+}
+
+/**
+ * Update the audit row's status outside of a full outcome write
+ *
+ * A row the user has cancelled stays cancelled: the cancel request can land between the
+ * worker's last checkpoint and this write.
+ */
+async function setAuditStatus(supabase, auditId, status, results = null) {
+  const { error } = await supabase
+    .from('seo_analyses')
+    .update({
+      status,
+      ...(results && { results }),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', auditId)
+    .neq('status', 'cancelled');
+
+  if (error) {
+    console.error(`Failed to set audit ${auditId} to ${status}:`, error.message);
+  }
+}
+
+/**
+ * Check a finished scheduled audit for regressions without failing the job
+ */
+async function checkSchedule(supabase, job) {
+  if (!job.options?.schedule_id) {
+    return;
+  }
+
+  try {
+    await evaluateScheduledAudit(supabase, job);
+  } catch (error) {
+    console.error(`Schedule check for audit ${job.audit_id} failed:`, error.message);
+  }
+}
+
+/**
+ * Run one claimed job to completion
+ * @param {Object} job - Job returned by auditQueue.claimNext()
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status (or 'queued' if it was retried)
+ */
+export async function processAuditJob(job, supabase = createClient({ admin: true })) {
+  const auditId = job.audit_id;
+
+  const checkCancelled = async () => {
+    if (await auditQueue.isCancelRequested(auditId)) {
+      throw new AuditCancelledError(auditId);
+    }
+  };
+
+  try {
+    await checkCancelled();
+    await setAuditStatus(supabase, auditId, 'running');
+
+    const outcome = await runPageAudit(job.url, {
+      onProgress: async (component) => {
+        await auditQueue.markProgress(auditId, component);
+        await checkCancelled();
+      },
+    });
+
+    if (outcome.status === 'failed' && isRetryableFailure(outcome.failure)) {
+      if (await auditQueue.retry(job, outcome.failure.message)) {
+        await setAuditStatus(supabase, auditId, 'pending');
+        return JOB_STATUS.QUEUED;
+      }
+    }
+
+    await persistAuditOutcome(supabase, auditId, job.url, outcome);
+    await auditQueue.finish(
+      job,
+      outcome.status === 'completed' ? JOB_STATUS.COMPLETED : JOB_STATUS.FAILED,
+      outcome.failure?.message
+    );
+    await checkSchedule(supabase, job);
+
+    return outcome.status;
+  } catch (error) {
+    if (error instanceof AuditCancelledError) {
+      await setAuditStatus(supabase, auditId, 'cancelled', {
+        status: 'cancelled',
+        url: job.url,
+      });
+      await auditQueue.finish(job, JOB_STATUS.CANCELLED);
+      return JOB_STATUS.CANCELLED;
+    }
+
+    console.error(`Audit job ${auditId} failed (attempt ${job.attempts}):`, error);
+
+    if (await auditQueue.retry(job, error.message)) {
+      await setAuditStatus(supabase, auditId, 'pending');
+      return JOB_STATUS.QUEUED;
+    }
+
+    await setAuditStatus(supabase, auditId, 'failed', {
+      status: 'failed',
+      url: job.url,
+      failure: { code: 'AUDIT_ERROR', message: 'The audit could not be completed' },
+    });
+    await auditQueue.finish(job, JOB_STATUS.FAILED, error.message);
+    await checkSchedule(supabase, job);
+    return JOB_STATUS.FAILED;
+  }
+}
+
+/**
+ * Run one claimed crawl job, applying the retry policy to unexpected errors
+ * @param {Object} job - Job returned by auditQueue.claimNext() (type site_crawl)
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status (or 'queued' if it was retried)
+ */
+export async function processSiteCrawlJob(job, supabase = createClient({ admin: true })) {
+  const crawlId = job.audit_id;
+
+  try {
+    return await processCrawlJob(job, supabase);
+  } catch (error) {
+    console.error(`Crawl job ${crawlId} failed (attempt ${job.attempts}):`, error);
+
+    const retried = await auditQueue.retry(job, error.message);
+    const { error: updateError } = await supabase
+      .from('site_crawls')
+      .update({
+        status: retried ? 'pending' : 'failed',
+        error: retried ? null : 'The crawl could not be completed',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', crawlId);
+
+    if (updateError) {
+      console.error(`Failed to update crawl ${crawlId}:`, updateError.message);
+    }
+
+    if (retried) {
+      return JOB_STATUS.QUEUED;
+    }
+    await auditQueue.finish(job, JOB_STATUS.FAILED, error.message);
+    return JOB_STATUS.FAILED;
+  }
+}
+
+/**
+ * Run one claimed competitor analysis job, applying the retry policy to unexpected errors
+ * @param {Object} job - Job returned by auditQueue.claimNext() (type competitor_analysis)
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status (or 'queued' if it was retried)
+ */
+export async function processCompetitorAnalysisJob(job, supabase = createClient({ admin: true })) {
+  const analysisId = job.audit_id;
+
+  try {
+    return await processCompetitorJob(job, supabase);
+  } catch (error) {
+    console.error(`Competitor analysis ${analysisId} failed (attempt ${job.attempts}):`, error);
+
+    const retried = await auditQueue.retry(job, error.message);
+    const { error: updateError } = await supabase
+      .from('competitor_analyses')
+      .update({
+        status: retried ? 'pending' : 'failed',
+        error: retried ? null : 'The competitor analysis could not be completed',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', analysisId);
+
+    if (updateError) {
+      console.error(`Failed to update competitor analysis ${analysisId}:`, updateError.message);
+    }
+
+    if (retried) {
+      return JOB_STATUS.QUEUED;
+    }
+    await auditQueue.finish(job, JOB_STATUS.FAILED, error.message);
+    return JOB_STATUS.FAILED;
+  }
+}
+
+/**
+ * Run a claimed job of any type, renewing its lease until it settles
+ * @param {Object} job - Job returned by auditQueue.claimNext()
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status
+ */
+export async function processJob(job, supabase) {
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await auditQueue.renewLease(job))) {
+        console.warn(`${job.type} ${job.audit_id}: lease lost, the job was recovered elsewhere`);
+      }
+    } catch (error) {
+      console.error(`Lease renewal for ${job.audit_id} failed:`, error.message);
+    }
+  }, QUEUE_DEFAULTS.heartbeatMs);
+
+  try {
+    switch (job.type) {
+      case JOB_TYPES.SITE_CRAWL:
+        return await processSiteCrawlJob(job, supabase);
+      case JOB_TYPES.COMPETITOR_ANALYSIS:
+        return await processCompetitorAnalysisJob(job, supabase);
+      default:
+        return await processAuditJob(job, supabase);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Bring a recovered job's row in line with the queue (pending again, or failed)
+ */
+async function updateRecoveredJob(supabase, job) {
+  const failed = job.status === JOB_STATUS.FAILED;
+
+  if (job.type === JOB_TYPES.PAGE_AUDIT) {
+    await setAuditStatus(
+      supabase,
+      job.audit_id,
+      failed ? 'failed' : 'pending',
+      failed
+        ? {
+            status: 'failed',
+            url: job.url,
+            failure: { code: 'AUDIT_ERROR', message: 'The audit could not be completed' },
+          }
+        : null
+    );
+    return;
+  }
+
+  const [table, noun] =
+    job.type === JOB_TYPES.SITE_CRAWL
+      ? ['site_crawls', 'crawl']
+      : ['competitor_analyses', 'competitor analysis'];
+  const { error } = await supabase
+    .from(table)
+    .update({
+      status: failed ? 'failed' : 'pending',
+      error: failed ? `The ${noun} could not be completed` : null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', job.audit_id);
+
+  if (error) {
+    console.error(`Failed to update recovered ${noun} ${job.audit_id}:`, error.message);
+  }
+}
+
+/**
+ * Recover jobs left behind by workers that died mid-run
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<{requeued: number, failed: number}>}
+ */
+export async function recoverExpiredJobs(supabase = createClient({ admin: true })) {
+  const { requeued, failed } = await auditQueue.recoverExpiredLeases();
+
+  for (const job of [...requeued, ...failed]) {
+    console.warn(`${job.type} ${job.audit_id}: lease expired, ${job.status}`);
+    await updateRecoveredJob(supabase, job);
+  }
+
+  return { requeued: requeued.length, failed: failed.length };
+}
+
+/**
+ * Start polling the queue
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Jobs run in parallel by this worker
+ * @param {number} options.pollIntervalMs - Delay between polls when the queue is empty
+ * @param {number} options.sweepIntervalMs - Delay between expired lease sweeps
+ * @returns {Promise<Object>} { stop } - stop() resolves once in-flight jobs finish
+ */
+export async function startAuditWorker({
+  concurrency = WORKER_DEFAULTS.concurrency,
+  pollIntervalMs = WORKER_DEFAULTS.pollIntervalMs,
+  sweepIntervalMs = WORKER_DEFAULTS.sweepIntervalMs,
+} = {}) {
+  const ready = await auditQueue.initialize();
+  if (!ready) {
+    throw new Error('Audit queue is unavailable (check REDIS_URL)');
+  }
+
+  const supabase = createClient({ admin: true });
+  const inFlight = new Set();
+  let stopped = false;
+  let pollTimer = null;
+
+  const poll = async () => {
+    pollTimer = null;
+
+    try {
+      while (!stopped && inFlight.size < concurrency) {
+        const job = await auditQueue.claimNext();
+        if (!job) {
+          break;
+        }
+
+        const run = processJob(job, supabase)
+          .then((status) => console.log(`${job.type} ${job.audit_id}: ${status}`))
+          .finally(() => {
+            inFlight.delete(run);
+            if (!stopped && !pollTimer) {
+              pollTimer = setTimeout(poll, 0);
+            }
+          });
+        inFlight.add(run);
+      }
+    } catch (error) {
+      console.error('Audit worker poll failed:', error.message);
+    }
+
+    if (!stopped && !pollTimer) {
+      pollTimer = setTimeout(poll, pollIntervalMs);
+    }
+  };
+
+  const sweep = async () => {
+    try {
+      await recoverExpiredJobs(supabase);
+    } catch (error) {
+      console.error('Audit worker lease sweep failed:', error.message);
+    }
+  };
+
+  await sweep();
+  const sweepTimer = setInterval(sweep, sweepIntervalMs);
+  await poll();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(pollTimer);
+      clearInterval(sweepTimer);
+      await Promise.allSettled(inFlight);
+      await auditQueue.close();
+    },
+  };
+}
+
+export default {
+  startAuditWorker,
+  processJob,
+  processAuditJob,
+  processSiteCrawlJob,
+  processCompetitorAnalysisJob,
+  recoverExpiredJobs,
+  isRetryableFailure,
+  WORKER_DEFAULTS,
+};
@@ -0,0 +1,83 @@
+/**
+ * Competitor Analysis Job
+ * Runs a queued competitor analysis and stores the comparison in competitor_analyses
+ *
+ * @module services/jobs/competitorJob
+ */
+
+import { runCompetitorAnalysis } from '../competitors/competitorRunner.js';
+import auditQueue, { JOB_STATUS } from './auditQueue.js';
+
+/**
+ * Update a competitor analysis row
+ */
+async function updateAnalysis(supabase, analysisId, values) {
+  const { error } = await supabase
+    .from('competitor_analyses')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', analysisId);
+
+  if (error) {
+    throw new Error(`Failed to update competitor analysis ${analysisId}: ${error.message}`);
+  }
+}
+
+/**
+ * Run one claimed competitor analysis job
+ *
+ * Errors are left to the caller (the audit worker), which applies the queue's retry policy.
+ *
+ * @param {Object} job - Job returned by auditQueue.claimNext() (type competitor_analysis)
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status
+ */
+export async function processCompetitorJob(job, supabase) {
+  const analysisId = job.audit_id;
+  const { competitor_urls: competitorUrls = [], set_id: setId } = job.options;
+
+  await updateAnalysis(supabase, analysisId, {
+    status: 'running',
+    pages_analyzed: 0,
+    started_at: new Date().toISOString(),
+  });
+
+  const outcome = await runCompetitorAnalysis(job.url, competitorUrls, {
+    onPage: (pagesAnalyzed) =>
+      updateAnalysis(supabase, analysisId, { pages_analyzed: pagesAnalyzed }),
+  });
+  const finishedAt = new Date().toISOString();
+
+  if (outcome.status === 'failed') {
+    await updateAnalysis(supabase, analysisId, {
+      status: 'failed',
+      error: `Your page could not be audited: ${outcome.failure.message}`,
+      finished_at: finishedAt,
+    });
+    await auditQueue.finish(job, JOB_STATUS.FAILED, outcome.failure.message);
+    return JOB_STATUS.FAILED;
+  }
+
+  await updateAnalysis(supabase, analysisId, {
+    status: 'completed',
+    result: outcome.result,
+    error: null,
+    finished_at: finishedAt,
+  });
+
+  if (setId) {
+    const { error } = await supabase
+      .from('competitor_sets')
+      .update({ last_analyzed_at: finishedAt })
+      .eq('id', setId);
+    if (error) {
+      console.error(`Failed to update competitor set ${setId}:`, error.message);
+    }
+  }
+
+  await auditQueue.finish(job, JOB_STATUS.COMPLETED);
+  return JOB_STATUS.COMPLETED;
+}
+
+export default {
+  processCompetitorJob,
+};
@@ -0,0 +1,157 @@
+/**
+ * Site Crawl Job
+ * Runs a queued site crawl and stores the pages and site report in site_crawls
+ *
+ * @module services/jobs/crawlJob
+ */
+
+import { crawlSite } from '../crawler/siteCrawler.js';
+import { buildSiteReport, buildInboundLinks, compareSiteReports } from '../crawler/siteReport.js';
+import auditQueue, { JOB_STATUS } from './auditQueue.js';
+
+const PAGE_INSERT_BATCH_SIZE = 100;
+
+/**
+ * Update a crawl row
+ */
+async function updateCrawl(supabase, crawlId, values) {
+  const { error } = await supabase
+    .from('site_crawls')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', crawlId);
+
+  if (error) {
+    throw new Error(`Failed to update crawl ${crawlId}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the last completed crawl of the same project and its pages
+ */
+async function loadPreviousCrawl(supabase, projectId, crawlId) {
+  const { data: previous } = await supabase
+    .from('site_crawls')
+    .select('id, report')
+    .eq('project_id', projectId)
+    .eq('status', 'completed')
+    .neq('id', crawlId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (!previous?.report) {
+    return null;
+  }
+
+  const { data: pages } = await supabase
+    .from('site_crawl_pages')
+    .select('url, overall_score')
+    .eq('crawl_id', previous.id);
+
+  return { ...previous, pages: pages || [] };
+}
+
+/**
+ * Store crawl pages with their link counts
+ */
+async function insertCrawlPages(supabase, crawlId, pages) {
+  const inbound = buildInboundLinks(pages);
+  const rows = pages.map((page) => ({
+    crawl_id: crawlId,
+    url: page.url,
+    final_url: page.final_url,
+    depth: page.depth,
+    status: page.status,
+    http_status: page.http_status,
+    overall_score: page.overall_score ?? null,
+    grade: page.grade ?? null,
+    scores: page.scores ?? null,
+    title: page.title ?? null,
+    description: page.description ?? null,
+    inbound_links: new Set([
+      ...(inbound.get(page.url) || []),
+      ...(inbound.get(page.final_url) || []),
+    ]).size,
+    outbound_links: page.links.length,
+    in_sitemap: page.in_sitemap,
+    issue_count: page.issue_count ?? 0,
+    recommendations: page.recommendations ?? null,
+    failure: page.failure,
+  }));
+
+  // A retried job may have saved pages before failing
+  await supabase.from('site_crawl_pages').delete().eq('crawl_id', crawlId);
+
+  for (let i = 0; i < rows.length; i += PAGE_INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('site_crawl_pages')
+      .insert(rows.slice(i, i + PAGE_INSERT_BATCH_SIZE));
+    if (error) {
+      throw new Error(`Failed to save crawl pages for ${crawlId}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Run one claimed crawl job
+ *
+ * Errors are left to the caller (the audit worker), which applies the queue's retry policy.
+ *
+ * @param {Object} job - Job returned by auditQueue.claimNext() (type site_crawl)
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<string>} Final job status
+ */
+export async function processCrawlJob(job, supabase) {
+  const crawlId = job.audit_id;
+  const { project_id: projectId, page_limit: pageLimit } = job.options;
+
+  await updateCrawl(supabase, crawlId, {
+    status: 'running',
+    pages_crawled: 0,
+    started_at: new Date().toISOString(),
+  });
+
+  const crawl = await crawlSite(job.url, {
+    maxPages: pageLimit,
+    isCancelled: () => auditQueue.isCancelRequested(crawlId),
+    onPage: (_page, pagesCrawled) =>
+      updateCrawl(supabase, crawlId, { pages_crawled: pagesCrawled }),
+  });
+
+  if (crawl.stopped_reason === 'cancelled') {
+    await updateCrawl(supabase, crawlId, {
+      status: 'cancelled',
+      pages_crawled: crawl.pages.length,
+      finished_at: crawl.finished_at,
+    });
+    await auditQueue.finish(job, JOB_STATUS.CANCELLED);
+    return JOB_STATUS.CANCELLED;
+  }
+
+  const report = buildSiteReport(crawl);
+  const previous = await loadPreviousCrawl(supabase, projectId, crawlId);
+  const comparison = previous
+    ? {
+        previous_crawl_id: previous.id,
+        ...compareSiteReports(report, crawl.pages, previous.report, previous.pages),
+      }
+    : null;
+
+  await insertCrawlPages(supabase, crawlId, crawl.pages);
+  await updateCrawl(supabase, crawlId, {
+    status: 'completed',
+    pages_crawled: crawl.pages.length,
+    average_score: report.summary.average_score,
+    report,
+    comparison,
+    previous_crawl_id: previous?.id || null,
+    finished_at: crawl.finished_at,
+  });
+  await auditQueue.finish(job, JOB_STATUS.COMPLETED);
+
+  return JOB_STATUS.COMPLETED;
+}
+
+export default {
+  processCrawlJob,
+};
@@ -0,0 +1,146 @@
+/**
+ * Rank Tracker
+ * Records the daily Google position of every enabled tracked keyword
+ *
+ * Run by scripts/process-rank-tracking.js. Each run checks keywords not yet checked today
+ * (UTC), so running the script hourly catches up after provider outages without checking
+ * a keyword twice in one day. Keywords whose plan (the user's, or the organization
+ * owner's) no longer includes rank_tracking are skipped until it is upgraded again.
+ *
+ * @module services/jobs/rankTracker
+ */
+
+import { hasFeatureAccess } from '../../middleware/subscription.js';
+import {
+  resolveRankProvider,
+  checkTrackedKeyword,
+  checkDate,
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  RANK_TRACKING_DEFAULTS,
+} from '../rankings/rankTracking.js';
+
+/**
+ * Update a tracked keyword row
+ */
+async function updateTrackedKeyword(supabase, trackedId, values) {
+  const { error } = await supabase
+    .from('rank_tracked_keywords')
+    .update({ ...values, updated_at: new Date().toISOString() })
+    .eq('id', trackedId);
+
+  if (error) {
+    throw new Error(`Failed to update tracked keyword ${trackedId}: ${error.message}`);
+  }
+}
+
+/**
+ * Check every enabled tracked keyword that has not been checked today
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {Object} options.provider - Rank provider (defaults to resolveRankProvider())
+ * @param {number} options.limit - Maximum keywords checked in this run
+ * @returns {Promise<Object>} { checked, ranked, notRanked, skipped, errors: [{ trackedId, error }],
+ *   rateLimited }
+ */
+export async function recordDueRankings(
+  supabase,
+  {
+    now = new Date(),
+    provider = resolveRankProvider(),
+    limit = RANK_TRACKING_DEFAULTS.batchSize,
+  } = {}
+) {
+  const today = checkDate(now);
+  const summary = {
+    checked: 0,
+    ranked: 0,
+    notRanked: 0,
+    skipped: 0,
+    errors: [],
+    rateLimited: false,
+  };
+
+  const { data: trackedKeywords, error } = await supabase
+    .from('rank_tracked_keywords')
+    .select(
+      'id, user_id, keyword, target_url, location, device, language, last_position, ' +
+        'best_position, organization:organizations(owner_id)'
+    )
+    .eq('enabled', true)
+    .or(`last_checked_on.is.null,last_checked_on.lt.${today}`)
+    .order('last_checked_on', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to load tracked keywords: ${error.message}`);
+  }
+
+  const access = new Map();
+
+  for (const tracked of trackedKeywords || []) {
+    const subscriberId = tracked.organization?.owner_id || tracked.user_id;
+    if (!access.has(subscriberId)) {
+      access.set(subscriberId, await hasFeatureAccess(subscriberId, 'rank_tracking'));
+    }
+    if (!access.get(subscriberId)) {
+      summary.skipped++;
+      continue;
+    }
+
+    summary.checked++;
+
+    try {
+      const check = await checkTrackedKeyword(provider, tracked, { now });
+
+      const { error: historyError } = await supabase
+        .from('rank_history')
+        .upsert(check, { onConflict: 'tracked_keyword_id,checked_on' });
+      if (historyError) {
+        throw new Error(`Failed to save rank history: ${historyError.message}`);
+      }
+
+      const ranked = check.position !== null;
+      await updateTrackedKeyword(supabase, tracked.id, {
+        last_checked_on: today,
+        previous_position: tracked.last_position,
+        last_position: check.position,
+        best_position:
+          ranked && (tracked.best_position === null || check.position < tracked.best_position)
+            ? check.position
+            : tracked.best_position,
+        last_status: ranked ? 'ranked' : 'not_ranked',
+      });
+
+      if (ranked) {
+        summary.ranked++;
+      } else {
+        summary.notRanked++;
+      }
+    } catch (checkError) {
+      summary.errors.push({ trackedId: tracked.id, error: checkError.message });
+
+      if (
+        checkError instanceof KeywordProviderError &&
+        checkError.code === KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+      ) {
+        // Remaining keywords stay due and are checked on the next run
+        summary.rateLimited = true;
+        break;
+      }
+
+      await updateTrackedKeyword(supabase, tracked.id, { last_status: 'failed' }).catch(
+        (updateError) => {
+          console.error(updateError.message);
+        }
+      );
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  recordDueRankings,
+};
@@ -0,0 +1,403 @@
+/**
+ * Keyword Clustering
+ * Search intent and topic clusters for keyword research results (no I/O)
+ *
+ * - Intent: labels from AI expansion are kept when valid; every other keyword is classified
+ *   from its modifier words ("buy", "best", "login", "how to", ...)
+ * - Clusters: keywords labelled by AI are grouped by label; the rest are grouped by the
+ *   topic words left after removing the seed, stop words and intent modifiers. Keywords
+ *   that add nothing to the seed, and topics with a single keyword, form the seed's cluster.
+ * - Pillar: the cluster keyword with the most search volume (then opportunity, then the
+ *   shortest), the page the rest of the cluster should link to
+ *
+ * @module services/keywords/keywordClustering
+ */
+
+/**
+ * Search intents, in the order modifiers are checked
+ */
+export const SEARCH_INTENTS = ['navigational', 'transactional', 'commercial', 'informational'];
+
+/**
+ * Clustering defaults
+ */
+export const CLUSTERING_DEFAULTS = {
+  minClusterSize: 2, // Smaller topic groups are folded into the seed's cluster
+  maxLabelLength: 60,
+};
+
+const INTENT_MODIFIERS = {
+  navigational: [
+    'login',
+    'log in',
+    'sign in',
+    'signin',
+    'sign up',
+    'account',
+    'official',
+    'website',
+    'site',
+    'contact',
+    'customer service',
+    'phone number',
+    'app',
+    'dashboard',
+  ],
+  transactional: [
+    'buy',
+    'order',
+    'purchase',
+    'price',
+    'prices',
+    'pricing',
+    'cost',
+    'cheap',
+    'deal',
+    'deals',
+    'discount',
+    'coupon',
+    'for sale',
+    'hire',
+    'book',
+    'subscribe',
+    'subscription',
+    'download',
+    'free trial',
+    'near me',
+    'shop',
+    'quote',
+  ],
+  commercial: [
+    'best',
+    'top',
+    'vs',
+    'versus',
+    'review',
+    'reviews',
+    'compare',
+    'comparison',
+    'alternative',
+    'alternatives',
+    'rated',
+    'recommended',
+  ],
+  informational: [
+    'how',
+    'what',
+    'why',
+    'when',
+    'where',
+    'who',
+    'guide',
+    'tutorial',
+    'tips',
+    'ideas',
+    'examples',
+    'definition',
+    'meaning',
+    'learn',
+  ],
+};
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'at',
+  'by',
+  'can',
+  'do',
+  'does',
+  'for',
+  'from',
+  'i',
+  'in',
+  'is',
+  'it',
+  'me',
+  'my',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with',
+  'you',
+  'your',
+  'free',
+  'online',
+]);
+
+const MODIFIER_WORDS = new Set(
+  Object.values(INTENT_MODIFIERS).flatMap((phrases) => phrases.flatMap((p) => p.split(' ')))
+);
+
+const normalize = (value) =>
+  String(value)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}.\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const hasPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// Crude singular form so "tools" and "tool" share a topic
+const stem = (word) => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word);
+
+/**
+ * Topic words of a keyword: no stop words or intent modifiers, singular form
+ * @param {string} keyword
+ * @returns {string[]}
+ */
+export function topicTokens(keyword) {
+  return [
+    ...new Set(
+      normalize(keyword)
+        .split(' ')
+        .filter((word) => word && !STOP_WORDS.has(word) && !MODIFIER_WORDS.has(word))
+        .map(stem)
+    ),
+  ];
+}
+
+/**
+ * Classify a keyword's search intent from its modifier words
+ * @param {string} keyword
+ * @param {Object} options - Options
+ * @param {string[]} options.brandTerms - Brand or site names that make a query navigational
+ * @returns {'navigational'|'transactional'|'commercial'|'informational'}
+ */
+export function classifyIntent(keyword, { brandTerms = [] } = {}) {
+  const text = normalize(keyword);
+
+  if (/\.(com|net|org|io|co)\b/.test(text)) {
+    return 'navigational';
+  }
+  if (brandTerms.some((brand) => brand && hasPhrase(text, normalize(brand)))) {
+    return 'navigational';
+  }
+
+  for (const intent of SEARCH_INTENTS) {
+    if (INTENT_MODIFIERS[intent].some((phrase) => hasPhrase(text, phrase))) {
+      return intent;
+    }
+  }
+
+  // Bare topics ("coffee grinder") carry no modifier and are treated as research queries
+  return 'informational';
+}
+
+/**
+ * Parse the AI expansion response into labels for known keywords and new suggestions
+ * Expected JSON: { "keywords": [{ "keyword", "intent", "cluster" }] }
+ * @param {string} text - AI response text (may be wrapped in a markdown code block)
+ * @param {Object} options - Options
+ * @param {string[]} options.knownKeywords - Keywords already returned by the data provider
+ * @param {number} options.limit - Maximum new suggestions kept
+ * @returns {Object} { suggestions: [{ keyword, intent, cluster }], labels: { [keyword]: { intent, cluster } } }
+ * @throws {Error} When the response is not the expected JSON
+ */
+export function parseKeywordExpansion(text, { knownKeywords = [], limit = 20 } = {}) {
+  const parsed = JSON.parse(
+    String(text || '')
+      .trim()
+      .replace(/^```(?:json)?\s*|\s*```$/g, '')
+  );
+  const items = Array.isArray(parsed) ? parsed : parsed?.keywords;
+  if (!Array.isArray(items)) {
+    throw new Error('AI response has no keywords array');
+  }
+
+  const known = new Set(knownKeywords.map(normalize));
+  const suggestions = [];
+  const labels = {};
+
+  for (const item of items) {
+    const keyword = typeof item?.keyword === 'string' ? normalize(item.keyword) : '';
+    if (!keyword || keyword.length > 200 || labels[keyword]) {
+      continue;
+    }
+
+    const intent = SEARCH_INTENTS.includes(item.intent) ? item.intent : null;
+    const cluster =
+      typeof item.cluster === 'string' && item.cluster.trim()
+        ? item.cluster.trim().toLowerCase().slice(0, CLUSTERING_DEFAULTS.maxLabelLength)
+        : null;
+
+    if (!known.has(keyword)) {
+      if (suggestions.length >= limit) {
+        continue;
+      }
+      suggestions.push({ keyword, intent, cluster });
+    }
+    labels[keyword] = { intent, cluster };
+  }
+
+  return { suggestions, labels };
+}
+
+// Pillar order: most searched, then best opportunity, then the broadest (shortest) phrase
+function compareForPillar(a, b) {
+  return (
+    (b.search_volume ?? -1) - (a.search_volume ?? -1) ||
+    (b.opportunity_score ?? -1) - (a.opportunity_score ?? -1) ||
+    a.keyword.length - b.keyword.length
+  );
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+function summarizeCluster(name, keywords) {
+  const volumes = keywords.map((kw) => kw.search_volume).filter((v) => typeof v === 'number');
+  const difficulties = keywords
+    .map((kw) => kw.difficulty_score)
+    .filter((v) => typeof v === 'number');
+
+  return {
+    name,
+    pillar: keywords[0].keyword,
+    intent: mostCommon(keywords.map((kw) => kw.intent)),
+    keywords: keywords.map((kw) => kw.keyword),
+    keyword_count: keywords.length,
+    total_search_volume: volumes.length ? volumes.reduce((sum, v) => sum + v, 0) : null,
+    avg_difficulty: difficulties.length
+      ? Math.round(difficulties.reduce((sum, v) => sum + v, 0) / difficulties.length)
+      : null,
+  };
+}
+
+/**
+ * Group keywords into topic clusters with a pillar keyword each
+ * @param {Array} keywords - Rows of { keyword, intent, cluster?, search_volume, opportunity_score, difficulty_score }
+ * @param {Object} options - Options
+ * @param {string} options.seedKeyword - Research seed (names the catch-all cluster)
+ * @param {number} options.minClusterSize - See CLUSTERING_DEFAULTS
+ * @returns {Array} Clusters of { name, pillar, intent, keywords, keyword_count,
+ *   total_search_volume, avg_difficulty }, largest first
+ */
+export function clusterKeywords(
+  keywords,
+  { seedKeyword = '', minClusterSize = CLUSTERING_DEFAULTS.minClusterSize } = {}
+) {
+  const seedName = normalize(seedKeyword);
+  const seedTokens = new Set(topicTokens(seedKeyword));
+  const labelled = new Map();
+  const topics = [];
+  const seedCluster = [];
+
+  for (const row of [...keywords].sort(compareForPillar)) {
+    if (row.cluster) {
+      if (!labelled.has(row.cluster)) {
+        labelled.set(row.cluster, []);
+      }
+      labelled.get(row.cluster).push(row);
+      continue;
+    }
+
+    const tokens = topicTokens(row.keyword).filter((token) => !seedTokens.has(token));
+    if (tokens.length === 0) {
+      seedCluster.push(row);
+      continue;
+    }
+
+    // Join the topic sharing the most words with this keyword, else start a new one
+    let best = null;
+    let bestOverlap = 0;
+    for (const topic of topics) {
+      const overlap = tokens.filter((token) => topic.tokens.has(token)).length;
+      if (overlap > bestOverlap) {
+        best = topic;
+        bestOverlap = overlap;
+      }
+    }
+    if (best) {
+      best.rows.push(row);
+    } else {
+      topics.push({ tokens: new Set(tokens), rows: [row] });
+    }
+  }
+
+  const groups = [...labelled.entries()];
+  for (const topic of topics) {
+    if (topic.rows.length >= minClusterSize) {
+      groups.push([topic.rows[0].keyword, topic.rows]);
+    } else {
+      seedCluster.push(...topic.rows);
+    }
+  }
+  if (seedCluster.length > 0) {
+    const existing = groups.find(([name]) => name === seedName);
+    if (existing) {
+      existing[1].push(...seedCluster);
+    } else {
+      groups.push([seedName, seedCluster]);
+    }
+  }
+
+  return groups
+    .map(([name, rows]) => summarizeCluster(name, rows.sort(compareForPillar)))
+    .sort((a, b) => b.keyword_count - a.keyword_count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Add intent and cluster to research rows, merging AI suggestions
+ * AI suggestions carry no provider metrics, so their volume and scores are null.
+ * @param {Array} ideas - Scored provider rows (fetchKeywordIdeas)
+ * @param {Object} options - Options
+ * @param {string} options.seedKeyword - Research seed
+ * @param {Object|null} options.expansion - parseKeywordExpansion result, null without AI
+ * @returns {Object} { keywords: rows with intent, cluster and source, clusters }
+ */
+export function annotateKeywords(ideas, { seedKeyword, expansion = null } = {}) {
+  const labels = expansion?.labels || {};
+  const rows = [
+    ...ideas.map((idea) => ({ ...idea, source: 'provider' })),
+    ...(expansion?.suggestions || []).map((suggestion) => ({
+      keyword: suggestion.keyword,
+      search_volume: null,
+      competition: null,
+      competition_index: null,
+      difficulty_score: null,
+      opportunity_score: null,
+      cpc: null,
+      total_results: null,
+      serp_features: null,
+      monthly_searches: null,
+      source: 'ai',
+    })),
+  ].map((row) => {
+    const label = labels[normalize(row.keyword)] || {};
+    return {
+      ...row,
+      intent: label.intent || classifyIntent(row.keyword),
+      cluster: label.cluster || null,
+    };
+  });
+
+  const clusters = clusterKeywords(rows, { seedKeyword });
+  const clusterOf = new Map(
+    clusters.flatMap((cluster) => cluster.keywords.map((keyword) => [keyword, cluster.name]))
+  );
+
+  return {
+    keywords: rows.map((row) => ({ ...row, cluster: clusterOf.get(row.keyword) })),
+    clusters,
+  };
+}
+
+export default {
+  classifyIntent,
+  topicTokens,
+  parseKeywordExpansion,
+  clusterKeywords,
+  annotateKeywords,
+  SEARCH_INTENTS,
+  CLUSTERING_DEFAULTS,
+};
@@ -0,0 +1,82 @@
+/**
+ * Keyword Expansion Service
+ * AI keyword ideas, search intent and topic clusters for keyword research
+ *
+ * The SEOAgent asks the configured AI provider (unifiedAIService) for extra keyword ideas
+ * and intent/cluster labels. Without a provider, keywords are still classified and
+ * clustered by rules (see services/keywords/keywordClustering).
+ *
+ * @module services/keywords/keywordExpansion
+ */
+
+import SEOAgent from '../../agents/specialized/SEOAgent.js';
+import unifiedAIService from '../ai/unifiedAIService.js';
+import { annotateKeywords } from './keywordClustering.js';
+
+/**
+ * Expansion defaults
+ */
+export const KEYWORD_EXPANSION_DEFAULTS = {
+  limit: parseInt(process.env.KEYWORD_EXPANSION_LIMIT, 10) || 20, // AI ideas added per request
+};
+
+// Only the AI-backed tasks are used, so the agent runs without start()/initialize()
+const seoAgent = new SEOAgent({ heartbeatEnabled: false });
+
+// AI providers are initialized on first use
+let aiReady = null;
+
+/**
+ * Classify and cluster research results, optionally expanding them with AI ideas
+ * @param {string} seedKeyword - Research seed
+ * @param {Array} ideas - Scored provider rows (fetchKeywordIdeas)
+ * @param {Object} options - Options
+ * @param {boolean} options.expand - Ask the AI provider for more keywords and labels
+ * @param {string} options.language - ISO 639-1 language of the keywords
+ * @param {number} options.limit - Maximum AI keyword ideas
+ * @returns {Promise<Object>} { keywords, clusters, expansion: { requested, generated, suggestions } }
+ */
+export async function expandKeywordIdeas(
+  seedKeyword,
+  ideas,
+  { expand = false, language = 'en', limit = KEYWORD_EXPANSION_DEFAULTS.limit } = {}
+) {
+  let expansion = null;
+
+  if (expand) {
+    aiReady ||= unifiedAIService.initialize().catch((error) => {
+      console.error('AI initialization failed, keywords will be clustered by rules:', error);
+    });
+    await aiReady;
+
+    expansion = await seoAgent.execute({
+      type: 'expandKeywords',
+      params: {
+        seedKeyword,
+        keywords: ideas.map((idea) => idea.keyword),
+        limit,
+        language,
+      },
+    });
+  }
+
+  const { keywords, clusters } = annotateKeywords(ideas, {
+    seedKeyword,
+    expansion: expansion?.generated ? expansion : null,
+  });
+
+  return {
+    keywords,
+    clusters,
+    expansion: {
+      requested: expand,
+      generated: Boolean(expansion?.generated),
+      suggestions: expansion?.generated ? expansion.suggestions.length : 0,
+    },
+  };
+}
+
+export default {
+  expandKeywordIdeas,
+  KEYWORD_EXPANSION_DEFAULTS,
+};
@@ -0,0 +1,140 @@
+/**
+ * Keyword Metrics
+ * Difficulty and opportunity scores computed from provider metrics (no I/O)
+ *
+ * Providers report different subsets of metrics, so each score averages whichever inputs
+ * are present and is null when none are:
+ * - difficulty: advertiser competition index (keyword planner data, or ads on the SERP),
+ *   number of competing results, and SERP features that push organic results down
+ * - opportunity: search volume on a log scale, weighed against difficulty
+ *
+ * @module services/keywords/keywordMetrics
+ */
+
+/**
+ * Weights of each input in the difficulty score
+ */
+export const DIFFICULTY_WEIGHTS = {
+  competitionIndex: 0.6,
+  totalResults: 0.3,
+  serpFeatures: 0.1,
+};
+
+/**
+ * Weights of the opportunity score
+ */
+export const OPPORTUNITY_WEIGHTS = {
+  volume: 0.6,
+  ease: 0.4,
+};
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+
+function weightedAverage(parts) {
+  const present = parts.filter(([value]) => typeof value === 'number' && Number.isFinite(value));
+  if (present.length === 0) {
+    return null;
+  }
+  const totalWeight = present.reduce((sum, [, weight]) => sum + weight, 0);
+  const total = present.reduce((sum, [value, weight]) => sum + value * weight, 0);
+  return Math.round(total / totalWeight);
+}
+
+/**
+ * Competition level shown in the UI
+ * @param {number|null} competitionIndex - 0-100
+ * @returns {'low'|'medium'|'high'|null}
+ */
+export function competitionLevel(competitionIndex) {
+  if (typeof competitionIndex !== 'number') {
+    return null;
+  }
+  if (competitionIndex < 34) {
+    return 'low';
+  }
+  return competitionIndex < 67 ? 'medium' : 'high';
+}
+
+/**
+ * Monthly search volume on a 0-100 log scale (100,000 searches and above score 100)
+ * @param {number|null} searchVolume
+ * @returns {number|null}
+ */
+export function volumeScore(searchVolume) {
+  if (typeof searchVolume !== 'number' || searchVolume < 0) {
+    return null;
+  }
+  return clamp((Math.log10(searchVolume + 1) / 5) * 100);
+}
+
+/**
+ * Number of results competing for a query on a 0-100 log scale (10 billion scores 100)
+ * @param {number|null} totalResults
+ * @returns {number|null}
+ */
+export function resultsScore(totalResults) {
+  if (typeof totalResults !== 'number' || totalResults < 0) {
+    return null;
+  }
+  return clamp((Math.log10(totalResults + 1) / 10) * 100);
+}
+
+/**
+ * Keyword difficulty (0-100, higher is harder)
+ * @param {Object} metrics - { competition_index, total_results, serp_features }
+ * @returns {number|null}
+ */
+export function computeDifficulty({ competition_index, total_results, serp_features } = {}) {
+  return weightedAverage([
+    [competition_index, DIFFICULTY_WEIGHTS.competitionIndex],
+    [resultsScore(total_results), DIFFICULTY_WEIGHTS.totalResults],
+    [
+      typeof serp_features === 'number' ? clamp(serp_features * 20) : null,
+      DIFFICULTY_WEIGHTS.serpFeatures,
+    ],
+  ]);
+}
+
+/**
+ * Keyword opportunity (0-100, higher is better): searched often and easy to rank for
+ * @param {Object} metrics - { search_volume, difficulty_score }
+ * @returns {number|null}
+ */
+export function computeOpportunity({ search_volume, difficulty_score } = {}) {
+  return weightedAverage([
+    [volumeScore(search_volume), OPPORTUNITY_WEIGHTS.volume],
+    [
+      typeof difficulty_score === 'number' ? 100 - difficulty_score : null,
+      OPPORTUNITY_WEIGHTS.ease,
+    ],
+  ]);
+}
+
+/**
+ * Add competition level, difficulty and opportunity to provider metrics
+ * @param {Object} metrics - Normalized provider row (see services/keywords/keywordResearch)
+ * @returns {Object} Metrics with competition, difficulty_score and opportunity_score
+ */
+export function scoreKeyword(metrics) {
+  const difficultyScore = computeDifficulty(metrics);
+  return {
+    ...metrics,
+    competition: competitionLevel(metrics.competition_index),
+    difficulty_score: difficultyScore,
+    opportunity_score: computeOpportunity({
+      search_volume: metrics.search_volume,
+      difficulty_score: difficultyScore,
+    }),
+  };
+}
+
+export default {
+  competitionLevel,
+  volumeScore,
+  resultsScore,
+  computeDifficulty,
+  computeOpportunity,
+  scoreKeyword,
+  DIFFICULTY_WEIGHTS,
+  OPPORTUNITY_WEIGHTS,
+};
@@ -0,0 +1,150 @@
+/**
+ * Keyword Research Service
+ * Loads keyword ideas from the configured data provider and scores them
+ *
+ * Providers (KEYWORD_PROVIDER):
+ * - keyword_planner: Google Ads Keyword Planner data via DataForSEO (volume, competition, CPC)
+ * - serp: live Google results via SerpApi (related searches and SERP difficulty, no volume)
+ * - fixture: recorded data for tests and offline development
+ *
+ * When KEYWORD_PROVIDER is not set, the first configured of keyword_planner and serp is
+ * used. The fixture provider is only chosen automatically outside production, so made-up
+ * numbers are never presented as real research.
+ *
+ * Every provider implements:
+ *   { name, isConfigured(): boolean,
+ *     research({ seedKeyword, location, language, limit }): Promise<Array> }
+ * and returns rows of { keyword, search_volume, competition_index, cpc, total_results,
+ * serp_features, monthly_searches } with null for metrics it does not report.
+ *
+ * @module services/keywords/keywordResearch
+ */
+
+import { createKeywordPlannerProvider } from './providers/keywordPlanner.js';
+import { createSerpApiProvider } from './providers/serpApi.js';
+import { createFixtureProvider } from './providers/fixture.js';
+import {
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  KEYWORD_LOCATIONS,
+} from './providers/common.js';
+import { scoreKeyword } from './keywordMetrics.js';
+
+export { KeywordProviderError, KEYWORD_PROVIDER_ERROR_CODES, KEYWORD_LOCATIONS };
+
+/**
+ * Research defaults
+ */
+export const KEYWORD_RESEARCH_DEFAULTS = {
+  provider: process.env.KEYWORD_PROVIDER || null,
+  location: 'US',
+  language: 'en',
+  limit: 50, // Keyword ideas kept per research request
+};
+
+/**
+ * Provider factories by name; automatic selection tries them in this order
+ */
+export const KEYWORD_PROVIDERS = {
+  keyword_planner: createKeywordPlannerProvider,
+  serp: createSerpApiProvider,
+  fixture: createFixtureProvider,
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, KEYWORD_PROVIDERS[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Pick the keyword data provider for this environment
+ * @param {string|null} name - Provider name (defaults to KEYWORD_PROVIDER, then automatic)
+ * @returns {Object} Keyword provider
+ * @throws {KeywordProviderError} UNKNOWN_PROVIDER or NOT_CONFIGURED
+ */
+export function resolveKeywordProvider(name = KEYWORD_RESEARCH_DEFAULTS.provider) {
+  if (name) {
+    if (!KEYWORD_PROVIDERS[name]) {
+      throw new KeywordProviderError(
+        KEYWORD_PROVIDER_ERROR_CODES.UNKNOWN_PROVIDER,
+        `Unknown keyword provider: ${name} (expected ${Object.keys(KEYWORD_PROVIDERS).join(', ')})`,
+        { provider: name }
+      );
+    }
+    const provider = getProvider(name);
+    if (!provider.isConfigured()) {
+      throw new KeywordProviderError(
+        KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+        `Keyword provider ${name} is not configured`,
+        { provider: name }
+      );
+    }
+    return provider;
+  }
+
+  for (const candidate of ['keyword_planner', 'serp']) {
+    if (getProvider(candidate).isConfigured()) {
+      return getProvider(candidate);
+    }
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return getProvider('fixture');
+  }
+
+  throw new KeywordProviderError(
+    KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+    'No keyword data provider is configured (set DATAFORSEO_LOGIN/DATAFORSEO_PASSWORD or SERPAPI_KEY)'
+  );
+}
+
+/**
+ * Research keyword ideas for a seed keyword
+ * @param {Object} provider - Keyword provider (resolveKeywordProvider)
+ * @param {string} seedKeyword - Seed keyword or topic
+ * @param {Object} options - Options
+ * @param {string} options.location - KEYWORD_LOCATIONS key
+ * @param {string} options.language - ISO 639-1 language code
+ * @param {number} options.limit - Maximum keyword ideas
+ * @returns {Promise<Array>} Scored rows (scoreKeyword), best opportunity first, one per keyword
+ * @throws {KeywordProviderError} When the provider request fails
+ */
+export async function fetchKeywordIdeas(
+  provider,
+  seedKeyword,
+  {
+    location = KEYWORD_RESEARCH_DEFAULTS.location,
+    language = KEYWORD_RESEARCH_DEFAULTS.language,
+    limit = KEYWORD_RESEARCH_DEFAULTS.limit,
+  } = {}
+) {
+  const rows = await provider.research({ seedKeyword, location, language, limit });
+
+  const seen = new Set();
+  const unique = rows.filter((row) => {
+    const key = row.keyword.trim().toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  return unique
+    .map(scoreKeyword)
+    .sort((a, b) => (b.opportunity_score ?? -1) - (a.opportunity_score ?? -1))
+    .slice(0, limit);
+}
+
+export default {
+  resolveKeywordProvider,
+  fetchKeywordIdeas,
+  KEYWORD_PROVIDERS,
+  KEYWORD_LOCATIONS,
+  KEYWORD_RESEARCH_DEFAULTS,
+  KeywordProviderError,
+};
@@ -0,0 +1,122 @@
+/**
+ * Keyword Provider Helpers
+ * Shared error type, location table and HTTP helper for keyword data adapters
+ *
+ * @module services/keywords/providers/common
+ */
+
+/**
+ * Failure codes of keyword data providers
+ */
+export const KEYWORD_PROVIDER_ERROR_CODES = {
+  NOT_CONFIGURED: 'NOT_CONFIGURED',
+  UNKNOWN_PROVIDER: 'UNKNOWN_PROVIDER',
+  UNSUPPORTED_LOCATION: 'UNSUPPORTED_LOCATION',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TIMEOUT: 'TIMEOUT',
+  REQUEST_FAILED: 'REQUEST_FAILED',
+  INVALID_RESPONSE: 'INVALID_RESPONSE',
+};
+
+/**
+ * Error thrown when keyword data cannot be loaded from a provider
+ */
+export class KeywordProviderError extends Error {
+  /**
+   * @param {string} code - One of KEYWORD_PROVIDER_ERROR_CODES
+   * @param {string} message - Human-readable reason
+   * @param {Object} details - Extra context (provider, HTTP status, provider status code)
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'KeywordProviderError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Research locations offered to users, with each provider's identifier
+ * - country: Google `gl` country code (SERP APIs)
+ * - adsLocationCode: Google Ads geo target ID (keyword planner APIs)
+ */
+export const KEYWORD_LOCATIONS = {
+  US: { name: 'United States', country: 'us', adsLocationCode: 2840 },
+  UK: { name: 'United Kingdom', country: 'gb', adsLocationCode: 2826 },
+  CA: { name: 'Canada', country: 'ca', adsLocationCode: 2124 },
+  AU: { name: 'Australia', country: 'au', adsLocationCode: 2036 },
+  IN: { name: 'India', country: 'in', adsLocationCode: 2356 },
+};
+
+/**
+ * Look up a research location
+ * @param {string} location - KEYWORD_LOCATIONS key
+ * @param {string} provider - Provider name for the error details
+ * @returns {Object} KEYWORD_LOCATIONS entry
+ * @throws {KeywordProviderError} UNSUPPORTED_LOCATION
+ */
+export function getLocation(location, provider) {
+  const entry = KEYWORD_LOCATIONS[location];
+  if (!entry) {
+    throw new KeywordProviderError(
+      KEYWORD_PROVIDER_ERROR_CODES.UNSUPPORTED_LOCATION,
+      `Unsupported research location: ${location}`,
+      { provider }
+    );
+  }
+  return entry;
+}
+
+/**
+ * Send a request to a provider and parse its JSON body
+ * @param {string} provider - Provider name for the error details
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options plus `timeoutMs`
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {KeywordProviderError} RATE_LIMITED, TIMEOUT, REQUEST_FAILED or INVALID_RESPONSE
+ */
+export async function requestJson(provider, url, { timeoutMs, ...options }) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new KeywordProviderError(
+        KEYWORD_PROVIDER_ERROR_CODES.TIMEOUT,
+        `${provider} did not respond within ${timeoutMs} ms`,
+        { provider }
+      );
+    }
+    throw new KeywordProviderError(
+      KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED,
+      `Could not reach ${provider}: ${error.message}`,
+      { provider }
+    );
+  }
+
+  if (response.status === 429) {
+    throw new KeywordProviderError(
+      KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED,
+      `${provider} rate limit reached, try again later`,
+      { provider, status: 429 }
+    );
+  }
+
+  if (!response.ok) {
+    throw new KeywordProviderError(
+      KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED,
+      `${provider} returned HTTP ${response.status}`,
+      { provider, status: response.status }
+    );
+  }
+
+  try {
+    return await response.json();
+  } catch {
+    throw new KeywordProviderError(
+      KEYWORD_PROVIDER_ERROR_CODES.INVALID_RESPONSE,
+      `${provider} returned a response that is not JSON`,
+      { provider, status: response.status }
+    );
+  }
+}
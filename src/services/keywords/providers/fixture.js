@@ -0,0 +1,101 @@
+/**
+ * Fixture Keyword Provider
+ * Recorded keyword metrics for tests and offline development; never calls a network API
+ *
+ * Seeds present in the fixture file return their recorded rows. Other seeds get a fixed
+ * set of variations whose metrics are derived from a hash of the keyword, so the same
+ * request always returns the same data. Results are labelled with provider "fixture".
+ *
+ * @module services/keywords/providers/fixture
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { getLocation } from './common.js';
+
+const NAME = 'fixture';
+
+/**
+ * Default settings
+ */
+export const FIXTURE_DEFAULTS = {
+  file:
+    process.env.KEYWORD_FIXTURE_FILE ||
+    fileURLToPath(new URL('../fixtures/keywords.json', import.meta.url)),
+};
+
+const VARIATION_TEMPLATES = [
+  '{seed}',
+  'best {seed}',
+  '{seed} near me',
+  '{seed} pricing',
+  '{seed} reviews',
+  'how to choose {seed}',
+  '{seed} for small business',
+  'free {seed}',
+];
+
+/**
+ * 32-bit FNV-1a hash, used to derive stable metrics for unknown seeds
+ */
+function hash(value) {
+  let result = 0x811c9dc5;
+  for (let index = 0; index < value.length; index++) {
+    result ^= value.charCodeAt(index);
+    result = Math.imul(result, 0x01000193);
+  }
+  return result >>> 0;
+}
+
+function derivedMetrics(keyword) {
+  const value = hash(keyword);
+  return {
+    keyword,
+    search_volume: 10 * (1 + (value % 5000)),
+    competition_index: (value >>> 8) % 101,
+    cpc: ((value >>> 4) % 2000) / 100,
+    total_results: 1000000 * (1 + ((value >>> 12) % 2000)),
+  };
+}
+
+/**
+ * Create the fixture adapter
+ * @param {Object} settings - Overrides of FIXTURE_DEFAULTS
+ * @returns {Object} Keyword provider ({ name, isConfigured, research })
+ */
+export function createFixtureProvider(settings = {}) {
+  const options = { ...FIXTURE_DEFAULTS, ...settings };
+  let fixtures = null;
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return true;
+    },
+
+    async research({ seedKeyword, location, limit }) {
+      getLocation(location, NAME);
+      fixtures ||= JSON.parse(await readFile(options.file, 'utf8'));
+
+      const recorded = fixtures[seedKeyword.toLowerCase()];
+      const rows = recorded
+        ? recorded
+        : VARIATION_TEMPLATES.map((template) =>
+            derivedMetrics(template.replace('{seed}', seedKeyword))
+          );
+
+      return rows.slice(0, limit).map((row) => ({
+        search_volume: null,
+        competition_index: null,
+        cpc: null,
+        total_results: null,
+        serp_features: null,
+        monthly_searches: null,
+        ...row,
+      }));
+    },
+  };
+}
+
+export default createFixtureProvider;
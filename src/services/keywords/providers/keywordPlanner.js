@@ -0,0 +1,137 @@
+/**
+ * Keyword Planner Provider
+ * Google Ads Keyword Planner data through the DataForSEO Keywords Data API
+ *
+ * One request returns keyword ideas for the seed with monthly search volume, advertiser
+ * competition index (0-100) and top-of-page CPC.
+ * https://docs.dataforseo.com/v3/keywords_data/google_ads/keywords_for_keywords/live/
+ *
+ * @module services/keywords/providers/keywordPlanner
+ */
+
+import {
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  getLocation,
+  requestJson,
+} from './common.js';
+
+const NAME = 'keyword_planner';
+
+// DataForSEO status codes: 20000 is success; 40202 and 40209 are rate/concurrency limits
+const STATUS_OK = 20000;
+const RATE_LIMIT_STATUSES = new Set([40202, 40209]);
+
+/**
+ * Default settings
+ */
+export const KEYWORD_PLANNER_DEFAULTS = {
+  login: process.env.DATAFORSEO_LOGIN || null,
+  password: process.env.DATAFORSEO_PASSWORD || null,
+  baseUrl: process.env.DATAFORSEO_API_URL || 'https://api.dataforseo.com',
+  timeoutMs: parseInt(process.env.KEYWORD_PROVIDER_TIMEOUT_MS, 10) || 30000,
+};
+
+function checkStatus(body) {
+  const status = body?.tasks?.[0]?.status_code ?? body?.status_code;
+  if (status === STATUS_OK) {
+    return;
+  }
+
+  const message = body?.tasks?.[0]?.status_message || body?.status_message || 'Unknown error';
+  throw new KeywordProviderError(
+    RATE_LIMIT_STATUSES.has(status)
+      ? KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+      : KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED,
+    `${NAME} task failed: ${message}`,
+    { provider: NAME, providerStatus: status }
+  );
+}
+
+/**
+ * Convert one DataForSEO result item to a normalized metrics row
+ */
+function toMetrics(item) {
+  return {
+    keyword: item.keyword,
+    search_volume: typeof item.search_volume === 'number' ? item.search_volume : null,
+    competition_index: typeof item.competition_index === 'number' ? item.competition_index : null,
+    cpc: typeof item.cpc === 'number' ? Math.round(item.cpc * 100) / 100 : null,
+    total_results: null,
+    serp_features: null,
+    monthly_searches: Array.isArray(item.monthly_searches)
+      ? item.monthly_searches.map(({ year, month, search_volume }) => ({
+          year,
+          month,
+          search_volume,
+        }))
+      : null,
+  };
+}
+
+/**
+ * Create the keyword planner adapter
+ * @param {Object} settings - Overrides of KEYWORD_PLANNER_DEFAULTS
+ * @returns {Object} Keyword provider ({ name, isConfigured, research })
+ */
+export function createKeywordPlannerProvider(settings = {}) {
+  const options = { ...KEYWORD_PLANNER_DEFAULTS, ...settings };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.login && options.password);
+    },
+
+    async research({ seedKeyword, location, language, limit }) {
+      if (!this.isConfigured()) {
+        throw new KeywordProviderError(
+          KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+          'Set DATAFORSEO_LOGIN and DATAFORSEO_PASSWORD to use keyword planner data',
+          { provider: NAME }
+        );
+      }
+
+      const body = await requestJson(
+        NAME,
+        `${options.baseUrl}/v3/keywords_data/google_ads/keywords_for_keywords/live`,
+        {
+          method: 'POST',
+          timeoutMs: options.timeoutMs,
+          headers: {
+            Authorization: `Basic ${Buffer.from(`${options.login}:${options.password}`).toString('base64')}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify([
+            {
+              keywords: [seedKeyword],
+              location_code: getLocation(location, NAME).adsLocationCode,
+              language_code: language,
+              sort_by: 'search_volume',
+              include_adult_keywords: false,
+            },
+          ]),
+        }
+      );
+
+      checkStatus(body);
+
+      const items = body.tasks[0].result;
+      if (items !== null && !Array.isArray(items)) {
+        throw new KeywordProviderError(
+          KEYWORD_PROVIDER_ERROR_CODES.INVALID_RESPONSE,
+          `${NAME} returned an unexpected result`,
+          { provider: NAME }
+        );
+      }
+
+      return (items || [])
+        .filter((item) => typeof item?.keyword === 'string')
+        .slice(0, limit)
+        .map(toMetrics);
+    },
+  };
+}
+
+export default createKeywordPlannerProvider;
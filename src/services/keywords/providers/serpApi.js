@@ -0,0 +1,139 @@
+/**
+ * SERP API Provider
+ * Keyword ideas and ranking difficulty from live Google results through SerpApi
+ *
+ * The seed query's "related searches" supply the keyword ideas; each keyword (seed
+ * included) is then looked up once for its SERP metrics:
+ * - total_results: competing results
+ * - competition_index: ads shown on the page (25 points per ad, capped at 100)
+ * - serp_features: answer box, knowledge graph, local pack, shopping and
+ *   "people also ask" blocks above the organic results
+ * SERPs carry no search volume or CPC, so those stay null. Every lookup uses one SerpApi
+ * search credit; `maxLookups` caps the credits one research request spends.
+ * https://serpapi.com/search-api
+ *
+ * @module services/keywords/providers/serpApi
+ */
+
+import {
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  getLocation,
+  requestJson,
+} from './common.js';
+
+const NAME = 'serp';
+
+const SERP_FEATURE_BLOCKS = [
+  'answer_box',
+  'knowledge_graph',
+  'local_results',
+  'shopping_results',
+  'related_questions',
+];
+
+/**
+ * Default settings
+ */
+export const SERP_API_DEFAULTS = {
+  apiKey: process.env.SERPAPI_KEY || null,
+  baseUrl: process.env.SERPAPI_URL || 'https://serpapi.com',
+  timeoutMs: parseInt(process.env.KEYWORD_PROVIDER_TIMEOUT_MS, 10) || 30000,
+  maxLookups: parseInt(process.env.SERPAPI_MAX_LOOKUPS, 10) || 10,
+};
+
+/**
+ * SERP metrics of one Google results page
+ * @param {Object} serp - SerpApi response
+ * @returns {Object} { total_results, competition_index, serp_features }
+ */
+export function serpMetrics(serp) {
+  const totalResults = serp.search_information?.total_results;
+  const adCount = Array.isArray(serp.ads) ? serp.ads.length : 0;
+  return {
+    total_results: typeof totalResults === 'number' ? totalResults : null,
+    competition_index: Math.min(100, adCount * 25),
+    serp_features: SERP_FEATURE_BLOCKS.filter((block) => {
+      const value = serp[block];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }).length,
+  };
+}
+
+/**
+ * Create the SERP API adapter
+ * @param {Object} settings - Overrides of SERP_API_DEFAULTS
+ * @returns {Object} Keyword provider ({ name, isConfigured, research })
+ */
+export function createSerpApiProvider(settings = {}) {
+  const options = { ...SERP_API_DEFAULTS, ...settings };
+
+  const search = async (query, country, language) => {
+    const params = new URLSearchParams({
+      engine: 'google',
+      q: query,
+      gl: country,
+      hl: language,
+      api_key: options.apiKey,
+    });
+    const serp = await requestJson(NAME, `${options.baseUrl}/search.json?${params}`, {
+      timeoutMs: options.timeoutMs,
+    });
+
+    if (serp.error) {
+      throw new KeywordProviderError(
+        /run out of searches|rate limit/i.test(serp.error)
+          ? KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+          : KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED,
+        `${NAME} search failed: ${serp.error}`,
+        { provider: NAME }
+      );
+    }
+    return serp;
+  };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.apiKey);
+    },
+
+    async research({ seedKeyword, location, language, limit }) {
+      if (!this.isConfigured()) {
+        throw new KeywordProviderError(
+          KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+          'Set SERPAPI_KEY to use SERP data',
+          { provider: NAME }
+        );
+      }
+
+      const { country } = getLocation(location, NAME);
+      const seedSerp = await search(seedKeyword, country, language);
+
+      const related = (seedSerp.related_searches || [])
+        .map((item) => item?.query)
+        .filter((query) => typeof query === 'string' && query.trim());
+      const ideas = [...new Set([seedKeyword, ...related.map((query) => query.trim())])].slice(
+        0,
+        Math.min(limit, options.maxLookups)
+      );
+
+      const rows = [];
+      for (const keyword of ideas) {
+        // The seed's SERP is already loaded; the rest are looked up one at a time
+        const serp = keyword === seedKeyword ? seedSerp : await search(keyword, country, language);
+        rows.push({
+          keyword,
+          search_volume: null,
+          cpc: null,
+          monthly_searches: null,
+          ...serpMetrics(serp),
+        });
+      }
+      return rows;
+    },
+  };
+}
+
+export default createSerpApiProvider;
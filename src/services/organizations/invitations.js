@@ -0,0 +1,110 @@
+/**
+ * Organization Invitations
+ * Email invitations to join a workspace
+ *
+ * The token is only in the emailed link; organization_invitations stores its SHA-256
+ * hash, the same way API keys are stored. An invitation is accepted or declined by the
+ * signed-in user whose email address it was sent to.
+ *
+ * @module services/organizations/invitations
+ */
+
+import crypto from 'node:crypto';
+
+export const INVITATION_EXPIRY_DAYS = 7;
+
+/** Open invitations per organization */
+export const MAX_PENDING_INVITATIONS = 50;
+
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  REVOKED: 'revoked',
+};
+
+export const INVITATION_COLUMNS =
+  'id, organization_id, email, role, invited_by, status, expires_at, responded_at, created_at';
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+/**
+ * @param {string} token
+ * @returns {string} Hex SHA-256 digest stored in organization_invitations.token_hash
+ */
+export function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate an invitation token
+ *
+ * @returns {{token: string, tokenHash: string}}
+ */
+export function generateInvitationToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+}
+
+/**
+ * Whether a string has the shape of an invitation token (checked before any lookup)
+ *
+ * @param {unknown} token
+ * @returns {boolean}
+ */
+export function isInvitationToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * @param {Date} [now]
+ * @returns {string} ISO expiry for an invitation sent now
+ */
+export function invitationExpiry(now = new Date()) {
+  return new Date(now.getTime() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Why an invitation cannot be answered
+ *
+ * @param {Object} invitation - organization_invitations row
+ * @param {Date} [now]
+ * @returns {string|null} 'expired', the final status ('accepted', 'declined', 'revoked'),
+ *   or null if it is still open
+ */
+export function invitationClosedReason(invitation, now = new Date()) {
+  if (invitation.status !== INVITATION_STATUS.PENDING) {
+    return invitation.status;
+  }
+  if (new Date(invitation.expires_at) <= now) {
+    return 'expired';
+  }
+  return null;
+}
+
+/**
+ * Compare the invited address with the signed-in user's, ignoring case
+ *
+ * @param {Object} invitation
+ * @param {string} email
+ * @returns {boolean}
+ */
+export function isInvitedEmail(invitation, email) {
+  return (
+    typeof email === 'string' &&
+    invitation.email.trim().toLowerCase() === email.trim().toLowerCase()
+  );
+}
+
+export default {
+  INVITATION_EXPIRY_DAYS,
+  MAX_PENDING_INVITATIONS,
+  INVITATION_STATUS,
+  INVITATION_COLUMNS,
+  hashInvitationToken,
+  generateInvitationToken,
+  isInvitationToken,
+  invitationExpiry,
+  invitationClosedReason,
+  isInvitedEmail,
+};
@@ -0,0 +1,234 @@
+/**
+ * Workspaces
+ * Who can see and change projects, audits and keywords (team_collaboration feature)
+ *
+ * Every request works in one workspace: the user's personal workspace, or an
+ * organization they belong to (selected with the X-Organization-Id header). Resources
+ * carry the creator's user_id plus organization_id, which is NULL in personal workspaces.
+ * Organizations use the owner's subscription for plan features and quotas, so quota usage
+ * is counted across the owner's personal workspace and every organization they own.
+ *
+ * @module services/organizations/workspace
+ */
+
+import { effectiveTier } from '../../config/tiers.js';
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+/** Roles an invitation or role change can grant; ownership is never handed out */
+export const ASSIGNABLE_ROLES = ['admin', 'editor', 'viewer'];
+
+export const PERMISSIONS = {
+  RESOURCES_READ: 'resources:read',
+  RESOURCES_WRITE: 'resources:write',
+  RESOURCES_DELETE: 'resources:delete',
+  MEMBERS_MANAGE: 'members:manage',
+  ORGANIZATION_MANAGE: 'organization:manage',
+};
+
+export const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  admin: [
+    PERMISSIONS.RESOURCES_READ,
+    PERMISSIONS.RESOURCES_WRITE,
+    PERMISSIONS.RESOURCES_DELETE,
+    PERMISSIONS.MEMBERS_MANAGE,
+  ],
+  editor: [PERMISSIONS.RESOURCES_READ, PERMISSIONS.RESOURCES_WRITE],
+  viewer: [PERMISSIONS.RESOURCES_READ],
+};
+
+const ROLE_RANK = { owner: 4, admin: 3, editor: 2, viewer: 1 };
+
+/**
+ * The workspace of a request without an organization
+ *
+ * @param {string} userId
+ * @returns {Object} Workspace ({ organizationId: null, role: 'owner', ownerId, userId })
+ */
+export function personalWorkspace(userId) {
+  return {
+    organizationId: null,
+    organizationName: null,
+    role: 'owner',
+    ownerId: userId,
+    userId,
+  };
+}
+
+/**
+ * Workspace of a request (set by the resolveWorkspace middleware, personal otherwise)
+ *
+ * @param {Object} req - Express request with req.user
+ * @returns {Object} Workspace
+ */
+export function workspaceOf(req) {
+  return req.workspace || personalWorkspace(req.user.id);
+}
+
+/**
+ * @param {Object} workspace
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(workspace, permission) {
+  return Boolean(ROLE_PERMISSIONS[workspace?.role]?.includes(permission));
+}
+
+/**
+ * Whether a member may change or remove another member, and grant them a role
+ *
+ * Members only manage members below their own role and only grant roles below it, so
+ * admins manage editors and viewers and only the owner appoints admins.
+ *
+ * @param {string} actorRole - Role of the member making the change
+ * @param {string} targetRole - Current role of the member being changed
+ * @param {string} [newRole] - Role being granted, when changing roles
+ * @returns {boolean}
+ */
+export function canManageMember(actorRole, targetRole, newRole = null) {
+  if (!ROLE_PERMISSIONS[actorRole]?.includes(PERMISSIONS.MEMBERS_MANAGE)) {
+    return false;
+  }
+  if (targetRole && ROLE_RANK[targetRole] >= ROLE_RANK[actorRole]) {
+    return false;
+  }
+  if (newRole === null) {
+    return true;
+  }
+  return ASSIGNABLE_ROLES.includes(newRole) && ROLE_RANK[newRole] < ROLE_RANK[actorRole];
+}
+
+/**
+ * Limit a Supabase query to rows of the workspace
+ *
+ * @param {Object} query - Supabase query builder on a table with user_id and organization_id
+ * @param {Object} workspace
+ * @returns {Object} The query
+ */
+export function scopeToWorkspace(query, workspace) {
+  if (workspace.organizationId) {
+    return query.eq('organization_id', workspace.organizationId);
+  }
+  return query.eq('user_id', workspace.userId).is('organization_id', null);
+}
+
+/**
+ * Limit a Supabase query to rows billed to a subscription: the subscriber's personal
+ * workspace plus the organizations they own, which all draw on the same quotas
+ *
+ * @param {Object} query - Supabase query builder on a table with user_id and organization_id
+ * @param {string} subscriberId - User whose subscription applies (an organization's owner)
+ * @param {string[]} [organizationIds] - Organizations the subscriber owns
+ * @returns {Object} The query
+ */
+export function scopeToSubscription(query, subscriberId, organizationIds = []) {
+  if (!organizationIds.length) {
+    return scopeToWorkspace(query, personalWorkspace(subscriberId));
+  }
+  return query.or(
+    `and(user_id.eq.${subscriberId},organization_id.is.null),` +
+      `organization_id.in.(${organizationIds.join(',')})`
+  );
+}
+
+/**
+ * Whether a loaded row belongs to the workspace (the in-memory twin of scopeToWorkspace)
+ *
+ * @param {Object} row - Row with user_id and organization_id
+ * @param {Object} workspace
+ * @returns {boolean}
+ */
+export function belongsToWorkspace(row, workspace) {
+  if (workspace.organizationId) {
+    return row.organization_id === workspace.organizationId;
+  }
+  return row.user_id === workspace.userId && !row.organization_id;
+}
+
+/**
+ * Ownership columns for a row created in the workspace
+ *
+ * @param {Object} workspace
+ * @returns {{user_id: string, organization_id: string|null}}
+ */
+export function workspaceColumns(workspace) {
+  return {
+    user_id: workspace.userId,
+    organization_id: workspace.organizationId,
+  };
+}
+
+/**
+ * Load a user's membership of an organization
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>} Workspace with the owner's plan (ownerTier), or null if
+ *   the user is not a member
+ */
+export async function loadWorkspace(supabase, userId, organizationId) {
+  const { data: membership, error } = await supabase
+    .from('organization_members')
+    .select('role, organization:organizations(id, name, owner_id)')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load organization membership: ${error.message}`);
+  }
+  if (!membership?.organization) {
+    return null;
+  }
+
+  const { data: owner } = await supabase
+    .from('users')
+    .select('subscription_tier, tier_override')
+    .eq('id', membership.organization.owner_id)
+    .maybeSingle();
+
+  return {
+    organizationId: membership.organization.id,
+    organizationName: membership.organization.name,
+    role: membership.role,
+    ownerId: membership.organization.owner_id,
+    ownerTier: effectiveTier(owner),
+    userId,
+  };
+}
+
+/**
+ * IDs of the organizations a user owns
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId
+ * @returns {Promise<string[]>}
+ */
+export async function loadOwnedOrganizationIds(supabase, userId) {
+  const { data, error } = await supabase.from('organizations').select('id').eq('owner_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to load owned organizations: ${error.message}`);
+  }
+
+  return (data || []).map((organization) => organization.id);
+}
+
+export default {
+  ORGANIZATION_ROLES,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  personalWorkspace,
+  workspaceOf,
+  hasPermission,
+  canManageMember,
+  scopeToWorkspace,
+  scopeToSubscription,
+  belongsToWorkspace,
+  workspaceColumns,
+  loadWorkspace,
+  loadOwnedOrganizationIds,
+};
@@ -0,0 +1,430 @@
+/**
+ * Lab Performance Runner
+ *
+ * Loads a page in headless Chromium (puppeteer) under throttled, Lighthouse-like
+ * conditions and measures:
+ * - TTFB, FCP and LCP (navigation/paint timing and PerformanceObserver)
+ * - CLS (largest session window of layout shifts)
+ * - TBT (long-task time past 50 ms after FCP) - the lab proxy for INP
+ * - Transfer bytes and request count (DevTools protocol network events)
+ * - Render-blocking resources (resource timing renderBlockingStatus)
+ * - Computed text/background colors, reused by the accessibility contrast rules
+ *
+ * Runs entirely locally; no PageSpeed Insights quota or network API is involved.
+ * Every subresource host is checked the same way pageFetcher checks the page itself.
+ *
+ * @module services/performance/labRunner
+ */
+
+import { assertPublicHost } from '../crawler/pageFetcher.js';
+
+/**
+ * Default lab settings
+ */
+export const LAB_DEFAULTS = {
+  enabled: process.env.AUDIT_LAB_PERFORMANCE !== 'false',
+  formFactor: process.env.AUDIT_LAB_FORM_FACTOR === 'desktop' ? 'desktop' : 'mobile',
+  timeoutMs: parseInt(process.env.AUDIT_LAB_TIMEOUT_MS, 10) || 45000,
+  // Time to keep observing after the load event so late LCP candidates and shifts count
+  settleMs: 3000,
+  // Text elements whose computed colors are sampled for the WCAG contrast rules
+  textColorSamples: 300,
+  executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+  allowPrivateHosts: process.env.AUDIT_ALLOW_PRIVATE_HOSTS === 'true',
+};
+
+/**
+ * Device and throttling profiles (Lighthouse defaults: Moto G Power on slow 4G, and desktop)
+ * Network throughput is in bytes per second.
+ */
+export const LAB_PROFILES = {
+  mobile: {
+    viewport: {
+      width: 412,
+      height: 823,
+      deviceScaleFactor: 1.75,
+      isMobile: true,
+      hasTouch: true,
+    },
+    userAgent:
+      'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      'Chrome/141.0.0.0 Mobile Safari/537.36 PrismifyBot/1.0',
+    cpuSlowdown: 4,
+    network: { download: (1638.4 * 1024) / 8, upload: (675 * 1024) / 8, latency: 150 },
+  },
+  desktop: {
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent:
+      'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) ' +
+      'Chrome/141.0.0.0 Safari/537.36 PrismifyBot/1.0',
+    cpuSlowdown: 1,
+    network: { download: (10240 * 1024) / 8, upload: (10240 * 1024) / 8, latency: 40 },
+  },
+};
+
+/**
+ * Failure codes for lab runs
+ */
+export const LAB_ERROR_CODES = {
+  BROWSER_UNAVAILABLE: 'BROWSER_UNAVAILABLE',
+  NAVIGATION_FAILED: 'NAVIGATION_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  HTTP_ERROR: 'HTTP_ERROR',
+};
+
+/**
+ * Error thrown when a page cannot be measured in the browser
+ */
+export class LabRunError extends Error {
+  /**
+   * @param {string} code - One of LAB_ERROR_CODES
+   * @param {string} message - Human-readable reason
+   * @param {Object} details - Extra context
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'LabRunError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Installed in the page before any page script runs; collects paint, LCP, CLS and
+ * long-task entries into globalThis.__prismifyLab
+ */
+function installLabObservers() {
+  const state = { fcp: null, lcp: null, lcpElement: null, cls: 0, longTasks: [] };
+  globalThis.__prismifyLab = state;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver((list) => list.getEntries().forEach(callback)).observe({
+        type,
+        buffered: true,
+      });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('paint', (entry) => {
+    if (entry.name === 'first-contentful-paint') {
+      state.fcp = entry.startTime;
+    }
+  });
+  observe('largest-contentful-paint', (entry) => {
+    state.lcp = entry.startTime;
+    state.lcpElement = entry.element ? entry.element.tagName.toLowerCase() : null;
+  });
+  observe('longtask', (entry) => {
+    state.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+
+  // CLS is the largest session window: shifts less than 1 s apart, window at most 5 s
+  let windowValue = 0;
+  let windowStart = 0;
+  let lastShift = 0;
+  observe('layout-shift', (entry) => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (
+      windowValue > 0 &&
+      entry.startTime - lastShift < 1000 &&
+      entry.startTime - windowStart < 5000
+    ) {
+      windowValue += entry.value;
+    } else {
+      windowValue = entry.value;
+      windowStart = entry.startTime;
+    }
+    lastShift = entry.startTime;
+    state.cls = Math.max(state.cls, windowValue);
+  });
+}
+
+/**
+ * Runs in the page after it settles; returns observer state plus navigation/resource timing
+ */
+function collectLabEntries() {
+  const state = globalThis.__prismifyLab || {};
+  const navigation = performance.getEntriesByType('navigation')[0];
+
+  return {
+    fcp: state.fcp ?? null,
+    lcp: state.lcp ?? null,
+    lcpElement: state.lcpElement ?? null,
+    cls: state.cls ?? 0,
+    longTasks: state.longTasks || [],
+    ttfb: navigation ? navigation.responseStart : null,
+    domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+    load: navigation ? navigation.loadEventEnd : null,
+    renderBlocking: performance
+      .getEntriesByType('resource')
+      .filter((entry) => entry.renderBlockingStatus === 'blocking')
+      .map((entry) => ({
+        url: entry.name,
+        type: entry.initiatorType,
+        transferBytes: entry.transferSize,
+        durationMs: entry.duration,
+      })),
+  };
+}
+
+/**
+ * Runs in the page after it settles; returns computed text and background colors of visible
+ * text for the WCAG contrast rules (backgrounds behind images and gradients are left out)
+ */
+function collectTextColors(limit) {
+  const { document, getComputedStyle, NodeFilter } = globalThis;
+  const samples = [];
+  const transparent = (color) => color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+
+  const backgroundOf = (element) => {
+    for (let node = element; node; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage !== 'none') {
+        return null;
+      }
+      if (!transparent(style.backgroundColor)) {
+        return style.backgroundColor;
+      }
+    }
+    return 'rgb(255, 255, 255)';
+  };
+
+  const walker = document.createTreeWalker(document.body || document, NodeFilter.SHOW_TEXT);
+  const seen = new Set();
+  while (walker.nextNode() && samples.length < limit) {
+    const element = walker.currentNode.parentElement;
+    if (!element || seen.has(element) || !walker.currentNode.data.trim()) {
+      continue;
+    }
+    seen.add(element);
+    const style = getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    if (
+      style.visibility !== 'visible' ||
+      Number(style.opacity) === 0 ||
+      rect.width === 0 ||
+      rect.height === 0 ||
+      ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(element.tagName)
+    ) {
+      continue;
+    }
+    const background = backgroundOf(element);
+    if (!background) {
+      continue;
+    }
+    const className = typeof element.className === 'string' ? element.className.trim() : '';
+    samples.push({
+      target:
+        element.tagName.toLowerCase() +
+        (element.id ? `#${element.id}` : className ? `.${className.split(/\s+/)[0]}` : ''),
+      text: element.textContent.trim().replace(/\s+/g, ' ').slice(0, 40),
+      color: style.color,
+      background,
+      font_size_px: parseFloat(style.fontSize),
+      font_weight: style.fontWeight,
+    });
+  }
+  return samples;
+}
+
+/**
+ * Total Blocking Time: the part of each long task beyond 50 ms, counted after FCP
+ * @param {Array} longTasks - [{ start, duration }] in ms
+ * @param {number|null} fcp - First Contentful Paint in ms
+ * @returns {number} TBT in ms
+ */
+export function computeTotalBlockingTime(longTasks, fcp) {
+  return longTasks
+    .filter((task) => fcp === null || task.start + task.duration > fcp)
+    .reduce((total, task) => {
+      // Only the portion after FCP can block interaction with painted content
+      const start = fcp === null ? task.start : Math.max(task.start, fcp);
+      const blocking = task.start + task.duration - start - 50;
+      return total + Math.max(0, blocking);
+    }, 0);
+}
+
+/**
+ * Convert in-page entries and network totals into the stored metrics record
+ * @param {Object} entries - collectLabEntries output
+ * @param {Object} network - { transferBytes, requestCount }
+ * @returns {Object} Metrics (ms values rounded, CLS to 4 decimals)
+ */
+export function buildLabMetrics(entries, network) {
+  const ms = (value) => (typeof value === 'number' && value >= 0 ? Math.round(value) : null);
+
+  return {
+    ttfb_ms: ms(entries.ttfb),
+    fcp_ms: ms(entries.fcp),
+    lcp_ms: ms(entries.lcp ?? entries.fcp),
+    lcp_element: entries.lcpElement,
+    cls: Math.round((entries.cls || 0) * 10000) / 10000,
+    tbt_ms: ms(computeTotalBlockingTime(entries.longTasks, entries.fcp)),
+    long_tasks: entries.longTasks.length,
+    dom_content_loaded_ms: ms(entries.domContentLoaded),
+    load_ms: ms(entries.load),
+    transfer_bytes: network.transferBytes,
+    request_count: network.requestCount,
+    render_blocking: entries.renderBlocking.map((resource) => ({
+      url: resource.url,
+      type: resource.type,
+      transfer_bytes: resource.transferBytes,
+      duration_ms: ms(resource.durationMs),
+    })),
+  };
+}
+
+/**
+ * Load puppeteer on demand so the API works on hosts without a browser
+ */
+async function loadPuppeteer() {
+  try {
+    const module = await import('puppeteer');
+    return module.default;
+  } catch (error) {
+    throw new LabRunError(LAB_ERROR_CODES.BROWSER_UNAVAILABLE, 'puppeteer is not installed', {
+      cause: error.message,
+    });
+  }
+}
+
+/**
+ * Measure a page in headless Chromium
+ * @param {string} url - Page URL (already validated by fetchPage)
+ * @param {Object} options - Overrides for LAB_DEFAULTS
+ * @param {string} options.formFactor - 'mobile' | 'desktop'
+ * @returns {Promise<Object>} Metrics: { form_factor, ttfb_ms, fcp_ms, lcp_ms, lcp_element, cls,
+ *   tbt_ms, long_tasks, dom_content_loaded_ms, load_ms, transfer_bytes, request_count,
+ *   render_blocking: [{ url, type, transfer_bytes, duration_ms }], text_colors: [{ target, text,
+ *   color, background, font_size_px, font_weight }], status, final_url, browser_version,
+ *   measured_at }
+ * @throws {LabRunError} When the browser cannot start or the page cannot be loaded
+ */
+export async function runLabPerformance(url, options = {}) {
+  const settings = { ...LAB_DEFAULTS, ...options };
+  const profile = LAB_PROFILES[settings.formFactor] || LAB_PROFILES.mobile;
+  const puppeteer = await loadPuppeteer();
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: 'shell',
+      executablePath: settings.executablePath,
+      args: ['--no-sandbox', '--disable-dev-shm-usage'],
+    });
+  } catch (error) {
+    throw new LabRunError(
+      LAB_ERROR_CODES.BROWSER_UNAVAILABLE,
+      'Headless Chromium failed to start',
+      {
+        cause: error.message,
+      }
+    );
+  }
+
+  try {
+    const page = await browser.newPage();
+    await page.setViewport(profile.viewport);
+    await page.setUserAgent(profile.userAgent);
+    await page.emulateCPUThrottling(profile.cpuSlowdown);
+    await page.emulateNetworkConditions(profile.network);
+
+    // Block subresources on private networks (pageFetcher only checked the page URL)
+    const hostChecks = new Map();
+    await page.setRequestInterception(true);
+    page.on('request', (request) => {
+      let hostname;
+      try {
+        const requestUrl = new URL(request.url());
+        if (!['http:', 'https:'].includes(requestUrl.protocol)) {
+          request.continue();
+          return;
+        }
+        hostname = requestUrl.hostname;
+      } catch {
+        request.abort('blockedbyclient');
+        return;
+      }
+      if (!hostChecks.has(hostname)) {
+        hostChecks.set(
+          hostname,
+          assertPublicHost(hostname, settings.allowPrivateHosts).then(
+            () => true,
+            () => false
+          )
+        );
+      }
+      hostChecks.get(hostname).then((allowed) => {
+        return allowed ? request.continue() : request.abort('blockedbyclient');
+      });
+    });
+
+    const network = { transferBytes: 0, requestCount: 0 };
+    const client = await page.createCDPSession();
+    await client.send('Network.enable');
+    client.on('Network.requestWillBeSent', (event) => {
+      if (!event.redirectResponse && !event.request.url.startsWith('data:')) {
+        network.requestCount++;
+      }
+    });
+    client.on('Network.loadingFinished', (event) => {
+      network.transferBytes += event.encodedDataLength;
+    });
+
+    await page.evaluateOnNewDocument(installLabObservers);
+
+    let response;
+    try {
+      response = await page.goto(url, { waitUntil: 'load', timeout: settings.timeoutMs });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      throw new LabRunError(
+        timedOut ? LAB_ERROR_CODES.TIMEOUT : LAB_ERROR_CODES.NAVIGATION_FAILED,
+        timedOut
+          ? `Page did not finish loading within ${settings.timeoutMs}ms`
+          : `Browser could not load ${url}: ${error.message}`
+      );
+    }
+
+    if (response && response.status() >= 400) {
+      throw new LabRunError(
+        LAB_ERROR_CODES.HTTP_ERROR,
+        `Page returned HTTP ${response.status()} in the browser`,
+        { status: response.status() }
+      );
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, settings.settleMs));
+    const entries = await page.evaluate(collectLabEntries);
+    const textColors = await page
+      .evaluate(collectTextColors, settings.textColorSamples)
+      .catch(() => null);
+
+    return {
+      form_factor: settings.formFactor,
+      ...buildLabMetrics(entries, network),
+      text_colors: textColors,
+      status: response?.status() ?? null,
+      final_url: page.url(),
+      browser_version: await browser.version(),
+      measured_at: new Date().toISOString(),
+    };
+  } finally {
+    await browser.close().catch(() => {});
+  }
+}
+
+export default {
+  runLabPerformance,
+  buildLabMetrics,
+  computeTotalBlockingTime,
+  LabRunError,
+  LAB_DEFAULTS,
+  LAB_PROFILES,
+  LAB_ERROR_CODES,
+};
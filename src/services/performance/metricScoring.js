@@ -0,0 +1,147 @@
+/**
+ * Performance Metric Scoring
+ *
+ * Turns lab measurements into a 0-100 performance score the way Lighthouse does:
+ * - Each metric is scored 0-1 on a log-normal curve defined by its p10 and median
+ *   (p10 scores 0.9, median scores 0.5)
+ * - The performance score is the weighted average of the metric scores
+ *
+ * Curves follow Lighthouse 10+ (mobile and desktop profiles); TTFB uses the Core Web
+ * Vitals thresholds.
+ *
+ * @module services/performance/metricScoring
+ */
+
+/**
+ * Scored lab metrics
+ * - weight: share of the performance score (weights add up to 100)
+ * - good/poor: "good" and "poor" thresholds used for findings
+ * - curves: log-normal scoring curve per form factor
+ */
+export const LAB_METRICS = {
+  fcp_ms: {
+    label: 'First Contentful Paint',
+    code: 'PERF_SLOW_FCP',
+    weight: 10,
+    good: 1800,
+    poor: 3000,
+    curves: { mobile: { p10: 1800, median: 3000 }, desktop: { p10: 934, median: 1600 } },
+  },
+  lcp_ms: {
+    label: 'Largest Contentful Paint',
+    code: 'PERF_SLOW_LCP',
+    weight: 25,
+    good: 2500,
+    poor: 4000,
+    curves: { mobile: { p10: 2500, median: 4000 }, desktop: { p10: 1200, median: 2400 } },
+  },
+  tbt_ms: {
+    label: 'Total Blocking Time',
+    code: 'PERF_HIGH_TBT',
+    weight: 30,
+    good: 200,
+    poor: 600,
+    curves: { mobile: { p10: 200, median: 600 }, desktop: { p10: 150, median: 350 } },
+  },
+  cls: {
+    label: 'Cumulative Layout Shift',
+    code: 'PERF_HIGH_CLS',
+    weight: 25,
+    good: 0.1,
+    poor: 0.25,
+    curves: { mobile: { p10: 0.1, median: 0.25 }, desktop: { p10: 0.1, median: 0.25 } },
+  },
+  ttfb_ms: {
+    label: 'Time to First Byte',
+    code: 'PERF_SLOW_TTFB',
+    weight: 10,
+    good: 800,
+    poor: 1800,
+    curves: { mobile: { p10: 800, median: 1800 }, desktop: { p10: 800, median: 1800 } },
+  },
+};
+
+// erfc^-1(0.2): scales the p10 distance so p10 lands on a score of 0.9
+const INVERSE_ERFC_ONE_FIFTH = 0.9061938024368232;
+
+/**
+ * Error function (Abramowitz & Stegun 7.1.26, same approximation as Lighthouse)
+ */
+function erf(x) {
+  const sign = Math.sign(x);
+  const abs = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * abs);
+  const y =
+    t *
+    (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - y * Math.exp(-abs * abs));
+}
+
+/**
+ * Score a value on a log-normal curve
+ * @param {number} value - Measured value (lower is better)
+ * @param {Object} curve - { p10, median }
+ * @returns {number} Score between 0 and 1
+ */
+export function logNormalScore(value, { p10, median }) {
+  if (value <= 0) {
+    return 1;
+  }
+
+  const xLogRatio = Math.log(value / median);
+  const p10LogRatio = -Math.log(p10 / median);
+  const standardizedX = (xLogRatio * INVERSE_ERFC_ONE_FIFTH) / p10LogRatio;
+  const score = (1 - erf(standardizedX)) / 2;
+
+  return Math.min(1, Math.max(0, score));
+}
+
+/**
+ * Rate a metric against its thresholds
+ * @param {string} metric - Key of LAB_METRICS
+ * @param {number} value - Measured value
+ * @returns {string} 'good' | 'needs-improvement' | 'poor'
+ */
+export function rateMetric(metric, value) {
+  const { good, poor } = LAB_METRICS[metric];
+  if (value <= good) {
+    return 'good';
+  }
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+/**
+ * Compute the performance score from lab metrics
+ * Metrics that could not be measured (null) are left out and the remaining weights rescaled.
+ * @param {Object} metrics - Lab runner output (fcp_ms, lcp_ms, tbt_ms, cls, ttfb_ms, form_factor)
+ * @returns {Object} { score (0-100, null if nothing was measured), metric_scores: { key: 0-1 } }
+ */
+export function scoreLabMetrics(metrics) {
+  const formFactor = metrics.form_factor === 'desktop' ? 'desktop' : 'mobile';
+  const metricScores = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  for (const [key, definition] of Object.entries(LAB_METRICS)) {
+    const value = metrics[key];
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      continue;
+    }
+    const score = logNormalScore(value, definition.curves[formFactor]);
+    metricScores[key] = Math.round(score * 100) / 100;
+    weighted += score * definition.weight;
+    totalWeight += definition.weight;
+  }
+
+  return {
+    score: totalWeight > 0 ? Math.round((weighted / totalWeight) * 100) : null,
+    metric_scores: metricScores,
+  };
+}
+
+export default {
+  LAB_METRICS,
+  logNormalScore,
+  rateMetric,
+  scoreLabMetrics,
+};
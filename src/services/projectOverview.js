@@ -0,0 +1,206 @@
+/**
+ * Project Overview
+ * Builds the project dashboard summary from rows loaded by the projects controller (no I/O)
+ *
+ * - latestScores: per-component scores of the project's most recent completed audit
+ * - trackedKeywords: the project's target keywords with metrics from its latest research
+ * - recentActivity: audits, crawls, keyword research and regression alerts, newest first
+ *
+ * @module services/projectOverview
+ */
+
+import { AUDIT_COMPONENTS } from './auditRunner.js';
+
+/**
+ * Overview defaults
+ */
+export const OVERVIEW_DEFAULTS = {
+  activityLimit: 10, // Events shown in recent activity
+};
+
+function componentScore(results, component) {
+  const value = results?.[`${component}_score`] ?? results?.scores?.[component]?.score;
+  return typeof value === 'number' ? Math.round(value) : null;
+}
+
+/**
+ * Compact audit row for project listings
+ * @param {Object} audit - seo_analyses row (id, content_url, seo_score, results, status, created_at)
+ * @returns {Object} { id, url, status, grade, overall_score, scores: { meta, ... }, created_at }
+ */
+export function summarizeAudit(audit) {
+  const results = audit.results || {};
+  const scores = {};
+  for (const component of AUDIT_COMPONENTS) {
+    scores[component] = componentScore(results, component);
+  }
+
+  return {
+    id: audit.id,
+    url: audit.content_url || results.url || '',
+    status: audit.status || results.status || 'completed',
+    grade: results.grade || null,
+    overall_score: typeof audit.seo_score === 'number' ? Math.round(audit.seo_score) : null,
+    scores,
+    created_at: audit.created_at,
+  };
+}
+
+/**
+ * Scores of the most recent completed audit
+ * @param {Array} audits - seo_analyses rows, newest first
+ * @returns {Object|null} { audit_id, url, grade, created_at, overall, meta, content, ... }
+ */
+export function latestScores(audits = []) {
+  const latest = audits.find((audit) => (audit.status || audit.results?.status) === 'completed');
+  if (!latest) {
+    return null;
+  }
+
+  const summary = summarizeAudit(latest);
+  return {
+    audit_id: summary.id,
+    url: summary.url,
+    grade: summary.grade,
+    created_at: summary.created_at,
+    overall: summary.overall_score,
+    ...summary.scores,
+  };
+}
+
+/**
+ * Target keywords with their most recent research metrics
+ * @param {Array<string>} targetKeywords - seo_projects.target_keywords
+ * @param {Array} keywordRows - Project keyword research rows, newest first
+ * @returns {Array} { keyword, search_volume, competition, difficulty_score, opportunity_score,
+ *   cpc, researched_at } - metrics are null for keywords not researched yet
+ */
+export function trackedKeywords(targetKeywords = [], keywordRows = []) {
+  const latestByKeyword = new Map();
+  for (const row of keywordRows) {
+    const key = String(row.keyword || '').toLowerCase();
+    if (!latestByKeyword.has(key)) {
+      latestByKeyword.set(key, row);
+    }
+  }
+
+  return (targetKeywords || []).map((keyword) => {
+    const row = latestByKeyword.get(keyword.toLowerCase());
+    return {
+      keyword,
+      search_volume: row?.search_volume ?? null,
+      competition: row?.competition ?? null,
+      difficulty_score: row?.difficulty_score ?? null,
+      opportunity_score: row?.opportunity_score ?? null,
+      cpc: row?.cpc ?? null,
+      researched_at: row?.created_at ?? null,
+    };
+  });
+}
+
+/**
+ * Merge a project's audits, crawls, keyword research and alerts into one timeline
+ * @param {Object} sources - Rows, each list in any order
+ * @param {Array} sources.audits - seo_analyses rows
+ * @param {Array} sources.crawls - site_crawls rows
+ * @param {Array} sources.keywords - keywords rows (one research run inserts many rows)
+ * @param {Array} sources.alerts - audit_alerts rows
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum events returned
+ * @returns {Array} Events: { type: 'audit' | 'crawl' | 'keyword_research' | 'alert', id, at, ... }
+ */
+export function recentActivity(
+  { audits = [], crawls = [], keywords = [], alerts = [] } = {},
+  { limit = OVERVIEW_DEFAULTS.activityLimit } = {}
+) {
+  const events = [];
+
+  for (const audit of audits) {
+    const summary = summarizeAudit(audit);
+    events.push({
+      type: 'audit',
+      id: summary.id,
+      at: summary.created_at,
+      url: summary.url,
+      status: summary.status,
+      overall_score: summary.overall_score,
+    });
+  }
+
+  for (const crawl of crawls) {
+    events.push({
+      type: 'crawl',
+      id: crawl.id,
+      at: crawl.finished_at || crawl.created_at,
+      url: crawl.seed_url,
+      status: crawl.status,
+      pages_crawled: crawl.pages_crawled ?? 0,
+      average_score: crawl.average_score ?? null,
+    });
+  }
+
+  // Rows from one research run share their seed keyword and insert time
+  const runs = new Map();
+  for (const row of keywords) {
+    const runKey = `${row.seed_keyword}|${row.created_at}`;
+    const run = runs.get(runKey);
+    if (run) {
+      run.keyword_count++;
+    } else {
+      runs.set(runKey, {
+        type: 'keyword_research',
+        id: row.id,
+        at: row.created_at,
+        seed_keyword: row.seed_keyword,
+        keyword_count: 1,
+      });
+    }
+  }
+  events.push(...runs.values());
+
+  for (const alert of alerts) {
+    events.push({
+      type: 'alert',
+      id: alert.id,
+      at: alert.created_at,
+      audit_id: alert.audit_id,
+      alert_count: Array.isArray(alert.alerts) ? alert.alerts.length : 0,
+    });
+  }
+
+  return events
+    .filter((event) => event.at)
+    .sort((a, b) => new Date(b.at).getTime() - new Date(a.at).getTime())
+    .slice(0, limit);
+}
+
+/**
+ * Project dashboard summary
+ * @param {Object} project - seo_projects row
+ * @param {Object} sources - { audits, crawls, keywords, alerts } (see recentActivity)
+ * @returns {Object} { project, latest_scores, tracked_keywords, recent_activity }
+ */
+export function buildProjectOverview(project, sources = {}) {
+  const audits = [...(sources.audits || [])].sort(
+    (a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime()
+  );
+  const keywords = [...(sources.keywords || [])].sort(
+    (a, b) => new Date(b.created_at).getTime() - new Date(a.created_at).getTime()
+  );
+
+  return {
+    project,
+    latest_scores: latestScores(audits),
+    tracked_keywords: trackedKeywords(project.target_keywords, keywords),
+    recent_activity: recentActivity({ ...sources, audits, keywords }),
+  };
+}
+
+export default {
+  summarizeAudit,
+  latestScores,
+  trackedKeywords,
+  recentActivity,
+  buildProjectOverview,
+  OVERVIEW_DEFAULTS,
+};
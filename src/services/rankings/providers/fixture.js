@@ -0,0 +1,72 @@
+/**
+ * Fixture Rank Provider
+ * Simulated positions for tests and offline development; never calls a network API
+ *
+ * Each keyword + URL + location + device combination gets a stable base position (some
+ * combinations do not rank) that moves a few places from day to day, so charts and
+ * movement stats have something to show. Results are labelled with provider "fixture".
+ *
+ * @module services/rankings/providers/fixture
+ */
+
+import { getLocation } from '../../keywords/providers/common.js';
+import { SERP_FEATURES } from '../rankMetrics.js';
+
+const NAME = 'fixture';
+
+const FEATURE_TYPES = Object.values(SERP_FEATURES);
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(value) {
+  let result = 0x811c9dc5;
+  for (let index = 0; index < value.length; index++) {
+    result ^= value.charCodeAt(index);
+    result = Math.imul(result, 0x01000193);
+  }
+  return result >>> 0;
+}
+
+/**
+ * Create the fixture adapter
+ * @returns {Object} Rank provider ({ name, isConfigured, checkRank })
+ */
+export function createFixtureRankProvider() {
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return true;
+    },
+
+    async checkRank({ keyword, targetUrl, location, device, date }) {
+      getLocation(location, NAME);
+
+      const combination = hash(`${keyword.toLowerCase()}|${targetUrl}|${location}|${device}`);
+      const day = hash(`${combination}|${date}`);
+
+      // One in eight combinations is outside the top 100
+      const base = 1 + (combination % 60);
+      const ranked = combination % 8 !== 0;
+      const position = ranked ? Math.max(1, base + ((day % 7) - 3)) : null;
+
+      const serpFeatures = FEATURE_TYPES.filter(
+        (_type, index) => (combination >>> (index + 8)) & 1
+      ).map((type, index) => ({
+        type,
+        // Only pages near the top win features, and not every day
+        owned: position !== null && position <= 3 && ((day >>> index) & 1) === 1,
+      }));
+
+      return {
+        position,
+        ranking_url: ranked ? targetUrl : null,
+        total_results: 1000000 * (1 + (combination % 5000)),
+        serp_features: serpFeatures,
+      };
+    },
+  };
+}
+
+export default createFixtureRankProvider;
@@ -0,0 +1,89 @@
+/**
+ * SERP API Rank Provider
+ * Google positions from live results through SerpApi
+ *
+ * One search (one SerpApi credit) per check, with up to `depth` organic results, so URLs
+ * ranking below the depth are reported as not ranked.
+ * https://serpapi.com/search-api
+ *
+ * @module services/rankings/providers/serpApi
+ */
+
+import {
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  getLocation,
+  requestJson,
+} from '../../keywords/providers/common.js';
+import { parseSerpRanking } from '../rankMetrics.js';
+
+const NAME = 'serp';
+
+/**
+ * Default settings
+ */
+export const SERP_RANK_DEFAULTS = {
+  apiKey: process.env.SERPAPI_KEY || null,
+  baseUrl: process.env.SERPAPI_URL || 'https://serpapi.com',
+  timeoutMs: parseInt(process.env.KEYWORD_PROVIDER_TIMEOUT_MS, 10) || 30000,
+  depth: parseInt(process.env.RANK_TRACKING_DEPTH, 10) || 100,
+};
+
+/**
+ * Create the SERP API rank adapter
+ * @param {Object} settings - Overrides of SERP_RANK_DEFAULTS
+ * @returns {Object} Rank provider ({ name, isConfigured, checkRank })
+ */
+export function createSerpRankProvider(settings = {}) {
+  const options = { ...SERP_RANK_DEFAULTS, ...settings };
+
+  return {
+    name: NAME,
+
+    isConfigured() {
+      return Boolean(options.apiKey);
+    },
+
+    async checkRank({ keyword, targetUrl, location, device, language }) {
+      if (!this.isConfigured()) {
+        throw new KeywordProviderError(
+          KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+          'Set SERPAPI_KEY to track rankings',
+          { provider: NAME }
+        );
+      }
+
+      const { country } = getLocation(location, NAME);
+      const params = new URLSearchParams({
+        engine: 'google',
+        q: keyword,
+        gl: country,
+        hl: language,
+        device,
+        num: String(options.depth),
+        api_key: options.apiKey,
+      });
+      const serp = await requestJson(NAME, `${options.baseUrl}/search.json?${params}`, {
+        timeoutMs: options.timeoutMs,
+      });
+
+      if (serp.error) {
+        // SerpApi reports "no results" as an error; that is a valid, unranked check
+        if (/hasn't returned any results/i.test(serp.error)) {
+          return parseSerpRanking({}, targetUrl);
+        }
+        throw new KeywordProviderError(
+          /run out of searches|rate limit/i.test(serp.error)
+            ? KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+            : KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED,
+          `${NAME} search failed: ${serp.error}`,
+          { provider: NAME }
+        );
+      }
+
+      return parseSerpRanking(serp, targetUrl);
+    },
+  };
+}
+
+export default createSerpRankProvider;
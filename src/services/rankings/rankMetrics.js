@@ -0,0 +1,215 @@
+/**
+ * Rank Metrics
+ * Positions, movement and SERP feature ownership from Google results (no I/O)
+ *
+ * - parseSerpRanking: position of a tracked URL in one results page and which SERP
+ *   features link to its site
+ * - summarizeRankHistory: best/worst/average position and day-to-day movement
+ * - summarizeFeatureOwnership: how often each SERP feature appeared and was owned
+ *
+ * A target URL without a path (https://example.com) matches any page of the site,
+ * subdomains included; a URL with a path matches that page only.
+ *
+ * @module services/rankings/rankMetrics
+ */
+
+/**
+ * SERP feature blocks (SerpApi response keys) and the names they are reported under
+ */
+export const SERP_FEATURES = {
+  answer_box: 'featured_snippet',
+  knowledge_graph: 'knowledge_panel',
+  local_results: 'local_pack',
+  related_questions: 'people_also_ask',
+  top_stories: 'top_stories',
+  inline_videos: 'videos',
+  inline_images: 'images',
+  shopping_results: 'shopping',
+};
+
+const LINK_KEYS = new Set(['link', 'website', 'source', 'product_link']);
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch {
+    return null;
+  }
+}
+
+const hostOf = (url) => url.hostname.toLowerCase().replace(/^www\./, '');
+
+const pathOf = (url) => url.pathname.replace(/\/+$/, '') || '/';
+
+/**
+ * Build a matcher for the URLs a tracked target covers
+ * @param {string} targetUrl - Tracked site or page
+ * @returns {Function} (url: string) => boolean
+ */
+export function createUrlMatcher(targetUrl) {
+  const target = parseUrl(targetUrl);
+  if (!target) {
+    throw new Error(`Invalid target URL: ${targetUrl}`);
+  }
+
+  const host = hostOf(target);
+  const path = pathOf(target);
+
+  return (value) => {
+    const url = parseUrl(value);
+    if (!url) {
+      return false;
+    }
+    const candidate = hostOf(url);
+    if (path === '/') {
+      return candidate === host || candidate.endsWith(`.${host}`);
+    }
+    return candidate === host && pathOf(url) === path;
+  };
+}
+
+// Every link in a SERP block (answers, cards and nested lists)
+function collectLinks(value, links = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectLinks(item, links));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (LINK_KEYS.has(key) && typeof child === 'string') {
+        links.push(child);
+      } else if (typeof child === 'object') {
+        collectLinks(child, links);
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Position of the tracked URL in a Google results page
+ * @param {Object} serp - SerpApi response (organic_results and feature blocks)
+ * @param {string} targetUrl - Tracked site or page
+ * @returns {Object} { position, ranking_url, total_results, serp_features: [{ type, owned }] }
+ *   position is null when the URL is not in the organic results
+ */
+export function parseSerpRanking(serp, targetUrl) {
+  const matches = createUrlMatcher(targetUrl);
+  const organic = Array.isArray(serp.organic_results) ? serp.organic_results : [];
+
+  let ranking = null;
+  organic.forEach((result, index) => {
+    if (!ranking && typeof result?.link === 'string' && matches(result.link)) {
+      ranking = { position: result.position ?? index + 1, url: result.link };
+    }
+  });
+
+  const serpFeatures = Object.entries(SERP_FEATURES)
+    .filter(([block]) => {
+      const value = serp[block];
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    })
+    .map(([block, type]) => ({
+      type,
+      owned: collectLinks(serp[block]).some(matches),
+    }));
+
+  const totalResults = serp.search_information?.total_results;
+  return {
+    position: ranking?.position ?? null,
+    ranking_url: ranking?.url ?? null,
+    total_results: typeof totalResults === 'number' ? totalResults : null,
+    serp_features: serpFeatures,
+  };
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Positions and movement over a tracked keyword's history
+ *
+ * Movement is the change between consecutive checks where the URL ranked; positive values
+ * are improvements (moving from 8 to 3 is +5).
+ *
+ * @param {Array} history - Checks of { checked_on, position }, oldest first
+ * @returns {Object} { current, previous, change, best, worst, average, ranked_checks,
+ *   checks, movement: { best, worst, average } }
+ */
+export function summarizeRankHistory(history) {
+  const ranked = history.filter((entry) => typeof entry.position === 'number');
+  const positions = ranked.map((entry) => entry.position);
+  const latest = history.at(-1);
+  const previous = history.at(-2);
+
+  const moves = [];
+  for (let index = 1; index < history.length; index++) {
+    const before = history[index - 1].position;
+    const after = history[index].position;
+    if (typeof before === 'number' && typeof after === 'number') {
+      moves.push(before - after);
+    }
+  }
+
+  return {
+    current: latest?.position ?? null,
+    previous: previous?.position ?? null,
+    change:
+      typeof latest?.position === 'number' && typeof previous?.position === 'number'
+        ? previous.position - latest.position
+        : null,
+    best: positions.length ? Math.min(...positions) : null,
+    worst: positions.length ? Math.max(...positions) : null,
+    average: positions.length
+      ? round(positions.reduce((sum, value) => sum + value, 0) / positions.length)
+      : null,
+    ranked_checks: ranked.length,
+    checks: history.length,
+    movement: {
+      best: moves.length ? Math.max(...moves) : null,
+      worst: moves.length ? Math.min(...moves) : null,
+      average: moves.length
+        ? round(moves.reduce((sum, value) => sum + value, 0) / moves.length)
+        : null,
+    },
+  };
+}
+
+/**
+ * SERP feature presence and ownership over a tracked keyword's history
+ * @param {Array} history - Checks of { serp_features: [{ type, owned }] }, oldest first
+ * @returns {Array} [{ type, seen, owned, owned_now }], most frequent first
+ */
+export function summarizeFeatureOwnership(history) {
+  const features = new Map();
+  const latest = history.at(-1)?.serp_features || [];
+
+  for (const entry of history) {
+    for (const feature of entry.serp_features || []) {
+      const summary = features.get(feature.type) || {
+        type: feature.type,
+        seen: 0,
+        owned: 0,
+        owned_now: false,
+      };
+      summary.seen++;
+      if (feature.owned) {
+        summary.owned++;
+      }
+      features.set(feature.type, summary);
+    }
+  }
+
+  for (const feature of latest) {
+    if (feature.owned && features.has(feature.type)) {
+      features.get(feature.type).owned_now = true;
+    }
+  }
+
+  return [...features.values()].sort((a, b) => b.seen - a.seen || a.type.localeCompare(b.type));
+}
+
+export default {
+  createUrlMatcher,
+  parseSerpRanking,
+  summarizeRankHistory,
+  summarizeFeatureOwnership,
+  SERP_FEATURES,
+};
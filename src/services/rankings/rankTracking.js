@@ -0,0 +1,154 @@
+/**
+ * Rank Tracking Service
+ * Checks Google positions of tracked keywords through the configured SERP provider
+ *
+ * Providers (RANK_PROVIDER):
+ * - serp: live Google results via SerpApi (SERPAPI_KEY)
+ * - fixture: simulated positions for tests and offline development
+ *
+ * When RANK_PROVIDER is not set, serp is used if configured. The fixture provider is only
+ * chosen automatically outside production, so simulated positions are never shown as
+ * real rankings.
+ *
+ * Every provider implements:
+ *   { name, isConfigured(): boolean,
+ *     checkRank({ keyword, targetUrl, location, device, language, date }): Promise<Object> }
+ * and returns { position, ranking_url, total_results, serp_features: [{ type, owned }] }.
+ *
+ * @module services/rankings/rankTracking
+ */
+
+import { createSerpRankProvider } from './providers/serpApi.js';
+import { createFixtureRankProvider } from './providers/fixture.js';
+import {
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+  KEYWORD_LOCATIONS,
+} from '../keywords/providers/common.js';
+
+export { KeywordProviderError, KEYWORD_PROVIDER_ERROR_CODES, KEYWORD_LOCATIONS };
+
+/**
+ * Devices rankings are checked for
+ */
+export const RANK_DEVICES = ['desktop', 'mobile'];
+
+/**
+ * Rank tracking defaults
+ */
+export const RANK_TRACKING_DEFAULTS = {
+  provider: process.env.RANK_PROVIDER || null,
+  location: 'US',
+  device: 'desktop',
+  language: 'en',
+  maxTrackedKeywords: parseInt(process.env.RANK_TRACKING_MAX_KEYWORDS, 10) || 500, // Per user
+  historyDays: 30, // Default history window of the API
+  batchSize: 200, // Tracked keywords checked per tracker run
+};
+
+/**
+ * Provider factories by name
+ */
+export const RANK_PROVIDERS = {
+  serp: createSerpRankProvider,
+  fixture: createFixtureRankProvider,
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, RANK_PROVIDERS[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Pick the SERP provider for this environment
+ * @param {string|null} name - Provider name (defaults to RANK_PROVIDER, then automatic)
+ * @returns {Object} Rank provider
+ * @throws {KeywordProviderError} UNKNOWN_PROVIDER or NOT_CONFIGURED
+ */
+export function resolveRankProvider(name = RANK_TRACKING_DEFAULTS.provider) {
+  if (name) {
+    if (!RANK_PROVIDERS[name]) {
+      throw new KeywordProviderError(
+        KEYWORD_PROVIDER_ERROR_CODES.UNKNOWN_PROVIDER,
+        `Unknown rank provider: ${name} (expected ${Object.keys(RANK_PROVIDERS).join(', ')})`,
+        { provider: name }
+      );
+    }
+    const provider = getProvider(name);
+    if (!provider.isConfigured()) {
+      throw new KeywordProviderError(
+        KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+        `Rank provider ${name} is not configured`,
+        { provider: name }
+      );
+    }
+    return provider;
+  }
+
+  if (getProvider('serp').isConfigured()) {
+    return getProvider('serp');
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return getProvider('fixture');
+  }
+
+  throw new KeywordProviderError(
+    KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED,
+    'No rank tracking provider is configured (set SERPAPI_KEY)'
+  );
+}
+
+/**
+ * Day a check is recorded under (UTC)
+ * @param {Date} now
+ * @returns {string} YYYY-MM-DD
+ */
+export function checkDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Check today's position of a tracked keyword
+ * @param {Object} provider - Rank provider (resolveRankProvider)
+ * @param {Object} tracked - rank_tracked_keywords row
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time (sets the check date)
+ * @returns {Promise<Object>} rank_history values for the check
+ * @throws {KeywordProviderError} When the provider request fails
+ */
+export async function checkTrackedKeyword(provider, tracked, { now = new Date() } = {}) {
+  const date = checkDate(now);
+  const result = await provider.checkRank({
+    keyword: tracked.keyword,
+    targetUrl: tracked.target_url,
+    location: tracked.location,
+    device: tracked.device,
+    language: tracked.language,
+    date,
+  });
+
+  return {
+    tracked_keyword_id: tracked.id,
+    user_id: tracked.user_id,
+    checked_on: date,
+    position: result.position,
+    ranking_url: result.ranking_url,
+    serp_features: result.serp_features,
+    total_results: result.total_results,
+    provider: provider.name,
+  };
+}
+
+export default {
+  resolveRankProvider,
+  checkTrackedKeyword,
+  checkDate,
+  RANK_PROVIDERS,
+  RANK_DEVICES,
+  RANK_TRACKING_DEFAULTS,
+};
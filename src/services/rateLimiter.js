@@ -0,0 +1,308 @@
+/**
+ * Rate Limiter
+ * Sliding window request counters shared by every API instance through Redis
+ *
+ * Requests are counted in fixed windows; the previous window's count is weighted by how much
+ * of it still overlaps the sliding window ending now. That smooths bursts at window edges
+ * without storing a timestamp per request. Rejected requests count too, so a client that
+ * keeps retrying stays limited until it backs off.
+ *
+ * Redis layout:
+ * - ratelimit:<name>:<window>  counter for one window, expires after two windows
+ *
+ * While Redis is unavailable counters live in process memory, so limits keep applying (per
+ * instance) instead of failing open; connecting is retried in the background at most every
+ * 30 seconds.
+ *
+ * @module services/rateLimiter
+ */
+
+import { createClient } from 'redis';
+import config from '../config/index.js';
+
+/**
+ * Default sliding window length
+ */
+export const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+const RECONNECT_INTERVAL_MS = 30 * 1000;
+
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Start of the fixed window containing a moment
+ * @param {number} now - Time in ms
+ * @param {number} windowMs - Window length in ms
+ * @returns {number} Window start in ms
+ */
+export function windowStart(now, windowMs) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Evaluate a sliding window from its two fixed window counts
+ *
+ * @param {Object} params
+ * @param {number} params.current - Requests in the current window, including this one
+ * @param {number} params.previous - Requests in the previous window
+ * @param {number} params.limit - Requests allowed per window
+ * @param {number} params.windowMs - Window length in ms
+ * @param {number} params.now - Time in ms
+ * @returns {{allowed: boolean, limit: number, remaining: number, resetMs: number}} resetMs is
+ *   the time until the current fixed window ends, when the count next drops noticeably
+ */
+export function slidingWindowState({ current, previous, limit, windowMs, now }) {
+  const start = windowStart(now, windowMs);
+  const overlap = 1 - (now - start) / windowMs;
+  const count = previous * overlap + current;
+
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - count)),
+    resetMs: start + windowMs - now,
+  };
+}
+
+class RateLimiter {
+  constructor() {
+    this.client = null;
+    this.isConnected = false;
+    this.lastConnectAttempt = 0;
+    this.memory = new Map();
+    this.lastSweep = 0;
+    this.keys = {
+      counter: (name, start) => `ratelimit:${name}:${start}`,
+    };
+  }
+
+  /**
+   * Initialize Redis connection
+   * @returns {Promise<boolean>} True if counters are shared through Redis
+   */
+  async initialize() {
+    try {
+      if (this.isConnected) {
+        return true;
+      }
+      this.lastConnectAttempt = Date.now();
+
+      if (!this.client) {
+        const redisOptions = {
+          url: config.redis.url,
+          socket: {
+            connectTimeout: 2000,
+            reconnectStrategy: (retries) => {
+              if (retries > 10) {
+                return new Error('Redis reconnect attempts exceeded');
+              }
+              return Math.min(retries * 100, 3000);
+            },
+          },
+        };
+
+        // Only add password if it's configured
+        if (config.redis.password) {
+          redisOptions.password = config.redis.password;
+        }
+
+        this.client = createClient(redisOptions);
+
+        this.client.on('error', (err) => {
+          console.error('❌ Rate limiter Redis error:', err.message);
+          this.isConnected = false;
+        });
+
+        this.client.on('ready', () => {
+          this.isConnected = true;
+        });
+      }
+
+      // The client reconnects by itself until its retries run out
+      if (!this.client.isOpen) {
+        await this.client.connect();
+        console.log('✅ Rate limiter initialized');
+      }
+      this.isConnected = this.client.isReady;
+      return this.isConnected;
+    } catch (error) {
+      console.warn('⚠️  Rate limiter using in-memory counters:', error.message);
+      this.isConnected = false;
+      return false;
+    }
+  }
+
+  /**
+   * Whether Redis can take this request, connecting in the background otherwise so
+   * requests never wait on a Redis that is down
+   * @returns {boolean}
+   */
+  useRedis() {
+    if (this.isConnected) {
+      return true;
+    }
+    if (Date.now() - this.lastConnectAttempt >= RECONNECT_INTERVAL_MS) {
+      this.initialize();
+    }
+    return false;
+  }
+
+  /**
+   * Count a request against a limit
+   *
+   * @param {string} name - Counter name, e.g. 'user:<id>:standard'
+   * @param {number} limit - Requests allowed per window
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - Window length (default one minute)
+   * @param {number} [options.now] - Current time in ms
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetMs: number,
+   *   store: string}>}
+   */
+  async hit(name, limit, { windowMs = RATE_LIMIT_WINDOW_MS, now = Date.now() } = {}) {
+    const start = windowStart(now, windowMs);
+    const currentKey = this.keys.counter(name, start);
+    const previousKey = this.keys.counter(name, start - windowMs);
+
+    if (this.useRedis()) {
+      try {
+        const [current, , previous] = await this.client
+          .multi()
+          .incr(currentKey)
+          .pExpire(currentKey, windowMs * 2)
+          .get(previousKey)
+          .exec();
+
+        return {
+          ...slidingWindowState({
+            current: Number(current),
+            previous: Number(previous) || 0,
+            limit,
+            windowMs,
+            now,
+          }),
+          store: 'redis',
+        };
+      } catch (error) {
+        console.error('Rate limiter Redis command failed, counting in memory:', error.message);
+      }
+    }
+
+    return {
+      ...slidingWindowState({
+        current: this.memoryIncrement(currentKey, start + windowMs * 2, now),
+        previous: this.memoryGet(previousKey, now),
+        limit,
+        windowMs,
+        now,
+      }),
+      store: 'memory',
+    };
+  }
+
+  /**
+   * Check a limit without counting a request
+   *
+   * For limits that only count some requests, decided after the response (failed
+   * authentication): a request is let through if counting it would still be allowed.
+   *
+   * @param {string} name - Counter name
+   * @param {number} limit - Requests allowed per window
+   * @param {Object} [options]
+   * @param {number} [options.windowMs] - Window length (default one minute)
+   * @param {number} [options.now] - Current time in ms
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, resetMs: number,
+   *   store: string}>}
+   */
+  async check(name, limit, { windowMs = RATE_LIMIT_WINDOW_MS, now = Date.now() } = {}) {
+    const start = windowStart(now, windowMs);
+    const currentKey = this.keys.counter(name, start);
+    const previousKey = this.keys.counter(name, start - windowMs);
+
+    if (this.useRedis()) {
+      try {
+        const [current, previous] = await this.client
+          .multi()
+          .get(currentKey)
+          .get(previousKey)
+          .exec();
+
+        return {
+          ...slidingWindowState({
+            current: (Number(current) || 0) + 1,
+            previous: Number(previous) || 0,
+            limit,
+            windowMs,
+            now,
+          }),
+          store: 'redis',
+        };
+      } catch (error) {
+        console.error('Rate limiter Redis command failed, reading memory:', error.message);
+      }
+    }
+
+    return {
+      ...slidingWindowState({
+        current: this.memoryGet(currentKey, now) + 1,
+        previous: this.memoryGet(previousKey, now),
+        limit,
+        windowMs,
+        now,
+      }),
+      store: 'memory',
+    };
+  }
+
+  /**
+   * Increment an in-memory counter
+   * @returns {number} New count
+   */
+  memoryIncrement(key, expiresAt, now) {
+    this.sweepMemory(now);
+
+    const entry = this.memory.get(key);
+    const count = entry && entry.expiresAt > now ? entry.count + 1 : 1;
+    this.memory.set(key, { count, expiresAt });
+    return count;
+  }
+
+  /**
+   * Read an in-memory counter
+   * @returns {number} Count (0 when missing or expired)
+   */
+  memoryGet(key, now) {
+    const entry = this.memory.get(key);
+    return entry && entry.expiresAt > now ? entry.count : 0;
+  }
+
+  /**
+   * Drop expired in-memory counters
+   */
+  sweepMemory(now) {
+    if (now - this.lastSweep < MEMORY_SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = now;
+
+    for (const [key, entry] of this.memory) {
+      if (entry.expiresAt <= now) {
+        this.memory.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Close Redis connection
+   */
+  async close() {
+    if (this.client?.isOpen) {
+      await this.client.quit();
+    }
+    this.isConnected = false;
+  }
+}
+
+export { RateLimiter };
+
+const rateLimiter = new RateLimiter();
+export default rateLimiter;
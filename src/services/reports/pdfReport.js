@@ -0,0 +1,541 @@
+/**
+ * PDF Report Renderer
+ *
+ * Renders a stored audit as a PDF (pdfkit, vector graphics only):
+ * - Header with logo or company name, audited URL and date
+ * - Overall grade and score
+ * - Bar chart of the seven component scores
+ * - Issues grouped by component, highest impact first
+ * - Keyword table
+ *
+ * Two layouts: 'technical' lists every issue with its fix and all keywords; 'executive'
+ * keeps the top priorities and the ten best keyword opportunities.
+ *
+ * White-label reports replace the Prismify name, colors and footer with the customer's.
+ *
+ * @module services/reports/pdfReport
+ */
+
+import PDFDocument from 'pdfkit';
+
+/**
+ * Supported report layouts
+ */
+export const REPORT_TYPES = ['technical', 'executive'];
+
+/**
+ * Branding used when the report is not white-labelled
+ */
+export const DEFAULT_BRANDING = {
+  company_name: 'Prismify',
+  logo: null,
+  primary_color: '#4f46e5',
+  accent_color: '#0ea5e9',
+  footer_text: 'Generated by Prismify - AI-powered SEO audits',
+};
+
+// Component keys in display order with their labels, and the recommendation category when
+// it differs from the label
+const COMPONENTS = [
+  ['meta', 'Meta Tags'],
+  ['content', 'Content'],
+  ['technical', 'Technical', 'Technical SEO'],
+  ['mobile', 'Mobile'],
+  ['performance', 'Performance'],
+  ['security', 'Security'],
+  ['accessibility', 'Accessibility'],
+];
+
+const PRIORITY_ORDER = { critical: 0, high: 1, medium: 2, low: 3 };
+
+const SCORE_COLORS = { good: '#16a34a', average: '#d97706', poor: '#dc2626' };
+const TEXT_COLOR = '#0f172a';
+const MUTED_COLOR = '#64748b';
+const RULE_COLOR = '#e2e8f0';
+
+// Logos are embedded in every PDF; keep them small
+const MAX_LOGO_BYTES = 512 * 1024;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Executive reports keep the summary to one or two pages
+const EXECUTIVE_ISSUE_LIMIT = 10;
+const EXECUTIVE_KEYWORD_LIMIT = 10;
+const TECHNICAL_KEYWORD_LIMIT = 100;
+
+/**
+ * Validate white-label branding from a request
+ * @param {Object} input - { company_name, logo (PNG/JPEG data URI), primary_color,
+ *   accent_color, footer_text }
+ * @returns {Object} { branding } or { error } with a user-facing message
+ */
+export function parseBranding(input) {
+  if (input === undefined || input === null) {
+    return { branding: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'branding must be an object' };
+  }
+
+  const branding = { ...DEFAULT_BRANDING, footer_text: '' };
+
+  for (const field of ['company_name', 'footer_text']) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'string' || input[field].length > 200) {
+        return { error: `${field} must be a string of at most 200 characters` };
+      }
+      branding[field] = input[field].trim();
+    }
+  }
+
+  for (const field of ['primary_color', 'accent_color']) {
+    if (input[field] !== undefined) {
+      if (!HEX_COLOR.test(input[field])) {
+        return { error: `${field} must be a hex color such as #1e40af` };
+      }
+      branding[field] = input[field].toLowerCase();
+    }
+  }
+
+  if (input.logo !== undefined && input.logo !== null) {
+    const match =
+      typeof input.logo === 'string' &&
+      input.logo.match(/^data:image\/(png|jpe?g);base64,([a-z0-9+/=\s]+)$/i);
+    if (!match) {
+      return { error: 'logo must be a base64 PNG or JPEG data URI' };
+    }
+    const bytes = Buffer.from(match[2], 'base64');
+    if (bytes.length > MAX_LOGO_BYTES) {
+      return { error: `logo must be at most ${MAX_LOGO_BYTES / 1024} KB` };
+    }
+    branding.logo = bytes;
+  }
+
+  return { branding };
+}
+
+/**
+ * Collect what the report shows from a stored audit row
+ * @param {Object} audit - seo_analyses row (scores and recommendations live in results)
+ * @param {Array} keywords - keywords rows for the audit
+ * @returns {Object} { url, grade, overall_score, analyzed_at, scores: [{ key, label, score }],
+ *   issue_groups: [{ component, issues }], keywords }
+ */
+export function buildReportData(audit, keywords = []) {
+  const results = audit.results || {};
+  const scoreOf = (key) =>
+    Math.round(
+      results[`${key}_score`] ?? results.scores?.[key]?.score ?? audit[`${key}_score`] ?? 0
+    );
+
+  const recommendations = Array.isArray(results.recommendations) ? results.recommendations : [];
+  const issueGroups = COMPONENTS.map(([, label, category = label]) => ({
+    component: label,
+    issues: recommendations
+      .filter((rec) => rec.category === category)
+      .sort(
+        (a, b) =>
+          (PRIORITY_ORDER[a.priority] ?? 4) - (PRIORITY_ORDER[b.priority] ?? 4) ||
+          (b.impact || 0) - (a.impact || 0)
+      ),
+  })).filter((group) => group.issues.length > 0);
+
+  return {
+    url: results.final_url || audit.content_url || results.url || '',
+    grade: results.grade || null,
+    overall_score: Math.round(results.overall_score ?? audit.seo_score ?? 0),
+    analyzed_at: audit.created_at || results.timestamp || null,
+    scores: COMPONENTS.map(([key, label]) => ({ key, label, score: scoreOf(key) })),
+    issue_groups: issueGroups,
+    keywords: [...keywords].sort((a, b) => (b.opportunity_score || 0) - (a.opportunity_score || 0)),
+  };
+}
+
+/**
+ * Standard PDF fonts only encode Latin-1 (WinAnsi); replace what they cannot draw
+ */
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[←-⇿]/g, '->')
+    .replace(/[^\x20-\x7e\xa0-\xff–—‘’“”•…€™\n]/g, '');
+}
+
+function scoreColor(score) {
+  if (score >= 80) {
+    return SCORE_COLORS.good;
+  }
+  return score >= 50 ? SCORE_COLORS.average : SCORE_COLORS.poor;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+/**
+ * Start a new page when fewer than `height` points are left
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+function drawHeader(doc, data, branding, reportType) {
+  const left = doc.page.margins.left;
+  const top = doc.page.margins.top;
+
+  if (branding.logo) {
+    try {
+      doc.image(branding.logo, left, top, { fit: [140, 48] });
+    } catch {
+      // Corrupt image data: fall back to the company name
+      branding = { ...branding, logo: null };
+    }
+  }
+  if (!branding.logo && branding.company_name) {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(20)
+      .fillColor(branding.primary_color)
+      .text(pdfText(branding.company_name), left, top + 10, { width: 260 });
+  }
+
+  doc
+    .font('Helvetica')
+    .fontSize(9)
+    .fillColor(MUTED_COLOR)
+    .text(
+      `${reportType === 'executive' ? 'Executive summary' : 'Technical SEO audit'}\n${
+        data.analyzed_at ? new Date(data.analyzed_at).toISOString().slice(0, 10) : ''
+      }`,
+      left,
+      top + 10,
+      { width: contentWidth(doc), align: 'right' }
+    );
+
+  doc.y = top + 64;
+  doc
+    .moveTo(left, doc.y)
+    .lineTo(left + contentWidth(doc), doc.y)
+    .lineWidth(2)
+    .strokeColor(branding.primary_color)
+    .stroke();
+  doc.moveDown(1);
+}
+
+function drawSummary(doc, data, branding) {
+  const left = doc.page.margins.left;
+  const top = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor(TEXT_COLOR).text('SEO audit report', left, top);
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor(branding.accent_color)
+    .text(pdfText(data.url), { width: contentWidth(doc) - 140, link: data.url || undefined });
+
+  // Grade badge on the right
+  const badgeX = left + contentWidth(doc) - 110;
+  doc.roundedRect(badgeX, top, 110, 70, 8).fillColor(scoreColor(data.overall_score)).fill();
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(30)
+    .fillColor('#ffffff')
+    .text(data.grade || '-', badgeX, top + 8, { width: 110, align: 'center' });
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .text(`Score ${data.overall_score}/100`, badgeX, top + 48, { width: 110, align: 'center' });
+
+  doc.fillColor(TEXT_COLOR);
+  doc.y = Math.max(doc.y, top + 70) + 20;
+  doc.x = left;
+}
+
+/**
+ * Horizontal bar chart of the component scores
+ */
+function drawScoreChart(doc, scores, branding) {
+  const left = doc.page.margins.left;
+  const labelWidth = 90;
+  const valueWidth = 36;
+  const barWidth = contentWidth(doc) - labelWidth - valueWidth;
+  const rowHeight = 20;
+
+  ensureSpace(doc, 40 + scores.length * rowHeight);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .fillColor(branding.primary_color)
+    .text('Component scores', left, doc.y);
+  doc.moveDown(0.5);
+
+  let y = doc.y;
+  for (const { label, score } of scores) {
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(TEXT_COLOR)
+      .text(label, left, y + 3, { width: labelWidth });
+    doc
+      .rect(left + labelWidth, y + 2, barWidth, 12)
+      .fillColor(RULE_COLOR)
+      .fill();
+    doc
+      .rect(left + labelWidth, y + 2, (barWidth * Math.max(0, Math.min(score, 100))) / 100, 12)
+      .fillColor(scoreColor(score))
+      .fill();
+    doc
+      .font('Helvetica-Bold')
+      .fillColor(TEXT_COLOR)
+      .text(String(score), left + labelWidth + barWidth, y + 3, {
+        width: valueWidth,
+        align: 'right',
+      });
+    y += rowHeight;
+  }
+
+  doc.y = y + 16;
+  doc.x = left;
+}
+
+function drawIssue(doc, issue, { withDescription }) {
+  const left = doc.page.margins.left;
+  const priority = issue.priority || 'low';
+  const tagColor = {
+    critical: SCORE_COLORS.poor,
+    high: '#ea580c',
+    medium: SCORE_COLORS.average,
+    low: MUTED_COLOR,
+  }[priority];
+
+  ensureSpace(doc, withDescription && issue.description ? 44 : 26);
+  const y = doc.y;
+  doc
+    .roundedRect(left, y, 58, 14, 3)
+    .fillColor(tagColor || MUTED_COLOR)
+    .fill();
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(7)
+    .fillColor('#ffffff')
+    .text(priority.toUpperCase(), left, y + 4, { width: 58, align: 'center' });
+  doc
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor(TEXT_COLOR)
+    .text(pdfText(issue.title), left + 68, y + 2, { width: contentWidth(doc) - 68 });
+  if (withDescription && issue.description) {
+    doc
+      .fontSize(9)
+      .fillColor(MUTED_COLOR)
+      .text(pdfText(issue.description), left + 68, doc.y + 2, { width: contentWidth(doc) - 68 });
+  }
+  doc.y += 6;
+  doc.x = left;
+}
+
+function drawIssues(doc, data, branding, reportType) {
+  const left = doc.page.margins.left;
+  const heading = (text) => {
+    ensureSpace(doc, 60);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(13)
+      .fillColor(branding.primary_color)
+      .text(text, left, doc.y);
+    doc.moveDown(0.4);
+  };
+
+  if (reportType === 'executive') {
+    const top = data.issue_groups
+      .flatMap((group) => group.issues.map((issue) => ({ ...issue, component: group.component })))
+      .filter((issue) => issue.priority === 'critical' || issue.priority === 'high')
+      .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority])
+      .slice(0, EXECUTIVE_ISSUE_LIMIT);
+
+    heading('Top priorities');
+    if (top.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text('No critical or high issues.');
+    }
+    for (const issue of top) {
+      drawIssue(
+        doc,
+        { ...issue, title: `${issue.component}: ${issue.title}` },
+        {
+          withDescription: true,
+        }
+      );
+    }
+    doc.moveDown(1);
+    return;
+  }
+
+  heading('Issues by component');
+  if (data.issue_groups.length === 0) {
+    doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR).text('No issues found.');
+  }
+  for (const group of data.issue_groups) {
+    ensureSpace(doc, 50);
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(11)
+      .fillColor(TEXT_COLOR)
+      .text(`${group.component} (${group.issues.length})`, left, doc.y + 4);
+    doc.moveDown(0.3);
+    for (const issue of group.issues) {
+      drawIssue(doc, issue, { withDescription: true });
+    }
+  }
+  doc.moveDown(1);
+}
+
+function drawKeywords(doc, keywords, branding, reportType) {
+  const left = doc.page.margins.left;
+  const limit = reportType === 'executive' ? EXECUTIVE_KEYWORD_LIMIT : TECHNICAL_KEYWORD_LIMIT;
+  const rows = keywords.slice(0, limit);
+  const columns = [
+    ['Keyword', (kw) => kw.keyword, 0.4],
+    ['Volume', (kw) => kw.search_volume?.toLocaleString('en-US') ?? '-', 0.14],
+    ['Competition', (kw) => kw.competition ?? '-', 0.16],
+    ['Difficulty', (kw) => kw.difficulty_score ?? '-', 0.15],
+    ['Opportunity', (kw) => kw.opportunity_score ?? '-', 0.15],
+  ];
+  const width = contentWidth(doc);
+
+  ensureSpace(doc, 80);
+  doc
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .fillColor(branding.primary_color)
+    .text('Keywords', left, doc.y);
+  doc.moveDown(0.4);
+
+  if (rows.length === 0) {
+    doc
+      .font('Helvetica')
+      .fontSize(10)
+      .fillColor(TEXT_COLOR)
+      .text('No keyword research has been run for this audit.');
+    return;
+  }
+
+  const drawRow = (cells, { header = false, shaded = false } = {}) => {
+    ensureSpace(doc, 18);
+    const y = doc.y;
+    if (header || shaded) {
+      doc
+        .rect(left, y, width, 18)
+        .fillColor(header ? branding.primary_color : '#f8fafc')
+        .fill();
+    }
+    let x = left;
+    cells.forEach((cell, index) => {
+      const columnWidth = width * columns[index][2];
+      doc
+        .font(header ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9)
+        .fillColor(header ? '#ffffff' : TEXT_COLOR)
+        .text(pdfText(cell), x + 4, y + 5, {
+          width: columnWidth - 8,
+          height: 10,
+          ellipsis: true,
+          align: index === 0 ? 'left' : 'right',
+        });
+      x += columnWidth;
+    });
+    doc.y = y + 18;
+  };
+
+  drawRow(
+    columns.map(([title]) => title),
+    { header: true }
+  );
+  rows.forEach((kw, index) => {
+    drawRow(
+      columns.map(([, value]) => value(kw)),
+      { shaded: index % 2 === 1 }
+    );
+  });
+  if (keywords.length > rows.length) {
+    doc.moveDown(0.3);
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(MUTED_COLOR)
+      .text(`${keywords.length - rows.length} more keywords in the CSV export`, left);
+  }
+}
+
+/**
+ * Footer text and page numbers on every page
+ */
+function drawFooters(doc, branding) {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const bottom = doc.page.margins.bottom;
+    // Writing inside the bottom margin would otherwise add a page
+    doc.page.margins.bottom = 0;
+    const y = doc.page.height - 36;
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR);
+    if (branding.footer_text) {
+      doc.text(pdfText(branding.footer_text), doc.page.margins.left, y, {
+        width: contentWidth(doc) - 60,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    }
+    doc.text(`${index + 1} / ${range.count}`, doc.page.margins.left, y, {
+      width: contentWidth(doc),
+      align: 'right',
+      lineBreak: false,
+    });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render an audit report
+ * @param {Object} data - buildReportData output
+ * @param {Object} options - Options
+ * @param {string} options.reportType - 'technical' | 'executive'
+ * @param {Object} options.branding - parseBranding output (DEFAULT_BRANDING if omitted)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+export function renderAuditPdf(data, { reportType = 'technical', branding = null } = {}) {
+  const brand = branding || DEFAULT_BRANDING;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: {
+      Title: pdfText(`SEO audit - ${data.url}`),
+      Author: pdfText(brand.company_name || 'SEO audit'),
+    },
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, data, brand, reportType);
+  drawSummary(doc, data, brand);
+  drawScoreChart(doc, data.scores, brand);
+  drawIssues(doc, data, brand, reportType);
+  drawKeywords(doc, data.keywords, brand, reportType);
+  drawFooters(doc, brand);
+  doc.end();
+
+  return finished;
+}
+
+export default {
+  renderAuditPdf,
+  buildReportData,
+  parseBranding,
+  REPORT_TYPES,
+  DEFAULT_BRANDING,
+};
@@ -0,0 +1,127 @@
+/**
+ * Report Storage
+ *
+ * Stores generated report files either on local disk or in a Supabase Storage bucket.
+ * Files are never served directly: the download route checks ownership and expiry first.
+ * The Supabase driver uses the service-role client passed in by the caller.
+ *
+ * @module services/reports/reportStorage
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Storage settings
+ * - driver: 'local' (REPORT_STORAGE_DIR) or 'supabase' (REPORT_STORAGE_BUCKET)
+ * - ttlHours: how long download links stay valid
+ */
+export const REPORT_STORAGE = {
+  driver: process.env.REPORT_STORAGE_DRIVER === 'supabase' ? 'supabase' : 'local',
+  directory: path.resolve(process.env.REPORT_STORAGE_DIR || 'storage/reports'),
+  bucket: process.env.REPORT_STORAGE_BUCKET || 'reports',
+  ttlHours: parseInt(process.env.REPORT_DOWNLOAD_TTL_HOURS, 10) || 168,
+};
+
+const SAFE_KEY = /^[a-z0-9-]+\/[a-z0-9-]+\.(pdf|csv)$/i;
+
+/**
+ * Storage key for a report file
+ * @param {string} userId - Owner
+ * @param {string} reportId - report_history id
+ * @param {string} extension - 'pdf' | 'csv'
+ * @returns {string} e.g. '<user>/<report>.pdf'
+ */
+export function reportKey(userId, reportId, extension = 'pdf') {
+  const key = `${userId}/${reportId}.${extension}`;
+  if (!SAFE_KEY.test(key)) {
+    throw new Error(`Invalid report key: ${key}`);
+  }
+  return key;
+}
+
+function localPath(key, settings) {
+  if (!SAFE_KEY.test(key)) {
+    throw new Error(`Invalid report key: ${key}`);
+  }
+  return path.join(settings.directory, key);
+}
+
+/**
+ * Save a report file
+ * @param {string} key - reportKey output
+ * @param {Buffer} body - File contents
+ * @param {Object} options - Overrides for REPORT_STORAGE (`supabase` client for that driver)
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<void>}
+ */
+export async function saveReportFile(key, body, options = {}) {
+  const { contentType = 'application/pdf', ...overrides } = options;
+  const settings = { ...REPORT_STORAGE, ...overrides };
+
+  if (settings.driver === 'supabase') {
+    const { error } = await settings.supabase.storage
+      .from(settings.bucket)
+      .upload(key, body, { contentType, upsert: true });
+    if (error) {
+      throw new Error(`Report upload failed: ${error.message}`);
+    }
+    return;
+  }
+
+  const file = localPath(key, settings);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, body);
+}
+
+/**
+ * Read a report file
+ * @param {string} key - reportKey output
+ * @param {Object} options - Overrides for REPORT_STORAGE (`supabase` client for that driver)
+ * @returns {Promise<Buffer|null>} Contents, or null if the file is gone
+ */
+export async function readReportFile(key, options = {}) {
+  const settings = { ...REPORT_STORAGE, ...options };
+
+  if (settings.driver === 'supabase') {
+    const { data, error } = await settings.supabase.storage.from(settings.bucket).download(key);
+    if (error || !data) {
+      return null;
+    }
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  try {
+    return await fs.readFile(localPath(key, settings));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a report file (missing files are ignored)
+ * @param {string} key - reportKey output
+ * @param {Object} options - Overrides for REPORT_STORAGE (`supabase` client for that driver)
+ * @returns {Promise<void>}
+ */
+export async function deleteReportFile(key, options = {}) {
+  const settings = { ...REPORT_STORAGE, ...options };
+
+  if (settings.driver === 'supabase') {
+    await settings.supabase.storage.from(settings.bucket).remove([key]);
+    return;
+  }
+
+  await fs.rm(localPath(key, settings), { force: true });
+}
+
+export default {
+  reportKey,
+  saveReportFile,
+  readReportFile,
+  deleteReportFile,
+  REPORT_STORAGE,
+};
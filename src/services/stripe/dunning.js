@@ -0,0 +1,317 @@
+/**
+ * Dunning Sequences
+ * Per-user state machine for the failed payment emails, kept in dunning_sequences
+ *
+ * A sequence starts with the first failed invoice and counts days from then, the failure
+ * day being day 1:
+ * - day 1: payment failed email, sent straight away
+ * - day 3: final warning, on the last day of the grace period
+ * - after the grace period: the sequence (and the subscription) is suspended
+ * - day 7: suspension notice
+ *
+ * Each step is claimed by setting its day_N_sent_at column before the email is queued, so
+ * Stripe's retries and overlapping cron runs send it once. A step whose window has passed
+ * (the cron job did not run that day) is skipped rather than sent late. A paid invoice ends
+ * the sequence as recovered, a deleted subscription as canceled.
+ *
+ * @module services/stripe/dunning
+ */
+
+const TABLE = 'dunning_sequences';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DUNNING_STATE = {
+  ACTIVE: 'active', // In the grace period
+  SUSPENDED: 'suspended', // Grace period over, access removed
+  RECOVERED: 'recovered', // Invoice paid
+  CANCELED: 'canceled', // Subscription deleted
+};
+
+/**
+ * Day of the sequence on which each email goes out
+ */
+export const DUNNING_SCHEDULE = {
+  DAY_1: 1,
+  DAY_3: 3,
+  DAY_7: 7,
+};
+
+export const DUNNING_STEPS = Object.values(DUNNING_SCHEDULE);
+
+export const DUNNING_COLUMNS =
+  'id, user_id, stripe_invoice_id, amount_due, currency, invoice_url, state, started_at, ' +
+  'day_1_sent_at, day_3_sent_at, day_7_sent_at, suspended_at, ended_at, created_at';
+
+/**
+ * Day of the sequence, the day of the failed payment being day 1
+ *
+ * @param {string|Date} startedAt - When the sequence started
+ * @param {Date} [now]
+ * @returns {number}
+ */
+export function dunningDay(startedAt, now = new Date()) {
+  return Math.max(0, Math.floor((now - new Date(startedAt)) / DAY_MS)) + 1;
+}
+
+/**
+ * Work out what a sequence is due for
+ *
+ * A step can be sent from its day until the next step's day. Steps that warn about the
+ * suspension (those within the grace period) also stop once it has happened.
+ *
+ * @param {Object} sequence - dunning_sequences row
+ * @param {Object} options
+ * @param {number} options.graceDays - Days of access after the failed payment
+ * @param {Date} [options.now]
+ * @returns {{day: number, step: number|null, suspend: boolean}} step is the email to send
+ *   now, if any; suspend is true when the grace period is over but access is not yet removed
+ */
+export function planDunning(sequence, { graceDays, now = new Date() }) {
+  const day = dunningDay(sequence.started_at, now);
+  const open = [DUNNING_STATE.ACTIVE, DUNNING_STATE.SUSPENDED].includes(sequence.state);
+  if (!open) {
+    return { day, step: null, suspend: false };
+  }
+
+  const suspend = sequence.state === DUNNING_STATE.ACTIVE && day > graceDays;
+
+  const reached = DUNNING_STEPS.filter((step) => step <= day);
+  let step = reached.length ? reached[reached.length - 1] : null;
+
+  if (
+    step !== null &&
+    (sequence[`day_${step}_sent_at`] || (step <= graceDays && day > graceDays))
+  ) {
+    step = null;
+  }
+
+  return { day, step, suspend };
+}
+
+/**
+ * Template data for a step's email (the name and billing link are added by the sender)
+ *
+ * @param {Object} sequence - dunning_sequences row
+ * @param {number} step - 1, 3 or 7
+ * @param {Object} options
+ * @param {number} options.graceDays
+ * @param {Date} [options.now]
+ * @returns {Object}
+ */
+export function dunningEmailData(sequence, step, { graceDays, now = new Date() }) {
+  const invoice = {
+    invoiceUrl: sequence.invoice_url || null,
+    amountDue:
+      typeof sequence.amount_due === 'number' ? (sequence.amount_due / 100).toFixed(2) : null,
+    currency: sequence.currency ? sequence.currency.toUpperCase() : null,
+  };
+
+  if (step === DUNNING_SCHEDULE.DAY_1) {
+    return { ...invoice, gracePeriodDays: graceDays };
+  }
+  if (step === DUNNING_SCHEDULE.DAY_3) {
+    return {
+      invoiceUrl: invoice.invoiceUrl,
+      gracePeriodDays: graceDays,
+      daysRemaining: Math.max(1, graceDays - dunningDay(sequence.started_at, now) + 1),
+    };
+  }
+  return {};
+}
+
+/**
+ * Get a user's open sequence
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+export async function getOpenDunningSequence(supabase, userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(DUNNING_COLUMNS)
+    .eq('user_id', userId)
+    .is('ended_at', null)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load dunning sequence for user ${userId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Start a sequence for a user, or return the one already open
+ *
+ * Stripe retries a failed invoice several times; the retries reuse the open sequence so
+ * the grace period keeps counting from the first failure.
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId
+ * @param {Object} [fields] - Initial columns (stripe_invoice_id, amount_due, currency,
+ *   invoice_url, started_at, day_1_sent_at)
+ * @returns {Promise<Object>} The open sequence
+ */
+export async function openDunningSequence(supabase, userId, fields = {}) {
+  const existing = await getOpenDunningSequence(supabase, userId);
+  if (existing) {
+    return existing;
+  }
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .insert({ ...fields, user_id: userId, state: DUNNING_STATE.ACTIVE })
+    .select(DUNNING_COLUMNS)
+    .single();
+
+  // Another delivery opened one first
+  if (error?.code === '23505') {
+    return getOpenDunningSequence(supabase, userId);
+  }
+  if (error) {
+    throw new Error(`Failed to start dunning sequence for user ${userId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * List open sequences, oldest first
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @returns {Promise<Object[]>}
+ */
+export async function listOpenDunningSequences(supabase) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(DUNNING_COLUMNS)
+    .is('ended_at', null)
+    .order('started_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list dunning sequences: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Claim a step before sending its email
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} sequenceId
+ * @param {number} step - 1, 3 or 7
+ * @param {Date} [now]
+ * @returns {Promise<string|null>} The sent_at value written, or null if the step was already
+ *   claimed
+ */
+export async function claimDunningStep(supabase, sequenceId, step, now = new Date()) {
+  const column = `day_${step}_sent_at`;
+  const sentAt = now.toISOString();
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ [column]: sentAt })
+    .eq('id', sequenceId)
+    .is(column, null)
+    .is('ended_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim dunning step ${step} of ${sequenceId}: ${error.message}`);
+  }
+
+  return data?.length ? sentAt : null;
+}
+
+/**
+ * Give a claimed step back after its email could not be queued, so the next run retries it
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} sequenceId
+ * @param {number} step
+ * @param {string} sentAt - Value returned by claimDunningStep
+ * @returns {Promise<void>}
+ */
+export async function releaseDunningStep(supabase, sequenceId, step, sentAt) {
+  const column = `day_${step}_sent_at`;
+
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ [column]: null })
+    .eq('id', sequenceId)
+    .eq(column, sentAt);
+
+  if (error) {
+    throw new Error(`Failed to release dunning step ${step} of ${sequenceId}: ${error.message}`);
+  }
+}
+
+/**
+ * Move an active sequence to suspended
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} sequenceId
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} false if it was no longer active
+ */
+export async function markDunningSuspended(supabase, sequenceId, now = new Date()) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ state: DUNNING_STATE.SUSPENDED, suspended_at: now.toISOString() })
+    .eq('id', sequenceId)
+    .eq('state', DUNNING_STATE.ACTIVE)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to suspend dunning sequence ${sequenceId}: ${error.message}`);
+  }
+
+  return Boolean(data?.length);
+}
+
+/**
+ * End a user's open sequence
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} userId
+ * @param {string} state - DUNNING_STATE.RECOVERED or DUNNING_STATE.CANCELED
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} The closed sequence, or null if none was open
+ */
+export async function closeDunningSequence(supabase, userId, state, now = new Date()) {
+  if (![DUNNING_STATE.RECOVERED, DUNNING_STATE.CANCELED].includes(state)) {
+    throw new Error(`Invalid dunning end state: ${state}`);
+  }
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({ state, ended_at: now.toISOString() })
+    .eq('user_id', userId)
+    .is('ended_at', null)
+    .select(DUNNING_COLUMNS);
+
+  if (error) {
+    throw new Error(`Failed to close dunning sequence for user ${userId}: ${error.message}`);
+  }
+
+  return data?.[0] || null;
+}
+
+export default {
+  DUNNING_STATE,
+  DUNNING_SCHEDULE,
+  DUNNING_STEPS,
+  dunningDay,
+  planDunning,
+  dunningEmailData,
+  getOpenDunningSequence,
+  openDunningSequence,
+  listOpenDunningSequences,
+  claimDunningStep,
+  releaseDunningStep,
+  markDunningSuspended,
+  closeDunningSequence,
+};
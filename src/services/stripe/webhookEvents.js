@@ -0,0 +1,252 @@
+/**
+ * Stripe Webhook Events
+ * Signature verification and the stripe_webhook_events log that makes deliveries idempotent
+ *
+ * Every verified event is recorded before its handler runs:
+ * - processing: a delivery is running the handler
+ * - processed: the handler succeeded; later deliveries of the event are acknowledged only
+ * - failed: the handler threw; Stripe's retries and admin replays run it again
+ *
+ * @module services/stripe/webhookEvents
+ */
+
+import Stripe from 'stripe';
+
+const TABLE = 'stripe_webhook_events';
+
+export const WEBHOOK_EVENT_STATUS = {
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+};
+
+/**
+ * A delivery still marked processing after this long is assumed to have died
+ * (e.g. the server restarted mid-handler) and may be claimed again
+ */
+export const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+export const WEBHOOK_EVENT_COLUMNS =
+  'id, type, livemode, status, attempts, error, last_attempt_at, processed_at, created_at';
+
+/**
+ * Verify a webhook signature and parse the event
+ *
+ * @param {Buffer|string} payload - Raw request body, exactly as Stripe sent it
+ * @param {string} signature - Stripe-Signature header
+ * @param {string} secret - Endpoint signing secret (whsec_...)
+ * @returns {Object} Stripe event
+ * @throws {Error} If the secret is missing or the signature does not match
+ */
+export function constructWebhookEvent(payload, signature, secret) {
+  if (!secret) {
+    throw new Error(
+      'STRIPE_WEBHOOK_SECRET is not configured. Please set this environment variable.'
+    );
+  }
+  if (!Buffer.isBuffer(payload) && typeof payload !== 'string') {
+    throw new Error('Webhook payload must be the raw request body');
+  }
+
+  return Stripe.webhooks.constructEvent(payload, signature, secret);
+}
+
+/**
+ * Claim an event for processing
+ *
+ * The attempts counter doubles as a version, so of two concurrent deliveries of a failed
+ * event only one claims it.
+ *
+ * @returns {Promise<string|null>} null when claimed, otherwise 'duplicate' or 'in_progress'
+ */
+async function claimEvent(supabase, event) {
+  const now = new Date();
+
+  const { data: existing, error } = await supabase
+    .from(TABLE)
+    .select('id, status, attempts, last_attempt_at')
+    .eq('id', event.id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load webhook event ${event.id}: ${error.message}`);
+  }
+
+  if (!existing) {
+    const { error: insertError } = await supabase.from(TABLE).insert({
+      id: event.id,
+      type: event.type,
+      livemode: Boolean(event.livemode),
+      status: WEBHOOK_EVENT_STATUS.PROCESSING,
+      payload: event,
+      attempts: 1,
+      last_attempt_at: now.toISOString(),
+    });
+
+    if (insertError?.code === '23505') {
+      return 'in_progress';
+    }
+    if (insertError) {
+      throw new Error(`Failed to record webhook event ${event.id}: ${insertError.message}`);
+    }
+    return null;
+  }
+
+  if (existing.status === WEBHOOK_EVENT_STATUS.PROCESSED) {
+    return 'duplicate';
+  }
+
+  if (
+    existing.status === WEBHOOK_EVENT_STATUS.PROCESSING &&
+    now - new Date(existing.last_attempt_at) < STALE_PROCESSING_MS
+  ) {
+    return 'in_progress';
+  }
+
+  const { data: claimed, error: updateError } = await supabase
+    .from(TABLE)
+    .update({
+      status: WEBHOOK_EVENT_STATUS.PROCESSING,
+      attempts: existing.attempts + 1,
+      last_attempt_at: now.toISOString(),
+    })
+    .eq('id', event.id)
+    .eq('attempts', existing.attempts)
+    .select('id');
+
+  if (updateError) {
+    throw new Error(`Failed to claim webhook event ${event.id}: ${updateError.message}`);
+  }
+
+  return claimed?.length ? null : 'in_progress';
+}
+
+/**
+ * Update a webhook event row
+ */
+async function updateEvent(supabase, eventId, values) {
+  const { error } = await supabase.from(TABLE).update(values).eq('id', eventId);
+
+  if (error) {
+    throw new Error(`Failed to update webhook event ${eventId}: ${error.message}`);
+  }
+}
+
+/**
+ * Run an event's handler at most once to completion
+ *
+ * Handler errors are recorded on the event rather than thrown; errors reading or writing
+ * the event log are thrown.
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} event - Verified Stripe event
+ * @param {Function} handler - async (event) => void
+ * @returns {Promise<{outcome: string, error?: string}>} outcome is 'processed', 'failed',
+ *   'duplicate' (already processed) or 'in_progress' (another delivery holds the event)
+ */
+export async function processWebhookEvent(supabase, event, handler) {
+  const skipped = await claimEvent(supabase, event);
+  if (skipped) {
+    return { outcome: skipped };
+  }
+
+  try {
+    await handler(event);
+  } catch (handlerError) {
+    const message = handlerError?.message || String(handlerError);
+    await updateEvent(supabase, event.id, {
+      status: WEBHOOK_EVENT_STATUS.FAILED,
+      error: message,
+    });
+    return { outcome: WEBHOOK_EVENT_STATUS.FAILED, error: message };
+  }
+
+  await updateEvent(supabase, event.id, {
+    status: WEBHOOK_EVENT_STATUS.PROCESSED,
+    error: null,
+    processed_at: new Date().toISOString(),
+  });
+  return { outcome: WEBHOOK_EVENT_STATUS.PROCESSED };
+}
+
+/**
+ * List recorded events, newest first
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - processing, processed or failed
+ * @param {string} [filters.type] - Stripe event type
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+export async function listWebhookEvents(supabase, { status, type, page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  let query = supabase
+    .from(TABLE)
+    .select(WEBHOOK_EVENT_COLUMNS, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list webhook events: ${error.message}`);
+  }
+
+  return { events: data || [], total: count || 0 };
+}
+
+/**
+ * Get one recorded event with its payload
+ *
+ * @returns {Promise<Object|null>} Event row, or null if it was never received
+ */
+export async function getWebhookEvent(supabase, eventId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select(`${WEBHOOK_EVENT_COLUMNS}, payload`)
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to load webhook event ${eventId}: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Run the handler again for a recorded event, from its stored payload
+ *
+ * @param {Object} supabase - Service role Supabase client
+ * @param {string} eventId - Stripe event ID
+ * @param {Function} handler - async (event) => void
+ * @returns {Promise<{outcome: string, error?: string}|null>} As processWebhookEvent, or null
+ *   if the event was never received
+ */
+export async function replayWebhookEvent(supabase, eventId, handler) {
+  const record = await getWebhookEvent(supabase, eventId);
+  if (!record) {
+    return null;
+  }
+
+  return processWebhookEvent(supabase, record.payload, handler);
+}
+
+export default {
+  WEBHOOK_EVENT_STATUS,
+  constructWebhookEvent,
+  processWebhookEvent,
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+};
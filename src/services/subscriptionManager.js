@@ -4,7 +4,7 @@
  * Handles:
  * - Subscription status checks (active, past_due, canceled, expired)
  * - Grace period enforcement (3 days for failed payments)
- * - Automated dunning email triggers
+ * - Dunning sequence (day 1, 3 and 7 emails, suspension, recovery)
  * - High-value customer alerts
  * - Access control during grace periods
  *
@@ -12,6 +12,20 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { appUrl, queueEmail } from './email/emailDelivery.js';
+import { effectiveTier } from '../config/tiers.js';
+import {
+  DUNNING_SCHEDULE,
+  DUNNING_STATE,
+  claimDunningStep,
+  closeDunningSequence,
+  dunningEmailData,
+  listOpenDunningSequences,
+  markDunningSuspended,
+  openDunningSequence,
+  planDunning,
+  releaseDunningStep,
+} from './stripe/dunning.js';
 
 // Initialize Supabase with service role key (bypasses RLS)
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
@@ -22,11 +36,7 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SER
 const GRACE_PERIOD = {
   DAYS: 3, // Number of days grace period
   HIGH_VALUE_MRR: 149, // MRR threshold for high-value customer alerts ($149+)
-  DUNNING_SCHEDULE: {
-    DAY_1: 1, // First dunning email (24 hours after failure)
-    DAY_3: 3, // Second dunning email (72 hours after failure)
-    DAY_7: 7, // Final warning (not within grace period, but good practice)
-  },
+  DUNNING_SCHEDULE, // Day 1: payment failed, day 3: final warning, day 7: suspended
 };
 
 /**
@@ -55,7 +65,8 @@ export async function checkSubscriptionStatus(userId) {
     const { data: user, error } = await supabase
       .from('users')
       .select(
-        'subscription_tier, subscription_status, stripe_customer_id, payment_failed_at, created_at'
+        'subscription_tier, tier_override, subscription_status, stripe_customer_id, ' +
+          'payment_failed_at, created_at'
       )
       .eq('id', userId)
       .single();
@@ -92,7 +103,7 @@ export async function checkSubscriptionStatus(userId) {
 
     return {
       userId,
-      tier: user.subscription_tier || 'starter',
+      tier: effectiveTier(user),
       status,
       hasAccess,
       inGracePeriod,
@@ -156,7 +167,10 @@ export async function updateSubscriptionStatus(userId, newStatus, metadata = {})
 }
 
 /**
- * Handle failed payment - trigger grace period and dunning emails
+ * Handle failed payment - start (or continue) the dunning sequence
+ *
+ * Stripe's retries of the invoice land in the same sequence, so the grace period keeps
+ * counting from the first failure and the day 1 email is only sent once.
  *
  * @param {string} userId - User UUID
  * @param {string} stripeCustomerId - Stripe customer ID
@@ -165,13 +179,24 @@ export async function updateSubscriptionStatus(userId, newStatus, metadata = {})
  */
 export async function handlePaymentFailure(userId, stripeCustomerId, invoice) {
   try {
-    // Update subscription status to past_due
-    await updateSubscriptionStatus(userId, SUBSCRIPTION_STATUS.PAST_DUE);
+    const sequence = await openDunningSequence(supabase, userId, {
+      stripe_invoice_id: invoice.id,
+      amount_due: invoice.amount_due,
+      currency: invoice.currency,
+      invoice_url: invoice.hosted_invoice_url,
+    });
+
+    // A suspended sequence has already moved the user on to unpaid
+    if (sequence.state === DUNNING_STATE.ACTIVE) {
+      await updateSubscriptionStatus(userId, SUBSCRIPTION_STATUS.PAST_DUE, {
+        payment_failed_at: sequence.started_at,
+      });
+    }
 
     // Get user details for email
     const { data: user } = await supabase
       .from('users')
-      .select('email, full_name, subscription_tier')
+      .select('email, full_name, subscription_tier, tier_override')
       .eq('id', userId)
       .single();
 
@@ -179,21 +204,18 @@ export async function handlePaymentFailure(userId, stripeCustomerId, invoice) {
       throw new Error('User not found');
     }
 
-    // Determine if high-value customer (Professional or Agency tier)
-    const isHighValue = ['professional', 'agency'].includes(user.subscription_tier);
+    // Determine if high-value customer (Professional or Agency tier, including admin grants)
+    const isHighValue = ['professional', 'agency'].includes(effectiveTier(user));
 
-    // Send Day 1 dunning email
-    await sendDunningEmail(user.email, user.full_name, {
-      day: 1,
-      gracePeriodDays: GRACE_PERIOD.DAYS,
-      invoiceUrl: invoice.hosted_invoice_url,
-      amountDue: (invoice.amount_due / 100).toFixed(2),
-      currency: invoice.currency.toUpperCase(),
-    });
+    // Day 1 email on the first failure; later retries find it already sent
+    const { step } = planDunning(sequence, { graceDays: GRACE_PERIOD.DAYS });
+    if (step) {
+      await runDunningStep(sequence, user, step);
+    }
 
     // Alert team if high-value customer
     if (isHighValue) {
-      await alertHighValueCustomer(user, invoice);
+      await alertHighValueCustomer({ id: userId, ...user }, invoice);
     }
 
     console.log(
@@ -206,9 +228,14 @@ export async function handlePaymentFailure(userId, stripeCustomerId, invoice) {
 }
 
 /**
- * Check for grace period expirations and send dunning emails
+ * Advance every open dunning sequence: suspend access once the grace period is over and
+ * send the day 3 and day 7 emails
  * Should be run daily via cron job
  *
+ * Past-due users without a sequence (failures recorded before sequences existed) get one
+ * started at their payment_failed_at. Sequences of users whose subscription is active again
+ * (a payment_succeeded webhook that was missed) end as recovered.
+ *
  * @returns {Promise<Object>} Summary of actions taken
  */
 export async function processGracePeriods() {
@@ -216,51 +243,94 @@ export async function processGracePeriods() {
     const now = new Date();
     const summary = {
       checked: 0,
+      day1Emails: 0,
       day3Emails: 0,
       day7Emails: 0,
       expired: 0,
+      recovered: 0,
       errors: [],
     };
 
-    // Get all users with past_due status
-    const { data: users, error } = await supabase
+    const { data: pastDue, error: pastDueError } = await supabase
       .from('users')
-      .select('id, email, full_name, subscription_tier, payment_failed_at, stripe_customer_id')
+      .select('id, payment_failed_at')
       .eq('subscription_status', SUBSCRIPTION_STATUS.PAST_DUE)
       .not('payment_failed_at', 'is', null);
 
+    if (pastDueError) {
+      throw pastDueError;
+    }
+
+    let sequences = await listOpenDunningSequences(supabase);
+    const withSequence = new Set(sequences.map((sequence) => sequence.user_id));
+    const missing = (pastDue || []).filter((user) => !withSequence.has(user.id));
+
+    for (const user of missing) {
+      // The day 1 email went out when the payment failed
+      await openDunningSequence(supabase, user.id, {
+        started_at: user.payment_failed_at,
+        day_1_sent_at: user.payment_failed_at,
+      });
+    }
+    if (missing.length) {
+      sequences = await listOpenDunningSequences(supabase);
+    }
+
+    summary.checked = sequences.length;
+    if (!sequences.length) {
+      return summary;
+    }
+
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('id, email, full_name, subscription_status')
+      .in(
+        'id',
+        sequences.map((sequence) => sequence.user_id)
+      );
+
     if (error) {
       throw error;
     }
 
-    summary.checked = users?.length || 0;
+    const usersById = new Map((users || []).map((user) => [user.id, user]));
+
+    for (const sequence of sequences) {
+      const user = usersById.get(sequence.user_id);
 
-    for (const user of users || []) {
       try {
-        const paymentFailedAt = new Date(user.payment_failed_at);
-        const daysSinceFailure = Math.floor((now - paymentFailedAt) / (1000 * 60 * 60 * 24));
+        if (!user) {
+          continue;
+        }
+
+        if (
+          [SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.TRIALING].includes(
+            user.subscription_status
+          )
+        ) {
+          await closeDunningSequence(supabase, user.id, DUNNING_STATE.RECOVERED, now);
+          summary.recovered++;
+          continue;
+        }
+
+        const { step, suspend } = planDunning(sequence, { graceDays: GRACE_PERIOD.DAYS, now });
 
         // Grace period expired - suspend access
-        if (daysSinceFailure >= GRACE_PERIOD.DAYS) {
+        if (suspend && (await markDunningSuspended(supabase, sequence.id, now))) {
           await updateSubscriptionStatus(user.id, SUBSCRIPTION_STATUS.UNPAID);
           summary.expired++;
           console.log(`Grace period expired for user ${user.id}. Access suspended.`);
         }
-        // Day 3 dunning email
-        else if (daysSinceFailure === GRACE_PERIOD.DUNNING_SCHEDULE.DAY_3) {
-          await sendDunningEmail(user.email, user.full_name, {
-            day: 3,
-            gracePeriodDays: GRACE_PERIOD.DAYS,
-            daysRemaining: GRACE_PERIOD.DAYS - daysSinceFailure,
-          });
-          summary.day3Emails++;
+
+        if (step && (await runDunningStep(sequence, user, step, now))) {
+          summary[`day${step}Emails`]++;
         }
       } catch (err) {
         summary.errors.push({
-          userId: user.id,
+          userId: sequence.user_id,
           error: err.message,
         });
-        console.error(`Error processing grace period for user ${user.id}:`, err);
+        console.error(`Error processing grace period for user ${sequence.user_id}:`, err);
       }
     }
 
@@ -273,69 +343,144 @@ export async function processGracePeriods() {
 }
 
 /**
- * Send dunning email to user
- * TODO: Integrate with email service
+ * Send one step of a dunning sequence, unless it has already been sent
  *
- * @param {string} email - User email
- * @param {string} name - User name
- * @param {Object} context - Email context (day, gracePeriodDays, etc.)
- * @returns {Promise<void>}
+ * @param {Object} sequence - dunning_sequences row
+ * @param {Object} user - User row ({ email, full_name })
+ * @param {number} step - 1, 3 or 7
+ * @param {Date} [now]
+ * @returns {Promise<boolean>} Whether this call sent it
  */
-async function sendDunningEmail(email, name, context) {
-  // TODO: Integrate with EmailService from Phase 2.1.2
-  // For now, log the email that should be sent
-  console.log(`[DUNNING EMAIL] Day ${context.day} to ${email}:`, {
-    to: email,
-    subject: getDunningEmailSubject(context.day),
-    context,
-  });
+async function runDunningStep(sequence, user, step, now = new Date()) {
+  const sentAt = await claimDunningStep(supabase, sequence.id, step, now);
+  if (!sentAt) {
+    return false;
+  }
+
+  try {
+    await sendDunningEmail(sequence.user_id, user, {
+      day: step,
+      dedupeKey: `dunning:${sequence.id}:day_${step}`,
+      ...dunningEmailData(sequence, step, { graceDays: GRACE_PERIOD.DAYS, now }),
+    });
+  } catch (error) {
+    await releaseDunningStep(supabase, sequence.id, step, sentAt);
+    throw error;
+  }
 
-  // When email service is ready:
-  // const emailService = require('./email/emailService.js');
-  // await emailService.sendDunningEmail(email, name, context);
+  return true;
 }
 
 /**
- * Get dunning email subject based on day
+ * Queue a dunning email to the user
  *
- * @param {number} day - Day in dunning sequence
- * @returns {string} Email subject
+ * @param {string} userId - User UUID
+ * @param {Object} user - User row ({ email, full_name })
+ * @param {Object} context - Template data (day, gracePeriodDays, etc.) and the dedupeKey
+ *   that keeps each step from being sent twice
+ * @returns {Promise<void>}
  */
-function getDunningEmailSubject(day) {
-  switch (day) {
-    case 1:
-      return 'Payment Failed - Action Required';
-    case 3:
-      return 'Urgent: Update Payment Method to Keep Your Access';
-    case 7:
-      return 'Final Notice: Your Account Has Been Suspended';
-    default:
-      return 'Payment Issue - Please Update Your Payment Method';
-  }
+async function sendDunningEmail(userId, user, { day, dedupeKey, ...context }) {
+  const { outcome, error } = await queueEmail(supabase, {
+    to: user.email,
+    template: `dunning_day_${day}`,
+    data: {
+      name: user.full_name,
+      billingUrl: appUrl('/settings/subscription'),
+      ...context,
+    },
+    userId,
+    dedupeKey,
+    metadata: { day },
+  });
+
+  console.log(`[DUNNING EMAIL] Day ${day} to ${user.email}: ${outcome}`, error || '');
 }
 
 /**
  * Alert team about high-value customer payment failure
- * TODO: Integrate with notification system (Slack, email, etc.)
+ *
+ * Sent to EMAIL_ALERTS_TO; without it the alert is only logged.
  *
  * @param {Object} user - User object
  * @param {Object} invoice - Stripe invoice object
  * @returns {Promise<void>}
  */
 async function alertHighValueCustomer(user, invoice) {
-  // TODO: Send to Slack, internal dashboard, or notification system
-  console.log('[HIGH-VALUE CUSTOMER ALERT] Payment failed:', {
+  const alert = {
     userId: user.id,
     email: user.email,
-    tier: user.subscription_tier,
+    tier: effectiveTier(user),
     amountDue: (invoice.amount_due / 100).toFixed(2),
     currency: invoice.currency.toUpperCase(),
     invoiceUrl: invoice.hosted_invoice_url,
+  };
+
+  console.log('[HIGH-VALUE CUSTOMER ALERT] Payment failed:', {
+    ...alert,
     action: 'Manual follow-up recommended',
   });
 
-  // When notification system is ready:
-  // await notificationService.alertTeam('payment_failure_high_value', {...});
+  if (process.env.EMAIL_ALERTS_TO) {
+    await queueEmail(supabase, {
+      to: process.env.EMAIL_ALERTS_TO,
+      template: 'payment_failed_alert',
+      data: alert,
+      dedupeKey: `payment_failed_alert:${invoice.id}`,
+      metadata: { user_id: user.id, invoice_id: invoice.id },
+    });
+  }
+}
+
+/**
+ * Remind a trialing user that the trial is about to end
+ * Called for customer.subscription.trial_will_end (3 days before trial_end)
+ *
+ * @param {string} userId - User UUID
+ * @param {Object} subscription - Stripe subscription object
+ * @returns {Promise<void>}
+ */
+export async function sendTrialEndingEmail(userId, subscription) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('email, full_name, subscription_tier, tier_override')
+    .eq('id', userId)
+    .single();
+
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const tier = effectiveTier(user);
+  await queueEmail(supabase, {
+    to: user.email,
+    template: 'trial_ending',
+    data: {
+      name: user.full_name,
+      planName: tier ? tier.charAt(0).toUpperCase() + tier.slice(1) : null,
+      trialEndsAt: new Date(subscription.trial_end * 1000).toISOString(),
+      billingUrl: appUrl('/settings/subscription'),
+    },
+    userId,
+    dedupeKey: `trial_ending:${subscription.id}:${subscription.trial_end}`,
+    metadata: { subscription_id: subscription.id },
+  });
+}
+
+/**
+ * End a user's dunning sequence
+ * Called by Stripe webhooks when the invoice is paid or the subscription is deleted
+ *
+ * @param {string} userId - User UUID
+ * @param {string} state - DUNNING_STATE.RECOVERED or DUNNING_STATE.CANCELED
+ * @returns {Promise<Object|null>} The closed sequence, or null if none was open
+ */
+export async function exitDunningSequence(userId, state) {
+  const sequence = await closeDunningSequence(supabase, userId, state);
+  if (sequence) {
+    console.log(`Dunning sequence ${sequence.id} for user ${userId} ended: ${state}`);
+  }
+  return sequence;
 }
 
 /**
@@ -380,7 +525,7 @@ export async function getSubscriptionSummary() {
   try {
     const { data: users, error } = await supabase
       .from('users')
-      .select('subscription_status, subscription_tier');
+      .select('subscription_status, subscription_tier, tier_override');
 
     if (error) {
       throw error;
@@ -399,10 +544,10 @@ export async function getSubscriptionSummary() {
       summary.byStatus[status] = users.filter((u) => u.subscription_status === status).length;
     }
 
-    // Count by tier
+    // Count by tier (the tier users get, so admin grants count toward theirs)
     const tiers = ['starter', 'professional', 'agency'];
     for (const tier of tiers) {
-      summary.byTier[tier] = users.filter((u) => u.subscription_tier === tier).length;
+      summary.byTier[tier] = users.filter((u) => effectiveTier(u) === tier).length;
     }
 
     // Get detailed grace period stats
@@ -438,8 +583,11 @@ export default {
   updateSubscriptionStatus,
   handlePaymentFailure,
   processGracePeriods,
+  exitDunningSequence,
   reactivateSubscription,
+  sendTrialEndingEmail,
   getSubscriptionSummary,
   SUBSCRIPTION_STATUS,
   GRACE_PERIOD,
+  DUNNING_STATE,
 };
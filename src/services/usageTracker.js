@@ -3,6 +3,7 @@
  *
  * Tracks user usage of platform features:
  * - SEO audits per month
+ * - Site crawls per month
  * - Keyword research requests per month
  * - Projects created
  * - API calls
@@ -13,13 +14,22 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
-import { TIER_QUOTAS } from '../config/tiers.js';
+import { TIER_QUOTAS, applyQuotaOverrides, effectiveTier } from '../config/tiers.js';
+import { loadOwnedOrganizationIds, scopeToSubscription } from './organizations/workspace.js';
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
+/**
+ * seo_analyses statuses that count toward the monthly audit quota
+ */
+export const QUOTA_AUDIT_STATUSES = ['pending', 'running', 'completed'];
+
 /**
  * Get user's current subscription tier and quotas
  *
+ * An admin's tier override (users.tier_override) replaces the billed tier, and quotas an
+ * admin has overridden for the user (users.quota_overrides) replace the tier's.
+ *
  * @param {string} userId - User ID
  * @returns {Promise<Object>} Tier info and quotas
  */
@@ -27,7 +37,7 @@ export async function getUserTierAndQuotas(userId) {
   try {
     const { data: user, error } = await supabase
       .from('users')
-      .select('subscription_tier')
+      .select('subscription_tier, tier_override, quota_overrides')
       .eq('id', userId)
       .single();
 
@@ -35,8 +45,11 @@ export async function getUserTierAndQuotas(userId) {
       console.warn('Falling back to starter tier (failed to load user tier):', error.message);
     }
 
-    const tier = user?.subscription_tier || 'starter';
-    const quotas = TIER_QUOTAS[tier] || TIER_QUOTAS.starter;
+    const tier = effectiveTier(user);
+    const quotas = applyQuotaOverrides(
+      TIER_QUOTAS[tier] || TIER_QUOTAS.starter,
+      user?.quota_overrides
+    );
 
     return {
       tier,
@@ -55,20 +68,30 @@ export async function getUserTierAndQuotas(userId) {
 /**
  * Get current month's usage for user
  *
+ * Usage is counted for the subscription, not the workspace: the subscriber's personal
+ * workspace plus every organization they own share one set of quotas.
+ *
  * @param {string} userId - User ID
+ * @param {Object} [workspace] - Request workspace; in an organization the owner's
+ *   subscription is counted (see services/organizations/workspace)
  * @returns {Promise<Object>} Usage statistics
  */
-export async function getCurrentMonthUsage(userId) {
+export async function getCurrentMonthUsage(userId, workspace = null) {
+  const subscriberId = workspace?.ownerId || userId;
   try {
+    const organizationIds = await loadOwnedOrganizationIds(supabase, subscriberId);
+    const scope = (query) => scopeToSubscription(query, subscriberId, organizationIds);
+
     // Get start of current month
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
 
-    // Get audit count
-    const { count: auditCount, error: auditError } = await supabase
-      .from('seo_analyses')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
+    // Get audit count (queued, running and completed audits; a failed or cancelled audit
+    // gives its quota back)
+    const { count: auditCount, error: auditError } = await scope(
+      supabase.from('seo_analyses').select('*', { count: 'exact', head: true })
+    )
+      .in('status', QUOTA_AUDIT_STATUSES)
       .gte('created_at', startOfMonth.toISOString());
 
     if (auditError) {
@@ -76,10 +99,9 @@ export async function getCurrentMonthUsage(userId) {
     }
 
     // Get keyword research count (from api_usage table)
-    const { count: keywordCount, error: keywordError } = await supabase
-      .from('api_usage')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
+    const { count: keywordCount, error: keywordError } = await scope(
+      supabase.from('api_usage').select('*', { count: 'exact', head: true })
+    )
       .eq('endpoint', '/api/keywords/research')
       .gte('created_at', startOfMonth.toISOString());
 
@@ -87,11 +109,19 @@ export async function getCurrentMonthUsage(userId) {
       throw keywordError;
     }
 
+    // Get site crawl count (crawls are not seo_analyses rows, so they have their own quota)
+    const { count: crawlCount, error: crawlError } = await scope(
+      supabase.from('site_crawls').select('*', { count: 'exact', head: true })
+    ).gte('created_at', startOfMonth.toISOString());
+
+    if (crawlError) {
+      throw crawlError;
+    }
+
     // Get total project count (lifetime, not monthly)
-    const { count: projectCount, error: projectError } = await supabase
-      .from('seo_projects')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: projectCount, error: projectError } = await scope(
+      supabase.from('seo_projects').select('*', { count: 'exact', head: true })
+    );
 
     if (projectError) {
       throw projectError;
@@ -100,6 +130,7 @@ export async function getCurrentMonthUsage(userId) {
     return {
       audits_used: auditCount || 0,
       keywords_used: keywordCount || 0,
+      crawls_used: crawlCount || 0,
       projects_created: projectCount || 0,
       period_start: startOfMonth.toISOString(),
       period_end: new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString(),
@@ -110,6 +141,7 @@ export async function getCurrentMonthUsage(userId) {
     return {
       audits_used: 0,
       keywords_used: 0,
+      crawls_used: 0,
       projects_created: 0,
       period_start: new Date(now.getFullYear(), now.getMonth(), 1).toISOString(),
       period_end: new Date(now.getFullYear(), now.getMonth() + 1, 0).toISOString(),
@@ -121,17 +153,21 @@ export async function getCurrentMonthUsage(userId) {
 /**
  * Check if user can perform action based on quota
  *
+ * In an organization the owner's tier applies, and usage is counted across everything the
+ * owner's subscription pays for (see getCurrentMonthUsage).
+ *
  * @param {string} userId - User ID
- * @param {string} action - Action type (audits, keywords, projects)
+ * @param {string} action - Action type (audits, keywords, crawls, projects)
+ * @param {Object} [workspace] - Request workspace (personal when omitted)
  * @returns {Promise<Object>} { allowed: boolean, usage: Object, quotas: Object }
  */
-export async function checkQuota(userId, action) {
+export async function checkQuota(userId, action, workspace = null) {
   try {
     // Get tier and quotas
-    const { tier, quotas } = await getUserTierAndQuotas(userId);
+    const { tier, quotas } = await getUserTierAndQuotas(workspace?.ownerId || userId);
 
     // Get current usage
-    const usage = await getCurrentMonthUsage(userId);
+    const usage = await getCurrentMonthUsage(userId, workspace);
 
     let allowed = false;
     let remaining = 0;
@@ -153,6 +189,13 @@ export async function checkQuota(userId, action) {
         resetDate = usage.period_end;
         break;
       }
+      case 'crawls': {
+        const quota = quotas.crawls ?? 0;
+        allowed = quota === -1 || usage.crawls_used < quota;
+        remaining = quota === -1 ? -1 : quota - usage.crawls_used;
+        resetDate = usage.period_end;
+        break;
+      }
       case 'projects': {
         const quota = quotas.max_projects ?? -1;
         allowed = quota === -1 || usage.projects_created < quota;
@@ -274,9 +317,10 @@ export async function resetMonthlyUsage() {
  * @param {string} userId - User ID
  * @param {string} action - Action type (keywords, audits, etc.)
  * @param {number} count - Number to increment by (default: 1)
+ * @param {Object} [workspace] - Workspace the usage counts toward (personal when omitted)
  * @returns {Promise<void>}
  */
-export async function incrementUsage(userId, action, count = 1) {
+export async function incrementUsage(userId, action, count = 1, workspace = null) {
   try {
     // Map action to endpoint for api_usage tracking
     const endpointMap = {
@@ -292,6 +336,7 @@ export async function incrementUsage(userId, action, count = 1) {
     for (let i = 0; i < count; i++) {
       await supabase.from('api_usage').insert({
         user_id: userId,
+        organization_id: workspace?.organizationId || null,
         endpoint,
         method: 'POST',
         response_time: 0,
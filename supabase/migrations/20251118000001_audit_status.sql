@@ -0,0 +1,17 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Audit Status
+-- =============================================================================
+-- Migration: 20251118000001_audit_status.sql
+-- Description: Track audit lifecycle so unreachable pages are recorded as failed
+
+ALTER TABLE seo_analyses
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed';
+
+ALTER TABLE seo_analyses
+    DROP CONSTRAINT IF EXISTS seo_analyses_status_check;
+ALTER TABLE seo_analyses
+    ADD CONSTRAINT seo_analyses_status_check
+    CHECK (status IN ('pending', 'running', 'completed', 'failed'));
+
+CREATE INDEX IF NOT EXISTS idx_seo_analyses_status ON seo_analyses(status);
+
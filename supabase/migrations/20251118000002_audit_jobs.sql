@@ -0,0 +1,16 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Audit Jobs
+-- =============================================================================
+-- Migration: 20251118000002_audit_jobs.sql
+-- Description: Support queued audits run by the background worker
+--   - 'cancelled' status for audits stopped before they finished
+--   - updated_at so the worker's status changes are visible
+
+ALTER TABLE seo_analyses
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+ALTER TABLE seo_analyses
+    DROP CONSTRAINT IF EXISTS seo_analyses_status_check;
+ALTER TABLE seo_analyses
+    ADD CONSTRAINT seo_analyses_status_check
+    CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled'));
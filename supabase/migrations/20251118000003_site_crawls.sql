@@ -0,0 +1,75 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Site Crawls
+-- =============================================================================
+-- Migration: 20251118000003_site_crawls.sql
+-- Description: Multi-page site crawls attached to projects
+--   - site_crawls: one row per crawl run with the site-level report
+--   - site_crawl_pages: per-page audit summary for each crawl
+
+CREATE TABLE IF NOT EXISTS site_crawls (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES seo_projects(id) ON DELETE CASCADE,
+    seed_url VARCHAR(500) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    page_limit INTEGER NOT NULL,
+    pages_crawled INTEGER NOT NULL DEFAULT 0,
+    average_score INTEGER,
+    report JSONB,
+    comparison JSONB,
+    previous_crawl_id UUID REFERENCES site_crawls(id) ON DELETE SET NULL,
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS site_crawl_pages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    crawl_id UUID NOT NULL REFERENCES site_crawls(id) ON DELETE CASCADE,
+    url VARCHAR(2048) NOT NULL,
+    final_url VARCHAR(2048),
+    depth INTEGER,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'failed')),
+    http_status INTEGER,
+    overall_score INTEGER,
+    grade VARCHAR(2),
+    scores JSONB,
+    title TEXT,
+    description TEXT,
+    inbound_links INTEGER NOT NULL DEFAULT 0,
+    outbound_links INTEGER NOT NULL DEFAULT 0,
+    in_sitemap BOOLEAN NOT NULL DEFAULT FALSE,
+    issue_count INTEGER NOT NULL DEFAULT 0,
+    recommendations JSONB,
+    failure JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_site_crawls_project ON site_crawls(project_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_site_crawls_user ON site_crawls(user_id);
+CREATE INDEX IF NOT EXISTS idx_site_crawl_pages_crawl ON site_crawl_pages(crawl_id);
+
+ALTER TABLE site_crawls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE site_crawl_pages ENABLE ROW LEVEL SECURITY;
+
+-- Crawls are written by the audit worker (service role); users can read their own
+DROP POLICY IF EXISTS "Users can view own crawls" ON site_crawls;
+CREATE POLICY "Users can view own crawls" ON site_crawls
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create crawls" ON site_crawls;
+CREATE POLICY "Users can create crawls" ON site_crawls
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own crawl pages" ON site_crawl_pages;
+CREATE POLICY "Users can view own crawl pages" ON site_crawl_pages
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM site_crawls
+            WHERE site_crawls.id = site_crawl_pages.crawl_id
+              AND site_crawls.user_id = auth.uid()
+        )
+    );
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Report History
+-- =============================================================================
+-- Migration: 20251119000001_report_history.sql
+-- Description: Generated PDF/CSV reports
+--   - report_history: one row per generated report; PDFs point at a stored file
+--     that is downloaded through /api/reports/:id/download until expires_at
+
+CREATE TABLE IF NOT EXISTS report_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    audit_id UUID REFERENCES seo_analyses(id) ON DELETE SET NULL,
+    report_type VARCHAR(10) NOT NULL CHECK (report_type IN ('pdf', 'csv')),
+    report_format VARCHAR(20),
+    file_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Stored file metadata (PDF reports)
+ALTER TABLE report_history ADD COLUMN IF NOT EXISTS storage_path TEXT;
+ALTER TABLE report_history ADD COLUMN IF NOT EXISTS file_size INTEGER;
+ALTER TABLE report_history ADD COLUMN IF NOT EXISTS white_label BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE report_history ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_report_history_user ON report_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_report_history_expires ON report_history(expires_at)
+    WHERE storage_path IS NOT NULL;
+
+ALTER TABLE report_history ENABLE ROW LEVEL SECURITY;
+
+-- Reports are written by the API (service role); users can read their own
+DROP POLICY IF EXISTS "Users can view own reports" ON report_history;
+CREATE POLICY "Users can view own reports" ON report_history
+    FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,75 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Scheduled Audits
+-- =============================================================================
+-- Migration: 20251119000002_audit_schedules.sql
+-- Description: Recurring audits with score-regression alerts
+--   - audit_schedules: daily/weekly/monthly audit of a URL (optionally a project's site),
+--     queued by scripts/process-audit-schedules.js
+--   - audit_alerts: regressions found when a scheduled audit is compared with the
+--     previous audit of the same URL
+--   - seo_analyses.schedule_id: the schedule that queued an audit
+
+CREATE TABLE IF NOT EXISTS audit_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES seo_projects(id) ON DELETE CASCADE,
+    url VARCHAR(500) NOT NULL,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+    score_drop_threshold INTEGER NOT NULL DEFAULT 5
+        CHECK (score_drop_threshold BETWEEN 1 AND 100),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_audit_id UUID REFERENCES seo_analyses(id) ON DELETE SET NULL,
+    last_status VARCHAR(20)
+        CHECK (last_status IN ('queued', 'completed', 'regressed', 'failed', 'quota_exceeded')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS audit_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    schedule_id UUID REFERENCES audit_schedules(id) ON DELETE CASCADE,
+    audit_id UUID NOT NULL REFERENCES seo_analyses(id) ON DELETE CASCADE,
+    previous_audit_id UUID REFERENCES seo_analyses(id) ON DELETE SET NULL,
+    alerts JSONB NOT NULL,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE seo_analyses
+    ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES audit_schedules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_schedules_due ON audit_schedules(next_run_at)
+    WHERE enabled = TRUE;
+CREATE INDEX IF NOT EXISTS idx_audit_schedules_user ON audit_schedules(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_alerts_schedule ON audit_alerts(schedule_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_seo_analyses_history
+    ON seo_analyses(user_id, content_url, created_at DESC);
+
+ALTER TABLE audit_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_alerts ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own schedules; the scheduler and worker use the service role
+DROP POLICY IF EXISTS "Users can view own schedules" ON audit_schedules;
+CREATE POLICY "Users can view own schedules" ON audit_schedules
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create schedules" ON audit_schedules;
+CREATE POLICY "Users can create schedules" ON audit_schedules
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own schedules" ON audit_schedules;
+CREATE POLICY "Users can update own schedules" ON audit_schedules
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own schedules" ON audit_schedules;
+CREATE POLICY "Users can delete own schedules" ON audit_schedules
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Alerts are written by the audit worker (service role); users can read their own
+DROP POLICY IF EXISTS "Users can view own alerts" ON audit_alerts;
+CREATE POLICY "Users can view own alerts" ON audit_alerts
+    FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,47 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Projects
+-- =============================================================================
+-- Migration: 20251120000001_projects.sql
+-- Description: Project-scoped audits and keyword research
+--   - keywords: keyword research results (created outside migrations in older installs),
+--     now optionally assigned to a project
+--   - seo_analyses.project_id: deleting a project keeps its audits (they still count
+--     toward the monthly audit quota) instead of cascading
+
+CREATE TABLE IF NOT EXISTS keywords (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    audit_id UUID REFERENCES seo_analyses(id) ON DELETE SET NULL,
+    seed_keyword VARCHAR(200) NOT NULL,
+    keyword VARCHAR(255) NOT NULL,
+    search_volume INTEGER,
+    competition VARCHAR(10),
+    difficulty_score INTEGER,
+    opportunity_score INTEGER,
+    cpc DECIMAL(10,2),
+    target_location VARCHAR(10) DEFAULT 'US',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE keywords
+    ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES seo_projects(id) ON DELETE SET NULL;
+
+ALTER TABLE seo_analyses DROP CONSTRAINT IF EXISTS seo_analyses_project_id_fkey;
+ALTER TABLE seo_analyses
+    ADD CONSTRAINT seo_analyses_project_id_fkey
+    FOREIGN KEY (project_id) REFERENCES seo_projects(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_keywords_user_seed ON keywords(user_id, seed_keyword);
+CREATE INDEX IF NOT EXISTS idx_keywords_project ON keywords(project_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_seo_analyses_project_created
+    ON seo_analyses(project_id, created_at DESC);
+
+ALTER TABLE keywords ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own keywords" ON keywords;
+CREATE POLICY "Users can view own keywords" ON keywords
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create keywords" ON keywords;
+CREATE POLICY "Users can create keywords" ON keywords
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,23 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Keyword Data Providers
+-- =============================================================================
+-- Migration: 20251120000002_keyword_providers.sql
+-- Description: Keyword research from real data providers
+--   - keywords.provider / language: research context; the 7-day cache is keyed on
+--     project, provider, location and language
+--   - keywords.competition_index: provider competition (0-100) behind the competition level
+--   - keywords.metrics: remaining provider metrics (total results, SERP features,
+--     monthly search history)
+--   - search_volume and cpc are null when a provider does not report them
+
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS provider VARCHAR(30);
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS language VARCHAR(10) DEFAULT 'en';
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS competition_index INTEGER;
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS metrics JSONB;
+
+ALTER TABLE keywords ALTER COLUMN search_volume DROP NOT NULL;
+ALTER TABLE keywords ALTER COLUMN cpc DROP NOT NULL;
+
+DROP INDEX IF EXISTS idx_keywords_user_seed;
+CREATE INDEX IF NOT EXISTS idx_keywords_research_cache
+    ON keywords(user_id, seed_keyword, provider, target_location, language, created_at DESC);
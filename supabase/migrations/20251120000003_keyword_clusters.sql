@@ -0,0 +1,22 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Keyword Intent and Clusters
+-- =============================================================================
+-- Migration: 20251120000003_keyword_clusters.sql
+-- Description: Search intent, topic clusters and AI keyword expansion
+--   - keywords.intent: informational, navigational, commercial or transactional
+--   - keywords.cluster: topic cluster name; cluster summaries and pillars are derived
+--     from the rows of one research run
+--   - keywords.source: 'provider' for data provider rows, 'ai' for AI suggestions
+--     (which have no metrics)
+--   - keywords.expanded: the run asked for AI expansion; part of the 7-day cache key
+
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS intent VARCHAR(20)
+    CHECK (intent IN ('informational', 'navigational', 'commercial', 'transactional'));
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS cluster VARCHAR(200);
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'provider'
+    CHECK (source IN ('provider', 'ai'));
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS expanded BOOLEAN NOT NULL DEFAULT false;
+
+DROP INDEX IF EXISTS idx_keywords_research_cache;
+CREATE INDEX IF NOT EXISTS idx_keywords_research_cache
+    ON keywords(user_id, seed_keyword, provider, target_location, language, expanded, created_at DESC);
@@ -0,0 +1,74 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Rank Tracking
+-- =============================================================================
+-- Migration: 20251121000001_rank_tracking.sql
+-- Description: Daily Google positions of tracked keywords (rank_tracking feature)
+--   - rank_tracked_keywords: keyword + URL + location + device combinations a user tracks,
+--     with the latest positions for listing
+--   - rank_history: one SERP check per tracked keyword and day, recorded by
+--     scripts/process-rank-tracking.js
+
+CREATE TABLE IF NOT EXISTS rank_tracked_keywords (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES seo_projects(id) ON DELETE CASCADE,
+    keyword VARCHAR(200) NOT NULL,
+    target_url VARCHAR(500) NOT NULL,
+    location VARCHAR(10) NOT NULL DEFAULT 'US',
+    device VARCHAR(10) NOT NULL DEFAULT 'desktop' CHECK (device IN ('desktop', 'mobile')),
+    language VARCHAR(10) NOT NULL DEFAULT 'en',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_checked_on DATE,
+    last_position INTEGER,
+    previous_position INTEGER,
+    best_position INTEGER,
+    last_status VARCHAR(20) CHECK (last_status IN ('ranked', 'not_ranked', 'failed')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, keyword, target_url, location, device)
+);
+
+CREATE TABLE IF NOT EXISTS rank_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tracked_keyword_id UUID NOT NULL REFERENCES rank_tracked_keywords(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    checked_on DATE NOT NULL,
+    position INTEGER, -- NULL when the URL is not in the checked results
+    ranking_url VARCHAR(1000),
+    serp_features JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ type, owned }]
+    total_results BIGINT,
+    provider VARCHAR(30) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tracked_keyword_id, checked_on)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rank_tracked_keywords_user
+    ON rank_tracked_keywords(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rank_tracked_keywords_project ON rank_tracked_keywords(project_id);
+CREATE INDEX IF NOT EXISTS idx_rank_tracked_keywords_due
+    ON rank_tracked_keywords(last_checked_on NULLS FIRST) WHERE enabled = TRUE;
+
+ALTER TABLE rank_tracked_keywords ENABLE ROW LEVEL SECURITY;
+ALTER TABLE rank_history ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own tracked keywords; the rank tracker uses the service role
+DROP POLICY IF EXISTS "Users can view own tracked keywords" ON rank_tracked_keywords;
+CREATE POLICY "Users can view own tracked keywords" ON rank_tracked_keywords
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can track keywords" ON rank_tracked_keywords;
+CREATE POLICY "Users can track keywords" ON rank_tracked_keywords
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own tracked keywords" ON rank_tracked_keywords;
+CREATE POLICY "Users can update own tracked keywords" ON rank_tracked_keywords
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own tracked keywords" ON rank_tracked_keywords;
+CREATE POLICY "Users can delete own tracked keywords" ON rank_tracked_keywords
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- History is written by the rank tracker (service role); users can read their own
+DROP POLICY IF EXISTS "Users can view own rank history" ON rank_history;
+CREATE POLICY "Users can view own rank history" ON rank_history
+    FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,76 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Competitor Analysis
+-- =============================================================================
+-- Migration: 20251121000002_competitor_analysis.sql
+-- Description: Side-by-side audits of a page and its competitors (competitor_analysis feature)
+--   - competitor_sets: a project's page and the competitor URLs it is compared with, saved
+--     so the comparison can be re-run
+--   - competitor_analyses: one row per run with the comparison matrix and content gaps,
+--     written by the audit worker
+
+CREATE TABLE IF NOT EXISTS competitor_sets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID NOT NULL REFERENCES seo_projects(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    target_url VARCHAR(500) NOT NULL,
+    competitor_urls TEXT[] NOT NULL DEFAULT '{}',
+    last_analyzed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS competitor_analyses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    project_id UUID REFERENCES seo_projects(id) ON DELETE CASCADE,
+    set_id UUID REFERENCES competitor_sets(id) ON DELETE SET NULL,
+    target_url VARCHAR(500) NOT NULL,
+    competitor_urls TEXT[] NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+    pages_analyzed INTEGER NOT NULL DEFAULT 0,
+    result JSONB, -- { pages, benchmarks, gaps: { keywords, headings } }
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_competitor_sets_project ON competitor_sets(project_id);
+CREATE INDEX IF NOT EXISTS idx_competitor_sets_user ON competitor_sets(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_competitor_analyses_set
+    ON competitor_analyses(set_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_competitor_analyses_user
+    ON competitor_analyses(user_id, created_at DESC);
+
+ALTER TABLE competitor_sets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE competitor_analyses ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own competitor sets
+DROP POLICY IF EXISTS "Users can view own competitor sets" ON competitor_sets;
+CREATE POLICY "Users can view own competitor sets" ON competitor_sets
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create competitor sets" ON competitor_sets;
+CREATE POLICY "Users can create competitor sets" ON competitor_sets
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update own competitor sets" ON competitor_sets;
+CREATE POLICY "Users can update own competitor sets" ON competitor_sets
+    FOR UPDATE USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can delete own competitor sets" ON competitor_sets;
+CREATE POLICY "Users can delete own competitor sets" ON competitor_sets
+    FOR DELETE USING (auth.uid() = user_id);
+
+-- Analyses are written by the audit worker (service role); users can read their own
+DROP POLICY IF EXISTS "Users can view own competitor analyses" ON competitor_analyses;
+CREATE POLICY "Users can view own competitor analyses" ON competitor_analyses
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create competitor analyses" ON competitor_analyses;
+CREATE POLICY "Users can create competitor analyses" ON competitor_analyses
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,31 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Stripe Webhook Events
+-- =============================================================================
+-- Migration: 20251121000003_stripe_webhook_events.sql
+-- Description: One row per Stripe event received at /api/webhooks/stripe
+--   - Stripe retries deliveries, so an event already marked processed is acknowledged
+--     without running its handler again
+--   - Events whose handler threw are kept as failed with the payload, so an admin can
+--     replay them once the cause is fixed
+
+CREATE TABLE IF NOT EXISTS stripe_webhook_events (
+    id VARCHAR(255) PRIMARY KEY, -- Stripe event ID (evt_...)
+    type VARCHAR(100) NOT NULL,
+    livemode BOOLEAN NOT NULL DEFAULT FALSE,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'processed', 'failed')),
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    last_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_status
+    ON stripe_webhook_events(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stripe_webhook_events_type
+    ON stripe_webhook_events(type, created_at DESC);
+
+-- Written and read by the API with the service role only; no user policies
+ALTER TABLE stripe_webhook_events ENABLE ROW LEVEL SECURITY;
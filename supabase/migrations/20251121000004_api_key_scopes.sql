@@ -0,0 +1,22 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - API Key Scopes
+-- =============================================================================
+-- Migration: 20251121000004_api_key_scopes.sql
+-- Description: Programmatic API keys (api_access feature) on the existing api_keys table
+--   - scopes: resource:action pairs a key may use, e.g. {audits:read, audits:write}
+--   - revoked_at: set when a key is revoked or replaced by rotation (is_active = FALSE)
+--   - rotated_from_id: the key this one replaced
+--   - key_hash is the lookup for Authorization: Bearer pk_... and must be unique
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_from_id UUID
+    REFERENCES api_keys(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_active ON api_keys(user_id, is_active);
+
+-- Revoking and rotating deactivate the key rather than deleting it
+DROP POLICY IF EXISTS "Users can update own API keys" ON api_keys;
+CREATE POLICY "Users can update own API keys" ON api_keys
+    FOR UPDATE USING (auth.uid() = user_id);
@@ -0,0 +1,39 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Outbound Emails
+-- =============================================================================
+-- Migration: 20251121000005_outbound_emails.sql
+-- Description: Queue and delivery log of transactional emails (dunning, trial reminders,
+--   audit reports, regression alerts)
+--   - Messages are stored rendered, so a retry sends exactly what was queued
+--   - Failed sends go back to pending with a later next_attempt_at until max attempts
+--   - dedupe_key makes queueing idempotent (e.g. one day-1 dunning email per invoice)
+
+CREATE TABLE IF NOT EXISTS outbound_emails (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    to_email VARCHAR(320) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    subject TEXT NOT NULL,
+    html TEXT NOT NULL,
+    text TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    provider VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    dedupe_key VARCHAR(255) UNIQUE,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_due
+    ON outbound_emails(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_emails_user
+    ON outbound_emails(user_id, created_at DESC);
+
+-- Written and read by the API and cron jobs with the service role only; no user policies
+ALTER TABLE outbound_emails ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,124 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Organizations
+-- =============================================================================
+-- Migration: 20251121000006_organizations.sql
+-- Description: Team workspaces (team_collaboration feature, agency plan)
+--   - organizations: a shared workspace; its plan and quotas are the owner's subscription
+--   - organization_members: one role per member (owner, admin, editor, viewer)
+--   - organization_invitations: email invitations; only a SHA-256 hash of the token is
+--     stored, the token itself is in the emailed link
+--   - organization_id on projects, audits, keywords, meta tags and usage rows: NULL for
+--     the creator's personal workspace, otherwise shared with every member
+--   - Workspace requests go through the API with the service role (permissions are
+--     checked there); the member policies below let the web app read shared rows directly
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) NOT NULL,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (organization_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(320) NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'revoked')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizations_owner ON organizations(owner_id);
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_org
+    ON organization_invitations(organization_id, status);
+-- One open invitation per address and workspace
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_invitations_pending
+    ON organization_invitations(organization_id, lower(email)) WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS update_organizations_updated_at ON organizations;
+CREATE TRIGGER update_organizations_updated_at
+    BEFORE UPDATE ON organizations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_organization_members_updated_at ON organization_members;
+CREATE TRIGGER update_organization_members_updated_at
+    BEFORE UPDATE ON organization_members
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Shared resources
+ALTER TABLE seo_projects ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE seo_analyses ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE keywords ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE meta_tags ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+-- Keyword research quota is counted from api_usage
+ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_seo_projects_organization ON seo_projects(organization_id);
+CREATE INDEX IF NOT EXISTS idx_seo_analyses_organization
+    ON seo_analyses(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_keywords_organization_seed ON keywords(organization_id, seed_keyword);
+CREATE INDEX IF NOT EXISTS idx_meta_tags_organization ON meta_tags(organization_id);
+CREATE INDEX IF NOT EXISTS idx_api_usage_organization
+    ON api_usage(organization_id, endpoint, created_at);
+
+-- SECURITY DEFINER so policies on organization_members can use it without recursing
+CREATE OR REPLACE FUNCTION is_organization_member(p_organization_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM organization_members
+        WHERE organization_id = p_organization_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+-- Invitations are read and written by the API only; no user policies
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their organizations" ON organizations;
+CREATE POLICY "Members can view their organizations" ON organizations
+    FOR SELECT USING (is_organization_member(id));
+
+DROP POLICY IF EXISTS "Members can view fellow members" ON organization_members;
+CREATE POLICY "Members can view fellow members" ON organization_members
+    FOR SELECT USING (is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization projects" ON seo_projects;
+CREATE POLICY "Members can view organization projects" ON seo_projects
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization analyses" ON seo_analyses;
+CREATE POLICY "Members can view organization analyses" ON seo_analyses
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization keywords" ON keywords;
+CREATE POLICY "Members can view organization keywords" ON keywords
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization meta tags" ON meta_tags;
+CREATE POLICY "Members can view organization meta tags" ON meta_tags
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
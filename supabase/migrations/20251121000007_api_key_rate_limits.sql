@@ -0,0 +1,10 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - API Key Rate Limits
+-- =============================================================================
+-- Migration: 20251121000007_api_key_rate_limits.sql
+-- Description: Optional per-key request cap on top of the owner's plan rate limit
+--   - rate_limit_per_minute: requests per minute the key may make; NULL means only the
+--     plan limit applies (requests are counted in Redis, see services/rateLimiter)
+
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rate_limit_per_minute INTEGER
+    CHECK (rate_limit_per_minute IS NULL OR rate_limit_per_minute > 0);
@@ -0,0 +1,131 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Admin Console
+-- =============================================================================
+-- Migration: 20251121000008_admin_console.sql
+-- Description: Operator overrides and reports for the admin API (/api/admin)
+--   - users.quota_overrides: per-user monthly quotas that replace the tier's
+--     (e.g. {"audits": 200}); -1 means unlimited, missing keys keep the tier quota
+--   - users.payment_failed_at: when the current payment failure started; the grace period
+--     (services/subscriptionManager) already reads it but no migration created it
+--   - admin_audit_log: every manual change an admin makes to a user, with the values
+--     before and after and the reason given; only the service role can read or write it
+--   - admin_top_consumers(): heaviest users of a resource since a date
+--   - protect_user_billing_columns: "Users can update own profile" lets a signed-in user
+--     update any column of their row; plan, billing and override columns may now only be
+--     changed with the service role (API, webhooks, admin console)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS quota_overrides JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_past_due
+    ON users(payment_failed_at) WHERE subscription_status = 'past_due';
+
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(50) NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target
+    ON admin_audit_log(target_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at
+    ON admin_audit_log(created_at DESC);
+
+-- No policies: the API reads and writes the log with the service role
+ALTER TABLE admin_audit_log ENABLE ROW LEVEL SECURITY;
+
+-- =============================================================================
+-- BILLING COLUMNS
+-- =============================================================================
+CREATE OR REPLACE FUNCTION protect_user_billing_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() IN ('anon', 'authenticated') AND (
+        NEW.subscription_tier IS DISTINCT FROM OLD.subscription_tier
+        OR NEW.subscription_status IS DISTINCT FROM OLD.subscription_status
+        OR NEW.stripe_customer_id IS DISTINCT FROM OLD.stripe_customer_id
+        OR NEW.payment_failed_at IS DISTINCT FROM OLD.payment_failed_at
+        OR NEW.quota_overrides IS DISTINCT FROM OLD.quota_overrides
+    ) THEN
+        RAISE EXCEPTION 'Subscription and quota columns can only be changed by the service'
+            USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_user_billing_columns ON users;
+CREATE TRIGGER protect_user_billing_columns
+    BEFORE UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION protect_user_billing_columns();
+
+-- =============================================================================
+-- TOP CONSUMERS
+-- =============================================================================
+-- p_resource: audits (seo_analyses rows), keywords (keyword research requests),
+-- api_calls (api_usage rows) or ai_tokens (api_usage.tokens_used)
+CREATE OR REPLACE FUNCTION admin_top_consumers(
+    p_resource TEXT,
+    p_since TIMESTAMP WITH TIME ZONE,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+    user_id UUID,
+    email VARCHAR,
+    full_name VARCHAR,
+    subscription_tier VARCHAR,
+    total BIGINT
+) AS $$
+BEGIN
+    IF p_resource = 'audits' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, u.subscription_tier, COUNT(*)::BIGINT
+        FROM seo_analyses a
+        JOIN users u ON u.id = a.user_id
+        WHERE a.created_at >= p_since
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'keywords' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, u.subscription_tier, COUNT(*)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since AND r.endpoint = '/api/keywords/research'
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'api_calls' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, u.subscription_tier, COUNT(*)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'ai_tokens' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, u.subscription_tier,
+               COALESCE(SUM(r.tokens_used), 0)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since AND r.tokens_used IS NOT NULL
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSE
+        RAISE EXCEPTION 'Unknown resource: %', p_resource;
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION admin_top_consumers(TEXT, TIMESTAMP WITH TIME ZONE, INTEGER)
+    FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION admin_top_consumers(TEXT, TIMESTAMP WITH TIME ZONE, INTEGER)
+    TO service_role;
@@ -0,0 +1,45 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Dunning Sequences
+-- =============================================================================
+-- Migration: 20251121000009_dunning_sequences.sql
+-- Description: Per-user state of the failed payment email sequence
+--   - One open sequence per user, started by the first invoice.payment_failed
+--   - day_N_sent_at: when the day 1, 3 and 7 emails were queued; a step is claimed by
+--     setting its column, so each email goes out once however often the cron job runs
+--   - state: active (grace period) -> suspended (access removed) -> recovered (invoice
+--     paid) or canceled (subscription deleted); recovered and canceled set ended_at
+--   - The invoice's amount and hosted URL are kept for the later emails' payment links
+
+CREATE TABLE IF NOT EXISTS dunning_sequences (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    stripe_invoice_id VARCHAR(255),
+    amount_due INTEGER,
+    currency VARCHAR(3),
+    invoice_url TEXT,
+    state VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (state IN ('active', 'suspended', 'recovered', 'canceled')),
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    day_1_sent_at TIMESTAMP WITH TIME ZONE,
+    day_3_sent_at TIMESTAMP WITH TIME ZONE,
+    day_7_sent_at TIMESTAMP WITH TIME ZONE,
+    suspended_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- At most one open sequence per user; a concurrent second start fails on this index
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dunning_sequences_open_user
+    ON dunning_sequences(user_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_dunning_sequences_user
+    ON dunning_sequences(user_id, started_at DESC);
+
+DROP TRIGGER IF EXISTS update_dunning_sequences_updated_at ON dunning_sequences;
+CREATE TRIGGER update_dunning_sequences_updated_at
+    BEFORE UPDATE ON dunning_sequences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- No policies: only the API (service role) reads and writes sequences
+ALTER TABLE dunning_sequences ENABLE ROW LEVEL SECURITY;
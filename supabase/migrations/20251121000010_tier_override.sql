@@ -0,0 +1,92 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Tier Override
+-- =============================================================================
+-- Migration: 20251121000010_tier_override.sql
+-- Description: Admin tier grants kept apart from the billed tier
+--   - users.tier_override: tier set from the admin console; when present it replaces
+--     subscription_tier for quotas, features and rate limits. subscription_tier stays the
+--     tier Stripe bills for, which every subscription sync rewrites, so a grant written
+--     there was lost on the next renewal. NULL means no override.
+--   - protect_user_billing_columns: tier_override can only be changed with the service role
+--   - admin_top_consumers: reports the tier users get (the override, else the billed tier)
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tier_override VARCHAR(50)
+    CHECK (tier_override IS NULL OR tier_override IN ('starter', 'professional', 'agency'));
+
+CREATE OR REPLACE FUNCTION protect_user_billing_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.role() IN ('anon', 'authenticated') AND (
+        NEW.subscription_tier IS DISTINCT FROM OLD.subscription_tier
+        OR NEW.subscription_status IS DISTINCT FROM OLD.subscription_status
+        OR NEW.stripe_customer_id IS DISTINCT FROM OLD.stripe_customer_id
+        OR NEW.payment_failed_at IS DISTINCT FROM OLD.payment_failed_at
+        OR NEW.quota_overrides IS DISTINCT FROM OLD.quota_overrides
+        OR NEW.tier_override IS DISTINCT FROM OLD.tier_override
+    ) THEN
+        RAISE EXCEPTION 'Subscription and quota columns can only be changed by the service'
+            USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Same signature as 20251121000008_admin_console.sql, so its grants stay in place
+CREATE OR REPLACE FUNCTION admin_top_consumers(
+    p_resource TEXT,
+    p_since TIMESTAMP WITH TIME ZONE,
+    p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+    user_id UUID,
+    email VARCHAR,
+    full_name VARCHAR,
+    subscription_tier VARCHAR,
+    total BIGINT
+) AS $$
+BEGIN
+    IF p_resource = 'audits' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, COALESCE(u.tier_override, u.subscription_tier),
+               COUNT(*)::BIGINT
+        FROM seo_analyses a
+        JOIN users u ON u.id = a.user_id
+        WHERE a.created_at >= p_since
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'keywords' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, COALESCE(u.tier_override, u.subscription_tier),
+               COUNT(*)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since AND r.endpoint = '/api/keywords/research'
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'api_calls' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, COALESCE(u.tier_override, u.subscription_tier),
+               COUNT(*)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSIF p_resource = 'ai_tokens' THEN
+        RETURN QUERY
+        SELECT u.id, u.email, u.full_name, COALESCE(u.tier_override, u.subscription_tier),
+               COALESCE(SUM(r.tokens_used), 0)::BIGINT
+        FROM api_usage r
+        JOIN users u ON u.id = r.user_id
+        WHERE r.created_at >= p_since AND r.tokens_used IS NOT NULL
+        GROUP BY u.id
+        ORDER BY 5 DESC
+        LIMIT p_limit;
+    ELSE
+        RAISE EXCEPTION 'Unknown resource: %', p_resource;
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
@@ -0,0 +1,85 @@
+-- =============================================================================
+-- PRISMIFY DATABASE SCHEMA - Workspace Resources
+-- =============================================================================
+-- Migration: 20251121000011_workspace_resources.sql
+-- Description: Crawls, schedules, rank tracking, competitor analysis and reports in
+--   organization workspaces (see 20251121000006_organizations.sql)
+--   - organization_id: NULL for the creator's personal workspace, otherwise shared with
+--     every member; child rows (crawl pages, rank history, alerts) follow their parent
+--   - A URL has one schedule, and a keyword one tracking entry, per workspace rather than
+--     per user, so the same URL can be scheduled in a personal and an organization workspace
+--   - Members can read shared rows; writes go through the API
+
+ALTER TABLE site_crawls ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE audit_schedules ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE rank_tracked_keywords ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE competitor_analyses ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE competitor_sets ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE report_history ADD COLUMN IF NOT EXISTS organization_id UUID
+    REFERENCES organizations(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_site_crawls_organization
+    ON site_crawls(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_schedules_organization ON audit_schedules(organization_id);
+CREATE INDEX IF NOT EXISTS idx_competitor_analyses_organization
+    ON competitor_analyses(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_competitor_sets_organization ON competitor_sets(organization_id);
+CREATE INDEX IF NOT EXISTS idx_report_history_organization
+    ON report_history(organization_id, created_at DESC);
+
+ALTER TABLE audit_schedules DROP CONSTRAINT IF EXISTS audit_schedules_user_id_url_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_schedules_personal_url
+    ON audit_schedules(user_id, url) WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_schedules_organization_url
+    ON audit_schedules(organization_id, url) WHERE organization_id IS NOT NULL;
+
+-- The generated name of this constraint is truncated, so it is looked up by definition
+DO $$
+DECLARE
+    constraint_name TEXT;
+BEGIN
+    SELECT conname INTO constraint_name
+    FROM pg_constraint
+    WHERE conrelid = 'rank_tracked_keywords'::regclass
+        AND contype = 'u'
+        AND pg_get_constraintdef(oid) = 'UNIQUE (user_id, keyword, target_url, location, device)';
+
+    IF constraint_name IS NOT NULL THEN
+        EXECUTE format('ALTER TABLE rank_tracked_keywords DROP CONSTRAINT %I', constraint_name);
+    END IF;
+END $$;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rank_tracked_keywords_personal
+    ON rank_tracked_keywords(user_id, keyword, target_url, location, device)
+    WHERE organization_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rank_tracked_keywords_organization
+    ON rank_tracked_keywords(organization_id, keyword, target_url, location, device)
+    WHERE organization_id IS NOT NULL;
+
+DROP POLICY IF EXISTS "Members can view organization crawls" ON site_crawls;
+CREATE POLICY "Members can view organization crawls" ON site_crawls
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization schedules" ON audit_schedules;
+CREATE POLICY "Members can view organization schedules" ON audit_schedules
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization tracked keywords" ON rank_tracked_keywords;
+CREATE POLICY "Members can view organization tracked keywords" ON rank_tracked_keywords
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization competitor analyses" ON competitor_analyses;
+CREATE POLICY "Members can view organization competitor analyses" ON competitor_analyses
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization competitor sets" ON competitor_sets;
+CREATE POLICY "Members can view organization competitor sets" ON competitor_sets
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
+
+DROP POLICY IF EXISTS "Members can view organization reports" ON report_history;
+CREATE POLICY "Members can view organization reports" ON report_history
+    FOR SELECT USING (organization_id IS NOT NULL AND is_organization_member(organization_id));
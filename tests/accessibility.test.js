@@ -0,0 +1,193 @@
+/**
+ * Accessibility Tests
+ *
+ * Runs the WCAG rule engine over a fixture with one failure per rule, and checks the
+ * contrast math against known WCAG ratios.
+ *
+ * To run: node --test tests/accessibility.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseHtmlDocument } from '../src/services/crawler/htmlDocument.js';
+import {
+  runAccessibilityRules,
+  describeViolationCounts,
+  WCAG_RULES,
+} from '../src/services/accessibility/wcagRules.js';
+import {
+  parseColor,
+  contrastRatio,
+  isLargeText,
+  resolveInlineColors,
+} from '../src/services/accessibility/colorContrast.js';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/html/${name}.html`, import.meta.url), 'utf8');
+
+const agent = new SEOAgent({ heartbeatEnabled: false });
+
+const byRule = (result) =>
+  Object.fromEntries(result.violations.map((violation) => [violation.rule, violation]));
+
+describe('color contrast', () => {
+  it('parses hex, functional and named colors', () => {
+    assert.deepEqual(parseColor('#0f08'), { r: 0, g: 255, b: 0, a: 0.533 });
+    assert.deepEqual(parseColor('rgb(10 20 30 / 50%)'), { r: 10, g: 20, b: 30, a: 0.5 });
+    assert.deepEqual(parseColor('rgba(10, 20, 30, 0.25)'), { r: 10, g: 20, b: 30, a: 0.25 });
+    assert.deepEqual(parseColor('White'), { r: 255, g: 255, b: 255, a: 1 });
+    assert.equal(parseColor('var(--brand)'), null);
+  });
+
+  it('computes WCAG contrast ratios', () => {
+    const white = parseColor('#fff');
+    assert.equal(contrastRatio(parseColor('#000'), white), 21);
+    assert.equal(contrastRatio(parseColor('#767676'), white), 4.54);
+    // Translucent text is blended over the background first
+    assert.equal(contrastRatio(parseColor('rgba(0, 0, 0, 0)'), white), 1);
+  });
+
+  it('treats 24px, or 18.66px bold, as large text', () => {
+    assert.equal(isLargeText(24, 400), true);
+    assert.equal(isLargeText(19, 'bold'), true);
+    assert.equal(isLargeText(19, 400), false);
+  });
+
+  it('resolves colors from inline styles on ancestors', () => {
+    const doc = parseHtmlDocument(
+      '<div style="background: #000 no-repeat"><p style="font-size: 18pt; color: rgba(255,255,255,.5)">Hi</p></div>'
+    );
+    const colors = resolveInlineColors(doc.findAll('p')[0]);
+
+    assert.deepEqual(colors.background, { r: 0, g: 0, b: 0, a: 1 });
+    assert.equal(colors.fontSizePx, 24);
+    assert.equal(
+      resolveInlineColors(parseHtmlDocument('<p style="color:#777">x</p>').elements[0]),
+      null
+    );
+  });
+});
+
+describe('runAccessibilityRules', () => {
+  const result = runAccessibilityRules(parseHtmlDocument(fixture('accessibility')));
+  const violations = byRule(result);
+
+  it('reports each failing rule with its success criterion and level', () => {
+    assert.deepEqual(violations['image-alt'].targets, [{ target: 'img#pic[src="/a.png"]' }]);
+    assert.equal(violations['image-alt'].criterion, '1.1.1');
+    assert.equal(violations['image-alt'].level, 'A');
+    assert.equal(violations['meta-viewport'].criterion_name, 'Resize Text');
+    assert.equal(violations['meta-viewport'].level, 'AA');
+    assert.equal(violations['link-text'].level, 'AAA');
+    assert.equal(violations['link-text'].targets[0].text, 'click here');
+  });
+
+  it('checks names, ARIA, headings, landmarks, languages, ids and tables', () => {
+    assert.deepEqual(violations['button-name'].targets, [{ target: 'button' }]);
+    assert.deepEqual(violations['link-name'].targets, [{ target: 'a[href="/map"]' }]);
+    assert.equal(violations['aria-roles'].targets[0].role, 'widget');
+    assert.deepEqual(
+      violations['aria-attributes'].targets.map((target) => target.attribute),
+      ['aria-expanded', 'aria-labelledby', 'aria-foo']
+    );
+    assert.equal(violations['heading-order'].targets[0].text, 'Weekdays');
+    assert.equal(violations['empty-heading'].count, 1);
+    assert.deepEqual(violations.region.targets, [{ target: 'p' }]);
+    assert.equal(violations['html-lang'].targets[0].value, 'english');
+    assert.equal(violations['valid-lang'].targets[0].value, 'fr_FR');
+    assert.deepEqual(violations['duplicate-id'].targets, [{ target: '#pic', occurrences: 2 }]);
+    assert.equal(violations['table-headers'].count, 1);
+    assert.equal(violations['document-title'].count, 1);
+
+    // A hidden second <main> and a role fallback list are fine
+    assert.equal(violations['landmark-one-main'], undefined);
+    assert.ok(result.passed.includes('Page has a main landmark or skip link'));
+  });
+
+  it('checks contrast only where inline colors are known', () => {
+    assert.deepEqual(violations['color-contrast'].targets, [
+      {
+        target: 'p',
+        text: 'Low contrast note',
+        ratio: 2.85,
+        required: 4.5,
+        color: '#999999',
+        background: '#ffffff',
+      },
+    ]);
+    assert.equal(violations['color-contrast-enhanced'].count, 2);
+    assert.equal(result.summary.contrast_source, 'inline');
+  });
+
+  it('derives the score from rule weights and counts violations per level', () => {
+    const failedWeight = result.violations.reduce(
+      (total, violation) => total + violation.weight,
+      0
+    );
+    const applicableWeight = WCAG_RULES.reduce((total, rule) => total + rule.weight, 0);
+
+    assert.equal(result.summary.rules_checked, WCAG_RULES.length);
+    assert.equal(
+      result.score,
+      Math.round(((applicableWeight - failedWeight) / applicableWeight) * 100)
+    );
+    assert.deepEqual(result.summary.violations, { A: 13, AA: 4, AAA: 3 });
+    assert.equal(
+      describeViolationCounts(result.summary.violations),
+      '13 A, 4 AA and 3 AAA violations'
+    );
+    assert.equal(describeViolationCounts({ A: 0, AA: 12, AAA: 0 }), '12 AA violations');
+  });
+
+  it('prefers computed colors from the lab run', () => {
+    const doc = parseHtmlDocument(
+      '<html lang="en"><title>x</title><main><p>Text</p></main></html>'
+    );
+    const computed = runAccessibilityRules(doc, {
+      textColors: [
+        {
+          target: 'p.muted',
+          text: 'Text',
+          color: 'rgb(170, 170, 170)',
+          background: 'rgb(255, 255, 255)',
+          font_size_px: 16,
+          font_weight: '400',
+        },
+        {
+          target: 'h1',
+          text: 'Big',
+          color: 'rgb(118, 118, 118)',
+          background: 'rgb(255, 255, 255)',
+          font_size_px: 32,
+          font_weight: '700',
+        },
+      ],
+    });
+
+    assert.deepEqual(
+      byRule(computed)['color-contrast'].targets.map((target) => target.target),
+      ['p.muted']
+    );
+    assert.equal(computed.summary.contrast_source, 'computed');
+  });
+});
+
+describe('SEOAgent accessibility score', () => {
+  it('turns violations into issues with WCAG references', async () => {
+    const analysis = await agent.analyzeAccessibility(fixture('accessibility'));
+    const viewport = analysis.issues.find((issue) => issue.code === 'A11Y_ZOOM_DISABLED');
+
+    assert.equal(
+      viewport.message,
+      'Viewport meta tag disables zooming (user-scalable=no or maximum-scale below 2) (WCAG 1.4.4 Resize Text, level AA)'
+    );
+    assert.equal(
+      viewport.description,
+      'Remove user-scalable=no and maximum-scale from the viewport meta tag'
+    );
+    assert.equal(viewport.details.level, 'AA');
+    assert.equal(analysis.wcag.label, '13 A, 4 AA and 3 AAA violations');
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Admin Console Tests
+ *
+ * Subscription override validation, quota overrides, grace period status and AI spend
+ * history (against a fake Redis client).
+ *
+ * To run: node --test tests/admin.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSubscriptionOverride,
+  mergeQuotaOverrides,
+  gracePeriodState,
+  searchPattern,
+  tierFilter,
+} from '../src/services/admin/userAdmin.js';
+import { TIER_QUOTAS, applyQuotaOverrides, effectiveTier } from '../src/config/tiers.js';
+import {
+  AICostTracker,
+  recentDays,
+  recentMonths,
+} from '../src/services/analytics/aiCostTracker.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Subscription overrides', () => {
+  it('accepts a tier and quota overrides with a reason', () => {
+    const result = normalizeSubscriptionOverride({
+      tier: 'agency',
+      quota_overrides: { audits: 500, keywords: -1, reports: null },
+      reason: '  Enterprise trial  ',
+    });
+
+    assert.deepEqual(result, {
+      override: { tier: 'agency', quotaOverrides: { audits: 500, keywords: -1, reports: null } },
+      reason: 'Enterprise trial',
+    });
+  });
+
+  it('accepts a crawls quota override', () => {
+    const { override } = normalizeSubscriptionOverride({
+      quota_overrides: { crawls: 50 },
+      reason: 'Site migration',
+    });
+
+    assert.deepEqual(override.quotaOverrides, { crawls: 50 });
+  });
+
+  it('rejects unknown tiers, unknown quotas, bad values and a missing reason', () => {
+    const reason = 'Support ticket 1234';
+
+    assert.match(normalizeSubscriptionOverride({ tier: 'gold', reason }).error, /tier/);
+    assert.match(
+      normalizeSubscriptionOverride({ quota_overrides: { pages: 5 }, reason }).error,
+      /keys/
+    );
+    assert.match(
+      normalizeSubscriptionOverride({ quota_overrides: { audits: -5 }, reason }).error,
+      /whole number/
+    );
+    assert.match(
+      normalizeSubscriptionOverride({ quota_overrides: [1], reason }).error,
+      /object or null/
+    );
+    assert.match(normalizeSubscriptionOverride({ reason }).error, /Provide tier/);
+    assert.match(normalizeSubscriptionOverride({ tier: 'agency' }).error, /reason/);
+  });
+
+  it('accepts null to remove a tier override', () => {
+    assert.deepEqual(normalizeSubscriptionOverride({ tier: null, reason: 'Trial over' }), {
+      override: { tier: null },
+      reason: 'Trial over',
+    });
+  });
+
+  it('applies a tier override over the billed tier', () => {
+    assert.equal(
+      effectiveTier({ subscription_tier: 'starter', tier_override: 'agency' }),
+      'agency'
+    );
+    assert.equal(
+      effectiveTier({ subscription_tier: 'professional', tier_override: null }),
+      'professional'
+    );
+    assert.equal(effectiveTier(null), 'starter');
+  });
+
+  it('merges quota changes and removes overrides set to null', () => {
+    const current = { audits: 100, keywords: 1000 };
+
+    assert.deepEqual(mergeQuotaOverrides(current, { audits: null, reports: 20 }), {
+      keywords: 1000,
+      reports: 20,
+    });
+    assert.deepEqual(mergeQuotaOverrides(current, null), {});
+    // The stored overrides are not modified
+    assert.deepEqual(current, { audits: 100, keywords: 1000 });
+  });
+
+  it('applies overrides on top of the tier quotas', () => {
+    const quotas = applyQuotaOverrides(TIER_QUOTAS.starter, {
+      audits: 200,
+      keywords: -1,
+      crawls: 12,
+      reports: 'lots',
+    });
+
+    assert.equal(quotas.audits, 200);
+    assert.equal(quotas.keywords, -1);
+    assert.equal(quotas.crawls, 12);
+    assert.equal(quotas.reports, TIER_QUOTAS.starter.reports);
+    assert.equal(TIER_QUOTAS.starter.audits, 10);
+    assert.equal(applyQuotaOverrides(TIER_QUOTAS.starter, null), TIER_QUOTAS.starter);
+  });
+
+  it('strips filter syntax from search text', () => {
+    assert.equal(searchPattern('acme'), 'acme');
+    assert.equal(searchPattern('a,b.eq.1)'), 'a b.eq.1');
+    assert.equal(searchPattern('100%'), '100');
+    assert.equal(searchPattern('a\\_b'), 'a \\_b');
+    assert.equal(searchPattern(undefined), '');
+  });
+
+  it('escapes underscores so they only match themselves', () => {
+    assert.equal(searchPattern('first_last@'), 'first\\_last@');
+    assert.equal(searchPattern('___'), '\\_\\_\\_');
+  });
+
+  it('filters by the tier an admin granted before the billed tier', () => {
+    assert.equal(
+      tierFilter('agency'),
+      'tier_override.eq.agency,and(tier_override.is.null,subscription_tier.eq.agency)'
+    );
+  });
+});
+
+describe('Grace period status', () => {
+  const failedAt = '2025-11-20T12:00:00.000Z';
+
+  it('counts down the days left in the grace period', () => {
+    const state = gracePeriodState(failedAt, 3, new Date(Date.parse(failedAt) + 1.5 * DAY_MS));
+
+    assert.deepEqual(state, {
+      daysSinceFailure: 1,
+      daysRemaining: 2,
+      inGracePeriod: true,
+      gracePeriodEndsAt: '2025-11-23T12:00:00.000Z',
+    });
+  });
+
+  it('ends the grace period after the configured days', () => {
+    const state = gracePeriodState(failedAt, 3, new Date(Date.parse(failedAt) + 3 * DAY_MS));
+
+    assert.equal(state.inGracePeriod, false);
+    assert.equal(state.daysRemaining, 0);
+  });
+});
+
+describe('AI spend history', () => {
+  const now = new Date('2025-03-02T10:00:00.000Z');
+
+  it('lists days and months oldest first, across month and year ends', () => {
+    assert.deepEqual(recentDays(3, now), ['2025-02-28', '2025-03-01', '2025-03-02']);
+    assert.deepEqual(recentMonths(4, now), ['2024-12', '2025-01', '2025-02', '2025-03']);
+  });
+
+  it('splits daily spend by provider and totals the period', async () => {
+    const values = {
+      'ai:cost:daily:2025-03-01': '1.5',
+      'ai:cost:daily:2025-03-02': '0.25',
+      'ai:cost:monthly:2025-02': '40',
+      'ai:cost:monthly:2025-03': '1.75',
+    };
+    const hashes = {
+      'ai:usage:provider:anthropic:2025-03-01': { requests: '3', totalTokens: '9000', cost: '1.5' },
+      'ai:usage:provider:gemini:2025-03-02': { requests: '10', totalTokens: '5000', cost: '0' },
+      'ai:usage:provider:openai:2025-03-02': { requests: '1', totalTokens: '1000', cost: '0.25' },
+    };
+
+    const tracker = new AICostTracker();
+    tracker.isConnected = true;
+    tracker.redis = {
+      get: async (key) => values[key] ?? null,
+      hGetAll: async (key) => hashes[key] || {},
+    };
+
+    const history = await tracker.getSpendHistory({ days: 2, months: 2, now });
+
+    assert.equal(history.total, 1.75);
+    assert.deepEqual(
+      history.daily.map((day) => [day.date, day.cost]),
+      [
+        ['2025-03-01', 1.5],
+        ['2025-03-02', 0.25],
+      ]
+    );
+    assert.deepEqual(history.daily[0].providers.anthropic, {
+      requests: 3,
+      totalTokens: 9000,
+      cost: 1.5,
+    });
+    assert.deepEqual(history.byProvider.gemini, { requests: 10, totalTokens: 5000, cost: 0 });
+    assert.deepEqual(history.monthly, [
+      { month: '2025-02', cost: 40 },
+      { month: '2025-03', cost: 1.75 },
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * API Key Tests
+ *
+ * Key generation, scope checks and key lookup against in-memory api_keys and users tables,
+ * so no Supabase access is needed.
+ *
+ * To run: node --test tests/apiKeys.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  normalizeRateLimit,
+  normalizeScopes,
+  requiredScope,
+  verifyApiKey,
+} from '../src/services/auth/apiKeys.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+
+describe('Key generation', () => {
+  it('issues pk_ keys and stores only a hash and a short prefix', () => {
+    const { key, keyHash, keyPrefix } = generateApiKey();
+
+    assert.ok(isApiKey(key));
+    assert.ok(key.length > 30);
+    assert.equal(keyHash, hashApiKey(key));
+    assert.notEqual(keyHash, key);
+    assert.equal(keyPrefix, key.slice(0, 12));
+    assert.notEqual(generateApiKey().key, key);
+  });
+
+  it('tells API keys from Supabase JWTs', () => {
+    assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+    assert.equal(isApiKey(null), false);
+  });
+});
+
+describe('Scopes', () => {
+  it('accepts known scopes in canonical order and rejects unknown ones', () => {
+    assert.deepEqual(normalizeScopes(['audits:write', 'audits:read', 'audits:read']), {
+      scopes: ['audits:read', 'audits:write'],
+    });
+    assert.match(normalizeScopes(['billing:write']).error, /Unknown scopes: billing:write/);
+    assert.match(normalizeScopes([]).error, /non-empty/);
+  });
+
+  it('maps routers and methods to the scope they need', () => {
+    assert.equal(requiredScope('/api/audits', 'GET'), 'audits:read');
+    assert.equal(requiredScope('/api/audits', 'POST'), 'audits:write');
+    assert.equal(requiredScope('/api/rankings', 'DELETE'), 'rankings:write');
+    // Keys never reach account, billing, key management or admin routes
+    assert.equal(requiredScope('/api/api-keys', 'GET'), null);
+    assert.equal(requiredScope('/api/billing', 'POST'), null);
+    assert.equal(requiredScope('/api/admin', 'GET'), null);
+  });
+
+  it('accepts an optional whole-number rate limit', () => {
+    assert.deepEqual(normalizeRateLimit(undefined), { rateLimit: null });
+    assert.deepEqual(normalizeRateLimit(120), { rateLimit: 120 });
+    assert.match(normalizeRateLimit(0).error, /rate_limit_per_minute/);
+    assert.match(normalizeRateLimit(2.5).error, /whole number/);
+    assert.match(normalizeRateLimit('60').error, /whole number/);
+  });
+});
+
+describe('Key lookup', () => {
+  const { key, keyHash, keyPrefix } = generateApiKey();
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      api_keys: [
+        {
+          id: 'key-1',
+          user_id: USER_ID,
+          key_hash: keyHash,
+          key_prefix: keyPrefix,
+          scopes: ['audits:read'],
+          rate_limit_per_minute: 30,
+          expires_at: null,
+          is_active: true,
+          last_used_at: null,
+        },
+      ],
+      users: [{ id: USER_ID, email: 'dev@prismify.local', subscription_tier: 'professional' }],
+    };
+  });
+
+  it('resolves the owner and records the use', async () => {
+    const { apiKey, user, error } = await verifyApiKey(createFakeSupabase(tables), key);
+
+    assert.equal(error, undefined);
+    assert.deepEqual(apiKey, { id: 'key-1', scopes: ['audits:read'], rateLimitPerMinute: 30 });
+    assert.equal(user.id, USER_ID);
+    assert.equal(user.subscription_tier, 'professional');
+    assert.ok(tables.api_keys[0].last_used_at);
+  });
+
+  it('rejects unknown, revoked and expired keys', async () => {
+    const unknown = await verifyApiKey(createFakeSupabase(tables), generateApiKey().key);
+    assert.match(unknown.error, /Invalid or revoked/);
+
+    tables.api_keys[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    const expired = await verifyApiKey(createFakeSupabase(tables), key);
+    assert.match(expired.error, /expired/);
+
+    tables.api_keys[0].is_active = false;
+    const revoked = await verifyApiKey(createFakeSupabase(tables), key);
+    assert.match(revoked.error, /Invalid or revoked/);
+    assert.equal(tables.api_keys[0].last_used_at, null);
+  });
+
+  it('rejects keys of deactivated accounts', async () => {
+    tables.users[0].is_active = false;
+    const { error } = await verifyApiKey(createFakeSupabase(tables), key);
+    assert.match(error, /Invalid or revoked/);
+  });
+});
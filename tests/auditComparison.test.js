@@ -0,0 +1,118 @@
+/**
+ * Audit Comparison Tests
+ *
+ * Every SEOAgent issue carries a stable code, and two audits are diffed issue by issue on
+ * those codes.
+ *
+ * To run: node --test tests/auditComparison.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+import { diffAudits, issueKey } from '../src/services/auditComparison.js';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/html/${name}.html`, import.meta.url), 'utf8');
+
+const agent = new SEOAgent({ heartbeatEnabled: false });
+
+const audit = (scores, recommendations) => ({
+  overall_score: scores.overall,
+  meta_score: scores.meta,
+  content_score: scores.content,
+  technical_score: 80,
+  mobile_score: 100,
+  performance_score: 60,
+  security_score: 70,
+  accessibility_score: 90,
+  recommendations,
+});
+
+describe('issue codes', () => {
+  it('gives every issue of a comprehensive audit a stable code', async () => {
+    const pages = [
+      ['http://example.com/page?id=1', '<html><body><p>Thin page</p></body></html>'],
+      ['https://example.com/', fixture('accessibility')],
+      ['https://example.com/', fixture('structured-data')],
+      ['https://example.com/', fixture('forms-and-links')],
+    ];
+
+    for (const [url, content] of pages) {
+      const result = await agent.performComprehensiveAudit({ url, content });
+      for (const issue of result.recommendations) {
+        assert.match(issue.code || '', /^[A-Z][A-Z0-9_]+$/, `${issue.message} has no code`);
+      }
+    }
+  });
+
+  it('falls back to category and message with numbers masked for legacy issues', () => {
+    assert.equal(
+      issueKey({ category: 'Content', title: 'Content is too short (120 words)' }),
+      issueKey({ category: 'Content', title: 'Content is too short (87 words)' })
+    );
+    assert.equal(issueKey({ code: 'H1_MISSING', title: 'Missing H1 heading' }), 'H1_MISSING');
+  });
+});
+
+describe('diffAudits', () => {
+  const baseline = audit({ overall: 62, meta: 70, content: 40 }, [
+    {
+      code: 'TITLE_MISSING',
+      category: 'Meta Tags',
+      priority: 'critical',
+      title: 'Missing page title',
+    },
+    {
+      code: 'CONTENT_TOO_SHORT',
+      category: 'Content',
+      priority: 'high',
+      title: 'Content is too short (90 words)',
+    },
+    {
+      code: 'SITEMAP_NOT_FOUND',
+      category: 'Technical SEO',
+      priority: 'medium',
+      title: 'No sitemap',
+    },
+  ]);
+  const current = audit({ overall: 71, meta: 95, content: 35 }, [
+    {
+      code: 'CONTENT_TOO_SHORT',
+      category: 'Content',
+      priority: 'high',
+      title: 'Content is too short (150 words)',
+    },
+    { code: 'SITEMAP_NOT_FOUND', category: 'Technical SEO', priority: 'low', title: 'No sitemap' },
+    { code: 'H1_MISSING', category: 'Meta Tags', priority: 'high', title: 'Missing H1 heading' },
+    { code: 'H1_MISSING', category: 'Meta Tags', priority: 'high', title: 'Missing H1 heading' },
+  ]);
+  const diff = diffAudits(current, baseline);
+
+  it('reports per-component score deltas', () => {
+    assert.deepEqual(diff.score_deltas.overall, { current: 71, previous: 62, delta: 9 });
+    assert.equal(diff.score_deltas.meta.delta, 25);
+    assert.equal(diff.score_deltas.content.delta, -5);
+    assert.equal(diff.score_deltas.mobile.delta, 0);
+  });
+
+  it('matches issues by code into fixed, introduced and unchanged', () => {
+    assert.deepEqual(
+      diff.issues.fixed.map((issue) => issue.code),
+      ['TITLE_MISSING']
+    );
+    assert.deepEqual(
+      diff.issues.introduced.map((issue) => [issue.code, issue.occurrences]),
+      [['H1_MISSING', 2]]
+    );
+    assert.deepEqual(
+      diff.issues.unchanged.map((issue) => [issue.code, issue.previous_priority]),
+      [
+        ['CONTENT_TOO_SHORT', undefined],
+        ['SITEMAP_NOT_FOUND', 'medium'],
+      ]
+    );
+    assert.deepEqual(diff.summary, { score_delta: 9, fixed: 1, introduced: 1, unchanged: 2 });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Audit Queue Lease Tests
+ *
+ * Claiming, lease renewal, recovery of jobs left behind by a dead worker and cancellation,
+ * against a fake Redis client so no Redis server is needed.
+ *
+ * To run: node --test tests/auditQueue.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import auditQueue, { JOB_STATUS, QUEUE_DEFAULTS } from '../src/services/jobs/auditQueue.js';
+
+/**
+ * Just enough of a node-redis client for the queue's hash and sorted set commands
+ */
+function fakeRedis() {
+  const hashes = new Map();
+  const sets = new Map();
+
+  const set = (key) => {
+    if (!sets.has(key)) {
+      sets.set(key, new Map());
+    }
+    return sets.get(key);
+  };
+
+  const inRange = (score, min, max) => score >= min && score <= max;
+
+  const client = {
+    hashes,
+    sets,
+    hSet: async (key, values) => {
+      const hash = hashes.get(key) || {};
+      for (const [field, value] of Object.entries(values)) {
+        hash[field] = String(value);
+      }
+      hashes.set(key, hash);
+      return 1;
+    },
+    hGetAll: async (key) => ({ ...(hashes.get(key) || {}) }),
+    hGet: async (key, field) => hashes.get(key)?.[field] ?? null,
+    expire: async () => 1,
+    zAdd: async (key, { score, value }, { condition, CH } = {}) => {
+      const members = set(key);
+      const exists = members.has(value);
+      if ((condition === 'XX' && !exists) || (condition === 'NX' && exists)) {
+        return 0;
+      }
+      const changed = !exists || members.get(value) !== score;
+      members.set(value, score);
+      return CH ? Number(changed) : Number(!exists);
+    },
+    zRem: async (key, value) => Number(set(key).delete(value)),
+    zCard: async (key) => set(key).size,
+    zScore: async (key, value) => set(key).get(value) ?? null,
+    zRangeByScore: async (key, min, max, { LIMIT } = {}) => {
+      const members = [...set(key)]
+        .filter(([, score]) => inRange(score, min, max))
+        .sort((a, b) => a[1] - b[1])
+        .map(([value]) => value);
+      return LIMIT ? members.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : members;
+    },
+    zRemRangeByScore: async (key, min, max) => {
+      let removed = 0;
+      for (const [value, score] of set(key)) {
+        if (inRange(score, min, max)) {
+          set(key).delete(value);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    multi: () => {
+      const commands = [];
+      const chain = new Proxy(
+        {},
+        {
+          get: (_target, name) =>
+            name === 'exec'
+              ? async () => {
+                  const results = [];
+                  for (const command of commands) {
+                    results.push(await command());
+                  }
+                  return results;
+                }
+              : (...args) => {
+                  commands.push(() => client[name](...args));
+                  return chain;
+                },
+        }
+      );
+      return chain;
+    },
+  };
+  return client;
+}
+
+const enqueue = (auditId = 'audit-1') =>
+  auditQueue.enqueue({ auditId, userId: 'user-1', url: 'https://example.com', tier: 'agency' });
+
+describe('Audit queue leases', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    auditQueue.client = redis;
+  });
+
+  it('holds a lease while a claimed job runs', async () => {
+    await enqueue();
+    const job = await auditQueue.claimNext();
+
+    assert.equal(job.status, JOB_STATUS.RUNNING);
+    assert.ok(await redis.zScore('audit:leases', 'audit-1'));
+    assert.equal(await redis.zCard('audit:queue'), 0);
+  });
+
+  it('renews the lease in both the lease set and the user running set', async () => {
+    await enqueue();
+    const job = await auditQueue.claimNext();
+    const later = Date.now() + QUEUE_DEFAULTS.leaseMs - 1000;
+
+    assert.equal(await auditQueue.renewLease(job, later), true);
+    assert.equal(await redis.zScore('audit:leases', 'audit-1'), later + QUEUE_DEFAULTS.leaseMs);
+    assert.equal(
+      await redis.zScore('audit:running:user-1', 'audit-1'),
+      later + QUEUE_DEFAULTS.leaseMs
+    );
+  });
+
+  it('does not renew a lease that was released', async () => {
+    await enqueue();
+    const job = await auditQueue.claimNext();
+    await auditQueue.finish(job, JOB_STATUS.COMPLETED);
+
+    assert.equal(await auditQueue.renewLease(job), false);
+    assert.equal(await redis.zScore('audit:leases', 'audit-1'), null);
+  });
+
+  it('leaves renewed leases alone', async () => {
+    await enqueue();
+    const job = await auditQueue.claimNext();
+    const later = Date.now() + QUEUE_DEFAULTS.leaseMs;
+    await auditQueue.renewLease(job, later);
+
+    const recovered = await auditQueue.recoverExpiredLeases(later + 1000);
+
+    assert.deepEqual(recovered, { requeued: [], failed: [] });
+  });
+
+  it('puts the job of a dead worker back on the queue', async () => {
+    await enqueue();
+    await auditQueue.claimNext();
+
+    const recovered = await auditQueue.recoverExpiredLeases(
+      Date.now() + QUEUE_DEFAULTS.leaseMs + 1000
+    );
+
+    assert.equal(recovered.requeued.length, 1);
+    assert.equal((await auditQueue.getJob('audit-1')).status, JOB_STATUS.QUEUED);
+    assert.ok(await redis.zScore('audit:queue', 'audit-1'));
+    assert.equal(await redis.zCard('audit:running:user-1'), 0);
+    assert.equal(await redis.zCard('audit:leases'), 0);
+  });
+
+  it('fails the job once it is out of attempts', async () => {
+    await enqueue();
+    await redis.hSet('audit:job:audit-1', { attempts: QUEUE_DEFAULTS.maxAttempts - 1 });
+    await auditQueue.claimNext();
+
+    const recovered = await auditQueue.recoverExpiredLeases(
+      Date.now() + QUEUE_DEFAULTS.leaseMs + 1000
+    );
+
+    assert.equal(recovered.failed.length, 1);
+    const job = await auditQueue.getJob('audit-1');
+    assert.equal(job.status, JOB_STATUS.FAILED);
+    assert.match(job.last_error, /lease expired/);
+    assert.equal(await redis.zScore('audit:queue', 'audit-1'), null);
+  });
+
+  it('ignores jobs that finished before the sweep', async () => {
+    await enqueue();
+    const job = await auditQueue.claimNext();
+    await redis.hSet('audit:job:audit-1', { status: JOB_STATUS.COMPLETED });
+
+    const recovered = await auditQueue.recoverExpiredLeases(
+      Date.now() + QUEUE_DEFAULTS.leaseMs + 1000
+    );
+
+    assert.deepEqual(recovered, { requeued: [], failed: [] });
+    assert.equal((await auditQueue.getJob(job.audit_id)).status, JOB_STATUS.COMPLETED);
+  });
+});
+
+describe('Audit queue cancellation', () => {
+  let redis;
+
+  beforeEach(() => {
+    redis = fakeRedis();
+    auditQueue.client = redis;
+  });
+
+  it('cancels a queued job before a worker claims it', async () => {
+    await enqueue();
+
+    const cancelled = await auditQueue.cancel('audit-1');
+
+    assert.equal(cancelled.status, JOB_STATUS.CANCELLED);
+    assert.equal(await auditQueue.claimNext(), null);
+    assert.equal((await auditQueue.getJob('audit-1')).status, JOB_STATUS.CANCELLED);
+  });
+
+  it('flags a running job for the worker to stop', async () => {
+    await enqueue();
+    await auditQueue.claimNext();
+
+    const cancelled = await auditQueue.cancel('audit-1');
+
+    assert.equal(cancelled.status, JOB_STATUS.RUNNING);
+    assert.equal(await auditQueue.isCancelRequested('audit-1'), true);
+  });
+
+  it('leaves a job claimed at the same moment to the worker, flagged', async () => {
+    await enqueue();
+
+    // Cancel while the claim is between reading the job and marking it running
+    let cancelled;
+    const zCard = redis.zCard;
+    redis.zCard = async (key) => {
+      redis.zCard = zCard;
+      cancelled = await auditQueue.cancel('audit-1');
+      return zCard(key);
+    };
+    const claimed = await auditQueue.claimNext();
+
+    assert.equal(claimed.status, JOB_STATUS.RUNNING);
+    assert.notEqual(cancelled.status, JOB_STATUS.CANCELLED);
+    const job = await auditQueue.getJob('audit-1');
+    assert.equal(job.status, JOB_STATUS.RUNNING);
+    assert.equal(job.finished_at, null);
+    assert.equal(job.cancel_requested, true);
+    assert.ok(await redis.zScore('audit:leases', 'audit-1'));
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Audit Schedule Tests
+ *
+ * Recurrence of daily/weekly/monthly schedules and the regression checks run after each
+ * scheduled audit.
+ *
+ * To run: node --test tests/auditSchedule.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeNextRun,
+  detectRegressions,
+  describeAlerts,
+} from '../src/services/jobs/auditSchedule.js';
+
+const entry = (score, components, recommendations = []) => ({
+  id: `audit-${score}`,
+  score,
+  scores: Object.fromEntries(
+    Object.entries(components).map(([component, value]) => [component, { score: value }])
+  ),
+  recommendations,
+});
+
+describe('computeNextRun', () => {
+  const now = new Date('2025-03-10T09:30:00Z');
+
+  it('advances daily and weekly schedules past now', () => {
+    assert.equal(
+      computeNextRun('daily', '2025-03-10T09:00:00Z', now).toISOString(),
+      '2025-03-11T09:00:00.000Z'
+    );
+    assert.equal(
+      computeNextRun('weekly', '2025-03-10T09:00:00Z', now).toISOString(),
+      '2025-03-17T09:00:00.000Z'
+    );
+  });
+
+  it('skips runs missed while the scheduler was down', () => {
+    assert.equal(
+      computeNextRun('daily', '2025-03-01T09:00:00Z', now).toISOString(),
+      '2025-03-11T09:00:00.000Z'
+    );
+  });
+
+  it('keeps the day of month, clamped to shorter months', () => {
+    assert.equal(
+      computeNextRun('monthly', '2025-01-31T09:00:00Z', new Date('2025-02-01')).toISOString(),
+      '2025-02-28T09:00:00.000Z'
+    );
+    assert.throws(() => computeNextRun('hourly', now), /Unknown schedule frequency/);
+  });
+});
+
+describe('detectRegressions', () => {
+  const previous = entry(82, { meta: 90, performance: 70, security: 80 }, [
+    { code: 'HTTPS_MISSING', priority: 'critical', category: 'Security', title: 'No HTTPS' },
+  ]);
+
+  it('alerts on overall and component drops past the threshold', () => {
+    const current = entry(78, { meta: 90, performance: 58, security: 77 });
+    const alerts = detectRegressions(current, previous, { threshold: 4 });
+
+    assert.deepEqual(alerts, [
+      { type: 'score_drop', component: 'overall', previous: 82, current: 78, drop: 4 },
+      { type: 'score_drop', component: 'performance', previous: 70, current: 58, drop: 12 },
+    ]);
+  });
+
+  it('alerts on critical issues that were not critical before', () => {
+    const current = entry(82, { meta: 90, performance: 70, security: 80 }, [
+      { code: 'HTTPS_MISSING', priority: 'critical', category: 'Security', title: 'No HTTPS' },
+      { code: 'TITLE_MISSING', priority: 'critical', category: 'Meta Tags', title: 'No title' },
+      { code: 'H1_MISSING', priority: 'high', category: 'Content', title: 'No H1' },
+    ]);
+    const alerts = detectRegressions(current, previous);
+
+    assert.deepEqual(alerts, [
+      {
+        type: 'new_critical_issue',
+        code: 'TITLE_MISSING',
+        title: 'No title',
+        category: 'Meta Tags',
+      },
+    ]);
+    assert.equal(
+      describeAlerts('https://example.com/', alerts),
+      'Scheduled audit of https://example.com/ found regressions:\n- New critical issue (Meta Tags): No title'
+    );
+  });
+
+  it('ignores improvements and drops below the threshold', () => {
+    const current = entry(86, { meta: 88, performance: 75, security: 80 });
+    assert.deepEqual(detectRegressions(current, previous), []);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Competitor Analysis Tests
+ *
+ * Page profiles, the comparison matrix and content gaps from fixture HTML, and a full run
+ * against pages served from a local HTTP server, so no network access is needed.
+ *
+ * To run: node --test tests/competitorAnalysis.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { parseHtmlDocument } from '../src/services/crawler/htmlDocument.js';
+import {
+  buildPageProfile,
+  buildComparisonMatrix,
+  findContentGaps,
+} from '../src/services/competitors/competitorAnalysis.js';
+import { runCompetitorAnalysis } from '../src/services/competitors/competitorRunner.js';
+import { getCompetitorLimit } from '../src/config/tiers.js';
+
+const page = ({ title, description = '', headings = [], body = '', schema = null }) =>
+  `<!DOCTYPE html><html lang="en"><head><title>${title}</title>` +
+  `<meta name="description" content="${description}">` +
+  (schema ? `<script type="application/ld+json">${JSON.stringify(schema)}</script>` : '') +
+  `</head><body><h1>${title}</h1>` +
+  headings.map(([level, text]) => `<h${level}>${text}</h${level}>`).join('') +
+  `<p>${body}</p></body></html>`;
+
+const TARGET = page({
+  title: 'Espresso Machines',
+  description: 'Our espresso machines.',
+  headings: [[2, 'Choosing an espresso machine']],
+  body: 'We sell espresso machines for every kitchen.',
+});
+
+const COMPETITOR_A = page({
+  title: 'Best Espresso Machines Reviewed',
+  description: 'Hands-on reviews of home espresso machines.',
+  headings: [
+    [2, 'How we test espresso machines'],
+    [2, 'Milk frother options'],
+    [3, 'Grinder settings'],
+  ],
+  body:
+    'A good milk frother matters. Milk frother wands differ. Each milk frother was timed. ' +
+    'Descaling keeps the boiler clean.',
+  schema: { '@context': 'https://schema.org', '@type': 'Product', name: 'Machine' },
+});
+
+const COMPETITOR_B = page({
+  title: 'Espresso Machine Buying Guide',
+  description: 'Everything about espresso machines.',
+  headings: [
+    [2, 'Milk frothers compared'],
+    [2, 'Choosing your espresso machine'],
+  ],
+  body: 'Compare each milk frother. The milk frother on a budget machine is slow. Milk frother tips.',
+  schema: { '@context': 'https://schema.org', '@type': ['Article', 'FAQPage'] },
+});
+
+const results = (overall, meta) => ({
+  overall_score: overall,
+  grade: 'B',
+  meta_score: meta,
+  content_score: 70,
+  technical_score: 80,
+  mobile_score: 90,
+  performance_score: 60,
+  security_score: 50,
+  accessibility_score: 75,
+});
+
+describe('Page profiles', () => {
+  it('collects scores, headings, schema types and title/description lengths', () => {
+    const profile = buildPageProfile({
+      url: 'https://a.example/',
+      html: COMPETITOR_A,
+      results: results(81, 90),
+    });
+
+    assert.equal(profile.overall_score, 81);
+    assert.equal(profile.scores.meta, 90);
+    assert.deepEqual(profile.heading_counts, { h1: 1, h2: 2, h3: 1, h4: 0, h5: 0, h6: 0 });
+    assert.deepEqual(profile.headings.h3, ['Grinder settings']);
+    assert.deepEqual(profile.schema_types, ['Product']);
+    assert.equal(profile.title_length, 'Best Espresso Machines Reviewed'.length);
+    assert.equal(profile.description_length, 'Hands-on reviews of home espresso machines.'.length);
+    assert.ok(profile.word_count > 10);
+  });
+});
+
+describe('Comparison matrix', () => {
+  const target = buildPageProfile({
+    url: 'https://me.example/',
+    html: TARGET,
+    results: results(60, 50),
+  });
+  const a = buildPageProfile({
+    url: 'https://a.example/',
+    html: COMPETITOR_A,
+    results: results(80, 90),
+  });
+  const b = buildPageProfile({
+    url: 'https://b.example/',
+    html: COMPETITOR_B,
+    results: results(70, 70),
+  });
+  const failed = { url: 'https://down.example/', status: 'failed', failure: { code: 'TIMEOUT' } };
+
+  const matrix = buildComparisonMatrix(target, [a, b, failed]);
+
+  it('lists every page with its role and keeps failed competitors', () => {
+    assert.deepEqual(
+      matrix.pages.map((row) => [row.role, row.status]),
+      [
+        ['target', 'completed'],
+        ['competitor', 'completed'],
+        ['competitor', 'completed'],
+        ['competitor', 'failed'],
+      ]
+    );
+    assert.equal(matrix.pages[3].failure.code, 'TIMEOUT');
+  });
+
+  it('benchmarks the target against audited competitors only', () => {
+    const overall = matrix.benchmarks.find((row) => row.metric === 'overall_score');
+    assert.deepEqual(overall, {
+      metric: 'overall_score',
+      target: 60,
+      competitor_average: 75,
+      competitor_best: 80,
+      difference: -15,
+    });
+
+    const schemaTypes = matrix.benchmarks.find((row) => row.metric === 'schema_type_count');
+    assert.equal(schemaTypes.target, 0);
+    assert.equal(schemaTypes.competitor_best, 2);
+  });
+
+  it('scores heading coverage over the topics of all compared pages', () => {
+    const [targetRow, aRow] = matrix.pages;
+    assert.ok(targetRow.heading_coverage < aRow.heading_coverage);
+    assert.ok(targetRow.heading_coverage > 0);
+  });
+});
+
+describe('Content gaps', () => {
+  const gaps = findContentGaps({ url: 'https://me.example/', doc: parseHtmlDocument(TARGET) }, [
+    { url: 'https://a.example/', doc: parseHtmlDocument(COMPETITOR_A) },
+    { url: 'https://b.example/', doc: parseHtmlDocument(COMPETITOR_B) },
+  ]);
+
+  it('reports terms most competitors cover that the target does not', () => {
+    const frother = gaps.keywords.find((gap) => gap.term === 'milk frother');
+    assert.ok(frother);
+    assert.equal(frother.competitor_count, 2);
+    assert.equal(frother.target_mentions, 0);
+    // Words of a reported phrase are not repeated on their own
+    assert.ok(!gaps.keywords.some((gap) => gap.term === 'frother'));
+    // A single body mention does not count as covering a term
+    assert.ok(!gaps.keywords.some((gap) => gap.term === 'descaling'));
+    // Covered by the target
+    assert.ok(!gaps.keywords.some((gap) => gap.term === 'espresso'));
+  });
+
+  it('reports competitor heading topics the target has no heading for', () => {
+    const frother = gaps.headings.find((gap) => gap.heading === 'Milk frother options');
+    // "Milk frothers compared" is the same topic
+    assert.equal(frother.competitor_count, 2);
+    assert.ok(!gaps.headings.some((gap) => gap.heading === 'Milk frothers compared'));
+    assert.ok(!gaps.headings.some((gap) => gap.heading === 'Choosing your espresso machine'));
+
+    const single = findContentGaps({ url: 'https://me.example/', doc: parseHtmlDocument(TARGET) }, [
+      { url: 'https://a.example/', doc: parseHtmlDocument(COMPETITOR_A) },
+    ]);
+    assert.ok(single.headings.some((gap) => gap.heading === 'Grinder settings' && gap.level === 3));
+  });
+});
+
+describe('Competitor runs', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const pages = { '/me': TARGET, '/a': COMPETITOR_A, '/b': COMPETITOR_B };
+    server = http.createServer((req, res) => {
+      const html = pages[req.url];
+      res.writeHead(html ? 200 : 404, { 'Content-Type': 'text/html' });
+      res.end(html || 'Not found');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('audits every page and reports unreachable competitors as failed', async () => {
+    const progress = [];
+    const outcome = await runCompetitorAnalysis(
+      `${baseUrl}/me`,
+      [`${baseUrl}/a`, `${baseUrl}/b`, `${baseUrl}/missing`],
+      {
+        fetchOptions: { allowPrivateHosts: true },
+        onPage: (count) => progress.push(count),
+      }
+    );
+
+    assert.equal(outcome.status, 'completed');
+    assert.deepEqual(progress, [1, 2, 3, 4]);
+    assert.deepEqual(
+      outcome.result.pages.map((row) => row.status),
+      ['completed', 'completed', 'completed', 'failed']
+    );
+    assert.equal(typeof outcome.result.pages[0].overall_score, 'number');
+    assert.ok(outcome.result.gaps.keywords.some((gap) => gap.term === 'milk frother'));
+  });
+
+  it('fails when the target page cannot be fetched', async () => {
+    const outcome = await runCompetitorAnalysis(`${baseUrl}/missing`, [`${baseUrl}/a`], {
+      fetchOptions: { allowPrivateHosts: true },
+    });
+    assert.equal(outcome.status, 'failed');
+    assert.ok(outcome.failure.code);
+  });
+
+  it('caps competitor URLs per tier', () => {
+    assert.equal(getCompetitorLimit('professional'), 5);
+    assert.equal(getCompetitorLimit('unknown'), getCompetitorLimit('starter'));
+  });
+});
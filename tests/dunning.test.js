@@ -0,0 +1,193 @@
+/**
+ * Dunning Sequence Tests
+ *
+ * The step planner is pure; the sequence functions run against an in-memory
+ * dunning_sequences table standing in for Supabase.
+ *
+ * To run: node --test tests/dunning.test.js
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DUNNING_STATE,
+  claimDunningStep,
+  closeDunningSequence,
+  dunningDay,
+  dunningEmailData,
+  markDunningSuspended,
+  openDunningSequence,
+  planDunning,
+  releaseDunningStep,
+} from '../src/services/stripe/dunning.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRACE_DAYS = 3;
+const STARTED_AT = '2025-11-03T10:00:00.000Z';
+
+const dayOf = (day, hours = 1) =>
+  new Date(new Date(STARTED_AT).getTime() + (day - 1) * DAY_MS + hours * 60 * 60 * 1000);
+
+const sequence = (overrides = {}) => ({
+  id: 'seq-1',
+  user_id: 'user-1',
+  state: DUNNING_STATE.ACTIVE,
+  started_at: STARTED_AT,
+  day_1_sent_at: null,
+  day_3_sent_at: null,
+  day_7_sent_at: null,
+  ended_at: null,
+  ...overrides,
+});
+
+/**
+ * dunning_sequences, with its one open sequence per user unique index
+ */
+function createSequenceTable() {
+  const client = createFakeSupabase(
+    { dunning_sequences: [] },
+    {
+      unique: {
+        dunning_sequences: (existing, row) =>
+          existing.user_id === row.user_id && !existing.ended_at,
+      },
+      defaults: { dunning_sequences: (n) => sequence({ id: `seq-${n}` }) },
+    }
+  );
+  return { rows: client.tables.dunning_sequences, client };
+}
+
+describe('Dunning Sequences', () => {
+  describe('dunningDay', () => {
+    it('counts the day of the failed payment as day 1', () => {
+      assert.equal(dunningDay(STARTED_AT, new Date(STARTED_AT)), 1);
+      assert.equal(dunningDay(STARTED_AT, dayOf(1, 23)), 1);
+      assert.equal(dunningDay(STARTED_AT, dayOf(3)), 3);
+    });
+  });
+
+  describe('planDunning', () => {
+    const plan = (row, day, hours) =>
+      planDunning(row, { graceDays: GRACE_DAYS, now: dayOf(day, hours) });
+
+    it('sends day 1 on the day of the failure', () => {
+      assert.deepEqual(plan(sequence(), 1), { day: 1, step: 1, suspend: false });
+      assert.equal(plan(sequence({ day_1_sent_at: STARTED_AT }), 1).step, null);
+    });
+
+    it('sends day 3 on the last day of the grace period', () => {
+      const row = sequence({ day_1_sent_at: STARTED_AT });
+
+      assert.equal(plan(row, 2).step, null);
+      assert.deepEqual(plan(row, 3), { day: 3, step: 3, suspend: false });
+    });
+
+    it('suspends once the grace period is over, without a late warning', () => {
+      const row = sequence({ day_1_sent_at: STARTED_AT });
+
+      assert.deepEqual(plan(row, 4), { day: 4, step: null, suspend: true });
+      assert.equal(plan({ ...row, state: DUNNING_STATE.SUSPENDED }, 4).suspend, false);
+    });
+
+    it('sends day 7 after the suspension', () => {
+      const row = sequence({ state: DUNNING_STATE.SUSPENDED, day_1_sent_at: STARTED_AT });
+
+      assert.equal(plan(row, 6).step, null);
+      assert.equal(plan(row, 7).step, 7);
+      assert.equal(plan({ ...row, day_7_sent_at: STARTED_AT }, 12).step, null);
+    });
+
+    it('does nothing for an ended sequence', () => {
+      const row = sequence({ state: DUNNING_STATE.RECOVERED, ended_at: STARTED_AT });
+
+      assert.deepEqual(plan(row, 7), { day: 7, step: null, suspend: false });
+    });
+  });
+
+  describe('dunningEmailData', () => {
+    it('formats the invoice for the day 1 email', () => {
+      const row = sequence({ amount_due: 14900, currency: 'usd', invoice_url: 'https://inv' });
+
+      assert.deepEqual(dunningEmailData(row, 1, { graceDays: GRACE_DAYS, now: dayOf(1) }), {
+        invoiceUrl: 'https://inv',
+        amountDue: '149.00',
+        currency: 'USD',
+        gracePeriodDays: GRACE_DAYS,
+      });
+    });
+
+    it('counts the days left for the day 3 email', () => {
+      const data = dunningEmailData(sequence(), 3, { graceDays: GRACE_DAYS, now: dayOf(3) });
+
+      assert.equal(data.daysRemaining, 1);
+    });
+  });
+
+  describe('sequence table', () => {
+    let table;
+
+    beforeEach(() => {
+      table = createSequenceTable();
+    });
+
+    it('reuses the open sequence for retried invoices', async () => {
+      const first = await openDunningSequence(table.client, 'user-1', {
+        stripe_invoice_id: 'in_1',
+      });
+      const retry = await openDunningSequence(table.client, 'user-1', {
+        stripe_invoice_id: 'in_1',
+      });
+
+      assert.equal(retry.id, first.id);
+      assert.equal(table.rows.length, 1);
+    });
+
+    it('claims each step once', async () => {
+      const { id } = await openDunningSequence(table.client, 'user-1');
+
+      const sentAt = await claimDunningStep(table.client, id, 1, dayOf(1));
+      assert.ok(sentAt);
+      assert.equal(await claimDunningStep(table.client, id, 1, dayOf(1, 2)), null);
+    });
+
+    it('lets a released step be claimed again', async () => {
+      const { id } = await openDunningSequence(table.client, 'user-1');
+
+      const sentAt = await claimDunningStep(table.client, id, 3, dayOf(3));
+      await releaseDunningStep(table.client, id, 3, sentAt);
+
+      assert.ok(await claimDunningStep(table.client, id, 3, dayOf(3, 2)));
+    });
+
+    it('suspends an active sequence once', async () => {
+      const { id } = await openDunningSequence(table.client, 'user-1');
+
+      assert.equal(await markDunningSuspended(table.client, id, dayOf(4)), true);
+      assert.equal(await markDunningSuspended(table.client, id, dayOf(4, 2)), false);
+      assert.equal(table.rows[0].state, DUNNING_STATE.SUSPENDED);
+    });
+
+    it('closes the sequence so no more steps are claimed and a new failure starts over', async () => {
+      const { id } = await openDunningSequence(table.client, 'user-1');
+
+      const closed = await closeDunningSequence(table.client, 'user-1', DUNNING_STATE.RECOVERED);
+      assert.equal(closed.state, DUNNING_STATE.RECOVERED);
+      assert.equal(
+        await closeDunningSequence(table.client, 'user-1', DUNNING_STATE.RECOVERED),
+        null
+      );
+      assert.equal(await claimDunningStep(table.client, id, 3), null);
+
+      const next = await openDunningSequence(table.client, 'user-1');
+      assert.notEqual(next.id, id);
+    });
+
+    it('rejects other end states', async () => {
+      await assert.rejects(
+        closeDunningSequence(table.client, 'user-1', DUNNING_STATE.SUSPENDED),
+        /Invalid dunning end state/
+      );
+    });
+  });
+});
@@ -0,0 +1,566 @@
+/**
+ * Email Delivery Tests
+ *
+ * Templates, the outbound_emails queue (against an in-memory table) and the transports:
+ * SMTP against a scripted local SMTP server (STARTTLS with the self-signed certificate in
+ * fixtures/tls.js), Resend and SendGrid against a local HTTP server. No email leaves the
+ * machine.
+ *
+ * To run: node --test tests/emailDelivery.test.js
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import tls from 'node:tls';
+import http from 'node:http';
+import { DUNNING_SUBJECTS, renderEmail } from '../src/services/email/templates.js';
+import {
+  EMAIL_STATUS,
+  processEmailQueue,
+  queueEmail,
+  resolveEmailTransport,
+} from '../src/services/email/emailDelivery.js';
+import { EmailDeliveryError, EMAIL_ERROR_CODES } from '../src/services/email/transports/common.js';
+import { createMailboxTransport } from '../src/services/email/transports/mailbox.js';
+import { createSmtpTransport } from '../src/services/email/transports/smtp.js';
+import { createResendTransport } from '../src/services/email/transports/resend.js';
+import { createSendGridTransport } from '../src/services/email/transports/sendgrid.js';
+import { TEST_TLS_CERT, TEST_TLS_KEY } from './fixtures/tls.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const MINUTE = 60 * 1000;
+
+/**
+ * outbound_emails, with its unique dedupe_key index
+ */
+function createEmailTable() {
+  const supabase = createFakeSupabase(
+    { outbound_emails: [] },
+    {
+      unique: {
+        outbound_emails: (existing, row) =>
+          Boolean(row.dedupe_key) && existing.dedupe_key === row.dedupe_key,
+      },
+      defaults: { outbound_emails: (n) => ({ id: `email-${n}`, last_attempt_at: null }) },
+    }
+  );
+  return { ...supabase, rows: supabase.tables.outbound_emails };
+}
+
+/**
+ * Transport that fails with the given errors before it starts succeeding
+ */
+function createFlakyTransport(failures) {
+  const sent = [];
+  return {
+    name: 'flaky',
+    sent,
+    isConfigured: () => true,
+    async send(message) {
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      sent.push(message);
+      return { id: `flaky-${sent.length}` };
+    },
+  };
+}
+
+const transient = () =>
+  new EmailDeliveryError(EMAIL_ERROR_CODES.REQUEST_FAILED, 'provider returned HTTP 503');
+
+const MESSAGE = {
+  from: { email: 'noreply@prismify.local', name: 'Prismify' },
+  to: 'owner@example.com',
+  subject: 'Audit completed',
+  html: '<p>Done</p>',
+  text: 'Done',
+};
+
+describe('Email templates', () => {
+  it('renders dunning emails as HTML and text with escaped values', () => {
+    const { subject, html, text } = renderEmail('dunning_day_1', {
+      name: '<script>alert(1)</script>',
+      amountDue: '49.00',
+      currency: 'USD',
+      gracePeriodDays: 3,
+      invoiceUrl: 'https://invoice.stripe.com/i/test?a=1&b=2',
+    });
+
+    assert.equal(subject, DUNNING_SUBJECTS[1]);
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+    assert.ok(html.includes('href="https://invoice.stripe.com/i/test?a=1&amp;b=2"'));
+    assert.match(text, /^Hi <script>alert\(1\)<\/script>,/);
+    assert.match(text, /49\.00 USD/);
+    assert.match(text, /Pay invoice: https:\/\/invoice\.stripe\.com\/i\/test\?a=1&b=2/);
+  });
+
+  it('lists every regression in score alerts', () => {
+    const { subject, text } = renderEmail('score_regression', {
+      url: 'https://example.com/',
+      auditUrl: 'http://localhost:3000/dashboard/audits/a1',
+      alerts: [
+        { type: 'score_drop', component: 'overall', previous: 80, current: 68, drop: 12 },
+        { type: 'new_critical_issue', title: 'Missing title tag', category: 'meta' },
+      ],
+    });
+
+    assert.equal(subject, 'SEO regression detected on https://example.com/');
+    assert.match(text, /- overall score dropped 12 points \(80 -> 68\)/);
+    assert.match(text, /- New critical issue \(meta\): Missing title tag/);
+  });
+
+  it('rejects unknown templates', () => {
+    assert.throws(() => renderEmail('newsletter', {}), /Unknown email template: newsletter/);
+  });
+});
+
+describe('Email queue', () => {
+  let table;
+
+  beforeEach(() => {
+    table = createEmailTable();
+  });
+
+  const queueReport = (transport, overrides = {}) =>
+    queueEmail(
+      table,
+      {
+        to: 'owner@example.com',
+        template: 'audit_completed',
+        data: { url: 'https://example.com/', score: 82, auditUrl: 'http://localhost/a' },
+        userId: 'user-1',
+        ...overrides,
+      },
+      { transport }
+    );
+
+  it('sends right away and logs the delivery', async () => {
+    const mailbox = createMailboxTransport();
+    const { email, outcome } = await queueReport(mailbox);
+
+    assert.equal(outcome, 'sent');
+    const [row] = table.rows;
+    assert.equal(row.id, email.id);
+    assert.equal(row.status, EMAIL_STATUS.SENT);
+    assert.equal(row.attempts, 1);
+    assert.equal(row.provider, 'mailbox');
+    assert.equal(row.provider_message_id, mailbox.messages[0].id);
+
+    assert.equal(mailbox.messages.length, 1);
+    assert.equal(mailbox.messages[0].to, 'owner@example.com');
+    assert.equal(mailbox.messages[0].subject, 'Audit completed for https://example.com/: score 82');
+    assert.equal(mailbox.messages[0].headers['X-Prismify-Email-Id'], email.id);
+  });
+
+  it('queues an email only once per dedupe key', async () => {
+    const mailbox = createMailboxTransport();
+
+    assert.equal((await queueReport(mailbox, { dedupeKey: 'audit_completed:a1' })).outcome, 'sent');
+    assert.deepEqual(await queueReport(mailbox, { dedupeKey: 'audit_completed:a1' }), {
+      email: null,
+      outcome: 'duplicate',
+    });
+    assert.equal(table.rows.length, 1);
+    assert.equal(mailbox.messages.length, 1);
+  });
+
+  it('retries transient failures after a backoff', async () => {
+    const transport = createFlakyTransport([transient()]);
+    const queuedAt = Date.now();
+
+    const { outcome, error } = await queueReport(transport);
+    assert.equal(outcome, 'retrying');
+    assert.match(error, /503/);
+
+    const [row] = table.rows;
+    assert.equal(row.status, EMAIL_STATUS.PENDING);
+    assert.equal(row.attempts, 1);
+    assert.ok(new Date(row.next_attempt_at) - queuedAt >= MINUTE);
+
+    // Not due yet
+    const early = await processEmailQueue(table, {
+      transport,
+      now: new Date(queuedAt + 30 * 1000),
+    });
+    assert.equal(early.processed, 0);
+
+    const summary = await processEmailQueue(table, {
+      transport,
+      now: new Date(queuedAt + 2 * MINUTE),
+    });
+    assert.equal(summary.sent, 1);
+    assert.equal(row.status, EMAIL_STATUS.SENT);
+    assert.equal(row.attempts, 2);
+    assert.equal(row.last_error, null);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('fails rejected emails at once and others after the last attempt', async () => {
+    const rejected = createFlakyTransport([
+      new EmailDeliveryError(EMAIL_ERROR_CODES.REJECTED, 'resend returned HTTP 422'),
+    ]);
+    assert.equal((await queueReport(rejected)).outcome, EMAIL_STATUS.FAILED);
+    assert.equal(table.rows[0].status, EMAIL_STATUS.FAILED);
+    assert.equal(table.rows[0].next_attempt_at, null);
+
+    const down = createFlakyTransport(Array.from({ length: 10 }, transient));
+    await queueReport(down);
+    const row = table.rows[1];
+
+    // A day apart, so every run finds the email due again
+    for (let day = 1; day <= 6; day++) {
+      await processEmailQueue(table, {
+        transport: down,
+        now: new Date(Date.now() + day * 24 * 60 * MINUTE),
+      });
+    }
+    assert.equal(row.status, EMAIL_STATUS.FAILED);
+    assert.equal(row.attempts, 5);
+    assert.match(row.last_error, /503/);
+  });
+
+  it('retries emails left in sending by a sender that died', async () => {
+    const mailbox = createMailboxTransport();
+    await queueEmail(
+      table,
+      { to: 'owner@example.com', template: 'notification', data: { subject: 'Hi', body: 'x' } },
+      { sendNow: false }
+    );
+    Object.assign(table.rows[0], {
+      status: EMAIL_STATUS.SENDING,
+      attempts: 1,
+      last_attempt_at: new Date(Date.now() - 30 * MINUTE).toISOString(),
+    });
+
+    const summary = await processEmailQueue(table, { transport: mailbox });
+    assert.equal(summary.sent, 1);
+    assert.equal(table.rows[0].attempts, 2);
+  });
+
+  it('rejects unknown transport names', () => {
+    assert.throws(
+      () => resolveEmailTransport('carrier-pigeon'),
+      (error) => error.code === EMAIL_ERROR_CODES.UNKNOWN_TRANSPORT
+    );
+  });
+});
+
+describe('SMTP transport', () => {
+  let server;
+  let port;
+  let session;
+
+  before(async () => {
+    // Scripted server: answers each command from the `replies` map and records the dialog.
+    // startTls offers STARTTLS, auth lists the AUTH mechanisms, splitReplies sends replies in
+    // pieces.
+    server = net.createServer((socket) => {
+      // A connection records into the session of the test that opened it
+      const current = session;
+      let buffer = '';
+      let inData = false;
+      let loginStep = 0;
+
+      const listen = (stream) => {
+        const reply = (text) => {
+          if (!current.splitReplies) {
+            stream.write(`${text}\r\n`);
+            return;
+          }
+          const middle = Math.floor(text.length / 2);
+          stream.write(text.slice(0, middle));
+          setTimeout(() => stream.write(`${text.slice(middle)}\r\n`), 5);
+        };
+
+        const onData = (chunk) => {
+          buffer += chunk.toString('utf8');
+          let index;
+          while (buffer.length > 0) {
+            if (inData) {
+              index = buffer.indexOf('\r\n.\r\n');
+              if (index === -1) {
+                return;
+              }
+              current.data = buffer.slice(0, index);
+              buffer = buffer.slice(index + 5);
+              inData = false;
+              reply('250 2.0.0 queued as ABC123');
+              continue;
+            }
+            index = buffer.indexOf('\r\n');
+            if (index === -1) {
+              return;
+            }
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            current.commands.push(stream.encrypted ? `[tls] ${line}` : line);
+
+            const verb = line.split(' ')[0].toUpperCase();
+            if (loginStep > 0) {
+              loginStep = loginStep === 1 ? 2 : 0;
+              reply(loginStep ? '334 UGFzc3dvcmQ6' : '235 ok');
+            } else if (verb === 'EHLO') {
+              const extensions = [
+                'mail.test',
+                ...(current.startTls && !stream.encrypted ? ['STARTTLS'] : []),
+                `AUTH ${current.auth}`,
+                'SIZE 10240000',
+              ];
+              reply(
+                extensions
+                  .map((extension, i) => `250${i < extensions.length - 1 ? '-' : ' '}${extension}`)
+                  .join('\r\n')
+              );
+            } else if (verb === 'STARTTLS') {
+              stream.removeListener('data', onData);
+              stream.write('220 ready for TLS\r\n', () => {
+                listen(
+                  new tls.TLSSocket(socket, {
+                    isServer: true,
+                    key: TEST_TLS_KEY,
+                    cert: TEST_TLS_CERT,
+                  })
+                );
+              });
+              return;
+            } else if (line.toUpperCase() === 'AUTH LOGIN') {
+              loginStep = 1;
+              reply('334 VXNlcm5hbWU6');
+            } else if (verb === 'QUIT') {
+              stream.end('221 bye\r\n');
+            } else {
+              if (verb === 'DATA') {
+                inData = true;
+              }
+              reply(current.replies[verb] || '250 OK');
+            }
+          }
+        };
+
+        stream.on('data', onData);
+        stream.on('error', () => {});
+      };
+
+      listen(socket);
+      socket.write(current.greeting);
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    session = {
+      greeting: '220 mail.test ESMTP\r\n',
+      startTls: false,
+      auth: 'PLAIN LOGIN',
+      splitReplies: false,
+      commands: [],
+      data: null,
+      replies: { AUTH: '235 ok', DATA: '354 go ahead' },
+    };
+  });
+
+  const transport = (settings = {}) =>
+    createSmtpTransport({
+      host: '127.0.0.1',
+      port,
+      user: 'mailer',
+      pass: 's3cret',
+      allowInsecureAuth: true,
+      ...settings,
+    });
+
+  it('authenticates and sends a multipart message', async () => {
+    const { id } = await transport().send({ ...MESSAGE, subject: 'Audit prêt' });
+
+    assert.match(id, /^<[0-9a-f-]+@prismify\.local>$/);
+    assert.equal(
+      session.commands[1],
+      `AUTH PLAIN ${Buffer.from('\0mailer\0s3cret').toString('base64')}`
+    );
+    assert.ok(session.commands.includes('MAIL FROM:<noreply@prismify.local>'));
+    assert.ok(session.commands.includes('RCPT TO:<owner@example.com>'));
+
+    assert.match(session.data, /^From: Prismify <noreply@prismify\.local>$/m);
+    assert.match(session.data, /^Subject: =\?UTF-8\?B\?/m);
+    assert.match(session.data, new RegExp(`^Message-ID: ${id}`, 'm'));
+    assert.match(session.data, /multipart\/alternative/);
+    const parts = session.data.split(/\r\n\r\n/);
+    const decoded = parts.map((part) =>
+      Buffer.from(part.split('\r\n--')[0].replace(/\r\n/g, ''), 'base64').toString('utf8')
+    );
+    assert.ok(decoded.includes('Done'));
+    assert.ok(decoded.includes('<p>Done</p>'));
+  });
+
+  it('upgrades to TLS with STARTTLS before authenticating', async () => {
+    session.startTls = true;
+
+    await transport({ allowInsecureAuth: false, tlsOptions: { ca: TEST_TLS_CERT } }).send(MESSAGE);
+
+    assert.deepEqual(session.commands.slice(0, 4), [
+      'EHLO localhost',
+      'STARTTLS',
+      '[tls] EHLO localhost',
+      `[tls] AUTH PLAIN ${Buffer.from('\0mailer\0s3cret').toString('base64')}`,
+    ]);
+    assert.ok(session.commands.includes('[tls] RCPT TO:<owner@example.com>'));
+    assert.ok(session.data);
+  });
+
+  it('fails STARTTLS when the certificate is not trusted', async () => {
+    session.startTls = true;
+
+    await assert.rejects(transport({ allowInsecureAuth: false }).send(MESSAGE), {
+      code: EMAIL_ERROR_CODES.REQUEST_FAILED,
+      message: /STARTTLS failed/,
+    });
+    assert.equal(session.commands.filter((line) => /AUTH/.test(line)).length, 0);
+  });
+
+  it('does not send credentials over a plain connection', async () => {
+    await assert.rejects(transport({ allowInsecureAuth: false }).send(MESSAGE), {
+      code: EMAIL_ERROR_CODES.NOT_CONFIGURED,
+      message: /SMTP_ALLOW_INSECURE_AUTH/,
+    });
+    assert.deepEqual(session.commands, ['EHLO localhost']);
+  });
+
+  it('sends without credentials over a plain connection', async () => {
+    await transport({ user: null, allowInsecureAuth: false }).send(MESSAGE);
+
+    assert.equal(session.commands.filter((line) => /^AUTH/.test(line)).length, 0);
+    assert.ok(session.data);
+  });
+
+  it('uses AUTH LOGIN when the server does not offer PLAIN', async () => {
+    session.auth = 'LOGIN';
+
+    await transport().send(MESSAGE);
+
+    assert.deepEqual(session.commands.slice(1, 4), [
+      'AUTH LOGIN',
+      Buffer.from('mailer').toString('base64'),
+      Buffer.from('s3cret').toString('base64'),
+    ]);
+    assert.ok(session.data);
+  });
+
+  it('reads multi-line replies, also when they arrive in pieces', async () => {
+    session.greeting = '220-mail.test ESMTP\r\n220-no UCE\r\n220 welcome\r\n';
+    session.auth = 'LOGIN';
+    session.splitReplies = true;
+
+    await transport().send(MESSAGE);
+    assert.equal(session.commands[1], 'AUTH LOGIN');
+
+    session.replies.RCPT = '550-5.1.1 mailbox unavailable\r\n550 5.1.1 see the postmaster';
+    await assert.rejects(transport().send(MESSAGE), (error) => {
+      assert.equal(error.code, EMAIL_ERROR_CODES.REJECTED);
+      assert.match(error.message, /mailbox unavailable 5\.1\.1 see the postmaster/);
+      return true;
+    });
+  });
+
+  it('reports permanent and temporary rejections', async () => {
+    session.replies.RCPT = '550 5.1.1 mailbox unavailable';
+    await assert.rejects(transport().send(MESSAGE), (error) => {
+      assert.equal(error.code, EMAIL_ERROR_CODES.REJECTED);
+      assert.equal(error.details.status, 550);
+      return true;
+    });
+
+    session.replies.RCPT = '451 4.7.1 greylisted, try again later';
+    await assert.rejects(transport().send(MESSAGE), (error) => {
+      assert.equal(error.code, EMAIL_ERROR_CODES.REQUEST_FAILED);
+      return true;
+    });
+  });
+
+  it('needs a host', async () => {
+    await assert.rejects(createSmtpTransport({ host: null }).send(MESSAGE), {
+      code: EMAIL_ERROR_CODES.NOT_CONFIGURED,
+    });
+  });
+});
+
+describe('HTTP transports', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const { status, headers = {}, json } = respond;
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(json ? JSON.stringify(json) : '');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('sends through Resend', async () => {
+    respond = { status: 200, json: { id: 're_123' } };
+    const resend = createResendTransport({ apiKey: 're_test', baseUrl });
+
+    assert.deepEqual(await resend.send(MESSAGE), { id: 're_123' });
+    const [request] = requests;
+    assert.equal(request.url, '/emails');
+    assert.equal(request.headers.authorization, 'Bearer re_test');
+    assert.equal(request.body.from, '"Prismify" <noreply@prismify.local>');
+    assert.deepEqual(request.body.to, ['owner@example.com']);
+    assert.equal(request.body.text, 'Done');
+  });
+
+  it('sends through SendGrid', async () => {
+    respond = { status: 202, headers: { 'X-Message-Id': 'sg_456' } };
+    const sendgrid = createSendGridTransport({ apiKey: 'SG.test', baseUrl });
+
+    assert.deepEqual(await sendgrid.send(MESSAGE), { id: 'sg_456' });
+    const [request] = requests;
+    assert.equal(request.url, '/v3/mail/send');
+    assert.deepEqual(request.body.personalizations, [{ to: [{ email: 'owner@example.com' }] }]);
+    assert.deepEqual(
+      request.body.content.map((part) => part.type),
+      ['text/plain', 'text/html']
+    );
+  });
+
+  it('maps provider errors to retryable and permanent failures', async () => {
+    const resend = createResendTransport({ apiKey: 're_test', baseUrl });
+
+    respond = { status: 429, json: { message: 'Too many requests' } };
+    await assert.rejects(resend.send(MESSAGE), { code: EMAIL_ERROR_CODES.RATE_LIMITED });
+
+    respond = { status: 422, json: { message: 'The domain is not verified' } };
+    await assert.rejects(resend.send(MESSAGE), (error) => {
+      assert.equal(error.code, EMAIL_ERROR_CODES.REJECTED);
+      assert.match(error.message, /domain is not verified/);
+      return true;
+    });
+
+    await assert.rejects(createResendTransport({ apiKey: null }).send(MESSAGE), {
+      code: EMAIL_ERROR_CODES.NOT_CONFIGURED,
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * In-memory Supabase client for tests
+ *
+ * Just enough of the PostgREST query builder for the services under test: select (with
+ * column lists and `alias:table(...)` embeds resolved through `<alias>_id`), insert, update
+ * and delete, the eq / neq / is / in / lt / lte / gt / gte filters, order, limit and range,
+ * and maybeSingle / single / await. Tables are plain arrays the test can read and change.
+ */
+
+const compare = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  return a < b ? -1 : 1;
+};
+
+const present = (value) => value !== null && value !== undefined;
+
+const EMBED = /(\w+):(\w+)\([^)]*\)/g;
+
+/**
+ * Create a fake client
+ *
+ * @param {Object<string, Object[]>} [tables] - Rows by table name; missing tables start empty
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.unique] - Per table, (existing, inserted) => true
+ *   when the inserted row violates a unique index (the insert fails with 23505)
+ * @param {Object<string, Function>} [options.defaults] - Per table, (n) => column defaults of
+ *   the n-th inserted row (generated ids, server-side defaults)
+ * @returns {{from: Function, tables: Object<string, Object[]>}}
+ */
+export function createFakeSupabase(tables = {}, { unique = {}, defaults = {} } = {}) {
+  const inserted = {};
+
+  const table = (name) => {
+    tables[name] ??= [];
+    return tables[name];
+  };
+
+  // Plain columns are picked from the row, embeds are looked up by `<alias>_id`
+  const project = (row, columns) => {
+    const plain = columns
+      .replace(EMBED, '')
+      .split(',')
+      .map((column) => column.trim())
+      .filter(Boolean);
+    const result = plain.includes('*')
+      ? { ...row }
+      : Object.fromEntries(
+          plain.filter((column) => column in row).map((column) => [column, row[column]])
+        );
+    for (const [, alias, source] of columns.matchAll(EMBED)) {
+      result[alias] =
+        table(source).find((candidate) => candidate.id === row[`${alias}_id`]) || null;
+    }
+    return result;
+  };
+
+  const from = (name) => {
+    const rows = table(name);
+    let operation = 'select';
+    let values = null;
+    let columns = '*';
+    let returning = false;
+    const filters = [];
+    const sorts = [];
+    let window = [0, Infinity];
+
+    const matching = () => rows.filter((row) => filters.every((filter) => filter(row)));
+
+    const insertRows = () => {
+      const batch = [values].flat();
+      const conflict = batch.some((value, i) =>
+        [...rows, ...batch.slice(0, i)].some((existing) => unique[name]?.(existing, value))
+      );
+      if (conflict) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value' } };
+      }
+
+      const created = batch.map((value) => {
+        inserted[name] = (inserted[name] || 0) + 1;
+        return { ...defaults[name]?.(inserted[name]), ...value };
+      });
+      rows.push(...created);
+      return { data: created, error: null };
+    };
+
+    const run = () => {
+      let result;
+      if (operation === 'insert') {
+        result = insertRows();
+      } else if (operation === 'update') {
+        result = { data: matching().map((row) => Object.assign(row, values)), error: null };
+      } else if (operation === 'delete') {
+        const removed = matching();
+        removed.forEach((row) => rows.splice(rows.indexOf(row), 1));
+        result = { data: removed, error: null };
+      } else {
+        const selected = matching().sort((a, b) => {
+          for (const { column, ascending } of sorts) {
+            const order = compare(a[column], b[column]);
+            if (order !== 0) {
+              return ascending ? order : -order;
+            }
+          }
+          return 0;
+        });
+        result = { data: selected.slice(window[0], window[1]), error: null };
+      }
+
+      if (result.error || (operation !== 'select' && !returning)) {
+        return { data: null, error: result.error };
+      }
+      return { data: result.data.map((row) => project(row, columns)), error: null };
+    };
+
+    const filter = (test) => {
+      filters.push(test);
+      return builder;
+    };
+
+    const builder = {
+      select: (selected = '*') => {
+        columns = selected;
+        returning = true;
+        return builder;
+      },
+      insert: (rowOrRows) => {
+        operation = 'insert';
+        values = rowOrRows;
+        return builder;
+      },
+      update: (patch) => {
+        operation = 'update';
+        values = patch;
+        return builder;
+      },
+      delete: () => {
+        operation = 'delete';
+        return builder;
+      },
+      eq: (column, value) => filter((row) => row[column] === value),
+      neq: (column, value) => filter((row) => row[column] !== value),
+      is: (column, value) => filter((row) => (row[column] ?? null) === value),
+      in: (column, list) => filter((row) => list.includes(row[column])),
+      lt: (column, value) => filter((row) => present(row[column]) && row[column] < value),
+      lte: (column, value) => filter((row) => present(row[column]) && row[column] <= value),
+      gt: (column, value) => filter((row) => present(row[column]) && row[column] > value),
+      gte: (column, value) => filter((row) => present(row[column]) && row[column] >= value),
+      order: (column, { ascending = true } = {}) => {
+        sorts.push({ column, ascending });
+        return builder;
+      },
+      limit: (count) => {
+        window = [window[0], window[0] + count];
+        return builder;
+      },
+      range: (start, end) => {
+        window = [start, end + 1];
+        return builder;
+      },
+      maybeSingle: async () => {
+        const { data, error } = run();
+        return { data: data?.[0] || null, error };
+      },
+      single: async () => {
+        const { data, error } = run();
+        if (error || data?.length === 1) {
+          return { data: data?.[0] || null, error };
+        }
+        return {
+          data: null,
+          error: { code: 'PGRST116', message: `expected 1 row, got ${data?.length ?? 0}` },
+        };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+    };
+    return builder;
+  };
+
+  return { from, tables };
+}
+
+export default createFakeSupabase;
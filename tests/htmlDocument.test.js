@@ -0,0 +1,188 @@
+/**
+ * HTML Document Tests
+ *
+ * Runs the parsed-document layer and the SEOAgent analyzers over a corpus of tricky
+ * real-world HTML in tests/fixtures/html (nested heading markup, reordered/unquoted
+ * attributes, apostrophes in alt text, markup inside scripts and templates, ...).
+ *
+ * To run: node --test tests/htmlDocument.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseHtmlDocument } from '../src/services/crawler/htmlDocument.js';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/html/${name}.html`, import.meta.url), 'utf8');
+
+const agent = new SEOAgent({ heartbeatEnabled: false });
+
+const messages = (analysis) => analysis.issues.map((issue) => issue.message);
+
+describe('parseHtmlDocument', () => {
+  it('reads headings that contain nested tags and builds an outline', () => {
+    const doc = parseHtmlDocument(fixture('nested-headings'));
+
+    assert.deepEqual(doc.getHeadings(1), ['The best coffee grinders for every budget']);
+    assert.deepEqual(doc.getHeadings(2), ['Burr grinders', 'Blade grinders']);
+    assert.equal(doc.outline.length, 1);
+    assert.deepEqual(
+      doc.outline[0].children.map((h2) => h2.children.map((child) => child.text)),
+      [['Conical burrs', 'Flat burrs'], ['Skipped a level']]
+    );
+    assert.equal(doc.title, 'Best Coffee Grinders of 2025 – Tested & Reviewed');
+    assert.equal(doc.lang, 'en-GB');
+  });
+
+  it('finds meta and link tags regardless of attribute order, case or quoting', () => {
+    const doc = parseHtmlDocument(fixture('attribute-order'));
+
+    assert.match(doc.getMeta('description'), /^Independent reviews of espresso machines/);
+    assert.equal(doc.getMeta('viewport'), 'width=device-width, initial-scale=1');
+    assert.equal(doc.getMeta('og:description'), 'Measured, independent reviews');
+    assert.equal(doc.getMeta('twitter:card'), null);
+    assert.equal(doc.getLinks('canonical')[0].href, 'https://example.com/reviews');
+    assert.equal(doc.getLinks('stylesheet').length, 1);
+  });
+
+  it('distinguishes missing alt from empty alt and keeps apostrophes and quotes', () => {
+    const doc = parseHtmlDocument(fixture('images'));
+
+    assert.deepEqual(
+      doc.images.map((img) => img.alt),
+      ["Bob's cat on the windowsill", 'A sign that says "open"', null, '', 'Hero']
+    );
+    assert.deepEqual(
+      doc.images.map((img) => img.hasAlt),
+      [true, true, false, true, true]
+    );
+    assert.equal(doc.images[1].loading, 'lazy');
+    assert.equal(doc.images[4].inPicture, true);
+  });
+
+  it('ignores markup inside scripts, comments and templates', () => {
+    const doc = parseHtmlDocument(fixture('hidden-markup'));
+
+    assert.equal(doc.title, 'Real title');
+    assert.deepEqual(
+      doc.headings.map((h) => h.text),
+      ['Visible heading']
+    );
+    assert.equal(doc.images.length, 0);
+    assert.equal(doc.text, 'Visible heading One two three four five');
+    assert.equal(doc.wordCount, 7);
+    assert.deepEqual(
+      doc.scripts.map((script) => script.type),
+      [null, 'application/ld+json', null]
+    );
+  });
+
+  it('reads anchors with rel tokens and form controls with their labels', () => {
+    const doc = parseHtmlDocument(fixture('forms-and-links'));
+
+    const partner = doc.anchors.find((a) => a.text === 'Partner');
+    assert.deepEqual(partner.rel, ['nofollow', 'noopener']);
+    assert.equal(doc.anchors[0].text, 'About us');
+    assert.deepEqual(
+      doc.formControls.map((control) => [control.type, control.hasLabel]),
+      [
+        ['email', true],
+        ['text', true],
+        ['search', true],
+        ['tel', false],
+        ['textarea', false],
+      ]
+    );
+  });
+
+  it('treats plain text as a document without markup', () => {
+    const doc = parseHtmlDocument('Just a few words');
+    assert.equal(doc.wordCount, 4);
+    assert.equal(doc.title, '');
+  });
+});
+
+describe('SEOAgent analyzers on fixtures', () => {
+  it('counts an H1 with nested tags', async () => {
+    const html = fixture('nested-headings');
+    const info = agent.extractContentInfo(html);
+    const meta = await agent.analyzeMetaTags(html, info);
+
+    assert.equal(info.headings.h1.length, 1);
+    assert.ok(meta.passed.includes('Page has exactly one H1 heading'));
+  });
+
+  it('reads meta tags whose content comes before name', async () => {
+    const html = fixture('attribute-order');
+    const info = agent.extractContentInfo(html);
+    const meta = await agent.analyzeMetaTags(html, info);
+    const mobile = await agent.analyzeMobileOptimization(html);
+    const performance = await agent.analyzePerformance('https://example.com/reviews', html);
+
+    assert.deepEqual(info.keywords, ['espresso', 'grinders', 'kettles']);
+    assert.ok(meta.passed.includes('Meta description length is optimal (120-160 characters)'));
+    assert.ok(meta.passed.includes('Open Graph meta tags are present'));
+    assert.ok(meta.passed.includes('Canonical URL is specified'));
+    assert.ok(mobile.passed.includes('Viewport meta tag is properly configured'));
+    assert.ok(mobile.passed.includes('Responsive font sizing detected'));
+    assert.ok(performance.passed.includes('Resource hints are partially implemented'));
+  });
+
+  it('scores images with missing, empty and quoted alt text', async () => {
+    const html = fixture('images');
+    const info = agent.extractContentInfo(html);
+    const content = await agent.analyzeContentQuality('https://example.com/', html, info);
+    const accessibility = await agent.analyzeAccessibility(html);
+    const mobile = await agent.analyzeMobileOptimization(html);
+    const performance = await agent.analyzePerformance('https://example.com/', html);
+
+    assert.ok(messages(content).includes('2 of 5 images missing alt text'));
+    assert.deepEqual(
+      accessibility.issues.find((i) => i.code === 'A11Y_IMAGE_ALT').details.targets,
+      [{ target: 'img[src="/img/no-alt.jpg"]' }]
+    );
+    assert.ok(messages(mobile).includes('Only 40% of images are responsive - add srcset/sizes'));
+    assert.ok(messages(performance).includes('Add lazy loading to more images (currently 40%)'));
+  });
+
+  it('does not count headings or words from scripts and templates', async () => {
+    const html = fixture('hidden-markup');
+    const info = agent.extractContentInfo(html);
+    const technical = await agent.analyzeTechnicalSEO('https://example.com/', html);
+
+    assert.deepEqual(info.headings.h1, ['Visible heading']);
+    assert.deepEqual(info.headings.h2, []);
+    assert.equal(info.wordCount, 7);
+    assert.ok(technical.passed.includes('Structured data found: Organization (json-ld)'));
+  });
+
+  it('checks form labels, insecure forms, mixed content and external link rel', async () => {
+    const html = fixture('forms-and-links');
+    const url = 'https://example.com/contact';
+    const info = agent.extractContentInfo(html);
+    const content = await agent.analyzeContentQuality(url, html, info);
+    const security = await agent.analyzeSecurity(url, html);
+    const accessibility = await agent.analyzeAccessibility(html);
+
+    assert.ok(content.passed.includes('Good internal linking (4 internal links)'));
+    assert.ok(messages(security).includes('Forms submit to insecure (HTTP) endpoints'));
+    assert.ok(messages(security).includes('Mixed content detected - HTTP resources on HTTPS page'));
+    assert.ok(messages(security).includes('Add rel="noopener noreferrer" to external links'));
+    assert.deepEqual(
+      accessibility.issues.find((i) => i.code === 'A11Y_FORM_LABEL').details.targets,
+      [{ target: 'input[name="phone"]' }, { target: 'textarea[name="message"]' }]
+    );
+  });
+
+  it('runs a full audit from one parsed document', async () => {
+    const result = await agent.performComprehensiveAudit({
+      url: 'https://example.com/',
+      content: fixture('nested-headings'),
+    });
+
+    assert.equal(typeof result.overall_score, 'number');
+    assert.equal(Object.keys(result.scores).length, 7);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Keyword Clustering Tests
+ *
+ * Rule-based search intent, topic clusters with pillar keywords, and parsing of the AI
+ * expansion response. No AI provider is called.
+ *
+ * To run: node --test tests/keywordClustering.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  classifyIntent,
+  clusterKeywords,
+  annotateKeywords,
+  parseKeywordExpansion,
+} from '../src/services/keywords/keywordClustering.js';
+
+const row = (keyword, search_volume = null, extra = {}) => ({
+  keyword,
+  search_volume,
+  opportunity_score: null,
+  difficulty_score: null,
+  ...extra,
+});
+
+describe('Search intent', () => {
+  it('classifies keywords from their modifiers', () => {
+    assert.equal(classifyIntent('buy espresso machine'), 'transactional');
+    assert.equal(classifyIntent('espresso machine near me'), 'transactional');
+    assert.equal(classifyIntent('best espresso machine 2025'), 'commercial');
+    assert.equal(classifyIntent('breville vs delonghi'), 'commercial');
+    assert.equal(classifyIntent('how to descale an espresso machine'), 'informational');
+    assert.equal(classifyIntent('espresso machine'), 'informational');
+    assert.equal(classifyIntent('breville.com'), 'navigational');
+    assert.equal(classifyIntent('breville support', { brandTerms: ['Breville'] }), 'navigational');
+  });
+
+  it('does not match modifiers inside other words', () => {
+    assert.equal(classifyIntent('bestseller list'), 'informational');
+    assert.equal(classifyIntent('happiness'), 'informational');
+  });
+});
+
+describe('Topic clusters', () => {
+  it('groups keywords by the topic words they add to the seed', () => {
+    const clusters = clusterKeywords(
+      [
+        row('coffee grinder', 9000),
+        row('best coffee grinder', 4000),
+        row('burr coffee grinder', 3000),
+        row('burr grinder vs blade', 1000),
+        row('manual coffee grinder', 800),
+        row('best manual grinder', 500),
+        row('coffee grinder pricing', 200),
+        row('espresso grinder settings', 100),
+      ],
+      { seedKeyword: 'coffee grinder' }
+    );
+
+    const byName = Object.fromEntries(clusters.map((cluster) => [cluster.name, cluster]));
+    assert.deepEqual(byName['burr coffee grinder'].keywords, [
+      'burr coffee grinder',
+      'burr grinder vs blade',
+    ]);
+    assert.deepEqual(byName['manual coffee grinder'].keywords, [
+      'manual coffee grinder',
+      'best manual grinder',
+    ]);
+    // Modifier-only variations and single-keyword topics belong to the seed's cluster
+    assert.equal(byName['coffee grinder'].pillar, 'coffee grinder');
+    assert.ok(byName['coffee grinder'].keywords.includes('coffee grinder pricing'));
+    assert.ok(byName['coffee grinder'].keywords.includes('espresso grinder settings'));
+    assert.equal(byName['coffee grinder'].total_search_volume, 9000 + 4000 + 200 + 100);
+  });
+
+  it('picks the pillar by volume, then opportunity, then the shortest phrase', () => {
+    const [cluster] = clusterKeywords(
+      [
+        row('running shoes for flat feet', null, { cluster: 'flat feet' }),
+        row('flat feet shoes', null, { cluster: 'flat feet', opportunity_score: 40 }),
+        row('shoes for flat feet', null, { cluster: 'flat feet', opportunity_score: 40 }),
+      ],
+      { seedKeyword: 'running shoes' }
+    );
+
+    assert.equal(cluster.name, 'flat feet');
+    assert.equal(cluster.pillar, 'flat feet shoes');
+    assert.equal(cluster.total_search_volume, null);
+  });
+});
+
+describe('AI expansion', () => {
+  const response = `\`\`\`json
+{"keywords": [
+  {"keyword": "Coffee Grinder", "intent": "commercial", "cluster": "Grinder Types"},
+  {"keyword": "conical burr grinder", "intent": "commercial", "cluster": "grinder types"},
+  {"keyword": "how to clean a coffee grinder", "intent": "guide", "cluster": "maintenance"},
+  {"keyword": "coffee grinder", "intent": "transactional"},
+  {"keyword": "grinder for french press", "intent": "informational", "cluster": "brew methods"},
+  {"keyword": ""}
+]}
+\`\`\``;
+
+  it('separates labels for known keywords from new suggestions', () => {
+    const { suggestions, labels } = parseKeywordExpansion(response, {
+      knownKeywords: ['coffee grinder'],
+      limit: 2,
+    });
+
+    assert.deepEqual(
+      suggestions.map((suggestion) => suggestion.keyword),
+      ['conical burr grinder', 'how to clean a coffee grinder']
+    );
+    // Unknown intents are dropped, the first label for a keyword wins
+    assert.equal(labels['how to clean a coffee grinder'].intent, null);
+    assert.deepEqual(labels['coffee grinder'], { intent: 'commercial', cluster: 'grinder types' });
+    assert.equal(labels['grinder for french press'], undefined);
+  });
+
+  it('rejects responses without a keywords array', () => {
+    assert.throws(() => parseKeywordExpansion('{"ideas": []}'));
+    assert.throws(() => parseKeywordExpansion('Here are some keywords'));
+  });
+
+  it('merges suggestions without metrics and falls back to rule-based intent', () => {
+    const expansion = parseKeywordExpansion(response, { knownKeywords: ['coffee grinder'] });
+    const { keywords, clusters } = annotateKeywords(
+      [row('coffee grinder', 9000), row('buy coffee grinder', 700)],
+      { seedKeyword: 'coffee grinder', expansion }
+    );
+
+    const byKeyword = Object.fromEntries(keywords.map((kw) => [kw.keyword, kw]));
+    assert.equal(byKeyword['coffee grinder'].source, 'provider');
+    assert.equal(byKeyword['coffee grinder'].cluster, 'grinder types');
+    assert.equal(byKeyword['buy coffee grinder'].intent, 'transactional');
+    assert.equal(byKeyword['buy coffee grinder'].cluster, 'coffee grinder');
+    assert.equal(byKeyword['how to clean a coffee grinder'].source, 'ai');
+    assert.equal(byKeyword['how to clean a coffee grinder'].intent, 'informational');
+    assert.equal(byKeyword['how to clean a coffee grinder'].search_volume, null);
+
+    const types = clusters.find((cluster) => cluster.name === 'grinder types');
+    assert.equal(types.pillar, 'coffee grinder');
+    assert.equal(types.keyword_count, 2);
+    assert.ok(keywords.every((kw) => clusters.some((c) => c.name === kw.cluster)));
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Keyword Research Tests
+ *
+ * Difficulty/opportunity scoring, the fixture provider, and the keyword planner and SERP
+ * adapters against a local HTTP server, so no network access or API keys are needed.
+ *
+ * To run: node --test tests/keywordResearch.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  competitionLevel,
+  computeDifficulty,
+  computeOpportunity,
+  scoreKeyword,
+} from '../src/services/keywords/keywordMetrics.js';
+import {
+  fetchKeywordIdeas,
+  resolveKeywordProvider,
+  KeywordProviderError,
+  KEYWORD_PROVIDER_ERROR_CODES,
+} from '../src/services/keywords/keywordResearch.js';
+import { createFixtureProvider } from '../src/services/keywords/providers/fixture.js';
+import { createKeywordPlannerProvider } from '../src/services/keywords/providers/keywordPlanner.js';
+import { createSerpApiProvider, serpMetrics } from '../src/services/keywords/providers/serpApi.js';
+
+describe('Keyword metrics', () => {
+  it('maps the competition index to a level', () => {
+    assert.equal(competitionLevel(10), 'low');
+    assert.equal(competitionLevel(50), 'medium');
+    assert.equal(competitionLevel(90), 'high');
+    assert.equal(competitionLevel(null), null);
+  });
+
+  it('averages only the difficulty inputs a provider reports', () => {
+    assert.equal(computeDifficulty({ competition_index: 40 }), 40);
+    assert.equal(computeDifficulty({}), null);
+    // 10^9 results scores 90 on the results scale: (40 * 0.6 + 90 * 0.3) / 0.9
+    assert.equal(computeDifficulty({ competition_index: 40, total_results: 1e9 - 1 }), 57);
+  });
+
+  it('rewards volume and penalizes difficulty', () => {
+    const easy = computeOpportunity({ search_volume: 10000, difficulty_score: 20 });
+    const hard = computeOpportunity({ search_volume: 10000, difficulty_score: 80 });
+    const rare = computeOpportunity({ search_volume: 10, difficulty_score: 20 });
+
+    assert.ok(easy > hard);
+    assert.ok(easy > rare);
+    assert.equal(computeOpportunity({ difficulty_score: 30 }), 70);
+    assert.equal(computeOpportunity({}), null);
+  });
+
+  it('scores a provider row', () => {
+    const scored = scoreKeyword({ keyword: 'seo', search_volume: 1000, competition_index: 70 });
+    assert.equal(scored.competition, 'high');
+    assert.equal(scored.difficulty_score, 70);
+    assert.equal(typeof scored.opportunity_score, 'number');
+  });
+});
+
+describe('Fixture provider', () => {
+  const provider = createFixtureProvider();
+
+  it('returns recorded rows for known seeds, best opportunity first', async () => {
+    const ideas = await fetchKeywordIdeas(provider, 'SEO Tools', { location: 'US', limit: 5 });
+
+    assert.equal(ideas.length, 5);
+    assert.ok(ideas.every((idea) => typeof idea.opportunity_score === 'number'));
+    for (let index = 1; index < ideas.length; index++) {
+      assert.ok(ideas[index - 1].opportunity_score >= ideas[index].opportunity_score);
+    }
+  });
+
+  it('derives the same metrics for unknown seeds on every call', async () => {
+    const first = await fetchKeywordIdeas(provider, 'garden design', { location: 'UK' });
+    const second = await fetchKeywordIdeas(provider, 'garden design', { location: 'UK' });
+
+    assert.ok(first.length > 0);
+    assert.deepEqual(first, second);
+  });
+
+  it('rejects unsupported locations', async () => {
+    await assert.rejects(
+      () => fetchKeywordIdeas(provider, 'seo tools', { location: 'XX' }),
+      (error) =>
+        error instanceof KeywordProviderError &&
+        error.code === KEYWORD_PROVIDER_ERROR_CODES.UNSUPPORTED_LOCATION
+    );
+  });
+});
+
+describe('Provider selection', () => {
+  it('resolves named providers and rejects unknown or unconfigured ones', () => {
+    assert.equal(resolveKeywordProvider('fixture').name, 'fixture');
+    assert.throws(
+      () => resolveKeywordProvider('nope'),
+      (error) => error.code === KEYWORD_PROVIDER_ERROR_CODES.UNKNOWN_PROVIDER
+    );
+  });
+});
+
+describe('HTTP providers', () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  let plannerResponse;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push({ path: url.pathname, query: url.searchParams, headers: req.headers, body });
+
+        if (url.pathname.startsWith('/v3/keywords_data')) {
+          res.writeHead(plannerResponse.status || 200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(plannerResponse.body));
+          return;
+        }
+
+        const query = url.searchParams.get('q');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(
+          JSON.stringify(
+            query === 'coffee'
+              ? {
+                  search_information: { total_results: 2000000000 },
+                  ads: [{}, {}],
+                  answer_box: { title: 'Coffee' },
+                  related_searches: [{ query: 'coffee beans' }, { query: 'coffee near me' }],
+                }
+              : { search_information: { total_results: 5000000 }, ads: [] }
+          )
+        );
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('normalizes keyword planner results', async () => {
+    plannerResponse = {
+      body: {
+        status_code: 20000,
+        tasks: [
+          {
+            status_code: 20000,
+            result: [
+              {
+                keyword: 'coffee',
+                search_volume: 550000,
+                competition_index: 12,
+                cpc: 1.834,
+                monthly_searches: [{ year: 2025, month: 1, search_volume: 600000 }],
+              },
+              { keyword: 'coffee beans', search_volume: null, competition_index: null, cpc: null },
+            ],
+          },
+        ],
+      },
+    };
+    const provider = createKeywordPlannerProvider({
+      login: 'user',
+      password: 'secret',
+      baseUrl,
+    });
+
+    const ideas = await fetchKeywordIdeas(provider, 'coffee', { location: 'UK', language: 'en' });
+    const request = requests.at(-1);
+    const task = JSON.parse(request.body)[0];
+
+    assert.equal(request.headers.authorization, `Basic ${btoa('user:secret')}`);
+    assert.equal(task.location_code, 2826);
+    assert.equal(task.language_code, 'en');
+    assert.equal(ideas[0].keyword, 'coffee');
+    assert.equal(ideas[0].cpc, 1.83);
+    assert.equal(ideas[0].competition, 'low');
+    assert.equal(ideas[0].monthly_searches.length, 1);
+    assert.equal(ideas[1].opportunity_score, null);
+  });
+
+  it('surfaces keyword planner task errors', async () => {
+    plannerResponse = {
+      body: { status_code: 20000, tasks: [{ status_code: 40202, status_message: 'Rate limit' }] },
+    };
+    const provider = createKeywordPlannerProvider({ login: 'u', password: 'p', baseUrl });
+
+    await assert.rejects(
+      () => fetchKeywordIdeas(provider, 'coffee'),
+      (error) => error.code === KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+    );
+  });
+
+  it('maps HTTP failures to provider errors', async () => {
+    plannerResponse = { status: 401, body: {} };
+    const provider = createKeywordPlannerProvider({ login: 'u', password: 'p', baseUrl });
+
+    await assert.rejects(
+      () => fetchKeywordIdeas(provider, 'coffee'),
+      (error) =>
+        error.code === KEYWORD_PROVIDER_ERROR_CODES.REQUEST_FAILED && error.details.status === 401
+    );
+  });
+
+  it('builds SERP keyword ideas from related searches', async () => {
+    const provider = createSerpApiProvider({ apiKey: 'key', baseUrl, maxLookups: 2 });
+    requests.length = 0;
+
+    const ideas = await fetchKeywordIdeas(provider, 'coffee', { location: 'CA', language: 'fr' });
+
+    // Seed plus one related search, capped by maxLookups
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].query.get('gl'), 'ca');
+    assert.equal(requests[0].query.get('hl'), 'fr');
+    assert.deepEqual(ideas.map((idea) => idea.keyword).sort(), ['coffee', 'coffee beans']);
+
+    const seed = ideas.find((idea) => idea.keyword === 'coffee');
+    assert.equal(seed.search_volume, null);
+    assert.equal(seed.competition_index, 50);
+    assert.equal(seed.serp_features, 1);
+    assert.ok(seed.difficulty_score > ideas.find((idea) => idea !== seed).difficulty_score);
+  });
+
+  it('counts SERP feature blocks', () => {
+    assert.deepEqual(
+      serpMetrics({ related_questions: [{}], local_results: [], knowledge_graph: {} }),
+      { total_results: null, competition_index: 0, serp_features: 2 }
+    );
+  });
+
+  it('requires credentials before calling the API', async () => {
+    const provider = createSerpApiProvider({ apiKey: null, baseUrl });
+    await assert.rejects(
+      () => provider.research({ seedKeyword: 'coffee', location: 'US', language: 'en', limit: 5 }),
+      (error) => error.code === KEYWORD_PROVIDER_ERROR_CODES.NOT_CONFIGURED
+    );
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Lab Performance Tests
+ *
+ * Checks the Lighthouse-style scoring curves and metric processing, and measures a page
+ * served from a local HTTP server when headless Chromium can start on this machine.
+ *
+ * To run: node --test tests/labPerformance.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  logNormalScore,
+  scoreLabMetrics,
+  rateMetric,
+} from '../src/services/performance/metricScoring.js';
+import {
+  runLabPerformance,
+  buildLabMetrics,
+  computeTotalBlockingTime,
+  LAB_ERROR_CODES,
+} from '../src/services/performance/labRunner.js';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+
+const agent = new SEOAgent({ heartbeatEnabled: false });
+
+const fastPage = {
+  form_factor: 'mobile',
+  ttfb_ms: 200,
+  fcp_ms: 900,
+  lcp_ms: 1200,
+  cls: 0,
+  tbt_ms: 0,
+  transfer_bytes: 350000,
+  request_count: 12,
+  render_blocking: [],
+};
+
+describe('metric scoring', () => {
+  it('scores p10 at 0.9 and the median at 0.5', () => {
+    const curve = { p10: 2500, median: 4000 };
+    assert.ok(Math.abs(logNormalScore(2500, curve) - 0.9) < 0.001);
+    assert.ok(Math.abs(logNormalScore(4000, curve) - 0.5) < 0.001);
+    assert.equal(logNormalScore(0, curve), 1);
+    assert.ok(logNormalScore(20000, curve) < 0.01);
+  });
+
+  it('weights metric scores and skips unmeasured metrics', () => {
+    assert.ok(scoreLabMetrics(fastPage).score >= 95);
+
+    const slow = scoreLabMetrics({ ...fastPage, lcp_ms: 4000, tbt_ms: 600, cls: 0.25 });
+    assert.equal(slow.metric_scores.lcp_ms, 0.5);
+    assert.ok(slow.score > 45 && slow.score < 65);
+
+    assert.equal(scoreLabMetrics({ form_factor: 'mobile' }).score, null);
+    assert.deepEqual(Object.keys(scoreLabMetrics({ cls: 0.05 }).metric_scores), ['cls']);
+  });
+
+  it('uses stricter curves for desktop', () => {
+    const metrics = { lcp_ms: 2400 };
+    assert.ok(
+      scoreLabMetrics({ ...metrics, form_factor: 'desktop' }).score <
+        scoreLabMetrics({ ...metrics, form_factor: 'mobile' }).score
+    );
+  });
+
+  it('rates metrics against Core Web Vitals thresholds', () => {
+    assert.equal(rateMetric('cls', 0.05), 'good');
+    assert.equal(rateMetric('lcp_ms', 3000), 'needs-improvement');
+    assert.equal(rateMetric('tbt_ms', 900), 'poor');
+  });
+});
+
+describe('lab metric processing', () => {
+  it('counts only long-task time past 50 ms after FCP as blocking', () => {
+    const tasks = [
+      { start: 100, duration: 200 }, // before FCP
+      { start: 900, duration: 200 }, // 100 ms after FCP
+      { start: 1500, duration: 120 },
+      { start: 2000, duration: 40 },
+    ];
+    assert.equal(computeTotalBlockingTime(tasks, 1000), 50 + 70);
+  });
+
+  it('falls back to FCP when no LCP entry was recorded', () => {
+    const metrics = buildLabMetrics(
+      {
+        ttfb: 180.4,
+        fcp: 850.6,
+        lcp: null,
+        lcpElement: null,
+        cls: 0.123456,
+        longTasks: [],
+        domContentLoaded: 900,
+        load: 1200,
+        renderBlocking: [
+          {
+            url: 'https://example.com/app.css',
+            type: 'link',
+            transferBytes: 2000,
+            durationMs: 80.2,
+          },
+        ],
+      },
+      { transferBytes: 51200, requestCount: 4 }
+    );
+
+    assert.equal(metrics.lcp_ms, 851);
+    assert.equal(metrics.cls, 0.1235);
+    assert.equal(metrics.tbt_ms, 0);
+    assert.deepEqual(metrics.render_blocking[0], {
+      url: 'https://example.com/app.css',
+      type: 'link',
+      transfer_bytes: 2000,
+      duration_ms: 80,
+    });
+  });
+});
+
+describe('SEOAgent performance from lab metrics', () => {
+  it('scores from measurements and reports each slow metric', async () => {
+    const analysis = await agent.analyzePerformance(
+      'https://example.com/',
+      '<p>Hi</p>',
+      undefined,
+      {
+        ...fastPage,
+        lcp_ms: 5200,
+        cls: 0.15,
+        transfer_bytes: 4 * 1024 * 1024,
+        render_blocking: [{ url: 'https://example.com/app.js', type: 'script' }],
+      }
+    );
+
+    assert.equal(analysis.source, 'lab');
+    assert.equal(analysis.score, scoreLabMetrics({ ...fastPage, lcp_ms: 5200, cls: 0.15 }).score);
+    assert.deepEqual(
+      analysis.issues.map((issue) => [issue.code, issue.severity]),
+      [
+        ['PERF_SLOW_LCP', 'high'],
+        ['PERF_HIGH_CLS', 'medium'],
+        ['PERF_RENDER_BLOCKING', 'medium'],
+        ['PERF_PAGE_WEIGHT', 'medium'],
+      ]
+    );
+    assert.ok(analysis.passed.includes('Total Blocking Time is good (0.0 s)'));
+    assert.equal(analysis.lab.metric_scores.lcp_ms < 0.3, true);
+  });
+
+  it('keeps the markup heuristics when there are no lab metrics', async () => {
+    const analysis = await agent.analyzePerformance('https://example.com/', '<p>Hi</p>');
+    assert.equal(analysis.source, undefined);
+    assert.ok(analysis.score > 0);
+  });
+});
+
+describe('runLabPerformance', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/style.css') {
+        res.writeHead(200, { 'Content-Type': 'text/css' });
+        res.end('body { font-family: sans-serif; }');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(
+        '<!DOCTYPE html><html><head><title>Lab</title><link rel="stylesheet" href="/style.css">' +
+          '</head><body><h1>Measured in a real browser</h1></body></html>'
+      );
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('measures a page in headless Chromium', async (t) => {
+    let metrics;
+    try {
+      metrics = await runLabPerformance(`${baseUrl}/`, {
+        allowPrivateHosts: true,
+        formFactor: 'desktop',
+        settleMs: 200,
+      });
+    } catch (error) {
+      if (error.code === LAB_ERROR_CODES.BROWSER_UNAVAILABLE) {
+        t.skip(`Chromium cannot run here: ${error.details.cause || error.message}`);
+        return;
+      }
+      throw error;
+    }
+
+    assert.equal(metrics.status, 200);
+    assert.equal(metrics.request_count, 2);
+    assert.ok(metrics.transfer_bytes > 0);
+    assert.ok(metrics.fcp_ms > 0);
+    assert.ok(metrics.render_blocking.some((resource) => resource.url.endsWith('/style.css')));
+  });
+
+  it('refuses private hosts unless allowed', async (t) => {
+    try {
+      await runLabPerformance(`${baseUrl}/`, { settleMs: 0 });
+      assert.fail('private host was loaded');
+    } catch (error) {
+      if (error.code === LAB_ERROR_CODES.BROWSER_UNAVAILABLE) {
+        t.skip('Chromium cannot run here');
+        return;
+      }
+      assert.equal(error.code, LAB_ERROR_CODES.NAVIGATION_FAILED);
+    }
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Organization Tests
+ *
+ * Roles and permissions, workspace query scoping, membership lookup and invitation tokens,
+ * against recording query builders and in-memory tables, so no Supabase access is needed.
+ *
+ * To run: node --test tests/organizations.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PERMISSIONS,
+  belongsToWorkspace,
+  canManageMember,
+  hasPermission,
+  loadOwnedOrganizationIds,
+  loadWorkspace,
+  personalWorkspace,
+  scopeToSubscription,
+  scopeToWorkspace,
+  workspaceColumns,
+  workspaceOf,
+} from '../src/services/organizations/workspace.js';
+import {
+  generateInvitationToken,
+  hashInvitationToken,
+  invitationClosedReason,
+  invitationExpiry,
+  isInvitationToken,
+  isInvitedEmail,
+} from '../src/services/organizations/invitations.js';
+import { renderEmail } from '../src/services/email/templates.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const USER_ID = '00000000-0000-0000-0000-000000000001';
+const OWNER_ID = '00000000-0000-0000-0000-000000000002';
+const ORG_ID = '10000000-0000-0000-0000-000000000001';
+const OTHER_ORG_ID = '10000000-0000-0000-0000-000000000002';
+
+const orgWorkspace = (role) => ({
+  organizationId: ORG_ID,
+  organizationName: 'Acme',
+  role,
+  ownerId: OWNER_ID,
+  userId: USER_ID,
+});
+
+/**
+ * Query builder that records its filters
+ */
+function recordingQuery() {
+  const calls = [];
+  const query = {
+    calls,
+    eq: (column, value) => {
+      calls.push(['eq', column, value]);
+      return query;
+    },
+    is: (column, value) => {
+      calls.push(['is', column, value]);
+      return query;
+    },
+    or: (filters) => {
+      calls.push(['or', filters]);
+      return query;
+    },
+  };
+  return query;
+}
+
+describe('Roles', () => {
+  it('lets viewers read, editors write and admins delete', () => {
+    assert.ok(hasPermission(orgWorkspace('viewer'), PERMISSIONS.RESOURCES_READ));
+    assert.equal(hasPermission(orgWorkspace('viewer'), PERMISSIONS.RESOURCES_WRITE), false);
+    assert.ok(hasPermission(orgWorkspace('editor'), PERMISSIONS.RESOURCES_WRITE));
+    assert.equal(hasPermission(orgWorkspace('editor'), PERMISSIONS.RESOURCES_DELETE), false);
+    assert.ok(hasPermission(orgWorkspace('admin'), PERMISSIONS.RESOURCES_DELETE));
+    assert.ok(hasPermission(orgWorkspace('admin'), PERMISSIONS.MEMBERS_MANAGE));
+    assert.equal(hasPermission(orgWorkspace('admin'), PERMISSIONS.ORGANIZATION_MANAGE), false);
+    assert.ok(hasPermission(orgWorkspace('owner'), PERMISSIONS.ORGANIZATION_MANAGE));
+    assert.equal(hasPermission({ role: 'guest' }, PERMISSIONS.RESOURCES_READ), false);
+  });
+
+  it('gives users every permission in their personal workspace', () => {
+    const workspace = personalWorkspace(USER_ID);
+
+    for (const permission of Object.values(PERMISSIONS)) {
+      assert.ok(hasPermission(workspace, permission), permission);
+    }
+  });
+
+  it('only manages members and grants roles below the actor', () => {
+    assert.ok(canManageMember('owner', 'admin', 'editor'));
+    assert.ok(canManageMember('owner', 'viewer', 'admin'));
+    assert.ok(canManageMember('admin', 'viewer', 'editor'));
+    assert.ok(canManageMember('admin', 'editor'));
+
+    assert.equal(canManageMember('admin', 'admin'), false);
+    assert.equal(canManageMember('admin', 'viewer', 'admin'), false);
+    assert.equal(canManageMember('admin', 'owner'), false);
+    assert.equal(canManageMember('owner', 'admin', 'owner'), false);
+    assert.equal(canManageMember('editor', 'viewer', 'viewer'), false);
+    assert.equal(canManageMember('viewer', null, 'viewer'), false);
+  });
+});
+
+describe('Workspace scoping', () => {
+  it('filters personal workspaces to the user rows outside any organization', () => {
+    const query = recordingQuery();
+    scopeToWorkspace(query, personalWorkspace(USER_ID));
+
+    assert.deepEqual(query.calls, [
+      ['eq', 'user_id', USER_ID],
+      ['is', 'organization_id', null],
+    ]);
+  });
+
+  it('filters organizations by organization only, so members share rows', () => {
+    const query = recordingQuery();
+    scopeToWorkspace(query, orgWorkspace('viewer'));
+
+    assert.deepEqual(query.calls, [['eq', 'organization_id', ORG_ID]]);
+  });
+
+  it('counts quota usage across the personal workspace and owned organizations', () => {
+    const query = recordingQuery();
+    scopeToSubscription(query, OWNER_ID, [ORG_ID, OTHER_ORG_ID]);
+
+    assert.deepEqual(query.calls, [
+      [
+        'or',
+        `and(user_id.eq.${OWNER_ID},organization_id.is.null),` +
+          `organization_id.in.(${ORG_ID},${OTHER_ORG_ID})`,
+      ],
+    ]);
+  });
+
+  it('counts only the personal workspace of a subscriber without organizations', () => {
+    const query = recordingQuery();
+    scopeToSubscription(query, USER_ID, []);
+
+    assert.deepEqual(query.calls, [
+      ['eq', 'user_id', USER_ID],
+      ['is', 'organization_id', null],
+    ]);
+  });
+
+  it('matches loaded rows the same way', () => {
+    const personal = personalWorkspace(USER_ID);
+    const shared = orgWorkspace('editor');
+
+    assert.ok(belongsToWorkspace({ user_id: USER_ID, organization_id: null }, personal));
+    assert.equal(
+      belongsToWorkspace({ user_id: USER_ID, organization_id: ORG_ID }, personal),
+      false
+    );
+    assert.ok(belongsToWorkspace({ user_id: OWNER_ID, organization_id: ORG_ID }, shared));
+    assert.equal(belongsToWorkspace({ user_id: USER_ID, organization_id: null }, shared), false);
+  });
+
+  it('stamps new rows with the creator and the organization', () => {
+    assert.deepEqual(workspaceColumns(orgWorkspace('editor')), {
+      user_id: USER_ID,
+      organization_id: ORG_ID,
+    });
+    assert.deepEqual(workspaceColumns(personalWorkspace(USER_ID)), {
+      user_id: USER_ID,
+      organization_id: null,
+    });
+  });
+
+  it('falls back to the personal workspace without the middleware', () => {
+    assert.deepEqual(workspaceOf({ user: { id: USER_ID } }), personalWorkspace(USER_ID));
+    const workspace = orgWorkspace('viewer');
+    assert.equal(workspaceOf({ user: { id: USER_ID }, workspace }), workspace);
+  });
+});
+
+describe('Membership lookup', () => {
+  const tables = {
+    organizations: [{ id: ORG_ID, name: 'Acme', owner_id: OWNER_ID }],
+    organization_members: [
+      { organization_id: ORG_ID, user_id: OWNER_ID, role: 'owner' },
+      { organization_id: ORG_ID, user_id: USER_ID, role: 'editor' },
+    ],
+    users: [{ id: OWNER_ID, subscription_tier: 'agency' }],
+  };
+
+  it("resolves the member's role and the owner's plan", async () => {
+    const workspace = await loadWorkspace(createFakeSupabase(tables), USER_ID, ORG_ID);
+
+    assert.deepEqual(workspace, {
+      organizationId: ORG_ID,
+      organizationName: 'Acme',
+      role: 'editor',
+      ownerId: OWNER_ID,
+      ownerTier: 'agency',
+      userId: USER_ID,
+    });
+  });
+
+  it('returns null for users outside the organization', async () => {
+    const outsider = '00000000-0000-0000-0000-000000000009';
+
+    assert.equal(await loadWorkspace(createFakeSupabase(tables), outsider, ORG_ID), null);
+  });
+
+  it('lists the organizations a user owns, which share their quotas', async () => {
+    const owned = {
+      organizations: [
+        ...tables.organizations,
+        { id: OTHER_ORG_ID, name: 'Acme Labs', owner_id: OWNER_ID },
+        { id: '10000000-0000-0000-0000-000000000003', name: 'Other', owner_id: USER_ID },
+      ],
+    };
+
+    assert.deepEqual(await loadOwnedOrganizationIds(createFakeSupabase(owned), OWNER_ID), [
+      ORG_ID,
+      OTHER_ORG_ID,
+    ]);
+  });
+});
+
+describe('Invitations', () => {
+  it('issues URL-safe tokens and stores only their hash', () => {
+    const { token, tokenHash } = generateInvitationToken();
+
+    assert.ok(isInvitationToken(token));
+    assert.equal(tokenHash, hashInvitationToken(token));
+    assert.match(tokenHash, /^[0-9a-f]{64}$/);
+    assert.notEqual(generateInvitationToken().token, token);
+    assert.equal(isInvitationToken('../../etc/passwd'), false);
+    assert.equal(isInvitationToken(undefined), false);
+  });
+
+  it('closes invitations once answered, revoked or expired', () => {
+    const now = new Date('2026-03-01T00:00:00Z');
+    const open = { status: 'pending', expires_at: invitationExpiry(now) };
+
+    assert.equal(open.expires_at, '2026-03-08T00:00:00.000Z');
+    assert.equal(invitationClosedReason(open, now), null);
+    assert.equal(invitationClosedReason(open, new Date('2026-03-08T00:00:00Z')), 'expired');
+    assert.equal(invitationClosedReason({ ...open, status: 'revoked' }, now), 'revoked');
+    assert.equal(invitationClosedReason({ ...open, status: 'accepted' }, now), 'accepted');
+  });
+
+  it('matches the invited address regardless of case', () => {
+    const invitation = { email: 'Jo@Example.com' };
+
+    assert.ok(isInvitedEmail(invitation, 'jo@example.com '));
+    assert.equal(isInvitedEmail(invitation, 'someone@example.com'), false);
+    assert.equal(isInvitedEmail(invitation, undefined), false);
+  });
+
+  it('emails the invitation link with the role and expiry', () => {
+    const { subject, html, text } = renderEmail('team_invitation', {
+      organizationName: 'Acme <SEO>',
+      inviterName: 'Sam',
+      role: 'admin',
+      expiresAt: '2026-03-08T00:00:00Z',
+      invitationUrl: 'http://localhost:3000/invitations/abc',
+    });
+
+    assert.equal(subject, 'Join Acme <SEO> on Prismify');
+    assert.match(text, /Sam invited you to the Acme <SEO> workspace on Prismify as an admin\./);
+    assert.match(text, /March 8, 2026/);
+    assert.match(text, /http:\/\/localhost:3000\/invitations\/abc/);
+    assert.match(html, /Acme &lt;SEO&gt;/);
+    assert.match(html, /href="http:\/\/localhost:3000\/invitations\/abc"/);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Page Fetcher Tests
+ *
+ * Runs fetchPage against a local HTTP server, so no network access is needed.
+ *
+ * To run: node --test tests/pageFetcher.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  fetchPage,
+  isPrivateAddress,
+  PageFetchError,
+  FETCH_ERROR_CODES,
+} from '../src/services/crawler/pageFetcher.js';
+
+const HTML = '<!DOCTYPE html><html><head><title>Fixture</title></head><body>Hi</body></html>';
+
+const routes = {
+  '/ok': (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(HTML);
+  },
+  '/redirect': (res) => {
+    res.writeHead(301, { Location: '/ok' });
+    res.end();
+  },
+  '/bad-redirect': (res) => {
+    res.writeHead(302, { Location: 'http://bad host/' });
+    res.end();
+  },
+  '/loop': (res) => {
+    res.writeHead(302, { Location: '/loop' });
+    res.end();
+  },
+  '/missing': (res) => {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('Not found');
+  },
+  '/json': (res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end('{"ok":true}');
+  },
+  '/large': (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<html>${'x'.repeat(4096)}</html>`);
+  },
+  '/slow': (res) => {
+    setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(HTML);
+    }, 500);
+  },
+};
+
+describe('Page Fetcher', () => {
+  let server;
+  let baseUrl;
+  const options = { allowPrivateHosts: true };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const handler = routes[req.url];
+      if (handler) {
+        handler(res);
+      } else {
+        res.writeHead(500);
+        res.end();
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  async function assertFetchError(url, code, fetchOptions = options) {
+    await assert.rejects(fetchPage(url, fetchOptions), (error) => {
+      assert.ok(error instanceof PageFetchError);
+      assert.equal(error.code, code);
+      return true;
+    });
+  }
+
+  it('should fetch an HTML page', async () => {
+    const page = await fetchPage(`${baseUrl}/ok`, options);
+    assert.equal(page.status, 200);
+    assert.equal(page.html, HTML);
+    assert.equal(page.finalUrl, `${baseUrl}/ok`);
+    assert.equal(page.redirects.length, 0);
+  });
+
+  it('should follow and record redirects', async () => {
+    const page = await fetchPage(`${baseUrl}/redirect`, options);
+    assert.equal(page.finalUrl, `${baseUrl}/ok`);
+    assert.deepEqual(page.redirects, [
+      { url: `${baseUrl}/redirect`, status: 301, location: `${baseUrl}/ok` },
+    ]);
+  });
+
+  it('should reject redirect loops', async () => {
+    await assertFetchError(`${baseUrl}/loop`, FETCH_ERROR_CODES.TOO_MANY_REDIRECTS);
+  });
+
+  it('should reject a redirect to a malformed Location', async () => {
+    await assertFetchError(`${baseUrl}/bad-redirect`, FETCH_ERROR_CODES.INVALID_URL);
+  });
+
+  it('should reject HTTP error responses', async () => {
+    await assertFetchError(`${baseUrl}/missing`, FETCH_ERROR_CODES.HTTP_ERROR);
+  });
+
+  it('should reject non-HTML responses', async () => {
+    await assertFetchError(`${baseUrl}/json`, FETCH_ERROR_CODES.NOT_HTML);
+  });
+
+  it('should enforce the size limit', async () => {
+    await assertFetchError(`${baseUrl}/large`, FETCH_ERROR_CODES.TOO_LARGE, {
+      ...options,
+      maxBytes: 1024,
+    });
+  });
+
+  it('should time out slow responses', async () => {
+    await assertFetchError(`${baseUrl}/slow`, FETCH_ERROR_CODES.TIMEOUT, {
+      ...options,
+      timeoutMs: 100,
+    });
+  });
+
+  it('should block private hosts by default', async () => {
+    await assertFetchError(`${baseUrl}/ok`, FETCH_ERROR_CODES.BLOCKED_HOST, {
+      allowPrivateHosts: false,
+    });
+  });
+
+  it('should reject non-HTTP URLs', async () => {
+    await assertFetchError('ftp://example.com/', FETCH_ERROR_CODES.INVALID_URL);
+  });
+
+  it('should classify private addresses', () => {
+    assert.equal(isPrivateAddress('10.1.2.3'), true);
+    assert.equal(isPrivateAddress('192.168.0.1'), true);
+    assert.equal(isPrivateAddress('::1'), true);
+    assert.equal(isPrivateAddress('::ffff:127.0.0.1'), true);
+    assert.equal(isPrivateAddress('93.184.216.34'), false);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Project Overview Tests
+ *
+ * Latest component scores, tracked keyword metrics and the activity timeline shown on the
+ * project dashboard.
+ *
+ * To run: node --test tests/projectOverview.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  latestScores,
+  trackedKeywords,
+  recentActivity,
+  buildProjectOverview,
+} from '../src/services/projectOverview.js';
+
+const audit = (id, createdAt, status = 'completed', score = 80) => ({
+  id,
+  content_url: 'https://example.com/',
+  seo_score: status === 'completed' ? score : null,
+  status,
+  created_at: createdAt,
+  results:
+    status === 'completed'
+      ? { grade: 'B', meta_score: 90, content_score: 70.4, scores: { security: { score: 55 } } }
+      : { status },
+});
+
+describe('latestScores', () => {
+  it('uses the newest completed audit and skips pending and failed ones', () => {
+    const scores = latestScores([
+      audit('a3', '2025-03-03T00:00:00Z', 'pending'),
+      audit('a2', '2025-03-02T00:00:00Z', 'failed'),
+      audit('a1', '2025-03-01T00:00:00Z', 'completed', 81),
+    ]);
+
+    assert.equal(scores.audit_id, 'a1');
+    assert.equal(scores.overall, 81);
+    assert.equal(scores.meta, 90);
+    assert.equal(scores.content, 70);
+    assert.equal(scores.security, 55);
+    assert.equal(scores.mobile, null);
+  });
+
+  it('returns null when no audit has completed', () => {
+    assert.equal(latestScores([audit('a1', '2025-03-01T00:00:00Z', 'failed')]), null);
+  });
+});
+
+describe('trackedKeywords', () => {
+  it('attaches the most recent metrics case-insensitively', () => {
+    const tracked = trackedKeywords(
+      ['SEO Audit', 'rank tracker'],
+      [
+        { keyword: 'seo audit', search_volume: 900, created_at: '2025-03-02T00:00:00Z' },
+        { keyword: 'seo audit', search_volume: 500, created_at: '2025-03-01T00:00:00Z' },
+      ]
+    );
+
+    assert.equal(tracked[0].keyword, 'SEO Audit');
+    assert.equal(tracked[0].search_volume, 900);
+    assert.equal(tracked[1].search_volume, null);
+    assert.equal(tracked[1].researched_at, null);
+  });
+});
+
+describe('recentActivity', () => {
+  it('merges sources newest first and groups keyword research runs', () => {
+    const events = recentActivity({
+      audits: [audit('a1', '2025-03-01T00:00:00Z')],
+      crawls: [
+        {
+          id: 'c1',
+          seed_url: 'https://example.com/',
+          status: 'completed',
+          created_at: '2025-03-02T00:00:00Z',
+          finished_at: '2025-03-02T01:00:00Z',
+        },
+      ],
+      keywords: [
+        { id: 'k1', seed_keyword: 'seo', created_at: '2025-03-03T00:00:00Z' },
+        { id: 'k2', seed_keyword: 'seo', created_at: '2025-03-03T00:00:00Z' },
+      ],
+      alerts: [{ id: 'x1', audit_id: 'a1', alerts: [{}, {}], created_at: '2025-02-28T00:00:00Z' }],
+    });
+
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ['keyword_research', 'crawl', 'audit', 'alert']
+    );
+    assert.equal(events[0].keyword_count, 2);
+    assert.equal(events[1].at, '2025-03-02T01:00:00Z');
+    assert.equal(events[3].alert_count, 2);
+  });
+
+  it('caps the timeline', () => {
+    const audits = Array.from({ length: 15 }, (_, index) =>
+      audit(`a${index}`, new Date(Date.UTC(2025, 0, index + 1)).toISOString())
+    );
+    assert.equal(recentActivity({ audits }, { limit: 5 }).length, 5);
+  });
+});
+
+describe('buildProjectOverview', () => {
+  it('orders unsorted audits before picking the latest scores', () => {
+    const overview = buildProjectOverview(
+      { id: 'p1', target_keywords: [] },
+      {
+        audits: [
+          audit('old', '2025-01-01T00:00:00Z', 'completed', 60),
+          audit('new', '2025-02-01T00:00:00Z', 'completed', 75),
+        ],
+      }
+    );
+
+    assert.equal(overview.latest_scores.audit_id, 'new');
+    assert.deepEqual(overview.tracked_keywords, []);
+    assert.equal(overview.recent_activity[0].id, 'new');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Rank Tracking Tests
+ *
+ * Position and SERP feature parsing, history summaries, the fixture provider, and the
+ * SerpApi adapter against a local HTTP server, so no network access or API keys are needed.
+ *
+ * To run: node --test tests/rankTracking.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  createUrlMatcher,
+  parseSerpRanking,
+  summarizeRankHistory,
+  summarizeFeatureOwnership,
+} from '../src/services/rankings/rankMetrics.js';
+import {
+  checkTrackedKeyword,
+  resolveRankProvider,
+  KEYWORD_PROVIDER_ERROR_CODES,
+} from '../src/services/rankings/rankTracking.js';
+import { createFixtureRankProvider } from '../src/services/rankings/providers/fixture.js';
+import { createSerpRankProvider } from '../src/services/rankings/providers/serpApi.js';
+
+const SERP = {
+  search_information: { total_results: 120000000 },
+  answer_box: { title: 'Espresso', link: 'https://www.example.com/espresso-guide' },
+  related_questions: [{ question: 'What is espresso?', link: 'https://other.org/what' }],
+  local_results: [],
+  organic_results: [
+    { position: 1, link: 'https://other.org/espresso' },
+    { position: 2, link: 'https://shop.example.com/machines' },
+    { position: 3, link: 'https://www.example.com/espresso-guide/' },
+  ],
+};
+
+const tracked = {
+  id: 'tracked-1',
+  user_id: 'user-1',
+  keyword: 'espresso guide',
+  target_url: 'https://example.com',
+  location: 'US',
+  device: 'mobile',
+  language: 'en',
+};
+
+describe('URL matching', () => {
+  it('matches a whole site, subdomains included, when the URL has no path', () => {
+    const matches = createUrlMatcher('https://example.com/');
+    assert.ok(matches('https://www.example.com/a'));
+    assert.ok(matches('http://blog.example.com/'));
+    assert.ok(!matches('https://notexample.com/'));
+  });
+
+  it('matches only the page when the URL has a path', () => {
+    const matches = createUrlMatcher('https://example.com/espresso-guide');
+    assert.ok(matches('https://www.example.com/espresso-guide/?utm_source=x'));
+    assert.ok(!matches('https://example.com/'));
+  });
+});
+
+describe('SERP parsing', () => {
+  it('finds the first organic result of the site and the features it owns', () => {
+    const ranking = parseSerpRanking(SERP, 'https://example.com');
+
+    assert.equal(ranking.position, 2);
+    assert.equal(ranking.ranking_url, 'https://shop.example.com/machines');
+    assert.equal(ranking.total_results, 120000000);
+    assert.deepEqual(ranking.serp_features, [
+      { type: 'featured_snippet', owned: true },
+      { type: 'people_also_ask', owned: false },
+    ]);
+  });
+
+  it('reports pages outside the results as not ranked', () => {
+    const ranking = parseSerpRanking(SERP, 'https://example.com/pricing');
+    assert.equal(ranking.position, null);
+    assert.equal(ranking.ranking_url, null);
+  });
+});
+
+describe('History summaries', () => {
+  const history = [
+    { checked_on: '2025-03-01', position: 12, serp_features: [{ type: 'videos', owned: false }] },
+    { checked_on: '2025-03-02', position: 8, serp_features: [{ type: 'videos', owned: true }] },
+    { checked_on: '2025-03-03', position: null, serp_features: [] },
+    { checked_on: '2025-03-04', position: 9, serp_features: [] },
+    {
+      checked_on: '2025-03-05',
+      position: 4,
+      serp_features: [
+        { type: 'videos', owned: false },
+        { type: 'featured_snippet', owned: true },
+      ],
+    },
+  ];
+
+  it('computes best, worst and average positions and movement', () => {
+    const summary = summarizeRankHistory(history);
+
+    assert.equal(summary.current, 4);
+    assert.equal(summary.previous, 9);
+    assert.equal(summary.change, 5);
+    assert.equal(summary.best, 4);
+    assert.equal(summary.worst, 12);
+    assert.equal(summary.average, 8.3);
+    assert.equal(summary.ranked_checks, 4);
+    // Moves between ranked neighbours only: 12 -> 8 and 9 -> 4
+    assert.deepEqual(summary.movement, { best: 5, worst: 4, average: 4.5 });
+  });
+
+  it('handles keywords that never ranked', () => {
+    const summary = summarizeRankHistory([{ position: null }, { position: null }]);
+    assert.equal(summary.best, null);
+    assert.equal(summary.change, null);
+    assert.equal(summary.movement.average, null);
+  });
+
+  it('counts SERP feature appearances and ownership', () => {
+    assert.deepEqual(summarizeFeatureOwnership(history), [
+      { type: 'videos', seen: 3, owned: 1, owned_now: false },
+      { type: 'featured_snippet', seen: 1, owned: 1, owned_now: true },
+    ]);
+  });
+});
+
+describe('Fixture provider', () => {
+  const provider = createFixtureRankProvider();
+
+  it('returns the same position for the same day and moves between days', async () => {
+    const day = new Date('2025-03-10T06:00:00Z');
+    const first = await checkTrackedKeyword(provider, tracked, { now: day });
+    const again = await checkTrackedKeyword(provider, tracked, { now: day });
+
+    assert.deepEqual(first, again);
+    assert.equal(first.checked_on, '2025-03-10');
+    assert.equal(first.provider, 'fixture');
+    assert.equal(first.tracked_keyword_id, 'tracked-1');
+
+    const positions = [];
+    for (let date = 1; date <= 10; date++) {
+      const check = await checkTrackedKeyword(provider, tracked, {
+        now: new Date(Date.UTC(2025, 2, date)),
+      });
+      positions.push(check.position);
+    }
+    assert.ok(new Set(positions).size > 1);
+  });
+
+  it('resolves named providers and rejects unknown ones', () => {
+    assert.equal(resolveRankProvider('fixture').name, 'fixture');
+    assert.throws(
+      () => resolveRankProvider('nope'),
+      (error) => error.code === KEYWORD_PROVIDER_ERROR_CODES.UNKNOWN_PROVIDER
+    );
+  });
+});
+
+describe('SERP provider', () => {
+  let server;
+  let baseUrl;
+  let lastQuery;
+  let response;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      lastQuery = new URL(req.url, 'http://localhost').searchParams;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  it('searches with the location, device and depth of the tracked keyword', async () => {
+    response = SERP;
+    const provider = createSerpRankProvider({ apiKey: 'key', baseUrl, depth: 50 });
+
+    const check = await checkTrackedKeyword(provider, tracked);
+
+    assert.equal(lastQuery.get('q'), 'espresso guide');
+    assert.equal(lastQuery.get('gl'), 'us');
+    assert.equal(lastQuery.get('device'), 'mobile');
+    assert.equal(lastQuery.get('num'), '50');
+    assert.equal(check.position, 2);
+    assert.equal(check.provider, 'serp');
+  });
+
+  it('treats empty result pages as not ranked and surfaces credit exhaustion', async () => {
+    const provider = createSerpRankProvider({ apiKey: 'key', baseUrl });
+
+    response = { error: "Google hasn't returned any results for this query." };
+    assert.equal((await checkTrackedKeyword(provider, tracked)).position, null);
+
+    response = { error: 'Your account has run out of searches.' };
+    await assert.rejects(
+      () => checkTrackedKeyword(provider, tracked),
+      (error) => error.code === KEYWORD_PROVIDER_ERROR_CODES.RATE_LIMITED
+    );
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Rate Limit Tests
+ *
+ * Sliding window counting, tier limits, and the Redis and in-memory counter stores, against a
+ * fake Redis client so no Redis server is needed.
+ *
+ * To run: node --test tests/rateLimit.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, slidingWindowState, windowStart } from '../src/services/rateLimiter.js';
+import { TIER_RATE_LIMITS, getRateLimit } from '../src/config/tiers.js';
+
+const MINUTE = 60 * 1000;
+
+// Start of a minute, so offsets below read as "seconds into the window"
+const T0 = 1_700_000_040_000;
+
+/**
+ * Limiter that never connects, so every count goes to process memory
+ */
+function memoryLimiter() {
+  const limiter = new RateLimiter();
+  limiter.lastConnectAttempt = Infinity;
+  return limiter;
+}
+
+/**
+ * Just enough of a node-redis client for MULTI INCR / PEXPIRE / GET
+ */
+function fakeRedis() {
+  const values = new Map();
+  const expiries = new Map();
+
+  const client = {
+    values,
+    expiries,
+    multi: () => {
+      const commands = [];
+      const chain = {
+        incr: (key) => {
+          commands.push(() => {
+            const next = Number(values.get(key) || 0) + 1;
+            values.set(key, String(next));
+            return next;
+          });
+          return chain;
+        },
+        pExpire: (key, ms) => {
+          commands.push(() => {
+            expiries.set(key, ms);
+            return 1;
+          });
+          return chain;
+        },
+        get: (key) => {
+          commands.push(() => values.get(key) ?? null);
+          return chain;
+        },
+        exec: async () => commands.map((command) => command()),
+      };
+      return chain;
+    },
+  };
+  return client;
+}
+
+describe('Sliding window', () => {
+  it('aligns fixed windows to the window length', () => {
+    assert.equal(windowStart(T0, MINUTE), T0);
+    assert.equal(windowStart(T0 + 59_999, MINUTE), T0);
+    assert.equal(windowStart(T0 + MINUTE, MINUTE), T0 + MINUTE);
+  });
+
+  it('weights the previous window by how much of it still overlaps', () => {
+    // 15s into the window, 75% of the previous window still counts: 40 * 0.75 + 20 = 50
+    const state = slidingWindowState({
+      current: 20,
+      previous: 40,
+      limit: 60,
+      windowMs: MINUTE,
+      now: T0 + 15_000,
+    });
+
+    assert.deepEqual(state, { allowed: true, limit: 60, remaining: 10, resetMs: 45_000 });
+  });
+
+  it('rejects once the weighted count passes the limit', () => {
+    const busy = { current: 31, previous: 40, limit: 60, windowMs: MINUTE };
+
+    assert.equal(slidingWindowState({ ...busy, now: T0 + 15_000 }).allowed, false);
+    assert.equal(slidingWindowState({ ...busy, now: T0 + 15_000 }).remaining, 0);
+    // Later in the window less of the previous burst counts
+    assert.equal(slidingWindowState({ ...busy, now: T0 + 45_000 }).allowed, true);
+  });
+});
+
+describe('Tier limits', () => {
+  it('gives higher tiers more requests and keeps expensive requests tighter', () => {
+    assert.ok(getRateLimit('agency', 'standard') > getRateLimit('professional', 'standard'));
+    assert.ok(getRateLimit('professional', 'standard') > getRateLimit('starter', 'standard'));
+
+    for (const limits of Object.values(TIER_RATE_LIMITS)) {
+      assert.ok(limits.expensive < limits.standard);
+    }
+  });
+
+  it('falls back to starter limits and the standard bucket', () => {
+    assert.equal(getRateLimit('legacy', 'standard'), TIER_RATE_LIMITS.starter.standard);
+    assert.equal(getRateLimit('agency', 'unknown'), TIER_RATE_LIMITS.agency.standard);
+  });
+});
+
+describe('Counter stores', () => {
+  it('counts in memory while Redis is unavailable', async () => {
+    const limiter = memoryLimiter();
+    const results = [];
+
+    for (let i = 0; i < 4; i++) {
+      results.push(await limiter.hit('user:a:standard', 3, { now: T0 + i * 1000 }));
+    }
+
+    assert.deepEqual(
+      results.map((result) => [result.allowed, result.remaining, result.store]),
+      [
+        [true, 2, 'memory'],
+        [true, 1, 'memory'],
+        [true, 0, 'memory'],
+        [false, 0, 'memory'],
+      ]
+    );
+
+    // Other users and buckets have their own counters
+    const other = await limiter.hit('user:b:standard', 3, { now: T0 + 4000 });
+    assert.equal(other.remaining, 2);
+  });
+
+  it('carries the previous window over and forgets expired counters', async () => {
+    const limiter = memoryLimiter();
+
+    for (let i = 0; i < 10; i++) {
+      await limiter.hit('user:a:expensive', 10, { now: T0 + i });
+    }
+
+    // Halfway through the next window half of the previous 10 still count: 5 + 1
+    const next = await limiter.hit('user:a:expensive', 10, { now: T0 + MINUTE + 30_000 });
+    assert.equal(next.remaining, 4);
+
+    // Two windows later nothing is left
+    const later = await limiter.hit('user:a:expensive', 10, { now: T0 + 3 * MINUTE });
+    assert.equal(later.remaining, 9);
+    assert.ok(![...limiter.memory.keys()].includes(`ratelimit:user:a:expensive:${T0}`));
+  });
+
+  it('shares counters through Redis with a two-window expiry', async () => {
+    const limiter = new RateLimiter();
+    limiter.client = fakeRedis();
+    limiter.isConnected = true;
+    limiter.client.values.set(`ratelimit:key:k1:${T0 - MINUTE}`, '60');
+
+    const result = await limiter.hit('key:k1', 100, { now: T0 + 30_000 });
+
+    // 60 * 0.5 + 1
+    assert.equal(result.store, 'redis');
+    assert.equal(result.remaining, 69);
+    assert.equal(limiter.client.expiries.get(`ratelimit:key:k1:${T0}`), 2 * MINUTE);
+  });
+
+  it('checks a limit without counting a request', async () => {
+    const limiter = memoryLimiter();
+
+    for (let i = 0; i < 2; i++) {
+      await limiter.hit('ip:1.2.3.4:api', 3, { now: T0 + i });
+    }
+
+    const open = await limiter.check('ip:1.2.3.4:api', 3, { now: T0 + 10 });
+    assert.deepEqual([open.allowed, open.remaining], [true, 0]);
+    assert.equal((await limiter.check('ip:1.2.3.4:api', 3, { now: T0 + 20 })).allowed, true);
+
+    await limiter.hit('ip:1.2.3.4:api', 3, { now: T0 + 30 });
+    assert.equal((await limiter.check('ip:1.2.3.4:api', 3, { now: T0 + 40 })).allowed, false);
+  });
+
+  it('checks Redis counters without incrementing them', async () => {
+    const limiter = new RateLimiter();
+    limiter.client = fakeRedis();
+    limiter.isConnected = true;
+    limiter.client.values.set(`ratelimit:ip:a:api:${T0 - MINUTE}`, '60');
+    limiter.client.values.set(`ratelimit:ip:a:api:${T0}`, '9');
+
+    const result = await limiter.check('ip:a:api', 100, { now: T0 + 30_000 });
+
+    // 60 * 0.5 + 9 + 1
+    assert.equal(result.store, 'redis');
+    assert.equal(result.remaining, 60);
+    assert.equal(limiter.client.values.get(`ratelimit:ip:a:api:${T0}`), '9');
+  });
+
+  it('falls back to memory when a Redis command fails', async () => {
+    const limiter = new RateLimiter();
+    limiter.isConnected = true;
+    limiter.client = {
+      multi: () => {
+        throw new Error('Connection lost');
+      },
+    };
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      const result = await limiter.hit('user:a:standard', 5, { now: T0 });
+      assert.equal(result.store, 'memory');
+      assert.equal(result.allowed, true);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Report Tests
+ *
+ * Builds report data from a stored audit, renders both PDF layouts and round-trips a file
+ * through local report storage.
+ *
+ * To run: node --test tests/reports.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  buildReportData,
+  parseBranding,
+  renderAuditPdf,
+  DEFAULT_BRANDING,
+} from '../src/services/reports/pdfReport.js';
+import {
+  reportKey,
+  saveReportFile,
+  readReportFile,
+  deleteReportFile,
+} from '../src/services/reports/reportStorage.js';
+
+const audit = {
+  id: '5f8b1c2e-0d3a-4c1b-9a7e-2b6c8d9e0f11',
+  content_url: 'https://example.com/',
+  created_at: '2025-11-19T10:00:00.000Z',
+  seo_score: 71,
+  results: {
+    overall_score: 71,
+    grade: 'C',
+    meta_score: 80,
+    content_score: 64,
+    technical_score: 90,
+    mobile_score: 100,
+    performance_score: 42,
+    security_score: 75,
+    accessibility_score: 55,
+    recommendations: [
+      { category: 'Content', priority: 'medium', title: 'Thin content', impact: 5 },
+      { category: 'Performance', priority: 'high', title: 'Slow LCP', impact: 8 },
+      { category: 'Content', priority: 'critical', title: 'Missing H1', impact: 10 },
+      { category: 'Security', priority: 'low', title: 'No CSP', impact: 2 },
+      { category: 'Technical SEO', priority: 'medium', title: 'No sitemap', impact: 5 },
+    ],
+  },
+};
+
+const keywords = [
+  { keyword: 'seo audit', search_volume: 1200, difficulty: 40, opportunity_score: 55 },
+  { keyword: 'site checker', search_volume: 900, difficulty: 20, opportunity_score: 80 },
+];
+
+const pageCount = (pdf) =>
+  Number(pdf.toString('latin1').match(/\/Type \/Pages[^>]*\/Count (\d+)/)[1]);
+
+describe('buildReportData', () => {
+  const data = buildReportData(audit, keywords);
+
+  it('collects the grade and the seven component scores', () => {
+    assert.equal(data.grade, 'C');
+    assert.equal(data.overall_score, 71);
+    assert.deepEqual(
+      data.scores.map((score) => score.score),
+      [80, 64, 90, 100, 42, 75, 55]
+    );
+  });
+
+  it('groups issues by component, highest priority first', () => {
+    assert.deepEqual(
+      data.issue_groups.map((group) => group.component),
+      ['Content', 'Technical', 'Performance', 'Security']
+    );
+    assert.deepEqual(
+      data.issue_groups[0].issues.map((issue) => issue.title),
+      ['Missing H1', 'Thin content']
+    );
+    assert.equal(data.keywords[0].keyword, 'site checker');
+  });
+});
+
+describe('parseBranding', () => {
+  it('accepts colors, text and a PNG logo', () => {
+    const logo = `data:image/png;base64,${Buffer.from('png').toString('base64')}`;
+    const { branding } = parseBranding({
+      company_name: 'Acme SEO',
+      primary_color: '#1E40AF',
+      footer_text: 'Prepared by Acme',
+      logo,
+    });
+
+    assert.equal(branding.company_name, 'Acme SEO');
+    assert.equal(branding.primary_color, '#1e40af');
+    assert.equal(branding.accent_color, DEFAULT_BRANDING.accent_color);
+    assert.deepEqual(branding.logo, Buffer.from('png'));
+    assert.deepEqual(parseBranding(undefined), { branding: null });
+  });
+
+  it('rejects invalid colors and logos', () => {
+    assert.match(parseBranding({ primary_color: 'blue' }).error, /primary_color/);
+    assert.match(parseBranding({ logo: 'https://acme.test/logo.svg' }).error, /logo/);
+    assert.match(parseBranding('acme').error, /object/);
+  });
+});
+
+describe('renderAuditPdf', () => {
+  it('renders a longer technical report than the executive summary', async () => {
+    const data = buildReportData(audit, keywords);
+    data.issue_groups[0].issues = Array.from({ length: 60 }, (_, index) => ({
+      category: 'Content',
+      priority: 'medium',
+      title: `Issue ${index}`,
+      description: 'Fix it',
+    }));
+
+    const technical = await renderAuditPdf(data, { reportType: 'technical' });
+    const executive = await renderAuditPdf(data, { reportType: 'executive' });
+
+    assert.equal(technical.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(executive.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(pageCount(technical) > pageCount(executive));
+  });
+});
+
+describe('reportStorage (local driver)', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it('saves, reads and deletes a report file', async () => {
+    const key = reportKey('user-1', 'report-1');
+    await saveReportFile(key, Buffer.from('%PDF-1.3'), { driver: 'local', directory });
+
+    assert.equal(
+      (await readReportFile(key, { driver: 'local', directory })).toString(),
+      '%PDF-1.3'
+    );
+    await deleteReportFile(key, { driver: 'local', directory });
+    assert.equal(await readReportFile(key, { driver: 'local', directory }), null);
+  });
+
+  it('rejects keys that could leave the storage directory', async () => {
+    assert.throws(() => reportKey('../etc', 'passwd'), /Invalid report key/);
+    await assert.rejects(
+      readReportFile('../../etc/passwd.pdf', { driver: 'local', directory }),
+      /Invalid report key/
+    );
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Security Headers Tests
+ *
+ * Checks header parsing and scoring, cookie flags, certificate summaries and how the
+ * security component combines them.
+ *
+ * To run: node --test tests/securityHeaders.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  analyzeSecurityHeaders,
+  parseHsts,
+  parseCsp,
+  parseSetCookies,
+  SECURITY_HEADER_CODES,
+} from '../src/services/crawler/securityHeaders.js';
+import { inspectTls, summarizeCertificate } from '../src/services/crawler/tlsInspector.js';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+
+const agent = new SEOAgent({ heartbeatEnabled: false });
+
+const hardenedHeaders = {
+  'strict-transport-security': 'max-age=63072000; includeSubDomains; preload',
+  'content-security-policy':
+    "default-src 'self'; script-src 'self' 'nonce-abc123'; object-src 'none'; base-uri 'self'; frame-ancestors 'none'",
+  'x-content-type-options': 'nosniff',
+  'referrer-policy': 'strict-origin-when-cross-origin',
+  'permissions-policy': 'camera=(), microphone=()',
+};
+
+const codesOf = (result) => result.issues.map((issue) => issue.code);
+
+describe('header parsing', () => {
+  it('parses HSTS directives case-insensitively', () => {
+    assert.deepEqual(parseHsts('Max-Age="31536000"; IncludeSubDomains'), {
+      maxAge: 31536000,
+      includeSubDomains: true,
+      preload: false,
+    });
+    assert.equal(parseHsts('includeSubDomains; preload'), null);
+  });
+
+  it('reads the first CSP directive of each name', () => {
+    const csp = parseCsp("script-src 'self'; script-src *; object-src 'none'");
+    assert.deepEqual(csp.get('script-src'), ["'self'"]);
+    assert.deepEqual(csp.get('object-src'), ["'none'"]);
+  });
+
+  it('parses cookie flags', () => {
+    const [session, tracking] = parseSetCookies([
+      'sid=abc; Path=/; Secure; HttpOnly; SameSite=Lax',
+      'ref=x=y; Path=/',
+    ]);
+    assert.deepEqual(session, { name: 'sid', secure: true, httpOnly: true, sameSite: 'lax' });
+    assert.deepEqual(tracking, { name: 'ref', secure: false, httpOnly: false, sameSite: null });
+  });
+});
+
+describe('analyzeSecurityHeaders', () => {
+  it('gives full points to a hardened response', () => {
+    const result = analyzeSecurityHeaders(hardenedHeaders, {
+      cookies: ['sid=abc; Secure; HttpOnly; SameSite=Strict'],
+    });
+    assert.equal(result.score, result.max_score);
+    assert.equal(result.max_score, 35);
+    assert.deepEqual(result.issues, []);
+    assert.equal(result.summary['x-content-type-options'], 'nosniff');
+    assert.equal(result.summary.cookies, 1);
+  });
+
+  it('turns missing headers into categorized issues with suggested values', () => {
+    const result = analyzeSecurityHeaders({});
+    const codes = codesOf(result);
+
+    for (const code of [
+      SECURITY_HEADER_CODES.HSTS_MISSING,
+      SECURITY_HEADER_CODES.CSP_MISSING,
+      SECURITY_HEADER_CODES.CONTENT_TYPE_OPTIONS_MISSING,
+      SECURITY_HEADER_CODES.FRAME_PROTECTION_MISSING,
+      SECURITY_HEADER_CODES.REFERRER_POLICY_MISSING,
+      SECURITY_HEADER_CODES.PERMISSIONS_POLICY_MISSING,
+    ]) {
+      assert.ok(codes.includes(code), `expected ${code}`);
+    }
+
+    const nosniff = result.issues.find(
+      (issue) => issue.code === SECURITY_HEADER_CODES.CONTENT_TYPE_OPTIONS_MISSING
+    );
+    assert.equal(nosniff.details.category, 'content');
+    assert.equal(nosniff.details.suggested_value, 'nosniff');
+    assert.equal(nosniff.description, 'Suggested header: X-Content-Type-Options: nosniff');
+
+    // No cookies set: the cookie points are not lost
+    assert.equal(result.score, 5);
+  });
+
+  it('flags short HSTS and weak CSP sources', () => {
+    const result = analyzeSecurityHeaders({
+      ...hardenedHeaders,
+      'strict-transport-security': 'max-age=3600',
+      'content-security-policy': "script-src 'self' 'unsafe-inline' 'unsafe-eval' https:",
+    });
+    const codes = codesOf(result);
+
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.HSTS_SHORT_MAX_AGE));
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.CSP_UNSAFE_INLINE));
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.CSP_UNSAFE_EVAL));
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.CSP_WILDCARD_SOURCE));
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.CSP_MISSING_OBJECT_SRC));
+    // frame-ancestors dropped with the weaker policy and there is no X-Frame-Options
+    assert.ok(codes.includes(SECURITY_HEADER_CODES.FRAME_PROTECTION_MISSING));
+  });
+
+  it('accepts nonce-based CSPs that keep unsafe-inline as a fallback', () => {
+    const result = analyzeSecurityHeaders({
+      ...hardenedHeaders,
+      'content-security-policy':
+        "script-src 'nonce-r4nd0m' 'unsafe-inline' 'strict-dynamic'; object-src 'none'; base-uri 'none'",
+      'x-frame-options': 'DENY',
+    });
+    assert.deepEqual(codesOf(result), []);
+  });
+
+  it('skips HSTS on plain HTTP and lists affected cookies', () => {
+    const result = analyzeSecurityHeaders(
+      {},
+      { cookies: ['sid=1; HttpOnly', 'pref=dark; SameSite=None'], https: false }
+    );
+    const codes = codesOf(result);
+
+    assert.equal(result.max_score, 27);
+    assert.ok(!codes.includes(SECURITY_HEADER_CODES.HSTS_MISSING));
+    assert.ok(!codes.includes(SECURITY_HEADER_CODES.COOKIE_MISSING_SECURE));
+
+    const sameSite = result.issues.find(
+      (issue) => issue.code === SECURITY_HEADER_CODES.COOKIE_SAMESITE_NONE_INSECURE
+    );
+    assert.deepEqual(sameSite.details.cookies, ['pref']);
+    assert.equal(sameSite.details.category, 'cookies');
+  });
+});
+
+describe('TLS details', () => {
+  it('summarizes a peer certificate', () => {
+    const summary = summarizeCertificate(
+      {
+        subject: { CN: 'example.com' },
+        issuer: { O: "Let's Encrypt", CN: 'R3' },
+        valid_from: 'Jan  1 00:00:00 2026 GMT',
+        valid_to: 'Apr  1 00:00:00 2026 GMT',
+        subjectaltname: 'DNS:example.com, DNS:www.example.com',
+      },
+      new Date('2026-03-02T00:00:00Z')
+    );
+
+    assert.equal(summary.issuer, "Let's Encrypt");
+    assert.equal(summary.days_remaining, 30);
+    assert.deepEqual(summary.subject_alt_names, ['example.com', 'www.example.com']);
+    assert.equal(summarizeCertificate({}), null);
+  });
+
+  it('skips non-HTTPS URLs', async () => {
+    assert.equal(await inspectTls('http://example.com/'), null);
+  });
+});
+
+describe('SEOAgent security score', () => {
+  const html = '<html><body><a href="/about">About</a></body></html>';
+  const goodTls = {
+    host: 'example.com',
+    protocol: 'TLSv1.3',
+    authorized: true,
+    certificate: { valid_to: '2027-01-01T00:00:00.000Z', days_remaining: 90 },
+    error: null,
+  };
+
+  it('gives a hardened HTTPS response all header and TLS points', async () => {
+    const result = await agent.analyzeSecurity('https://example.com/', html, undefined, {
+      headers: hardenedHeaders,
+      cookies: [],
+      tls: goodTls,
+    });
+
+    // No external links: 3 of the 5 link points
+    assert.equal(result.score, 98);
+    assert.equal(result.tls.protocol, 'TLSv1.3');
+    assert.equal(result.headers['referrer-policy'], 'strict-origin-when-cross-origin');
+  });
+
+  it('reports outdated protocols and expiring certificates', async () => {
+    const result = await agent.analyzeSecurity('https://example.com/', html, undefined, {
+      headers: hardenedHeaders,
+      cookies: [],
+      tls: {
+        ...goodTls,
+        protocol: 'TLSv1',
+        certificate: { ...goodTls.certificate, days_remaining: 10 },
+      },
+    });
+    const byCode = Object.fromEntries(result.issues.map((issue) => [issue.code, issue]));
+
+    assert.equal(byCode.TLS_OUTDATED_PROTOCOL.severity, 'high');
+    assert.equal(byCode.TLS_CERT_EXPIRING.severity, 'high');
+    assert.equal(byCode.TLS_CERT_EXPIRING.details.category, 'tls');
+  });
+
+  it('reports an expired certificate once', async () => {
+    const result = await agent.analyzeSecurity('https://example.com/', html, undefined, {
+      headers: hardenedHeaders,
+      cookies: [],
+      tls: {
+        ...goodTls,
+        authorized: false,
+        authorization_error: 'CERT_HAS_EXPIRED',
+        certificate: { valid_to: '2026-01-01T00:00:00.000Z', days_remaining: -5 },
+      },
+    });
+    const codes = codesOf(result);
+
+    assert.ok(codes.includes('TLS_CERT_EXPIRED'));
+    assert.ok(!codes.includes('TLS_CERT_INVALID'));
+  });
+
+  it('falls back to partial credit without response data', async () => {
+    const result = await agent.analyzeSecurity('https://example.com/', html);
+    assert.ok(codesOf(result).includes('SECURITY_HEADERS_NOT_CHECKED'));
+    assert.equal(result.tls, undefined);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Site Crawler Tests
+ *
+ * Parses robots.txt/sitemaps and crawls a small site served from a local HTTP server,
+ * so no network access is needed.
+ *
+ * To run: node --test tests/siteCrawler.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { parseRobotsTxt, isAllowed } from '../src/services/crawler/robotsTxt.js';
+import { parseSitemap, validateSitemap, isValidLastmod } from '../src/services/crawler/sitemap.js';
+import { crawlSite, normalizeUrl } from '../src/services/crawler/siteCrawler.js';
+import { buildSiteReport } from '../src/services/crawler/siteReport.js';
+import { inspectSiteIndexing, checkPageIndexing } from '../src/services/crawler/siteIndexing.js';
+import { runPageAudit } from '../src/services/auditRunner.js';
+
+const page = (title, links = []) =>
+  `<!DOCTYPE html><html lang="en"><head><title>${title}</title>` +
+  '<meta name="description" content="A fixture page used by the crawler tests."></head>' +
+  `<body><h1>${title}</h1><p>Fixture content.</p>` +
+  links.map((href) => `<a href="${href}">${href}</a>`).join('') +
+  '</body></html>';
+
+describe('robots.txt parsing', () => {
+  const robots = parseRobotsTxt(
+    [
+      'User-agent: *',
+      'Disallow: /private',
+      'Allow: /private/open',
+      '',
+      'User-agent: PrismifyBot',
+      'Disallow: /no-bots',
+      'Crawl-delay: 2',
+      'Sitemap: https://example.com/sitemap.xml',
+    ].join('\n')
+  );
+
+  it('collects groups and sitemaps', () => {
+    assert.equal(robots.groups.length, 2);
+    assert.deepEqual(robots.sitemaps, ['https://example.com/sitemap.xml']);
+  });
+
+  it('uses the most specific user-agent group', () => {
+    assert.equal(isAllowed(robots, 'https://example.com/no-bots', 'PrismifyBot'), false);
+    assert.equal(isAllowed(robots, 'https://example.com/private', 'PrismifyBot'), true);
+    assert.equal(isAllowed(robots, 'https://example.com/private', 'OtherBot'), false);
+  });
+
+  it('lets the longest matching rule win', () => {
+    assert.equal(isAllowed(robots, 'https://example.com/private/open/page', 'OtherBot'), true);
+    assert.equal(isAllowed(robots, 'https://example.com/private/closed', 'OtherBot'), false);
+  });
+});
+
+describe('sitemap parsing', () => {
+  it('reads urlset entries', () => {
+    const sitemap = parseSitemap(
+      '<?xml version="1.0"?><urlset><url><loc>https://example.com/a</loc>' +
+        '<lastmod>2025-01-01</lastmod></url><url><loc>https://example.com/b</loc></url></urlset>'
+    );
+    assert.equal(sitemap.type, 'urlset');
+    assert.deepEqual(
+      sitemap.entries.map((entry) => entry.loc),
+      ['https://example.com/a', 'https://example.com/b']
+    );
+  });
+
+  it('recognises sitemap indexes', () => {
+    const sitemap = parseSitemap(
+      '<sitemapindex><sitemap><loc>https://example.com/s1.xml</loc></sitemap></sitemapindex>'
+    );
+    assert.equal(sitemap.type, 'sitemapindex');
+    assert.equal(sitemap.entries.length, 1);
+  });
+});
+
+describe('sitemap validation', () => {
+  it('accepts W3C Datetime lastmod values only', () => {
+    for (const value of [
+      '2025',
+      '2025-01',
+      '2025-01-31',
+      '2025-01-31T09:00Z',
+      '2025-01-31T09:00:00+01:00',
+    ]) {
+      assert.equal(isValidLastmod(value), true, value);
+    }
+    for (const value of ['31/01/2025', '2025-13-01', '2025-01-31 09:00:00', 'yesterday']) {
+      assert.equal(isValidLastmod(value), false, value);
+    }
+  });
+
+  it('reports protocol violations', () => {
+    const { errors, warnings } = validateSitemap(
+      '<urlset><url><loc>https://example.com/a</loc><lastmod>01/02/2025</lastmod></url>' +
+        '<url><loc>/relative</loc></url><url><loc>https://cdn.example.net/b</loc></url>' +
+        '<url><lastmod>2025-01-01</lastmod></url></urlset>',
+      { url: 'https://example.com/sitemap.xml' }
+    );
+
+    assert.deepEqual(
+      errors.map((issue) => issue.code),
+      ['SITEMAP_MISSING_LOC', 'SITEMAP_INVALID_LOC']
+    );
+    assert.deepEqual(
+      warnings.map((issue) => issue.code),
+      ['SITEMAP_CROSS_HOST_LOC', 'SITEMAP_INVALID_LASTMOD']
+    );
+  });
+
+  it('rejects documents that are not sitemaps', () => {
+    const { errors } = validateSitemap('<html><body>Not found</body></html>');
+    assert.equal(errors[0].code, 'SITEMAP_INVALID_ROOT');
+  });
+});
+
+describe('normalizeUrl', () => {
+  it('resolves relative links and drops fragments', () => {
+    assert.equal(normalizeUrl('/a#top', 'https://example.com/b'), 'https://example.com/a');
+  });
+
+  it('ignores non-http links', () => {
+    assert.equal(normalizeUrl('mailto:hi@example.com', 'https://example.com/'), null);
+  });
+});
+
+describe('crawlSite', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const html = (body) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(body);
+      };
+
+      switch (req.url) {
+        case '/robots.txt':
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.end(`User-agent: *\nDisallow: /private\nSitemap: ${baseUrl}/sitemap.xml\n`);
+          return;
+        case '/sitemap.xml':
+          res.writeHead(200, { 'Content-Type': 'application/xml' });
+          res.end(
+            `<urlset><url><loc>${baseUrl}/</loc></url><url><loc>${baseUrl}/orphan</loc></url></urlset>`
+          );
+          return;
+        case '/':
+          return html(page('Home', ['/a', '/private', '/missing', '/logo.png']));
+        case '/a':
+          return html(page('Home', ['/']));
+        case '/orphan':
+          return html(page('Orphan', ['/orphan/next']));
+        case '/orphan/next':
+          return html(page('Next', ['/orphan/last']));
+        case '/orphan/last':
+          return html(page('Last'));
+        default:
+          res.writeHead(404, { 'Content-Type': 'text/html' });
+          res.end('Not found');
+      }
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('crawls linked and sitemap pages while respecting robots.txt', async () => {
+    const crawl = await crawlSite(`${baseUrl}/`, {
+      delayMs: 0,
+      fetchOptions: { allowPrivateHosts: true },
+    });
+
+    const urls = crawl.pages.map((p) => p.url).sort();
+    assert.deepEqual(urls, [
+      `${baseUrl}/`,
+      `${baseUrl}/a`,
+      `${baseUrl}/missing`,
+      `${baseUrl}/orphan`,
+      `${baseUrl}/orphan/last`,
+      `${baseUrl}/orphan/next`,
+    ]);
+    assert.deepEqual(crawl.blocked_by_robots, [`${baseUrl}/private`]);
+    assert.equal(crawl.stopped_reason, 'completed');
+
+    const report = buildSiteReport(crawl);
+    assert.equal(report.summary.pages_audited, 5);
+    assert.equal(report.summary.pages_failed, 1);
+    assert.deepEqual(report.duplicate_titles[0].urls.sort(), [`${baseUrl}/`, `${baseUrl}/a`]);
+    assert.deepEqual(
+      report.orphan_pages.map((p) => p.url),
+      [`${baseUrl}/orphan`]
+    );
+    assert.deepEqual(report.broken_links[0].linked_from, [`${baseUrl}/`]);
+  });
+
+  it('checks Googlebot access and sitemap listing per URL', async () => {
+    const site = await inspectSiteIndexing(baseUrl, { fetchOptions: { allowPrivateHosts: true } });
+
+    assert.equal(site.declared_in_robots, true);
+    assert.deepEqual(site.sitemaps[0].errors, []);
+
+    const blocked = checkPageIndexing(site, `${baseUrl}/private/page`);
+    assert.equal(blocked.robots.googlebot.allowed, false);
+    assert.equal(blocked.robots.googlebot.rule.path, '/private');
+
+    assert.equal(checkPageIndexing(site, `${baseUrl}/orphan`).in_sitemap, true);
+    assert.equal(checkPageIndexing(site, `${baseUrl}/a`).in_sitemap, false);
+  });
+
+  it('reports robots.txt and sitemap findings in the technical score', async () => {
+    const outcome = await runPageAudit(`${baseUrl}/a`, {
+      fetchOptions: { allowPrivateHosts: true },
+    });
+    const technical = outcome.results.scores.technical;
+
+    assert.ok(technical.passed.includes('Googlebot is allowed to crawl this URL'));
+    assert.ok(technical.issues.some((issue) => issue.code === 'URL_NOT_IN_SITEMAP'));
+    assert.equal(technical.crawlability.in_sitemap, false);
+    assert.ok(outcome.results.recommendations.some((rec) => rec.code === 'URL_NOT_IN_SITEMAP'));
+  });
+
+  it('applies the depth limit to links found on sitemap-only pages', async () => {
+    const crawl = await crawlSite(`${baseUrl}/`, {
+      maxDepth: 1,
+      delayMs: 0,
+      fetchOptions: { allowPrivateHosts: true },
+    });
+
+    const depths = Object.fromEntries(crawl.pages.map((p) => [p.url, p.depth]));
+    assert.equal(depths[`${baseUrl}/orphan`], null);
+    assert.equal(depths[`${baseUrl}/orphan/next`], 1);
+    assert.equal(`${baseUrl}/orphan/last` in depths, false);
+  });
+
+  it('stops at the page limit', async () => {
+    const crawl = await crawlSite(`${baseUrl}/`, {
+      maxPages: 2,
+      delayMs: 0,
+      fetchOptions: { allowPrivateHosts: true },
+    });
+
+    assert.equal(crawl.pages.length, 2);
+    assert.equal(crawl.stopped_reason, 'page_limit');
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Stripe Webhook Tests
+ *
+ * Fixture events in tests/fixtures/stripe are signed with a test endpoint secret and handed
+ * to the webhook handler as the Buffer body express.raw() produces, with an in-memory
+ * stripe_webhook_events table standing in for Supabase. No Stripe or Supabase access is needed.
+ *
+ * To run: node --test tests/stripeWebhooks.test.js
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import Stripe from 'stripe';
+import {
+  constructWebhookEvent,
+  processWebhookEvent,
+  replayWebhookEvent,
+  STALE_PROCESSING_MS,
+} from '../src/services/stripe/webhookEvents.js';
+import { createFakeSupabase } from './helpers/fakeSupabase.js';
+
+const WEBHOOK_SECRET = 'whsec_test_fixture_secret';
+
+const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/stripe/${name}.json`, import.meta.url), 'utf8');
+
+const sign = (payload, secret = WEBHOOK_SECRET) =>
+  Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+/**
+ * stripe_webhook_events, keyed by the Stripe event ID
+ */
+const createEventTable = () =>
+  createFakeSupabase(
+    { stripe_webhook_events: [] },
+    { unique: { stripe_webhook_events: (existing, row) => existing.id === row.id } }
+  );
+
+const eventRows = (table) => table.tables.stripe_webhook_events;
+
+const eventRow = (table, id) => eventRows(table).find((row) => row.id === id);
+
+describe('Webhook signatures', () => {
+  const payload = fixture('customer.subscription.trial_will_end');
+
+  it('parses an event signed with the endpoint secret', () => {
+    const event = constructWebhookEvent(Buffer.from(payload), sign(payload), WEBHOOK_SECRET);
+    assert.equal(event.id, 'evt_1QfixtureTrialWillEnd');
+    assert.equal(event.type, 'customer.subscription.trial_will_end');
+  });
+
+  it('rejects other secrets, altered payloads and parsed bodies', () => {
+    assert.throws(() =>
+      constructWebhookEvent(payload, sign(payload, 'whsec_other_secret'), WEBHOOK_SECRET)
+    );
+    assert.throws(() =>
+      constructWebhookEvent(payload.replace('trialing', 'active'), sign(payload), WEBHOOK_SECRET)
+    );
+    // What express.json() would have handed the handler
+    assert.throws(
+      () => constructWebhookEvent(JSON.parse(payload), sign(payload), WEBHOOK_SECRET),
+      /raw request body/
+    );
+    assert.throws(() => constructWebhookEvent(payload, sign(payload), undefined), /not configured/);
+  });
+});
+
+describe('Webhook event log', () => {
+  const event = JSON.parse(fixture('invoice.payment_failed'));
+  let table;
+
+  beforeEach(() => {
+    table = createEventTable();
+  });
+
+  it('runs the handler once per event and acknowledges redeliveries', async () => {
+    let calls = 0;
+    const handler = async () => {
+      calls += 1;
+    };
+
+    assert.deepEqual(await processWebhookEvent(table, event, handler), { outcome: 'processed' });
+    assert.deepEqual(await processWebhookEvent(table, event, handler), { outcome: 'duplicate' });
+    assert.equal(calls, 1);
+
+    const row = eventRow(table, event.id);
+    assert.equal(row.status, 'processed');
+    assert.equal(row.attempts, 1);
+    assert.ok(row.processed_at);
+  });
+
+  it('records handler failures and replays them from the stored payload', async () => {
+    const failing = async () => {
+      throw new Error('Supabase unavailable');
+    };
+
+    const failed = await processWebhookEvent(table, event, failing);
+    assert.deepEqual(failed, { outcome: 'failed', error: 'Supabase unavailable' });
+    assert.equal(eventRow(table, event.id).status, 'failed');
+    assert.equal(eventRow(table, event.id).error, 'Supabase unavailable');
+
+    const seen = [];
+    const replayed = await replayWebhookEvent(table, event.id, async (stored) => {
+      seen.push(stored.data.object.id);
+    });
+    assert.deepEqual(replayed, { outcome: 'processed' });
+    assert.deepEqual(seen, ['in_1QfixtureFailed']);
+
+    const row = eventRow(table, event.id);
+    assert.equal(row.status, 'processed');
+    assert.equal(row.attempts, 2);
+    assert.equal(row.error, null);
+
+    assert.equal(await replayWebhookEvent(table, 'evt_never_received', failing), null);
+  });
+
+  it('leaves an event to the delivery already processing it unless that one went stale', async () => {
+    const handler = async () => {};
+    eventRows(table).push({
+      id: event.id,
+      status: 'processing',
+      attempts: 1,
+      payload: event,
+      last_attempt_at: new Date().toISOString(),
+    });
+
+    assert.deepEqual(await processWebhookEvent(table, event, handler), {
+      outcome: 'in_progress',
+    });
+
+    eventRow(table, event.id).last_attempt_at = new Date(
+      Date.now() - STALE_PROCESSING_MS - 1000
+    ).toISOString();
+    assert.deepEqual(await processWebhookEvent(table, event, handler), { outcome: 'processed' });
+  });
+});
+
+describe('Webhook endpoint', () => {
+  const restoreEnv = {};
+  let handleStripeWebhook;
+  let table;
+
+  before(async () => {
+    // The handler module creates its Stripe and Supabase clients at import; placeholder
+    // credentials keep that offline, and the event log is swapped in through req.supabase
+    const placeholders = {
+      STRIPE_SECRET_KEY: 'sk_test_placeholder',
+      SUPABASE_URL: 'http://127.0.0.1:54321',
+      SUPABASE_ANON_KEY: 'anon-placeholder',
+      SUPABASE_SERVICE_ROLE_KEY: 'service-placeholder',
+    };
+    for (const [key, value] of Object.entries(placeholders)) {
+      restoreEnv[key] = process.env[key];
+      process.env[key] ??= value;
+    }
+    restoreEnv.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    ({ handleStripeWebhook } = await import('../src/routes/webhooks/stripe.js'));
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(restoreEnv)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  beforeEach(() => {
+    table = createEventTable();
+  });
+
+  const post = async (payload, signature) => {
+    const req = {
+      headers: { 'stripe-signature': signature },
+      body: Buffer.from(payload),
+      supabase: table,
+    };
+    const res = {
+      statusCode: 200,
+      body: null,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    await handleStripeWebhook(req, res);
+    return res;
+  };
+
+  it('processes a signed fixture and acknowledges a Stripe retry without reprocessing', async () => {
+    const payload = fixture('customer.subscription.trial_will_end');
+
+    const first = await post(payload, sign(payload));
+    assert.equal(first.statusCode, 200);
+    assert.deepEqual(first.body, { received: true });
+
+    const retry = await post(payload, sign(payload));
+    assert.equal(retry.statusCode, 200);
+    assert.deepEqual(retry.body, { received: true, duplicate: true });
+
+    const row = eventRow(table, 'evt_1QfixtureTrialWillEnd');
+    assert.equal(row.status, 'processed');
+    assert.equal(row.attempts, 1);
+    assert.equal(row.type, 'customer.subscription.trial_will_end');
+  });
+
+  it('rejects a bad signature without recording the event', async () => {
+    const payload = fixture('customer.subscription.trial_will_end');
+
+    const response = await post(payload, sign(payload, 'whsec_other_secret'));
+    assert.equal(response.statusCode, 400);
+    assert.equal(eventRows(table).length, 0);
+  });
+});
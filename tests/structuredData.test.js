@@ -0,0 +1,221 @@
+/**
+ * Structured Data Tests
+ *
+ * Extracts JSON-LD, Microdata and RDFa from tests/fixtures/html/structured-data.html and
+ * checks the Schema.org validation findings and the technical score.
+ *
+ * To run: node --test tests/structuredData.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseHtmlDocument } from '../src/services/crawler/htmlDocument.js';
+import {
+  extractStructuredData,
+  validateSchemaItem,
+  analyzeStructuredData,
+} from '../src/services/crawler/structuredData.js';
+import SEOAgent from '../src/agents/specialized/SEOAgent.js';
+
+const html = fs.readFileSync(
+  new URL('./fixtures/html/structured-data.html', import.meta.url),
+  'utf8'
+);
+const baseUrl = 'https://example.com/aeropress-go';
+
+const codes = (result) => result.issues.map((issue) => `${issue.code}:${issue.property}`);
+
+describe('extractStructuredData', () => {
+  it('reads every syntax and reports unparseable JSON-LD blocks', () => {
+    const { items, errors } = extractStructuredData(parseHtmlDocument(html));
+
+    assert.deepEqual(
+      items.map((item) => [item.source, item.data['@type']]),
+      [
+        ['json-ld', 'Product'],
+        ['json-ld', 'Organization'],
+        ['json-ld', 'FAQPage'],
+        ['microdata', 'BreadcrumbList'],
+        ['rdfa', 'MusicEvent'],
+      ]
+    );
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].block, 2);
+  });
+
+  it('nests Microdata and RDFa items under their properties', () => {
+    const { items } = extractStructuredData(parseHtmlDocument(html));
+    const breadcrumbs = items[3].data;
+    const event = items[4].data;
+
+    assert.deepEqual(breadcrumbs.itemListElement[0], {
+      '@type': 'ListItem',
+      item: 'https://example.com/',
+      name: 'Home',
+      position: '1',
+    });
+    assert.equal(event.startDate, '31/01/2026');
+    assert.deepEqual(event.location, { '@type': 'Place', name: 'Brew Co Roastery' });
+  });
+});
+
+describe('validateSchemaItem', () => {
+  it('reports missing required and recommended properties', () => {
+    const result = validateSchemaItem(
+      { source: 'json-ld', schemaContext: true, data: { '@type': 'Recipe', name: 'Flat white' } },
+      { baseUrl }
+    );
+
+    assert.equal(result.rule_type, 'Recipe');
+    assert.equal(result.issues[0].severity, 'high');
+    assert.equal(result.issues[0].code, 'SCHEMA_MISSING_REQUIRED');
+    assert.equal(result.issues[0].property, 'image');
+    assert.ok(result.issues.slice(1).every((issue) => issue.severity === 'low'));
+  });
+
+  it('accepts any one of alternative required properties', () => {
+    const result = validateSchemaItem({
+      source: 'json-ld',
+      schemaContext: true,
+      data: {
+        '@type': 'Product',
+        name: 'Grinder',
+        aggregateRating: { ratingValue: '4.6', reviewCount: 12 },
+      },
+    });
+
+    assert.ok(!codes(result).some((code) => code.startsWith('SCHEMA_MISSING_REQUIRED')));
+  });
+
+  it('flags untyped items and a non-Schema.org @context', () => {
+    assert.equal(
+      validateSchemaItem({ source: 'json-ld', schemaContext: true, data: { name: 'x' } }).issues[0]
+        .code,
+      'SCHEMA_MISSING_TYPE'
+    );
+    assert.equal(
+      validateSchemaItem({
+        source: 'json-ld',
+        schemaContext: false,
+        data: { '@type': 'Organization', name: 'x' },
+      }).issues[0].code,
+      'JSONLD_INVALID_CONTEXT'
+    );
+  });
+});
+
+describe('analyzeStructuredData', () => {
+  const { items } = analyzeStructuredData(parseHtmlDocument(html), { baseUrl });
+
+  it('validates nested offers, FAQ answers, breadcrumbs and event locations', () => {
+    assert.deepEqual(
+      codes(items[0]).filter((code) => code.startsWith('SCHEMA_INVALID')),
+      ['SCHEMA_INVALID_PROPERTY:offers.price', 'SCHEMA_INVALID_PROPERTY:offers.priceCurrency']
+    );
+    assert.deepEqual(codes(items[2]), ['SCHEMA_INVALID_PROPERTY:mainEntity[1].acceptedAnswer']);
+    assert.deepEqual(codes(items[3]), []);
+    assert.equal(items[4].rule_type, 'Event');
+    assert.deepEqual(
+      codes(items[4]).filter((code) => !code.startsWith('SCHEMA_MISSING_RECOMMENDED')),
+      ['SCHEMA_INVALID_PROPERTY:startDate', 'SCHEMA_INVALID_PROPERTY:location']
+    );
+  });
+});
+
+describe('SEOAgent structured data score', () => {
+  const agent = new SEOAgent({ heartbeatEnabled: false });
+
+  it('reports invalid JSON as critical and each property problem separately', async () => {
+    const technical = await agent.analyzeTechnicalSEO(baseUrl, html);
+    const structured = technical.issues.filter((issue) =>
+      /^(JSONLD|SCHEMA)_/.test(issue.code || '')
+    );
+
+    assert.equal(structured[0].code, 'JSONLD_INVALID_JSON');
+    assert.equal(structured[0].severity, 'critical');
+    assert.equal(structured.filter((issue) => issue.code === 'SCHEMA_INVALID_PROPERTY').length, 5);
+    assert.equal(technical.structured_data.items.length, 5);
+    assert.equal(technical.structured_data.invalid_json_blocks, 1);
+  });
+
+  it('gives full marks to complete, valid markup', async () => {
+    const page =
+      '<html><head><script type="application/ld+json">' +
+      JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'Organization',
+        name: 'Brew Co',
+        url: 'https://example.com/',
+        logo: 'https://example.com/logo.png',
+        sameAs: ['https://social.example/brewco'],
+        contactPoint: { '@type': 'ContactPoint', telephone: '+1-555-0100' },
+      }) +
+      '</script></head><body></body></html>';
+
+    const withMarkup = agent.analyzeStructuredDataMarkup(parseHtmlDocument(page), baseUrl);
+    const without = agent.analyzeStructuredDataMarkup(parseHtmlDocument('<p>Hi</p>'), baseUrl);
+
+    assert.equal(withMarkup.score, 20);
+    assert.deepEqual(withMarkup.issues, []);
+    assert.equal(without.score, 0);
+    assert.equal(without.issues[0].code, 'STRUCTURED_DATA_MISSING');
+  });
+});
+
+describe('SEOAgent generateSchema', () => {
+  const agent = new SEOAgent({ heartbeatEnabled: false });
+
+  it('detects an FAQ page and builds valid template JSON-LD without AI', async () => {
+    const result = await agent.execute({
+      type: 'generateSchema',
+      params: {
+        url: 'https://example.com/help',
+        html:
+          '<html><head><title>Help</title></head><body><h1>Help</h1>' +
+          '<h2>Do you ship abroad?</h2><p>Yes, to <b>40</b> countries.</p>' +
+          '<h2>Can I return an order?</h2><p>Within 30 days.</p><p>Free of charge.</p>' +
+          '<h2>Contact</h2><p>hello@example.com</p></body></html>',
+      },
+    });
+
+    assert.equal(result.type, 'FAQPage');
+    assert.equal(result.detected, true);
+    assert.equal(result.generated, false);
+    assert.equal(result.valid, true);
+    assert.deepEqual(
+      result.jsonLd.mainEntity.map((q) => [q.name, q.acceptedAnswer.text]),
+      [
+        ['Do you ship abroad?', 'Yes, to 40 countries.'],
+        ['Can I return an order?', 'Within 30 days. Free of charge.'],
+      ]
+    );
+    assert.match(result.snippet, /^<script type="application\/ld\+json">\n\{/);
+  });
+
+  it('fills a requested type from page facts and reports what is still missing', async () => {
+    const result = await agent.generateSchema({
+      url: baseUrl,
+      type: 'Product',
+      html: '<title>Aeropress Go</title><h1>Aeropress &lt;/script&gt; Go</h1><p>Only £31.50</p>',
+    });
+
+    assert.equal(result.detected, false);
+    assert.deepEqual(result.jsonLd.offers, {
+      '@type': 'Offer',
+      price: '31.50',
+      priceCurrency: 'GBP',
+      url: baseUrl,
+    });
+    assert.equal(result.jsonLd.name, 'Aeropress </script> Go');
+    assert.ok(result.snippet.includes('Aeropress \\u003c/script> Go'));
+    assert.ok(result.issues.every((issue) => issue.severity === 'low'));
+  });
+
+  it('rejects unsupported types', async () => {
+    await assert.rejects(
+      agent.generateSchema({ url: baseUrl, type: 'Movie', html: '' }),
+      /Unsupported schema type/
+    );
+  });
+});